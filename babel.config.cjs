@@ -0,0 +1,4 @@
+// Used by babel-jest to run the ES module sources under Jest
+module.exports = {
+  presets: [['@babel/preset-env', { targets: { node: 'current' } }]]
+};
@@ -37,6 +37,9 @@ CREATE TABLE IF NOT EXISTS apps (
   currency VARCHAR(3) DEFAULT 'USD',
   featured BOOLEAN DEFAULT false,
   ai_analysis JSONB, -- Store AI analysis results
+  webview_injections JSONB DEFAULT '[]', -- CSS/JS injection rules applied by the app shells
+  store_screenshots JSONB DEFAULT '[]', -- Screenshots per store device size and orientation
+  promo_assets JSONB, -- Generated feature graphic, TV banner and promo images
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -103,7 +106,7 @@ CREATE TABLE IF NOT EXISTS app_submissions (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   app_id UUID REFERENCES apps(id) ON DELETE CASCADE,
   platform VARCHAR(50) NOT NULL,
-  status VARCHAR(50) DEFAULT 'submitted', -- submitted, under_review, approved, rejected
+  status VARCHAR(50) DEFAULT 'submitted', -- submitted, under_review, approved, rejected, cancelled
   submission_id VARCHAR(255) NOT NULL, -- Platform-specific submission ID
   submission_data JSONB, -- Data sent to platform
   partner_response JSONB, -- Response from platform
@@ -170,7 +173,7 @@ CREATE TABLE IF NOT EXISTS analytics_events (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   app_id UUID REFERENCES apps(id) ON DELETE CASCADE,
   user_id UUID REFERENCES users(id) ON DELETE SET NULL,
-  event_type VARCHAR(50) NOT NULL, -- view, download, install, uninstall
+  event_type VARCHAR(50) NOT NULL, -- view, download, install, uninstall, push_delivery, push_open
   event_data JSONB,
   ip_address INET,
   user_agent TEXT,
@@ -219,7 +222,7 @@ CREATE TABLE IF NOT EXISTS payment_methods (
 CREATE TABLE IF NOT EXISTS notifications (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   user_id UUID REFERENCES users(id) ON DELETE CASCADE,
-  type VARCHAR(50) NOT NULL, -- app_approved, app_rejected, revenue_received
+  type VARCHAR(50) NOT NULL, -- app_in_review, app_approved, app_rejected, app_submission_cancelled, revenue_received
   title VARCHAR(255) NOT NULL,
   message TEXT NOT NULL,
   data JSONB,
@@ -227,6 +230,160 @@ CREATE TABLE IF NOT EXISTS notifications (
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Build jobs table
+CREATE TABLE IF NOT EXISTS build_jobs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  app_id UUID REFERENCES apps(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  status VARCHAR(50) DEFAULT 'queued', -- queued, running, completed, failed, cancelled
+  steps JSONB NOT NULL DEFAULT '[]', -- [{ id, name, status, started_at, finished_at, error }]
+  current_step VARCHAR(50),
+  progress INTEGER DEFAULT 0,
+  logs JSONB NOT NULL DEFAULT '[]', -- [{ timestamp, level, step, message }]
+  input JSONB NOT NULL, -- Generation request (url, appName, ...)
+  result JSONB, -- Download links and package info once completed
+  error TEXT,
+  attempts INTEGER DEFAULT 0,
+  max_attempts INTEGER DEFAULT 3,
+  cancel_requested BOOLEAN DEFAULT false,
+  run_after TIMESTAMP WITH TIME ZONE, -- Retry backoff
+  heartbeat_at TIMESTAMP WITH TIME ZONE,
+  started_at TIMESTAMP WITH TIME ZONE,
+  finished_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- App releases table
+CREATE TABLE IF NOT EXISTS app_releases (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  app_id UUID REFERENCES apps(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  version VARCHAR(50) NOT NULL, -- Semantic version shown in the stores (versionName / CFBundleShortVersionString)
+  version_code INTEGER NOT NULL, -- Android versionCode and iOS build number, increases with every release
+  changelog TEXT,
+  status VARCHAR(50) DEFAULT 'building', -- building, ready, failed, published
+  build_job_id UUID REFERENCES build_jobs(id) ON DELETE SET NULL,
+  package_name VARCHAR(255),
+  artifacts JSONB NOT NULL DEFAULT '{}', -- Download URL per platform (android, androidBundle, ios, pwa, desktop, config, manifest)
+  error TEXT,
+  publish_info JSONB NOT NULL DEFAULT '{}', -- Per store submission details
+  published_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(app_id, version_code)
+);
+
+-- Store listings table
+CREATE TABLE IF NOT EXISTS store_listings (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  app_id UUID REFERENCES apps(id) ON DELETE CASCADE,
+  store VARCHAR(50) NOT NULL DEFAULT 'google-play',
+  language VARCHAR(20) NOT NULL, -- BCP-47 locale from SUPPORTED_LANGUAGES, e.g. de-DE
+  title VARCHAR(100),
+  short_description TEXT,
+  full_description TEXT,
+  screenshots JSONB NOT NULL DEFAULT '[]', -- [{ device, url }]
+  status VARCHAR(20) DEFAULT 'draft', -- draft, approved, published
+  source VARCHAR(20) DEFAULT 'manual', -- manual, machine
+  approved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  approved_at TIMESTAMP WITH TIME ZONE,
+  published_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(app_id, store, language)
+);
+
+-- Release audit log table
+CREATE TABLE IF NOT EXISTS release_audit_log (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  app_id UUID REFERENCES apps(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  release_id UUID REFERENCES app_releases(id) ON DELETE SET NULL,
+  store VARCHAR(50) NOT NULL DEFAULT 'google-play',
+  action VARCHAR(50) NOT NULL, -- publish, promote, rollout, halt, resume
+  track VARCHAR(100), -- Track the operation changed
+  from_track VARCHAR(100), -- Source track of a promotion
+  version_codes INTEGER[] DEFAULT '{}',
+  user_fraction NUMERIC(5, 4), -- Staged rollout fraction after the operation
+  status VARCHAR(20) NOT NULL, -- succeeded, failed
+  error TEXT,
+  details JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Push devices table
+CREATE TABLE IF NOT EXISTS push_devices (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  app_id UUID REFERENCES apps(id) ON DELETE CASCADE,
+  token TEXT NOT NULL, -- FCM registration token or APNs device token
+  platform VARCHAR(20) NOT NULL, -- android, ios
+  locale VARCHAR(20),
+  app_version VARCHAR(50),
+  external_user_id VARCHAR(255), -- The site's own user ID, for targeting
+  tags TEXT[] DEFAULT '{}',
+  disabled_at TIMESTAMP WITH TIME ZONE, -- Set when the provider reports the token as invalid
+  last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(app_id, token)
+);
+
+-- Push segments table
+CREATE TABLE IF NOT EXISTS push_segments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  app_id UUID REFERENCES apps(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  filters JSONB NOT NULL DEFAULT '{}', -- { platforms, locales, tags, externalUserIds, activeWithinDays }
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(app_id, name)
+);
+
+-- Push campaigns table
+CREATE TABLE IF NOT EXISTS push_campaigns (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  app_id UUID REFERENCES apps(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  message JSONB NOT NULL, -- { title, body, url, imageUrl, badge, data }
+  audience JSONB NOT NULL DEFAULT '{}', -- { segmentId } or { filters }, empty for every device
+  status VARCHAR(50) DEFAULT 'scheduled', -- scheduled, sending, sent, failed, cancelled
+  send_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  stats JSONB NOT NULL DEFAULT '{}', -- { targeted, delivered, failed, invalid, opened }
+  error TEXT,
+  started_at TIMESTAMP WITH TIME ZONE,
+  sent_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Push opens table, one row per device that opened a campaign
+CREATE TABLE IF NOT EXISTS push_opens (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  campaign_id UUID REFERENCES push_campaigns(id) ON DELETE CASCADE,
+  device_id UUID REFERENCES push_devices(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(campaign_id, device_id)
+);
+
+-- Publishing sessions table
+CREATE TABLE IF NOT EXISTS publishing_sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  provider VARCHAR(50) NOT NULL DEFAULT 'google-play',
+  status VARCHAR(20) DEFAULT 'pending', -- pending, active, expired, revoked
+  oauth_state VARCHAR(64) UNIQUE, -- Issued with the authorization URL, cleared once authorized
+  access_token TEXT, -- Encrypted
+  refresh_token TEXT, -- Encrypted
+  token_expires_at TIMESTAMP WITH TIME ZONE,
+  scope TEXT,
+  authorized_at TIMESTAMP WITH TIME ZONE,
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_apps_user_id ON apps(user_id);
 CREATE INDEX IF NOT EXISTS idx_apps_category ON apps(category);
@@ -266,6 +423,18 @@ CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id);
 CREATE INDEX IF NOT EXISTS idx_notifications_read ON notifications(read);
 CREATE INDEX IF NOT EXISTS idx_notifications_created_at ON notifications(created_at);
 
+CREATE INDEX IF NOT EXISTS idx_build_jobs_app_id ON build_jobs(app_id);
+CREATE INDEX IF NOT EXISTS idx_build_jobs_status_created_at ON build_jobs(status, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_app_releases_app_id_created_at ON app_releases(app_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_store_listings_app_id ON store_listings(app_id);
+CREATE INDEX IF NOT EXISTS idx_release_audit_log_app_id_created_at ON release_audit_log(app_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_push_devices_app_id ON push_devices(app_id);
+CREATE INDEX IF NOT EXISTS idx_push_campaigns_app_id_created_at ON push_campaigns(app_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_push_campaigns_status_send_at ON push_campaigns(status, send_at);
+CREATE INDEX IF NOT EXISTS idx_publishing_sessions_user_id ON publishing_sessions(user_id);
+
 -- Insert default app categories
 INSERT INTO app_categories (name, description, sort_order) VALUES
 ('Productivity', 'Apps that help increase productivity and efficiency', 1),
@@ -338,6 +507,27 @@ CREATE TRIGGER update_localized_content_updated_at BEFORE UPDATE ON localized_co
 CREATE TRIGGER update_app_reviews_updated_at BEFORE UPDATE ON app_reviews
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_build_jobs_updated_at BEFORE UPDATE ON build_jobs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_app_releases_updated_at BEFORE UPDATE ON app_releases
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_store_listings_updated_at BEFORE UPDATE ON store_listings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_push_devices_updated_at BEFORE UPDATE ON push_devices
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_push_segments_updated_at BEFORE UPDATE ON push_segments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_push_campaigns_updated_at BEFORE UPDATE ON push_campaigns
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_publishing_sessions_updated_at BEFORE UPDATE ON publishing_sessions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- Create function to update app ratings
 CREATE OR REPLACE FUNCTION update_app_rating()
 RETURNS TRIGGER AS $$
@@ -15,16 +15,23 @@ const CONVERSION_CONFIG = {
   UPDATE_INTERVAL: 100
 };
 
+const BUILD_END_STATUSES = ['completed', 'failed', 'cancelled'];
+
 // Conversion State
 let conversionState = {
   isActive: false,
   currentStep: 0,
   progress: 0,
   startTime: null,
+  appId: null,
+  buildId: null,
   result: null,
   error: null
 };
 
+// Open build event stream, closed when the build ends or is cancelled
+let buildEventSource = null;
+
 // Initialize Conversion Module
 document.addEventListener('DOMContentLoaded', function() {
   initializeConversion();
@@ -255,6 +262,9 @@ async function startConversion(formData) {
     conversionState.result = result;
     showConversionSuccess(result);
   } catch (error) {
+    // Cancelling resets the conversion, so there is nothing left to report
+    if (!conversionState.isActive) return;
+
     conversionState.error = error;
     showConversionError(error);
   } finally {
@@ -263,7 +273,57 @@ async function startConversion(formData) {
 }
 
 async function performConversion(formData) {
-  // Simulate conversion steps with real API calls
+  // Static demo deployments have no build server, so the steps are simulated
+  if (CONFIG.DEMO_MODE || window.location.hostname.includes('github.io')) {
+    return await performDemoConversion(formData);
+  }
+
+  const appName = formData.appName || await extractAppName(formData.url);
+
+  const response = await fetch(`${CONFIG.API_BASE_URL}/apps/generate`, {
+    method: 'POST',
+    headers: getApiHeaders(),
+    body: JSON.stringify({
+      url: formData.url,
+      appName,
+      description: formData.description || 'Mobile app generated from SaaS',
+      category: formData.category || 'productivity',
+      targetPlatforms: formData.targetPlatforms || ['android', 'ios'],
+      features: {
+        offlineSupport: formData.offlineSupport,
+        pushNotifications: formData.enableNotifications
+      }
+    })
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.message || data.error || 'Failed to start the build');
+  }
+
+  conversionState.appId = data.app.id;
+  conversionState.buildId = data.buildJob.id;
+  conversionState.currentStep = -1;
+  renderConversionSteps(data.buildJob.steps);
+
+  const build = await waitForBuild(data.app.id, data.buildJob.id, data.streamToken);
+  if (build.status !== 'completed') {
+    throw new Error(build.error || `Build ${build.status}`);
+  }
+
+  return {
+    appId: data.app.id,
+    appName,
+    appIcon: build.result.icon || 'assets/default-app-icon.svg',
+    downloadUrl: build.result.downloadLinks.android,
+    downloadLinks: build.result.downloadLinks,
+    previewUrl: formData.url,
+    buildTime: Date.now() - conversionState.startTime,
+    features: getEnabledFeatures(formData)
+  };
+}
+
+async function performDemoConversion(formData) {
   for (let i = 0; i < CONVERSION_CONFIG.STEPS.length; i++) {
     const step = CONVERSION_CONFIG.STEPS[i];
     conversionState.currentStep = i;
@@ -293,6 +353,110 @@ async function performConversion(formData) {
   };
 }
 
+// Follow the build's event stream until it finishes, mirroring its steps and progress
+// EventSource cannot send the Authorization header, so the build's stream token goes in the URL
+function waitForBuild(appId, buildId, streamToken) {
+  return new Promise((resolve, reject) => {
+    const token = streamToken ? `&token=${encodeURIComponent(streamToken)}` : '';
+    const source = new EventSource(`${CONFIG.API_BASE_URL}/apps/${appId}/build/events?jobId=${buildId}${token}`);
+    let steps = [];
+    const artifacts = {};
+    const stepMessages = {};
+
+    buildEventSource = source;
+
+    const finish = (build) => {
+      source.close();
+      buildEventSource = null;
+      resolve(build);
+    };
+
+    const listen = (type, handler) => {
+      source.addEventListener(type, event => handler(JSON.parse(event.data)));
+    };
+
+    listen('snapshot', ({ build }) => {
+      steps = build.steps;
+      updateBuildProgress(build);
+      if (BUILD_END_STATUSES.includes(build.status)) {
+        finish(build);
+      }
+    });
+
+    listen('step', ({ step, progress }) => {
+      const index = steps.findIndex(candidate => candidate.id === step.id);
+      if (step.status === 'completed') {
+        markStepComplete(index);
+        // Keep the step's own summary, e.g. the packaged platforms
+        if (stepMessages[step.id]) {
+          setStepStatus(index, stepMessages[step.id]);
+        }
+      } else if (step.status === 'running') {
+        conversionState.currentStep = index;
+        updateCurrentStep(step.name);
+      }
+      setProgress(progress);
+    });
+
+    listen('log', (entry) => {
+      if (entry.step) {
+        stepMessages[entry.step] = entry.message;
+        setStepStatus(steps.findIndex(step => step.id === entry.step), entry.message);
+      }
+    });
+
+    listen('artifact', ({ platform, url }) => {
+      artifacts[platform] = url;
+    });
+
+    listen('status', ({ status, error }) => {
+      if (status === 'queued' && error) {
+        updateCurrentStep(`Retrying after error: ${error}`);
+      }
+    });
+
+    listen('completed', ({ result }) => {
+      finish({ status: 'completed', result: { ...result, downloadLinks: { ...artifacts, ...result.downloadLinks } } });
+    });
+
+    listen('failed', ({ error }) => {
+      finish({ status: 'failed', error });
+    });
+
+    listen('cancelled', () => {
+      finish({ status: 'cancelled' });
+    });
+
+    // EventSource reconnects on its own after network drops; it only closes for good on HTTP errors
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) {
+        buildEventSource = null;
+        reject(new Error('Lost connection to the build server'));
+      }
+    };
+  });
+}
+
+function updateBuildProgress(build) {
+  build.steps.forEach((step, index) => {
+    if (step.status === 'completed') {
+      markStepComplete(index);
+    } else if (step.status === 'running' && conversionState.currentStep !== index) {
+      conversionState.currentStep = index;
+      updateCurrentStep(step.name);
+    }
+  });
+
+  setProgress(build.progress);
+}
+
+function getApiHeaders() {
+  return {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${localStorage.getItem('authToken') || 'demo-token'}`
+  };
+}
+
 async function performConversionStep(stepId, formData) {
   switch (stepId) {
   case 'validate':
@@ -528,11 +692,11 @@ function hideConversionStatus() {
   if (status) status.style.display = 'none';
 }
 
-function renderConversionSteps() {
+function renderConversionSteps(steps = CONVERSION_CONFIG.STEPS) {
   const stepsList = document.getElementById('steps-list');
   if (!stepsList) return;
     
-  stepsList.innerHTML = CONVERSION_CONFIG.STEPS.map((step, index) => `
+  stepsList.innerHTML = steps.map((step, index) => `
         <div class="step-item" id="step-${index}" data-step="${index}">
             <div class="step-icon">
                 <i class="fas fa-circle"></i>
@@ -564,6 +728,13 @@ function updateCurrentStep(stepName) {
   }
 }
 
+function setStepStatus(stepIndex, message) {
+  const statusEl = document.querySelector(`#step-${stepIndex} .step-status`);
+  if (statusEl) {
+    statusEl.textContent = message;
+  }
+}
+
 function markStepComplete(stepIndex) {
   const stepEl = document.getElementById(`step-${stepIndex}`);
   if (stepEl) {
@@ -580,6 +751,15 @@ function markStepComplete(stepIndex) {
   }
 }
 
+function setProgress(value) {
+  const progressFill = document.getElementById('progress-fill');
+  const progressText = document.getElementById('progress-text');
+
+  conversionState.progress = value;
+  if (progressFill) progressFill.style.width = `${value}%`;
+  if (progressText) progressText.textContent = `${Math.round(value)}%`;
+}
+
 async function animateProgress(targetProgress, duration) {
   const progressFill = document.getElementById('progress-fill');
   const progressText = document.getElementById('progress-text');
@@ -764,6 +944,20 @@ function showConversionError(error) {
 
 function cancelConversion() {
   if (!conversionState.isActive) return;
+
+  if (buildEventSource) {
+    buildEventSource.close();
+    buildEventSource = null;
+  }
+
+  if (conversionState.appId && conversionState.buildId) {
+    fetch(`${CONFIG.API_BASE_URL}/apps/${conversionState.appId}/builds/${conversionState.buildId}/cancel`, {
+      method: 'POST',
+      headers: getApiHeaders()
+    }).catch(error => {
+      console.log('Build cancellation failed:', error.message);
+    });
+  }
     
   conversionState.isActive = false;
   hideConversionStatus();
@@ -784,6 +978,8 @@ function resetConversion() {
     currentStep: 0,
     progress: 0,
     startTime: null,
+    appId: null,
+    buildId: null,
     result: null,
     error: null
   };
@@ -881,7 +1077,7 @@ function downloadApp(appId) {
     
   setTimeout(() => {
     const link = document.createElement('a');
-    link.href = 'downloads/demo-app.apk';
+    link.href = conversionState.result?.downloadUrl || 'downloads/demo-app.apk';
     link.download = 'my-app.apk';
     link.click();
         
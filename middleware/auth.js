@@ -204,6 +204,32 @@ const validateApiKey = (req, res, next) => {
   }
 };
 
+const BUILD_STREAM_TOKEN_PURPOSE = 'build-events';
+const BUILD_STREAM_TOKEN_TTL = '1h';
+
+/**
+ * Short-lived token for one build's event stream
+ * EventSource cannot send an Authorization header, so the build's owner gets
+ * this token with the build and passes it as ?token= instead.
+ */
+const createBuildStreamToken = (jobId) => jwt.sign(
+  { jobId, purpose: BUILD_STREAM_TOKEN_PURPOSE },
+  process.env.JWT_SECRET,
+  { expiresIn: BUILD_STREAM_TOKEN_TTL }
+);
+
+/**
+ * Check a build stream token against the build it is used for
+ */
+const verifyBuildStreamToken = (token, jobId) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === BUILD_STREAM_TOKEN_PURPOSE && decoded.jobId === jobId;
+  } catch (error) {
+    return false;
+  }
+};
+
 // Alias for backward compatibility
 const authenticateToken = auth;
 
@@ -215,5 +241,7 @@ export {
   adminOnly,
   developerOrAdmin,
   authRateLimit,
-  validateApiKey
+  validateApiKey,
+  createBuildStreamToken,
+  verifyBuildStreamToken
 };
\ No newline at end of file
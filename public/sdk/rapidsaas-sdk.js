@@ -0,0 +1,192 @@
+/**
+ * Rapid SaaS AI Store client SDK
+ *
+ * Include this on your site to use native features when it runs inside an app
+ * generated by Rapid SaaS AI Store, with the same code working in a normal browser:
+ *
+ *   <script src="https://rapid-saas-ai-store.onrender.com/sdk/rapidsaas-sdk.js"></script>
+ *   <script>
+ *     RapidSaaSSDK.ready().then(function () {
+ *       if (RapidSaaSSDK.isAvailable('biometrics')) { ... }
+ *       return RapidSaaSSDK.share({ title: 'Invoice', url: '/invoices/42' });
+ *     });
+ *   </script>
+ *
+ * Inside the app every call goes to the window.RapidSaaS bridge injected by the
+ * shell. Features the app does not enable reject with error.code "unavailable".
+ * In a browser the SDK falls back to Web APIs where they exist (Web Share, Badging,
+ * vibration, <a download>) and otherwise does nothing:
+ *
+ *   share                        navigator.share, else resolves { completed: false }
+ *   haptics.*                    navigator.vibrate, else no-op
+ *   secureStorage.get/set/remove no-op; get resolves null
+ *   biometrics.isAvailable       resolves { available: false, type: null }
+ *   biometrics.authenticate      rejects with code "unavailable"
+ *   push.getToken                resolves null
+ *   downloads.download           clicks an <a download> link
+ *   badge.set/clear              navigator.setAppBadge / clearAppBadge, else no-op
+ *
+ * Errors carry a code: unavailable, invalid, cancelled, denied or failed.
+ */
+(function (window) {
+  'use strict';
+
+  if (window.RapidSaaSSDK) return;
+
+  var READY_TIMEOUT = 1000;
+  var navigator = window.navigator || {};
+
+  var bridge = function () {
+    return window.RapidSaaS && window.RapidSaaS.isNative ? window.RapidSaaS : null;
+  };
+
+  var unavailable = function (feature) {
+    var error = new Error(feature + ' is not available in this browser');
+    error.code = 'unavailable';
+    return Promise.reject(error);
+  };
+
+  var vibrate = function (pattern) {
+    if (navigator.vibrate) navigator.vibrate(pattern);
+    return Promise.resolve({});
+  };
+
+  // Browser fallbacks, used when the page is not inside a generated app
+  var browser = {
+    features: {
+      share: function () { return Boolean(navigator.share); },
+      haptics: function () { return Boolean(navigator.vibrate); },
+      downloads: function () { return true; },
+      badge: function () { return Boolean(navigator.setAppBadge); }
+    },
+    share: function (options) {
+      if (!navigator.share) return Promise.resolve({ completed: false });
+      return navigator.share(options).then(function () {
+        return { completed: true };
+      }, function (error) {
+        if (error && error.name === 'AbortError') return { completed: false };
+        throw error;
+      });
+    },
+    haptics: {
+      impact: function (style) { return vibrate(style === 'heavy' ? 30 : style === 'light' ? 10 : 20); },
+      notification: function (type) { return vibrate(type === 'error' ? [30, 60, 30] : 20); },
+      selection: function () { return vibrate(10); }
+    },
+    secureStorage: {
+      get: function () { return Promise.resolve(null); },
+      set: function () { return Promise.resolve(); },
+      remove: function () { return Promise.resolve(); }
+    },
+    biometrics: {
+      isAvailable: function () { return Promise.resolve({ available: false, type: null }); },
+      authenticate: function () { return unavailable('biometrics'); }
+    },
+    push: {
+      getToken: function () { return Promise.resolve(null); }
+    },
+    downloads: {
+      download: function (options) {
+        options = typeof options === 'string' ? { url: options } : options || {};
+        var link = document.createElement('a');
+        link.href = new URL(options.url, location.href).href;
+        link.download = options.filename || '';
+        link.rel = 'noopener';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        return Promise.resolve({ started: true, filename: options.filename || null });
+      }
+    },
+    badge: {
+      set: function (count) {
+        count = Math.max(0, Math.floor(Number(count) || 0));
+        if (!navigator.setAppBadge) return Promise.resolve(count);
+        return (count ? navigator.setAppBadge(count) : navigator.clearAppBadge()).then(function () {
+          return count;
+        });
+      },
+      clear: function () {
+        return browser.badge.set(0);
+      }
+    }
+  };
+
+  // Call the native bridge when present, the browser fallback otherwise
+  var route = function (path) {
+    return function () {
+      var target = bridge() || browser;
+      var parts = path.split('.');
+      var owner = parts.length > 1 ? target[parts[0]] : target;
+      return owner[parts[parts.length - 1]].apply(owner, arguments);
+    };
+  };
+
+  var sdk = {
+    /**
+     * Wait for the native bridge
+     * @param {number} timeout - Milliseconds to wait before assuming a browser
+     * @returns {Promise<boolean>} true inside a generated app
+     */
+    ready: function (timeout) {
+      if (bridge()) return Promise.resolve(true);
+
+      return new Promise(function (resolve) {
+        var timer;
+        var done = function () {
+          clearTimeout(timer);
+          window.removeEventListener('rapidsaasready', done);
+          resolve(Boolean(bridge()));
+        };
+        window.addEventListener('rapidsaasready', done);
+        timer = setTimeout(done, timeout === undefined ? READY_TIMEOUT : timeout);
+      });
+    },
+
+    /**
+     * Whether the page runs inside a generated app
+     */
+    isNative: function () {
+      return Boolean(bridge());
+    },
+
+    /**
+     * Whether a feature does something here: enabled in the app, or backed by a
+     * Web API in the browser
+     * @param {string} feature - share, haptics, secureStorage, biometrics, push, downloads or badge
+     */
+    isAvailable: function (feature) {
+      var native = bridge();
+      if (native) return native.isAvailable(feature);
+      return Boolean(browser.features[feature] && browser.features[feature]());
+    },
+
+    share: route('share'),
+    haptics: {
+      impact: route('haptics.impact'),
+      notification: route('haptics.notification'),
+      selection: route('haptics.selection')
+    },
+    secureStorage: {
+      get: route('secureStorage.get'),
+      set: route('secureStorage.set'),
+      remove: route('secureStorage.remove')
+    },
+    biometrics: {
+      isAvailable: route('biometrics.isAvailable'),
+      authenticate: route('biometrics.authenticate')
+    },
+    push: {
+      getToken: route('push.getToken')
+    },
+    downloads: {
+      download: route('downloads.download')
+    },
+    badge: {
+      set: route('badge.set'),
+      clear: route('badge.clear')
+    }
+  };
+
+  window.RapidSaaSSDK = sdk;
+})(window);
@@ -1,6 +1,8 @@
 import express from 'express';
 import { analyzeWebsite, generateAppAssets, categorizeApp, generateDescription } from '../services/aiAnalyzer.js';
 import { generateIcon, generateSplashScreen } from '../services/iconGenerator.js';
+import { extractBrandKit } from '../services/brandKit.js';
+import { assertPublicUrl } from '../services/publicFetch.js';
 import { auth } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -72,6 +74,47 @@ router.post('/analyze-website', async (req, res) => {
   }
 });
 
+// @route   POST /api/ai/brand-kit
+// @desc    Extract a site's brand colours, palette, logo and icon
+// @access  Private
+router.post('/brand-kit', auth, async (req, res) => {
+  try {
+    const { url } = req.body;
+
+    if (!url) {
+      return res.status(400).json({ error: 'URL is required' });
+    }
+
+    try {
+      const parsed = new URL(url);
+      if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error('Unsupported protocol');
+      }
+    } catch {
+      return res.status(400).json({ error: 'Invalid URL format' });
+    }
+
+    // The server fetches the site, so it must not be pointed at internal addresses
+    try {
+      await assertPublicUrl(url);
+    } catch (error) {
+      return res.status(400).json({ error: 'URL must point to a public host', message: error.message });
+    }
+
+    res.json({
+      success: true,
+      brandKit: await extractBrandKit(url)
+    });
+
+  } catch (error) {
+    console.error('Brand Kit Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to extract brand kit', 
+      message: error.message 
+    });
+  }
+});
+
 // @route   POST /api/ai/generate-assets
 // @desc    Generate app assets using AI
 // @access  Public
@@ -81,6 +124,7 @@ router.post('/generate-assets', async (req, res) => {
       appName, 
       description, 
       category, 
+      url,
       style = 'modern',
       colorScheme = 'auto',
       iconType = 'logo'
@@ -90,6 +134,16 @@ router.post('/generate-assets', async (req, res) => {
       return res.status(400).json({ error: 'App name is required' });
     }
 
+    // With the site's URL the assets use its brand colours
+    let brandColors = {};
+    if (url) {
+      try {
+        brandColors = (await extractBrandKit(url)).colors;
+      } catch (error) {
+        console.warn('Brand colours unavailable for asset generation:', error.message);
+      }
+    }
+
     // Generate app icon
     const iconResult = await generateIcon({
       appName,
@@ -98,6 +152,7 @@ router.post('/generate-assets', async (req, res) => {
       style,
       colorScheme,
       iconType,
+      backgroundColor: brandColors.primary || undefined,
       sizes: ['512x512', '192x192', '144x144', '96x96', '72x72', '48x48']
     });
 
@@ -108,6 +163,7 @@ router.post('/generate-assets', async (req, res) => {
       colorScheme,
       style,
       theme: colorScheme === 'dark' ? 'dark' : 'light',
+      accentColor: brandColors.primary || undefined,
       orientations: ['portrait', 'landscape'],
       devices: ['phone', 'tablet']
     });
@@ -1,13 +1,76 @@
 import express from 'express';
 import multer from 'multer';
-import { validateUrl, generateAppAssets, createWebViewApp } from '../services/appGenerator.js';
+import { validateUrl } from '../services/appGenerator.js';
 import { analyzeWebsite } from '../services/aiAnalyzer.js';
+import { validateFeatures } from '../services/appFeatures.js';
+import { validatePwaOptions, checkPwaDeployment } from '../services/pwaBuilder.js';
+import { validateDesktopOptions } from '../services/desktopProject.js';
+import { validateInjections, previewInjections, PREVIEW_DEVICES } from '../services/webviewInjections.js';
+import {
+  STORE_SCREENSHOT_DEVICES,
+  validateScreenshotPlan,
+  renderStoreScreenshots,
+  mergeStoreScreenshots,
+  getMissingScreenshotDevices,
+  pickListingScreenshots
+} from '../services/storeScreenshots.js';
+import { PROMO_ASSETS, PROMO_TEMPLATES, validatePromoOptions, generatePromoAssets } from '../services/promoGraphics.js';
+import { generateIconPack } from '../services/iconGenerator.js';
+import {
+  LISTING_LIMITS,
+  validateListing,
+  listStoreListings,
+  saveStoreListing,
+  removeStoreListing,
+  draftStoreListings,
+  approveStoreListing
+} from '../services/storeListings.js';
+import { SUPPORTED_LANGUAGES } from '../services/globalScaling.js';
+import { loadSourceIcon } from '../services/apkBuilder.js';
+import { parseCssColor } from '../services/brandKit.js';
 import { uploadSingle, uploadMultiple } from '../services/fileUpload.js';
-import { createApp, getApps, getAppById, updateApp, deleteApp } from '../services/database.js';
-import { auth } from '../middleware/auth.js';
+import {
+  createApp,
+  getApps,
+  getAppById,
+  updateApp,
+  deleteApp,
+  getBuildJobs,
+  getBuildJobById,
+  getAppReleases,
+  getAppReleaseById,
+  getPushSegments,
+  getPushSegmentById,
+  createPushSegment,
+  updatePushSegment,
+  deletePushSegment,
+  getPushCampaigns,
+  getPushCampaignById
+} from '../services/database.js';
+import { buildFlutterProject } from '../services/flutterProject.js';
+import { captureOfflineBundle } from '../services/offlineBundle.js';
+import { generateDeepLinkFiles, getDeepLinkConfig } from '../services/deepLinks.js';
+import { buildEvents, cancelBuild, retryBuild, TERMINAL_STATUSES } from '../services/buildQueue.js';
+import { createRelease, getPublishableRelease, recordPublishRequest } from '../services/appReleases.js';
+import {
+  isPushEnabled,
+  registerDevice,
+  unregisterDevice,
+  recordOpen,
+  validateSegment,
+  validateAudienceFilters,
+  summarizeAudience,
+  scheduleCampaign,
+  cancelCampaign
+} from '../services/pushNotifications.js';
+import { auth, optionalAuth, createBuildStreamToken, verifyBuildStreamToken } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Builds belong to the signed-in user; builds started while signed out have no
+// owner (null) and are all that anonymous callers reach
+const getBuildOwnerId = (req) => (req.user ? req.user.id : null);
+
 // Configure multer for file uploads
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -100,8 +163,8 @@ router.post('/analyze', async (req, res) => {
 
 // @route   POST /api/apps/generate
 // @desc    Generate mobile app from SaaS URL
-// @access  Public
-router.post('/generate', async (req, res) => {
+// @access  Public (owned by the signed-in user; unowned when signed out)
+router.post('/generate', optionalAuth, async (req, res) => {
   try {
     const { 
       url, 
@@ -110,7 +173,10 @@ router.post('/generate', async (req, res) => {
       category, 
       targetPlatforms,
       customIcon,
-      userId 
+      features,
+      pwa,
+      desktop,
+      injections
     } = req.body;
 
     if (!url || !appName) {
@@ -119,54 +185,81 @@ router.post('/generate', async (req, res) => {
       });
     }
 
-    // Validate URL again
-    const validation = await validateUrl(url);
-    if (!validation.isValid) {
+    // Shell features decide the permissions the app asks for
+    const featureValidation = validateFeatures(features, { url });
+    if (!featureValidation.isValid) {
       return res.status(400).json({ 
-        error: 'Invalid URL', 
-        details: validation.errors 
+        error: 'Invalid features', 
+        details: featureValidation.errors 
       });
     }
 
-    // Generate app assets (icons, splash screens, etc.)
-    const assets = await generateAppAssets({
-      url,
-      appName,
-      description,
-      customIcon
-    });
+    const pwaValidation = validatePwaOptions(pwa);
+    if (!pwaValidation.isValid) {
+      return res.status(400).json({ 
+        error: 'Invalid PWA options', 
+        details: pwaValidation.errors 
+      });
+    }
 
-    // Create WebView wrapper app
-    const appPackage = await createWebViewApp({
-      url,
-      appName,
-      description,
-      category,
-      targetPlatforms,
-      assets
-    });
+    const desktopValidation = validateDesktopOptions(desktop);
+    if (!desktopValidation.isValid) {
+      return res.status(400).json({ 
+        error: 'Invalid desktop options', 
+        details: desktopValidation.errors 
+      });
+    }
 
-    // Save app to database
+    const injectionValidation = validateInjections(injections);
+    if (!injectionValidation.isValid) {
+      return res.status(400).json({ 
+        error: 'Invalid injection rules', 
+        details: injectionValidation.errors 
+      });
+    }
+
+    // Save app to database; the build worker fills in assets and packages
     const appData = {
-      user_id: userId || (req.user ? req.user.id : 'demo-user'),
+      user_id: getBuildOwnerId(req),
       name: appName,
       description: description,
       original_url: url,
       category: category,
       target_platforms: targetPlatforms,
-      assets: assets,
-      package_info: appPackage,
-      status: 'generated',
+      webview_injections: injectionValidation.injections,
+      status: 'building',
       created_at: new Date().toISOString()
     };
 
     const savedApp = await createApp(appData);
 
-    res.json({
+    // Queue the first release: validate → analyze → configure → assets → package → finalize
+    // Progress streams from GET /api/apps/:id/build/events
+    const { release, buildJob } = await createRelease({
+      app: savedApp,
+      userId: savedApp.user_id,
+      changelog: 'Initial release',
+      input: {
+        url,
+        appName,
+        description,
+        category,
+        targetPlatforms,
+        customIcon,
+        features: featureValidation.features,
+        pwa,
+        desktop,
+        injections: injectionValidation.injections
+      }
+    });
+
+    res.status(202).json({
       success: true,
-      message: 'App generated successfully',
+      message: 'App build queued',
       app: savedApp,
-      downloadLinks: appPackage.downloadLinks
+      release,
+      buildJob,
+      streamToken: createBuildStreamToken(buildJob.id)
     });
 
   } catch (error) {
@@ -277,16 +370,166 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
-// @route   PUT /api/apps/:id
-// @desc    Update app
+// @route   GET /api/apps/:id/source.zip
+// @desc    Download the app as a buildable Flutter project
 // @access  Private
-router.put('/:id', auth, async (req, res) => {
+router.get('/:id/source.zip', auth, async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
-    const updateData = req.body;
 
-    const updatedApp = await updateApp(id, userId, updateData);
+    const app = await getAppById(id, userId);
+
+    if (!app) {
+      return res.status(404).json({ error: 'App not found' });
+    }
+
+    if (!app.package_info?.build) {
+      return res.status(409).json({ 
+        error: 'App has no generated package to export' 
+      });
+    }
+
+    // Offline pages are captured fresh so the export matches the live site
+    const appPackage = app.package_info;
+    const offlineBundle = appPackage.configuration?.features?.offlineSupport
+      ? await captureOfflineBundle({ url: appPackage.configuration.webview.url, appName: appPackage.metadata.name })
+      : null;
+
+    const project = await buildFlutterProject(appPackage, { offlineBundle });
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${project.projectName}.zip"`);
+    res.send(project.buffer);
+
+  } catch (error) {
+    console.error('Export Source Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to export app source', 
+      message: error.message 
+    });
+  }
+});
+
+// Load an app's package and the deep link files its owner hosts
+const loadDeepLinkFiles = async (req) => {
+  const app = await getAppById(req.params.id, req.user.id);
+  if (!app) {
+    return { status: 404, error: 'App not found' };
+  }
+
+  if (!app.package_info?.build || !getDeepLinkConfig(app.package_info).enabled) {
+    return { status: 409, error: 'Deep links are not enabled for this app' };
+  }
+
+  return { deepLinks: await generateDeepLinkFiles(app.package_info, { teamId: req.query.teamId }) };
+};
+
+// @route   GET /api/apps/:id/deep-links
+// @desc    Get deep link hosts, paths and the well-known files to host
+// @access  Private
+router.get('/:id/deep-links', auth, async (req, res) => {
+  try {
+    const { status, error, deepLinks } = await loadDeepLinkFiles(req);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.json({
+      success: true,
+      ...deepLinks
+    });
+
+  } catch (error) {
+    console.error('Get Deep Links Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to generate deep link files', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   GET /api/apps/:id/deep-links/:file
+// @desc    Download assetlinks.json or apple-app-site-association
+// @access  Private
+router.get('/:id/deep-links/:file', auth, async (req, res) => {
+  try {
+    const { status, error, deepLinks } = await loadDeepLinkFiles(req);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    // Only the generated files, not inherited properties such as __proto__
+    if (!Object.hasOwn(deepLinks.files, req.params.file)) {
+      return res.status(404).json({ 
+        error: 'Unknown deep link file', 
+        files: Object.keys(deepLinks.files) 
+      });
+    }
+
+    const file = deepLinks.files[req.params.file];
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${req.params.file}"`);
+    res.send(JSON.stringify(file.content, null, 2));
+
+  } catch (error) {
+    console.error('Download Deep Link File Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to generate deep link file', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   GET /api/apps/:id/pwa/check
+// @desc    Check that the app's origin serves the deployed PWA files correctly
+// @access  Private
+router.get('/:id/pwa/check', auth, async (req, res) => {
+  try {
+    const app = await getAppById(req.params.id, req.user.id);
+
+    if (!app) {
+      return res.status(404).json({ error: 'App not found' });
+    }
+
+    if (!app.package_info?.downloadLinks?.pwa) {
+      return res.status(409).json({ 
+        error: 'App has no PWA build; add "pwa" to its target platforms' 
+      });
+    }
+
+    res.json({
+      success: true,
+      ...await checkPwaDeployment(app.package_info)
+    });
+
+  } catch (error) {
+    console.error('PWA Check Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to check PWA deployment', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   PUT /api/apps/:id/injections
+// @desc    Replace the app's CSS/JS injection rules; they ship with the next release
+// @access  Private
+router.put('/:id/injections', auth, async (req, res) => {
+  try {
+    const validation = validateInjections(req.body.injections);
+    if (!validation.isValid) {
+      return res.status(400).json({ 
+        error: 'Invalid injection rules', 
+        details: validation.errors 
+      });
+    }
+
+    const updatedApp = await updateApp(req.params.id, req.user.id, {
+      webview_injections: validation.injections
+    });
 
     if (!updatedApp) {
       return res.status(404).json({ error: 'App not found' });
@@ -294,64 +537,1331 @@ router.put('/:id', auth, async (req, res) => {
 
     res.json({
       success: true,
-      message: 'App updated successfully',
-      app: updatedApp
+      message: 'Injection rules saved; create a release to ship them',
+      injections: updatedApp.webview_injections
     });
 
   } catch (error) {
-    console.error('Update App Error:', error);
+    console.error('Update Injections Error:', error);
     res.status(500).json({ 
-      error: 'Failed to update app', 
+      error: 'Failed to update injection rules', 
       message: error.message 
     });
   }
 });
 
-// @route   DELETE /api/apps/:id
-// @desc    Delete app
+// @route   POST /api/apps/:id/injections/preview
+// @desc    Screenshot a page of the app with its injection rules applied
+//          Body: { path, device, injections } - injections previews unsaved rules
 // @access  Private
-router.delete('/:id', auth, async (req, res) => {
+router.post('/:id/injections/preview', auth, async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.user.id;
+    const { path = '/', device = 'mobile', injections } = req.body;
 
-    const deleted = await deleteApp(id, userId);
+    if (typeof path !== 'string' || !path.startsWith('/')) {
+      return res.status(400).json({ error: 'path must start with "/"' });
+    }
+    if (!PREVIEW_DEVICES[device]) {
+      return res.status(400).json({ 
+        error: `device must be one of ${Object.keys(PREVIEW_DEVICES).join(', ')}` 
+      });
+    }
 
-    if (!deleted) {
+    const app = await getAppById(req.params.id, req.user.id);
+    if (!app) {
       return res.status(404).json({ error: 'App not found' });
     }
 
+    const validation = validateInjections(injections ?? app.webview_injections ?? []);
+    if (!validation.isValid) {
+      return res.status(400).json({ 
+        error: 'Invalid injection rules', 
+        details: validation.errors 
+      });
+    }
+
+    const packageInfo = app.package_info || {};
+    const webview = packageInfo.configuration?.webview || {
+      url: app.original_url || app.url,
+      userAgent: 'RapidSaaSApp/1.0'
+    };
+    const appPackage = {
+      configuration: {
+        ...packageInfo.configuration,
+        webview: { ...webview, injections: validation.injections }
+      }
+    };
+
+    const pageUrl = new URL(path, webview.url);
+    if (pageUrl.origin !== new URL(webview.url).origin) {
+      return res.status(400).json({ error: 'path must stay on the app\'s site' });
+    }
+
     res.json({
       success: true,
-      message: 'App deleted successfully'
+      ...await previewInjections(appPackage, { url: pageUrl.href, device })
     });
 
   } catch (error) {
-    console.error('Delete App Error:', error);
+    console.error('Injection Preview Error:', error);
     res.status(500).json({ 
-      error: 'Failed to delete app', 
+      error: 'Failed to preview injections', 
       message: error.message 
     });
   }
 });
 
-// @route   POST /api/apps/:id/publish
-// @desc    Publish app to stores
-// @access  Public
-router.post('/:id/publish', async (req, res) => {
+// @route   GET /api/apps/:id/screenshots
+// @desc    Get the app's store screenshots and the required device sizes still missing
+// @access  Private
+router.get('/:id/screenshots', auth, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { targetStores } = req.body;
-    const userId = req.user ? req.user.id : 'demo-user';
+    const app = await getAppById(req.params.id, req.user.id);
+    if (!app) {
+      return res.status(404).json({ error: 'App not found' });
+    }
 
-    // This would integrate with actual app store APIs
-    // For MVP, we'll simulate the publishing process
-    
-    const app = await getAppById(id, userId);
+    const storeScreenshots = app.store_screenshots || [];
+
+    res.json({
+      success: true,
+      screenshots: storeScreenshots,
+      missing: Object.fromEntries(Object.keys(STORE_SCREENSHOT_DEVICES)
+        .map(store => [store, getMissingScreenshotDevices(storeScreenshots, store)])),
+      devices: STORE_SCREENSHOT_DEVICES
+    });
+
+  } catch (error) {
+    console.error('Get Store Screenshots Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch screenshots', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   POST /api/apps/:id/screenshots
+// @desc    Render store screenshots at each store's required sizes and attach them to the listing
+//          Body: { stores, devices, orientations, shots: [{ name, path, steps, caption }], frame }
+// @access  Private
+router.post('/:id/screenshots', auth, async (req, res) => {
+  try {
+    const app = await getAppById(req.params.id, req.user.id);
+    if (!app) {
+      return res.status(404).json({ error: 'App not found' });
+    }
+
+    const packageInfo = app.package_info || {};
+    const webview = packageInfo.configuration?.webview || {
+      url: app.original_url || app.url,
+      userAgent: 'RapidSaaSApp/1.0'
+    };
+    const appPackage = {
+      configuration: {
+        ...packageInfo.configuration,
+        webview: { ...webview, injections: webview.injections ?? app.webview_injections ?? [] }
+      }
+    };
+
+    const validation = validateScreenshotPlan(req.body, appPackage);
+    if (!validation.isValid) {
+      return res.status(400).json({ 
+        error: 'Invalid screenshot plan', 
+        details: validation.errors 
+      });
+    }
+
+    const { screenshots, errors } = await renderStoreScreenshots(appPackage, validation.plan, { appId: app.id });
+    if (screenshots.length === 0) {
+      return res.status(502).json({ 
+        error: 'No screenshots could be rendered', 
+        details: errors 
+      });
+    }
+
+    const storeScreenshots = mergeStoreScreenshots(app.store_screenshots, screenshots);
+    await updateApp(app.id, req.user.id, {
+      store_screenshots: storeScreenshots,
+      screenshots: pickListingScreenshots(storeScreenshots)
+    });
+
+    res.json({
+      success: true,
+      message: `Rendered ${screenshots.length} screenshots${errors.length ? `, ${errors.length} failed` : ''}`,
+      screenshots,
+      errors,
+      missing: Object.fromEntries(Object.keys(STORE_SCREENSHOT_DEVICES)
+        .map(store => [store, getMissingScreenshotDevices(storeScreenshots, store)]))
+    });
+
+  } catch (error) {
+    console.error('Render Store Screenshots Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to render screenshots', 
+      message: error.message 
+    });
+  }
+});
+
+// The app's package as the promo generator needs it, for apps built before
+// package_info carried everything
+const getPromoPackage = (app) => {
+  const packageInfo = app.package_info || {};
+  return {
+    metadata: { name: app.name, category: app.category, ...packageInfo.metadata },
+    configuration: packageInfo.configuration || { webview: { url: app.original_url || app.url } },
+    assets: packageInfo.assets || (app.icon ? { icons: { main: app.icon } } : {})
+  };
+};
+
+// @route   GET /api/apps/:id/promo-assets
+// @desc    Get the app's promo assets, the layout templates and the asset sizes
+// @access  Private
+router.get('/:id/promo-assets', auth, async (req, res) => {
+  try {
+    const app = await getAppById(req.params.id, req.user.id);
+    if (!app) {
+      return res.status(404).json({ error: 'App not found' });
+    }
+
+    res.json({
+      success: true,
+      promo: app.promo_assets || null,
+      templates: PROMO_TEMPLATES,
+      assets: PROMO_ASSETS
+    });
+
+  } catch (error) {
+    console.error('Get Promo Assets Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch promo assets', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   POST /api/apps/:id/promo-assets/preview
+// @desc    Render promo assets without saving them; images come back as data URLs
+//          Body: { template, assets, tagline, colors }
+// @access  Private
+router.post('/:id/promo-assets/preview', auth, async (req, res) => {
+  try {
+    const validation = validatePromoOptions(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({ 
+        error: 'Invalid promo options', 
+        details: validation.errors 
+      });
+    }
+
+    const app = await getAppById(req.params.id, req.user.id);
+    if (!app) {
+      return res.status(404).json({ error: 'App not found' });
+    }
+
+    res.json({
+      success: true,
+      promo: await generatePromoAssets(getPromoPackage(app), validation.options, {
+        upload: false,
+        features: app.ai_analysis?.features
+      })
+    });
+
+  } catch (error) {
+    console.error('Preview Promo Assets Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to preview promo assets', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   POST /api/apps/:id/promo-assets
+// @desc    Generate the store promo assets (feature graphic, TV banner, promo images) and save them
+//          Body: { template, assets, tagline, colors }
+// @access  Private
+router.post('/:id/promo-assets', auth, async (req, res) => {
+  try {
+    const validation = validatePromoOptions(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({ 
+        error: 'Invalid promo options', 
+        details: validation.errors 
+      });
+    }
+
+    const app = await getAppById(req.params.id, req.user.id);
     if (!app) {
       return res.status(404).json({ error: 'App not found' });
     }
 
+    const promo = await generatePromoAssets(getPromoPackage(app), validation.options, {
+      appId: app.id,
+      features: app.ai_analysis?.features
+    });
+
+    // Assets not generated this time are kept
+    const kept = (app.promo_assets?.assets || [])
+      .filter(saved => !promo.assets.some(asset => asset.asset === saved.asset));
+    const promoAssets = { ...promo, assets: [...kept, ...promo.assets] };
+    await updateApp(app.id, req.user.id, { promo_assets: promoAssets });
+
+    res.status(201).json({
+      success: true,
+      message: `Generated ${promo.assets.length} promo assets`,
+      promo: promoAssets
+    });
+
+  } catch (error) {
+    console.error('Generate Promo Assets Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to generate promo assets', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   POST /api/apps/:id/icon-pack
+// @desc    Generate Android adaptive, monochrome and legacy launcher icons plus the iOS
+//          AppIcon.appiconset from the app icon; returns a zip and a URL for each file
+//          Body: { backgroundColor }
+// @access  Private
+router.post('/:id/icon-pack', auth, async (req, res) => {
+  try {
+    const { backgroundColor } = req.body;
+    if (backgroundColor !== undefined && !parseCssColor(backgroundColor)) {
+      return res.status(400).json({ 
+        error: 'Invalid icon pack options', 
+        details: ['backgroundColor must be a hex or rgb() colour'] 
+      });
+    }
+
+    const app = await getAppById(req.params.id, req.user.id);
+    if (!app) {
+      return res.status(404).json({ error: 'App not found' });
+    }
+
+    const appPackage = getPromoPackage(app);
+    const pack = await generateIconPack({
+      appName: app.name,
+      category: app.category,
+      sourceIcon: await loadSourceIcon(appPackage.assets),
+      backgroundColor: backgroundColor || app.package_info?.brand?.colors?.primary,
+      appId: app.id
+    });
+
+    if (!pack.success) {
+      return res.status(500).json({ 
+        error: 'Failed to generate icon pack', 
+        message: pack.error 
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: pack.safeZone.padded
+        ? 'Generated icon pack; the logo was padded into the adaptive icon safe zone'
+        : 'Generated icon pack',
+      iconPack: pack
+    });
+
+  } catch (error) {
+    console.error('Generate Icon Pack Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to generate icon pack', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   GET /api/apps/:id/listings
+// @desc    Get the app's Google Play listing in every locale, with the supported languages
+// @access  Private
+router.get('/:id/listings', auth, async (req, res) => {
+  try {
+    const app = await getAppById(req.params.id, req.user.id);
+    if (!app) {
+      return res.status(404).json({ error: 'App not found' });
+    }
+
+    res.json({
+      success: true,
+      listings: await listStoreListings(app.id),
+      languages: Object.fromEntries(Object.entries(SUPPORTED_LANGUAGES)
+        .map(([code, language]) => [code, language.name])),
+      limits: LISTING_LIMITS
+    });
+
+  } catch (error) {
+    console.error('Get Store Listings Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch listings', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   POST /api/apps/:id/listings/draft
+// @desc    Machine-draft listing translations from the source language; the source listing
+//          is drafted from the website analysis when there is none. Only machine drafts are
+//          replaced unless overwrite is true
+//          Body: { sourceLanguage, languages, overwrite }
+// @access  Private
+router.post('/:id/listings/draft', auth, async (req, res) => {
+  try {
+    const { sourceLanguage, languages, overwrite } = req.body;
+    if (languages !== undefined && (!Array.isArray(languages) || languages.length === 0)) {
+      return res.status(400).json({ 
+        error: 'Invalid draft options', 
+        details: ['languages must be a non-empty array'] 
+      });
+    }
+
+    const app = await getAppById(req.params.id, req.user.id);
+    if (!app) {
+      return res.status(404).json({ error: 'App not found' });
+    }
+
+    const result = await draftStoreListings(app, { sourceLanguage, languages, overwrite: overwrite === true });
+    if (result.errors) {
+      return res.status(400).json({ 
+        error: 'Failed to draft listings', 
+        details: result.errors 
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Drafted ${result.listings.length} listing(s) for review${result.failed.length ? `; ${result.failed.length} could not be translated` : ''}`,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Draft Store Listings Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to draft listings', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   PUT /api/apps/:id/listings/:language
+// @desc    Write the listing of a locale; it needs approval again before it is pushed
+//          Body: { title, shortDescription, fullDescription, screenshots: [{ device, url }] }
+// @access  Private
+router.put('/:id/listings/:language', auth, async (req, res) => {
+  try {
+    const validation = validateListing(req.params.language, req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({ 
+        error: 'Invalid listing', 
+        details: validation.errors 
+      });
+    }
+
+    const app = await getAppById(req.params.id, req.user.id);
+    if (!app) {
+      return res.status(404).json({ error: 'App not found' });
+    }
+
+    res.json({
+      success: true,
+      listing: await saveStoreListing(app.id, req.params.language, validation.listing)
+    });
+
+  } catch (error) {
+    console.error('Save Store Listing Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to save listing', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   POST /api/apps/:id/listings/:language/approve
+// @desc    Approve a reviewed locale so the next push includes it
+// @access  Private
+router.post('/:id/listings/:language/approve', auth, async (req, res) => {
+  try {
+    const app = await getAppById(req.params.id, req.user.id);
+    if (!app) {
+      return res.status(404).json({ error: 'App not found' });
+    }
+
+    const result = await approveStoreListing(app.id, req.params.language, req.user.id);
+    if (!result) {
+      return res.status(404).json({ error: 'Listing not found' });
+    }
+    if (result.errors) {
+      return res.status(409).json({ 
+        error: result.errors[0], 
+        details: result.errors 
+      });
+    }
+
+    res.json({
+      success: true,
+      listing: result.listing
+    });
+
+  } catch (error) {
+    console.error('Approve Store Listing Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to approve listing', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   DELETE /api/apps/:id/listings/:language
+// @desc    Delete the listing of a locale (listings already on Google Play stay there)
+// @access  Private
+router.delete('/:id/listings/:language', auth, async (req, res) => {
+  try {
+    const app = await getAppById(req.params.id, req.user.id);
+    if (!app) {
+      return res.status(404).json({ error: 'App not found' });
+    }
+
+    if (!await removeStoreListing(app.id, req.params.language)) {
+      return res.status(404).json({ error: 'Listing not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Listing deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete Store Listing Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete listing', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   POST /api/apps/:id/releases
+// @desc    Create a new release and queue its build
+// @access  Private
+router.post('/:id/releases', auth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { bump, version, changelog } = req.body;
+
+    const app = await getAppById(id, req.user.id);
+    if (!app) {
+      return res.status(404).json({ error: 'App not found' });
+    }
+
+    const { errors, release, buildJob } = await createRelease({
+      app,
+      userId: req.user.id,
+      bump,
+      version,
+      changelog
+    });
+
+    if (errors) {
+      return res.status(400).json({ 
+        error: 'Invalid release', 
+        details: errors 
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: `Release ${release.version} queued`,
+      release,
+      buildJob,
+      streamToken: createBuildStreamToken(buildJob.id)
+    });
+
+  } catch (error) {
+    console.error('Create Release Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to create release', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   GET /api/apps/:id/releases
+// @desc    Get releases for an app, newest first
+// @access  Private
+router.get('/:id/releases', auth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, limit = 20 } = req.query;
+
+    const app = await getAppById(id, req.user.id);
+    if (!app) {
+      return res.status(404).json({ error: 'App not found' });
+    }
+
+    const releases = await getAppReleases(id, {
+      status,
+      limit: Math.min(parseInt(limit) || 20, 100)
+    });
+
+    res.json({
+      success: true,
+      releases
+    });
+
+  } catch (error) {
+    console.error('Get Releases Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch releases', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   GET /api/apps/:id/releases/:releaseId
+// @desc    Get a single release with its artifacts
+// @access  Private
+router.get('/:id/releases/:releaseId', auth, async (req, res) => {
+  try {
+    const { id, releaseId } = req.params;
+
+    const app = await getAppById(id, req.user.id);
+    if (!app) {
+      return res.status(404).json({ error: 'App not found' });
+    }
+
+    const release = await getAppReleaseById(releaseId, id);
+    if (!release) {
+      return res.status(404).json({ error: 'Release not found' });
+    }
+
+    res.json({
+      success: true,
+      release
+    });
+
+  } catch (error) {
+    console.error('Get Release Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch release', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   POST /api/apps/:id/push/devices
+// @desc    Register a device token; called by the generated apps
+//          Body: { token, platform, locale, appVersion, externalUserId, tags }
+// @access  Public
+router.post('/:id/push/devices', async (req, res) => {
+  try {
+    const app = await getAppById(req.params.id);
+    if (!app) {
+      return res.status(404).json({ error: 'App not found' });
+    }
+    if (!isPushEnabled(app)) {
+      return res.status(409).json({ error: 'Push notifications are not enabled for this app' });
+    }
+
+    const { errors, device } = await registerDevice(app.id, req.body);
+    if (errors) {
+      return res.status(400).json({ 
+        error: 'Invalid device', 
+        details: errors 
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      device: { id: device.id, platform: device.platform }
+    });
+
+  } catch (error) {
+    console.error('Register Push Device Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to register device', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   DELETE /api/apps/:id/push/devices/:token
+// @desc    Unregister a device token; called by the generated apps
+// @access  Public
+router.delete('/:id/push/devices/:token', async (req, res) => {
+  try {
+    const removed = await unregisterDevice(req.params.id, req.params.token);
+    if (!removed) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Device unregistered'
+    });
+
+  } catch (error) {
+    console.error('Unregister Push Device Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to unregister device', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   POST /api/apps/:id/push/opens
+// @desc    Record an opened notification; called by the generated apps
+//          Body: { campaignId, token, platform } where token is the device's registered token
+// @access  Public
+router.post('/:id/push/opens', async (req, res) => {
+  try {
+    const { campaignId, token } = req.body;
+    if (typeof campaignId !== 'string' || !campaignId || typeof token !== 'string' || !token) {
+      return res.status(400).json({ error: 'campaignId and the device token are required' });
+    }
+
+    const campaign = await recordOpen(req.params.id, req.body);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign or device not found' });
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Record Push Open Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to record open', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   GET /api/apps/:id/push/segments
+// @desc    Get the app's push segments
+// @access  Private
+router.get('/:id/push/segments', auth, async (req, res) => {
+  try {
+    const app = await getAppById(req.params.id, req.user.id);
+    if (!app) {
+      return res.status(404).json({ error: 'App not found' });
+    }
+
+    res.json({
+      success: true,
+      segments: await getPushSegments(app.id)
+    });
+
+  } catch (error) {
+    console.error('Get Push Segments Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch segments', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   POST /api/apps/:id/push/segments
+// @desc    Create a push segment
+//          Body: { name, filters: { platforms, locales, tags, externalUserIds, activeWithinDays } }
+// @access  Private
+router.post('/:id/push/segments', auth, async (req, res) => {
+  try {
+    const validation = validateSegment(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({ 
+        error: 'Invalid segment', 
+        details: validation.errors 
+      });
+    }
+
+    const app = await getAppById(req.params.id, req.user.id);
+    if (!app) {
+      return res.status(404).json({ error: 'App not found' });
+    }
+
+    const segment = await createPushSegment({ app_id: app.id, ...validation.segment });
+
+    res.status(201).json({
+      success: true,
+      segment
+    });
+
+  } catch (error) {
+    console.error('Create Push Segment Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to create segment', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   PUT /api/apps/:id/push/segments/:segmentId
+// @desc    Replace a push segment's name and filters
+// @access  Private
+router.put('/:id/push/segments/:segmentId', auth, async (req, res) => {
+  try {
+    const validation = validateSegment(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({ 
+        error: 'Invalid segment', 
+        details: validation.errors 
+      });
+    }
+
+    const app = await getAppById(req.params.id, req.user.id);
+    if (!app) {
+      return res.status(404).json({ error: 'App not found' });
+    }
+
+    const segment = await updatePushSegment(req.params.segmentId, app.id, validation.segment);
+    if (!segment) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+
+    res.json({
+      success: true,
+      segment
+    });
+
+  } catch (error) {
+    console.error('Update Push Segment Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update segment', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   DELETE /api/apps/:id/push/segments/:segmentId
+// @desc    Delete a push segment
+// @access  Private
+router.delete('/:id/push/segments/:segmentId', auth, async (req, res) => {
+  try {
+    const app = await getAppById(req.params.id, req.user.id);
+    if (!app) {
+      return res.status(404).json({ error: 'App not found' });
+    }
+
+    if (!await deletePushSegment(req.params.segmentId, app.id)) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Segment deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete Push Segment Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete segment', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   POST /api/apps/:id/push/audience
+// @desc    Count the devices an audience reaches, per platform
+//          Body: { segmentId } or { filters }, empty for every device
+// @access  Private
+router.post('/:id/push/audience', auth, async (req, res) => {
+  try {
+    const { segmentId, filters } = req.body;
+    const validation = filters !== undefined ? validateAudienceFilters(filters) : { isValid: true };
+    if (!validation.isValid) {
+      return res.status(400).json({ 
+        error: 'Invalid audience', 
+        details: validation.errors 
+      });
+    }
+
+    const app = await getAppById(req.params.id, req.user.id);
+    if (!app) {
+      return res.status(404).json({ error: 'App not found' });
+    }
+    if (segmentId && !await getPushSegmentById(segmentId, app.id)) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+
+    res.json({
+      success: true,
+      audience: await summarizeAudience(app.id, segmentId ? { segmentId } : { filters: validation.filters })
+    });
+
+  } catch (error) {
+    console.error('Push Audience Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to count audience', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   POST /api/apps/:id/push
+// @desc    Compose a push campaign, sent now or at sendAt
+//          Body: { title, body, url, imageUrl, badge, data, audience: { segmentId } | { filters }, sendAt }
+// @access  Private
+router.post('/:id/push', auth, async (req, res) => {
+  try {
+    const app = await getAppById(req.params.id, req.user.id);
+    if (!app) {
+      return res.status(404).json({ error: 'App not found' });
+    }
+    if (!isPushEnabled(app)) {
+      return res.status(409).json({ error: 'Push notifications are not enabled for this app' });
+    }
+
+    const { errors, campaign } = await scheduleCampaign({
+      app,
+      userId: req.user.id,
+      input: req.body
+    });
+
+    if (errors) {
+      return res.status(400).json({ 
+        error: 'Invalid push campaign', 
+        details: errors 
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: campaign.send_at > new Date().toISOString()
+        ? `Push scheduled for ${campaign.send_at}`
+        : 'Push queued for delivery',
+      campaign
+    });
+
+  } catch (error) {
+    console.error('Create Push Campaign Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to create push campaign', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   GET /api/apps/:id/push
+// @desc    Get the app's push campaigns with delivery and open counts, newest first
+// @access  Private
+router.get('/:id/push', auth, async (req, res) => {
+  try {
+    const { status, limit = 20 } = req.query;
+
+    const app = await getAppById(req.params.id, req.user.id);
+    if (!app) {
+      return res.status(404).json({ error: 'App not found' });
+    }
+
+    const campaigns = await getPushCampaigns(app.id, {
+      status,
+      limit: Math.min(parseInt(limit) || 20, 100)
+    });
+
+    res.json({
+      success: true,
+      campaigns
+    });
+
+  } catch (error) {
+    console.error('Get Push Campaigns Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch push campaigns', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   GET /api/apps/:id/push/:campaignId
+// @desc    Get a push campaign with its delivery and open counts
+// @access  Private
+router.get('/:id/push/:campaignId', auth, async (req, res) => {
+  try {
+    const app = await getAppById(req.params.id, req.user.id);
+    if (!app) {
+      return res.status(404).json({ error: 'App not found' });
+    }
+
+    const campaign = await getPushCampaignById(req.params.campaignId, app.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    res.json({
+      success: true,
+      campaign
+    });
+
+  } catch (error) {
+    console.error('Get Push Campaign Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch push campaign', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   POST /api/apps/:id/push/:campaignId/cancel
+// @desc    Cancel a scheduled push campaign
+// @access  Private
+router.post('/:id/push/:campaignId/cancel', auth, async (req, res) => {
+  try {
+    const app = await getAppById(req.params.id, req.user.id);
+    if (!app) {
+      return res.status(404).json({ error: 'App not found' });
+    }
+
+    const campaign = await getPushCampaignById(req.params.campaignId, app.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const cancelled = await cancelCampaign(campaign.id);
+    if (!cancelled) {
+      return res.status(409).json({ 
+        error: `Campaign is already ${campaign.status === 'scheduled' ? 'sending' : campaign.status}` 
+      });
+    }
+
+    res.json({
+      success: true,
+      campaign: cancelled
+    });
+
+  } catch (error) {
+    console.error('Cancel Push Campaign Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to cancel push campaign', 
+      message: error.message 
+    });
+  }
+});
+
+// Find a build job belonging to an app and to the caller
+const findAppBuildJob = async (req) => {
+  const job = await getBuildJobById(req.params.jobId);
+  if (!job || job.app_id !== req.params.id) return null;
+  if ((job.user_id || null) !== getBuildOwnerId(req)) return null;
+  return job;
+};
+
+// @route   GET /api/apps/:id/builds
+// @desc    Get build history for an app
+// @access  Public (owner's builds; unowned builds when signed out)
+router.get('/:id/builds', optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, limit = 20 } = req.query;
+
+    const builds = await getBuildJobs({
+      appId: id,
+      userId: getBuildOwnerId(req),
+      status,
+      limit: Math.min(parseInt(limit) || 20, 100)
+    });
+
+    res.json({
+      success: true,
+      builds
+    });
+
+  } catch (error) {
+    console.error('Get Builds Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch builds', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   GET /api/apps/:id/builds/:jobId
+// @desc    Get a single build with its steps and logs
+// @access  Public (owner's builds; unowned builds when signed out)
+router.get('/:id/builds/:jobId', optionalAuth, async (req, res) => {
+  try {
+    const build = await findAppBuildJob(req);
+
+    if (!build) {
+      return res.status(404).json({ error: 'Build not found' });
+    }
+
+    res.json({
+      success: true,
+      build
+    });
+
+  } catch (error) {
+    console.error('Get Build Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch build', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   POST /api/apps/:id/builds/:jobId/cancel
+// @desc    Cancel a queued or running build
+// @access  Public (owner's builds; unowned builds when signed out)
+router.post('/:id/builds/:jobId/cancel', optionalAuth, async (req, res) => {
+  try {
+    const build = await findAppBuildJob(req);
+
+    if (!build) {
+      return res.status(404).json({ error: 'Build not found' });
+    }
+
+    if (['completed', 'failed', 'cancelled'].includes(build.status)) {
+      return res.status(409).json({ 
+        error: `Build already ${build.status}` 
+      });
+    }
+
+    const updatedBuild = await cancelBuild(build.id);
+
+    res.json({
+      success: true,
+      message: updatedBuild.status === 'cancelled' ? 'Build cancelled' : 'Build will stop after the current step',
+      build: updatedBuild
+    });
+
+  } catch (error) {
+    console.error('Cancel Build Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to cancel build', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   POST /api/apps/:id/builds/:jobId/retry
+// @desc    Queue a new build from a failed or cancelled one
+// @access  Public (owner's builds; unowned builds when signed out)
+router.post('/:id/builds/:jobId/retry', optionalAuth, async (req, res) => {
+  try {
+    const build = await findAppBuildJob(req);
+
+    if (!build) {
+      return res.status(404).json({ error: 'Build not found' });
+    }
+
+    const newBuild = await retryBuild(build.id);
+
+    if (!newBuild) {
+      return res.status(409).json({ 
+        error: 'Only failed or cancelled builds can be retried' 
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Build queued',
+      build: newBuild,
+      streamToken: createBuildStreamToken(newBuild.id)
+    });
+
+  } catch (error) {
+    console.error('Retry Build Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to retry build', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   POST /api/apps/:id/builds/:jobId/stream-token
+// @desc    Get a short-lived token for the build's event stream
+// @access  Public (owner's builds; unowned builds when signed out)
+router.post('/:id/builds/:jobId/stream-token', optionalAuth, async (req, res) => {
+  try {
+    const build = await findAppBuildJob(req);
+
+    if (!build) {
+      return res.status(404).json({ error: 'Build not found' });
+    }
+
+    res.json({
+      success: true,
+      streamToken: createBuildStreamToken(build.id)
+    });
+
+  } catch (error) {
+    console.error('Build Stream Token Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to issue build stream token', 
+      message: error.message 
+    });
+  }
+});
+
+const BUILD_EVENT_HEARTBEAT_MS = 15000;
+const BUILD_END_EVENTS = ['completed', 'failed', 'cancelled'];
+
+// @route   GET /api/apps/:id/build/events
+// @desc    Stream build progress as Server-Sent Events
+//          EventSource sends no Authorization header, so owners pass the
+//          build's stream token as ?token= along with ?jobId=
+// @access  Public (owner's builds; unowned builds when signed out)
+router.get('/:id/build/events', optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { jobId, token } = req.query;
+
+    let build;
+    if (jobId && token) {
+      const job = verifyBuildStreamToken(token, jobId) ? await getBuildJobById(jobId) : null;
+      build = job && job.app_id === id ? job : null;
+    } else if (jobId) {
+      build = await findAppBuildJob({ params: { id, jobId }, user: req.user });
+    } else {
+      [build] = await getBuildJobs({ appId: id, userId: getBuildOwnerId(req), limit: 1 });
+    }
+
+    if (!build) {
+      return res.status(404).json({ error: 'Build not found' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const send = (type, data) => {
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+      // compression() buffers the response unless it is flushed
+      res.flush?.();
+    };
+
+    // Current state first, so late subscribers can render everything so far
+    send('snapshot', { build });
+    if (TERMINAL_STATUSES.includes(build.status)) {
+      return res.end();
+    }
+
+    const heartbeat = setInterval(() => {
+      res.write(': heartbeat\n\n');
+      res.flush?.();
+    }, BUILD_EVENT_HEARTBEAT_MS);
+
+    const stop = () => {
+      clearInterval(heartbeat);
+      buildEvents.off('event', onEvent);
+    };
+
+    const onEvent = (event) => {
+      if (event.jobId !== build.id) return;
+
+      send(event.type, { jobId: event.jobId, ...event.data });
+      if (BUILD_END_EVENTS.includes(event.type)) {
+        stop();
+        res.end();
+      }
+    };
+
+    buildEvents.on('event', onEvent);
+    req.on('close', stop);
+
+  } catch (error) {
+    console.error('Build Events Error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ 
+      error: 'Failed to stream build events', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   PUT /api/apps/:id
+// @desc    Update app
+// @access  Private
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const updateData = req.body;
+
+    const updatedApp = await updateApp(id, userId, updateData);
+
+    if (!updatedApp) {
+      return res.status(404).json({ error: 'App not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'App updated successfully',
+      app: updatedApp
+    });
+
+  } catch (error) {
+    console.error('Update App Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update app', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   DELETE /api/apps/:id
+// @desc    Delete app
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const deleted = await deleteApp(id, userId);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'App not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'App deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete App Error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete app', 
+      message: error.message 
+    });
+  }
+});
+
+// @route   POST /api/apps/:id/publish
+// @desc    Publish app to stores
+// @access  Public
+router.post('/:id/publish', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { targetStores = [], releaseId } = req.body;
+    const userId = req.user ? req.user.id : 'demo-user';
+
+    // This would integrate with actual app store APIs
+    // For MVP, we'll simulate the publishing process
+    
+    const app = await getAppById(id, userId);
+    if (!app) {
+      return res.status(404).json({ error: 'App not found' });
+    }
+
+    // Stores reject re-uploads of a version code, so publishing always targets a built release
+    const release = await getPublishableRelease(id, releaseId);
+    if (!release) {
+      return res.status(409).json({ 
+        error: releaseId ? 'Release not found or not ready to publish' : 'No release is ready to publish' 
+      });
+    }
+
+    // Nothing is uploaded here, so the release is only marked as requested, not published
+    const requestedRelease = targetStores.length > 0
+      ? await recordPublishRequest(release, targetStores)
+      : release;
+
     // Update app status to publishing
     await updateApp(id, userId, { 
       status: 'publishing',
@@ -363,7 +1873,8 @@ router.post('/:id/publish', async (req, res) => {
       success: true,
       message: 'App publishing initiated',
       estimatedTime: '24-48 hours',
-      targetStores: targetStores
+      targetStores: targetStores,
+      release: requestedRelease
     });
 
   } catch (error) {
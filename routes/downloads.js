@@ -0,0 +1,94 @@
+import express from 'express';
+import multer from 'multer';
+import os from 'os';
+import fs from 'fs/promises';
+import { loadBuildManifest, verifyManifestSignature, verifyArtifact } from '../services/buildManifest.js';
+
+const router = express.Router();
+
+// Uploads are written to a temporary file and hashed from disk, so they never sit in memory
+const upload = multer({
+  dest: os.tmpdir(),
+  limits: {
+    fileSize: 200 * 1024 * 1024, // 200MB limit
+  }
+});
+
+// @route   GET /api/downloads/:filename/manifest
+// @desc    Get the signed build manifest covering a downloaded artifact
+// @access  Public
+router.get('/:filename/manifest', async (req, res) => {
+  try {
+    const manifest = await loadBuildManifest(req.params.filename);
+
+    if (!manifest) {
+      return res.status(404).json({ error: 'Build manifest not found' });
+    }
+
+    res.json({
+      success: true,
+      signature: await verifyManifestSignature(manifest),
+      manifest
+    });
+
+  } catch (error) {
+    console.error('Get Build Manifest Error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch build manifest',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/downloads/verify
+// @desc    Check that a downloaded file matches its signed build manifest
+//          Send the file as multipart "file", or { filename, sha256 } as JSON
+// @access  Public
+router.post('/verify', upload.single('file'), async (req, res) => {
+  try {
+    const filename = req.body.filename || req.file?.originalname;
+    const { sha256 } = req.body;
+
+    if (!filename) {
+      return res.status(400).json({
+        error: 'filename or file is required'
+      });
+    }
+
+    if (sha256 && !/^[a-f0-9]{64}$/i.test(sha256)) {
+      return res.status(400).json({
+        error: 'sha256 must be a hex encoded SHA-256 digest'
+      });
+    }
+
+    const verification = await verifyArtifact({
+      filename,
+      filePath: req.file?.path,
+      sha256
+    });
+
+    if (!verification) {
+      return res.status(404).json({
+        error: 'No build manifest covers this file'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...verification
+    });
+
+  } catch (error) {
+    console.error('Verify Download Error:', error);
+    res.status(500).json({
+      error: 'Failed to verify download',
+      message: error.message
+    });
+  } finally {
+    if (req.file) {
+      await fs.unlink(req.file.path).catch(() => {});
+    }
+  }
+});
+
+export default router;
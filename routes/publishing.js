@@ -1,25 +1,44 @@
 import express from 'express';
-import { GooglePlayConsoleService } from '../services/googlePlayConsole.js';
-import { generateAPKFile } from '../services/appGenerator.js';
+import { createWebViewApp, isValidPackageName } from '../services/appGenerator.js';
+import { getAppById, getAppReleases } from '../services/database.js';
+import { getPublishableRelease, recordReleasePublish } from '../services/appReleases.js';
+import {
+    startAuthorization,
+    completeAuthorization,
+    openPublishingSession,
+    listPublishingSessions,
+    revokePublishingSession
+} from '../services/publishingSessions.js';
+import {
+    validateTrackOperation,
+    toReleaseState,
+    recordReleaseAudit,
+    getTrackStates,
+    runTrackOperation,
+    getReleaseAuditTrail
+} from '../services/playTracks.js';
+import { pushStoreListings } from '../services/storeListings.js';
+import { checkPlayUploadKeystore } from '../services/signingKeystore.js';
+import { loadShellDex } from '../services/apkBuilder.js';
+import { auth } from '../middleware/auth.js';
 import fs from 'fs/promises';
 import path from 'path';
 
 const router = express.Router();
-const googlePlayService = new GooglePlayConsoleService();
-
-// Store user sessions temporarily (in production, use Redis or database)
-const userSessions = new Map();
 
 /**
  * Initiate OAuth authorization flow
+ * Creates a pending publishing session for the signed-in user; the callback
+ * activates it.
  */
-router.get('/authorize', (req, res) => {
+router.get('/authorize', auth, async (req, res) => {
     try {
-        const authUrl = googlePlayService.getAuthorizationUrl();
+        const { session, authorizationUrl } = await startAuthorization(req.user.id);
         
         res.json({
             success: true,
-            authorizationUrl: authUrl,
+            authorizationUrl,
+            sessionId: session.id,
             message: 'Please authorize your Google Play Developer account'
         });
 
@@ -39,33 +58,21 @@ router.get('/oauth/callback', async (req, res) => {
     try {
         const { code, state } = req.query;
 
-        if (!code) {
+        if (!code || !state) {
             return res.status(400).json({
                 success: false,
-                error: 'Authorization code not provided'
+                error: 'Authorization code and state are required'
             });
         }
 
-        // Exchange code for tokens
-        const tokenResult = await googlePlayService.exchangeCodeForTokens(code);
-        
-        if (!tokenResult.success) {
-            return res.status(401).json({
-                success: false,
-                error: 'Failed to exchange authorization code'
-            });
+        // The state identifies the pending session, and with it the user
+        const session = await completeAuthorization(state, code);
+        if (!session) {
+            return res.redirect('/publish.html?error=authorization_expired');
         }
 
-        // Generate session ID and store tokens
-        const sessionId = 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-        userSessions.set(sessionId, {
-            tokens: tokenResult.tokens,
-            authorizedAt: new Date(),
-            expiresAt: new Date(tokenResult.tokens.expiry_date)
-        });
-
         // Redirect to success page with session ID
-        res.redirect(`/publish.html?authorized=true&session=${sessionId}`);
+        res.redirect(`/publish.html?authorized=true&session=${session.id}`);
 
     } catch (error) {
         console.error('OAuth callback error:', error);
@@ -76,7 +83,7 @@ router.get('/oauth/callback', async (req, res) => {
 /**
  * Validate user authorization status
  */
-router.post('/validate-authorization', async (req, res) => {
+router.post('/validate-authorization', auth, async (req, res) => {
     try {
         const { sessionId, packageName } = req.body;
 
@@ -87,28 +94,17 @@ router.post('/validate-authorization', async (req, res) => {
             });
         }
 
-        const session = userSessions.get(sessionId);
-        if (!session) {
-            return res.status(401).json({
-                success: false,
-                error: 'Invalid or expired session'
-            });
-        }
-
-        // Check if tokens are still valid
-        if (new Date() > session.expiresAt) {
-            userSessions.delete(sessionId);
+        // Refreshes the access token when it is about to expire
+        const publishing = await openPublishingSession(sessionId, req.user.id);
+        if (!publishing) {
             return res.status(401).json({
                 success: false,
-                error: 'Authorization expired, please re-authorize'
+                error: 'Invalid or expired session, please re-authorize'
             });
         }
-
-        // Initialize API with stored tokens
-        await googlePlayService.initializeWithTokens(session.tokens);
         
         // Validate package name access
-        const validationResult = await googlePlayService.validateCredentials(packageName);
+        const validationResult = await publishing.service.validateCredentials(packageName);
         
         if (!validationResult.success) {
             return res.status(403).json({
@@ -133,95 +129,215 @@ router.post('/validate-authorization', async (req, res) => {
     }
 });
 
+// Signer recorded in the description written next to a built bundle
+const readBundleSigner = async (aabFilePath) => {
+    try {
+        const description = JSON.parse(await fs.readFile(`${aabFilePath}.json`, 'utf8'));
+        return description.signer || null;
+    } catch {
+        return null;
+    }
+};
+
 /**
  * Publish app to Google Play Console using OAuth session
+ * Pass appId (and optionally releaseId, default the newest ready release) to
+ * upload a built release; otherwise a one-off build is made from websiteUrl.
  */
-router.post('/publish', async (req, res) => {
+router.post('/publish', auth, async (req, res) => {
     try {
         const { 
             sessionId,
+            appId,
+            releaseId,
             packageName, 
             appName, 
             appDescription, 
             websiteUrl,
             iconUrl,
-            track = 'internal' // Default to internal testing
+            userFraction // Below 1 starts a staged rollout
         } = req.body;
 
         // Validate required fields
-        if (!sessionId || !packageName || !appName || !websiteUrl) {
+        if (!sessionId || (!appId && (!packageName || !appName || !websiteUrl))) {
             return res.status(400).json({
                 success: false,
-                error: 'Missing required fields: sessionId, packageName, appName, websiteUrl'
+                error: 'Missing required fields: sessionId and either appId or packageName, appName, websiteUrl'
             });
         }
 
-        // Validate session
-        const session = userSessions.get(sessionId);
-        if (!session) {
-            return res.status(401).json({
+        if (!appId && !isValidPackageName(packageName)) {
+            return res.status(400).json({
                 success: false,
-                error: 'Invalid or expired session. Please re-authorize.'
+                error: 'Invalid packageName: use an Android application ID such as com.example.app'
             });
         }
 
-        // Check if tokens are still valid
-        if (new Date() > session.expiresAt) {
-            userSessions.delete(sessionId);
+        // Default to internal testing
+        const validation = validateTrackOperation('publish', { track: req.body.track || 'internal', userFraction });
+        if (!validation.isValid) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid track',
+                details: validation.errors
+            });
+        }
+        const { track } = validation.operation;
+
+        const keystoreError = await checkPlayUploadKeystore();
+        if (keystoreError) {
+            return res.status(409).json({
+                success: false,
+                error: keystoreError
+            });
+        }
+
+        // One-off builds need the Android shell; report a missing one before building
+        if (!appId) {
+            const shellError = await loadShellDex().then(() => null, error => error);
+            if (shellError) {
+                return res.status(503).json({
+                    success: false,
+                    error: shellError.message
+                });
+            }
+        }
+
+        // Validate session; refreshes the access token when it is about to expire
+        const publishing = await openPublishingSession(sessionId, req.user.id);
+        if (!publishing) {
             return res.status(401).json({
                 success: false,
-                error: 'Authorization expired. Please re-authorize.'
+                error: 'Invalid or expired session. Please re-authorize.'
             });
         }
 
-        // Initialize Google Play Console API with stored tokens
-        await googlePlayService.initializeWithTokens(session.tokens);
+        let release = null;
+        let upload;
 
-        // Generate APK file
-        const apkResult = await generateAPKFile({
-            appName,
-            packageName,
-            websiteUrl,
-            iconUrl
-        });
+        if (appId) {
+            const app = await getAppById(appId, req.user.id);
+            if (!app) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'App not found'
+                });
+            }
 
-        if (!apkResult.success) {
-            return res.status(500).json({
+            release = await getPublishableRelease(appId, releaseId);
+            if (!release?.artifacts?.androidBundle) {
+                return res.status(409).json({
+                    success: false,
+                    error: releaseId ? 'Release not found or has no Android App Bundle' : 'No release is ready to publish'
+                });
+            }
+
+            upload = {
+                packageName: release.package_name,
+                aabPath: release.artifacts.androidBundle,
+                appName: appName || app.name,
+                description: appDescription || app.description
+            };
+        } else {
+            // Build the app, including the Android App Bundle Google Play expects
+            const appPackage = await createWebViewApp({
+                url: websiteUrl,
+                appName,
+                description: appDescription,
+                packageName,
+                targetPlatforms: ['android'],
+                assets: { icons: iconUrl ? { main: iconUrl } : {} }
+            });
+
+            upload = {
+                packageName,
+                aabPath: appPackage.downloadLinks.androidBundle,
+                appName,
+                description: appDescription
+            };
+        }
+
+        const aabFilePath = path.join(process.cwd(), upload.aabPath);
+
+        // Releases built before the release key was configured are still debug-signed
+        const bundleKeystoreError = await checkPlayUploadKeystore(await readBundleSigner(aabFilePath));
+        if (bundleKeystoreError) {
+            return res.status(409).json({
                 success: false,
-                error: 'Failed to generate APK file'
+                error: `${bundleKeystoreError} Build a new release to sign it with the release key.`
             });
         }
 
+        const description = upload.description || `Mobile app for ${upload.appName}`;
+
         // Publish to Google Play Console
-        const publishResult = await googlePlayService.publishApp({
-            packageName,
-            apkPath: apkResult.apkPath,
-            appName,
-            appDescription: appDescription || `Mobile app for ${appName}`,
+        const publishResult = await publishing.service.publishApp({
+            packageName: upload.packageName,
+            aabFilePath,
+            appTitle: upload.appName,
+            shortDescription: description.substring(0, 80),
+            fullDescription: description,
+            releaseName: release ? `${release.version} (${release.version_code})` : undefined,
+            releaseNotes: release?.changelog,
+            userFraction: validation.operation.userFraction,
             track
         });
 
-        // Clean up temporary APK file
-        try {
-            await fs.unlink(apkResult.apkPath);
-        } catch (cleanupError) {
-            console.warn('Failed to clean up temporary APK file:', cleanupError);
-        }
-
         if (!publishResult.success) {
+            if (appId) {
+                await recordReleaseAudit({
+                    appId,
+                    userId: req.user.id,
+                    action: 'publish',
+                    track,
+                    status: 'failed',
+                    error: publishResult.error,
+                    details: { packageName: upload.packageName }
+                });
+            }
             return res.status(500).json({
                 success: false,
                 error: publishResult.error || 'Failed to publish app'
             });
         }
 
+        const trackRelease = {
+            versionCodes: [String(publishResult.versionCode)],
+            status: publishResult.userFraction ? 'inProgress' : 'completed',
+            userFraction: publishResult.userFraction
+        };
+
+        if (release) {
+            const { status: rolloutStatus, userFraction: releasedFraction } = toReleaseState(trackRelease);
+            release = await recordReleasePublish(release, 'google-play', {
+                track,
+                rolloutStatus,
+                userFraction: releasedFraction,
+                editId: publishResult.editId,
+                versionCode: publishResult.versionCode
+            });
+        }
+
+        if (appId) {
+            await recordReleaseAudit({
+                appId,
+                userId: req.user.id,
+                action: 'publish',
+                track,
+                release: trackRelease,
+                status: 'succeeded',
+                details: { packageName: upload.packageName }
+            });
+        }
+
         res.json({
             success: true,
             message: 'App published successfully to your Google Play Console',
             editId: publishResult.editId,
             track: track,
-            packageName: packageName,
-            developerConsoleUrl: `https://play.google.com/console/u/0/developers/${publishResult.developerId}/app/${packageName}`
+            packageName: upload.packageName,
+            release,
+            developerConsoleUrl: `https://play.google.com/console/u/0/developers/${publishResult.developerId}/app/${upload.packageName}`
         });
 
     } catch (error) {
@@ -234,150 +350,324 @@ router.post('/publish', async (req, res) => {
 });
 
 /**
- * Direct publish to Google Play Console
- * This is the core "one-click" publishing functionality
+ * Get publishing status
+ */
+router.get('/status/:sessionId/:packageName', auth, async (req, res) => {
+    try {
+        const { sessionId, packageName } = req.params;
+
+        const publishing = await openPublishingSession(sessionId, req.user.id);
+        if (!publishing) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid or expired session'
+            });
+        }
+        
+        // Get app status
+        const statusResult = await publishing.service.getAppStatus(packageName);
+        
+        res.json({
+            success: true,
+            status: statusResult
+        });
+
+    } catch (error) {
+        console.error('Status check error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to check app status'
+        });
+    }
+});
+
+/**
+ * Open the signed-in user's publishing session for one of their apps
+ * Sends the error response and returns null when the app, session or package name is missing.
  */
-router.post('/publish-to-play-store', async (req, res) => {
-  try {
-    const {
-      url,
-      appName,
-      description,
-      serviceAccountKey,
-      packageName,
-      track = 'internal', // internal, alpha, beta, production
-      category = 'productivity'
-    } = req.body;
-
-    // Validate required fields
-    if (!url || !appName || !serviceAccountKey || !packageName) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields: url, appName, serviceAccountKey, packageName'
-      });
+const openAppPublishing = async (req, res, sessionId) => {
+    const app = await getAppById(req.params.appId, req.user.id);
+    if (!app) {
+        res.status(404).json({
+            success: false,
+            error: 'App not found'
+        });
+        return null;
+    }
+
+    const [latestRelease] = await getAppReleases(app.id, { limit: 1 });
+    const packageName = app.package_info?.build?.android?.packageName || latestRelease?.package_name;
+    if (!packageName) {
+        res.status(409).json({
+            success: false,
+            error: 'The app has no Android package name yet; build a release first'
+        });
+        return null;
     }
 
-    // Step 1: Validate credentials first
-    const credentialValidation = await googlePlayConsoleService.validateCredentials(
-      serviceAccountKey, 
-      packageName
-    );
-    
-    if (!credentialValidation.valid) {
-      return res.status(400).json({
-        success: false,
-        error: `Invalid credentials: ${credentialValidation.error}`
-      });
+    const publishing = sessionId ? await openPublishingSession(sessionId, req.user.id) : null;
+    if (!publishing) {
+        res.status(401).json({
+            success: false,
+            error: 'Invalid or expired session. Please re-authorize.'
+        });
+        return null;
+    }
+
+    return { app, packageName, service: publishing.service };
+};
+
+/**
+ * Run a track operation for an app and send the result
+ */
+const handleTrackOperation = async (req, res, action, input) => {
+    const validation = validateTrackOperation(action, input);
+    if (!validation.isValid) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid track operation',
+            details: validation.errors
+        });
     }
 
-    // Step 2: Generate the mobile app package
-    const appOptions = {
-      url,
-      appName,
-      description,
-      category,
-      targetPlatforms: ['android']
-    };
-
-    const appPackage = await createWebViewApp(appOptions);
-    
-    // Step 3: Generate temporary APK file (will be deleted after upload)
-    const timestamp = Date.now();
-    const tempApkFilename = `temp_${packageName}_${timestamp}.apk`;
-    const tempApkPath = path.join(process.cwd(), 'downloads', tempApkFilename);
-    
-    await generateAPKFile(appPackage, tempApkPath);
-
-    // Step 4: Publish directly to Google Play Console
-    const publishResult = await googlePlayConsoleService.publishApp({
-      serviceAccountKey,
-      packageName,
-      apkFilePath: tempApkPath,
-      appTitle: appName,
-      shortDescription: description.substring(0, 80), // Play Store limit
-      fullDescription: description,
-      track
+    const context = await openAppPublishing(req, res, req.body.sessionId);
+    if (!context) return;
+
+    const result = await runTrackOperation({
+        service: context.service,
+        appId: context.app.id,
+        userId: req.user.id,
+        packageName: context.packageName,
+        operation: validation.operation
     });
 
-    // Step 5: Clean up temporary file (security measure)
-    try {
-      await fs.unlink(tempApkPath);
-      console.log(`Temporary APK file deleted: ${tempApkPath}`);
-    } catch (cleanupError) {
-      console.warn('Failed to delete temporary APK:', cleanupError.message);
+    if (result.errors) {
+        return res.status(409).json({
+            success: false,
+            error: result.errors[0],
+            details: result.errors
+        });
     }
 
-    if (publishResult.success) {
-      res.json({
+    res.json({
         success: true,
-        publishId: publishResult.publishId,
-        versionCode: publishResult.versionCode,
-        track: publishResult.track,
-        status: 'published',
-        consoleUrl: publishResult.consoleUrl,
-        message: 'App successfully published to Google Play Console',
-        timeline: {
-          submitted: new Date().toISOString(),
-          estimatedReview: '1-3 business days',
-          estimatedLive: '2-4 business days'
-        }
-      });
-    } else {
-      res.status(500).json({
-        success: false,
-        error: publishResult.error
-      });
+        packageName: context.packageName,
+        ...result
+    });
+};
+
+/**
+ * Get the releases on every Google Play track of an app
+ * Query: sessionId
+ */
+router.get('/apps/:appId/tracks', auth, async (req, res) => {
+    try {
+        const context = await openAppPublishing(req, res, req.query.sessionId);
+        if (!context) return;
+
+        res.json({
+            success: true,
+            packageName: context.packageName,
+            tracks: await getTrackStates(context.service, context.packageName)
+        });
+
+    } catch (error) {
+        console.error('Track listing error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get tracks',
+            message: error.message
+        });
     }
+});
 
-  } catch (error) {
-    console.error('Publishing error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to publish app to Google Play Store'
-    });
-  }
+/**
+ * Promote a release from one track to another, optionally as a staged rollout
+ * Body: { sessionId, fromTrack, toTrack, versionCode, userFraction }
+ */
+router.post('/apps/:appId/tracks/promote', auth, async (req, res) => {
+    try {
+        const { fromTrack, toTrack, versionCode, userFraction } = req.body;
+        await handleTrackOperation(req, res, 'promote', { fromTrack, track: toTrack, versionCode, userFraction });
+
+    } catch (error) {
+        console.error('Track promotion error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to promote release',
+            message: error.message
+        });
+    }
 });
 
 /**
- * Get publishing status
+ * Set the user fraction of a staged rollout; 1 completes it
+ * Body: { sessionId, userFraction, versionCode }
  */
-router.get('/status/:sessionId/:packageName', async (req, res) => {
+router.post('/apps/:appId/tracks/:track/rollout', auth, async (req, res) => {
     try {
-        const { sessionId, packageName } = req.params;
+        const { versionCode, userFraction } = req.body;
+        await handleTrackOperation(req, res, 'rollout', { track: req.params.track, versionCode, userFraction });
 
-        const session = userSessions.get(sessionId);
-        if (!session) {
-            return res.status(401).json({
+    } catch (error) {
+        console.error('Rollout update error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update rollout',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Halt a staged rollout
+ * Body: { sessionId, versionCode }
+ */
+router.post('/apps/:appId/tracks/:track/halt', auth, async (req, res) => {
+    try {
+        await handleTrackOperation(req, res, 'halt', { track: req.params.track, versionCode: req.body.versionCode });
+
+    } catch (error) {
+        console.error('Rollout halt error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to halt rollout',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Resume a halted rollout, at its previous user fraction unless one is given
+ * Body: { sessionId, userFraction, versionCode }
+ */
+router.post('/apps/:appId/tracks/:track/resume', auth, async (req, res) => {
+    try {
+        const { versionCode, userFraction } = req.body;
+        await handleTrackOperation(req, res, 'resume', { track: req.params.track, versionCode, userFraction });
+
+    } catch (error) {
+        console.error('Rollout resume error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to resume rollout',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Push every approved listing locale to Google Play in one edit
+ * Body: { sessionId }
+ */
+router.post('/apps/:appId/listings/push', auth, async (req, res) => {
+    try {
+        const context = await openAppPublishing(req, res, req.body.sessionId);
+        if (!context) return;
+
+        const result = await pushStoreListings({
+            service: context.service,
+            appId: context.app.id,
+            packageName: context.packageName
+        });
+
+        if (result.errors) {
+            return res.status(409).json({
                 success: false,
-                error: 'Invalid or expired session'
+                error: result.errors[0],
+                details: result.errors
             });
         }
 
-        // Check if tokens are still valid
-        if (new Date() > session.expiresAt) {
-            userSessions.delete(sessionId);
-            return res.status(401).json({
+        res.json({
+            success: true,
+            packageName: context.packageName,
+            message: `Published ${result.listings.length} listing(s) to Google Play`,
+            ...result
+        });
+
+    } catch (error) {
+        console.error('Listing push error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to push listings',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Get the release audit trail of an app, newest first
+ * Query: track, limit (default 50, at most 200)
+ */
+router.get('/apps/:appId/audit', auth, async (req, res) => {
+    try {
+        const app = await getAppById(req.params.appId, req.user.id);
+        if (!app) {
+            return res.status(404).json({
                 success: false,
-                error: 'Authorization expired'
+                error: 'App not found'
             });
         }
 
-        // Initialize API with stored tokens
-        await googlePlayService.initializeWithTokens(session.tokens);
-        
-        // Get app status
-        const statusResult = await googlePlayService.getAppStatus(packageName);
-        
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
         res.json({
             success: true,
-            status: statusResult
+            audit: await getReleaseAuditTrail(app.id, { track: req.query.track, limit })
         });
 
     } catch (error) {
-        console.error('Status check error:', error);
+        console.error('Release audit error:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to check app status'
+            error: 'Failed to get release audit trail'
+        });
+    }
+});
+
+/**
+ * List the signed-in user's publishing sessions (without their tokens)
+ */
+router.get('/sessions', auth, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            sessions: await listPublishingSessions(req.user.id)
+        });
+
+    } catch (error) {
+        console.error('List publishing sessions error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list publishing sessions'
+        });
+    }
+});
+
+/**
+ * Revoke a publishing session; its tokens are revoked at Google and deleted
+ */
+router.delete('/sessions/:id', auth, async (req, res) => {
+    try {
+        const session = await revokePublishingSession(req.params.id, req.user.id);
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                error: 'Publishing session not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Publishing session revoked',
+            session
+        });
+
+    } catch (error) {
+        console.error('Revoke publishing session error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to revoke publishing session'
         });
     }
 });
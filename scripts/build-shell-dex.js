@@ -0,0 +1,98 @@
+// Compile the Android WebView shell into templates/android/classes.dex
+// Requires a JDK and the Android SDK (ANDROID_HOME with platforms and build-tools installed)
+// With --if-available (used by postinstall) a missing SDK or JDK skips the build instead of failing,
+// reporting an error when no dex is available either
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+
+const rootDir = process.cwd();
+const shellDir = path.join(rootDir, 'templates', 'android', 'shell');
+const outputDir = path.join(rootDir, 'templates', 'android');
+const classesDir = path.join(rootDir, 'temp', 'shell-classes');
+
+const androidHome = process.env.ANDROID_HOME || process.env.ANDROID_SDK_ROOT;
+const platform = process.env.ANDROID_SHELL_PLATFORM || 'android-33';
+const ifAvailable = process.argv.includes('--if-available');
+
+// Pick the newest installed build-tools unless one is requested
+function findBuildTools(sdkDir) {
+  const buildToolsDir = path.join(sdkDir, 'build-tools');
+  const versions = fs.readdirSync(buildToolsDir).sort((a, b) => b.localeCompare(a, undefined, { numeric: true }));
+  const version = process.env.ANDROID_BUILD_TOOLS || versions[0];
+  return path.join(buildToolsDir, version);
+}
+
+function findSources(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return findSources(fullPath);
+    return entry.name.endsWith('.java') || entry.name.endsWith('.class') ? [fullPath] : [];
+  });
+}
+
+function hasJavac() {
+  try {
+    execFileSync('javac', ['-version'], { stdio: 'ignore' });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Reasons the toolchain cannot build the shell, if any
+function findMissingToolchain() {
+  if (!androidHome) return 'ANDROID_HOME is not set';
+  if (!fs.existsSync(path.join(androidHome, 'platforms', platform, 'android.jar'))) return `${platform} platform is not installed`;
+  if (!fs.existsSync(path.join(androidHome, 'build-tools'))) return 'Android build-tools are not installed';
+  if (!hasJavac()) return 'javac is not on the PATH';
+  return null;
+}
+
+const missingToolchain = findMissingToolchain();
+if (missingToolchain && ifAvailable) {
+  const existingDex = process.env.ANDROID_SHELL_DEX || path.join(outputDir, 'classes.dex');
+  if (fs.existsSync(existingDex)) {
+    console.log(`⏭️  Skipping WebView shell build: ${missingToolchain}. Using ${existingDex}`);
+  } else {
+    // Installing still succeeds so the server can run, but every app build fails until the dex exists
+    console.error(`❌ No WebView shell dex: ${missingToolchain}. App builds will fail until you run "npm run build:shell" with a JDK and the Android SDK, or set ANDROID_SHELL_DEX to a prebuilt classes.dex`);
+  }
+  process.exit(0);
+}
+
+try {
+  if (missingToolchain) {
+    throw new Error(missingToolchain);
+  }
+
+  const androidJar = path.join(androidHome, 'platforms', platform, 'android.jar');
+  const d8 = path.join(findBuildTools(androidHome), 'd8');
+
+  fs.rmSync(classesDir, { recursive: true, force: true });
+  fs.mkdirSync(classesDir, { recursive: true });
+
+  console.log('☕ Compiling WebView shell sources...');
+  execFileSync('javac', [
+    '-source', '8',
+    '-target', '8',
+    '-bootclasspath', androidJar,
+    '-d', classesDir,
+    ...findSources(path.join(shellDir, 'src'))
+  ], { stdio: 'inherit' });
+
+  console.log('📦 Converting classes to dex...');
+  execFileSync(d8, [
+    '--release',
+    '--min-api', '21',
+    '--lib', androidJar,
+    '--output', outputDir,
+    ...findSources(classesDir)
+  ], { stdio: 'inherit' });
+
+  fs.rmSync(classesDir, { recursive: true, force: true });
+  console.log(`✅ Shell dex written to ${path.join(outputDir, 'classes.dex')}`);
+} catch (error) {
+  console.error('❌ Failed to build WebView shell:', error.message);
+  process.exit(1);
+}
@@ -26,6 +26,12 @@ import partnershipsRoutes from './routes/partnerships.js';
 import legalRoutes from './routes/legal.js';
 import traeaiRoutes from './routes/traeai.js';
 import publishingRoutes from './routes/publishing.js';
+import downloadsRoutes from './routes/downloads.js';
+import { startBuildWorker } from './services/buildQueue.js';
+import { startPushWorker } from './services/pushNotifications.js';
+import { startSubmissionStatusWorker } from './services/submissionStatus.js';
+import { loadBuildManifest, manifestFilenameFor } from './services/buildManifest.js';
+import { loadShellDex } from './services/apkBuilder.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -119,6 +125,7 @@ app.use('/api/partnerships', partnershipsRoutes);
 app.use('/api/global', globalRoutes);
 app.use('/api/proxy', proxyRoutes);
 app.use('/api/publishing', publishingRoutes);
+app.use('/api/downloads', downloadsRoutes);
 
 // Enhanced health check endpoint for production monitoring
 app.get('/api/health', async (req, res) => {
@@ -158,6 +165,12 @@ app.get('/health', (req, res) => {
   res.status(200).json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
+// The client SDK is included by customers' sites, so it may be loaded cross-origin
+app.use('/sdk', (req, res, next) => {
+  res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+  next();
+});
+
 // Serve static files from both root and public directories
 app.use(express.static(__dirname));
 app.use(express.static(path.join(__dirname, 'public')));
@@ -182,21 +195,36 @@ app.get('/dashboard.html', (req, res) => {
 });
 
 // Serve APK downloads
-app.get('/downloads/:filename', (req, res) => {
+app.get('/downloads/:filename', async (req, res) => {
   const filename = req.params.filename;
   const filePath = path.join(__dirname, 'downloads', filename);
   
   if (!fs.existsSync(filePath)) {
     return res.status(404).json({ error: 'File not found' });
   }
+
+  // Point at the signed build manifest so downloads can be verified
+  try {
+    const manifest = await loadBuildManifest(filename);
+    const artifact = manifest?.artifacts.find(item => item.filename === filename);
+    if (artifact) {
+      res.setHeader('X-Build-Manifest', `/downloads/${manifestFilenameFor(filename)}`);
+      res.setHeader('X-Checksum-SHA256', artifact.sha256);
+    }
+  } catch (error) {
+    console.warn('Build manifest unavailable:', error.message);
+  }
   
   // Set appropriate headers for APK download
   if (filename.endsWith('.apk')) {
     res.setHeader('Content-Type', 'application/vnd.android.package-archive');
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-  } else if (filename.endsWith('.ipa')) {
+  } else if (filename.endsWith('.aab') || filename.endsWith('.ipa')) {
     res.setHeader('Content-Type', 'application/octet-stream');
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  } else if (filename.endsWith('.zip')) {
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
   }
   
   res.sendFile(filePath);
@@ -243,6 +271,13 @@ if (process.env.NODE_ENV !== 'test') {
     console.log(`🔗 Listening on 0.0.0.0:${PORT}`);
     console.log('📱 Ready to convert SaaS to mobile apps!');
   });
+
+  // Every app build fails without the Android shell, so report it now instead of on the first build
+  loadShellDex().catch(error => console.error(`❌ Setup error: ${error.message}`));
+
+  startBuildWorker();
+  startPushWorker();
+  startSubmissionStatusWorker();
 }
 
 export default app;
\ No newline at end of file
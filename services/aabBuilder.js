@@ -0,0 +1,159 @@
+import { ZipArchive } from './zipArchive.js';
+import { ANDROID_NAMESPACE, normalizeAttributes, renderXml } from './androidBinaryXml.js';
+import { DENSITIES } from './androidResources.js';
+import { encodeMessage, repeated } from './protobufEncoding.js';
+import { loadSigningKeystore } from './signingKeystore.js';
+import { signJar } from './apkSigner.js';
+import { prepareAndroidPackage, SHELL_CONFIG_ASSET } from './apkBuilder.js';
+
+/**
+ * Android App Bundle Builder
+ * Produces an .aab for Google Play from the same inputs as the APK: a base
+ * module with a proto-encoded manifest and resource table, the shell dex,
+ * launcher icons and shell config, plus BundleConfig.pb. Bundles are signed
+ * with the upload key using JAR signing, as Play expects.
+ */
+
+const BUNDLETOOL_VERSION = '1.15.6';
+const BASE_MODULE = 'base';
+
+// aapt2 FileReference.Type
+const FILE_TYPE_PNG = 1;
+
+// aapt2 Visibility.Level
+const VISIBILITY_PUBLIC = 2;
+
+/**
+ * Encode an attribute value as an aapt2 compiled Item
+ */
+const encodeCompiledItem = (value) => {
+  if (typeof value === 'boolean') {
+    return [[7, 'message', [[8, 'bool', value]]]];
+  }
+  if (typeof value === 'number') {
+    return [[7, 'message', [[6, 'varint', value]]]];
+  }
+  if (value && typeof value.hex === 'number') {
+    return [[7, 'message', [[7, 'varint', value.hex]]]];
+  }
+  if (value && typeof value.ref === 'number') {
+    return [[1, 'message', [[2, 'varint', value.ref], [3, 'string', value.name?.replace(/^@/, '')]]]];
+  }
+  return undefined;
+};
+
+const attributeText = (value) => {
+  if (value && typeof value === 'object') {
+    return value.name || String(value.ref ?? value.hex);
+  }
+  return String(value);
+};
+
+/**
+ * Convert an element tree into an aapt2 XmlNode message
+ */
+const encodeXmlNode = (element, isRoot = true) => {
+  const attributes = normalizeAttributes(element.attributes).map(attribute => encodeMessage([
+    [1, 'string', attribute.namespace || undefined],
+    [2, 'string', attribute.name],
+    [3, 'string', attributeText(attribute.value)],
+    [5, 'varint', attribute.resourceId ?? undefined],
+    [6, 'message', encodeCompiledItem(attribute.value)]
+  ]));
+
+  const xmlElement = [
+    [1, 'message', isRoot ? repeated([[[1, 'string', 'android'], [2, 'string', ANDROID_NAMESPACE]]]) : undefined],
+    [3, 'string', element.tag],
+    [4, 'message', attributes],
+    [5, 'message', (element.children || []).map(child => encodeXmlNode(child, false))]
+  ];
+
+  return encodeMessage([[1, 'message', xmlElement]]);
+};
+
+/**
+ * Convert a resource definition into an aapt2 ResourceTable message
+ */
+const encodeResourceTable = (definition) => {
+  const types = definition.types.map((type, typeIndex) => encodeMessage([
+    [1, 'message', [[1, 'varint', typeIndex + 1]]],
+    [2, 'string', type.name],
+    [3, 'message', type.entries.map((entry, entryIndex) => encodeMessage([
+      [1, 'message', [[1, 'varint', entryIndex]]],
+      [2, 'string', entry.name],
+      [3, 'message', [[1, 'varint', VISIBILITY_PUBLIC]]],
+      [6, 'message', entry.values.map(value => encodeMessage([
+        [1, 'message', value.config?.density
+          ? [[18, 'varint', DENSITIES[value.config.density] || value.config.density]]
+          : Buffer.alloc(0)],
+        [2, 'message', [[4, 'message', [[5, 'message', [
+          [1, 'string', value.value],
+          [2, 'varint', value.value.endsWith('.png') ? FILE_TYPE_PNG : undefined]
+        ]]]]]]
+      ]))]
+    ]))]
+  ]));
+
+  return encodeMessage([
+    [2, 'message', repeated([[
+      [1, 'message', [[1, 'varint', definition.packageId || 0x7f]]],
+      [2, 'string', definition.packageName],
+      [3, 'message', types]
+    ]])]
+  ]);
+};
+
+/**
+ * Encode BundleConfig.pb
+ */
+const encodeBundleConfig = () => encodeMessage([
+  [1, 'message', [[2, 'string', BUNDLETOOL_VERSION]]]
+]);
+
+/**
+ * Build a signed Android App Bundle for an app package
+ * @param {Object} appPackage - Package produced by createWebViewApp
+ * @param {Object} options - { keystore } to override the configured keystore, { offlineBundle } to package
+ * @returns {Promise<Object>} { buffer, manifestXml, entries, signer }
+ */
+const buildAab = async (appPackage, options = {}) => {
+  const [contents, keystore] = await Promise.all([
+    prepareAndroidPackage(appPackage, options),
+    options.keystore || loadSigningKeystore()
+  ]);
+
+  const zip = new ZipArchive();
+  zip.addFile('BundleConfig.pb', encodeBundleConfig());
+  zip.addFile(`${BASE_MODULE}/manifest/AndroidManifest.xml`, encodeXmlNode(contents.manifestTree));
+  zip.addFile(`${BASE_MODULE}/dex/classes.dex`, contents.dex);
+
+  for (const [density, icon] of Object.entries(contents.launcherIcons)) {
+    zip.addFile(`${BASE_MODULE}/res/mipmap-${density}/ic_launcher.png`, icon);
+  }
+
+  zip.addFile(`${BASE_MODULE}/resources.pb`, encodeResourceTable(contents.resourceDefinition));
+  zip.addFile(`${BASE_MODULE}/${SHELL_CONFIG_ASSET}`, JSON.stringify(contents.shellConfig, null, 2));
+
+  for (const file of contents.offlineFiles) {
+    zip.addFile(`${BASE_MODULE}/${file.name}`, file.data);
+  }
+
+  signJar(zip, keystore);
+
+  return {
+    buffer: zip.toBuffer(),
+    manifestXml: renderXml(contents.manifestTree),
+    entries: zip.files().map(file => file.name),
+    signer: {
+      fingerprint: keystore.fingerprint,
+      debug: keystore.debug
+    }
+  };
+};
+
+export {
+  buildAab,
+  encodeXmlNode,
+  encodeResourceTable,
+  encodeBundleConfig
+};
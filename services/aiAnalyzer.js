@@ -35,7 +35,8 @@ const analyzeWebsite = async (url, options = {}) => {
         description: $('meta[name="description"]').attr('content') || $('meta[property="og:description"]').attr('content') || '',
         keywords: $('meta[name="keywords"]').attr('content') || '',
         favicon: $('link[rel="icon"]').attr('href') || $('link[rel="shortcut icon"]').attr('href') || '',
-        ogImage: $('meta[property="og:image"]').attr('content') || ''
+        ogImage: $('meta[property="og:image"]').attr('content') || '',
+        themeColor: $('meta[name="theme-color"]').first().attr('content') || ''
       };
 
       // Extract main content for AI analysis
@@ -701,9 +702,95 @@ Make descriptions compelling, clear, and conversion-focused.
   }
 };
 
+/**
+ * Translate a store listing into another language
+ * @param {Object} options - { listing: { title, shortDescription, fullDescription },
+ *   sourceLanguage, targetLanguage, appName }
+ * @returns {Promise<Object>} { title, shortDescription, fullDescription }; when the AI
+ *   service is unavailable the source text is returned with fallback: true
+ */
+const translateListing = async (options) => {
+  const { listing, sourceLanguage = 'en-US', targetLanguage, appName } = options;
+
+  const untranslated = (reason) => ({
+    title: listing.title,
+    shortDescription: listing.shortDescription,
+    fullDescription: listing.fullDescription,
+    fallback: true,
+    error: reason
+  });
+
+  try {
+    const translationPrompt = `
+Translate this Google Play store listing from ${sourceLanguage} to ${targetLanguage}:
+
+App Name: ${appName || listing.title}
+Title: ${listing.title}
+Short Description: ${listing.shortDescription}
+Full Description:
+${listing.fullDescription}
+
+Return JSON in this format:
+{
+  "title": "30 characters max",
+  "shortDescription": "80 characters max",
+  "fullDescription": "4000 characters max"
+}
+
+Keep the app name and other brand names untranslated. Adapt the wording for
+native speakers in the target market instead of translating word for word.
+`;
+
+    let completion;
+    try {
+      if (!openai) {
+        throw new Error('OpenAI API key not configured');
+      }
+
+      completion = await openai.chat.completions.create({
+        model: 'gpt-4',
+        messages: [
+          {
+            role: 'system',
+            content: 'You are an expert app store localization specialist.'
+          },
+          {
+            role: 'user',
+            content: translationPrompt
+          }
+        ],
+        temperature: 0.3,
+        max_tokens: 2500
+      });
+    } catch (apiError) {
+      console.error('OpenAI Listing Translation Error:', apiError.message);
+      return untranslated(apiError.message);
+    }
+
+    let translation;
+    try {
+      translation = JSON.parse(completion.choices[0].message.content);
+    } catch {
+      return untranslated('Translation response was not valid JSON');
+    }
+
+    return {
+      title: translation.title || listing.title,
+      shortDescription: translation.shortDescription || listing.shortDescription,
+      fullDescription: translation.fullDescription || listing.fullDescription,
+      translatedAt: new Date().toISOString()
+    };
+
+  } catch (error) {
+    console.error('AI Listing Translation Error:', error);
+    return untranslated(error.message);
+  }
+};
+
 export {
   analyzeWebsite,
   generateAppAssets,
   categorizeApp,
-  generateDescription
+  generateDescription,
+  translateListing
 };
\ No newline at end of file
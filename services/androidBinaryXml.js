@@ -0,0 +1,375 @@
+/**
+ * Android binary XML (AXML) encoder
+ * Compiles a small element tree into the chunked format the Android package
+ * manager reads from AndroidManifest.xml inside an APK.
+ *
+ * Element tree format:
+ * {
+ *   tag: 'manifest',
+ *   attributes: { package: 'com.example', 'android:versionCode': 1 },
+ *   children: [ ... ]
+ * }
+ * Attribute values may be strings, numbers, booleans or { ref: 0x7f010000 }.
+ */
+
+const ANDROID_NAMESPACE = 'http://schemas.android.com/apk/res/android';
+
+// android.R.attr identifiers for the attributes the generator emits
+const ANDROID_ATTRIBUTE_IDS = {
+  theme: 0x01010000,
+  label: 0x01010001,
+  icon: 0x01010002,
+  name: 0x01010003,
+  permission: 0x01010006,
+  exported: 0x01010010,
+  authorities: 0x01010018,
+  grantUriPermissions: 0x0101001b,
+  launchMode: 0x0101001d,
+  screenOrientation: 0x0101001e,
+  configChanges: 0x0101001f,
+  value: 0x01010024,
+  resource: 0x01010025,
+  mimeType: 0x01010026,
+  scheme: 0x01010027,
+  host: 0x01010028,
+  port: 0x01010029,
+  path: 0x0101002a,
+  pathPrefix: 0x0101002b,
+  pathPattern: 0x0101002c,
+  minSdkVersion: 0x0101020c,
+  versionCode: 0x0101021b,
+  versionName: 0x0101021c,
+  windowSoftInputMode: 0x0101022b,
+  targetSdkVersion: 0x01010270,
+  maxSdkVersion: 0x01010271,
+  allowBackup: 0x01010280,
+  required: 0x0101028e,
+  hardwareAccelerated: 0x010102d3,
+  usesCleartextTraffic: 0x010104ec,
+  autoVerify: 0x010104ee,
+  roundIcon: 0x0101052c,
+  compileSdkVersion: 0x01010572,
+  compileSdkVersionCodename: 0x01010573
+};
+
+const CHUNK_TYPES = {
+  STRING_POOL: 0x0001,
+  XML: 0x0003,
+  XML_START_NAMESPACE: 0x0100,
+  XML_END_NAMESPACE: 0x0101,
+  XML_START_ELEMENT: 0x0102,
+  XML_END_ELEMENT: 0x0103,
+  XML_RESOURCE_MAP: 0x0180
+};
+
+const VALUE_TYPES = {
+  REFERENCE: 0x01,
+  STRING: 0x03,
+  INT_DEC: 0x10,
+  INT_HEX: 0x11,
+  BOOLEAN: 0x12
+};
+
+const NO_INDEX = 0xffffffff;
+const UTF8_FLAG = 0x100;
+
+/**
+ * Split a qualified attribute name into namespace and local name
+ */
+const parseAttributeName = (qualifiedName) => {
+  const [prefix, localName] = qualifiedName.includes(':')
+    ? qualifiedName.split(':')
+    : [null, qualifiedName];
+
+  if (prefix && prefix !== 'android') {
+    throw new Error(`Unsupported attribute namespace: ${prefix}`);
+  }
+
+  if (prefix === 'android' && ANDROID_ATTRIBUTE_IDS[localName] === undefined) {
+    throw new Error(`Unknown android attribute: ${localName}`);
+  }
+
+  return {
+    namespace: prefix ? ANDROID_NAMESPACE : null,
+    name: localName,
+    resourceId: prefix ? ANDROID_ATTRIBUTE_IDS[localName] : null
+  };
+};
+
+/**
+ * Normalize an element's attributes into a sorted list
+ * Android attributes come first, ordered by resource id, as aapt emits them.
+ */
+const normalizeAttributes = (attributes = {}) => {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([qualifiedName, value]) => ({ ...parseAttributeName(qualifiedName), value }))
+    .sort((a, b) => {
+      if (a.resourceId !== null && b.resourceId !== null) return a.resourceId - b.resourceId;
+      if (a.resourceId !== null) return -1;
+      if (b.resourceId !== null) return 1;
+      return a.name.localeCompare(b.name);
+    });
+};
+
+/**
+ * Encode a string pool chunk
+ * @param {string[]} strings - Pool contents
+ * @param {Object} options - { utf8: boolean }
+ */
+const encodeStringPool = (strings, options = {}) => {
+  const { utf8 = false } = options;
+
+  const encoded = strings.map(str => (utf8 ? encodeUtf8String(str) : encodeUtf16String(str)));
+  const offsets = Buffer.alloc(strings.length * 4);
+  let position = 0;
+  encoded.forEach((buffer, index) => {
+    offsets.writeUInt32LE(position, index * 4);
+    position += buffer.length;
+  });
+
+  let data = Buffer.concat(encoded);
+  const padding = (4 - (data.length % 4)) % 4;
+  data = Buffer.concat([data, Buffer.alloc(padding)]);
+
+  const headerSize = 28;
+  const header = Buffer.alloc(headerSize);
+  header.writeUInt16LE(CHUNK_TYPES.STRING_POOL, 0);
+  header.writeUInt16LE(headerSize, 2);
+  header.writeUInt32LE(headerSize + offsets.length + data.length, 4);
+  header.writeUInt32LE(strings.length, 8);
+  header.writeUInt32LE(0, 12); // style count
+  header.writeUInt32LE(utf8 ? UTF8_FLAG : 0, 16);
+  header.writeUInt32LE(headerSize + offsets.length, 20);
+  header.writeUInt32LE(0, 24); // styles start
+
+  return Buffer.concat([header, offsets, data]);
+};
+
+const encodeUtf16String = (str) => {
+  const chars = Buffer.from(str, 'utf16le');
+  const length = str.length;
+  const lengthBuffer = length > 0x7fff
+    ? Buffer.from([((length >> 16) & 0xff), 0x80 | ((length >> 24) & 0x7f), length & 0xff, (length >> 8) & 0xff])
+    : Buffer.from([length & 0xff, (length >> 8) & 0xff]);
+  return Buffer.concat([lengthBuffer, chars, Buffer.alloc(2)]);
+};
+
+const encodeUtf8Length = (length) => {
+  return length > 0x7f
+    ? Buffer.from([0x80 | ((length >> 8) & 0x7f), length & 0xff])
+    : Buffer.from([length]);
+};
+
+const encodeUtf8String = (str) => {
+  const bytes = Buffer.from(str, 'utf8');
+  return Buffer.concat([
+    encodeUtf8Length(str.length),
+    encodeUtf8Length(bytes.length),
+    bytes,
+    Buffer.alloc(1)
+  ]);
+};
+
+/**
+ * Encode a Res_value structure
+ */
+const encodeResValue = (dataType, data) => {
+  const value = Buffer.alloc(8);
+  value.writeUInt16LE(8, 0);
+  value.writeUInt8(0, 2);
+  value.writeUInt8(dataType, 3);
+  value.writeUInt32LE(data >>> 0, 4);
+  return value;
+};
+
+const nodeHeader = (type, size, lineNumber) => {
+  const header = Buffer.alloc(16);
+  header.writeUInt16LE(type, 0);
+  header.writeUInt16LE(16, 2);
+  header.writeUInt32LE(size, 4);
+  header.writeUInt32LE(lineNumber, 8);
+  header.writeUInt32LE(NO_INDEX, 12);
+  return header;
+};
+
+/**
+ * Compile an element tree into binary XML
+ * @param {Object} root - Root element
+ * @returns {Buffer} AXML document
+ */
+const encodeBinaryXml = (root) => {
+  // Collect strings: attribute names with resource ids must come first so the
+  // resource map lines up with the beginning of the string pool.
+  const resourceNames = new Map();
+  const otherStrings = new Set();
+
+  const collect = (element) => {
+    otherStrings.add(element.tag);
+    for (const attribute of normalizeAttributes(element.attributes)) {
+      if (attribute.resourceId !== null) {
+        resourceNames.set(attribute.name, attribute.resourceId);
+      } else {
+        otherStrings.add(attribute.name);
+      }
+      if (typeof attribute.value === 'string') {
+        otherStrings.add(attribute.value);
+      }
+    }
+    (element.children || []).forEach(collect);
+  };
+  collect(root);
+
+  const resourceEntries = [...resourceNames.entries()].sort((a, b) => a[1] - b[1]);
+  otherStrings.add('android');
+  otherStrings.add(ANDROID_NAMESPACE);
+  resourceEntries.forEach(([name]) => otherStrings.delete(name));
+
+  const strings = [...resourceEntries.map(([name]) => name), ...otherStrings];
+  const indexOf = (str) => {
+    const index = strings.indexOf(str);
+    if (index === -1) throw new Error(`String not in pool: ${str}`);
+    return index;
+  };
+
+  const chunks = [];
+  let lineNumber = 1;
+
+  const startNamespace = Buffer.concat([
+    nodeHeader(CHUNK_TYPES.XML_START_NAMESPACE, 24, lineNumber),
+    uint32Pair(indexOf('android'), indexOf(ANDROID_NAMESPACE))
+  ]);
+  chunks.push(startNamespace);
+
+  const writeElement = (element) => {
+    lineNumber += 1;
+    const attributes = normalizeAttributes(element.attributes);
+
+    const attrExt = Buffer.alloc(20);
+    attrExt.writeUInt32LE(NO_INDEX, 0);
+    attrExt.writeUInt32LE(indexOf(element.tag), 4);
+    attrExt.writeUInt16LE(20, 8); // attributeStart
+    attrExt.writeUInt16LE(20, 10); // attributeSize
+    attrExt.writeUInt16LE(attributes.length, 12);
+    attrExt.writeUInt16LE(0, 14); // idIndex
+    attrExt.writeUInt16LE(0, 16); // classIndex
+    attrExt.writeUInt16LE(0, 18); // styleIndex
+
+    const attributeBuffers = attributes.map(attribute => {
+      const buffer = Buffer.alloc(12);
+      buffer.writeUInt32LE(attribute.namespace ? indexOf(attribute.namespace) : NO_INDEX, 0);
+      buffer.writeUInt32LE(indexOf(attribute.name), 4);
+
+      let rawValue = NO_INDEX;
+      let typedValue;
+      const { value } = attribute;
+
+      if (typeof value === 'string') {
+        rawValue = indexOf(value);
+        typedValue = encodeResValue(VALUE_TYPES.STRING, rawValue);
+      } else if (typeof value === 'boolean') {
+        typedValue = encodeResValue(VALUE_TYPES.BOOLEAN, value ? 0xffffffff : 0);
+      } else if (typeof value === 'number') {
+        typedValue = encodeResValue(VALUE_TYPES.INT_DEC, value);
+      } else if (value && typeof value.ref === 'number') {
+        typedValue = encodeResValue(VALUE_TYPES.REFERENCE, value.ref);
+      } else if (value && typeof value.hex === 'number') {
+        typedValue = encodeResValue(VALUE_TYPES.INT_HEX, value.hex);
+      } else {
+        throw new Error(`Unsupported value for attribute ${attribute.name}`);
+      }
+
+      buffer.writeUInt32LE(rawValue, 8);
+      return Buffer.concat([buffer, typedValue]);
+    });
+
+    const body = Buffer.concat([attrExt, ...attributeBuffers]);
+    chunks.push(Buffer.concat([
+      nodeHeader(CHUNK_TYPES.XML_START_ELEMENT, 16 + body.length, lineNumber),
+      body
+    ]));
+
+    (element.children || []).forEach(writeElement);
+
+    lineNumber += 1;
+    chunks.push(Buffer.concat([
+      nodeHeader(CHUNK_TYPES.XML_END_ELEMENT, 24, lineNumber),
+      uint32Pair(NO_INDEX, indexOf(element.tag))
+    ]));
+  };
+
+  writeElement(root);
+
+  chunks.push(Buffer.concat([
+    nodeHeader(CHUNK_TYPES.XML_END_NAMESPACE, 24, lineNumber),
+    uint32Pair(indexOf('android'), indexOf(ANDROID_NAMESPACE))
+  ]));
+
+  const stringPool = encodeStringPool(strings);
+
+  const resourceMap = Buffer.alloc(8 + resourceEntries.length * 4);
+  resourceMap.writeUInt16LE(CHUNK_TYPES.XML_RESOURCE_MAP, 0);
+  resourceMap.writeUInt16LE(8, 2);
+  resourceMap.writeUInt32LE(resourceMap.length, 4);
+  resourceEntries.forEach(([, id], index) => resourceMap.writeUInt32LE(id, 8 + index * 4));
+
+  const body = Buffer.concat([stringPool, resourceMap, ...chunks]);
+  const header = Buffer.alloc(8);
+  header.writeUInt16LE(CHUNK_TYPES.XML, 0);
+  header.writeUInt16LE(8, 2);
+  header.writeUInt32LE(8 + body.length, 4);
+
+  return Buffer.concat([header, body]);
+};
+
+const uint32Pair = (first, second) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeUInt32LE(first >>> 0, 0);
+  buffer.writeUInt32LE(second >>> 0, 4);
+  return buffer;
+};
+
+/**
+ * Render an element tree as plain XML text (for sidecar files and debugging)
+ */
+const renderXml = (element, depth = 0) => {
+  const indent = '    '.repeat(depth);
+  const namespaceDecl = depth === 0 ? ` xmlns:android="${ANDROID_NAMESPACE}"` : '';
+  const attributes = Object.entries(element.attributes || {})
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => {
+      const rendered = value && typeof value === 'object'
+        ? (value.name || `0x${(value.ref ?? value.hex).toString(16)}`)
+        : String(value);
+      return ` ${name}="${escapeXml(rendered)}"`;
+    })
+    .join('');
+
+  const children = element.children || [];
+  if (children.length === 0) {
+    return `${indent}<${element.tag}${namespaceDecl}${attributes} />`;
+  }
+
+  return [
+    `${indent}<${element.tag}${namespaceDecl}${attributes}>`,
+    ...children.map(child => renderXml(child, depth + 1)),
+    `${indent}</${element.tag}>`
+  ].join('\n');
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+export {
+  ANDROID_NAMESPACE,
+  ANDROID_ATTRIBUTE_IDS,
+  encodeBinaryXml,
+  encodeStringPool,
+  encodeResValue,
+  normalizeAttributes,
+  renderXml,
+  escapeXml
+};
@@ -0,0 +1,201 @@
+import { encodeStringPool, encodeResValue } from './androidBinaryXml.js';
+
+/**
+ * Android resource table (resources.arsc) encoder
+ * Only covers what generated WebView shells need: file-backed resources such
+ * as launcher icons, qualified by screen density, plus plain string values.
+ */
+
+const CHUNK_TYPES = {
+  TABLE: 0x0002,
+  TABLE_PACKAGE: 0x0200,
+  TABLE_TYPE: 0x0201,
+  TABLE_TYPE_SPEC: 0x0202
+};
+
+const CONFIG_SIZE = 64;
+const CONFIG_DENSITY_FLAG = 0x0100;
+const NO_ENTRY = 0xffffffff;
+const STRING_VALUE_TYPE = 0x03;
+
+const DENSITIES = {
+  ldpi: 120,
+  mdpi: 160,
+  hdpi: 240,
+  xhdpi: 320,
+  xxhdpi: 480,
+  xxxhdpi: 640,
+  anydpi: 0xfffe
+};
+
+/**
+ * Assign resource ids to a resource definition
+ * @param {Object} definition - { packageId, types: [{ name, entries: [{ name }] }] }
+ * @returns {Object} Map of "type/name" to numeric id
+ */
+const resolveResourceIds = (definition) => {
+  const packageId = definition.packageId || 0x7f;
+  const ids = {};
+
+  definition.types.forEach((type, typeIndex) => {
+    type.entries.forEach((entry, entryIndex) => {
+      ids[`${type.name}/${entry.name}`] = ((packageId << 24) | ((typeIndex + 1) << 16) | entryIndex) >>> 0;
+    });
+  });
+
+  return ids;
+};
+
+/**
+ * Encode a ResTable_config with an optional density
+ */
+const encodeConfig = (config = {}) => {
+  const buffer = Buffer.alloc(CONFIG_SIZE);
+  buffer.writeUInt32LE(CONFIG_SIZE, 0);
+  if (config.density) {
+    buffer.writeUInt16LE(DENSITIES[config.density] || config.density, 14);
+  }
+  return buffer;
+};
+
+const configKey = (config = {}) => config.density || 'default';
+
+/**
+ * Encode a resources.arsc table
+ * @param {Object} definition - {
+ *   packageId, packageName,
+ *   types: [{ name: 'mipmap', entries: [{ name: 'ic_launcher', values: [{ config: { density: 'hdpi' }, value: 'res/...' }] }] }]
+ * }
+ * @returns {Buffer} Encoded table
+ */
+const encodeResourceTable = (definition) => {
+  const packageId = definition.packageId || 0x7f;
+  const globalStrings = [];
+  const globalIndex = (value) => {
+    let index = globalStrings.indexOf(value);
+    if (index === -1) {
+      globalStrings.push(value);
+      index = globalStrings.length - 1;
+    }
+    return index;
+  };
+
+  const typeNames = definition.types.map(type => type.name);
+  const keyNames = [];
+  const keyIndex = (name) => {
+    let index = keyNames.indexOf(name);
+    if (index === -1) {
+      keyNames.push(name);
+      index = keyNames.length - 1;
+    }
+    return index;
+  };
+
+  const typeChunks = [];
+
+  definition.types.forEach((type, typeIndex) => {
+    const typeId = typeIndex + 1;
+    const entryCount = type.entries.length;
+
+    // Type spec: which configuration dimensions vary per entry
+    const specHeader = Buffer.alloc(16);
+    specHeader.writeUInt16LE(CHUNK_TYPES.TABLE_TYPE_SPEC, 0);
+    specHeader.writeUInt16LE(16, 2);
+    specHeader.writeUInt32LE(16 + entryCount * 4, 4);
+    specHeader.writeUInt8(typeId, 8);
+    specHeader.writeUInt32LE(entryCount, 12);
+
+    const specFlags = Buffer.alloc(entryCount * 4);
+    type.entries.forEach((entry, index) => {
+      const varies = entry.values.some(value => value.config && value.config.density);
+      specFlags.writeUInt32LE(varies ? CONFIG_DENSITY_FLAG : 0, index * 4);
+    });
+    typeChunks.push(specHeader, specFlags);
+
+    // One type chunk per distinct configuration
+    const configs = new Map();
+    type.entries.forEach(entry => {
+      entry.values.forEach(value => {
+        const key = configKey(value.config);
+        if (!configs.has(key)) configs.set(key, value.config || {});
+      });
+    });
+
+    for (const [key, config] of configs) {
+      const offsets = Buffer.alloc(entryCount * 4);
+      const entryBuffers = [];
+      let position = 0;
+
+      type.entries.forEach((entry, index) => {
+        const value = entry.values.find(candidate => configKey(candidate.config) === key);
+        if (!value) {
+          offsets.writeUInt32LE(NO_ENTRY, index * 4);
+          return;
+        }
+
+        const entryHeader = Buffer.alloc(8);
+        entryHeader.writeUInt16LE(8, 0);
+        entryHeader.writeUInt16LE(0, 2);
+        entryHeader.writeUInt32LE(keyIndex(entry.name), 4);
+
+        const entryBuffer = Buffer.concat([
+          entryHeader,
+          encodeResValue(STRING_VALUE_TYPE, globalIndex(value.value))
+        ]);
+
+        offsets.writeUInt32LE(position, index * 4);
+        position += entryBuffer.length;
+        entryBuffers.push(entryBuffer);
+      });
+
+      const headerSize = 20 + CONFIG_SIZE;
+      const typeHeader = Buffer.alloc(20);
+      typeHeader.writeUInt16LE(CHUNK_TYPES.TABLE_TYPE, 0);
+      typeHeader.writeUInt16LE(headerSize, 2);
+      typeHeader.writeUInt32LE(headerSize + offsets.length + position, 4);
+      typeHeader.writeUInt8(typeId, 8);
+      typeHeader.writeUInt32LE(entryCount, 12);
+      typeHeader.writeUInt32LE(headerSize + offsets.length, 16);
+
+      typeChunks.push(typeHeader, encodeConfig(config), offsets, ...entryBuffers);
+    }
+  });
+
+  // Keys are referenced in entry order, make sure every entry has one
+  definition.types.forEach(type => type.entries.forEach(entry => keyIndex(entry.name)));
+
+  const typeStringPool = encodeStringPool(typeNames, { utf8: true });
+  const keyStringPool = encodeStringPool(keyNames, { utf8: true });
+  const typeData = Buffer.concat(typeChunks);
+
+  const packageHeaderSize = 288;
+  const packageHeader = Buffer.alloc(packageHeaderSize);
+  packageHeader.writeUInt16LE(CHUNK_TYPES.TABLE_PACKAGE, 0);
+  packageHeader.writeUInt16LE(packageHeaderSize, 2);
+  packageHeader.writeUInt32LE(packageHeaderSize + typeStringPool.length + keyStringPool.length + typeData.length, 4);
+  packageHeader.writeUInt32LE(packageId, 8);
+  const packageName = Buffer.from(definition.packageName.substring(0, 127), 'utf16le');
+  packageName.copy(packageHeader, 12);
+  packageHeader.writeUInt32LE(packageHeaderSize, 268); // typeStrings
+  packageHeader.writeUInt32LE(typeNames.length, 272); // lastPublicType
+  packageHeader.writeUInt32LE(packageHeaderSize + typeStringPool.length, 276); // keyStrings
+  packageHeader.writeUInt32LE(keyNames.length, 280); // lastPublicKey
+  packageHeader.writeUInt32LE(0, 284); // typeIdOffset
+
+  const packageChunk = Buffer.concat([packageHeader, typeStringPool, keyStringPool, typeData]);
+  const globalStringPool = encodeStringPool(globalStrings, { utf8: true });
+
+  const tableHeader = Buffer.alloc(12);
+  tableHeader.writeUInt16LE(CHUNK_TYPES.TABLE, 0);
+  tableHeader.writeUInt16LE(12, 2);
+  tableHeader.writeUInt32LE(12 + globalStringPool.length + packageChunk.length, 4);
+  tableHeader.writeUInt32LE(1, 8);
+
+  return Buffer.concat([tableHeader, globalStringPool, packageChunk]);
+};
+
+export {
+  DENSITIES,
+  resolveResourceIds,
+  encodeResourceTable
+};
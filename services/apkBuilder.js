@@ -0,0 +1,372 @@
+import axios from 'axios';
+import sharp from 'sharp';
+import fs from 'fs/promises';
+import path from 'path';
+import { ZipArchive } from './zipArchive.js';
+import { encodeBinaryXml, renderXml } from './androidBinaryXml.js';
+import { encodeResourceTable, resolveResourceIds } from './androidResources.js';
+import { loadSigningKeystore } from './signingKeystore.js';
+import { signApk } from './apkSigner.js';
+import { DEFAULT_DEEP_LINK_PATHS, toAndroidPathAttributes } from './deepLinks.js';
+import { buildInjectionScripts } from './webviewInjections.js';
+import { getBridgeConfig, buildBridgeScript } from './nativeBridge.js';
+
+/**
+ * APK Builder
+ * Packages a generated app into an installable APK: binary manifest, resource
+ * table, launcher icons, the prebuilt WebView shell dex and the per-app shell
+ * configuration, signed with v1 and v2 signatures.
+ */
+
+const SHELL_ACTIVITY = 'com.rapidsaas.shell.MainActivity';
+const SHELL_PUSH_RECEIVER = 'com.rapidsaas.shell.PushReceiver';
+const SHELL_CONFIG_ASSET = 'assets/rapidsaas.json';
+const OFFLINE_ASSET_DIR = 'assets/offline';
+const DEFAULT_ICON_PATH = path.join(process.cwd(), 'assets', 'default-app-icon.png');
+
+// android.R.style.Theme_NoTitleBar
+const SHELL_THEME = { ref: 0x01030006, name: '@android:style/Theme.NoTitleBar' };
+
+// orientation | keyboardHidden | screenSize
+const SHELL_CONFIG_CHANGES = { hex: 0x04a0, name: 'orientation|keyboardHidden|screenSize' };
+
+// android:launchMode="singleTop"
+const LAUNCH_MODE_SINGLE_TOP = 1;
+
+const LAUNCHER_ICON_SIZES = {
+  mdpi: 48,
+  hdpi: 72,
+  xhdpi: 96,
+  xxhdpi: 144,
+  xxxhdpi: 192
+};
+
+/**
+ * Resolve the location of the precompiled WebView shell
+ */
+const getShellDexPath = () => {
+  return process.env.ANDROID_SHELL_DEX || path.join(process.cwd(), 'templates', 'android', 'classes.dex');
+};
+
+/**
+ * Load the precompiled WebView shell dex
+ */
+const loadShellDex = async () => {
+  const dexPath = getShellDexPath();
+  try {
+    const dex = await fs.readFile(dexPath);
+    if (dex.subarray(0, 4).toString('ascii') !== 'dex\n') {
+      throw new Error('file is not a dex image');
+    }
+    return dex;
+  } catch (error) {
+    throw new Error(`WebView shell template unavailable at ${dexPath} (${error.message}). Run "npm run build:shell" or set ANDROID_SHELL_DEX`);
+  }
+};
+
+/**
+ * Fetch an image referenced by the generated assets
+ * Accepts absolute URLs and paths relative to the project root.
+ */
+const fetchAssetImage = async (reference) => {
+  if (/^https?:\/\//i.test(reference)) {
+    const response = await axios.get(reference, { responseType: 'arraybuffer', timeout: 15000 });
+    return Buffer.from(response.data);
+  }
+
+  const localPath = path.join(process.cwd(), reference.replace(/^\/+/, ''));
+  return fs.readFile(localPath);
+};
+
+/**
+ * Pick the best source icon from the app assets, falling back to the default icon
+ */
+const loadSourceIcon = async (assets = {}) => {
+  const icons = assets.icons || {};
+  const candidates = [icons['512x512'], icons.main, icons['192x192'], ...Object.values(icons)]
+    .filter(candidate => typeof candidate === 'string');
+
+  for (const candidate of candidates) {
+    try {
+      return await fetchAssetImage(candidate);
+    } catch (error) {
+      console.warn(`Icon asset unavailable (${candidate}):`, error.message);
+    }
+  }
+
+  return fs.readFile(DEFAULT_ICON_PATH);
+};
+
+/**
+ * Render launcher icons for every density bucket
+ */
+const renderLauncherIcons = async (sourceIcon) => {
+  const icons = {};
+  for (const [density, size] of Object.entries(LAUNCHER_ICON_SIZES)) {
+    icons[density] = await sharp(sourceIcon)
+      .resize(size, size, { fit: 'contain', background: { r: 255, g: 255, b: 255, alpha: 0 } })
+      .png()
+      .toBuffer();
+  }
+  return icons;
+};
+
+/**
+ * Map a permission name from the app configuration to its manifest form
+ */
+const toAndroidPermission = (permission) => {
+  return permission.includes('.') ? permission : `android.permission.${permission}`;
+};
+
+/**
+ * Declare hardware the app can use without requiring it, so permissions
+ * such as CAMERA do not hide the app from devices that lack the hardware
+ */
+const buildUsesFeatureElements = (usesFeatures = []) => usesFeatures.map(feature => ({
+  tag: 'uses-feature',
+  attributes: { 'android:name': feature, 'android:required': false }
+}));
+
+/**
+ * Verified https intent filter that opens links to the given hosts and paths in the app
+ */
+const buildDeepLinkIntentFilter = (hosts, paths = DEFAULT_DEEP_LINK_PATHS) => ({
+  tag: 'intent-filter',
+  attributes: { 'android:autoVerify': true },
+  children: [
+    { tag: 'action', attributes: { 'android:name': 'android.intent.action.VIEW' } },
+    { tag: 'category', attributes: { 'android:name': 'android.intent.category.DEFAULT' } },
+    { tag: 'category', attributes: { 'android:name': 'android.intent.category.BROWSABLE' } },
+    { tag: 'data', attributes: { 'android:scheme': 'https' } },
+    ...hosts.map(host => ({ tag: 'data', attributes: { 'android:host': host } })),
+    ...paths.map(pattern => ({ tag: 'data', attributes: toAndroidPathAttributes(pattern) }))
+  ]
+});
+
+/**
+ * Receiver for the messages Google Play services delivers; the SEND permission
+ * keeps other apps from posting notifications through it
+ */
+const buildPushReceiver = () => ({
+  tag: 'receiver',
+  attributes: {
+    'android:name': SHELL_PUSH_RECEIVER,
+    'android:exported': true,
+    'android:permission': 'com.google.android.c2dm.permission.SEND'
+  },
+  children: [
+    {
+      tag: 'intent-filter',
+      children: [
+        { tag: 'action', attributes: { 'android:name': 'com.google.android.c2dm.intent.RECEIVE' } }
+      ]
+    }
+  ]
+});
+
+/**
+ * Build the AndroidManifest.xml element tree for an app package
+ */
+const buildManifestTree = (appPackage, resourceIds) => {
+  const { metadata = {}, configuration = {}, build = {} } = appPackage;
+  const android = build.android;
+  const webviewUrl = configuration.webview?.url || '';
+  const deepLinks = configuration.features?.deepLinks;
+
+  return {
+    tag: 'manifest',
+    attributes: {
+      package: android.packageName,
+      'android:versionCode': Number(android.versionCode) || 1,
+      'android:versionName': String(metadata.version || '1.0.0'),
+      'android:compileSdkVersion': Number(android.compileSdkVersion) || 33
+    },
+    children: [
+      {
+        tag: 'uses-sdk',
+        attributes: {
+          'android:minSdkVersion': Number(android.minSdkVersion) || 21,
+          'android:targetSdkVersion': Number(android.targetSdkVersion) || 33
+        }
+      },
+      ...(configuration.permissions || []).map(permission => ({
+        tag: 'uses-permission',
+        attributes: { 'android:name': toAndroidPermission(permission) }
+      })),
+      ...buildUsesFeatureElements(android.usesFeatures),
+      {
+        tag: 'application',
+        attributes: {
+          'android:theme': SHELL_THEME,
+          'android:label': metadata.name || 'Generated App',
+          'android:icon': { ref: resourceIds['mipmap/ic_launcher'], name: '@mipmap/ic_launcher' },
+          'android:allowBackup': true,
+          'android:hardwareAccelerated': true,
+          'android:usesCleartextTraffic': webviewUrl.startsWith('http:')
+        },
+        children: [
+          {
+            tag: 'activity',
+            attributes: {
+              'android:name': SHELL_ACTIVITY,
+              'android:exported': true,
+              // singleTop delivers deep links to the running shell instead of stacking new ones
+              'android:launchMode': LAUNCH_MODE_SINGLE_TOP,
+              'android:configChanges': SHELL_CONFIG_CHANGES
+            },
+            children: [
+              {
+                tag: 'intent-filter',
+                children: [
+                  { tag: 'action', attributes: { 'android:name': 'android.intent.action.MAIN' } },
+                  { tag: 'category', attributes: { 'android:name': 'android.intent.category.LAUNCHER' } }
+                ]
+              },
+              ...(deepLinks?.enabled && deepLinks.hosts.length > 0 ? [buildDeepLinkIntentFilter(deepLinks.hosts, deepLinks.paths)] : [])
+            ]
+          },
+          ...(configuration.push ? [buildPushReceiver()] : [])
+        ]
+      }
+    ]
+  };
+};
+
+/**
+ * Runtime configuration consumed by the WebView shell
+ * Offline pages are referenced relative to the APK's assets directory.
+ */
+const buildShellConfig = (appPackage, offlineBundle) => {
+  const { metadata = {}, configuration = {} } = appPackage;
+  const assetPath = (file) => `${OFFLINE_ASSET_DIR.replace(/^assets\//, '')}/${file}`;
+  const bridge = getBridgeConfig(appPackage, 'android');
+
+  return {
+    appName: metadata.name,
+    webview: configuration.webview,
+    features: configuration.features,
+    injections: buildInjectionScripts(appPackage),
+    bridge: bridge ? { ...bridge, script: buildBridgeScript(appPackage, 'android') } : null,
+    push: configuration.push || null,
+    offline: offlineBundle
+      ? {
+        page: assetPath(offlineBundle.report.offlinePage),
+        appShell: offlineBundle.report.appShell ? assetPath(offlineBundle.report.appShell) : null
+      }
+      : null
+  };
+};
+
+/**
+ * Describe the resources packaged with the shell
+ */
+const buildResourceDefinition = (packageName) => ({
+  packageId: 0x7f,
+  packageName,
+  types: [
+    {
+      name: 'mipmap',
+      entries: [
+        {
+          name: 'ic_launcher',
+          values: Object.keys(LAUNCHER_ICON_SIZES).map(density => ({
+            config: { density },
+            value: `res/mipmap-${density}/ic_launcher.png`
+          }))
+        }
+      ]
+    }
+  ]
+});
+
+/**
+ * Gather everything an Android package needs for an app
+ * Shared by the APK and app bundle builders.
+ * @param {Object} options - { offlineBundle } from captureOfflineBundle
+ */
+const prepareAndroidPackage = async (appPackage, options = {}) => {
+  const { offlineBundle } = options;
+  const packageName = appPackage.build?.android?.packageName;
+  if (!packageName) {
+    throw new Error('Android package name is required');
+  }
+
+  const [dex, sourceIcon] = await Promise.all([
+    loadShellDex(),
+    loadSourceIcon(appPackage.assets)
+  ]);
+
+  const resourceDefinition = buildResourceDefinition(packageName);
+  const resourceIds = resolveResourceIds(resourceDefinition);
+
+  return {
+    packageName,
+    dex,
+    resourceDefinition,
+    manifestTree: buildManifestTree(appPackage, resourceIds),
+    launcherIcons: await renderLauncherIcons(sourceIcon),
+    shellConfig: buildShellConfig(appPackage, offlineBundle),
+    offlineFiles: Object.entries(offlineBundle?.files || {})
+      .map(([name, data]) => ({ name: `${OFFLINE_ASSET_DIR}/${name}`, data }))
+  };
+};
+
+/**
+ * Build a signed APK for an app package
+ * @param {Object} appPackage - Package produced by createWebViewApp
+ * @param {Object} options - { keystore } to override the configured keystore, { offlineBundle } to package
+ * @returns {Promise<Object>} { buffer, manifestXml, entries, signer }
+ */
+const buildApk = async (appPackage, options = {}) => {
+  const [contents, keystore] = await Promise.all([
+    prepareAndroidPackage(appPackage, options),
+    options.keystore || loadSigningKeystore()
+  ]);
+
+  const zip = new ZipArchive();
+  zip.addFile('AndroidManifest.xml', encodeBinaryXml(contents.manifestTree));
+  // Android 11+ requires resources.arsc to be stored uncompressed and aligned
+  zip.addFile('resources.arsc', encodeResourceTable(contents.resourceDefinition), { compress: false, alignment: 4 });
+  zip.addFile('classes.dex', contents.dex);
+
+  for (const [density, icon] of Object.entries(contents.launcherIcons)) {
+    zip.addFile(`res/mipmap-${density}/ic_launcher.png`, icon, { compress: false, alignment: 4 });
+  }
+
+  zip.addFile(SHELL_CONFIG_ASSET, JSON.stringify(contents.shellConfig, null, 2));
+
+  for (const file of contents.offlineFiles) {
+    zip.addFile(file.name, file.data);
+  }
+
+  const buffer = signApk(zip, keystore);
+
+  return {
+    buffer,
+    manifestXml: renderXml(contents.manifestTree),
+    entries: zip.files().map(file => file.name),
+    signer: {
+      fingerprint: keystore.fingerprint,
+      debug: keystore.debug
+    }
+  };
+};
+
+export {
+  buildApk,
+  prepareAndroidPackage,
+  buildManifestTree,
+  buildUsesFeatureElements,
+  buildDeepLinkIntentFilter,
+  buildShellConfig,
+  buildResourceDefinition,
+  loadShellDex,
+  fetchAssetImage,
+  loadSourceIcon,
+  renderLauncherIcons,
+  toAndroidPermission,
+  LAUNCHER_ICON_SIZES,
+  SHELL_ACTIVITY,
+  SHELL_CONFIG_ASSET,
+  OFFLINE_ASSET_DIR
+};
@@ -0,0 +1,236 @@
+import crypto from 'crypto';
+import {
+  OIDS,
+  sequence,
+  set,
+  integer,
+  objectIdentifier,
+  octetString,
+  explicit,
+  implicitSet,
+  algorithmIdentifier,
+  parseCertificateIdentity
+} from './derEncoding.js';
+import { buildEndOfCentralDirectory } from './zipArchive.js';
+
+/**
+ * APK signing
+ * Implements JAR signing (v1, for Android < 7.0 and for app bundles) and
+ * APK Signature Scheme v2 over archives produced by ZipArchive.
+ */
+
+const CREATED_BY = '1.0 (Rapid SaaS AI Store)';
+const APK_SIGNATURE_SCHEME_V2_BLOCK_ID = 0x7109871a;
+const APK_SIG_BLOCK_MAGIC = Buffer.from('APK Sig Block 42', 'ascii');
+const RSA_PKCS1_V1_5_WITH_SHA256 = 0x0103;
+const CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Wrap a manifest header line at 72 bytes as required by the JAR spec
+ */
+const manifestLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 72) {
+    return `${line}\r\n`;
+  }
+
+  const parts = [bytes.subarray(0, 72)];
+  for (let offset = 72; offset < bytes.length; offset += 71) {
+    parts.push(Buffer.concat([Buffer.from(' '), bytes.subarray(offset, offset + 71)]));
+  }
+  return parts.map(part => part.toString('utf8')).join('\r\n') + '\r\n';
+};
+
+const sha256Base64 = (data) => crypto.createHash('sha256').update(data).digest('base64');
+
+/**
+ * Build a detached PKCS#7 SignedData structure over the given content
+ */
+const buildPkcs7Signature = (content, keystore) => {
+  const { issuer, serialNumber } = parseCertificateIdentity(keystore.certificate);
+  const signature = crypto.sign('sha256', content, keystore.privateKey);
+
+  const signerInfo = sequence(
+    integer(1),
+    sequence(issuer, serialNumber),
+    algorithmIdentifier(OIDS.sha256),
+    algorithmIdentifier(OIDS.rsaEncryption),
+    octetString(signature)
+  );
+
+  const signedData = sequence(
+    integer(1),
+    set(algorithmIdentifier(OIDS.sha256)),
+    sequence(objectIdentifier(OIDS.pkcs7Data)),
+    implicitSet(0, [keystore.certificate]),
+    set(signerInfo)
+  );
+
+  return sequence(objectIdentifier(OIDS.pkcs7SignedData), explicit(0, signedData));
+};
+
+/**
+ * Add JAR signature files (META-INF/MANIFEST.MF, CERT.SF, CERT.RSA) to an archive
+ * @param {ZipArchive} zip - Archive to sign in place
+ * @param {Object} keystore - Signing keystore
+ * @param {Object} options - { apkSignatureSchemeV2: boolean }
+ */
+const signJar = (zip, keystore, options = {}) => {
+  const { apkSignatureSchemeV2 = false } = options;
+
+  const files = zip.files()
+    .filter(file => !file.name.startsWith('META-INF/') && !file.name.endsWith('/'));
+
+  let manifest = manifestLine('Manifest-Version: 1.0') + manifestLine(`Created-By: ${CREATED_BY}`) + '\r\n';
+  const sections = [];
+
+  for (const file of files) {
+    const section = manifestLine(`Name: ${file.name}`) +
+      manifestLine(`SHA-256-Digest: ${sha256Base64(file.data)}`) +
+      '\r\n';
+    sections.push({ name: file.name, section });
+    manifest += section;
+  }
+
+  let signatureFile = manifestLine('Signature-Version: 1.0') +
+    manifestLine(`Created-By: ${CREATED_BY}`) +
+    manifestLine(`SHA-256-Digest-Manifest: ${sha256Base64(manifest)}`);
+
+  if (apkSignatureSchemeV2) {
+    // Lets Android 7.0+ detect the v2 signature being stripped
+    signatureFile += manifestLine('X-Android-APK-Signed: 2');
+  }
+  signatureFile += '\r\n';
+
+  for (const { name, section } of sections) {
+    signatureFile += manifestLine(`Name: ${name}`) +
+      manifestLine(`SHA-256-Digest: ${sha256Base64(section)}`) +
+      '\r\n';
+  }
+
+  const signatureBlock = buildPkcs7Signature(Buffer.from(signatureFile, 'utf8'), keystore);
+
+  zip.addFile('META-INF/MANIFEST.MF', manifest);
+  zip.addFile('META-INF/CERT.SF', signatureFile);
+  zip.addFile('META-INF/CERT.RSA', signatureBlock);
+
+  return zip;
+};
+
+const uint32 = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32LE(value, 0);
+  return buffer;
+};
+
+const uint64 = (value) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64LE(BigInt(value), 0);
+  return buffer;
+};
+
+const lengthPrefixed = (buffer) => Buffer.concat([uint32(buffer.length), buffer]);
+
+const lengthPrefixedSequence = (buffers) => lengthPrefixed(Buffer.concat(buffers.map(lengthPrefixed)));
+
+/**
+ * Compute the v2 content digest over the three signed ZIP sections
+ */
+const computeContentDigest = (sections) => {
+  const chunkDigests = [];
+
+  for (const section of sections) {
+    for (let offset = 0; offset < section.length; offset += CHUNK_SIZE) {
+      const chunk = section.subarray(offset, Math.min(offset + CHUNK_SIZE, section.length));
+      chunkDigests.push(
+        crypto.createHash('sha256')
+          .update(Buffer.from([0xa5]))
+          .update(uint32(chunk.length))
+          .update(chunk)
+          .digest()
+      );
+    }
+  }
+
+  return crypto.createHash('sha256')
+    .update(Buffer.from([0x5a]))
+    .update(uint32(chunkDigests.length))
+    .update(Buffer.concat(chunkDigests))
+    .digest();
+};
+
+/**
+ * Sign a laid-out archive with APK Signature Scheme v2
+ * @param {Object} layout - { entries, centralDirectory, eocd } from ZipArchive.build()
+ * @param {Object} keystore - Signing keystore
+ * @returns {Buffer} Signed APK
+ */
+const signApkV2 = (layout, keystore) => {
+  const { entries, centralDirectory } = layout;
+  const entryCount = layout.eocd.readUInt16LE(10);
+
+  // While digesting, the EOCD must point at the start of the signing block
+  const digestEocd = buildEndOfCentralDirectory(entryCount, centralDirectory.length, entries.length);
+  const digest = computeContentDigest([entries, centralDirectory, digestEocd]);
+
+  const signedData = Buffer.concat([
+    lengthPrefixedSequence([
+      Buffer.concat([uint32(RSA_PKCS1_V1_5_WITH_SHA256), lengthPrefixed(digest)])
+    ]),
+    lengthPrefixedSequence([keystore.certificate]),
+    lengthPrefixedSequence([])
+  ]);
+
+  const signature = crypto.sign('sha256', signedData, keystore.privateKey);
+
+  const signer = Buffer.concat([
+    lengthPrefixed(signedData),
+    lengthPrefixedSequence([
+      Buffer.concat([uint32(RSA_PKCS1_V1_5_WITH_SHA256), lengthPrefixed(signature)])
+    ]),
+    lengthPrefixed(keystore.publicKey)
+  ]);
+
+  const v2Block = lengthPrefixedSequence([signer]);
+
+  const pair = Buffer.concat([
+    uint64(4 + v2Block.length),
+    uint32(APK_SIGNATURE_SCHEME_V2_BLOCK_ID),
+    v2Block
+  ]);
+
+  const blockSize = pair.length + 8 + APK_SIG_BLOCK_MAGIC.length;
+  const signingBlock = Buffer.concat([
+    uint64(blockSize),
+    pair,
+    uint64(blockSize),
+    APK_SIG_BLOCK_MAGIC
+  ]);
+
+  const eocd = buildEndOfCentralDirectory(
+    entryCount,
+    centralDirectory.length,
+    entries.length + signingBlock.length
+  );
+
+  return Buffer.concat([entries, signingBlock, centralDirectory, eocd]);
+};
+
+/**
+ * Sign an APK archive with both JAR (v1) and v2 signatures
+ * @param {ZipArchive} zip - Unsigned archive
+ * @param {Object} keystore - Signing keystore
+ * @returns {Buffer} Signed APK
+ */
+const signApk = (zip, keystore) => {
+  signJar(zip, keystore, { apkSignatureSchemeV2: true });
+  return signApkV2(zip.build(), keystore);
+};
+
+export {
+  signApk,
+  signJar,
+  signApkV2,
+  buildPkcs7Signature,
+  computeContentDigest
+};
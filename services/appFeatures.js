@@ -0,0 +1,231 @@
+import { validatePathPatterns, DEFAULT_DEEP_LINK_PATHS } from './deepLinks.js';
+
+/**
+ * App feature manifest
+ * Validates the WebView shell features requested for an app and derives the
+ * platform capabilities they need: the smallest set of Android permissions,
+ * hardware features the permissions would otherwise mark as required, and
+ * the iOS usage-description keys App Review expects.
+ *
+ * Manifest shape (every key is optional):
+ *   pullToRefresh      boolean  - reload the page by pulling down
+ *   swipeNavigation    boolean  - edge swipes go back and forward
+ *   offlineSupport     boolean  - show a fallback page while offline
+ *   fileUpload         boolean  - allow <input type="file"> uploads
+ *   camera             boolean  - allow getUserMedia camera access
+ *   geolocation        boolean  - allow navigator.geolocation
+ *   pushNotifications  boolean  - ask for notification permission
+ *   share              boolean  - native share sheet (window.RapidSaaS.share)
+ *   haptics            boolean  - haptic feedback (window.RapidSaaS.haptics)
+ *   secureStorage      boolean  - keychain/keystore storage (window.RapidSaaS.secureStorage)
+ *   biometrics         boolean  - Face ID / fingerprint unlock (window.RapidSaaS.biometrics)
+ *   fileDownloads      boolean  - save downloaded files on the device
+ *   appBadge           boolean  - app icon badge count (window.RapidSaaS.badge)
+ *   deepLinks          { enabled, hosts, paths } - open links to these hosts and
+ *                      path patterns (default "/*") in the app
+ *   externalLinks      'browser' | 'inApp' | 'block' - links to other sites
+ */
+
+const BOOLEAN_FEATURES = [
+  'pullToRefresh',
+  'swipeNavigation',
+  'offlineSupport',
+  'fileUpload',
+  'camera',
+  'geolocation',
+  'pushNotifications',
+  'share',
+  'haptics',
+  'secureStorage',
+  'biometrics',
+  'fileDownloads',
+  'appBadge'
+];
+
+const EXTERNAL_LINK_MODES = ['browser', 'inApp', 'block'];
+
+const DEFAULT_FEATURES = {
+  pullToRefresh: true,
+  swipeNavigation: true,
+  offlineSupport: false,
+  fileUpload: false,
+  camera: false,
+  geolocation: false,
+  pushNotifications: false,
+  share: false,
+  haptics: false,
+  secureStorage: false,
+  biometrics: false,
+  fileDownloads: false,
+  appBadge: false,
+  deepLinks: { enabled: false, hosts: [], paths: DEFAULT_DEEP_LINK_PATHS },
+  externalLinks: 'browser'
+};
+
+// Every shell loads remote content and watches connectivity
+const BASE_ANDROID_PERMISSIONS = ['INTERNET', 'ACCESS_NETWORK_STATE'];
+
+const FEATURE_CAPABILITIES = {
+  camera: {
+    android: ['CAMERA'],
+    // Without this the CAMERA permission makes Play hide the app from devices without a camera
+    androidFeatures: ['android.hardware.camera'],
+    ios: {
+      NSCameraUsageDescription: (appName) => `${appName} uses the camera when a page asks to take photos or video.`
+    }
+  },
+  geolocation: {
+    android: ['ACCESS_COARSE_LOCATION', 'ACCESS_FINE_LOCATION'],
+    androidFeatures: ['android.hardware.location'],
+    ios: {
+      NSLocationWhenInUseUsageDescription: (appName) => `${appName} uses your location when a page asks for it.`
+    }
+  },
+  fileUpload: {
+    // The system file picker grants access per file, so no storage permission is needed
+    android: [],
+    androidFeatures: [],
+    ios: {
+      NSPhotoLibraryUsageDescription: (appName) => `${appName} lets you choose photos to upload.`
+    }
+  },
+  pushNotifications: {
+    // Google Play services only issues FCM tokens to apps holding the C2DM receive permission
+    android: ['POST_NOTIFICATIONS', 'com.google.android.c2dm.permission.RECEIVE'],
+    androidFeatures: [],
+    ios: {}
+  },
+  appBadge: {
+    // Android launchers badge the icon from the app's notifications
+    android: ['POST_NOTIFICATIONS'],
+    androidFeatures: [],
+    ios: {}
+  },
+  biometrics: {
+    // BiometricPrompt, Android 9 and later
+    android: ['USE_BIOMETRIC'],
+    androidFeatures: [],
+    ios: {
+      NSFaceIDUsageDescription: (appName) => `${appName} uses Face ID when a page asks you to unlock.`
+    }
+  }
+};
+
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)(\*\.)?([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i;
+
+/**
+ * Validate a feature manifest and merge it over the defaults
+ * @param {Object} manifest - Features requested for the app
+ * @param {Object} options - { url } of the app, used as the default deep link host
+ * @returns {Object} { isValid, errors, features }
+ */
+const validateFeatures = (manifest = {}, options = {}) => {
+  const validation = {
+    isValid: false,
+    errors: [],
+    features: null
+  };
+
+  if (manifest === null || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    validation.errors.push('Features must be an object');
+    return validation;
+  }
+
+  const features = {
+    ...DEFAULT_FEATURES,
+    deepLinks: { ...DEFAULT_FEATURES.deepLinks }
+  };
+
+  for (const [key, value] of Object.entries(manifest)) {
+    if (BOOLEAN_FEATURES.includes(key)) {
+      if (typeof value !== 'boolean') {
+        validation.errors.push(`${key} must be true or false`);
+      } else {
+        features[key] = value;
+      }
+    } else if (key === 'externalLinks') {
+      if (!EXTERNAL_LINK_MODES.includes(value)) {
+        validation.errors.push(`externalLinks must be one of ${EXTERNAL_LINK_MODES.join(', ')}`);
+      } else {
+        features.externalLinks = value;
+      }
+    } else if (key === 'deepLinks') {
+      const deepLinks = typeof value === 'boolean' ? { enabled: value } : value;
+      if (!deepLinks || typeof deepLinks !== 'object' || Array.isArray(deepLinks)) {
+        validation.errors.push('deepLinks must be true, false or { enabled, hosts, paths }');
+        continue;
+      }
+
+      const hosts = deepLinks.hosts ?? [];
+      if (!Array.isArray(hosts)) {
+        validation.errors.push('deepLinks.hosts must be an array of hostnames');
+        continue;
+      }
+
+      const invalidHosts = hosts.filter(host => typeof host !== 'string' || !HOSTNAME_PATTERN.test(host));
+      if (invalidHosts.length > 0) {
+        validation.errors.push(`Invalid deep link hosts: ${invalidHosts.join(', ')}`);
+      }
+
+      const paths = deepLinks.paths ?? DEFAULT_DEEP_LINK_PATHS;
+      validation.errors.push(...validatePathPatterns(paths));
+
+      features.deepLinks = {
+        enabled: deepLinks.enabled !== false,
+        hosts: [...new Set(hosts.map(host => String(host).toLowerCase()))],
+        paths: Array.isArray(paths) && paths.length > 0 ? [...new Set(paths)] : DEFAULT_DEEP_LINK_PATHS
+      };
+    } else {
+      validation.errors.push(`Unknown feature: ${key}`);
+    }
+  }
+
+  // Deep links default to the host the app wraps
+  if (features.deepLinks.enabled && features.deepLinks.hosts.length === 0 && options.url) {
+    try {
+      features.deepLinks.hosts = [new URL(options.url).hostname.toLowerCase()];
+    } catch (error) {
+      validation.errors.push('deepLinks.hosts is required when the app URL has no hostname');
+    }
+  }
+
+  validation.isValid = validation.errors.length === 0;
+  validation.features = validation.isValid ? features : null;
+  return validation;
+};
+
+/**
+ * Derive the platform capabilities a set of features needs
+ * @param {Object} features - Validated features
+ * @param {Object} options - { appName } used in the usage descriptions
+ * @returns {Object} { androidPermissions, androidFeatures, iosUsageDescriptions }
+ */
+const resolveFeatureCapabilities = (features = DEFAULT_FEATURES, options = {}) => {
+  const appName = options.appName || 'This app';
+  const androidPermissions = [...BASE_ANDROID_PERMISSIONS];
+  const androidFeatures = [];
+  const iosUsageDescriptions = {};
+
+  for (const [feature, capabilities] of Object.entries(FEATURE_CAPABILITIES)) {
+    if (!features[feature]) continue;
+
+    androidPermissions.push(...capabilities.android);
+    androidFeatures.push(...capabilities.androidFeatures);
+    for (const [key, describe] of Object.entries(capabilities.ios)) {
+      iosUsageDescriptions[key] = describe(appName);
+    }
+  }
+
+  return {
+    androidPermissions: [...new Set(androidPermissions)],
+    androidFeatures,
+    iosUsageDescriptions
+  };
+};
+
+export {
+  validateFeatures,
+  resolveFeatureCapabilities,
+  DEFAULT_FEATURES,
+  EXTERNAL_LINK_MODES
+};
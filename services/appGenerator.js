@@ -2,48 +2,55 @@ import axios from 'axios';
 import * as cheerio from 'cheerio';
 import puppeteer from 'puppeteer';
 import sharp from 'sharp';
+import crypto from 'crypto';
 import fs from 'fs/promises';
 import path from 'path';
 import { uploadFile } from './database.js';
+import { buildApk, loadShellDex } from './apkBuilder.js';
+import { buildAab } from './aabBuilder.js';
+import { buildXcodeProject } from './xcodeProject.js';
+import { buildPwa, validatePwaOptions } from './pwaBuilder.js';
+import { buildDesktopProject, validateDesktopOptions, resolveWindowsBuild } from './desktopProject.js';
+import { validateFeatures, resolveFeatureCapabilities } from './appFeatures.js';
+import { validateInjections, buildInjectionScripts } from './webviewInjections.js';
+import { resolveBridgeFeatures, getBridgeConfig, buildBridgeScript, BRIDGE_VERSION } from './nativeBridge.js';
+import { getDeepLinkConfig, toAssociatedDomains } from './deepLinks.js';
+import { createBuildManifest, writeBuildManifest } from './buildManifest.js';
+import { contrastText } from './brandKit.js';
+
+// Android application ID; also used as the iOS bundle ID and Windows package name
+const PACKAGE_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*(\.[a-zA-Z][a-zA-Z0-9_]*)+$/;
+
+const isValidPackageName = (packageName) =>
+  typeof packageName === 'string' && PACKAGE_NAME_PATTERN.test(packageName);
 
 /**
- * Generate APK file for Android app
+ * Generate a signed APK file for Android app
+ * Pass { offlineBundle } in options to package the captured offline pages.
  */
-const generateAPKFile = async (appPackage, outputPath) => {
+const generateAPKFile = async (appPackage, outputPath, options = {}) => {
   try {
     // Ensure output directory exists
     const outputDir = path.dirname(outputPath);
     await fs.mkdir(outputDir, { recursive: true });
     
-    // Create a minimal APK-like file structure (placeholder)
-    const apkContent = `PK\x03\x04\x14\x00\x00\x00\x08\x00\x00\x00!\x00\x00\x00\x00\x00\x00\x00\x00\x00\x00\x00\x00\x00\x13\x00\x00\x00AndroidManifest.xml<?xml version="1.0" encoding="utf-8"?>
-<manifest xmlns:android="http://schemas.android.com/apk/res/android"
-    package="${appPackage.build?.android?.packageName || 'com.rapidsaas.app'}">
-    <application
-        android:label="${appPackage.configuration?.appName || 'Generated App'}"
-        android:theme="@android:style/Theme.NoTitleBar">
-        <activity
-            android:name=".MainActivity"
-            android:exported="true">
-            <intent-filter>
-                <action android:name="android.intent.action.MAIN" />
-                <category android:name="android.intent.category.LAUNCHER" />
-            </intent-filter>
-        </activity>
-    </application>
-    <uses-permission android:name="android.permission.INTERNET" />
-</manifest>PK\x01\x02\x14\x00\x14\x00\x00\x00\x08\x00\x00\x00!\x00\x00\x00\x00\x00\x00\x00\x00\x00\x00\x00\x00\x00\x13\x00\x00\x00AndroidManifest.xmlPK\x05\x06\x00\x00\x00\x00\x01\x00\x01\x00A\x00\x00\x00\x00\x00\x00\x00\x00\x00`;
-    
-    await fs.writeFile(outputPath, apkContent, 'binary');
+    // Package the WebView shell with this app's manifest, resources and config
+    const apk = await buildApk(appPackage, { offlineBundle: options.offlineBundle });
+    
+    await fs.writeFile(outputPath, apk.buffer);
     
     // Write the configuration as a JSON file
     const configContent = {
-      package: appPackage.build?.android?.packageName || 'com.rapidsaas.app',
-      version: appPackage.build?.android?.versionCode || '1.0',
+      package: appPackage.build?.android?.packageName,
+      version: appPackage.build?.android?.versionCode || 1,
       config: appPackage.configuration,
       assets: appPackage.assets,
+      manifest: apk.manifestXml,
+      entries: apk.entries,
+      signer: apk.signer,
+      offline: options.offlineBundle?.report || null,
       buildTime: new Date().toISOString(),
-      note: 'Generated APK file for mobile app'
+      note: 'Signed APK (v1 + v2) wrapping the Rapid SaaS WebView shell'
     };
     
     await fs.writeFile(
@@ -55,7 +62,7 @@ const generateAPKFile = async (appPackage, outputPath) => {
     return {
       success: true,
       path: outputPath,
-      size: apkContent.length
+      size: apk.buffer.length
     };
   } catch (error) {
     console.error('APK Generation Error:', error);
@@ -64,70 +71,167 @@ const generateAPKFile = async (appPackage, outputPath) => {
 };
 
 /**
- * Generate IPA file for iOS app
+ * Generate a signed Android App Bundle for Google Play
  */
-const generateIPAFile = async (appPackage, outputPath) => {
+const generateAABFile = async (appPackage, outputPath, options = {}) => {
   try {
     // Ensure output directory exists
     const outputDir = path.dirname(outputPath);
     await fs.mkdir(outputDir, { recursive: true });
     
-    // Create a minimal IPA-like file structure (placeholder)
-    const ipaContent = `PK\x03\x04\x14\x00\x00\x00\x08\x00\x00\x00!\x00\x00\x00\x00\x00\x00\x00\x00\x00\x00\x00\x00\x00\x10\x00\x00\x00Info.plist<?xml version="1.0" encoding="UTF-8"?>
-<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
-<plist version="1.0">
-<dict>
-    <key>CFBundleDisplayName</key>
-    <string>${appPackage.configuration?.appName || 'Generated App'}</string>
-    <key>CFBundleIdentifier</key>
-    <string>${appPackage.build?.ios?.bundleId || 'com.rapidsaas.app'}</string>
-    <key>CFBundleVersion</key>
-    <string>${appPackage.build?.ios?.version || '1.0'}</string>
-    <key>CFBundleShortVersionString</key>
-    <string>${appPackage.build?.ios?.version || '1.0'}</string>
-    <key>CFBundleExecutable</key>
-    <string>GeneratedApp</string>
-    <key>LSRequiresIPhoneOS</key>
-    <true/>
-    <key>UIRequiredDeviceCapabilities</key>
-    <array>
-        <string>armv7</string>
-    </array>
-    <key>UISupportedInterfaceOrientations</key>
-    <array>
-        <string>UIInterfaceOrientationPortrait</string>
-        <string>UIInterfaceOrientationLandscapeLeft</string>
-        <string>UIInterfaceOrientationLandscapeRight</string>
-    </array>
-</dict>
-</plist>PK\x01\x02\x14\x00\x14\x00\x00\x00\x08\x00\x00\x00!\x00\x00\x00\x00\x00\x00\x00\x00\x00\x00\x00\x00\x00\x10\x00\x00\x00Info.plistPK\x05\x06\x00\x00\x00\x00\x01\x00\x01\x00>\x00\x00\x00\x00\x00\x00\x00\x00\x00`;
-    
-    await fs.writeFile(outputPath, ipaContent, 'binary');
+    // Package the base module from the same inputs as the APK
+    const bundle = await buildAab(appPackage, { offlineBundle: options.offlineBundle });
     
-    // Write the configuration as a JSON file
+    await fs.writeFile(outputPath, bundle.buffer);
+    
+    // Write the bundle description as a JSON file
     const configContent = {
-      bundleId: appPackage.build?.ios?.bundleId || 'com.rapidsaas.app',
-      version: appPackage.build?.ios?.version || '1.0',
-      config: appPackage.configuration,
-      assets: appPackage.assets,
+      package: appPackage.build?.android?.packageName,
+      version: appPackage.build?.android?.versionCode || 1,
+      manifest: bundle.manifestXml,
+      entries: bundle.entries,
+      signer: bundle.signer,
+      buildTime: new Date().toISOString(),
+      note: 'Android App Bundle (base module) signed with the upload key'
+    };
+    
+    await fs.writeFile(
+      outputPath.replace('.aab', '.aab.json'),
+      JSON.stringify(configContent, null, 2)
+    );
+    
+    console.log(`AAB file generated: ${outputPath}`);
+    return {
+      success: true,
+      path: outputPath,
+      size: bundle.buffer.length
+    };
+  } catch (error) {
+    console.error('AAB Generation Error:', error);
+    throw new Error(`Failed to generate AAB: ${error.message}`);
+  }
+};
+
+/**
+ * Generate the Xcode project archive for the iOS app
+ * IPAs can only be built on macOS, so the iOS artifact is a zipped Xcode
+ * project with a fastlane setup to archive and submit it.
+ */
+const generateXcodeProjectFile = async (appPackage, outputPath, options = {}) => {
+  try {
+    // Ensure output directory exists
+    const outputDir = path.dirname(outputPath);
+    await fs.mkdir(outputDir, { recursive: true });
+    
+    const project = await buildXcodeProject(appPackage, { offlineBundle: options.offlineBundle });
+    
+    await fs.writeFile(outputPath, project.buffer);
+    
+    // Write the project description as a JSON file
+    const configContent = {
+      bundleId: appPackage.build?.ios?.bundleId,
+      version: appPackage.build?.ios?.version,
+      buildNumber: appPackage.build?.ios?.buildNumber,
+      project: project.projectName,
+      entries: project.entries,
+      buildTime: new Date().toISOString(),
+      note: 'Xcode project for the iOS WebView app; build with Xcode or fastlane on macOS'
+    };
+    
+    await fs.writeFile(
+      outputPath.replace('.xcode.zip', '.xcode.json'),
+      JSON.stringify(configContent, null, 2)
+    );
+    
+    console.log(`Xcode project generated: ${outputPath}`);
+    return {
+      success: true,
+      path: outputPath,
+      size: project.buffer.length
+    };
+  } catch (error) {
+    console.error('Xcode Project Generation Error:', error);
+    throw new Error(`Failed to generate Xcode project: ${error.message}`);
+  }
+};
+
+/**
+ * Generate the Progressive Web App archive for the app's origin
+ */
+const generatePWAFile = async (appPackage, outputPath) => {
+  try {
+    // Ensure output directory exists
+    const outputDir = path.dirname(outputPath);
+    await fs.mkdir(outputDir, { recursive: true });
+    
+    const pwa = await buildPwa(appPackage);
+    
+    await fs.writeFile(outputPath, pwa.buffer);
+    
+    // Write the PWA description as a JSON file
+    const configContent = {
+      url: appPackage.configuration.webview.url,
+      cacheVersion: pwa.cacheVersion,
+      manifest: pwa.manifest,
+      options: appPackage.configuration.pwa,
+      entries: pwa.entries,
       buildTime: new Date().toISOString(),
-      note: 'Generated IPA file for mobile app'
+      note: 'PWA files to deploy at the root of the site origin'
     };
     
     await fs.writeFile(
-      outputPath.replace('.ipa', '.json'),
+      outputPath.replace('.pwa.zip', '.pwa.json'),
       JSON.stringify(configContent, null, 2)
     );
     
-    console.log(`IPA file generated: ${outputPath}`);
+    console.log(`PWA generated: ${outputPath}`);
     return {
       success: true,
       path: outputPath,
-      size: ipaContent.length
+      size: pwa.buffer.length
     };
   } catch (error) {
-    console.error('IPA Generation Error:', error);
-    throw new Error(`Failed to generate IPA: ${error.message}`);
+    console.error('PWA Generation Error:', error);
+    throw new Error(`Failed to generate PWA: ${error.message}`);
+  }
+};
+
+/**
+ * Generate the desktop project archive: Electron wrapper and MSIX layout
+ */
+const generateDesktopFile = async (appPackage, outputPath) => {
+  try {
+    // Ensure output directory exists
+    const outputDir = path.dirname(outputPath);
+    await fs.mkdir(outputDir, { recursive: true });
+    
+    const project = await buildDesktopProject(appPackage);
+    
+    await fs.writeFile(outputPath, project.buffer);
+    
+    // Write the project description as a JSON file
+    const configContent = {
+      identity: appPackage.build.windows,
+      executable: `${project.executableName}.exe`,
+      entries: project.entries,
+      buildTime: new Date().toISOString(),
+      note: 'Electron project and MSIX layout; pack with electron-builder, MakeAppx or makemsix'
+    };
+    
+    await fs.writeFile(
+      outputPath.replace('.desktop.zip', '.desktop.json'),
+      JSON.stringify(configContent, null, 2)
+    );
+    
+    console.log(`Desktop project generated: ${outputPath}`);
+    return {
+      success: true,
+      path: outputPath,
+      size: project.buffer.length
+    };
+  } catch (error) {
+    console.error('Desktop Project Generation Error:', error);
+    throw new Error(`Failed to generate desktop project: ${error.message}`);
   }
 };
 
@@ -226,15 +330,34 @@ const validateUrl = async (url) => {
   return validation;
 };
 
+/**
+ * Launch headless Chrome with flags that work in containers
+ */
+const launchBrowser = () => puppeteer.launch({
+  headless: 'new',
+  args: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-gpu',
+    '--no-first-run',
+    '--no-zygote',
+    '--single-process'
+  ]
+});
+
 /**
  * Generate app assets (icons, splash screens, etc.)
+ * options.brandColors ({ primary, background }) from the site's brand kit are used to colour
+ * the fallback icon and splash screens.
  */
 const generateAppAssets = async (options) => {
   const {
     url,
     appName,
     description,
-    customIcon
+    customIcon,
+    brandColors
   } = options;
 
   const assets = {
@@ -250,18 +373,7 @@ const generateAppAssets = async (options) => {
     
     try {
       // Launch Puppeteer for screenshots
-      browser = await puppeteer.launch({
-        headless: 'new',
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-gpu',
-          '--no-first-run',
-          '--no-zygote',
-          '--single-process'
-        ]
-      });
+      browser = await launchBrowser();
 
       const page = await browser.newPage();
       
@@ -375,13 +487,13 @@ const generateAppAssets = async (options) => {
        if (!customIcon && !puppeteerAvailable) {
          const initial = appName.charAt(0).toUpperCase();
          const colors = ['#4F46E5', '#EF4444', '#10B981', '#F59E0B', '#8B5CF6', '#06B6D4'];
-         const backgroundColor = colors[Math.floor(Math.random() * colors.length)];
+         const backgroundColor = brandColors?.primary || colors[Math.floor(Math.random() * colors.length)];
          
          const fallbackIconSvg = `
            <svg width="512" height="512" xmlns="http://www.w3.org/2000/svg">
              <rect width="512" height="512" fill="${backgroundColor}" rx="76.8"/>
              <text x="50%" y="50%" font-family="Arial, sans-serif" font-size="204" 
-                   font-weight="bold" fill="white" text-anchor="middle" dy="0.35em">
+                   font-weight="bold" fill="${contrastText(backgroundColor)}" text-anchor="middle" dy="0.35em">
                ${initial}
              </text>
            </svg>
@@ -436,13 +548,17 @@ const generateAppAssets = async (options) => {
       { name: 'tablet-landscape', width: 1024, height: 768 }
     ];
 
+    const splashBackground = brandColors?.background || '#ffffff';
+    const splashText = brandColors?.background ? contrastText(brandColors.background) : '#333333';
+
     for (const splash of splashSizes) {
       // Create a simple splash screen with app name and icon
       const splashSvg = `
         <svg width="${splash.width}" height="${splash.height}" xmlns="http://www.w3.org/2000/svg">
-          <rect width="100%" height="100%" fill="#ffffff"/>
+          <rect width="100%" height="100%" fill="${splashBackground}"/>
+          ${brandColors?.primary ? `<rect y="${splash.height - 6}" width="100%" height="6" fill="${brandColors.primary}"/>` : ''}
           <text x="50%" y="50%" text-anchor="middle" dominant-baseline="middle" 
-                font-family="Arial, sans-serif" font-size="24" fill="#333333">
+                font-family="Arial, sans-serif" font-size="24" fill="${splashText}">
             ${appName}
           </text>
         </svg>
@@ -477,25 +593,70 @@ const generateAppAssets = async (options) => {
 };
 
 /**
- * Create WebView wrapper app configuration
+ * Describe a WebView wrapper app: metadata, webview configuration and build settings
+ * The release version is shared by both stores; versionCode doubles as the iOS build number.
+ * options.pushEndpoint is where the shells register push devices and options.fcm the Firebase
+ * settings the Android and Flutter shells request tokens with, see services/pushNotifications.js.
+ * options.brand is the site's brand kit (services/brandKit.js); its colours style the generated artwork.
  */
-const createWebViewApp = async (options) => {
+const buildAppPackage = (options) => {
   const {
     url,
     appName,
     description,
     category,
     targetPlatforms,
-    assets
+    assets,
+    packageName,
+    features: requestedFeatures,
+    pwa: requestedPwa,
+    desktop: requestedDesktop,
+    injections: requestedInjections,
+    pushEndpoint,
+    fcm,
+    brand,
+    version = '1.0.0',
+    versionCode = 1
   } = options;
 
+  if (packageName && !isValidPackageName(packageName)) {
+    throw new Error(`Invalid package name: ${packageName}`);
+  }
+
+  const featureValidation = validateFeatures(requestedFeatures, { url });
+  if (!featureValidation.isValid) {
+    throw new Error(`Invalid features: ${featureValidation.errors.join(', ')}`);
+  }
+
+  const pwaValidation = validatePwaOptions(requestedPwa);
+  if (!pwaValidation.isValid) {
+    throw new Error(`Invalid PWA options: ${pwaValidation.errors.join(', ')}`);
+  }
+
+  const desktopValidation = validateDesktopOptions(requestedDesktop);
+  if (!desktopValidation.isValid) {
+    throw new Error(`Invalid desktop options: ${desktopValidation.errors.join(', ')}`);
+  }
+
+  const injectionValidation = validateInjections(requestedInjections);
+  if (!injectionValidation.isValid) {
+    throw new Error(`Invalid injection rules: ${injectionValidation.errors.join(', ')}`);
+  }
+
+  const { features } = featureValidation;
+  const capabilities = resolveFeatureCapabilities(features, { appName });
+  const bridgeFeatures = resolveBridgeFeatures(features);
+
+  const appSlug = appName.toLowerCase().replace(/[^a-z0-9]/g, '');
+  const defaultIdentifier = `com.rapidsaas.${/^[a-z]/.test(appSlug) ? appSlug : `app${appSlug}`}`;
+
   const appPackage = {
     metadata: {
       name: appName,
       description,
       category,
-      version: '1.0.0',
-      buildNumber: 1,
+      version,
+      buildNumber: versionCode,
       targetPlatforms
     },
     configuration: {
@@ -505,42 +666,67 @@ const createWebViewApp = async (options) => {
         enableJavaScript: true,
         enableDomStorage: true,
         enableFileAccess: false,
-        allowUniversalAccessFromFileURLs: false
+        allowUniversalAccessFromFileURLs: false,
+        injections: injectionValidation.injections
       },
-      permissions: [
-        'INTERNET',
-        'ACCESS_NETWORK_STATE',
-        'WRITE_EXTERNAL_STORAGE'
-      ],
-      features: {
-        pullToRefresh: true,
-        swipeNavigation: true,
-        offlineSupport: false,
-        pushNotifications: false
-      }
+      permissions: capabilities.androidPermissions,
+      features,
+      // window.RapidSaaS, exposed by the shells that implement these features
+      bridge: bridgeFeatures.length > 0 ? { version: BRIDGE_VERSION, features: bridgeFeatures } : null,
+      push: features.pushNotifications ? { endpoint: pushEndpoint || null, fcm: fcm || null } : null,
+      pwa: pwaValidation.pwa
     },
     assets: assets,
+    brand: brand ? {
+      colors: brand.colors,
+      palette: brand.palette,
+      logo: brand.logo?.url || null,
+      icon: brand.icon?.url || null
+    } : null,
     build: {
       android: {
-        packageName: `com.rapidsaas.${appName.toLowerCase().replace(/[^a-z0-9]/g, '')}`,
-        versionCode: 1,
+        packageName: packageName || defaultIdentifier,
+        versionCode,
         minSdkVersion: 21,
         targetSdkVersion: 33,
-        compileSdkVersion: 33
+        compileSdkVersion: 33,
+        usesFeatures: capabilities.androidFeatures
       },
       ios: {
-        bundleId: `com.rapidsaas.${appName.toLowerCase().replace(/[^a-z0-9]/g, '')}`,
-        version: '1.0.0',
-        buildNumber: '1',
-        minimumOSVersion: '12.0'
-      }
+        bundleId: packageName || defaultIdentifier,
+        version,
+        buildNumber: String(versionCode),
+        minimumOSVersion: '12.0',
+        usageDescriptions: capabilities.iosUsageDescriptions,
+        associatedDomains: []
+      },
+      windows: resolveWindowsBuild(desktopValidation.desktop, {
+        packageName: packageName || defaultIdentifier,
+        version
+      })
     }
   };
 
+  appPackage.build.ios.associatedDomains = toAssociatedDomains(getDeepLinkConfig(appPackage).hosts);
+
+  return appPackage;
+};
+
+/**
+ * Upload the app configuration and generate the downloadable app files
+ * @param {Object} appPackage - Package produced by buildAppPackage
+ * @param {Object} options - { offlineBundle } from captureOfflineBundle, plus { buildJobId, releaseId }
+ *   recorded in the signed build manifest
+ */
+const packageApp = async (appPackage, options = {}) => {
+  const appName = appPackage.metadata.name;
+  const startedAt = new Date().toISOString();
+
   try {
-    // Generate Flutter WebView app template
-    const flutterConfig = generateFlutterConfig(appPackage);
-    
+    // The Android packages wrap the precompiled shell dex; a missing dex is a setup
+    // error (see templates/android/README.md), so fail before anything is uploaded
+    await loadShellDex();
+
     // Save configuration to storage
     const configPath = `apps/${Date.now()}-${appName.toLowerCase().replace(/[^a-z0-9]/g, '')}/config.json`;
     const configBuffer = Buffer.from(JSON.stringify(appPackage, null, 2));
@@ -551,39 +737,93 @@ const createWebViewApp = async (options) => {
 
     appPackage.configUrl = configUpload.publicUrl;
     
-    // Generate actual APK and IPA files
-    const timestamp = Date.now();
-    const apkFilename = `${appPackage.build.android.packageName}-${timestamp}.apk`;
-    const ipaFilename = `${appPackage.build.ios.bundleId}-${timestamp}.ipa`;
+    // Generate the APK, AAB and Xcode project, plus the PWA and desktop targets when requested.
+    // Download names are generated here, never taken from the request
+    const baseName = `build-${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+    const apkFilename = `${baseName}.apk`;
+    const aabFilename = `${baseName}.aab`;
+    // Same base name as the Android files so one build manifest covers all three
+    const xcodeFilename = `${baseName}.xcode.zip`;
     const apkPath = path.join(process.cwd(), 'downloads', apkFilename);
-    const ipaPath = path.join(process.cwd(), 'downloads', ipaFilename);
+    const aabPath = path.join(process.cwd(), 'downloads', aabFilename);
+    const xcodePath = path.join(process.cwd(), 'downloads', xcodeFilename);
     
-    // Create proper APK and IPA files with WebView configuration
-    await generateAPKFile(appPackage, apkPath);
-    await generateIPAFile(appPackage, ipaPath);
+    const artifacts = [];
+    appPackage.buildWarnings = [];
+
+    // Create the Android packages and iOS project with the WebView configuration
+    await generateAPKFile(appPackage, apkPath, options);
+    await generateAABFile(appPackage, aabPath, options);
+    artifacts.push(
+      { platform: 'android', path: apkPath, url: `/downloads/${apkFilename}` },
+      { platform: 'androidBundle', path: aabPath, url: `/downloads/${aabFilename}` }
+    );
+
+    await generateXcodeProjectFile(appPackage, xcodePath, options);
+    artifacts.push({ platform: 'ios', path: xcodePath, url: `/downloads/${xcodeFilename}` });
+
+    // The PWA and desktop targets are extras on top of the mobile store packages
+    if ((appPackage.metadata.targetPlatforms || []).includes('pwa')) {
+      const pwaFilename = `${baseName}.pwa.zip`;
+      const pwaPath = path.join(process.cwd(), 'downloads', pwaFilename);
+      await generatePWAFile(appPackage, pwaPath);
+      artifacts.push({ platform: 'pwa', path: pwaPath, url: `/downloads/${pwaFilename}` });
+    }
+
+    if ((appPackage.metadata.targetPlatforms || []).includes('desktop')) {
+      const desktopFilename = `${baseName}.desktop.zip`;
+      const desktopPath = path.join(process.cwd(), 'downloads', desktopFilename);
+      await generateDesktopFile(appPackage, desktopPath);
+      artifacts.push({ platform: 'desktop', path: desktopPath, url: `/downloads/${desktopFilename}` });
+    }
+
+    // Record inputs and artifact checksums for audits
+    const manifest = await createBuildManifest(appPackage, artifacts, { ...options, startedAt });
     
     appPackage.downloadLinks = {
-      android: `/downloads/${apkFilename}`,
-      ios: `/downloads/${ipaFilename}`,
-      config: configUpload.publicUrl
+      ...Object.fromEntries(artifacts.map(artifact => [artifact.platform, artifact.url])),
+      config: configUpload.publicUrl,
+      manifest: await writeBuildManifest(manifest)
     };
+    appPackage.checksums = Object.fromEntries(
+      manifest.artifacts.map(artifact => [artifact.platform, artifact.sha256])
+    );
 
     appPackage.buildStatus = 'completed';
     appPackage.buildTime = new Date().toISOString();
 
   } catch (error) {
-    console.error('WebView App Creation Error:', error);
-    throw new Error(`Failed to create WebView app: ${error.message}`);
+    console.error('App Packaging Error:', error);
+    throw new Error(`Failed to package app: ${error.message}`);
   }
 
   return appPackage;
 };
 
+/**
+ * Create WebView wrapper app configuration
+ * Add 'pwa' or 'desktop' to targetPlatforms to also generate the Progressive Web App
+ * files or the Electron/MSIX desktop project.
+ * The native shells expose window.RapidSaaS for the bridge features enabled in
+ * options.features (share, haptics, secureStorage, biometrics, pushNotifications,
+ * fileDownloads, appBadge); see services/nativeBridge.js.
+ */
+const createWebViewApp = async (options) => {
+  try {
+    return await packageApp(buildAppPackage(options));
+  } catch (error) {
+    console.error('WebView App Creation Error:', error);
+    throw new Error(`Failed to create WebView app: ${error.message}`);
+  }
+};
+
 /**
  * Generate Flutter WebView app configuration
  */
 const generateFlutterConfig = (appPackage) => {
   const { metadata, configuration, build } = appPackage;
+  const features = configuration.features || {};
+  const bridge = getBridgeConfig(appPackage, 'flutter');
 
   return {
     name: metadata.name,
@@ -591,14 +831,25 @@ const generateFlutterConfig = (appPackage) => {
     version: metadata.version,
     environment: {
       sdk: '>=3.0.0 <4.0.0',
-      flutter: '>=3.10.0'
+      flutter: '>=3.16.0'
     },
     dependencies: {
       flutter: { sdk: 'flutter' },
+      app_links: '^3.5.0',
       webview_flutter: '^4.4.1',
+      webview_flutter_android: '^3.13.0',
+      webview_flutter_wkwebview: '^3.10.0',
       connectivity_plus: '^5.0.1',
+      file_picker: '^6.1.1',
+      permission_handler: '^11.1.0',
       shared_preferences: '^2.2.2',
-      url_launcher: '^6.2.1'
+      url_launcher: '^6.2.1',
+      share_plus: '^7.2.1',
+      flutter_secure_storage: '^9.0.0',
+      local_auth: '^2.1.7',
+      firebase_core: '^2.24.2',
+      firebase_messaging: '^14.7.10',
+      flutter_app_badger: '^1.5.0'
     },
     flutter: {
       uses_material_design: true,
@@ -611,57 +862,56 @@ const generateFlutterConfig = (appPackage) => {
       javascript_mode: configuration.webview.enableJavaScript ? 'JavascriptMode.unrestricted' : 'JavascriptMode.disabled',
       navigation_delegate: {
         allow_navigation: true,
-        url_loading_strategy: 'UrlLoadingStrategy.inAppWebView'
-      }
+        url_loading_strategy: 'UrlLoadingStrategy.inAppWebView',
+        external_links: features.externalLinks || 'browser'
+      },
+      features: {
+        pull_to_refresh: Boolean(features.pullToRefresh),
+        swipe_navigation: Boolean(features.swipeNavigation),
+        offline_support: Boolean(features.offlineSupport),
+        file_upload: Boolean(features.fileUpload),
+        camera: Boolean(features.camera),
+        geolocation: Boolean(features.geolocation),
+        push_notifications: Boolean(features.pushNotifications)
+      },
+      deep_link_hosts: features.deepLinks?.enabled ? features.deepLinks.hosts : [],
+      deep_link_paths: features.deepLinks?.paths || [],
+      injections: buildInjectionScripts(appPackage),
+      bridge: bridge ? { ...bridge, script: buildBridgeScript(appPackage, 'flutter') } : null
     },
+    // { endpoint, fcm } when push notifications are on
+    push_config: configuration.push || null,
     android_config: {
       package_name: build.android.packageName,
       version_code: build.android.versionCode,
       min_sdk_version: build.android.minSdkVersion,
       target_sdk_version: build.android.targetSdkVersion,
-      permissions: configuration.permissions
+      permissions: configuration.permissions,
+      uses_features: build.android.usesFeatures
     },
     ios_config: {
       bundle_id: build.ios.bundleId,
       version: build.ios.version,
       build_number: build.ios.buildNumber,
-      minimum_os_version: build.ios.minimumOSVersion
+      minimum_os_version: build.ios.minimumOSVersion,
+      usage_descriptions: build.ios.usageDescriptions,
+      associated_domains: build.ios.associatedDomains || []
     }
   };
 };
 
-/**
- * Check app build status
- */
-const checkBuildStatus = async (appId) => {
-  // In a real implementation, this would check the actual build service
-  // For MVP, we'll simulate different build statuses
-  
-  const statuses = ['pending', 'building', 'testing', 'completed', 'failed'];
-  const randomStatus = statuses[Math.floor(Math.random() * statuses.length)];
-  
-  return {
-    appId,
-    status: randomStatus,
-    progress: randomStatus === 'completed' ? 100 : Math.floor(Math.random() * 90) + 10,
-    estimatedTime: randomStatus === 'completed' ? 0 : Math.floor(Math.random() * 30) + 5,
-    logs: [
-      'Initializing build environment...',
-      'Downloading dependencies...',
-      'Compiling Flutter app...',
-      'Generating app assets...',
-      'Building APK/IPA files...'
-    ].slice(0, randomStatus === 'completed' ? 5 : Math.floor(Math.random() * 4) + 1),
-    lastUpdated: new Date().toISOString()
-  };
-};
-
 export {
   validateUrl,
+  launchBrowser,
   generateAppAssets,
   createWebViewApp,
+  buildAppPackage,
+  packageApp,
+  isValidPackageName,
   generateFlutterConfig,
-  checkBuildStatus,
   generateAPKFile,
-  generateIPAFile
+  generateAABFile,
+  generateXcodeProjectFile,
+  generatePWAFile,
+  generateDesktopFile
 };
\ No newline at end of file
@@ -0,0 +1,245 @@
+import {
+  createAppRelease,
+  getAppReleaseById,
+  getAppReleases,
+  updateAppRelease,
+  getBuildJobs
+} from './database.js';
+import { enqueueBuild } from './buildQueue.js';
+
+/**
+ * App Releases
+ * Every store upload needs a version the store has not seen before, so apps
+ * are shipped as numbered releases instead of ad-hoc builds. A release has a
+ * semantic version (versionName / CFBundleShortVersionString) and a version
+ * code (Android versionCode / iOS build number) that grows by one with every
+ * release of the app, including failed ones.
+ *
+ * Release statuses:
+ *   building   - its build job is queued or running
+ *   ready      - artifacts are available and can be published
+ *   failed     - the build failed or was cancelled
+ *   published  - submitted to at least one store
+ */
+
+const INITIAL_VERSION = '1.0.0';
+const RELEASE_BUMPS = ['major', 'minor', 'patch'];
+const PUBLISHABLE_STATUSES = ['ready', 'published'];
+const MAX_CHANGELOG_LENGTH = 500; // Google Play "What's new" limit
+
+// iOS only accepts numeric versions, so pre-release and build suffixes are not allowed
+const VERSION_PATTERN = /^(0|[1-9]\d{0,3})\.(0|[1-9]\d{0,3})\.(0|[1-9]\d{0,3})$/;
+
+const parseVersion = (version) => {
+  const match = VERSION_PATTERN.exec(String(version || ''));
+  return match ? match.slice(1).map(Number) : null;
+};
+
+/**
+ * Compare two versions
+ * @returns {number} Negative when a < b, positive when a > b, 0 when equal
+ */
+const compareVersions = (a, b) => {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) return left[i] - right[i];
+  }
+  return 0;
+};
+
+/**
+ * Bump a version
+ * @param {string} version - Current version, e.g. "1.4.2"
+ * @param {string} bump - major, minor or patch
+ */
+const bumpVersion = (version, bump = 'patch') => {
+  const parts = parseVersion(version);
+  if (!parts) {
+    throw new Error(`Invalid version: ${version}`);
+  }
+  if (!RELEASE_BUMPS.includes(bump)) {
+    throw new Error(`Invalid bump: ${bump} (use ${RELEASE_BUMPS.join(', ')})`);
+  }
+
+  const [major, minor, patch] = parts;
+  if (bump === 'major') return `${major + 1}.0.0`;
+  if (bump === 'minor') return `${major}.${minor + 1}.0`;
+  return `${major}.${minor}.${patch + 1}`;
+};
+
+/**
+ * Work out the next version and version code of an app
+ * @param {Object} options - { bump, version } where an explicit version wins over the bump
+ * @returns {Promise<Object>} { isValid, errors, version, versionCode, previous }
+ */
+const planNextRelease = async (appId, options = {}) => {
+  const { bump, version } = options;
+  const plan = { isValid: false, errors: [], version: null, versionCode: null, previous: null };
+
+  const [latest] = await getAppReleases(appId, { limit: 1 });
+  // Failed releases burn their version code but not their version
+  const [previous] = await getAppReleases(appId, { status: ['building', ...PUBLISHABLE_STATUSES], limit: 1 });
+  plan.previous = previous || null;
+  plan.versionCode = (latest?.version_code || 0) + 1;
+
+  if (version !== undefined && version !== null) {
+    if (!parseVersion(version)) {
+      plan.errors.push('version must be MAJOR.MINOR.PATCH, e.g. 1.2.0');
+    } else if (previous && compareVersions(version, previous.version) <= 0) {
+      plan.errors.push(`version must be greater than ${previous.version}`);
+    } else {
+      plan.version = version;
+    }
+  } else if (!previous) {
+    plan.version = INITIAL_VERSION;
+  } else if (!RELEASE_BUMPS.includes(bump || 'patch')) {
+    plan.errors.push(`bump must be one of ${RELEASE_BUMPS.join(', ')}`);
+  } else {
+    plan.version = bumpVersion(previous.version, bump || 'patch');
+  }
+
+  plan.isValid = plan.errors.length === 0;
+  return plan;
+};
+
+/**
+ * Build input for a new release, reusing what the app was last built from
+ */
+const releaseBuildInput = async (app) => {
+  const [lastBuild] = await getBuildJobs({ appId: app.id, limit: 1 });
+  const packageInfo = app.package_info || {};
+
+  return {
+    url: app.original_url || app.url,
+    appName: app.name,
+    description: app.description,
+    category: app.category,
+    targetPlatforms: app.target_platforms,
+    ...lastBuild?.input,
+    // Releases must keep the package name the stores already know
+    packageName: packageInfo.build?.android?.packageName || lastBuild?.input?.packageName,
+    features: packageInfo.configuration?.features || lastBuild?.input?.features,
+    // Rules saved on the app since the last build apply to this release
+    injections: app.webview_injections || lastBuild?.input?.injections
+  };
+};
+
+/**
+ * Create a release and queue its build
+ * @param {Object} options - { app, userId, bump, version, changelog, input }
+ *   input overrides the build input taken from the app's last build
+ * @returns {Promise<Object>} { release, buildJob } or { errors } when the version is rejected
+ */
+const createRelease = async (options) => {
+  const { app, userId, bump, version, changelog = '', input } = options;
+
+  try {
+    if (String(changelog).length > MAX_CHANGELOG_LENGTH) {
+      return { errors: [`changelog must be at most ${MAX_CHANGELOG_LENGTH} characters`] };
+    }
+
+    const plan = await planNextRelease(app.id, { bump, version });
+    if (!plan.isValid) {
+      return { errors: plan.errors };
+    }
+
+    const buildInput = input || await releaseBuildInput(app);
+
+    const release = await createAppRelease({
+      app_id: app.id,
+      user_id: userId,
+      version: plan.version,
+      version_code: plan.versionCode,
+      changelog: String(changelog),
+      status: 'building',
+      package_name: buildInput.packageName || null
+    });
+
+    let buildJob;
+    try {
+      buildJob = await enqueueBuild({
+        appId: app.id,
+        userId,
+        input: {
+          ...buildInput,
+          releaseId: release.id,
+          version: release.version,
+          versionCode: release.version_code
+        }
+      });
+    } catch (error) {
+      // No build will ever finish this release; leave its version free for the next one
+      await updateAppRelease(release.id, { status: 'failed', error: `Build could not be queued: ${error.message}` })
+        .catch(updateError => console.error('Release Update Error:', updateError));
+      throw error;
+    }
+
+    return {
+      release: await updateAppRelease(release.id, { build_job_id: buildJob.id }),
+      buildJob
+    };
+  } catch (error) {
+    console.error('Create Release Error:', error);
+    throw new Error(`Failed to create release: ${error.message}`);
+  }
+};
+
+/**
+ * Find the release to publish: the requested one, or the newest publishable release
+ * @returns {Promise<Object|null>} Release, or null when none is ready
+ */
+const getPublishableRelease = async (appId, releaseId = null) => {
+  if (releaseId) {
+    const release = await getAppReleaseById(releaseId, appId);
+    return release && PUBLISHABLE_STATUSES.includes(release.status) ? release : null;
+  }
+
+  const [release] = await getAppReleases(appId, { status: PUBLISHABLE_STATUSES, limit: 1 });
+  return release || null;
+};
+
+/**
+ * Record that a release was submitted to a store
+ * @param {string} store - e.g. google-play or app-store
+ * @param {Object} details - Store specific submission details
+ */
+const recordReleasePublish = async (release, store, details = {}) => {
+  const publishedAt = new Date().toISOString();
+
+  return updateAppRelease(release.id, {
+    status: 'published',
+    published_at: release.published_at || publishedAt,
+    publish_info: {
+      ...release.publish_info,
+      [store]: { ...details, submittedAt: publishedAt }
+    }
+  });
+};
+
+/**
+ * Record that publishing a release to stores was requested but not submitted yet;
+ * the release keeps its status until a store actually receives it
+ * @param {Array} stores - e.g. ['google-play', 'app-store']
+ */
+const recordPublishRequest = async (release, stores) => {
+  const requestedAt = new Date().toISOString();
+  const publishInfo = { ...release.publish_info };
+  for (const store of stores) {
+    publishInfo[store] = { ...publishInfo[store], status: 'pending', requestedAt };
+  }
+
+  return updateAppRelease(release.id, { publish_info: publishInfo });
+};
+
+export {
+  bumpVersion,
+  compareVersions,
+  planNextRelease,
+  createRelease,
+  getPublishableRelease,
+  recordReleasePublish,
+  recordPublishRequest,
+  INITIAL_VERSION,
+  RELEASE_BUMPS
+};
@@ -0,0 +1,516 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { fetchAssetImage } from './apkBuilder.js';
+
+/**
+ * App Store Connect API Integration Service
+ * Client for the App Store Connect API (https://developer.apple.com/documentation/appstoreconnectapi)
+ * authenticated with an API key: its key ID, the team's issuer ID and the .p8
+ * private key, from which short-lived ES256 tokens are signed.
+ *
+ * Requests go to APP_STORE_CONNECT_API_URL when it is set, so the client can
+ * run against a local stand-in for the API.
+ *
+ * Submitting a version: find the app by bundle ID, find or create the App
+ * Store version, write its localizations (description, keywords, ...) and the
+ * app info localizations (name, subtitle, privacy policy), replace the
+ * screenshot sets, select the build and submit a review submission with the
+ * version. Its review is then followed through the version's appStoreState.
+ */
+
+const DEFAULT_API_URL = 'https://api.appstoreconnect.apple.com/v1';
+const TOKEN_AUDIENCE = 'appstoreconnect-v1';
+const TOKEN_TTL_SECONDS = 20 * 60; // Apple rejects tokens valid for longer
+const REQUEST_TIMEOUT_MS = 30000;
+const MAX_PAGES = 10;
+
+// Versions still editable before they are submitted (again)
+const EDITABLE_VERSION_STATES = [
+  'PREPARE_FOR_SUBMISSION',
+  'DEVELOPER_REJECTED',
+  'REJECTED',
+  'METADATA_REJECTED',
+  'INVALID_BINARY'
+];
+
+// appStoreState of a version as app_submissions status; null keeps the current status
+const SUBMISSION_STATUSES = {
+  WAITING_FOR_REVIEW: 'submitted',
+  IN_REVIEW: 'under_review',
+  PENDING_DEVELOPER_RELEASE: 'approved',
+  PENDING_APPLE_RELEASE: 'approved',
+  PROCESSING_FOR_APP_STORE: 'approved',
+  READY_FOR_SALE: 'approved',
+  READY_FOR_DISTRIBUTION: 'approved',
+  REJECTED: 'rejected',
+  METADATA_REJECTED: 'rejected',
+  INVALID_BINARY: 'rejected',
+  DEVELOPER_REJECTED: 'cancelled',
+  PREPARE_FOR_SUBMISSION: null
+};
+
+// Screenshot display types for the STORE_SCREENSHOT_DEVICES.APPLE_APP_STORE devices
+const SCREENSHOT_DISPLAY_TYPES = {
+  iphone_6_7: 'APP_IPHONE_67',
+  iphone_6_5: 'APP_IPHONE_65',
+  iphone_5_5: 'APP_IPHONE_55',
+  ipad_12_9: 'APP_IPAD_PRO_3GEN_129'
+};
+
+// SUPPORTED_LANGUAGES codes App Store Connect names differently
+const APPLE_LOCALES = {
+  'zh-CN': 'zh-Hans',
+  'ja-JP': 'ja',
+  'ko-KR': 'ko',
+  'hi-IN': 'hi',
+  'es-US': 'es-MX'
+};
+
+const VERSION_LOCALIZATION_FIELDS = ['description', 'keywords', 'whatsNew', 'promotionalText', 'supportUrl', 'marketingUrl'];
+const APP_INFO_LOCALIZATION_FIELDS = ['name', 'subtitle', 'privacyPolicyUrl'];
+
+/**
+ * App Store Connect locale for a SUPPORTED_LANGUAGES code
+ */
+const toAppleLocale = (language) => APPLE_LOCALES[language] || language;
+
+/**
+ * app_submissions status for a version's appStoreState
+ */
+const toSubmissionStatus = (appStoreState) => SUBMISSION_STATUSES[appStoreState] ?? null;
+
+/**
+ * Read an .p8 key given with escaped newlines (as in .env files) as PEM
+ */
+const normalizePrivateKey = (privateKey) => String(privateKey || '').replace(/\\n/g, '\n').trim();
+
+const pickAttributes = (source, fields) => Object.fromEntries(fields
+  .filter(field => source[field] !== undefined && source[field] !== null && source[field] !== '')
+  .map(field => [field, source[field]]));
+
+const resource = (type, id) => ({ data: { type, id } });
+
+class AppStoreConnectService {
+  /**
+   * @param {Object} credentials - { keyId, issuerId, privateKey, apiUrl }
+   */
+  constructor(credentials = {}) {
+    this.keyId = credentials.keyId;
+    this.issuerId = credentials.issuerId;
+    this.privateKey = normalizePrivateKey(credentials.privateKey);
+    this.apiUrl = (credentials.apiUrl || process.env.APP_STORE_CONNECT_API_URL || DEFAULT_API_URL).replace(/\/+$/, '');
+    this.authToken = null;
+    this.authTokenExpiresAt = 0;
+  }
+
+  /**
+   * Signed API token, reused until a minute before it expires
+   */
+  getAuthToken() {
+    const now = Math.floor(Date.now() / 1000);
+    if (!this.authToken || this.authTokenExpiresAt - now < 60) {
+      this.authToken = jwt.sign(
+        { iss: this.issuerId, aud: TOKEN_AUDIENCE, iat: now, exp: now + TOKEN_TTL_SECONDS },
+        this.privateKey,
+        { algorithm: 'ES256', keyid: this.keyId }
+      );
+      this.authTokenExpiresAt = now + TOKEN_TTL_SECONDS;
+    }
+    return this.authToken;
+  }
+
+  /**
+   * Call the API; failures throw with the HTTP status as error.status and
+   * Apple's error details in the message
+   */
+  async request(method, path, { params, data } = {}) {
+    try {
+      const response = await axios({
+        method,
+        url: /^https?:\/\//i.test(path) ? path : `${this.apiUrl}${path}`,
+        params,
+        data,
+        headers: { Authorization: `Bearer ${this.getAuthToken()}` },
+        timeout: REQUEST_TIMEOUT_MS
+      });
+      return response.data;
+    } catch (error) {
+      const details = (error.response?.data?.errors || [])
+        .map(item => item.detail || item.title)
+        .filter(Boolean);
+      const apiError = new Error(details.length > 0 ? details.join('; ') : error.message);
+      apiError.status = error.response?.status || null;
+      throw apiError;
+    }
+  }
+
+  /**
+   * Every resource of a collection, following the next links
+   */
+  async list(path, params = {}) {
+    const items = [];
+    let next = path;
+    let query = { limit: 200, ...params };
+
+    for (let page = 0; next && page < MAX_PAGES; page++) {
+      const response = await this.request('get', next, { params: query });
+      items.push(...(response.data || []));
+      next = response.links?.next || null;
+      query = undefined; // the next link carries the query
+    }
+
+    return items;
+  }
+
+  /**
+   * Check the API key by looking up the app; resolves to the app or null
+   */
+  async findApp(bundleId) {
+    const [app] = await this.list('/apps', { 'filter[bundleId]': bundleId, limit: 1 });
+    return app || null;
+  }
+
+  async getVersion(versionId) {
+    const response = await this.request('get', `/appStoreVersions/${versionId}`, {
+      params: { include: 'build' }
+    });
+    return response.data;
+  }
+
+  async listVersions(appId, platform = 'IOS') {
+    return this.list(`/apps/${appId}/appStoreVersions`, { 'filter[platform]': platform });
+  }
+
+  async createVersion(appId, versionString, platform = 'IOS') {
+    const response = await this.request('post', '/appStoreVersions', {
+      data: {
+        data: {
+          type: 'appStoreVersions',
+          attributes: { platform, versionString },
+          relationships: { app: resource('apps', appId) }
+        }
+      }
+    });
+    return response.data;
+  }
+
+  /**
+   * Create or update the localization of a version in one locale
+   * @param {Object} attributes - description, keywords, whatsNew, promotionalText, supportUrl, marketingUrl
+   */
+  async upsertVersionLocalization(versionId, locale, attributes) {
+    const localizations = await this.list(`/appStoreVersions/${versionId}/appStoreVersionLocalizations`);
+    const existing = localizations.find(item => item.attributes.locale === locale);
+
+    const response = existing
+      ? await this.request('patch', `/appStoreVersionLocalizations/${existing.id}`, {
+        data: { data: { type: 'appStoreVersionLocalizations', id: existing.id, attributes } }
+      })
+      : await this.request('post', '/appStoreVersionLocalizations', {
+        data: {
+          data: {
+            type: 'appStoreVersionLocalizations',
+            attributes: { locale, ...attributes },
+            relationships: { appStoreVersion: resource('appStoreVersions', versionId) }
+          }
+        }
+      });
+    return response.data;
+  }
+
+  /**
+   * Create or update the name, subtitle and privacy policy URL of an app in
+   * one locale, on the app info that is not live yet
+   */
+  async upsertAppInfoLocalization(appId, locale, attributes) {
+    const appInfos = await this.list(`/apps/${appId}/appInfos`);
+    const appInfo = appInfos.find(item => !['READY_FOR_SALE', 'READY_FOR_DISTRIBUTION']
+      .includes(item.attributes.appStoreState || item.attributes.state)) || appInfos[0];
+    if (!appInfo) {
+      throw new Error(`App ${appId} has no app info`);
+    }
+
+    const localizations = await this.list(`/appInfos/${appInfo.id}/appInfoLocalizations`);
+    const existing = localizations.find(item => item.attributes.locale === locale);
+
+    const response = existing
+      ? await this.request('patch', `/appInfoLocalizations/${existing.id}`, {
+        data: { data: { type: 'appInfoLocalizations', id: existing.id, attributes } }
+      })
+      : await this.request('post', '/appInfoLocalizations', {
+        data: {
+          data: {
+            type: 'appInfoLocalizations',
+            attributes: { locale, ...attributes },
+            relationships: { appInfo: resource('appInfos', appInfo.id) }
+          }
+        }
+      });
+    return response.data;
+  }
+
+  /**
+   * Replace the screenshots of one display type in a version localization
+   * Each image is reserved, uploaded with the operations Apple returns and
+   * committed with its MD5 checksum.
+   * @param {Array} images - [{ fileName, data: Buffer }] in display order
+   */
+  async replaceScreenshotSet(localizationId, displayType, images) {
+    const sets = await this.list(`/appStoreVersionLocalizations/${localizationId}/appScreenshotSets`);
+    let set = sets.find(item => item.attributes.screenshotDisplayType === displayType);
+
+    if (set) {
+      const existing = await this.list(`/appScreenshotSets/${set.id}/appScreenshots`);
+      for (const screenshot of existing) {
+        await this.request('delete', `/appScreenshots/${screenshot.id}`);
+      }
+    } else {
+      const response = await this.request('post', '/appScreenshotSets', {
+        data: {
+          data: {
+            type: 'appScreenshotSets',
+            attributes: { screenshotDisplayType: displayType },
+            relationships: { appStoreVersionLocalization: resource('appStoreVersionLocalizations', localizationId) }
+          }
+        }
+      });
+      set = response.data;
+    }
+
+    const uploaded = [];
+    for (const image of images) {
+      const reservation = await this.request('post', '/appScreenshots', {
+        data: {
+          data: {
+            type: 'appScreenshots',
+            attributes: { fileName: image.fileName, fileSize: image.data.length },
+            relationships: { appScreenshotSet: resource('appScreenshotSets', set.id) }
+          }
+        }
+      });
+      const screenshot = reservation.data;
+
+      for (const operation of screenshot.attributes.uploadOperations || []) {
+        await axios({
+          method: operation.method,
+          url: operation.url,
+          data: image.data.subarray(operation.offset, operation.offset + operation.length),
+          headers: Object.fromEntries((operation.requestHeaders || []).map(header => [header.name, header.value])),
+          timeout: REQUEST_TIMEOUT_MS,
+          maxBodyLength: Infinity
+        });
+      }
+
+      const committed = await this.request('patch', `/appScreenshots/${screenshot.id}`, {
+        data: {
+          data: {
+            type: 'appScreenshots',
+            id: screenshot.id,
+            attributes: {
+              uploaded: true,
+              sourceFileChecksum: crypto.createHash('md5').update(image.data).digest('hex')
+            }
+          }
+        }
+      });
+      uploaded.push(committed.data);
+    }
+
+    return { set, screenshots: uploaded };
+  }
+
+  /**
+   * Attach a processed build (by build number) to a version
+   */
+  async selectBuild(appId, versionId, buildNumber) {
+    const [build] = await this.list('/builds', {
+      'filter[app]': appId,
+      'filter[version]': String(buildNumber),
+      'filter[processingState]': 'VALID',
+      limit: 1
+    });
+    if (!build) {
+      throw new Error(`Build ${buildNumber} is not processed in App Store Connect yet`);
+    }
+
+    await this.request('patch', `/appStoreVersions/${versionId}/relationships/build`, {
+      data: resource('builds', build.id)
+    });
+    return build;
+  }
+
+  /**
+   * Submit a version for App Review
+   * @returns {Promise<Object>} The submitted review submission
+   */
+  async submitForReview(appId, versionId, platform = 'IOS') {
+    const created = await this.request('post', '/reviewSubmissions', {
+      data: {
+        data: {
+          type: 'reviewSubmissions',
+          attributes: { platform },
+          relationships: { app: resource('apps', appId) }
+        }
+      }
+    });
+    const reviewSubmissionId = created.data.id;
+
+    await this.request('post', '/reviewSubmissionItems', {
+      data: {
+        data: {
+          type: 'reviewSubmissionItems',
+          relationships: {
+            reviewSubmission: resource('reviewSubmissions', reviewSubmissionId),
+            appStoreVersion: resource('appStoreVersions', versionId)
+          }
+        }
+      }
+    });
+
+    const submitted = await this.request('patch', `/reviewSubmissions/${reviewSubmissionId}`, {
+      data: { data: { type: 'reviewSubmissions', id: reviewSubmissionId, attributes: { submitted: true } } }
+    });
+    return submitted.data;
+  }
+
+  async getReviewSubmission(reviewSubmissionId) {
+    const response = await this.request('get', `/reviewSubmissions/${reviewSubmissionId}`);
+    return response.data;
+  }
+}
+
+/**
+ * Group screenshots by display type; plain URLs are taken as 6.7" iPhone screenshots
+ * @param {Array} screenshots - URLs or { device, url } with APPLE_APP_STORE device IDs
+ */
+const groupScreenshots = (screenshots = []) => {
+  const groups = {};
+  for (const screenshot of screenshots) {
+    const { device = 'iphone_6_7', url } = typeof screenshot === 'string' ? { url: screenshot } : screenshot;
+    const displayType = SCREENSHOT_DISPLAY_TYPES[device];
+    if (!displayType) {
+      throw new Error(`Unsupported App Store screenshot device: ${device}`);
+    }
+    (groups[displayType] = groups[displayType] || []).push(url);
+  }
+  return groups;
+};
+
+/**
+ * Write the metadata and screenshots of one locale
+ */
+const updateLocale = async (client, app, version, locale, metadata, { released }) => {
+  const versionAttributes = pickAttributes(metadata, VERSION_LOCALIZATION_FIELDS);
+  // What's New is only accepted once a version of the app has been on the store
+  if (!released) {
+    delete versionAttributes.whatsNew;
+  }
+  const localization = await client.upsertVersionLocalization(version.id, locale, versionAttributes);
+
+  const appInfoAttributes = pickAttributes(metadata, APP_INFO_LOCALIZATION_FIELDS);
+  if (Object.keys(appInfoAttributes).length > 0) {
+    await client.upsertAppInfoLocalization(app.id, locale, appInfoAttributes);
+  }
+
+  const screenshotSets = [];
+  for (const [displayType, urls] of Object.entries(groupScreenshots(metadata.screenshots))) {
+    const images = [];
+    for (const [index, url] of urls.entries()) {
+      images.push({ fileName: `${displayType.toLowerCase()}-${index + 1}.png`, data: await fetchAssetImage(url) });
+    }
+    const { set, screenshots } = await client.replaceScreenshotSet(localization.id, displayType, images);
+    screenshotSets.push({ id: set.id, displayType, count: screenshots.length });
+  }
+
+  return { locale, localizationId: localization.id, screenshotSets };
+};
+
+/**
+ * Update the metadata of an App Store version and submit it for review
+ * @param {AppStoreConnectService} client
+ * @param {Object} submission - { bundleId, version, buildNumber, locale, name, subtitle,
+ *   description, keywords, whatsNew, promotionalText, supportUrl, marketingUrl,
+ *   privacyPolicyUrl, screenshots, localizations: { <language>: { ...same fields } } }
+ * @returns {Promise<Object>} { appId, versionId, reviewSubmissionId, appStoreState, locales }
+ */
+const submitVersionForReview = async (client, submission) => {
+  const { bundleId, version: versionString = '1.0', buildNumber } = submission;
+
+  const app = await client.findApp(bundleId);
+  if (!app) {
+    throw new Error(`No App Store Connect app with bundle ID ${bundleId}`);
+  }
+
+  const versions = await client.listVersions(app.id);
+  const released = versions.some(item => SUBMISSION_STATUSES[item.attributes.appStoreState] === 'approved');
+
+  let version = versions.find(item => item.attributes.versionString === versionString);
+  if (version && !EDITABLE_VERSION_STATES.includes(version.attributes.appStoreState)) {
+    throw new Error(`Version ${versionString} is already ${version.attributes.appStoreState}`);
+  }
+  if (!version) {
+    version = await client.createVersion(app.id, versionString);
+  }
+
+  const primaryLocale = toAppleLocale(submission.locale || app.attributes.primaryLocale || 'en-US');
+  const locales = [await updateLocale(client, app, version, primaryLocale, submission, { released })];
+  for (const [language, metadata] of Object.entries(submission.localizations || {})) {
+    const locale = toAppleLocale(language);
+    if (locale === primaryLocale) continue;
+    locales.push(await updateLocale(client, app, version, locale, metadata, { released }));
+  }
+
+  if (buildNumber) {
+    await client.selectBuild(app.id, version.id, buildNumber);
+  }
+
+  const reviewSubmission = await client.submitForReview(app.id, version.id);
+  const submitted = await client.getVersion(version.id);
+
+  return {
+    appId: app.id,
+    versionId: version.id,
+    versionString,
+    reviewSubmissionId: reviewSubmission.id,
+    reviewState: reviewSubmission.attributes?.state || null,
+    appStoreState: submitted.attributes.appStoreState,
+    locales
+  };
+};
+
+/**
+ * Current review state of a submitted version
+ * @param {Object} submission - { versionId, reviewSubmissionId } as returned by submitVersionForReview
+ * @returns {Promise<Object>} { status, appStoreState, reviewState, message } where status
+ *   is the app_submissions status, or null while it has not changed
+ */
+const getReviewStatus = async (client, submission) => {
+  const version = await client.getVersion(submission.versionId);
+  const reviewSubmission = submission.reviewSubmissionId
+    ? await client.getReviewSubmission(submission.reviewSubmissionId)
+    : null;
+
+  const appStoreState = version.attributes.appStoreState;
+  const reviewState = reviewSubmission?.attributes?.state || null;
+
+  return {
+    status: toSubmissionStatus(appStoreState),
+    appStoreState,
+    reviewState,
+    message: reviewState === 'UNRESOLVED_ISSUES'
+      ? 'App Review found issues; see Resolution Center in App Store Connect'
+      : `App Store state: ${appStoreState}`
+  };
+};
+
+export {
+  AppStoreConnectService,
+  SCREENSHOT_DISPLAY_TYPES,
+  EDITABLE_VERSION_STATES,
+  toAppleLocale,
+  toSubmissionStatus,
+  normalizePrivateKey,
+  submitVersionForReview,
+  getReviewStatus
+};
@@ -0,0 +1,406 @@
+import * as cheerio from 'cheerio';
+import sharp from 'sharp';
+import { fetchPublic } from './publicFetch.js';
+
+/**
+ * Brand kit
+ * Reads a site's brand from its theme-color meta, web app manifest, CSS custom
+ * properties, logo and favicon, and computes a palette from the logo.
+ *
+ * Colours are picked in this order:
+ *   primary     theme-color meta, manifest theme_color, a --primary/--brand CSS
+ *               variable, then the logo's dominant colour
+ *   accent      an --accent/--secondary CSS variable, the logo colour that stands
+ *               out most from primary, then a shade of primary
+ *   background  manifest background_color, then white
+ *   text        black or white, whichever reads better on primary
+ *
+ * The site, its manifest, stylesheets and images are only fetched from public
+ * hosts (services/publicFetch.js).
+ */
+
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+const MAX_STYLESHEET_BYTES = 512 * 1024;
+const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+const MAX_STYLESHEETS = 3;
+const PALETTE_SIZE = 5;
+const MIN_ACCENT_SHARE = 0.03;
+
+const LOGO_SELECTOR = 'img[alt*="logo" i], img[class*="logo" i], img[id*="logo" i], img[src*="logo" i], '
+  + '[class*="logo" i] img, [id*="logo" i] img, header a[href="/"] img';
+const LOGO_SVG_SELECTOR = '[class*="logo" i] svg, [id*="logo" i] svg, svg[class*="logo" i], header a[href="/"] svg';
+
+const PRIMARY_VARIABLE_PATTERN = /(^|-)(primary|brand|main|theme)(-|$)/;
+const ACCENT_VARIABLE_PATTERN = /(^|-)(accent|secondary|highlight)(-|$)/;
+
+/**
+ * Colour helpers
+ */
+
+const toRgb = (hex) => {
+  const value = hex.length === 4 ? hex.slice(1).split('').map(c => c + c).join('') : hex.slice(1, 7);
+  return [0, 2, 4].map(index => parseInt(value.slice(index, index + 2), 16));
+};
+
+const toHex = (rgb) => `#${rgb.map(channel => Math.round(Math.min(Math.max(channel, 0), 255))
+  .toString(16).padStart(2, '0')).join('').toUpperCase()}`;
+
+/**
+ * Mix a colour towards white (amount > 0) or black (amount < 0)
+ */
+const shade = (hex, amount) => toHex(toRgb(hex).map(channel => (amount > 0
+  ? channel + (255 - channel) * amount
+  : channel * (1 + amount))));
+
+/**
+ * Relative luminance as defined by WCAG, 0 (black) to 1 (white)
+ */
+const luminance = (hex) => {
+  const [r, g, b] = toRgb(hex).map(channel => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+/**
+ * Black or white, whichever contrasts more with the background
+ */
+const contrastText = (background) => (luminance(background) > 0.4 ? '#111827' : '#FFFFFF');
+
+const toHsl = ([r, g, b]) => {
+  const [red, green, blue] = [r / 255, g / 255, b / 255];
+  const max = Math.max(red, green, blue);
+  const min = Math.min(red, green, blue);
+  const lightness = (max + min) / 2;
+  if (max === min) return { hue: 0, saturation: 0, lightness };
+
+  const delta = max - min;
+  const saturation = lightness > 0.5 ? delta / (2 - max - min) : delta / (max + min);
+  const hue = max === red ? ((green - blue) / delta + (green < blue ? 6 : 0))
+    : max === green ? (blue - red) / delta + 2
+      : (red - green) / delta + 4;
+  return { hue: hue * 60, saturation, lightness };
+};
+
+// Greys, near-white and near-black carry no brand
+const isNeutral = (rgb) => {
+  const { saturation, lightness } = toHsl(rgb);
+  return saturation < 0.15 || lightness > 0.93 || lightness < 0.08;
+};
+
+const hueDistance = (a, b) => {
+  const distance = Math.abs(toHsl(toRgb(a)).hue - toHsl(toRgb(b)).hue);
+  return Math.min(distance, 360 - distance);
+};
+
+/**
+ * Parse a CSS colour value to #RRGGBB
+ * Handles hex and rgb()/rgba(); transparent colours and keywords are ignored.
+ * @returns {string|null}
+ */
+const parseCssColor = (value) => {
+  if (typeof value !== 'string') return null;
+  const color = value.trim().toLowerCase();
+
+  const hex = color.match(/^#([0-9a-f]{3}|[0-9a-f]{4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    const digits = hex[1].length <= 4
+      ? hex[1].split('').map(c => c + c).join('')
+      : hex[1];
+    if (digits.length === 8 && parseInt(digits.slice(6), 16) < 128) return null;
+    return `#${digits.slice(0, 6).toUpperCase()}`;
+  }
+
+  const rgb = color.match(/^rgba?\(\s*(\d{1,3})[\s,]+(\d{1,3})[\s,]+(\d{1,3})(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/);
+  if (rgb) {
+    const alpha = rgb[4] === undefined ? 1 : rgb[4].endsWith('%') ? parseFloat(rgb[4]) / 100 : parseFloat(rgb[4]);
+    if (alpha < 0.5) return null;
+    return toHex([rgb[1], rgb[2], rgb[3]].map(Number));
+  }
+
+  return null;
+};
+
+/**
+ * Palette of an image: colours that cover the most opaque pixels, with their share
+ * @param {Buffer} image - PNG, JPEG, WebP, GIF or SVG
+ * @returns {Promise<Array>} [{ color, share }] most common first
+ */
+const extractPalette = async (image, size = PALETTE_SIZE) => {
+  const { data, info } = await sharp(image, { density: 72 })
+    .resize(64, 64, { fit: 'inside' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  // Count pixels in 5-bit-per-channel buckets, keeping the real average of each bucket
+  const buckets = new Map();
+  let total = 0;
+  for (let offset = 0; offset < data.length; offset += info.channels) {
+    if (data[offset + 3] < 128) continue;
+    const key = ((data[offset] >> 3) << 10) | ((data[offset + 1] >> 3) << 5) | (data[offset + 2] >> 3);
+    const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+    bucket.count += 1;
+    bucket.r += data[offset];
+    bucket.g += data[offset + 1];
+    bucket.b += data[offset + 2];
+    buckets.set(key, bucket);
+    total += 1;
+  }
+  if (total === 0) return [];
+
+  // Merge buckets of nearly the same colour, biggest first
+  const clusters = [];
+  for (const bucket of [...buckets.values()].sort((a, b) => b.count - a.count)) {
+    const rgb = [bucket.r / bucket.count, bucket.g / bucket.count, bucket.b / bucket.count];
+    const cluster = clusters.find(({ rgb: other }) =>
+      Math.hypot(rgb[0] - other[0], rgb[1] - other[1], rgb[2] - other[2]) < 48);
+    if (cluster) {
+      cluster.count += bucket.count;
+    } else {
+      clusters.push({ rgb, count: bucket.count });
+    }
+  }
+
+  return clusters
+    .sort((a, b) => b.count - a.count)
+    .slice(0, size)
+    .map(({ rgb, count }) => ({ color: toHex(rgb), share: Math.round((count / total) * 1000) / 1000 }));
+};
+
+/**
+ * Dominant brand colour of a palette, and the colour that stands out most
+ * from primary (or from the dominant colour when there is no primary)
+ * @returns {Object} { dominant, accent } - either may be null
+ */
+const pickPaletteColors = (palette, primary = null) => {
+  const branded = palette.filter(({ color }) => !isNeutral(toRgb(color)));
+  const dominant = branded[0]?.color || null;
+  const reference = primary || dominant;
+
+  const accent = branded
+    .filter(({ share, color }) => share >= MIN_ACCENT_SHARE && reference && hueDistance(color, reference) >= 30)
+    .sort((a, b) => toHsl(toRgb(b.color)).saturation - toHsl(toRgb(a.color)).saturation)[0]?.color || null;
+
+  return { dominant, accent };
+};
+
+/**
+ * Fetching
+ */
+
+const fetchText = async (url, maxBytes) => {
+  const { response, url: finalUrl } = await fetchPublic(url, { responseType: 'text', maxContentLength: maxBytes });
+  return { text: String(response.data), url: finalUrl };
+};
+
+const fetchImage = async (url) => {
+  if (url.startsWith('data:')) {
+    const match = url.match(/^data:([^;,]+)?(;base64)?,(.*)$/s);
+    if (!match) throw new Error('Unreadable data URL');
+    return match[2] ? Buffer.from(match[3], 'base64') : Buffer.from(decodeURIComponent(match[3]));
+  }
+
+  const { response } = await fetchPublic(url, { responseType: 'arraybuffer', maxContentLength: MAX_IMAGE_BYTES });
+  return Buffer.from(response.data);
+};
+
+const resolveUrl = (reference, base) => {
+  try {
+    const url = new URL(reference.trim(), base);
+    return ['http:', 'https:', 'data:'].includes(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// First URL of a srcset, or src
+const imageSource = ($image) => {
+  const srcset = $image.attr('srcset');
+  const candidates = srcset
+    ? srcset.split(',').map(entry => entry.trim().split(/\s+/)[0]).filter(Boolean)
+    : [];
+  return $image.attr('src') || candidates[candidates.length - 1] || null;
+};
+
+/**
+ * Largest icon in a manifest or list of <link> icons
+ */
+const largestIcon = (icons) => icons
+  .map(icon => ({
+    ...icon,
+    size: Math.max(0, ...String(icon.sizes || '').split(/\s+/).map(size => parseInt(size, 10) || 0))
+  }))
+  .filter(icon => icon.src && !/\.ico(\?|$)/i.test(icon.src))
+  .sort((a, b) => (b.sizes === 'any' ? Infinity : b.size) - (a.sizes === 'any' ? Infinity : a.size))[0] || null;
+
+/**
+ * Collect CSS custom properties that name a primary or accent colour
+ */
+const readCssVariables = (css) => {
+  const variables = {};
+  for (const [, name, value] of css.matchAll(/--([a-z0-9_-]+)\s*:\s*([^;}{]+)/gi)) {
+    const key = name.toLowerCase();
+    if (variables[key] || !(PRIMARY_VARIABLE_PATTERN.test(key) || ACCENT_VARIABLE_PATTERN.test(key))) continue;
+    const color = parseCssColor(value.replace(/!important/i, ''));
+    if (color) variables[key] = color;
+  }
+  return variables;
+};
+
+/**
+ * Load the first candidate image that sharp can read
+ * @returns {Promise<Object|null>} { ...candidate, buffer, width, height }
+ */
+const loadFirstImage = async (candidates) => {
+  for (const candidate of candidates) {
+    try {
+      const buffer = await fetchImage(candidate.url);
+      const { width, height } = await sharp(buffer, { density: 72 }).metadata();
+      if (width && height) {
+        return { ...candidate, buffer, width, height };
+      }
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+  return null;
+};
+
+/**
+ * Extract a site's brand kit
+ * @param {string} url - Site to read
+ * @param {Object} options - { includeImages } to return the logo and icon files as buffers
+ * @returns {Promise<Object>} { url, colors, palette, sources, logo, icon, extractedAt }
+ */
+const extractBrandKit = async (url, options = {}) => {
+  try {
+    const page = await fetchText(url, MAX_PAGE_BYTES);
+    const $ = cheerio.load(page.text);
+    const base = page.url;
+
+    // theme-color, preferring the light-scheme variant when there are several
+    const themeColors = $('meta[name="theme-color"]').toArray()
+      .sort((a, b) => Number(/dark/.test($(a).attr('media') || '')) - Number(/dark/.test($(b).attr('media') || '')))
+      .map(meta => parseCssColor($(meta).attr('content')))
+      .filter(Boolean);
+    const tileColor = parseCssColor($('meta[name="msapplication-TileColor"]').attr('content'));
+
+    let manifest = null;
+    const manifestUrl = $('link[rel="manifest"]').attr('href') && resolveUrl($('link[rel="manifest"]').attr('href'), base);
+    if (manifestUrl) {
+      try {
+        const { text } = await fetchText(manifestUrl, MAX_STYLESHEET_BYTES);
+        const data = JSON.parse(text);
+        manifest = {
+          themeColor: parseCssColor(data.theme_color),
+          backgroundColor: parseCssColor(data.background_color),
+          icon: largestIcon((Array.isArray(data.icons) ? data.icons : [])
+            .map(icon => ({ ...icon, src: icon.src && resolveUrl(icon.src, manifestUrl) })))
+        };
+      } catch (error) {
+        console.warn(`Brand kit: manifest unavailable (${manifestUrl}):`, error.message);
+      }
+    }
+
+    // CSS custom properties from inline styles and the first stylesheets
+    let css = $('style').toArray().map(style => $(style).html() || '').join('\n');
+    const stylesheets = $('link[rel="stylesheet"]').toArray()
+      .map(link => resolveUrl($(link).attr('href') || '', base))
+      .filter(href => href && !href.startsWith('data:'))
+      .slice(0, MAX_STYLESHEETS);
+    for (const href of stylesheets) {
+      try {
+        css += `\n${(await fetchText(href, MAX_STYLESHEET_BYTES)).text}`;
+      } catch (error) {
+        // Stylesheets on other hosts or over the size limit are skipped
+      }
+    }
+    const cssVariables = readCssVariables(css);
+    const primaryVariable = Object.entries(cssVariables).find(([name]) => PRIMARY_VARIABLE_PATTERN.test(name))?.[1] || null;
+    const accentVariable = Object.entries(cssVariables).find(([name]) => ACCENT_VARIABLE_PATTERN.test(name))?.[1] || null;
+
+    // Logo: a logo <img>, an inline logo <svg>, then the icons
+    const logoCandidates = [];
+    const logoImage = $(LOGO_SELECTOR).first();
+    const logoSource = logoImage.length ? imageSource(logoImage) : null;
+    if (logoSource && resolveUrl(logoSource, base)) {
+      logoCandidates.push({ url: resolveUrl(logoSource, base), type: 'img' });
+    }
+    const logoSvg = $(LOGO_SVG_SELECTOR).first();
+    if (logoSvg.length) {
+      const markup = $.html(logoSvg);
+      const svg = markup.includes('xmlns=') ? markup : markup.replace('<svg', '<svg xmlns="http://www.w3.org/2000/svg"');
+      logoCandidates.push({ url: `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`, type: 'svg' });
+    }
+
+    const linkIcons = $('link[rel~="icon"], link[rel="apple-touch-icon"], link[rel="apple-touch-icon-precomposed"]').toArray()
+      .map(link => ({
+        src: resolveUrl($(link).attr('href') || '', base),
+        sizes: $(link).attr('sizes') || ($(link).attr('rel').includes('apple-touch-icon') ? '180x180' : ''),
+        rel: $(link).attr('rel')
+      }));
+    const iconCandidates = [
+      manifest?.icon && { url: manifest.icon.src, type: 'manifest' },
+      ...linkIcons.filter(icon => icon.rel.includes('apple-touch-icon') && icon.src).map(icon => ({ url: icon.src, type: 'touch-icon' })),
+      largestIcon(linkIcons.filter(icon => !icon.rel.includes('apple-touch-icon'))) &&
+        { url: largestIcon(linkIcons.filter(icon => !icon.rel.includes('apple-touch-icon'))).src, type: 'favicon' }
+    ].filter(Boolean);
+
+    const logo = await loadFirstImage(logoCandidates);
+    const icon = await loadFirstImage(iconCandidates);
+    const artwork = logo || icon;
+
+    const palette = artwork ? await extractPalette(artwork.buffer) : [];
+    const { dominant } = pickPaletteColors(palette);
+
+    const primary = themeColors[0] || manifest?.themeColor || primaryVariable || dominant || tileColor || null;
+    const paletteColors = pickPaletteColors(palette, primary);
+    const accent = accentVariable || paletteColors.accent ||
+      (primary ? shade(primary, luminance(primary) > 0.4 ? -0.3 : 0.35) : null);
+    const background = manifest?.backgroundColor || '#FFFFFF';
+
+    const describeImage = (image) => image && {
+      url: image.url,
+      type: image.type,
+      width: image.width,
+      height: image.height,
+      ...(options.includeImages ? { buffer: image.buffer } : {})
+    };
+
+    return {
+      url: base,
+      colors: {
+        primary,
+        accent,
+        background,
+        text: primary ? contrastText(primary) : null
+      },
+      palette,
+      sources: {
+        themeColor: themeColors[0] || null,
+        tileColor,
+        manifest: manifest && { themeColor: manifest.themeColor, backgroundColor: manifest.backgroundColor },
+        cssVariables,
+        logo: paletteColors
+      },
+      logo: describeImage(logo),
+      icon: describeImage(icon),
+      extractedAt: new Date().toISOString()
+    };
+  } catch (error) {
+    console.error('Brand Kit Error:', error);
+    throw new Error(`Failed to extract brand kit: ${error.message}`);
+  }
+};
+
+export {
+  extractBrandKit,
+  extractPalette,
+  pickPaletteColors,
+  parseCssColor,
+  shade,
+  luminance,
+  contrastText
+};
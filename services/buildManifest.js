@@ -0,0 +1,285 @@
+import crypto from 'crypto';
+import { createReadStream, readFileSync } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { loadSigningKeystore } from './signingKeystore.js';
+import { fetchAssetImage, loadShellDex } from './apkBuilder.js';
+
+/**
+ * Build Manifest
+ * Records what went into a build and what came out of it so a downloaded
+ * artifact can be traced back to its inputs during an audit. Every build
+ * writes downloads/build-<timestamp>-<id>.manifest.json next to its APK, AAB
+ * and Xcode project containing:
+ *   inputs     - source URL, SHA-256 of the app configuration, of every asset
+ *                and of the offline bundle files
+ *   generator  - generator and Node.js versions, SHA-256 of the WebView shell
+ *   artifacts  - file name, size and SHA-256 of every generated file
+ *
+ * The manifest body is serialized as canonical JSON (sorted keys, no spaces)
+ * and signed RSA-SHA256 with the package signing key. The signing certificate
+ * is embedded so the signature can be checked without access to this server:
+ *   openssl dgst -sha256 -verify cert-pubkey.pem -signature sig.bin body.json
+ */
+
+const MANIFEST_VERSION = 1;
+const MANIFEST_SUFFIX = '.manifest.json';
+const DOWNLOADS_DIR = path.join(process.cwd(), 'downloads');
+const ARTIFACT_FILENAME = /^[A-Za-z0-9._-]+$/;
+
+const GENERATOR = JSON.parse(readFileSync(path.join(process.cwd(), 'package.json'), 'utf8'));
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * SHA-256 of a file, read as a stream so large packages are not held in memory
+ */
+const sha256File = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  createReadStream(filePath)
+    .on('error', reject)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+/**
+ * Serialize a value with sorted object keys so equal values hash equally
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJson(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Name of the manifest that covers a generated artifact
+ * Artifacts of one build share the build-<timestamp>-<id> base name; everything
+ * after the first dot is the extension, which may be compound (.xcode.zip).
+ */
+const manifestFilenameFor = (filename) => {
+  if (filename.endsWith(MANIFEST_SUFFIX)) return filename;
+  return `${filename.replace(/\.[^-]*$/, '')}${MANIFEST_SUFFIX}`;
+};
+
+/**
+ * Hash every asset the package references; unavailable assets are recorded, not fatal
+ */
+const hashAssets = async (assets = {}) => {
+  const references = [];
+  for (const [group, value] of Object.entries(assets)) {
+    if (group === 'metadata' || !value || typeof value !== 'object') continue;
+    for (const [name, reference] of Object.entries(value)) {
+      if (typeof reference === 'string') {
+        references.push({ name: `${group}.${name}`, reference });
+      }
+    }
+  }
+
+  return Promise.all(references.map(async ({ name, reference }) => {
+    try {
+      return { name, reference, sha256: sha256(await fetchAssetImage(reference)) };
+    } catch (error) {
+      return { name, reference, sha256: null, error: error.message };
+    }
+  }));
+};
+
+const hashShell = async () => {
+  try {
+    return sha256(await loadShellDex());
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Create and sign the manifest for a build
+ * @param {Object} appPackage - Package produced by buildAppPackage
+ * @param {Array} artifacts - [{ platform, path }] of the generated files
+ * @param {Object} options - { startedAt, offlineBundle, buildJobId, releaseId }
+ * @returns {Promise<Object>} Signed manifest
+ */
+const createBuildManifest = async (appPackage, artifacts, options = {}) => {
+  try {
+    const { metadata, configuration, build } = appPackage;
+    const offlineFiles = Object.entries(options.offlineBundle?.files || {})
+      .map(([file, data]) => ({ path: file, size: data.length, sha256: sha256(data) }));
+
+    const hashedArtifacts = await Promise.all(artifacts.map(async ({ platform, path: artifactPath }) => {
+      const [{ size }, hash] = await Promise.all([fs.stat(artifactPath), sha256File(artifactPath)]);
+      return {
+        platform,
+        filename: path.basename(artifactPath),
+        url: `/downloads/${path.basename(artifactPath)}`,
+        size,
+        sha256: hash
+      };
+    }));
+
+    const body = {
+      manifestVersion: MANIFEST_VERSION,
+      build: {
+        buildJobId: options.buildJobId || null,
+        releaseId: options.releaseId || null,
+        startedAt: options.startedAt || null,
+        finishedAt: new Date().toISOString()
+      },
+      generator: {
+        name: GENERATOR.name,
+        version: GENERATOR.version,
+        node: process.version,
+        shellSha256: await hashShell()
+      },
+      inputs: {
+        url: configuration.webview.url,
+        appName: metadata.name,
+        packageName: build.android.packageName,
+        version: metadata.version,
+        versionCode: build.android.versionCode,
+        configSha256: sha256(canonicalJson({ metadata, configuration, build })),
+        assets: await hashAssets(appPackage.assets),
+        offlineFiles
+      },
+      artifacts: hashedArtifacts
+    };
+
+    const keystore = await loadSigningKeystore();
+    const signature = crypto.sign('sha256', Buffer.from(canonicalJson(body)), keystore.privateKey);
+
+    return {
+      ...body,
+      signature: {
+        algorithm: 'RSA-SHA256',
+        keyFingerprint: keystore.fingerprint,
+        certificate: keystore.certificate.toString('base64'),
+        debug: keystore.debug,
+        value: signature.toString('base64')
+      }
+    };
+  } catch (error) {
+    console.error('Build Manifest Error:', error);
+    throw new Error(`Failed to create build manifest: ${error.message}`);
+  }
+};
+
+/**
+ * Write a manifest next to the artifacts it covers
+ * @returns {Promise<string>} Download URL of the manifest
+ */
+const writeBuildManifest = async (manifest) => {
+  const filename = manifestFilenameFor(manifest.artifacts[0].filename);
+  await fs.writeFile(path.join(DOWNLOADS_DIR, filename), JSON.stringify(manifest, null, 2));
+  return `/downloads/${filename}`;
+};
+
+/**
+ * Load the manifest covering an artifact
+ * @returns {Promise<Object|null>} Manifest, or null when there is none
+ */
+const loadBuildManifest = async (filename) => {
+  if (!ARTIFACT_FILENAME.test(filename)) return null;
+
+  try {
+    const content = await fs.readFile(path.join(DOWNLOADS_DIR, manifestFilenameFor(filename)), 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+/**
+ * Check a manifest signature against its embedded certificate
+ * @returns {Promise<Object>} { valid, trusted, keyFingerprint, debug } where trusted
+ *   means the certificate is the one this server signs with
+ */
+const verifyManifestSignature = async (manifest) => {
+  const { signature, ...body } = manifest;
+  const result = { valid: false, trusted: false, keyFingerprint: signature?.keyFingerprint || null, debug: Boolean(signature?.debug) };
+
+  if (!signature?.certificate || !signature?.value) {
+    return result;
+  }
+
+  try {
+    const certificate = new crypto.X509Certificate(Buffer.from(signature.certificate, 'base64'));
+    result.valid = crypto.verify(
+      'sha256',
+      Buffer.from(canonicalJson(body)),
+      certificate.publicKey,
+      Buffer.from(signature.value, 'base64')
+    ) && certificate.fingerprint256 === signature.keyFingerprint;
+
+    const keystore = await loadSigningKeystore();
+    result.trusted = result.valid && keystore.fingerprint === certificate.fingerprint256;
+  } catch (error) {
+    console.warn('Manifest signature check failed:', error.message);
+  }
+
+  return result;
+};
+
+/**
+ * Verify that a file matches the manifest of the build that produced it
+ * @param {Object} options - { filename, filePath } of an uploaded copy to check, or
+ *   { filename, sha256 }; without either the copy in downloads/ is checked
+ * @returns {Promise<Object|null>} Verification result, or null when no manifest covers the file;
+ *   verified requires a matching checksum and a manifest signed with this server's key
+ */
+const verifyArtifact = async ({ filename, filePath, sha256: providedHash }) => {
+  const manifest = await loadBuildManifest(filename);
+  const artifact = manifest?.artifacts.find(item => item.filename === filename);
+  if (!artifact) return null;
+
+  let actualHash;
+  let source;
+  if (filePath) {
+    actualHash = await sha256File(filePath);
+    source = 'upload';
+  } else if (providedHash) {
+    actualHash = String(providedHash).toLowerCase();
+    source = 'checksum';
+  } else {
+    try {
+      actualHash = await sha256File(path.join(DOWNLOADS_DIR, filename));
+    } catch (error) {
+      actualHash = null;
+    }
+    source = 'server';
+  }
+
+  const signature = await verifyManifestSignature(manifest);
+  const matches = actualHash === artifact.sha256;
+
+  return {
+    verified: matches && signature.trusted,
+    matches,
+    source,
+    filename,
+    sha256: actualHash,
+    expectedSha256: artifact.sha256,
+    size: artifact.size,
+    manifest: `/downloads/${manifestFilenameFor(filename)}`,
+    builtAt: manifest.build.finishedAt,
+    signature
+  };
+};
+
+export {
+  createBuildManifest,
+  writeBuildManifest,
+  loadBuildManifest,
+  verifyManifestSignature,
+  verifyArtifact,
+  manifestFilenameFor,
+  canonicalJson,
+  MANIFEST_SUFFIX
+};
@@ -0,0 +1,548 @@
+import { EventEmitter } from 'events';
+import {
+  createBuildJob,
+  getBuildJobById,
+  getBuildJobs,
+  updateBuildJob,
+  claimNextBuildJob,
+  updateApp,
+  updateAppRelease
+} from './database.js';
+import { validateUrl, buildAppPackage, generateAppAssets, packageApp } from './appGenerator.js';
+import { analyzeWebsite } from './aiAnalyzer.js';
+import { captureOfflineBundle } from './offlineBundle.js';
+import { resolvePushEndpoint, resolveFcmClientConfig } from './pushNotifications.js';
+import { extractBrandKit } from './brandKit.js';
+
+/**
+ * Build Queue
+ * Persists app builds as build_jobs and runs them in a background worker.
+ * Each job runs the steps below in order, recording per-step state and logs,
+ * is retried with backoff when a step fails and can be cancelled between steps.
+ *
+ * Progress is published on buildEvents as { jobId, appId, type, data } where
+ * type is one of step, log, artifact, status, completed, failed or cancelled.
+ * Events are in-process, so subscribers must run alongside the worker.
+ *
+ * Jobs whose input carries a releaseId build that app release: its version
+ * is stamped into the packages and the release follows the job's outcome.
+ */
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const STALE_JOB_MS = 10 * 60 * 1000;
+const STALE_CHECK_INTERVAL_MS = 60 * 1000;
+const MAX_LOG_ENTRIES = 500;
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Step weights add up to 100 and drive the job's progress
+const BUILD_STEPS = [
+  {
+    id: 'validate',
+    name: 'Validating URL',
+    weight: 5,
+    run: async (context) => {
+      const validation = await validateUrl(context.input.url);
+      if (!validation.isValid) {
+        const error = new Error(`Invalid URL: ${validation.errors.join(', ')}`);
+        error.retryable = false;
+        throw error;
+      }
+      return `URL reachable${validation.warnings.length ? ` (${validation.warnings.join(', ')})` : ''}`;
+    }
+  },
+  {
+    id: 'analyze',
+    name: 'Analyzing website',
+    weight: 10,
+    run: async (context) => {
+      const { url, appName, description } = context.input;
+
+      // The build can go ahead without the brand kit, using default colours
+      let brand = 'brand unavailable';
+      try {
+        context.brandKit = await extractBrandKit(url);
+        brand = `brand ${context.brandKit.colors.primary || 'without colours'}`;
+      } catch (error) {
+        brand = `brand unavailable (${error.message})`;
+      }
+
+      try {
+        context.analysis = await analyzeWebsite(url, { appName, description });
+      } catch (error) {
+        // The build can go ahead with the details the user provided
+        return `Analysis unavailable: ${error.message}; ${brand}`;
+      }
+      return `Category ${context.analysis.category || 'unknown'}, viability ${context.analysis.appViability ?? '?'}/10, ${brand}`;
+    }
+  },
+  {
+    id: 'configure',
+    name: 'Configuring app',
+    weight: 5,
+    run: async (context) => {
+      const { input, analysis = {}, brandKit } = context;
+      // The site's brand colour, else its theme-color, is the PWA default unless it is not a hex color
+      const siteThemeColor = [brandKit?.colors.primary, analysis.themeColor]
+        .find(color => /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color || ''));
+      context.appPackage = buildAppPackage({
+        ...input,
+        description: input.description || analysis.suggestedDescription,
+        category: input.category || analysis.category,
+        pwa: { themeColor: siteThemeColor, ...input.pwa },
+        pushEndpoint: resolvePushEndpoint(context.appId),
+        fcm: resolveFcmClientConfig(),
+        brand: brandKit,
+        assets: {}
+      });
+      return `Configured ${context.appPackage.build.android.packageName}`;
+    }
+  },
+  {
+    id: 'assets',
+    name: 'Generating app assets',
+    weight: 25,
+    run: async (context) => {
+      const { url, appName, description, customIcon } = context.input;
+      // A large site icon beats a logo screenshot when the user gave no icon
+      const brandIcon = context.brandKit?.icon;
+      const siteIcon = brandIcon && /^https?:/.test(brandIcon.url) && Math.min(brandIcon.width, brandIcon.height) >= 192
+        ? brandIcon.url
+        : undefined;
+      const assets = await generateAppAssets({
+        url,
+        appName,
+        description,
+        customIcon: customIcon || siteIcon,
+        brandColors: context.brandKit?.colors
+      });
+      context.appPackage.assets = assets;
+      return `Generated ${Object.keys(assets.icons).length} icons and ${assets.screenshots.length} screenshots`;
+    }
+  },
+  {
+    id: 'offline',
+    name: 'Capturing offline pages',
+    weight: 10,
+    run: async (context) => {
+      const { appPackage } = context;
+      if (!appPackage.configuration.features.offlineSupport) {
+        return 'Offline mode not enabled';
+      }
+
+      context.offlineBundle = await captureOfflineBundle({
+        url: appPackage.configuration.webview.url,
+        appName: appPackage.metadata.name
+      });
+
+      const { report } = context.offlineBundle;
+      appPackage.offline = report;
+      return `Captured ${report.appShell ? 'app shell, ' : ''}${report.resources.length} resources `
+        + `(${Math.ceil(report.totalBytes / 1024)} of ${Math.floor(report.budgetBytes / 1024)} KB), skipped ${report.skipped.length}`;
+    }
+  },
+  {
+    id: 'package',
+    name: 'Packaging app',
+    weight: 35,
+    run: async (context) => {
+      await packageApp(context.appPackage, {
+        offlineBundle: context.offlineBundle,
+        buildJobId: context.jobId,
+        releaseId: context.input.releaseId
+      });
+
+      for (const [platform, url] of Object.entries(context.appPackage.downloadLinks)) {
+        context.emit('artifact', { platform, url });
+      }
+      const warnings = context.appPackage.buildWarnings || [];
+      return `Packaged ${Object.keys(context.appPackage.downloadLinks).join(', ')}${warnings.length ? ` (${warnings.join(', ')})` : ''}`;
+    }
+  },
+  {
+    id: 'finalize',
+    name: 'Saving build',
+    weight: 10,
+    run: async (context) => {
+      const { appPackage } = context;
+      await updateApp(context.appId, context.userId, {
+        assets: appPackage.assets,
+        package_info: appPackage,
+        status: 'generated'
+      });
+
+      context.result = {
+        downloadLinks: appPackage.downloadLinks,
+        checksums: appPackage.checksums,
+        warnings: appPackage.buildWarnings || [],
+        packageName: appPackage.build.android.packageName,
+        version: appPackage.metadata.version,
+        versionCode: appPackage.build.android.versionCode,
+        icon: appPackage.assets.icons?.main,
+        buildTime: appPackage.buildTime
+      };
+
+      if (context.input.releaseId) {
+        await updateAppRelease(context.input.releaseId, {
+          status: 'ready',
+          build_job_id: context.jobId,
+          package_name: context.result.packageName,
+          artifacts: appPackage.downloadLinks,
+          error: null
+        });
+        context.result.releaseId = context.input.releaseId;
+        return `Build saved as release ${appPackage.metadata.version} (${appPackage.build.android.versionCode})`;
+      }
+      return 'Build saved';
+    }
+  }
+];
+
+const buildEvents = new EventEmitter();
+buildEvents.setMaxListeners(0);
+
+let workerTimer = null;
+let workerBusy = false;
+let activeJobId = null;
+
+const emitBuildEvent = (job, type, data = {}) => {
+  buildEvents.emit('event', { jobId: job.id, appId: job.app_id, type, data });
+};
+
+const logEntry = (level, step, message) => ({
+  timestamp: new Date().toISOString(),
+  level,
+  step,
+  message
+});
+
+// Keep a job's release in step with it; the job outcome matters more than this bookkeeping
+const syncJobRelease = async (job, updateData) => {
+  if (!job.input?.releaseId) return;
+
+  try {
+    await updateAppRelease(job.input.releaseId, updateData);
+  } catch (error) {
+    console.error('Release Sync Error:', error);
+  }
+};
+
+const initialSteps = () => BUILD_STEPS.map(({ id, name }) => ({
+  id,
+  name,
+  status: 'pending',
+  started_at: null,
+  finished_at: null,
+  error: null
+}));
+
+const calculateProgress = (steps) => BUILD_STEPS
+  .filter(definition => steps.find(step => step.id === definition.id)?.status === 'completed')
+  .reduce((total, definition) => total + definition.weight, 0);
+
+/**
+ * Queue a build for an app
+ * @param {Object} options - { appId, userId, input, maxAttempts }
+ * @returns {Promise<Object>} Created build job
+ */
+const enqueueBuild = async ({ appId, userId, input, maxAttempts = DEFAULT_MAX_ATTEMPTS }) => {
+  try {
+    const job = await createBuildJob({
+      app_id: appId,
+      user_id: userId,
+      status: 'queued',
+      steps: initialSteps(),
+      progress: 0,
+      logs: [logEntry('info', null, 'Build queued')],
+      input,
+      attempts: 0,
+      max_attempts: maxAttempts,
+      cancel_requested: false
+    });
+
+    emitBuildEvent(job, 'status', { status: 'queued' });
+    wakeBuildWorker();
+    return job;
+  } catch (error) {
+    console.error('Enqueue Build Error:', error);
+    throw new Error(`Failed to queue build: ${error.message}`);
+  }
+};
+
+const throwIfCancelled = async (jobId) => {
+  const job = await getBuildJobById(jobId);
+  if (!job || job.cancel_requested) {
+    const error = new Error('Build cancelled');
+    error.cancelled = true;
+    throw error;
+  }
+};
+
+/**
+ * Run a claimed build job through every step
+ */
+const runBuildJob = async (job) => {
+  const steps = initialSteps();
+  const logs = [...(job.logs || [])];
+  const attempt = (job.attempts || 0) + 1;
+  const emit = (type, data) => emitBuildEvent(job, type, data);
+  const context = { jobId: job.id, input: job.input, appId: job.app_id, userId: job.user_id, emit };
+
+  const log = (level, step, message) => {
+    const entry = logEntry(level, step, message);
+    logs.push(entry);
+    if (logs.length > MAX_LOG_ENTRIES) {
+      logs.splice(0, logs.length - MAX_LOG_ENTRIES);
+    }
+    emit('log', entry);
+  };
+
+  const emitStep = (step) => emit('step', { step: { ...step }, progress: calculateProgress(steps) });
+
+  const save = (updateData = {}) => updateBuildJob(job.id, {
+    steps,
+    logs,
+    progress: calculateProgress(steps),
+    heartbeat_at: new Date().toISOString(),
+    ...updateData
+  }, ['running']);
+
+  log('info', null, `Attempt ${attempt} of ${job.max_attempts} started`);
+  await save({ attempts: attempt, run_after: null });
+  await syncJobRelease(job, { status: 'building', build_job_id: job.id, error: null });
+  emit('status', { status: 'running', attempt });
+
+  let currentStep = null;
+
+  try {
+    for (const definition of BUILD_STEPS) {
+      await throwIfCancelled(job.id);
+
+      currentStep = steps.find(step => step.id === definition.id);
+      currentStep.status = 'running';
+      currentStep.started_at = new Date().toISOString();
+      log('info', definition.id, `${definition.name}...`);
+      await save({ current_step: definition.id });
+      emitStep(currentStep);
+
+      const summary = await definition.run(context);
+
+      currentStep.status = 'completed';
+      currentStep.finished_at = new Date().toISOString();
+      log('info', definition.id, summary);
+      await save();
+      emitStep(currentStep);
+    }
+
+    log('info', null, 'Build completed');
+    await save({
+      status: 'completed',
+      current_step: null,
+      result: context.result,
+      error: null,
+      finished_at: new Date().toISOString()
+    });
+    emit('completed', { result: context.result });
+  } catch (error) {
+    const finishedAt = new Date().toISOString();
+
+    if (currentStep?.status === 'running') {
+      currentStep.status = error.cancelled ? 'cancelled' : 'failed';
+      currentStep.error = error.message;
+      currentStep.finished_at = finishedAt;
+    }
+
+    if (currentStep) {
+      emitStep(currentStep);
+    }
+
+    if (error.cancelled) {
+      log('warn', currentStep?.id || null, 'Build cancelled');
+      await save({ status: 'cancelled', finished_at: finishedAt });
+      await syncJobRelease(job, { status: 'failed', error: 'Build cancelled' });
+      emit('cancelled', {});
+      return;
+    }
+
+    console.error(`Build ${job.id} failed:`, error);
+    log('error', currentStep?.id || null, error.message);
+
+    if (attempt < job.max_attempts && error.retryable !== false) {
+      const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+      const runAfter = new Date(Date.now() + delay).toISOString();
+      log('info', null, `Retrying in ${Math.round(delay / 1000)}s`);
+      await save({
+        status: 'queued',
+        error: error.message,
+        run_after: runAfter
+      });
+      emit('status', { status: 'queued', error: error.message, runAfter });
+    } else {
+      await save({ status: 'failed', error: error.message, finished_at: finishedAt });
+      await syncJobRelease(job, { status: 'failed', error: error.message });
+      emit('failed', { error: error.message, step: currentStep?.id || null });
+    }
+  }
+};
+
+/**
+ * Claim and run the next due job
+ * @returns {Promise<boolean>} Whether a job was processed
+ */
+const processNextBuildJob = async () => {
+  if (workerBusy) return false;
+  workerBusy = true;
+
+  try {
+    const job = await claimNextBuildJob();
+    if (!job) return false;
+
+    activeJobId = job.id;
+    await runBuildJob(job);
+    return true;
+  } catch (error) {
+    console.error('Build Worker Error:', error);
+    return false;
+  } finally {
+    activeJobId = null;
+    workerBusy = false;
+  }
+};
+
+const drainBuildQueue = async () => {
+  while (await processNextBuildJob()) {
+    // Keep going until no job is due
+  }
+};
+
+const wakeBuildWorker = () => {
+  if (workerTimer) {
+    setImmediate(drainBuildQueue);
+  }
+};
+
+/**
+ * Requeue jobs left running by a worker that stopped mid-build
+ * A job counts as abandoned once its heartbeat is older than STALE_JOB_MS;
+ * the worker checks on start and then every STALE_CHECK_INTERVAL_MS, so jobs
+ * interrupted by a restart are picked up again without waiting for another one.
+ */
+const recoverStaleBuildJobs = async () => {
+  const cutoff = new Date(Date.now() - STALE_JOB_MS).toISOString();
+  const running = await getBuildJobs({ status: 'running', limit: 100 });
+
+  for (const job of running) {
+    // A long step in this process is slow, not abandoned
+    if (job.id === activeJobId) continue;
+    if (job.heartbeat_at && job.heartbeat_at > cutoff) continue;
+
+    const exhausted = job.attempts >= job.max_attempts;
+    await updateBuildJob(job.id, {
+      status: exhausted ? 'failed' : 'queued',
+      error: 'Build worker stopped during the build',
+      finished_at: exhausted ? new Date().toISOString() : null,
+      logs: [...(job.logs || []), logEntry('warn', job.current_step, 'Build worker stopped during the build')]
+    }, ['running']);
+
+    if (exhausted) {
+      await syncJobRelease(job, { status: 'failed', error: 'Build worker stopped during the build' });
+    }
+  }
+};
+
+/**
+ * Start polling for queued builds
+ * @param {Object} options - { pollInterval } in milliseconds
+ */
+const startBuildWorker = (options = {}) => {
+  if (workerTimer) return;
+
+  const pollInterval = options.pollInterval || parseInt(process.env.BUILD_WORKER_POLL_MS) || 2000;
+
+  let lastStaleCheck = 0;
+  const poll = () => {
+    if (Date.now() - lastStaleCheck >= STALE_CHECK_INTERVAL_MS) {
+      lastStaleCheck = Date.now();
+      recoverStaleBuildJobs().catch(error => console.error('Build Recovery Error:', error));
+    }
+    return drainBuildQueue();
+  };
+
+  poll();
+  workerTimer = setInterval(poll, pollInterval);
+  workerTimer.unref();
+  console.log(`🏗️  Build worker polling every ${pollInterval}ms`);
+};
+
+const stopBuildWorker = () => {
+  clearInterval(workerTimer);
+  workerTimer = null;
+};
+
+/**
+ * Cancel a build: queued jobs stop immediately, running jobs before their next step
+ * @returns {Promise<Object|null>} Updated job, or null when not found
+ */
+const cancelBuild = async (jobId) => {
+  try {
+    const job = await getBuildJobById(jobId);
+    if (!job || TERMINAL_STATUSES.includes(job.status)) {
+      return job;
+    }
+
+    const logs = [...(job.logs || []), logEntry('warn', job.current_step, 'Cancellation requested')];
+
+    if (job.status === 'queued') {
+      const cancelled = await updateBuildJob(jobId, {
+        status: 'cancelled',
+        cancel_requested: true,
+        finished_at: new Date().toISOString(),
+        logs
+      }, ['queued']);
+      if (cancelled) {
+        await syncJobRelease(cancelled, { status: 'failed', error: 'Build cancelled' });
+        emitBuildEvent(cancelled, 'cancelled', {});
+        return cancelled;
+      }
+    }
+
+    // The worker's next save overwrites logs, so the request is recorded as a flag
+    return await updateBuildJob(jobId, { cancel_requested: true }, ['running']) ||
+      getBuildJobById(jobId);
+  } catch (error) {
+    console.error('Cancel Build Error:', error);
+    throw new Error(`Failed to cancel build: ${error.message}`);
+  }
+};
+
+/**
+ * Queue a new build with the same input as a failed or cancelled one
+ * @returns {Promise<Object|null>} New job, or null when the job cannot be retried
+ */
+const retryBuild = async (jobId) => {
+  const job = await getBuildJobById(jobId);
+  if (!job || !['failed', 'cancelled'].includes(job.status)) {
+    return null;
+  }
+
+  return enqueueBuild({
+    appId: job.app_id,
+    userId: job.user_id,
+    input: job.input,
+    maxAttempts: job.max_attempts
+  });
+};
+
+export {
+  buildEvents,
+  BUILD_STEPS,
+  TERMINAL_STATUSES,
+  enqueueBuild,
+  runBuildJob,
+  processNextBuildJob,
+  recoverStaleBuildJobs,
+  startBuildWorker,
+  stopBuildWorker,
+  cancelBuild,
+  retryBuild
+};
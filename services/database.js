@@ -1,4 +1,5 @@
 import { createClient } from '@supabase/supabase-js';
+import crypto from 'crypto';
 
 // Initialize Supabase client only if environment variables are available
 let supabase = null;
@@ -255,11 +256,26 @@ const getAppById = async (id, userId = null) => {
 // Update app
 const updateApp = async (id, userId, updateData) => {
   try {
-    const { data, error } = await supabaseAdmin
+    // If Supabase is not configured, return mock app data for development
+    if (!supabaseAdmin) {
+      console.log('Supabase not configured, returning mock app data');
+      return {
+        id,
+        user_id: userId,
+        ...updateData,
+        updated_at: new Date().toISOString()
+      };
+    }
+
+    let query = supabaseAdmin
       .from('apps')
       .update(updateData)
-      .eq('id', id)
-      .eq('user_id', userId)
+      .eq('id', id);
+
+    // Apps created while signed out have no owner
+    query = userId ? query.eq('user_id', userId) : query.is('user_id', null);
+
+    const { data, error } = await query
       .select()
       .single();
 
@@ -440,90 +456,1334 @@ const getRevenueData = async (userId, options = {}) => {
 };
 
 /**
- * File Storage Functions
+ * Build Job Functions
  */
 
-// Upload file to Supabase Storage
-const uploadFile = async (bucket, filePath, fileBuffer, options = {}) => {
+// Build jobs are kept in memory when Supabase is not configured
+const memoryBuildJobs = new Map();
+
+// Create build job
+const createBuildJob = async (jobData) => {
   try {
-    // If Supabase is not configured, return mock data for development
     if (!supabaseAdmin) {
-      console.log('Supabase not configured, returning mock file upload data');
-      return {
-        path: filePath,
-        fullPath: `${bucket}/${filePath}`,
-        publicUrl: `/assets/mock-${filePath}`
+      console.log('Supabase not configured, storing build job in memory');
+      const job = {
+        id: crypto.randomUUID(),
+        ...jobData,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
       };
+      memoryBuildJobs.set(job.id, job);
+      return { ...job };
     }
 
-    const { data, error } = await supabaseAdmin.storage
-      .from(bucket)
-      .upload(filePath, fileBuffer, {
-        contentType: options.contentType,
-        cacheControl: options.cacheControl || '3600',
-        upsert: options.upsert || false
-      });
+    const { data, error } = await supabaseAdmin
+      .from('build_jobs')
+      .insert([jobData])
+      .select()
+      .single();
 
     if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Create Build Job Error:', error);
+    throw new Error(`Failed to create build job: ${error.message}`);
+  }
+};
 
-    // Get public URL
-    const { data: urlData } = supabaseAdmin.storage
-      .from(bucket)
-      .getPublicUrl(filePath);
+// Get build job by ID
+const getBuildJobById = async (id) => {
+  try {
+    if (!supabaseAdmin) {
+      const job = memoryBuildJobs.get(id);
+      return job ? { ...job } : null;
+    }
 
-    return {
-      path: data.path,
-      fullPath: data.fullPath,
-      publicUrl: urlData.publicUrl
-    };
+    const { data, error } = await supabaseAdmin
+      .from('build_jobs')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
   } catch (error) {
-    console.error('Upload File Error:', error);
-    throw new Error(`Failed to upload file: ${error.message}`);
+    console.error('Get Build Job Error:', error);
+    throw new Error(`Failed to get build job: ${error.message}`);
   }
 };
 
-// Delete file from Supabase Storage
-const deleteFile = async (bucket, filePath) => {
+// Get build jobs for an app, newest first; userId null selects jobs without an owner
+const getBuildJobs = async (options = {}) => {
   try {
-    // If Supabase is not configured, return mock data for development
+    const { appId, userId, status, limit = 20 } = options;
+
     if (!supabaseAdmin) {
-      console.log('Supabase not configured, returning mock file deletion data');
-      return { success: true };
+      const jobs = [...memoryBuildJobs.values()]
+        .filter(job => (!appId || job.app_id === appId) &&
+          (userId === undefined || (job.user_id || null) === userId) &&
+          (!status || job.status === status))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .slice(0, limit);
+      return jobs.map(job => ({ ...job }));
     }
 
-    const { data, error } = await supabaseAdmin.storage
-      .from(bucket)
-      .remove([filePath]);
+    let query = supabaseAdmin
+      .from('build_jobs')
+      .select('*');
+
+    if (appId) {
+      query = query.eq('app_id', appId);
+    }
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    } else if (userId === null) {
+      query = query.is('user_id', null);
+    }
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Get Build Jobs Error:', error);
+    throw new Error(`Failed to get build jobs: ${error.message}`);
+  }
+};
+
+// Update build job, optionally only while it is in one of the expected states
+const updateBuildJob = async (id, updateData, expectedStatuses = null) => {
+  try {
+    if (!supabaseAdmin) {
+      const job = memoryBuildJobs.get(id);
+      if (!job || (expectedStatuses && !expectedStatuses.includes(job.status))) {
+        return null;
+      }
+      Object.assign(job, updateData, { updated_at: new Date().toISOString() });
+      return { ...job };
+    }
+
+    let query = supabaseAdmin
+      .from('build_jobs')
+      .update(updateData)
+      .eq('id', id);
+
+    if (expectedStatuses) {
+      query = query.in('status', expectedStatuses);
+    }
+
+    const { data, error } = await query.select().maybeSingle();
 
     if (error) throw error;
     return data;
   } catch (error) {
-    console.error('Delete File Error:', error);
-    throw new Error(`Failed to delete file: ${error.message}`);
+    console.error('Update Build Job Error:', error);
+    throw new Error(`Failed to update build job: ${error.message}`);
   }
 };
 
-export {
-  // User functions
-  createUser,
-  getUserByEmail,
-  getUserById,
-  updateUser,
-  
-  // App functions
-  createApp,
-  getApps,
-  getAppById,
-  updateApp,
-  deleteApp,
-  
-  // Analytics functions
-  recordEvent,
-  getAnalyticsData,
-  
-  // Revenue functions
-  recordRevenue,
-  getRevenueData,
+// Claim the oldest queued build job that is due to run
+const claimNextBuildJob = async () => {
+  try {
+    const now = new Date().toISOString();
+
+    let candidate;
+    if (!supabaseAdmin) {
+      candidate = [...memoryBuildJobs.values()]
+        .filter(job => job.status === 'queued' && (!job.run_after || job.run_after <= now))
+        .sort((a, b) => a.created_at.localeCompare(b.created_at))[0];
+    } else {
+      const { data, error } = await supabaseAdmin
+        .from('build_jobs')
+        .select('id')
+        .eq('status', 'queued')
+        .or(`run_after.is.null,run_after.lte.${now}`)
+        .order('created_at', { ascending: true })
+        .limit(1);
+
+      if (error) throw error;
+      candidate = data?.[0];
+    }
+
+    if (!candidate) return null;
+
+    // Another worker may have claimed it first, in which case nothing is updated
+    return updateBuildJob(candidate.id, {
+      status: 'running',
+      started_at: now,
+      heartbeat_at: now
+    }, ['queued']);
+  } catch (error) {
+    console.error('Claim Build Job Error:', error);
+    throw new Error(`Failed to claim build job: ${error.message}`);
+  }
+};
+
+/**
+ * App Release Functions
+ */
+
+// Releases are kept in memory when Supabase is not configured
+const memoryAppReleases = new Map();
+
+// Create app release
+const createAppRelease = async (releaseData) => {
+  try {
+    if (!supabaseAdmin) {
+      console.log('Supabase not configured, storing app release in memory');
+      const duplicate = [...memoryAppReleases.values()].some(release =>
+        release.app_id === releaseData.app_id && release.version_code === releaseData.version_code);
+      if (duplicate) {
+        throw new Error(`Version code ${releaseData.version_code} already exists for this app`);
+      }
+
+      const release = {
+        id: crypto.randomUUID(),
+        artifacts: {},
+        publish_info: {},
+        ...releaseData,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      };
+      memoryAppReleases.set(release.id, release);
+      return { ...release };
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('app_releases')
+      .insert([releaseData])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Create App Release Error:', error);
+    throw new Error(`Failed to create app release: ${error.message}`);
+  }
+};
+
+// Get app release by ID, optionally scoped to an app
+const getAppReleaseById = async (id, appId = null) => {
+  try {
+    if (!supabaseAdmin) {
+      const release = memoryAppReleases.get(id);
+      return release && (!appId || release.app_id === appId) ? { ...release } : null;
+    }
+
+    let query = supabaseAdmin
+      .from('app_releases')
+      .select('*')
+      .eq('id', id);
+
+    if (appId) {
+      query = query.eq('app_id', appId);
+    }
+
+    const { data, error } = await query.single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  } catch (error) {
+    console.error('Get App Release Error:', error);
+    throw new Error(`Failed to get app release: ${error.message}`);
+  }
+};
+
+// Get releases for an app, newest version first
+const getAppReleases = async (appId, options = {}) => {
+  try {
+    const { status, versionCodes, limit = 20 } = options;
+    const statuses = status ? [].concat(status) : null;
+
+    if (!supabaseAdmin) {
+      const releases = [...memoryAppReleases.values()]
+        .filter(release => release.app_id === appId &&
+          (!statuses || statuses.includes(release.status)) &&
+          (!versionCodes || versionCodes.includes(release.version_code)))
+        .sort((a, b) => b.version_code - a.version_code)
+        .slice(0, limit);
+      return releases.map(release => ({ ...release }));
+    }
+
+    let query = supabaseAdmin
+      .from('app_releases')
+      .select('*')
+      .eq('app_id', appId);
+
+    if (statuses) {
+      query = query.in('status', statuses);
+    }
+
+    if (versionCodes) {
+      query = query.in('version_code', versionCodes);
+    }
+
+    const { data, error } = await query
+      .order('version_code', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Get App Releases Error:', error);
+    throw new Error(`Failed to get app releases: ${error.message}`);
+  }
+};
+
+// Update app release
+const updateAppRelease = async (id, updateData) => {
+  try {
+    if (!supabaseAdmin) {
+      const release = memoryAppReleases.get(id);
+      if (!release) return null;
+      Object.assign(release, updateData, { updated_at: new Date().toISOString() });
+      return { ...release };
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('app_releases')
+      .update(updateData)
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Update App Release Error:', error);
+    throw new Error(`Failed to update app release: ${error.message}`);
+  }
+};
+
+/**
+ * Push Notification Functions
+ */
+
+// Push devices, segments and campaigns are kept in memory when Supabase is not configured
+const memoryPushDevices = new Map();
+const memoryPushSegments = new Map();
+const memoryPushCampaigns = new Map();
+const memoryPushOpens = new Set();
+
+// Register a device token, or refresh it when the app already knows it
+const upsertPushDevice = async (deviceData) => {
+  try {
+    const now = new Date().toISOString();
+
+    if (!supabaseAdmin) {
+      const existing = [...memoryPushDevices.values()].find(device =>
+        device.app_id === deviceData.app_id && device.token === deviceData.token);
+      const device = existing
+        ? Object.assign(existing, deviceData, { updated_at: now })
+        : { id: crypto.randomUUID(), tags: [], ...deviceData, created_at: now, updated_at: now };
+      memoryPushDevices.set(device.id, device);
+      return { ...device };
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('push_devices')
+      .upsert([deviceData], { onConflict: 'app_id,token' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Upsert Push Device Error:', error);
+    throw new Error(`Failed to register push device: ${error.message}`);
+  }
+};
+
+// Get the active devices of an app, optionally for some platforms only
+const getPushDevices = async (appId, options = {}) => {
+  try {
+    const { platforms } = options;
+
+    if (!supabaseAdmin) {
+      return [...memoryPushDevices.values()]
+        .filter(device => device.app_id === appId && !device.disabled_at &&
+          (!platforms || platforms.includes(device.platform)))
+        .map(device => ({ ...device }));
+    }
+
+    // Supabase caps each response, so read the devices page by page
+    const pageSize = 1000;
+    const devices = [];
+    for (let from = 0; ; from += pageSize) {
+      let query = supabaseAdmin
+        .from('push_devices')
+        .select('*')
+        .eq('app_id', appId)
+        .is('disabled_at', null);
+
+      if (platforms) {
+        query = query.in('platform', platforms);
+      }
+
+      const { data, error } = await query
+        .order('created_at', { ascending: true })
+        .range(from, from + pageSize - 1);
+
+      if (error) throw error;
+      devices.push(...(data || []));
+      if (!data || data.length < pageSize) break;
+    }
+    return devices;
+  } catch (error) {
+    console.error('Get Push Devices Error:', error);
+    throw new Error(`Failed to get push devices: ${error.message}`);
+  }
+};
+
+// Stop sending to tokens the providers reported as invalid
+const disablePushDevices = async (appId, tokens) => {
+  try {
+    if (tokens.length === 0) return;
+    const now = new Date().toISOString();
+
+    if (!supabaseAdmin) {
+      for (const device of memoryPushDevices.values()) {
+        if (device.app_id === appId && tokens.includes(device.token)) {
+          Object.assign(device, { disabled_at: now, updated_at: now });
+        }
+      }
+      return;
+    }
+
+    const { error } = await supabaseAdmin
+      .from('push_devices')
+      .update({ disabled_at: now })
+      .eq('app_id', appId)
+      .in('token', tokens);
+
+    if (error) throw error;
+  } catch (error) {
+    console.error('Disable Push Devices Error:', error);
+    throw new Error(`Failed to disable push devices: ${error.message}`);
+  }
+};
+
+// Get a registered device of an app by its token
+const getPushDeviceByToken = async (appId, token) => {
+  try {
+    if (!supabaseAdmin) {
+      const device = [...memoryPushDevices.values()].find(item => item.app_id === appId && item.token === token);
+      return device ? { ...device } : null;
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('push_devices')
+      .select('*')
+      .eq('app_id', appId)
+      .eq('token', token)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Get Push Device Error:', error);
+    throw new Error(`Failed to get push device: ${error.message}`);
+  }
+};
+
+// Remove a device token
+const deletePushDevice = async (appId, token) => {
+  try {
+    if (!supabaseAdmin) {
+      const device = [...memoryPushDevices.values()].find(item => item.app_id === appId && item.token === token);
+      return device ? memoryPushDevices.delete(device.id) : false;
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('push_devices')
+      .delete()
+      .eq('app_id', appId)
+      .eq('token', token)
+      .select('id');
+
+    if (error) throw error;
+    return (data || []).length > 0;
+  } catch (error) {
+    console.error('Delete Push Device Error:', error);
+    throw new Error(`Failed to delete push device: ${error.message}`);
+  }
+};
+
+// Create push segment
+const createPushSegment = async (segmentData) => {
+  try {
+    if (!supabaseAdmin) {
+      const duplicate = [...memoryPushSegments.values()].some(segment =>
+        segment.app_id === segmentData.app_id && segment.name === segmentData.name);
+      if (duplicate) {
+        throw new Error(`Segment "${segmentData.name}" already exists for this app`);
+      }
+
+      const segment = {
+        id: crypto.randomUUID(),
+        ...segmentData,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      };
+      memoryPushSegments.set(segment.id, segment);
+      return { ...segment };
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('push_segments')
+      .insert([segmentData])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Create Push Segment Error:', error);
+    throw new Error(`Failed to create push segment: ${error.message}`);
+  }
+};
+
+// Get the segments of an app by name
+const getPushSegments = async (appId) => {
+  try {
+    if (!supabaseAdmin) {
+      return [...memoryPushSegments.values()]
+        .filter(segment => segment.app_id === appId)
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(segment => ({ ...segment }));
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('push_segments')
+      .select('*')
+      .eq('app_id', appId)
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Get Push Segments Error:', error);
+    throw new Error(`Failed to get push segments: ${error.message}`);
+  }
+};
+
+// Get push segment by ID, scoped to an app
+const getPushSegmentById = async (id, appId) => {
+  try {
+    if (!supabaseAdmin) {
+      const segment = memoryPushSegments.get(id);
+      return segment && segment.app_id === appId ? { ...segment } : null;
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('push_segments')
+      .select('*')
+      .eq('id', id)
+      .eq('app_id', appId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  } catch (error) {
+    console.error('Get Push Segment Error:', error);
+    throw new Error(`Failed to get push segment: ${error.message}`);
+  }
+};
+
+// Update push segment
+const updatePushSegment = async (id, appId, updateData) => {
+  try {
+    if (!supabaseAdmin) {
+      const segment = memoryPushSegments.get(id);
+      if (!segment || segment.app_id !== appId) return null;
+      Object.assign(segment, updateData, { updated_at: new Date().toISOString() });
+      return { ...segment };
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('push_segments')
+      .update(updateData)
+      .eq('id', id)
+      .eq('app_id', appId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Update Push Segment Error:', error);
+    throw new Error(`Failed to update push segment: ${error.message}`);
+  }
+};
+
+// Delete push segment
+const deletePushSegment = async (id, appId) => {
+  try {
+    if (!supabaseAdmin) {
+      const segment = memoryPushSegments.get(id);
+      return segment && segment.app_id === appId ? memoryPushSegments.delete(id) : false;
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('push_segments')
+      .delete()
+      .eq('id', id)
+      .eq('app_id', appId)
+      .select('id');
+
+    if (error) throw error;
+    return (data || []).length > 0;
+  } catch (error) {
+    console.error('Delete Push Segment Error:', error);
+    throw new Error(`Failed to delete push segment: ${error.message}`);
+  }
+};
+
+// Create push campaign
+const createPushCampaign = async (campaignData) => {
+  try {
+    if (!supabaseAdmin) {
+      console.log('Supabase not configured, storing push campaign in memory');
+      const campaign = {
+        id: crypto.randomUUID(),
+        stats: {},
+        ...campaignData,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      };
+      memoryPushCampaigns.set(campaign.id, campaign);
+      return { ...campaign };
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('push_campaigns')
+      .insert([campaignData])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Create Push Campaign Error:', error);
+    throw new Error(`Failed to create push campaign: ${error.message}`);
+  }
+};
+
+// Get push campaign by ID, optionally scoped to an app
+const getPushCampaignById = async (id, appId = null) => {
+  try {
+    if (!supabaseAdmin) {
+      const campaign = memoryPushCampaigns.get(id);
+      return campaign && (!appId || campaign.app_id === appId) ? { ...campaign } : null;
+    }
+
+    let query = supabaseAdmin
+      .from('push_campaigns')
+      .select('*')
+      .eq('id', id);
+
+    if (appId) {
+      query = query.eq('app_id', appId);
+    }
+
+    const { data, error } = await query.single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  } catch (error) {
+    console.error('Get Push Campaign Error:', error);
+    throw new Error(`Failed to get push campaign: ${error.message}`);
+  }
+};
+
+// Get push campaigns for an app (or every app when appId is null), newest first
+const getPushCampaigns = async (appId, options = {}) => {
+  try {
+    const { status, limit = 20 } = options;
+
+    if (!supabaseAdmin) {
+      return [...memoryPushCampaigns.values()]
+        .filter(campaign => (!appId || campaign.app_id === appId) && (!status || campaign.status === status))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .slice(0, limit)
+        .map(campaign => ({ ...campaign }));
+    }
+
+    let query = supabaseAdmin
+      .from('push_campaigns')
+      .select('*');
+
+    if (appId) {
+      query = query.eq('app_id', appId);
+    }
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Get Push Campaigns Error:', error);
+    throw new Error(`Failed to get push campaigns: ${error.message}`);
+  }
+};
+
+// Update push campaign, optionally only while it is in one of the expected states
+const updatePushCampaign = async (id, updateData, expectedStatuses = null) => {
+  try {
+    if (!supabaseAdmin) {
+      const campaign = memoryPushCampaigns.get(id);
+      if (!campaign || (expectedStatuses && !expectedStatuses.includes(campaign.status))) {
+        return null;
+      }
+      Object.assign(campaign, updateData, { updated_at: new Date().toISOString() });
+      return { ...campaign };
+    }
+
+    let query = supabaseAdmin
+      .from('push_campaigns')
+      .update(updateData)
+      .eq('id', id);
+
+    if (expectedStatuses) {
+      query = query.in('status', expectedStatuses);
+    }
+
+    const { data, error } = await query.select().maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Update Push Campaign Error:', error);
+    throw new Error(`Failed to update push campaign: ${error.message}`);
+  }
+};
+
+// Record that a device opened a campaign; false when it had already opened it
+const recordPushOpen = async (campaignId, deviceId) => {
+  try {
+    if (!supabaseAdmin) {
+      const key = `${campaignId}:${deviceId}`;
+      if (memoryPushOpens.has(key)) return false;
+      memoryPushOpens.add(key);
+      return true;
+    }
+
+    // Repeated opens hit the unique constraint and insert nothing
+    const { data, error } = await supabaseAdmin
+      .from('push_opens')
+      .upsert([{ campaign_id: campaignId, device_id: deviceId }], {
+        onConflict: 'campaign_id,device_id',
+        ignoreDuplicates: true
+      })
+      .select('id');
+
+    if (error) throw error;
+    return (data || []).length > 0;
+  } catch (error) {
+    console.error('Record Push Open Error:', error);
+    throw new Error(`Failed to record push open: ${error.message}`);
+  }
+};
+
+// Claim the earliest scheduled push campaign that is due
+const claimNextPushCampaign = async () => {
+  try {
+    const now = new Date().toISOString();
+
+    let candidate;
+    if (!supabaseAdmin) {
+      candidate = [...memoryPushCampaigns.values()]
+        .filter(campaign => campaign.status === 'scheduled' && campaign.send_at <= now)
+        .sort((a, b) => a.send_at.localeCompare(b.send_at))[0];
+    } else {
+      const { data, error } = await supabaseAdmin
+        .from('push_campaigns')
+        .select('id')
+        .eq('status', 'scheduled')
+        .lte('send_at', now)
+        .order('send_at', { ascending: true })
+        .limit(1);
+
+      if (error) throw error;
+      candidate = data?.[0];
+    }
+
+    if (!candidate) return null;
+
+    // Another worker may have claimed it first, in which case nothing is updated
+    return updatePushCampaign(candidate.id, {
+      status: 'sending',
+      started_at: now
+    }, ['scheduled']);
+  } catch (error) {
+    console.error('Claim Push Campaign Error:', error);
+    throw new Error(`Failed to claim push campaign: ${error.message}`);
+  }
+};
+
+/**
+ * Store Listing Functions
+ */
+
+// Store listings are kept in memory when Supabase is not configured
+const memoryStoreListings = new Map();
+
+// Create or replace the listing of an app for one store and language
+const upsertStoreListing = async (listingData) => {
+  try {
+    const now = new Date().toISOString();
+
+    if (!supabaseAdmin) {
+      const existing = [...memoryStoreListings.values()].find(listing =>
+        listing.app_id === listingData.app_id && listing.store === listingData.store &&
+        listing.language === listingData.language);
+      const listing = existing
+        ? Object.assign(existing, listingData, { updated_at: now })
+        : { id: crypto.randomUUID(), screenshots: [], ...listingData, created_at: now, updated_at: now };
+      memoryStoreListings.set(listing.id, listing);
+      return { ...listing };
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('store_listings')
+      .upsert([listingData], { onConflict: 'app_id,store,language' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Upsert Store Listing Error:', error);
+    throw new Error(`Failed to save store listing: ${error.message}`);
+  }
+};
+
+// Get the listings of an app for a store by language, optionally in some states only
+const getStoreListings = async (appId, store, options = {}) => {
+  try {
+    const { statuses } = options;
+
+    if (!supabaseAdmin) {
+      return [...memoryStoreListings.values()]
+        .filter(listing => listing.app_id === appId && listing.store === store &&
+          (!statuses || statuses.includes(listing.status)))
+        .sort((a, b) => a.language.localeCompare(b.language))
+        .map(listing => ({ ...listing }));
+    }
+
+    let query = supabaseAdmin
+      .from('store_listings')
+      .select('*')
+      .eq('app_id', appId)
+      .eq('store', store);
+
+    if (statuses) {
+      query = query.in('status', statuses);
+    }
+
+    const { data, error } = await query.order('language', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Get Store Listings Error:', error);
+    throw new Error(`Failed to get store listings: ${error.message}`);
+  }
+};
+
+// Get the listing of an app for one store and language
+const getStoreListing = async (appId, store, language) => {
+  try {
+    if (!supabaseAdmin) {
+      const listing = [...memoryStoreListings.values()].find(item =>
+        item.app_id === appId && item.store === store && item.language === language);
+      return listing ? { ...listing } : null;
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('store_listings')
+      .select('*')
+      .eq('app_id', appId)
+      .eq('store', store)
+      .eq('language', language)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Get Store Listing Error:', error);
+    throw new Error(`Failed to get store listing: ${error.message}`);
+  }
+};
+
+// Update store listing, optionally only while it is in one of the expected states
+const updateStoreListing = async (id, updateData, expectedStatuses = null) => {
+  try {
+    if (!supabaseAdmin) {
+      const listing = memoryStoreListings.get(id);
+      if (!listing || (expectedStatuses && !expectedStatuses.includes(listing.status))) {
+        return null;
+      }
+      Object.assign(listing, updateData, { updated_at: new Date().toISOString() });
+      return { ...listing };
+    }
+
+    let query = supabaseAdmin
+      .from('store_listings')
+      .update(updateData)
+      .eq('id', id);
+
+    if (expectedStatuses) {
+      query = query.in('status', expectedStatuses);
+    }
+
+    const { data, error } = await query.select().maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Update Store Listing Error:', error);
+    throw new Error(`Failed to update store listing: ${error.message}`);
+  }
+};
+
+// Delete store listing
+const deleteStoreListing = async (id) => {
+  try {
+    if (!supabaseAdmin) {
+      return memoryStoreListings.delete(id);
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('store_listings')
+      .delete()
+      .eq('id', id)
+      .select('id');
+
+    if (error) throw error;
+    return (data || []).length > 0;
+  } catch (error) {
+    console.error('Delete Store Listing Error:', error);
+    throw new Error(`Failed to delete store listing: ${error.message}`);
+  }
+};
+
+/**
+ * Release Audit Functions
+ */
+
+// Release audit entries are kept in memory when Supabase is not configured
+const memoryReleaseAuditLog = [];
+
+// Record a store release operation
+const createReleaseAuditEntry = async (entryData) => {
+  try {
+    if (!supabaseAdmin) {
+      const entry = {
+        id: crypto.randomUUID(),
+        details: {},
+        ...entryData,
+        created_at: new Date().toISOString()
+      };
+      memoryReleaseAuditLog.push(entry);
+      return { ...entry };
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('release_audit_log')
+      .insert([entryData])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Create Release Audit Entry Error:', error);
+    throw new Error(`Failed to record release audit entry: ${error.message}`);
+  }
+};
+
+// Get the release audit trail of an app, newest first
+const getReleaseAuditEntries = async (appId, options = {}) => {
+  try {
+    const { store, track, limit = 50 } = options;
+
+    if (!supabaseAdmin) {
+      return memoryReleaseAuditLog
+        .filter(entry => entry.app_id === appId &&
+          (!store || entry.store === store) &&
+          (!track || entry.track === track || entry.from_track === track))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .slice(0, limit)
+        .map(entry => ({ ...entry }));
+    }
+
+    let query = supabaseAdmin
+      .from('release_audit_log')
+      .select('*')
+      .eq('app_id', appId);
+
+    if (store) {
+      query = query.eq('store', store);
+    }
+
+    if (track) {
+      query = query.or(`track.eq.${track},from_track.eq.${track}`);
+    }
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Get Release Audit Entries Error:', error);
+    throw new Error(`Failed to get release audit entries: ${error.message}`);
+  }
+};
+
+/**
+ * Publishing Session Functions
+ */
+
+// Publishing sessions are kept in memory when Supabase is not configured
+const memoryPublishingSessions = new Map();
+
+// Create publishing session
+const createPublishingSession = async (sessionData) => {
+  try {
+    if (!supabaseAdmin) {
+      console.log('Supabase not configured, storing publishing session in memory');
+      const session = {
+        id: crypto.randomUUID(),
+        ...sessionData,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      };
+      memoryPublishingSessions.set(session.id, session);
+      return { ...session };
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('publishing_sessions')
+      .insert([sessionData])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Create Publishing Session Error:', error);
+    throw new Error(`Failed to create publishing session: ${error.message}`);
+  }
+};
+
+// Get publishing session by ID, optionally scoped to a user
+const getPublishingSessionById = async (id, userId = null) => {
+  try {
+    if (!supabaseAdmin) {
+      const session = memoryPublishingSessions.get(id);
+      return session && (!userId || session.user_id === userId) ? { ...session } : null;
+    }
+
+    let query = supabaseAdmin
+      .from('publishing_sessions')
+      .select('*')
+      .eq('id', id);
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const { data, error } = await query.single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  } catch (error) {
+    console.error('Get Publishing Session Error:', error);
+    throw new Error(`Failed to get publishing session: ${error.message}`);
+  }
+};
+
+// Get the pending publishing session an OAuth state was issued for
+const getPublishingSessionByState = async (state) => {
+  try {
+    if (!supabaseAdmin) {
+      const session = [...memoryPublishingSessions.values()]
+        .find(item => item.oauth_state === state && item.status === 'pending');
+      return session ? { ...session } : null;
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('publishing_sessions')
+      .select('*')
+      .eq('oauth_state', state)
+      .eq('status', 'pending')
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Get Publishing Session By State Error:', error);
+    throw new Error(`Failed to get publishing session: ${error.message}`);
+  }
+};
+
+// Get the publishing sessions of a user, newest first
+const getPublishingSessions = async (userId, options = {}) => {
+  try {
+    const { provider, statuses } = options;
+
+    if (!supabaseAdmin) {
+      return [...memoryPublishingSessions.values()]
+        .filter(session => session.user_id === userId &&
+          (!provider || session.provider === provider) &&
+          (!statuses || statuses.includes(session.status)))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .map(session => ({ ...session }));
+    }
+
+    let query = supabaseAdmin
+      .from('publishing_sessions')
+      .select('*')
+      .eq('user_id', userId);
+
+    if (provider) {
+      query = query.eq('provider', provider);
+    }
+
+    if (statuses) {
+      query = query.in('status', statuses);
+    }
+
+    const { data, error } = await query.order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Get Publishing Sessions Error:', error);
+    throw new Error(`Failed to get publishing sessions: ${error.message}`);
+  }
+};
+
+// Update publishing session, optionally only while it is in one of the expected states
+const updatePublishingSession = async (id, updateData, expectedStatuses = null) => {
+  try {
+    if (!supabaseAdmin) {
+      const session = memoryPublishingSessions.get(id);
+      if (!session || (expectedStatuses && !expectedStatuses.includes(session.status))) {
+        return null;
+      }
+      Object.assign(session, updateData, { updated_at: new Date().toISOString() });
+      return { ...session };
+    }
+
+    let query = supabaseAdmin
+      .from('publishing_sessions')
+      .update(updateData)
+      .eq('id', id);
+
+    if (expectedStatuses) {
+      query = query.in('status', expectedStatuses);
+    }
+
+    const { data, error } = await query.select().maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Update Publishing Session Error:', error);
+    throw new Error(`Failed to update publishing session: ${error.message}`);
+  }
+};
+
+/**
+ * Notification Functions
+ */
+
+// Notifications are kept in memory when Supabase is not configured
+const memoryNotifications = [];
+
+// Create an in-app notification for a user
+const createNotification = async (notificationData) => {
+  try {
+    if (!supabaseAdmin) {
+      const notification = {
+        id: crypto.randomUUID(),
+        read: false,
+        ...notificationData,
+        created_at: new Date().toISOString()
+      };
+      memoryNotifications.push(notification);
+      return { ...notification };
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('notifications')
+      .insert([notificationData])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Create Notification Error:', error);
+    throw new Error(`Failed to create notification: ${error.message}`);
+  }
+};
+
+/**
+ * File Storage Functions
+ */
+
+// Upload file to Supabase Storage
+const uploadFile = async (bucket, filePath, fileBuffer, options = {}) => {
+  try {
+    // If Supabase is not configured, return mock data for development
+    if (!supabaseAdmin) {
+      console.log('Supabase not configured, returning mock file upload data');
+      return {
+        path: filePath,
+        fullPath: `${bucket}/${filePath}`,
+        publicUrl: `/assets/mock-${filePath}`
+      };
+    }
+
+    const { data, error } = await supabaseAdmin.storage
+      .from(bucket)
+      .upload(filePath, fileBuffer, {
+        contentType: options.contentType,
+        cacheControl: options.cacheControl || '3600',
+        upsert: options.upsert || false
+      });
+
+    if (error) throw error;
+
+    // Get public URL
+    const { data: urlData } = supabaseAdmin.storage
+      .from(bucket)
+      .getPublicUrl(filePath);
+
+    return {
+      path: data.path,
+      fullPath: data.fullPath,
+      publicUrl: urlData.publicUrl
+    };
+  } catch (error) {
+    console.error('Upload File Error:', error);
+    throw new Error(`Failed to upload file: ${error.message}`);
+  }
+};
+
+// Delete file from Supabase Storage
+const deleteFile = async (bucket, filePath) => {
+  try {
+    // If Supabase is not configured, return mock data for development
+    if (!supabaseAdmin) {
+      console.log('Supabase not configured, returning mock file deletion data');
+      return { success: true };
+    }
+
+    const { data, error } = await supabaseAdmin.storage
+      .from(bucket)
+      .remove([filePath]);
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Delete File Error:', error);
+    throw new Error(`Failed to delete file: ${error.message}`);
+  }
+};
+
+export {
+  // User functions
+  createUser,
+  getUserByEmail,
+  getUserById,
+  updateUser,
+  
+  // App functions
+  createApp,
+  getApps,
+  getAppById,
+  updateApp,
+  deleteApp,
+  
+  // Analytics functions
+  recordEvent,
+  getAnalyticsData,
+  
+  // Revenue functions
+  recordRevenue,
+  getRevenueData,
+  
+  // Build job functions
+  createBuildJob,
+  getBuildJobById,
+  getBuildJobs,
+  updateBuildJob,
+  claimNextBuildJob,
+  
+  // App release functions
+  createAppRelease,
+  getAppReleaseById,
+  getAppReleases,
+  updateAppRelease,
+  
+  // Store listing functions
+  upsertStoreListing,
+  getStoreListings,
+  getStoreListing,
+  updateStoreListing,
+  deleteStoreListing,
+  
+  // Release audit functions
+  createReleaseAuditEntry,
+  getReleaseAuditEntries,
+  
+  // Push notification functions
+  upsertPushDevice,
+  getPushDevices,
+  disablePushDevices,
+  getPushDeviceByToken,
+  deletePushDevice,
+  createPushSegment,
+  getPushSegments,
+  getPushSegmentById,
+  updatePushSegment,
+  deletePushSegment,
+  createPushCampaign,
+  getPushCampaignById,
+  getPushCampaigns,
+  updatePushCampaign,
+  recordPushOpen,
+  claimNextPushCampaign,
+  
+  // Notification functions
+  createNotification,
+  
+  // Publishing session functions
+  createPublishingSession,
+  getPublishingSessionById,
+  getPublishingSessionByState,
+  getPublishingSessions,
+  updatePublishingSession,
   
   // File storage functions
   uploadFile,
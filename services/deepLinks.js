@@ -0,0 +1,197 @@
+import { loadSigningKeystore } from './signingKeystore.js';
+
+/**
+ * Deep Links
+ * Turns the deep link hosts and path patterns of an app into Android App
+ * Links intent-filter data, iOS associated domains, and the two files the
+ * site owner hosts so the platforms verify the link between site and app:
+ *   https://<host>/.well-known/assetlinks.json
+ *   https://<host>/.well-known/apple-app-site-association
+ *
+ * Path patterns start with "/" and may use "*" to match any characters,
+ * e.g. "/project/*" or "/files/*.pdf". "/*" matches every path.
+ */
+
+const DEFAULT_DEEP_LINK_PATHS = ['/*'];
+const MAX_DEEP_LINK_PATHS = 50;
+const PATH_PATTERN = /^\/[A-Za-z0-9\-._~!$&'()*+,;=:@%/]*$/;
+const TEAM_ID_PATTERN = /^[A-Z0-9]{10}$/;
+const TEAM_ID_PLACEHOLDER = 'TEAM_ID';
+
+const WELL_KNOWN_FILES = {
+  'assetlinks.json': '/.well-known/assetlinks.json',
+  'apple-app-site-association': '/.well-known/apple-app-site-association'
+};
+
+/**
+ * Validate deep link path patterns
+ * @returns {Array<string>} Validation errors
+ */
+const validatePathPatterns = (paths) => {
+  if (!Array.isArray(paths)) {
+    return ['deepLinks.paths must be an array of path patterns'];
+  }
+  if (paths.length > MAX_DEEP_LINK_PATHS) {
+    return [`deepLinks.paths allows at most ${MAX_DEEP_LINK_PATHS} patterns`];
+  }
+
+  const invalid = paths.filter(pattern => typeof pattern !== 'string' || !PATH_PATTERN.test(pattern));
+  return invalid.length > 0
+    ? [`Invalid deep link paths (must start with "/"): ${invalid.join(', ')}`]
+    : [];
+};
+
+/**
+ * Read the deep link settings of an app package
+ */
+const getDeepLinkConfig = (appPackage) => {
+  const deepLinks = appPackage.configuration?.features?.deepLinks || {};
+  const hosts = deepLinks.enabled ? deepLinks.hosts || [] : [];
+
+  return {
+    enabled: hosts.length > 0,
+    hosts,
+    paths: deepLinks.paths?.length ? deepLinks.paths : DEFAULT_DEEP_LINK_PATHS
+  };
+};
+
+/**
+ * Hosts whose pages belong to the app: the start URL's host and the deep link hosts
+ */
+const getAppHosts = (appPackage) => {
+  const hosts = [];
+  try {
+    hosts.push(new URL(appPackage.configuration.webview.url).hostname.toLowerCase());
+  } catch (error) {
+    // No start URL, only the deep link hosts belong to the app
+  }
+  return [...new Set([...hosts, ...getDeepLinkConfig(appPackage).hosts])];
+};
+
+/**
+ * Map a path pattern to the <data> attribute Android matches it with
+ * Android's pathPattern treats "." as any character, so dots match loosely.
+ */
+const toAndroidPathAttributes = (pattern) => {
+  const wildcard = pattern.indexOf('*');
+  if (wildcard === -1) {
+    return { 'android:path': pattern };
+  }
+  if (wildcard === pattern.length - 1) {
+    return { 'android:pathPrefix': pattern.slice(0, -1) };
+  }
+  return { 'android:pathPattern': pattern.replace(/\*/g, '.*') };
+};
+
+/**
+ * Associated domains entitlement values for iOS
+ */
+const toAssociatedDomains = (hosts = []) => hosts.map(host => `applinks:${host}`);
+
+/**
+ * Resolve the Apple Developer Team ID that prefixes the app ID
+ */
+const resolveTeamId = (teamId = process.env.APPLE_TEAM_ID) => {
+  const normalized = String(teamId || '').trim().toUpperCase();
+  return TEAM_ID_PATTERN.test(normalized) ? normalized : null;
+};
+
+/**
+ * Generate the Digital Asset Links statement for Android App Links
+ * Lists the signing certificate used for generated packages plus any
+ * fingerprints in ANDROID_APP_LINK_FINGERPRINTS (e.g. the Play App Signing key).
+ */
+const generateAssetLinks = async (appPackage, options = {}) => {
+  const keystore = options.keystore || await loadSigningKeystore();
+  const extraFingerprints = (process.env.ANDROID_APP_LINK_FINGERPRINTS || '')
+    .split(',')
+    .map(fingerprint => fingerprint.trim().toUpperCase())
+    .filter(Boolean);
+
+  return [
+    {
+      relation: ['delegate_permission/common.handle_all_urls'],
+      target: {
+        namespace: 'android_app',
+        package_name: appPackage.build.android.packageName,
+        sha256_cert_fingerprints: [...new Set([keystore.fingerprint, ...extraFingerprints])]
+      }
+    }
+  ];
+};
+
+/**
+ * Generate the apple-app-site-association file for universal links
+ * Includes both the iOS 13+ components format and the legacy paths format.
+ */
+const generateAppleAppSiteAssociation = (appPackage, options = {}) => {
+  const { paths } = getDeepLinkConfig(appPackage);
+  const appId = `${options.teamId || TEAM_ID_PLACEHOLDER}.${appPackage.build.ios.bundleId}`;
+
+  return {
+    applinks: {
+      apps: [],
+      details: [
+        {
+          appIDs: [appId],
+          components: paths.map(pattern => ({ '/': pattern })),
+          appID: appId,
+          paths
+        }
+      ]
+    }
+  };
+};
+
+/**
+ * Generate both well-known files for an app
+ * @param {Object} appPackage - Package produced by createWebViewApp
+ * @param {Object} options - { teamId } overriding APPLE_TEAM_ID
+ * @returns {Promise<Object>} { hosts, paths, files, warnings }
+ */
+const generateDeepLinkFiles = async (appPackage, options = {}) => {
+  const { hosts, paths } = getDeepLinkConfig(appPackage);
+  const teamId = resolveTeamId(options.teamId || undefined);
+  const warnings = [];
+
+  if (!teamId) {
+    warnings.push(`Set APPLE_TEAM_ID or pass teamId; apple-app-site-association uses the placeholder ${TEAM_ID_PLACEHOLDER}`);
+  }
+
+  const keystore = await loadSigningKeystore();
+  if (keystore.debug) {
+    warnings.push('assetlinks.json lists the debug signing key; add your release or Play App Signing fingerprint via ANDROID_APP_LINK_FINGERPRINTS');
+  }
+
+  return {
+    hosts,
+    paths,
+    files: {
+      'assetlinks.json': {
+        path: WELL_KNOWN_FILES['assetlinks.json'],
+        contentType: 'application/json',
+        content: await generateAssetLinks(appPackage, { keystore })
+      },
+      'apple-app-site-association': {
+        path: WELL_KNOWN_FILES['apple-app-site-association'],
+        contentType: 'application/json',
+        content: generateAppleAppSiteAssociation(appPackage, { teamId })
+      }
+    },
+    warnings
+  };
+};
+
+export {
+  validatePathPatterns,
+  getDeepLinkConfig,
+  getAppHosts,
+  toAndroidPathAttributes,
+  toAssociatedDomains,
+  resolveTeamId,
+  generateAssetLinks,
+  generateAppleAppSiteAssociation,
+  generateDeepLinkFiles,
+  DEFAULT_DEEP_LINK_PATHS,
+  WELL_KNOWN_FILES
+};
@@ -0,0 +1,225 @@
+/**
+ * ASN.1 DER helpers
+ * Just enough encoding and decoding to build X.509 certificates and PKCS#7
+ * signatures for package signing without native tooling.
+ */
+
+const TAGS = {
+  INTEGER: 0x02,
+  BIT_STRING: 0x03,
+  OCTET_STRING: 0x04,
+  NULL: 0x05,
+  OID: 0x06,
+  UTF8_STRING: 0x0c,
+  PRINTABLE_STRING: 0x13,
+  UTC_TIME: 0x17,
+  GENERALIZED_TIME: 0x18,
+  SEQUENCE: 0x30,
+  SET: 0x31
+};
+
+const OIDS = {
+  rsaEncryption: '1.2.840.113549.1.1.1',
+  sha256WithRSAEncryption: '1.2.840.113549.1.1.11',
+  sha256: '2.16.840.1.101.3.4.2.1',
+  pkcs7Data: '1.2.840.113549.1.7.1',
+  pkcs7SignedData: '1.2.840.113549.1.7.2',
+  commonName: '2.5.4.3',
+  organizationName: '2.5.4.10',
+  organizationalUnitName: '2.5.4.11',
+  countryName: '2.5.4.6'
+};
+
+const encodeLength = (length) => {
+  if (length < 0x80) {
+    return Buffer.from([length]);
+  }
+
+  const bytes = [];
+  let remaining = length;
+  while (remaining > 0) {
+    bytes.unshift(remaining & 0xff);
+    remaining = Math.floor(remaining / 256);
+  }
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+};
+
+const node = (tag, content) => {
+  const body = Buffer.isBuffer(content) ? content : Buffer.concat(content);
+  return Buffer.concat([Buffer.from([tag]), encodeLength(body.length), body]);
+};
+
+const sequence = (...items) => node(TAGS.SEQUENCE, items);
+
+const set = (...items) => node(TAGS.SET, items);
+
+const integer = (value) => {
+  let bytes;
+  if (Buffer.isBuffer(value)) {
+    bytes = value;
+  } else {
+    const hex = BigInt(value).toString(16);
+    bytes = Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+  }
+
+  // Strip redundant leading zeros, then keep the value positive
+  let start = 0;
+  while (start < bytes.length - 1 && bytes[start] === 0 && bytes[start + 1] < 0x80) {
+    start += 1;
+  }
+  bytes = bytes.subarray(start);
+  if (bytes[0] & 0x80) {
+    bytes = Buffer.concat([Buffer.from([0]), bytes]);
+  }
+
+  return node(TAGS.INTEGER, bytes);
+};
+
+const objectIdentifier = (dotted) => {
+  const parts = dotted.split('.').map(Number);
+  const bytes = [parts[0] * 40 + parts[1]];
+
+  for (const part of parts.slice(2)) {
+    const encoded = [part & 0x7f];
+    let remaining = Math.floor(part / 128);
+    while (remaining > 0) {
+      encoded.unshift((remaining & 0x7f) | 0x80);
+      remaining = Math.floor(remaining / 128);
+    }
+    bytes.push(...encoded);
+  }
+
+  return node(TAGS.OID, Buffer.from(bytes));
+};
+
+const nullValue = () => Buffer.from([TAGS.NULL, 0x00]);
+
+const octetString = (buffer) => node(TAGS.OCTET_STRING, buffer);
+
+const bitString = (buffer) => node(TAGS.BIT_STRING, Buffer.concat([Buffer.from([0]), buffer]));
+
+const utf8String = (value) => node(TAGS.UTF8_STRING, Buffer.from(value, 'utf8'));
+
+const printableString = (value) => node(TAGS.PRINTABLE_STRING, Buffer.from(value, 'ascii'));
+
+/**
+ * Encode a date as UTCTime before 2050 and GeneralizedTime afterwards (RFC 5280)
+ */
+const time = (date) => {
+  const iso = date.toISOString().replace(/[-:T]/g, '').substring(0, 14);
+  if (date.getUTCFullYear() < 2050) {
+    return node(TAGS.UTC_TIME, Buffer.from(`${iso.substring(2)}Z`, 'ascii'));
+  }
+  return node(TAGS.GENERALIZED_TIME, Buffer.from(`${iso}Z`, 'ascii'));
+};
+
+const explicit = (tagNumber, content) => node(0xa0 | tagNumber, content);
+
+const implicitSet = (tagNumber, items) => node(0xa0 | tagNumber, items);
+
+const algorithmIdentifier = (oid, withNullParameters = true) => {
+  return withNullParameters
+    ? sequence(objectIdentifier(oid), nullValue())
+    : sequence(objectIdentifier(oid));
+};
+
+/**
+ * Encode an X.501 distinguished name
+ * @param {Object} attributes - { commonName, organizationName, ... }
+ */
+const distinguishedName = (attributes) => {
+  const rdns = Object.entries(attributes)
+    .filter(([, value]) => value)
+    .map(([key, value]) => {
+      if (!OIDS[key]) throw new Error(`Unknown name attribute: ${key}`);
+      const encodedValue = key === 'countryName' ? printableString(value) : utf8String(value);
+      return set(sequence(objectIdentifier(OIDS[key]), encodedValue));
+    });
+  return sequence(...rdns);
+};
+
+/**
+ * Read a single DER node
+ * @returns {Object} { tag, start, contentStart, end, content, raw }
+ */
+const readNode = (buffer, offset = 0) => {
+  const tag = buffer[offset];
+  let length = buffer[offset + 1];
+  let headerLength = 2;
+
+  if (length & 0x80) {
+    const byteCount = length & 0x7f;
+    length = 0;
+    for (let i = 0; i < byteCount; i++) {
+      length = length * 256 + buffer[offset + 2 + i];
+    }
+    headerLength += byteCount;
+  }
+
+  const contentStart = offset + headerLength;
+  const end = contentStart + length;
+
+  return {
+    tag,
+    start: offset,
+    contentStart,
+    end,
+    content: buffer.subarray(contentStart, end),
+    raw: buffer.subarray(offset, end)
+  };
+};
+
+/**
+ * Read the children of a constructed DER node
+ */
+const readChildren = (parent) => {
+  const children = [];
+  let offset = 0;
+  while (offset < parent.content.length) {
+    const child = readNode(parent.content, offset);
+    children.push(child);
+    offset = child.end;
+  }
+  return children;
+};
+
+/**
+ * Extract issuer and serial number from a DER certificate
+ */
+const parseCertificateIdentity = (certificateDer) => {
+  const certificate = readNode(certificateDer);
+  const [tbsCertificate] = readChildren(certificate);
+  const fields = readChildren(tbsCertificate);
+
+  // Optional [0] version precedes the serial number
+  const offset = fields[0].tag === 0xa0 ? 1 : 0;
+
+  return {
+    serialNumber: fields[offset].raw,
+    issuer: fields[offset + 2].raw,
+    subject: fields[offset + 4].raw
+  };
+};
+
+export {
+  TAGS,
+  OIDS,
+  node,
+  sequence,
+  set,
+  integer,
+  objectIdentifier,
+  nullValue,
+  octetString,
+  bitString,
+  utf8String,
+  printableString,
+  time,
+  explicit,
+  implicitSet,
+  algorithmIdentifier,
+  distinguishedName,
+  readNode,
+  readChildren,
+  parseCertificateIdentity
+};
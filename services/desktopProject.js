@@ -0,0 +1,449 @@
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import { ZipArchive } from './zipArchive.js';
+import { escapeXml } from './androidBinaryXml.js';
+import { loadSourceIcon } from './apkBuilder.js';
+import { renderIcon } from './iconGenerator.js';
+import { renderOfflinePage } from './offlineBundle.js';
+import { getDeepLinkConfig } from './deepLinks.js';
+import { buildInjectionScripts } from './webviewInjections.js';
+
+/**
+ * Desktop target
+ * Windows, macOS and Linux builds need their own toolchains, so the desktop
+ * artifact is an archive with an Electron wrapper for the site and an MSIX
+ * package layout for the Microsoft Store:
+ *
+ *   electron/   - Electron app: main.js shell, app-config.json, offline page,
+ *                 icon and electron-builder settings (appx, nsis, dmg, AppImage)
+ *   msix/       - AppxManifest.xml and the Assets logos in every size the Store
+ *                 and Windows shell ask for; stage the unpacked Windows build into
+ *                 msix/app and pack it with MakeAppx (Windows) or makemsix (Linux)
+ *
+ * The MSIX identity must match the name reserved in Partner Center and the
+ * publisher of the signing certificate. Desktop options (every key is optional):
+ *   identityName           Package/Identity/Name, defaults to the package name
+ *   publisher              Certificate subject, e.g. "CN=Contoso Ltd"
+ *   publisherDisplayName   Publisher name shown in the Store
+ *   backgroundColor        '#rrggbb' behind tiles, the splash screen and the window
+ */
+
+const TEMPLATE_DIR = path.join(process.cwd(), 'templates', 'desktop');
+
+const ELECTRON_VERSION = '^31.3.0';
+const ELECTRON_BUILDER_VERSION = '^24.13.3';
+
+// Windows 10 1809 is the oldest release the Store accepts desktop bridge MSIX packages for
+const MIN_WINDOWS_VERSION = '10.0.17763.0';
+const MAX_WINDOWS_VERSION_TESTED = '10.0.22621.0';
+
+const DEFAULT_DESKTOP_OPTIONS = {
+  publisher: 'CN=Rapid SaaS AI Store',
+  publisherDisplayName: 'Rapid SaaS AI Store',
+  backgroundColor: '#FFFFFF'
+};
+
+const IDENTITY_NAME = /^[A-Za-z0-9.-]{3,50}$/;
+const PUBLISHER = /^CN=[^,]+(,\s*[A-Za-z]+=[^,]+)*$/;
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * MSIX logos referenced from AppxManifest.xml
+ * Files without a qualifier are the ones the manifest points at; the scale and
+ * target size variants are picked up once makepri indexes them in resources.pri.
+ */
+const MSIX_LOGOS = {
+  StoreLogo: { width: 50, height: 50 },
+  Square44x44Logo: { width: 44, height: 44, targetSizes: [16, 24, 32, 48, 256] },
+  Square71x71Logo: { width: 71, height: 71 },
+  Square150x150Logo: { width: 150, height: 150 },
+  Square310x310Logo: { width: 310, height: 310 },
+  Wide310x150Logo: { width: 310, height: 150 },
+  SplashScreen: { width: 620, height: 300 }
+};
+const MSIX_SCALES = [100, 200];
+
+/**
+ * Validate desktop options and merge them over the defaults
+ * @param {Object} options - Desktop options requested for the app
+ * @returns {Object} { isValid, errors, desktop }
+ */
+const validateDesktopOptions = (options = {}) => {
+  const validation = {
+    isValid: false,
+    errors: [],
+    desktop: null
+  };
+
+  if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+    validation.errors.push('Desktop options must be an object');
+    return validation;
+  }
+
+  const desktop = {
+    ...DEFAULT_DESKTOP_OPTIONS,
+    publisher: process.env.MSIX_PUBLISHER || DEFAULT_DESKTOP_OPTIONS.publisher,
+    publisherDisplayName: process.env.MSIX_PUBLISHER_DISPLAY_NAME || DEFAULT_DESKTOP_OPTIONS.publisherDisplayName
+  };
+
+  for (const [key, value] of Object.entries(options)) {
+    if (value === undefined) continue;
+
+    if (key === 'identityName') {
+      if (typeof value !== 'string' || !IDENTITY_NAME.test(value)) {
+        validation.errors.push('identityName must be 3-50 letters, digits, dots or dashes');
+      } else {
+        desktop.identityName = value;
+      }
+    } else if (key === 'publisher') {
+      if (typeof value !== 'string' || !PUBLISHER.test(value)) {
+        validation.errors.push('publisher must be a certificate subject such as "CN=Contoso Ltd"');
+      } else {
+        desktop.publisher = value;
+      }
+    } else if (key === 'publisherDisplayName') {
+      if (typeof value !== 'string' || !value.trim() || value.length > 256) {
+        validation.errors.push('publisherDisplayName must be 1-256 characters');
+      } else {
+        desktop.publisherDisplayName = value.trim();
+      }
+    } else if (key === 'backgroundColor') {
+      if (typeof value !== 'string' || !HEX_COLOR.test(value)) {
+        validation.errors.push('backgroundColor must be a hex color such as #FFFFFF');
+      } else {
+        desktop.backgroundColor = value;
+      }
+    } else {
+      validation.errors.push(`Unknown desktop option: ${key}`);
+    }
+  }
+
+  validation.isValid = validation.errors.length === 0;
+  validation.desktop = validation.isValid ? desktop : null;
+  return validation;
+};
+
+/**
+ * Windows build settings for an app
+ * MSIX versions have four parts and the Store requires the last one to be 0.
+ */
+const resolveWindowsBuild = (desktop, { packageName, version }) => {
+  const identityName = desktop.identityName || packageName.replace(/[^A-Za-z0-9.-]/g, '').slice(0, 50);
+
+  return {
+    identityName,
+    publisher: desktop.publisher,
+    publisherDisplayName: desktop.publisherDisplayName,
+    backgroundColor: desktop.backgroundColor,
+    version: `${version}.0`,
+    minVersion: MIN_WINDOWS_VERSION,
+    maxVersionTested: MAX_WINDOWS_VERSION_TESTED
+  };
+};
+
+const toExecutableName = (name = '') => {
+  const executableName = name
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+
+  if (!executableName) return 'RapidSaaSApp';
+  // Also the MSIX application ID, which must start with a letter
+  return /^[0-9]/.test(executableName) ? `App${executableName}` : executableName;
+};
+
+const renderElectronConfig = (appPackage) => {
+  const { metadata, configuration, build } = appPackage;
+  const features = configuration.features || {};
+
+  return {
+    appName: metadata.name,
+    url: configuration.webview.url,
+    userAgent: configuration.webview.userAgent,
+    enableJavaScript: Boolean(configuration.webview.enableJavaScript),
+    backgroundColor: build.windows.backgroundColor,
+    appUserModelId: build.android.packageName,
+    externalLinks: features.externalLinks || 'browser',
+    deepLinkHosts: getDeepLinkConfig(appPackage).hosts,
+    camera: Boolean(features.camera),
+    geolocation: Boolean(features.geolocation),
+    pushNotifications: Boolean(features.pushNotifications),
+    injections: buildInjectionScripts(appPackage)
+  };
+};
+
+const renderElectronPackage = (appPackage, executableName) => {
+  const { metadata, build } = appPackage;
+  const { windows } = build;
+
+  return {
+    name: build.android.packageName.toLowerCase().replace(/[^a-z0-9._-]/g, '-'),
+    productName: metadata.name,
+    version: metadata.version,
+    description: metadata.description || `${metadata.name} desktop app`,
+    main: 'main.js',
+    private: true,
+    scripts: {
+      start: 'electron .',
+      'dist:win': 'electron-builder --win appx nsis',
+      'dist:win-dir': 'electron-builder --win dir',
+      'dist:mac': 'electron-builder --mac dmg',
+      'dist:linux': 'electron-builder --linux AppImage',
+      'stage:msix': 'node stage-msix.js'
+    },
+    devDependencies: {
+      electron: ELECTRON_VERSION,
+      'electron-builder': ELECTRON_BUILDER_VERSION
+    },
+    build: {
+      appId: build.android.packageName,
+      productName: metadata.name,
+      executableName,
+      directories: {
+        buildResources: 'build',
+        output: 'dist'
+      },
+      files: ['main.js', 'app-config.json', 'offline.html', 'build/icon.png'],
+      win: {
+        icon: 'build/icon.png'
+      },
+      appx: {
+        identityName: windows.identityName,
+        publisher: windows.publisher,
+        publisherDisplayName: windows.publisherDisplayName,
+        displayName: metadata.name,
+        applicationId: executableName,
+        backgroundColor: windows.backgroundColor,
+        languages: ['en-US']
+      },
+      mac: {
+        category: 'public.app-category.productivity',
+        icon: 'build/icon.png'
+      },
+      linux: {
+        category: 'Network',
+        icon: 'build/icon.png'
+      }
+    }
+  };
+};
+
+/**
+ * Render AppxManifest.xml for the full-trust Electron executable
+ */
+const renderAppxManifest = (appPackage, executableName) => {
+  const { metadata, configuration, build } = appPackage;
+  const { windows } = build;
+  const features = configuration.features || {};
+  const displayName = escapeXml(metadata.name);
+  const description = escapeXml(metadata.description || metadata.name);
+
+  const capabilities = [
+    '<Capability Name="internetClient" />',
+    '<rescap:Capability Name="runFullTrust" />',
+    ...[
+      features.camera && 'webcam',
+      features.camera && 'microphone',
+      features.geolocation && 'location'
+    ].filter(Boolean).map(capability => `<DeviceCapability Name="${capability}" />`)
+  ];
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<Package
+  xmlns="http://schemas.microsoft.com/appx/manifest/foundation/windows10"
+  xmlns:uap="http://schemas.microsoft.com/appx/manifest/uap/windows10"
+  xmlns:rescap="http://schemas.microsoft.com/appx/manifest/foundation/windows10/restrictedcapabilities"
+  IgnorableNamespaces="uap rescap">
+  <Identity Name="${escapeXml(windows.identityName)}" Publisher="${escapeXml(windows.publisher)}" Version="${windows.version}" ProcessorArchitecture="x64" />
+  <Properties>
+    <DisplayName>${displayName}</DisplayName>
+    <PublisherDisplayName>${escapeXml(windows.publisherDisplayName)}</PublisherDisplayName>
+    <Logo>Assets\\StoreLogo.png</Logo>
+    <Description>${description}</Description>
+  </Properties>
+  <Dependencies>
+    <TargetDeviceFamily Name="Windows.Desktop" MinVersion="${windows.minVersion}" MaxVersionTested="${windows.maxVersionTested}" />
+  </Dependencies>
+  <Resources>
+    <Resource Language="en-us" />
+  </Resources>
+  <Applications>
+    <Application Id="${executableName}" Executable="app\\${executableName}.exe" EntryPoint="Windows.FullTrustApplication">
+      <uap:VisualElements
+        DisplayName="${displayName}"
+        Description="${description}"
+        BackgroundColor="${windows.backgroundColor}"
+        Square150x150Logo="Assets\\Square150x150Logo.png"
+        Square44x44Logo="Assets\\Square44x44Logo.png">
+        <uap:DefaultTile Wide310x150Logo="Assets\\Wide310x150Logo.png" Square71x71Logo="Assets\\Square71x71Logo.png" Square310x310Logo="Assets\\Square310x310Logo.png" ShortName="${escapeXml(metadata.name.slice(0, 40))}" />
+        <uap:SplashScreen Image="Assets\\SplashScreen.png" BackgroundColor="${windows.backgroundColor}" />
+      </uap:VisualElements>
+    </Application>
+  </Applications>
+  <Capabilities>
+${capabilities.map(capability => `    ${capability}`).join('\n')}
+  </Capabilities>
+</Package>
+`;
+};
+
+/**
+ * Render one MSIX logo
+ * Square logos are the icon itself; wide tiles and the splash screen center
+ * it at the tile height on the background color.
+ */
+const renderMsixLogo = async (sourceIcon, { width, height }, options) => {
+  if (width === height) {
+    return renderIcon({ ...options, sourceIcon, size: width });
+  }
+
+  const logoSize = Math.round(height * 0.6);
+  const logo = await renderIcon({ ...options, sourceIcon, size: logoSize });
+  return sharp({
+    create: { width, height, channels: 4, background: options.backgroundColor }
+  })
+    .composite([{ input: logo, gravity: 'center' }])
+    .png()
+    .toBuffer();
+};
+
+/**
+ * Render every MSIX logo with its scale and target size variants
+ * @returns {Promise<Object>} Map of file names in Assets/ to PNG buffers
+ */
+const renderMsixLogos = async (sourceIcon, options) => {
+  const files = {};
+
+  for (const [name, logo] of Object.entries(MSIX_LOGOS)) {
+    files[`${name}.png`] = await renderMsixLogo(sourceIcon, logo, options);
+
+    for (const scale of MSIX_SCALES) {
+      files[`${name}.scale-${scale}.png`] = await renderMsixLogo(sourceIcon, {
+        width: Math.round(logo.width * scale / 100),
+        height: Math.round(logo.height * scale / 100)
+      }, options);
+    }
+
+    // Taskbar and Start list icons; "unplated" variants are drawn without the tile color
+    for (const size of logo.targetSizes || []) {
+      const icon = await renderIcon({ ...options, sourceIcon, size });
+      files[`${name}.targetsize-${size}.png`] = icon;
+      files[`${name}.targetsize-${size}_altform-unplated.png`] = icon;
+    }
+  }
+
+  return files;
+};
+
+const renderReadme = (appPackage, executableName) => {
+  const { metadata, configuration, build } = appPackage;
+  const { windows } = build;
+
+  return `# ${metadata.name} desktop app
+
+Electron wrapper for ${configuration.webview.url}, exported from Rapid SaaS AI Store.
+
+- \`electron/app-config.json\` holds the URL, user agent and shell features
+- \`electron/main.js\` is the window shell; \`electron/offline.html\` shows while offline
+- \`msix/AppxManifest.xml\` and \`msix/Assets\` describe the Microsoft Store package
+
+## Running
+
+\`\`\`bash
+cd electron
+npm install
+npm start
+\`\`\`
+
+## Microsoft Store (MSIX)
+
+The package identity must match the app reserved in Partner Center and the
+publisher must match the subject of the signing certificate:
+
+- Identity name: \`${windows.identityName}\`
+- Publisher: \`${windows.publisher}\`
+- Version: \`${windows.version}\`
+
+On Windows, electron-builder builds the package directly:
+
+\`\`\`bash
+cd electron && npm run dist:win   # dist/*.appx and an NSIS installer
+\`\`\`
+
+On Linux or macOS, build the unpacked app and pack the \`msix\` layout with
+[makemsix](https://github.com/microsoft/msix-packaging):
+
+\`\`\`bash
+cd electron && npm run dist:win-dir && npm run stage:msix
+cd .. && makemsix pack -d msix -p ${executableName}.msix
+\`\`\`
+
+Without a resources.pri Windows uses the unqualified logos; run
+\`makepri new /pr msix /cf priconfig.xml\` on Windows to index the scale variants.
+Sign the package with \`signtool\` before uploading, or let the Store sign it.
+Upload it in Partner Center; Rapid SaaS does not submit to the Microsoft Store yet.
+`;
+};
+
+/**
+ * Render the desktop project archive for an app package
+ * @param {Object} appPackage - Package produced by buildAppPackage
+ * @returns {Promise<Object>} { buffer, executableName, entries }
+ */
+const buildDesktopProject = async (appPackage) => {
+  try {
+    const { metadata, configuration, build } = appPackage;
+    const executableName = toExecutableName(metadata.name);
+    const sourceIcon = await loadSourceIcon(appPackage.assets);
+    const iconOptions = {
+      appName: metadata.name,
+      category: metadata.category,
+      backgroundColor: build.windows.backgroundColor
+    };
+
+    const zip = new ZipArchive();
+
+    // Electron wrapper
+    zip.addFile('electron/package.json', JSON.stringify(renderElectronPackage(appPackage, executableName), null, 2));
+    zip.addFile('electron/app-config.json', JSON.stringify(renderElectronConfig(appPackage), null, 2));
+    zip.addFile('electron/main.js', await fs.readFile(path.join(TEMPLATE_DIR, 'main.js')));
+    zip.addFile('electron/stage-msix.js', await fs.readFile(path.join(TEMPLATE_DIR, 'stage-msix.js')));
+    zip.addFile('electron/.gitignore', await fs.readFile(path.join(TEMPLATE_DIR, 'gitignore')));
+    zip.addFile('electron/offline.html', renderOfflinePage({
+      appName: metadata.name,
+      url: configuration.webview.url,
+      themeColor: configuration.pwa?.themeColor || '#4F46E5',
+      hasAppShell: false
+    }));
+    // electron-builder derives .ico, .icns and the Linux icons from a 512px PNG
+    zip.addFile('electron/build/icon.png', await renderIcon({ ...iconOptions, sourceIcon, size: 512 }));
+
+    // MSIX layout
+    zip.addFile('msix/AppxManifest.xml', renderAppxManifest(appPackage, executableName));
+    const logos = await renderMsixLogos(sourceIcon, iconOptions);
+    for (const [name, data] of Object.entries(logos)) {
+      zip.addFile(`msix/Assets/${name}`, data);
+    }
+    zip.addFile('msix/app/README.txt', 'Run "npm run stage:msix" in ../electron to copy the unpacked Windows build here.\n');
+
+    zip.addFile('README.md', renderReadme(appPackage, executableName));
+
+    return {
+      buffer: zip.toBuffer(),
+      executableName,
+      entries: zip.files().map(file => file.name)
+    };
+  } catch (error) {
+    console.error('Desktop Project Export Error:', error);
+    throw new Error(`Failed to export desktop project: ${error.message}`);
+  }
+};
+
+export {
+  validateDesktopOptions,
+  resolveWindowsBuild,
+  buildDesktopProject,
+  MSIX_LOGOS
+};
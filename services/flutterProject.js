@@ -0,0 +1,537 @@
+import sharp from 'sharp';
+import fs from 'fs/promises';
+import path from 'path';
+import { ZipArchive } from './zipArchive.js';
+import { renderXml, escapeXml } from './androidBinaryXml.js';
+import {
+  buildDeepLinkIntentFilter,
+  buildUsesFeatureElements,
+  fetchAssetImage,
+  loadSourceIcon,
+  renderLauncherIcons,
+  toAndroidPermission
+} from './apkBuilder.js';
+import { generateFlutterConfig } from './appGenerator.js';
+import { ANDROID_DENSITY_SCALES, renderIosAppIcons, XCASSETS_INFO } from './iconGenerator.js';
+
+/**
+ * Flutter Project Export
+ * Renders the config from generateFlutterConfig into a Flutter project that
+ * developers can open, customise and build with their own toolchain.
+ */
+
+const TEMPLATE_DIR = path.join(process.cwd(), 'templates', 'flutter');
+const OFFLINE_ASSET_DIR = 'assets/offline';
+
+// Template files that cannot keep their real name inside this repository
+const TEMPLATE_RENAMES = {
+  gitignore: '.gitignore'
+};
+
+// Launch image size in points / dp, scaled per density
+const SPLASH_SIZE = { width: 320, height: 568 };
+
+const IOS_XCASSETS = 'ios/Runner/Assets.xcassets';
+
+/**
+ * Derive a valid Dart package name from the app name
+ */
+const toDartPackageName = (name = '') => {
+  const packageName = name.toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+
+  if (!packageName) return 'rapidsaas_app';
+  return /^[0-9]/.test(packageName) ? `app_${packageName}` : packageName;
+};
+
+const dartString = (value = '') => `'${String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/'/g, "\\'")
+  .replace(/\$/g, '\\$')
+  .replace(/\n/g, '\\n')
+  .replace(/\r/g, '\\r')}'`;
+
+const yamlString = (value = '') => JSON.stringify(String(value));
+
+/**
+ * Collect the static template files
+ */
+const readTemplateFiles = async (dir = TEMPLATE_DIR) => {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await readTemplateFiles(fullPath));
+    } else {
+      const relativePath = path.relative(TEMPLATE_DIR, fullPath).split(path.sep).join('/');
+      files.push({
+        name: TEMPLATE_RENAMES[relativePath] || relativePath,
+        data: await fs.readFile(fullPath)
+      });
+    }
+  }
+
+  return files;
+};
+
+const renderPubspec = (config, projectName, versionCode, assetDirectories = []) => {
+  const dependencies = Object.entries(config.dependencies)
+    .map(([name, version]) => (typeof version === 'object'
+      ? `  ${name}:\n${Object.entries(version).map(([key, value]) => `    ${key}: ${value}`).join('\n')}`
+      : `  ${name}: ${yamlString(version)}`))
+    .join('\n');
+
+  return `name: ${projectName}
+description: ${yamlString(config.description || config.name)}
+publish_to: 'none'
+version: ${config.version || '1.0.0'}+${versionCode || 1}
+
+environment:
+  sdk: ${yamlString(config.environment.sdk)}
+  flutter: ${yamlString(config.environment.flutter)}
+
+dependencies:
+${dependencies}
+
+flutter:
+  uses-material-design: ${config.flutter.uses_material_design ? 'true' : 'false'}
+${assetDirectories.length > 0 ? `  assets:\n${assetDirectories.map(directory => `    - ${directory}/`).join('\n')}\n` : ''}`;
+};
+
+const renderAppConfig = (config, offlineReport) => {
+  const { webview_config: webview } = config;
+  const features = webview.features || {};
+  const fcm = config.push_config?.fcm;
+  const offlineAsset = (file) => (offlineReport && file ? dartString(`${OFFLINE_ASSET_DIR}/${file}`) : 'null');
+  const optional = (value) => (value ? dartString(value) : 'null');
+
+  return `// Generated by Rapid SaaS AI Store from the app configuration.
+class AppConfig {
+  static const String appName = ${dartString(config.name)};
+  static const String initialUrl = ${dartString(webview.initial_url)};
+  static const String userAgent = ${dartString(webview.user_agent)};
+  static const bool enableJavaScript = ${webview.javascript_mode === 'JavascriptMode.unrestricted'};
+
+  // Shell features
+  static const bool pullToRefresh = ${Boolean(features.pull_to_refresh)};
+  static const bool swipeNavigation = ${Boolean(features.swipe_navigation)};
+  static const bool offlineSupport = ${Boolean(features.offline_support)};
+  static const bool fileUpload = ${Boolean(features.file_upload)};
+  static const bool camera = ${Boolean(features.camera)};
+  static const bool geolocation = ${Boolean(features.geolocation)};
+
+  /// How links to other sites open: 'browser', 'inApp' or 'block'.
+  static const String externalLinks = ${dartString(webview.navigation_delegate?.external_links || 'browser')};
+
+  /// Hosts whose links open inside the app.
+  static const List<String> deepLinkHosts = [${(webview.deep_link_hosts || []).map(dartString).join(', ')}];
+
+  /// Bundled pages shown while offline, null when offline mode is off.
+  static const String? offlinePage = ${offlineAsset(offlineReport?.offlinePage)};
+  static const String? offlineAppShell = ${offlineAsset(offlineReport?.appShell)};
+
+  /// Scripts generated from the CSS/JS injection rules, null without rules.
+  static const String? injectionDocumentStart = ${optional(webview.injections?.documentStart)};
+  static const String? injectionDocumentEnd = ${optional(webview.injections?.documentEnd)};
+
+  /// window.RapidSaaS native bridge script and the features it exposes, null without bridge features.
+  static const String? bridgeScript = ${optional(webview.bridge?.script)};
+  static const List<String> bridgeFeatures = [${(webview.bridge?.features || []).map(dartString).join(', ')}];
+
+  /// Where the app registers its push token and reports opened notifications, null when push is off.
+  static const String? pushEndpoint = ${optional(config.push_config?.endpoint)};
+
+  /// Firebase settings push tokens are requested with, null when push is not configured.
+  static const String? fcmSenderId = ${optional(fcm?.senderId)};
+  static const String? fcmProjectId = ${optional(fcm?.projectId)};
+  static const String? fcmApiKey = ${optional(fcm?.apiKey)};
+  static const String? fcmAndroidAppId = ${optional(fcm?.androidAppId)};
+  static const String? fcmIosAppId = ${optional(fcm?.iosAppId)};
+}
+`;
+};
+
+const renderAndroidManifest = (config, appName, usesCleartextTraffic) => {
+  const { android_config: android, webview_config: webview } = config;
+  const deepLinkHosts = webview.deep_link_hosts || [];
+
+  const manifest = {
+    tag: 'manifest',
+    children: [
+      ...(android.permissions || []).map(permission => ({
+        tag: 'uses-permission',
+        attributes: { 'android:name': toAndroidPermission(permission) }
+      })),
+      ...buildUsesFeatureElements(android.uses_features),
+      {
+        tag: 'application',
+        attributes: {
+          'android:label': appName,
+          'android:name': '${applicationName}',
+          'android:icon': '@mipmap/ic_launcher',
+          'android:usesCleartextTraffic': usesCleartextTraffic ? 'true' : undefined
+        },
+        children: [
+          {
+            tag: 'activity',
+            attributes: {
+              'android:name': '.MainActivity',
+              'android:exported': 'true',
+              'android:launchMode': 'singleTop',
+              'android:theme': '@style/LaunchTheme',
+              'android:configChanges': 'orientation|keyboardHidden|keyboard|screenSize|smallestScreenSize|locale|layoutDirection|fontScale|screenLayout|density|uiMode',
+              'android:hardwareAccelerated': 'true',
+              'android:windowSoftInputMode': 'adjustResize'
+            },
+            children: [
+              {
+                tag: 'meta-data',
+                attributes: {
+                  'android:name': 'io.flutter.embedding.android.NormalTheme',
+                  'android:resource': '@style/NormalTheme'
+                }
+              },
+              {
+                tag: 'intent-filter',
+                children: [
+                  { tag: 'action', attributes: { 'android:name': 'android.intent.action.MAIN' } },
+                  { tag: 'category', attributes: { 'android:name': 'android.intent.category.LAUNCHER' } }
+                ]
+              },
+              ...(deepLinkHosts.length > 0 ? [buildDeepLinkIntentFilter(deepLinkHosts, webview.deep_link_paths)] : [])
+            ]
+          },
+          {
+            tag: 'meta-data',
+            attributes: { 'android:name': 'flutterEmbedding', 'android:value': '2' }
+          }
+        ]
+      },
+      {
+        // Lets url_launcher open external links on Android 11+
+        tag: 'queries',
+        children: [
+          {
+            tag: 'intent',
+            children: [
+              { tag: 'action', attributes: { 'android:name': 'android.intent.action.VIEW' } },
+              { tag: 'data', attributes: { 'android:scheme': 'https' } }
+            ]
+          }
+        ]
+      }
+    ]
+  };
+
+  return `${renderXml(manifest)}\n`;
+};
+
+const renderAppBuildGradle = (config) => {
+  const { android_config: android } = config;
+
+  return `plugins {
+    id "com.android.application"
+    id "kotlin-android"
+    id "dev.flutter.flutter-gradle-plugin"
+}
+
+android {
+    namespace "${android.package_name}"
+    compileSdkVersion flutter.compileSdkVersion
+    ndkVersion flutter.ndkVersion
+
+    compileOptions {
+        sourceCompatibility JavaVersion.VERSION_1_8
+        targetCompatibility JavaVersion.VERSION_1_8
+    }
+
+    kotlinOptions {
+        jvmTarget = '1.8'
+    }
+
+    sourceSets {
+        main.java.srcDirs += 'src/main/kotlin'
+    }
+
+    defaultConfig {
+        applicationId "${android.package_name}"
+        minSdkVersion ${android.min_sdk_version || 21}
+        targetSdkVersion ${android.target_sdk_version || 33}
+        versionCode flutter.versionCode
+        versionName flutter.versionName
+    }
+
+    buildTypes {
+        release {
+            // Replace with your own signing config before publishing
+            signingConfig signingConfigs.debug
+        }
+    }
+}
+
+flutter {
+    source '../..'
+}
+`;
+};
+
+// local_auth shows BiometricPrompt, which needs a FragmentActivity
+const renderMainActivity = (packageName) => `package ${packageName}
+
+import io.flutter.embedding.android.FlutterFragmentActivity
+
+class MainActivity : FlutterFragmentActivity()
+`;
+
+const renderInfoPlist = (config, appName, usesCleartextTraffic) => {
+  const { ios_config: ios } = config;
+  const plistString = (value) => `<string>${escapeXml(value)}</string>`;
+
+  const entries = [
+    ['CFBundleDevelopmentRegion', plistString('$(DEVELOPMENT_LANGUAGE)')],
+    ['CFBundleDisplayName', plistString(appName)],
+    ['CFBundleExecutable', plistString('$(EXECUTABLE_NAME)')],
+    ['CFBundleIdentifier', plistString(ios.bundle_id)],
+    ['CFBundleInfoDictionaryVersion', plistString('6.0')],
+    ['CFBundleName', plistString(appName)],
+    ['CFBundlePackageType', plistString('APPL')],
+    ['CFBundleShortVersionString', plistString('$(FLUTTER_BUILD_NAME)')],
+    ['CFBundleSignature', plistString('????')],
+    ['CFBundleVersion', plistString('$(FLUTTER_BUILD_NUMBER)')],
+    ['LSApplicationQueriesSchemes', '<array>\n\t\t<string>https</string>\n\t\t<string>http</string>\n\t</array>'],
+    ['LSRequiresIPhoneOS', '<true/>'],
+    ['UILaunchStoryboardName', plistString('LaunchScreen')],
+    ['UIMainStoryboardFile', plistString('Main')],
+    ['UISupportedInterfaceOrientations', '<array>\n\t\t<string>UIInterfaceOrientationPortrait</string>\n\t\t<string>UIInterfaceOrientationLandscapeLeft</string>\n\t\t<string>UIInterfaceOrientationLandscapeRight</string>\n\t</array>'],
+    ['UIViewControllerBasedStatusBarAppearance', '<false/>']
+  ];
+
+  for (const [key, description] of Object.entries(ios.usage_descriptions || {})) {
+    entries.push([key, plistString(description)]);
+  }
+
+  if (usesCleartextTraffic) {
+    entries.push(['NSAppTransportSecurity', '<dict>\n\t\t<key>NSAllowsArbitraryLoadsInWebContent</key>\n\t\t<true/>\n\t</dict>']);
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+${entries.map(([key, value]) => `\t<key>${key}</key>\n\t${value}`).join('\n')}
+</dict>
+</plist>
+`;
+};
+
+/**
+ * Render an entitlements plist
+ * @param {string[]} associatedDomains - applinks: entries for universal links
+ * @param {Object} options - { pushNotifications } adds the APNs environment
+ */
+const renderEntitlements = (associatedDomains = [], { pushNotifications = false } = {}) => {
+  const entries = [];
+  if (associatedDomains.length > 0) {
+    entries.push(['com.apple.developer.associated-domains', `<array>
+${associatedDomains.map(domain => `\t\t<string>${escapeXml(domain)}</string>`).join('\n')}
+\t</array>`]);
+  }
+  if (pushNotifications) {
+    entries.push(['aps-environment', '<string>production</string>']);
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+${entries.map(([key, value]) => `\t<key>${key}</key>\n\t${value}`).join('\n')}
+</dict>
+</plist>
+`;
+};
+
+const renderDeepLinkReadme = (config) => {
+  const hosts = config.webview_config.deep_link_hosts || [];
+  if (hosts.length === 0) return '';
+
+  return `
+## Deep links
+
+Links to ${hosts.map(host => `\`${host}\``).join(', ')} matching
+${(config.webview_config.deep_link_paths || []).map(pattern => `\`${pattern}\``).join(', ')} open in the app.
+
+- Android: the verified intent filter is in \`android/app/src/main/AndroidManifest.xml\`
+- iOS: \`ios/Runner/Runner.entitlements\` lists the associated domains; in Xcode
+  set Runner > Build Settings > Code Signing Entitlements to \`Runner/Runner.entitlements\`
+- Host \`assetlinks.json\` and \`apple-app-site-association\` under \`/.well-known/\` on each
+  domain. Download them from \`GET /api/apps/:id/deep-links/:file\` once your signing key
+  and Apple Team ID are configured.
+`;
+};
+
+const renderReadme = (config, projectName) => `# ${config.name}
+
+Flutter WebView app for ${config.webview_config.initial_url}, exported from Rapid SaaS AI Store.
+
+## Getting started
+
+The export contains the app code, configuration and assets. Generate the
+remaining platform scaffolding (Gradle wrapper, Xcode project) once with:
+
+\`\`\`bash
+flutter create --project-name ${projectName} --platforms android,ios .
+flutter pub get
+flutter run
+\`\`\`
+
+\`flutter create\` keeps existing files, so the exported manifest, Info.plist,
+icons and splash images stay in place.
+
+- \`lib/app_config.dart\` holds the URL, user agent, JavaScript setting and shell features
+  (external links, deep link hosts, camera, location and file upload)
+- \`lib/main.dart\` is the WebView shell
+- \`lib/native_bridge.dart\` answers the \`window.RapidSaaS\` native bridge
+- Android: package \`${config.android_config.package_name}\`, launcher icons in \`android/app/src/main/res/mipmap-*\`
+- iOS: bundle ID \`${config.ios_config.bundle_id}\`, icons in \`${IOS_XCASSETS}/AppIcon.appiconset\`;
+  set the deployment target to iOS ${config.ios_config.minimum_os_version || '12.0'} in Xcode
+
+Release builds are signed with the debug key until you add your own signing
+config in \`android/app/build.gradle\` and a team in Xcode.
+${renderDeepLinkReadme(config)}`;
+
+/**
+ * Load the splash image from the app assets, falling back to the app icon
+ */
+const loadSplashSource = async (assets = {}, sourceIcon) => {
+  const splashScreens = assets.splashScreens || {};
+  const candidates = [splashScreens['phone-portrait'], ...Object.values(splashScreens)]
+    .filter(candidate => typeof candidate === 'string');
+
+  for (const candidate of candidates) {
+    try {
+      return await fetchAssetImage(candidate);
+    } catch (error) {
+      console.warn(`Splash asset unavailable (${candidate}):`, error.message);
+    }
+  }
+
+  return sourceIcon;
+};
+
+const renderSplash = (source, scale) => sharp(source)
+  .resize(Math.round(SPLASH_SIZE.width * scale), Math.round(SPLASH_SIZE.height * scale), {
+    fit: 'contain',
+    background: { r: 255, g: 255, b: 255, alpha: 1 }
+  })
+  .png()
+  .toBuffer();
+
+/**
+ * Render the iOS launch image set shown by the launch screen
+ */
+const renderIosLaunchImages = async (splashSource) => {
+  const images = [];
+  const files = [];
+
+  for (const scale of [1, 2, 3]) {
+    const filename = scale === 1 ? 'LaunchImage.png' : `LaunchImage@${scale}x.png`;
+    files.push({ name: filename, data: await renderSplash(splashSource, scale) });
+    images.push({ idiom: 'universal', filename, scale: `${scale}x` });
+  }
+
+  return {
+    files,
+    contents: { images, info: XCASSETS_INFO }
+  };
+};
+
+/**
+ * Render a complete Flutter project for an app package
+ * @param {Object} appPackage - Package produced by createWebViewApp
+ * @param {Object} options - { offlineBundle } from captureOfflineBundle
+ * @returns {Promise<Object>} { buffer, projectName, entries }
+ */
+const buildFlutterProject = async (appPackage, options = {}) => {
+  const { offlineBundle } = options;
+
+  try {
+    const config = generateFlutterConfig(appPackage);
+    const projectName = toDartPackageName(config.name);
+    const appName = config.name || 'Generated App';
+    const usesCleartextTraffic = String(config.webview_config.initial_url || '').startsWith('http:');
+    const packageName = config.android_config.package_name;
+
+    const zip = new ZipArchive();
+    const add = (name, data) => zip.addFile(`${projectName}/${name}`, data);
+
+    for (const file of await readTemplateFiles()) {
+      add(file.name, file.data);
+    }
+
+    add('README.md', renderReadme(config, projectName));
+    // Flutter asset directories are not recursive, so list each one
+    const offlineFiles = Object.entries(offlineBundle?.files || {});
+    const assetDirectories = [...new Set(offlineFiles.map(([name]) => path.posix.dirname(`${OFFLINE_ASSET_DIR}/${name}`)))];
+    for (const [name, data] of offlineFiles) {
+      add(`${OFFLINE_ASSET_DIR}/${name}`, data);
+    }
+
+    add('pubspec.yaml', renderPubspec(config, projectName, config.android_config.version_code, assetDirectories));
+    add('lib/app_config.dart', renderAppConfig(config, offlineBundle?.report));
+
+    // Android
+    add('android/app/build.gradle', renderAppBuildGradle(config));
+    add('android/app/src/main/AndroidManifest.xml', renderAndroidManifest(config, appName, usesCleartextTraffic));
+    add(`android/app/src/main/kotlin/${packageName.split('.').join('/')}/MainActivity.kt`, renderMainActivity(packageName));
+
+    const sourceIcon = await loadSourceIcon(appPackage.assets);
+    const splashSource = await loadSplashSource(appPackage.assets, sourceIcon);
+
+    const launcherIcons = await renderLauncherIcons(sourceIcon);
+    for (const [density, icon] of Object.entries(launcherIcons)) {
+      add(`android/app/src/main/res/mipmap-${density}/ic_launcher.png`, icon);
+    }
+    for (const [density, scale] of Object.entries(ANDROID_DENSITY_SCALES)) {
+      add(`android/app/src/main/res/drawable-${density}/splash.png`, await renderSplash(splashSource, scale));
+    }
+
+    // iOS
+    add('ios/Runner/Info.plist', renderInfoPlist(config, appName, usesCleartextTraffic));
+    const pushNotifications = Boolean(config.webview_config.bridge?.features.includes('push'));
+    if (config.ios_config.associated_domains?.length > 0 || pushNotifications) {
+      add('ios/Runner/Runner.entitlements', renderEntitlements(config.ios_config.associated_domains, { pushNotifications }));
+    }
+
+    const appIcons = await renderIosAppIcons(sourceIcon);
+    for (const file of appIcons.files) {
+      add(`${IOS_XCASSETS}/AppIcon.appiconset/${file.name}`, file.data);
+    }
+    add(`${IOS_XCASSETS}/AppIcon.appiconset/Contents.json`, JSON.stringify(appIcons.contents, null, 2));
+
+    const launchImages = await renderIosLaunchImages(splashSource);
+    for (const file of launchImages.files) {
+      add(`${IOS_XCASSETS}/LaunchImage.imageset/${file.name}`, file.data);
+    }
+    add(`${IOS_XCASSETS}/LaunchImage.imageset/Contents.json`, JSON.stringify(launchImages.contents, null, 2));
+
+    return {
+      buffer: zip.toBuffer(),
+      projectName,
+      entries: zip.files().map(file => file.name)
+    };
+  } catch (error) {
+    console.error('Flutter Project Export Error:', error);
+    throw new Error(`Failed to export Flutter project: ${error.message}`);
+  }
+};
+
+export {
+  buildFlutterProject,
+  toDartPackageName,
+  loadSplashSource,
+  renderIosLaunchImages,
+  renderEntitlements
+};
@@ -18,20 +18,30 @@ class GooglePlayConsoleService {
   }
 
   /**
-   * Generate OAuth authorization URL for Google Play Developer account
-   * @returns {string} Authorization URL
+   * Create the OAuth client for the configured Google Cloud credentials
    */
-  getAuthorizationUrl() {
+  createOAuthClient() {
     this.oauth2Client = new google.auth.OAuth2(
       this.credentials.client_id,
       this.credentials.client_secret,
       this.credentials.redirect_uri
     );
+    return this.oauth2Client;
+  }
+
+  /**
+   * Generate OAuth authorization URL for Google Play Developer account
+   * @param {string} state - Opaque value Google passes back to the callback
+   * @returns {string} Authorization URL
+   */
+  getAuthorizationUrl(state) {
+    this.createOAuthClient();
 
     const authUrl = this.oauth2Client.generateAuthUrl({
       access_type: 'offline',
       scope: ['https://www.googleapis.com/auth/androidpublisher'],
-      prompt: 'consent'
+      prompt: 'consent',
+      ...(state ? { state } : {})
     });
 
     return authUrl;
@@ -39,12 +49,14 @@ class GooglePlayConsoleService {
 
   /**
    * Exchange authorization code for access tokens
+   * The callback may reach a different process than the one that issued the
+   * authorization URL, so the OAuth client is created when missing.
    * @param {string} authorizationCode - Authorization code from OAuth callback
    */
   async exchangeCodeForTokens(authorizationCode) {
     try {
       if (!this.oauth2Client) {
-        throw new Error('OAuth client not initialized');
+        this.createOAuthClient();
       }
 
       const { tokens } = await this.oauth2Client.getToken(authorizationCode);
@@ -62,7 +74,8 @@ class GooglePlayConsoleService {
         tokens: {
           access_token: tokens.access_token,
           refresh_token: tokens.refresh_token,
-          expiry_date: tokens.expiry_date
+          expiry_date: tokens.expiry_date,
+          scope: tokens.scope
         }
       };
     } catch (error) {
@@ -73,28 +86,96 @@ class GooglePlayConsoleService {
 
   /**
    * Initialize API with existing OAuth tokens
+   * Missing or expiring access tokens are refreshed with the refresh token
+   * first; tokens refreshed then or later (during a long upload) are passed to
+   * onTokens so the caller can store them.
    * @param {Object} tokens - OAuth tokens (access_token, refresh_token, etc.)
+   * @param {Object} options - { onTokens(tokens) }
+   * @returns {Promise<Object>} { success, message, tokens, refreshed }
    */
-  async initializeWithTokens(tokens) {
-    try {
-      this.oauth2Client = new google.auth.OAuth2(
-        this.credentials.client_id,
-        this.credentials.client_secret,
-        this.credentials.redirect_uri
-      );
+  async initializeWithTokens(tokens, options = {}) {
+    const { onTokens } = options;
 
+    try {
+      this.createOAuthClient();
       this.oauth2Client.setCredentials(tokens);
 
+      if (onTokens) {
+        // Google only sends a new refresh token when it rotates it
+        this.oauth2Client.on('tokens', (refreshed) => {
+          Promise.resolve(onTokens(refreshed)).catch(error => {
+            console.error('Failed to store refreshed tokens:', error);
+          });
+        });
+      }
+
+      // Refreshes when the access token is missing or expires within five minutes
+      if (tokens.refresh_token) {
+        await this.oauth2Client.getAccessToken();
+      }
+      const refreshed = this.oauth2Client.credentials.access_token !== tokens.access_token;
+
       // Initialize Android Publisher API
       this.androidpublisher = google.androidpublisher({
         version: 'v3',
         auth: this.oauth2Client
       });
 
-      return { success: true, message: 'Google Play Console API initialized with OAuth tokens' };
+      return {
+        success: true,
+        message: 'Google Play Console API initialized with OAuth tokens',
+        tokens: this.oauth2Client.credentials,
+        refreshed
+      };
     } catch (error) {
       console.error('Failed to initialize with tokens:', error);
-      throw new Error(`Token initialization failed: ${error.message}`);
+      const wrapped = new Error(`Token initialization failed: ${error.message}`);
+      // invalid_grant: the refresh token was revoked or has expired
+      wrapped.code = error.response?.data?.error || error.code;
+      throw wrapped;
+    }
+  }
+
+  /**
+   * Revoke OAuth tokens at Google
+   * @param {string} token - Refresh token (revokes its access tokens too) or access token
+   */
+  async revokeToken(token) {
+    try {
+      await this.createOAuthClient().revokeToken(token);
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to revoke token:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Initialize Google Play Console API with a service account key
+   * @param {Object|string} serviceAccountKey - Service account JSON key
+   */
+  async initialize(serviceAccountKey) {
+    try {
+      const credentials = typeof serviceAccountKey === 'string'
+        ? JSON.parse(serviceAccountKey)
+        : serviceAccountKey;
+
+      const auth = new google.auth.GoogleAuth({
+        credentials,
+        scopes: ['https://www.googleapis.com/auth/androidpublisher']
+      });
+
+      this.androidpublisher = google.androidpublisher({
+        version: 'v3',
+        auth
+      });
+
+      return { success: true, message: 'Google Play Console API initialized with service account' };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Service account initialization failed: ${error.message}`
+      };
     }
   }
 
@@ -175,7 +256,7 @@ class GooglePlayConsoleService {
    */
   async uploadAPK(packageName, editId, apkFilePath) {
     try {
-      const apkData = await fs.readFile(apkFilePath);
+      const apkData = await fs.promises.readFile(apkFilePath);
       
       const response = await this.androidpublisher.edits.apks.upload({
         packageName: packageName,
@@ -199,6 +280,35 @@ class GooglePlayConsoleService {
     }
   }
 
+  /**
+   * Upload an Android App Bundle to Google Play Console
+   */
+  async uploadBundle(packageName, editId, aabFilePath) {
+    try {
+      const bundleData = await fs.promises.readFile(aabFilePath);
+      
+      const response = await this.androidpublisher.edits.bundles.upload({
+        packageName: packageName,
+        editId: editId,
+        media: {
+          mimeType: 'application/octet-stream',
+          body: bundleData
+        }
+      });
+      
+      return { 
+        success: true, 
+        versionCode: response.data.versionCode,
+        sha256: response.data.sha256
+      };
+    } catch (error) {
+      return { 
+        success: false, 
+        error: `Failed to upload app bundle: ${error.message}` 
+      };
+    }
+  }
+
   /**
    * Update app listing information
    */
@@ -221,16 +331,58 @@ class GooglePlayConsoleService {
     } catch (error) {
       return { 
         success: false, 
-        error: `Failed to update listing: ${error.message}` 
+        error: `Failed to update listing: ${error.message}`
       };
     }
   }
 
   /**
-   * Assign APK to a track (internal, alpha, beta, production)
+   * Replace the images of one type (phoneScreenshots, sevenInchScreenshots,
+   * tenInchScreenshots, ...) in a listing language
+   * @param {Array} images - [{ data: Buffer, mimeType }] in display order
    */
-  async assignToTrack(packageName, editId, versionCode, track = 'internal') {
+  async replaceImages(packageName, editId, language, imageType, images) {
     try {
+      await this.androidpublisher.edits.images.deleteall({
+        packageName: packageName,
+        editId: editId,
+        language: language,
+        imageType: imageType
+      });
+
+      const uploaded = [];
+      for (const image of images) {
+        const response = await this.androidpublisher.edits.images.upload({
+          packageName: packageName,
+          editId: editId,
+          language: language,
+          imageType: imageType,
+          media: {
+            mimeType: image.mimeType || 'image/png',
+            body: image.data
+          }
+        });
+        uploaded.push(response.data.image);
+      }
+
+      return { success: true, images: uploaded };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to upload ${imageType}: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Assign an uploaded APK or bundle to a track (internal, alpha, beta, production)
+   * @param {Object} release - Optional { name, notes, userFraction } shown in Play Console
+   *   and "What's new"; a userFraction below 1 starts a staged rollout
+   */
+  async assignToTrack(packageName, editId, versionCode, track = 'internal', release = {}) {
+    try {
+      const staged = release.userFraction !== undefined && release.userFraction < 1;
+
       const response = await this.androidpublisher.edits.tracks.update({
         packageName: packageName,
         editId: editId,
@@ -238,7 +390,10 @@ class GooglePlayConsoleService {
         requestBody: {
           releases: [{
             versionCodes: [versionCode.toString()],
-            status: 'completed'
+            status: staged ? 'inProgress' : 'completed',
+            ...(staged && { userFraction: release.userFraction }),
+            ...(release.name && { name: release.name }),
+            ...(release.notes && { releaseNotes: [{ language: 'en-US', text: release.notes }] })
           }]
         }
       });
@@ -252,6 +407,86 @@ class GooglePlayConsoleService {
     }
   }
 
+  /**
+   * List every track of the app with its releases
+   */
+  async listTracks(packageName, editId) {
+    try {
+      const response = await this.androidpublisher.edits.tracks.list({
+        packageName: packageName,
+        editId: editId
+      });
+
+      return { success: true, tracks: response.data.tracks || [] };
+    } catch (error) {
+      return { 
+        success: false, 
+        error: `Failed to list tracks: ${error.message}` 
+      };
+    }
+  }
+
+  /**
+   * Get one track with its releases
+   */
+  async getTrack(packageName, editId, track) {
+    try {
+      const response = await this.androidpublisher.edits.tracks.get({
+        packageName: packageName,
+        editId: editId,
+        track: track
+      });
+
+      return { success: true, track: response.data };
+    } catch (error) {
+      return { 
+        success: false, 
+        error: `Failed to get track ${track}: ${error.message}` 
+      };
+    }
+  }
+
+  /**
+   * Replace the releases of a track
+   * @param {Object[]} releases - Track releases ({ versionCodes, status, userFraction, name, releaseNotes })
+   */
+  async updateTrack(packageName, editId, track, releases) {
+    try {
+      const response = await this.androidpublisher.edits.tracks.update({
+        packageName: packageName,
+        editId: editId,
+        track: track,
+        requestBody: { track, releases }
+      });
+
+      return { success: true, track: response.data };
+    } catch (error) {
+      return { 
+        success: false, 
+        error: `Failed to update track ${track}: ${error.message}` 
+      };
+    }
+  }
+
+  /**
+   * Discard an edit session without publishing it
+   */
+  async deleteEdit(packageName, editId) {
+    try {
+      await this.androidpublisher.edits.delete({
+        packageName: packageName,
+        editId: editId
+      });
+
+      return { success: true };
+    } catch (error) {
+      return { 
+        success: false, 
+        error: `Failed to delete edit: ${error.message}` 
+      };
+    }
+  }
+
   /**
    * Commit the edit session to publish changes
    */
@@ -279,17 +514,25 @@ class GooglePlayConsoleService {
       serviceAccountKey,
       packageName,
       apkFilePath,
+      aabFilePath,
       appTitle,
       shortDescription,
       fullDescription,
+      releaseName,
+      releaseNotes,
+      userFraction,
       track = 'internal'
     } = publishData;
 
     try {
-      // Step 1: Initialize API
-      const initResult = await this.initialize(serviceAccountKey);
-      if (!initResult.success) {
-        throw new Error(initResult.error);
+      // Step 1: Initialize API (OAuth sessions are initialized by the caller)
+      if (serviceAccountKey) {
+        const initResult = await this.initialize(serviceAccountKey);
+        if (!initResult.success) {
+          throw new Error(initResult.error);
+        }
+      } else if (!this.androidpublisher) {
+        throw new Error('Google Play Console API not initialized');
       }
 
       // Step 2: Create edit session
@@ -299,8 +542,10 @@ class GooglePlayConsoleService {
       }
       const editId = editResult.editId;
 
-      // Step 3: Upload APK
-      const uploadResult = await this.uploadAPK(packageName, editId, apkFilePath);
+      // Step 3: Upload the app bundle, or an APK for legacy callers
+      const uploadResult = aabFilePath
+        ? await this.uploadBundle(packageName, editId, aabFilePath)
+        : await this.uploadAPK(packageName, editId, apkFilePath);
       if (!uploadResult.success) {
         throw new Error(uploadResult.error);
       }
@@ -317,7 +562,11 @@ class GooglePlayConsoleService {
       }
 
       // Step 5: Assign to track
-      const trackResult = await this.assignToTrack(packageName, editId, versionCode, track);
+      const trackResult = await this.assignToTrack(packageName, editId, versionCode, track, {
+        name: releaseName,
+        notes: releaseNotes,
+        userFraction
+      });
       if (!trackResult.success) {
         throw new Error(trackResult.error);
       }
@@ -333,6 +582,7 @@ class GooglePlayConsoleService {
         publishId: `${packageName}_${Date.now()}`,
         versionCode: versionCode,
         track: track,
+        userFraction: userFraction < 1 ? userFraction : undefined,
         status: 'published',
         consoleUrl: `https://play.google.com/console/developers/${packageName}/app-bundle`,
         message: `App successfully published to ${track} track`
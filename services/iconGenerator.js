@@ -2,6 +2,124 @@ import sharp from 'sharp';
 import fs from 'fs/promises';
 import path from 'path';
 import { uploadSingle } from './fileUpload.js';
+import { uploadFile } from './database.js';
+import { ZipArchive } from './zipArchive.js';
+import { parseCssColor } from './brandKit.js';
+
+const CATEGORY_COLORS = {
+  'productivity': '#4F46E5',
+  'entertainment': '#EF4444',
+  'utility': '#10B981',
+  'business': '#F59E0B',
+  'education': '#8B5CF6',
+  'health': '#06B6D4',
+  'finance': '#84CC16',
+  'social': '#F97316',
+  'default': '#6B7280'
+};
+
+const DEFAULT_ICON_SET_SIZES = [16, 32, 48, 64, 128, 256, 512, 1024];
+
+// Maskable icons are cropped to a circle of 80% of their width; a square logo
+// stays whole inside that circle at 80% / sqrt(2) of the icon size
+const MASKABLE_LOGO_SCALE = 0.56;
+
+const ANDROID_DENSITY_SCALES = {
+  mdpi: 1,
+  hdpi: 1.5,
+  xhdpi: 2,
+  xxhdpi: 3,
+  xxxhdpi: 4
+};
+
+// Adaptive icon layers are 108dp squares; launchers mask them to their own
+// shape and only a centred circle of 66dp is guaranteed to stay visible
+const ADAPTIVE_ICON_DP = 108;
+const ADAPTIVE_SAFE_ZONE_DP = 66;
+const LEGACY_ICON_DP = 48;
+
+// Store listings round the corners only slightly, so logos there may span a
+// circle of 90% of the icon
+const STORE_ICON_SAFE_ZONE = 0.9;
+const PLAY_STORE_ICON_SIZE = 512;
+const IOS_MARKETING_ICON_SIZE = 1024;
+
+// Source logos are measured at up to this size
+const SOURCE_LOGO_SIZE = 1024;
+
+const IOS_APP_ICONS = [
+  { idiom: 'iphone', size: 20, scales: [2, 3] },
+  { idiom: 'iphone', size: 29, scales: [1, 2, 3] },
+  { idiom: 'iphone', size: 40, scales: [2, 3] },
+  { idiom: 'iphone', size: 60, scales: [2, 3] },
+  { idiom: 'ipad', size: 20, scales: [1, 2] },
+  { idiom: 'ipad', size: 29, scales: [1, 2] },
+  { idiom: 'ipad', size: 40, scales: [1, 2] },
+  { idiom: 'ipad', size: 76, scales: [1, 2] },
+  { idiom: 'ipad', size: 83.5, scales: [2] },
+  { idiom: 'ios-marketing', size: 1024, scales: [1] }
+];
+
+const XCASSETS_INFO = { author: 'xcode', version: 1 };
+
+/**
+ * Render an app icon as PNG
+ * Uses sourceIcon when given, otherwise the app initial on the category color.
+ * Maskable icons are full-bleed squares with the artwork kept inside the safe zone.
+ * @param {Object} options - { appName, category, size, sourceIcon, maskable, backgroundColor }
+ * @returns {Promise<Buffer>} PNG image
+ */
+async function renderIcon(options) {
+  const {
+    appName,
+    category = 'utility',
+    size = 512,
+    sourceIcon,
+    maskable = false
+  } = options;
+
+  const backgroundColor = options.backgroundColor || CATEGORY_COLORS[category] || CATEGORY_COLORS.default;
+
+  if (sourceIcon) {
+    const logoSize = maskable ? Math.round(size * MASKABLE_LOGO_SCALE) : size;
+    const logo = await sharp(sourceIcon)
+      .resize(logoSize, logoSize, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .png()
+      .toBuffer();
+
+    return sharp({
+      create: {
+        width: size,
+        height: size,
+        channels: 4,
+        background: maskable ? backgroundColor : { r: 0, g: 0, b: 0, alpha: 0 }
+      }
+    })
+      .composite([{ input: logo, gravity: 'center' }])
+      .png()
+      .toBuffer();
+  }
+
+  const initial = appName.charAt(0).toUpperCase()
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;');
+
+  // Create SVG icon
+  const svgIcon = `
+      <svg width="${size}" height="${size}" xmlns="http://www.w3.org/2000/svg">
+        <rect width="${size}" height="${size}" fill="${backgroundColor}" rx="${maskable ? 0 : size * 0.15}"/>
+        <text x="50%" y="50%" font-family="Arial, sans-serif" font-size="${size * (maskable ? 0.3 : 0.4)}" 
+              font-weight="bold" fill="white" text-anchor="middle" dy="0.35em">
+          ${initial}
+        </text>
+      </svg>
+    `;
+
+  // Convert SVG to PNG using Sharp
+  return sharp(Buffer.from(svgIcon))
+    .png()
+    .toBuffer();
+}
 
 /**
  * Generate app icon using AI or template-based approach
@@ -25,36 +143,7 @@ async function generateIcon(options) {
 
     // For now, create a simple colored square with app initial
     // In production, this would integrate with AI image generation services
-    const initial = appName.charAt(0).toUpperCase();
-    const colors = {
-      'productivity': '#4F46E5',
-      'entertainment': '#EF4444',
-      'utility': '#10B981',
-      'business': '#F59E0B',
-      'education': '#8B5CF6',
-      'health': '#06B6D4',
-      'finance': '#84CC16',
-      'social': '#F97316',
-      'default': '#6B7280'
-    };
-
-    const backgroundColor = colors[category] || colors.default;
-    
-    // Create SVG icon
-    const svgIcon = `
-      <svg width="${size}" height="${size}" xmlns="http://www.w3.org/2000/svg">
-        <rect width="${size}" height="${size}" fill="${backgroundColor}" rx="${size * 0.15}"/>
-        <text x="50%" y="50%" font-family="Arial, sans-serif" font-size="${size * 0.4}" 
-              font-weight="bold" fill="white" text-anchor="middle" dy="0.35em">
-          ${initial}
-        </text>
-      </svg>
-    `;
-
-    // Convert SVG to PNG using Sharp
-    const iconBuffer = await sharp(Buffer.from(svgIcon))
-      .png()
-      .toBuffer();
+    const iconBuffer = await renderIcon({ ...options, category, size });
 
     // Create temporary file
     const tempDir = path.join(process.cwd(), 'temp');
@@ -103,6 +192,7 @@ async function generateIcon(options) {
  * @param {string} options.iconUrl - App icon URL
  * @param {string} options.category - App category
  * @param {string} options.theme - Theme preference (light/dark)
+ * @param {string} options.accentColor - Brand colour to use instead of the theme accent
  * @param {Object} options.dimensions - Screen dimensions
  * @returns {Promise<Object>} Generated splash screen data
  */
@@ -132,7 +222,10 @@ async function generateSplashScreen(options) {
       }
     };
 
-    const colors = colorSchemes[theme] || colorSchemes.light;
+    const colors = {
+      ...(colorSchemes[theme] || colorSchemes.light),
+      ...(options.accentColor ? { accent: options.accentColor } : {})
+    };
     
     // Create SVG splash screen
     const svgSplash = `
@@ -222,18 +315,34 @@ async function generateSplashScreen(options) {
 
 /**
  * Generate multiple icon sizes for different platforms
- * @param {Object} options - Icon generation options
+ * @param {Object} options - Icon generation options, plus:
+ * @param {number[]} options.sizes - Sizes to render (default: 16 to 1024)
+ * @param {Buffer} options.sourceIcon - Artwork to resize instead of the app initial
+ * @param {boolean} options.maskable - Render maskable icons (keys become maskable_<size>)
+ * @param {boolean} options.upload - Upload the icons (default: true); when false
+ *   iconSet maps each key to the PNG buffer instead of a URL
  * @returns {Promise<Object>} Generated icons for different sizes
  */
 async function generateIconSet(options) {
-  const sizes = [16, 32, 48, 64, 128, 256, 512, 1024];
+  const {
+    sizes = DEFAULT_ICON_SET_SIZES,
+    maskable = false,
+    upload = true
+  } = options;
   const iconSet = {};
   
   try {
     for (const size of sizes) {
+      const key = `${maskable ? 'maskable' : 'icon'}_${size}`;
+
+      if (!upload) {
+        iconSet[key] = await renderIcon({ ...options, size });
+        continue;
+      }
+
       const result = await generateIcon({ ...options, size });
       if (result.success) {
-        iconSet[`icon_${size}`] = result.iconUrl;
+        iconSet[key] = result.iconUrl;
       }
     }
     
@@ -242,7 +351,8 @@ async function generateIconSet(options) {
       iconSet,
       metadata: {
         generatedAt: new Date().toISOString(),
-        sizes: sizes
+        sizes: sizes,
+        maskable
       }
     };
   } catch (error) {
@@ -254,8 +364,362 @@ async function generateIconSet(options) {
   }
 }
 
+/**
+ * Render the iOS app icon set; App Store icons must not have transparency
+ * @param {Buffer} sourceIcon - Square icon artwork
+ * @returns {Promise<Object>} { files: [{ name, data, size }], contents } for AppIcon.appiconset
+ */
+const renderIosAppIcons = async (sourceIcon) => {
+  const images = [];
+  const files = [];
+
+  for (const { idiom, size, scales } of IOS_APP_ICONS) {
+    for (const scale of scales) {
+      const filename = `Icon-App-${size}x${size}@${scale}x.png`;
+      const pixels = Math.round(size * scale);
+      images.push({ size: `${size}x${size}`, idiom, filename, scale: `${scale}x` });
+
+      // iPhone and iPad share images of the same size
+      if (files.some(file => file.name === filename)) continue;
+
+      files.push({
+        name: filename,
+        size: pixels,
+        data: await sharp(sourceIcon)
+          .resize(pixels, pixels, { fit: 'contain', background: { r: 255, g: 255, b: 255, alpha: 1 } })
+          .flatten({ background: { r: 255, g: 255, b: 255 } })
+          .png()
+          .toBuffer()
+      });
+    }
+  }
+
+  return {
+    files,
+    contents: { images, info: XCASSETS_INFO }
+  };
+};
+
+/**
+ * Decode a source logo and measure the artwork inside it
+ * Opaque logos are trimmed against their corner colour (the matte), transparent
+ * ones against transparency.
+ * @param {Buffer} sourceIcon - PNG, JPEG, WebP or SVG logo
+ * @returns {Promise<Object>} { image, width, height, bounds, opaque, matte }
+ */
+const measureLogo = async (sourceIcon) => {
+  const { data: image, info } = await sharp(sourceIcon, { density: 300 })
+    .resize(SOURCE_LOGO_SIZE, SOURCE_LOGO_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .ensureAlpha()
+    .png()
+    .toBuffer({ resolveWithObject: true });
+
+  const { isOpaque } = await sharp(image).stats();
+  const { data: corner } = await sharp(image)
+    .extract({ left: 0, top: 0, width: 1, height: 1 })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  let bounds = { left: 0, top: 0, width: info.width, height: info.height };
+  try {
+    const { info: trimmed } = await sharp(image)
+      .trim({ threshold: 10 })
+      .toBuffer({ resolveWithObject: true });
+    bounds = {
+      left: -trimmed.trimOffsetLeft,
+      top: -trimmed.trimOffsetTop,
+      width: trimmed.width,
+      height: trimmed.height
+    };
+  } catch (error) {
+    // Nothing to trim, e.g. a logo of a single colour
+  }
+
+  return {
+    image,
+    width: info.width,
+    height: info.height,
+    bounds,
+    opaque: isOpaque,
+    matte: isOpaque ? parseCssColor(`rgb(${corner[0]}, ${corner[1]}, ${corner[2]})`) : null
+  };
+};
+
+/**
+ * Check that a logo used as a full-bleed adaptive icon foreground keeps its
+ * artwork inside the 66dp safe zone
+ * @param {Buffer|Object} source - Logo buffer, or the result of measureLogo
+ * @returns {Promise<Object>} { isValid, errors, safeZone }
+ */
+const validateSafeZone = async (source) => {
+  const logo = Buffer.isBuffer(source) ? await measureLogo(source) : source;
+  const { width, height, bounds } = logo;
+  const errors = [];
+
+  // The logo is centred in a square layer as large as its longest side
+  const layer = Math.max(width, height);
+  const offsetX = (layer - width) / 2;
+  const offsetY = (layer - height) / 2;
+  const extent = Math.max(
+    ...[bounds.left, bounds.left + bounds.width].flatMap(x => [bounds.top, bounds.top + bounds.height]
+      .map(y => Math.hypot(x + offsetX - layer / 2, y + offsetY - layer / 2)))
+  );
+
+  const toDp = (pixels) => Math.round(pixels / layer * ADAPTIVE_ICON_DP * 10) / 10;
+  const radius = ADAPTIVE_SAFE_ZONE_DP / 2;
+
+  if (toDp(extent) > radius) {
+    errors.push(`Artwork reaches ${toDp(extent)}dp from the centre of the ${ADAPTIVE_ICON_DP}dp icon; launchers may clip anything beyond ${radius}dp`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    safeZone: {
+      radius,
+      extent: toDp(extent),
+      bounds
+    }
+  };
+};
+
+/**
+ * Place the logo artwork on a transparent square so it spans a centred circle
+ * of `zone` times the square's size
+ */
+const padToSafeZone = async (logo, size, zone) => {
+  const { bounds } = logo;
+  const scale = (size * zone) / Math.hypot(bounds.width, bounds.height);
+  const width = Math.max(Math.round(bounds.width * scale), 1);
+  const height = Math.max(Math.round(bounds.height * scale), 1);
+
+  const artwork = await sharp(logo.image)
+    .extract(bounds)
+    .resize(width, height, { fit: 'fill' })
+    .png()
+    .toBuffer();
+
+  return sharp({ create: { width: size, height: size, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } })
+    .composite([{ input: artwork, gravity: 'center' }])
+    .png()
+    .toBuffer();
+};
+
+/**
+ * Render the adaptive icon foreground layer; logos already inside the safe
+ * zone are kept as drawn, others are trimmed and padded into it
+ */
+const renderAdaptiveForeground = (logo, size, padded) => {
+  if (padded) {
+    return padToSafeZone(logo, size, ADAPTIVE_SAFE_ZONE_DP / ADAPTIVE_ICON_DP);
+  }
+
+  return sharp(logo.image)
+    .resize(size, size, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+    .png()
+    .toBuffer();
+};
+
+/**
+ * Render the Android 13 themed icon layer: a white silhouette the launcher
+ * tints with the wallpaper colours. Opaque logos are cut out from their matte.
+ */
+const renderMonochromeLayer = async (foreground, matte) => {
+  const { data, info } = await sharp(foreground)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const matteRgb = matte
+    ? [1, 3, 5].map(index => parseInt(matte.slice(index, index + 2), 16))
+    : null;
+
+  const pixels = Buffer.alloc(info.width * info.height * 4, 255);
+  for (let offset = 0, pixel = 0; offset < data.length; offset += info.channels, pixel += 4) {
+    let alpha = data[offset + 3];
+    if (matteRgb) {
+      const distance = Math.max(...matteRgb.map((channel, index) => Math.abs(data[offset + index] - channel)));
+      alpha = Math.round(alpha * Math.min(distance / 64, 1));
+    }
+    pixels[pixel + 3] = alpha;
+  }
+
+  return sharp(pixels, { raw: { width: info.width, height: info.height, channels: 4 } })
+    .png()
+    .toBuffer();
+};
+
+/**
+ * Render a full-bleed store icon; opaque logos are used as they are
+ */
+const renderStoreIcon = async (logo, size, backgroundColor) => {
+  const artwork = logo.opaque
+    ? logo.image
+    : await padToSafeZone(logo, size, STORE_ICON_SAFE_ZONE);
+
+  return sharp(artwork)
+    .resize(size, size, { fit: 'contain', background: logo.matte || backgroundColor })
+    .flatten({ background: logo.matte || backgroundColor })
+    .png()
+    .toBuffer();
+};
+
+/**
+ * Round the corners of a legacy (pre-Android 8) launcher icon
+ */
+const renderLegacyIcon = (storeIcon, size) => {
+  const mask = Buffer.from(`<svg width="${size}" height="${size}" xmlns="http://www.w3.org/2000/svg">
+    <rect width="${size}" height="${size}" rx="${size * 0.15}"/>
+  </svg>`);
+
+  return sharp(storeIcon)
+    .resize(size, size)
+    .composite([{ input: mask, blend: 'dest-in' }])
+    .png()
+    .toBuffer();
+};
+
+const renderAdaptiveIconXml = () => `<?xml version="1.0" encoding="utf-8"?>
+<adaptive-icon xmlns:android="http://schemas.android.com/apk/res/android">
+    <background android:drawable="@color/ic_launcher_background"/>
+    <foreground android:drawable="@mipmap/ic_launcher_foreground"/>
+    <monochrome android:drawable="@mipmap/ic_launcher_monochrome"/>
+</adaptive-icon>
+`;
+
+const renderBackgroundColorXml = (color) => `<?xml version="1.0" encoding="utf-8"?>
+<resources>
+    <color name="ic_launcher_background">${color}</color>
+</resources>
+`;
+
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.json': 'application/json',
+  '.xml': 'application/xml'
+};
+
+/**
+ * Generate the complete icon pack for the Android and iOS projects
+ * Android gets legacy launcher icons, adaptive icon foreground layers with a
+ * background colour, Android 13 monochrome layers and the Play Store icon;
+ * iOS gets a complete AppIcon.appiconset. Logos outside the adaptive icon safe
+ * zone are trimmed and padded into it.
+ * @param {Object} options - Icon generation options, plus:
+ * @param {Buffer} options.sourceIcon - Logo to build the icons from (default: the app initial)
+ * @param {string} options.backgroundColor - Adaptive icon background (default: the
+ *   logo's matte, then the category colour)
+ * @param {string} options.appId - App the pack is uploaded for
+ * @param {boolean} options.upload - Upload the zip and each file (default: true); when
+ *   false the pack holds the zip buffer and each file's data instead of URLs
+ * @returns {Promise<Object>} { success, zipUrl, files: [{ name, url, width, height }], safeZone }
+ */
+async function generateIconPack(options) {
+  const {
+    category = 'utility',
+    appId,
+    upload = true
+  } = options;
+
+  try {
+    const sourceIcon = options.sourceIcon || await renderIcon({ ...options, category, size: SOURCE_LOGO_SIZE });
+    const logo = await measureLogo(sourceIcon);
+    const validation = await validateSafeZone(logo);
+    const padded = !validation.isValid;
+
+    const backgroundColor = parseCssColor(options.backgroundColor || '')
+      || logo.matte
+      || CATEGORY_COLORS[category]
+      || CATEGORY_COLORS.default;
+
+    const files = [];
+    const add = (name, data, size) => files.push({ name, data, ...(size ? { width: size, height: size } : {}) });
+
+    // Android
+    const playStoreIcon = await renderStoreIcon(logo, PLAY_STORE_ICON_SIZE, backgroundColor);
+    for (const [density, scale] of Object.entries(ANDROID_DENSITY_SCALES)) {
+      const legacySize = Math.round(LEGACY_ICON_DP * scale);
+      const layerSize = Math.round(ADAPTIVE_ICON_DP * scale);
+      const foreground = await renderAdaptiveForeground(logo, layerSize, padded);
+
+      add(`android/res/mipmap-${density}/ic_launcher.png`, await renderLegacyIcon(playStoreIcon, legacySize), legacySize);
+      add(`android/res/mipmap-${density}/ic_launcher_foreground.png`, foreground, layerSize);
+      add(`android/res/mipmap-${density}/ic_launcher_monochrome.png`, await renderMonochromeLayer(foreground, logo.matte), layerSize);
+    }
+    add('android/res/mipmap-anydpi-v26/ic_launcher.xml', Buffer.from(renderAdaptiveIconXml()));
+    add('android/res/values/ic_launcher_background.xml', Buffer.from(renderBackgroundColorXml(backgroundColor)));
+    add('android/play-store-icon.png', playStoreIcon, PLAY_STORE_ICON_SIZE);
+
+    // iOS
+    const appIcons = await renderIosAppIcons(await renderStoreIcon(logo, IOS_MARKETING_ICON_SIZE, backgroundColor));
+    for (const file of appIcons.files) {
+      add(`ios/AppIcon.appiconset/${file.name}`, file.data, file.size);
+    }
+    add('ios/AppIcon.appiconset/Contents.json', Buffer.from(JSON.stringify(appIcons.contents, null, 2)));
+
+    const zip = new ZipArchive();
+    for (const file of files) {
+      zip.addFile(file.name, file.data);
+    }
+    const zipBuffer = zip.toBuffer();
+
+    const pack = {
+      success: true,
+      backgroundColor,
+      safeZone: {
+        isValid: validation.isValid,
+        errors: validation.errors,
+        padded,
+        ...validation.safeZone
+      },
+      metadata: {
+        generatedAt: new Date().toISOString(),
+        densities: Object.keys(ANDROID_DENSITY_SCALES)
+      }
+    };
+
+    if (!upload) {
+      return { ...pack, zip: zipBuffer, files };
+    }
+
+    const folder = `icons/${appId || 'preview'}/${Date.now()}`;
+    const uploadedZip = await uploadFile('app-assets', `${folder}/icon-pack.zip`, zipBuffer, {
+      contentType: 'application/zip'
+    });
+
+    const uploadedFiles = [];
+    for (const { name, data, ...size } of files) {
+      const uploaded = await uploadFile('app-assets', `${folder}/${name}`, data, {
+        contentType: CONTENT_TYPES[path.extname(name)]
+      });
+      uploadedFiles.push({ name, url: uploaded.publicUrl, path: uploaded.path, ...size });
+    }
+
+    return {
+      ...pack,
+      zipUrl: uploadedZip.publicUrl,
+      zipPath: uploadedZip.path,
+      files: uploadedFiles
+    };
+  } catch (error) {
+    console.error('Icon pack generation error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
 export {
+  CATEGORY_COLORS,
+  ANDROID_DENSITY_SCALES,
+  IOS_APP_ICONS,
+  XCASSETS_INFO,
+  renderIcon,
+  renderIosAppIcons,
+  validateSafeZone,
   generateIcon,
   generateSplashScreen,
-  generateIconSet
+  generateIconSet,
+  generateIconPack
 };
\ No newline at end of file
@@ -0,0 +1,216 @@
+import { getAppHosts } from './deepLinks.js';
+
+/**
+ * Native bridge
+ * Generates the script the shells inject as window.RapidSaaS, which lets the
+ * wrapped site reach native features. Only features enabled for the app and
+ * implemented by the shell are exposed; the rest reject with code "unavailable".
+ *
+ * Page to shell: a JSON string { id, method, params } posted to
+ *   window.webkit.messageHandlers.rapidsaas (iOS) or window.RapidSaaSNative
+ *   (Android and Flutter).
+ * Shell to page: window.RapidSaaS._resolve(id, error, result), where error is
+ *   null or { code, message }.
+ *
+ * Error codes: unavailable, invalid, cancelled, denied, failed.
+ * public/sdk/rapidsaas-sdk.js wraps the bridge with feature detection and
+ * browser fallbacks for web owners.
+ */
+
+const BRIDGE_VERSION = 1;
+
+// Bridge namespace for each app feature
+const BRIDGE_FEATURES = {
+  share: 'share',
+  haptics: 'haptics',
+  secureStorage: 'secureStorage',
+  biometrics: 'biometrics',
+  pushNotifications: 'push',
+  fileDownloads: 'downloads',
+  appBadge: 'badge'
+};
+
+// What each generated shell implements. Android and Flutter push tokens come
+// from Firebase Cloud Messaging and reject with "unavailable" when the app was
+// built without the FCM_* settings (services/pushNotifications.js).
+const SHELL_BRIDGE_SUPPORT = {
+  android: ['share', 'haptics', 'secureStorage', 'biometrics', 'push', 'downloads', 'badge'],
+  ios: ['share', 'haptics', 'secureStorage', 'biometrics', 'push', 'downloads', 'badge'],
+  flutter: ['share', 'haptics', 'secureStorage', 'biometrics', 'push', 'downloads', 'badge']
+};
+
+/**
+ * List the bridge features an app enables
+ * @param {Object} features - Validated app features
+ * @returns {string[]} Bridge namespaces, e.g. ['share', 'push']
+ */
+const resolveBridgeFeatures = (features = {}) => Object.entries(BRIDGE_FEATURES)
+  .filter(([feature]) => features[feature])
+  .map(([, bridgeFeature]) => bridgeFeature);
+
+/**
+ * Describe the bridge of an app package for one shell
+ * @param {Object} appPackage - Package produced by buildAppPackage
+ * @param {string} shell - android, ios or flutter
+ * @returns {Object|null} { version, features }, or null when the shell exposes nothing
+ */
+const getBridgeConfig = (appPackage, shell) => {
+  const enabled = appPackage.configuration?.bridge?.features || [];
+  const features = enabled.filter(feature => (SHELL_BRIDGE_SUPPORT[shell] || []).includes(feature));
+
+  return features.length > 0 ? { version: BRIDGE_VERSION, features } : null;
+};
+
+/**
+ * Render the window.RapidSaaS script for one shell
+ * The shells run it at document start and again once the page has loaded; it
+ * defines the bridge once per page, and only on the app's own hosts.
+ * @returns {string|null} Script, or null when the shell exposes nothing
+ */
+const buildBridgeScript = (appPackage, shell) => {
+  const config = getBridgeConfig(appPackage, shell);
+  if (!config) {
+    return null;
+  }
+
+  return `// Generated by Rapid SaaS AI Store: window.RapidSaaS native bridge v${config.version} (${shell}).
+(function () {
+  if (window.RapidSaaS && window.RapidSaaS.isNative) return;
+
+  var hosts = ${JSON.stringify(getAppHosts(appPackage))};
+  var hostname = location.hostname.toLowerCase();
+  var onAppHost = hosts.some(function (host) {
+    return host.indexOf('*.') === 0 ? hostname.endsWith(host.slice(1)) : hostname === host;
+  });
+  if (!onAppHost) return;
+
+  var handler = window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.rapidsaas;
+  var channel = handler || window.RapidSaaSNative;
+  if (!channel) return;
+
+  var features = ${JSON.stringify(config.features)};
+  var pending = {};
+  var nextId = 1;
+
+  var bridgeError = function (code, message) {
+    var error = new Error(message);
+    error.code = code;
+    return error;
+  };
+
+  var call = function (feature, method, params) {
+    if (features.indexOf(feature) === -1) {
+      return Promise.reject(bridgeError('unavailable', feature + ' is not available in this app'));
+    }
+    return new Promise(function (resolve, reject) {
+      var id = nextId++;
+      pending[id] = { resolve: resolve, reject: reject };
+      channel.postMessage(JSON.stringify({ id: id, method: method, params: params || {} }));
+    });
+  };
+
+  var field = function (name) {
+    return function (result) { return result[name]; };
+  };
+
+  var bridge = {
+    version: ${config.version},
+    platform: ${JSON.stringify(shell)},
+    isNative: true,
+    features: features.slice(),
+    isAvailable: function (feature) {
+      return features.indexOf(feature) !== -1;
+    },
+    share: function (options) {
+      options = options || {};
+      return call('share', 'share', {
+        title: options.title ? String(options.title) : '',
+        text: options.text ? String(options.text) : '',
+        url: options.url ? new URL(options.url, location.href).href : ''
+      });
+    },
+    haptics: {
+      impact: function (style) {
+        return call('haptics', 'haptics.impact', { style: style || 'medium' });
+      },
+      notification: function (type) {
+        return call('haptics', 'haptics.notification', { type: type || 'success' });
+      },
+      selection: function () {
+        return call('haptics', 'haptics.selection');
+      }
+    },
+    secureStorage: {
+      get: function (key) {
+        return call('secureStorage', 'secureStorage.get', { key: String(key) }).then(field('value'));
+      },
+      set: function (key, value) {
+        return call('secureStorage', 'secureStorage.set', { key: String(key), value: String(value) }).then(function () {});
+      },
+      remove: function (key) {
+        return call('secureStorage', 'secureStorage.remove', { key: String(key) }).then(function () {});
+      }
+    },
+    biometrics: {
+      isAvailable: function () {
+        return features.indexOf('biometrics') === -1
+          ? Promise.resolve({ available: false, type: null })
+          : call('biometrics', 'biometrics.isAvailable');
+      },
+      authenticate: function (options) {
+        return call('biometrics', 'biometrics.authenticate', {
+          reason: (options && options.reason) || 'Unlock ' + document.title
+        }).then(function () { return true; });
+      }
+    },
+    push: {
+      getToken: function () {
+        return call('push', 'push.getToken');
+      }
+    },
+    downloads: {
+      download: function (options) {
+        options = typeof options === 'string' ? { url: options } : options || {};
+        return call('downloads', 'downloads.download', {
+          url: new URL(options.url, location.href).href,
+          filename: options.filename ? String(options.filename) : ''
+        });
+      }
+    },
+    badge: {
+      set: function (count) {
+        return call('badge', 'badge.set', { count: Math.max(0, Math.floor(Number(count) || 0)) }).then(field('count'));
+      },
+      clear: function () {
+        return call('badge', 'badge.set', { count: 0 }).then(field('count'));
+      }
+    }
+  };
+
+  Object.defineProperty(bridge, '_resolve', {
+    value: function (id, error, result) {
+      var request = pending[id];
+      if (!request) return;
+      delete pending[id];
+      if (error) {
+        request.reject(bridgeError(error.code || 'failed', error.message || 'Native call failed'));
+      } else {
+        request.resolve(result || {});
+      }
+    }
+  });
+
+  Object.defineProperty(window, 'RapidSaaS', { value: Object.freeze(bridge) });
+  window.dispatchEvent(new Event('rapidsaasready'));
+})();
+`;
+};
+
+export {
+  resolveBridgeFeatures,
+  getBridgeConfig,
+  buildBridgeScript,
+  BRIDGE_VERSION,
+  BRIDGE_FEATURES,
+  SHELL_BRIDGE_SUPPORT
+};
@@ -0,0 +1,306 @@
+import * as cheerio from 'cheerio';
+import crypto from 'crypto';
+import path from 'path';
+import { launchBrowser } from './appGenerator.js';
+import { assertPublicUrl, fetchPublic, guardPageRequests } from './publicFetch.js';
+
+/**
+ * Offline Bundle
+ * Captures what a generated app shows while the device is offline: a saved
+ * copy of the start page (the app shell) with its critical CSS and JS, and a
+ * branded "you're offline" page. Resources are captured in priority order
+ * until the size budget is spent; the report lists what was kept and why
+ * anything was left out. The page and everything it loads only come from
+ * public hosts, as the bundle ends up in a downloadable package.
+ *
+ * Bundle layout (packaged under assets/offline/ by the app builders):
+ *   offline.html   - branded offline page, always present
+ *   index.html     - app shell, when the start page could be captured
+ *   assets/*       - stylesheets, scripts and images referenced by the shell
+ */
+
+const OFFLINE_PAGE = 'offline.html';
+const APP_SHELL_PAGE = 'index.html';
+const DEFAULT_BUDGET_KB = 512;
+
+// Lower numbers are captured first
+const RESOURCE_PRIORITIES = {
+  stylesheet: 1,
+  script: 2,
+  icon: 3,
+  image: 4
+};
+
+const CONTENT_EXTENSIONS = {
+  'text/css': '.css',
+  'application/javascript': '.js',
+  'text/javascript': '.js',
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/svg+xml': '.svg',
+  'image/webp': '.webp',
+  'image/x-icon': '.ico',
+  'image/vnd.microsoft.icon': '.ico'
+};
+
+/**
+ * Size budget for offline bundles in bytes
+ */
+const getOfflineBudget = () => {
+  const budgetKb = parseInt(process.env.OFFLINE_BUNDLE_BUDGET_KB) || DEFAULT_BUDGET_KB;
+  return budgetKb * 1024;
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Load the start page, rendered by Puppeteer when it is available so that
+ * client-side apps produce a meaningful shell
+ */
+const fetchStartPage = async (url) => {
+  await assertPublicUrl(url);
+
+  let browser;
+  try {
+    browser = await launchBrowser();
+    const page = await browser.newPage();
+    await guardPageRequests(page);
+    await page.setViewport({ width: 375, height: 667, isMobile: true });
+    await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+    return { html: await page.content(), url: page.url(), rendered: true };
+  } catch (error) {
+    console.warn('Puppeteer not available for offline capture, fetching raw HTML:', error.message);
+  } finally {
+    if (browser) {
+      await browser.close();
+    }
+  }
+
+  const { response, url: pageUrl } = await fetchPublic(url, { timeout: 15000, responseType: 'text' });
+  return { html: response.data, url: pageUrl, rendered: false };
+};
+
+/**
+ * List the resources the start page depends on, most critical first
+ */
+const collectResources = ($, pageUrl) => {
+  const origin = new URL(pageUrl).origin;
+  const resources = [];
+  const seen = new Set();
+
+  const add = (element, attribute, type) => {
+    const reference = $(element).attr(attribute);
+    if (!reference || reference.startsWith('data:')) return;
+
+    let resolved;
+    try {
+      resolved = new URL(reference, pageUrl);
+    } catch (error) {
+      return;
+    }
+    if (!['http:', 'https:'].includes(resolved.protocol)) return;
+
+    resolved.hash = '';
+    const resourceUrl = resolved.toString();
+    if (seen.has(resourceUrl)) return;
+    seen.add(resourceUrl);
+
+    resources.push({
+      element,
+      attribute,
+      type,
+      url: resourceUrl,
+      sameOrigin: resolved.origin === origin
+    });
+  };
+
+  $('link[rel~="stylesheet"][href]').each((i, element) => add(element, 'href', 'stylesheet'));
+  $('script[src]').each((i, element) => add(element, 'src', 'script'));
+  $('link[rel~="icon"][href], link[rel="apple-touch-icon"][href]').each((i, element) => add(element, 'href', 'icon'));
+  $('img[src]').each((i, element) => add(element, 'src', 'image'));
+
+  return resources.sort((a, b) => RESOURCE_PRIORITIES[a.type] - RESOURCE_PRIORITIES[b.type]);
+};
+
+/**
+ * Name a captured resource by its content so repeated captures are stable
+ */
+const resourcePath = (resource, data, contentType) => {
+  const extension = CONTENT_EXTENSIONS[contentType] || path.extname(new URL(resource.url).pathname).slice(0, 6);
+  const hash = crypto.createHash('sha256').update(data).digest('hex').slice(0, 16);
+  return `assets/${hash}${extension}`;
+};
+
+/**
+ * Render the branded page shown while the device is offline
+ */
+const renderOfflinePage = ({ appName, url, themeColor, hasAppShell }) => {
+  const name = escapeHtml(appName);
+  const initial = escapeHtml(appName.charAt(0).toUpperCase());
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${name} - Offline</title>
+<style>
+  body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; background: #f9fafb; color: #111827; text-align: center; }
+  main { padding: 32px; max-width: 320px; }
+  .icon { width: 72px; height: 72px; margin: 0 auto 24px; border-radius: 18px; background: ${themeColor}; color: #fff; font-size: 36px; font-weight: 700; line-height: 72px; }
+  h1 { font-size: 22px; margin: 0 0 8px; }
+  p { margin: 0 0 24px; color: #6b7280; line-height: 1.5; }
+  a.button { display: block; padding: 12px 20px; margin-bottom: 12px; border-radius: 10px; background: ${themeColor}; color: #fff; text-decoration: none; font-weight: 600; }
+  a.secondary { background: transparent; color: ${themeColor}; }
+</style>
+</head>
+<body>
+<main>
+  <div class="icon">${initial}</div>
+  <h1>You're offline</h1>
+  <p>${name} needs an internet connection. Check your connection and try again.</p>
+  <a class="button" href="${escapeHtml(url)}">Try again</a>
+  ${hasAppShell ? `<a class="button secondary" href="${APP_SHELL_PAGE}">Open saved copy</a>` : ''}
+</main>
+</body>
+</html>
+`;
+};
+
+/**
+ * Capture the offline bundle for an app
+ * @param {Object} options - { url, appName, themeColor, budgetBytes }
+ * @returns {Promise<Object>} { files, report } where files maps bundle paths to buffers
+ */
+const captureOfflineBundle = async (options) => {
+  const {
+    url,
+    appName,
+    themeColor = '#4F46E5',
+    budgetBytes = getOfflineBudget()
+  } = options;
+
+  const files = {};
+  const report = {
+    url,
+    capturedAt: new Date().toISOString(),
+    budgetBytes,
+    totalBytes: 0,
+    offlinePage: OFFLINE_PAGE,
+    appShell: null,
+    rendered: false,
+    resources: [],
+    skipped: [],
+    error: null
+  };
+
+  try {
+    // The offline page has to fit, so reserve its space before anything else
+    const placeholder = Buffer.from(renderOfflinePage({ appName, url, themeColor, hasAppShell: true }));
+    let remaining = budgetBytes - placeholder.length;
+
+    let startPage = null;
+    try {
+      startPage = await fetchStartPage(url);
+    } catch (error) {
+      report.error = `Start page unavailable: ${error.message}`;
+    }
+
+    if (startPage) {
+      const $ = cheerio.load(startPage.html);
+      report.rendered = startPage.rendered;
+
+      // Links keep pointing at the live site; the shell shows the offline page if it is still unreachable
+      $('a[href]').each((i, element) => {
+        try {
+          $(element).attr('href', new URL($(element).attr('href'), startPage.url).toString());
+        } catch (error) {
+          // Leave malformed links untouched
+        }
+      });
+
+      const resources = collectResources($, startPage.url);
+      // Estimate the shell size up front so resources cannot crowd it out
+      remaining -= Buffer.byteLength(startPage.html);
+
+      for (const resource of resources) {
+        if (resource.type === 'script' && !resource.sameOrigin) {
+          report.skipped.push({ url: resource.url, type: resource.type, reason: 'third-party script' });
+          continue;
+        }
+        if (remaining <= 0) {
+          report.skipped.push({ url: resource.url, type: resource.type, reason: 'over budget' });
+          continue;
+        }
+
+        try {
+          const { response } = await fetchPublic(resource.url, {
+            responseType: 'arraybuffer',
+            maxContentLength: remaining
+          });
+          const data = Buffer.from(response.data);
+          if (data.length > remaining) {
+            report.skipped.push({ url: resource.url, type: resource.type, reason: 'over budget', size: data.length });
+            continue;
+          }
+
+          const contentType = String(response.headers['content-type'] || '').split(';')[0].trim();
+          const filePath = resourcePath(resource, data, contentType);
+          files[filePath] = data;
+          remaining -= data.length;
+
+          $(resource.element).attr(resource.attribute, filePath);
+          $(resource.element).removeAttr('integrity');
+          $(resource.element).removeAttr('srcset');
+          report.resources.push({ url: resource.url, type: resource.type, path: filePath, size: data.length });
+        } catch (error) {
+          const reason = error.code === 'ERR_BAD_RESPONSE' || /maxContentLength/.test(error.message)
+            ? 'over budget'
+            : error.message;
+          report.skipped.push({ url: resource.url, type: resource.type, reason });
+        }
+      }
+
+      const shell = Buffer.from($.html());
+      if (shell.length <= budgetBytes - placeholder.length - report.resources.reduce((sum, item) => sum + item.size, 0)) {
+        files[APP_SHELL_PAGE] = shell;
+        report.appShell = APP_SHELL_PAGE;
+      } else {
+        // Without the shell its resources are dead weight
+        for (const resource of report.resources) {
+          delete files[resource.path];
+          report.skipped.push({ url: resource.url, type: resource.type, reason: 'app shell over budget' });
+        }
+        report.resources = [];
+        report.skipped.push({ url: startPage.url, type: 'document', reason: 'over budget', size: shell.length });
+      }
+    }
+
+    files[OFFLINE_PAGE] = Buffer.from(renderOfflinePage({
+      appName,
+      url,
+      themeColor,
+      hasAppShell: Boolean(report.appShell)
+    }));
+
+    report.totalBytes = Object.values(files).reduce((sum, data) => sum + data.length, 0);
+    return { files, report };
+
+  } catch (error) {
+    console.error('Offline Bundle Error:', error);
+    throw new Error(`Failed to capture offline bundle: ${error.message}`);
+  }
+};
+
+export {
+  captureOfflineBundle,
+  renderOfflinePage,
+  getOfflineBudget,
+  OFFLINE_PAGE,
+  APP_SHELL_PAGE
+};
@@ -1,5 +1,12 @@
 import axios from 'axios';
-import { supabase } from './database.js';
+import crypto from 'crypto';
+import { supabase, getAppReleases } from './database.js';
+import {
+  AppStoreConnectService,
+  normalizePrivateKey,
+  submitVersionForReview
+} from './appStoreConnect.js';
+import { syncSubmissionStatus } from './submissionStatus.js';
 
 /**
  * Partnership Service
@@ -47,7 +54,7 @@ const PARTNER_PLATFORMS = {
       requiredFields: ['name', 'description', 'category', 'icon']
     },
     reviewTime: '1-7 days',
-    active: false // Not implemented yet
+    active: false // Not implemented yet: upload the desktop MSIX package in Partner Center
   },
   AMAZON_APPSTORE: {
     name: 'Amazon Appstore',
@@ -162,6 +169,7 @@ const validateGooglePlayCredentials = async (credentials) => {
 
 /**
  * Validate Apple App Store credentials
+ * Checks the API key format, then looks the app up in App Store Connect with it.
  */
 const validateAppleAppStoreCredentials = async (credentials) => {
   try {
@@ -180,6 +188,31 @@ const validateAppleAppStoreCredentials = async (credentials) => {
       return { valid: false, error: 'Invalid Issuer ID format' };
     }
 
+    // App Store Connect keys are P-256 keys (.p8 files)
+    let key;
+    try {
+      key = crypto.createPrivateKey(normalizePrivateKey(privateKey));
+    } catch {
+      return { valid: false, error: 'Invalid private key format' };
+    }
+    if (key.asymmetricKeyType !== 'ec' || key.asymmetricKeyDetails?.namedCurve !== 'prime256v1') {
+      return { valid: false, error: 'Private key is not an App Store Connect (P-256) key' };
+    }
+
+    try {
+      const app = await new AppStoreConnectService(credentials).findApp(bundleId);
+      if (!app) {
+        return { valid: false, error: `No App Store Connect app with bundle ID ${bundleId}` };
+      }
+    } catch (error) {
+      return {
+        valid: false,
+        error: error.status === 401 || error.status === 403
+          ? 'App Store Connect rejected the API key'
+          : `Could not reach App Store Connect: ${error.message}`
+      };
+    }
+
     return { valid: true };
   } catch (error) {
     return { valid: false, error: error.message };
@@ -249,7 +282,7 @@ const submitAppToPartner = async (appId, platform, submissionData) => {
     let submissionResult;
     switch (platform) {
       case 'GOOGLE_PLAY':
-        submissionResult = await submitToGooglePlay(submissionData, partnership.credentials);
+        submissionResult = await submitToGooglePlay(appId, submissionData, partnership.credentials);
         break;
       case 'APPLE_APP_STORE':
         submissionResult = await submitToAppleAppStore(submissionData, partnership.credentials);
@@ -264,7 +297,8 @@ const submitAppToPartner = async (appId, platform, submissionData) => {
       platform,
       status: 'submitted',
       submission_id: submissionResult.submissionId,
-      submission_data: submissionData,
+      // Adapters may add what the status sync needs, e.g. Google Play's versionCode
+      submission_data: { ...submissionData, ...submissionResult.submissionData },
       partner_response: submissionResult,
       submitted_at: new Date().toISOString(),
       estimated_review_completion: calculateReviewCompletion(partnership.review_time)
@@ -323,23 +357,38 @@ const validateSubmissionData = (data, requirements) => {
 
 /**
  * Submit to Google Play Store
+ * Bundles reach Play through the publishing routes, which record the upload
+ * on the app release. The submission follows that upload: submissionData
+ * versionCode and track pick it explicitly, otherwise the newest release
+ * published to Google Play is used. Both are stored with the submission so
+ * the status worker can find the release on its track.
  */
-const submitToGooglePlay = async (submissionData, credentials) => {
+const submitToGooglePlay = async (appId, submissionData, credentials) => {
   try {
-    // Simulate Google Play submission
-    // In production, use Google Play Developer API
-    
+    let versionCode = Number(submissionData.versionCode) || null;
+    let track = submissionData.track || null;
+
+    if (!versionCode) {
+      const releases = await getAppReleases(appId, { status: 'published', limit: 50 });
+      const published = releases.find(release => release.publish_info?.['google-play']?.versionCode);
+      if (!published) {
+        throw new Error('No release has been uploaded to Google Play yet; publish a release or pass versionCode');
+      }
+      versionCode = published.publish_info['google-play'].versionCode;
+      track = track || published.publish_info['google-play'].track;
+    }
+
     const submissionId = `gp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    // Simulate API call delay
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
+
     return {
       submissionId,
       status: 'submitted',
-      message: 'App submitted to Google Play Store successfully',
-      trackingUrl: `https://play.google.com/console/developers/submissions/${submissionId}`,
-      estimatedReviewTime: '1-3 days'
+      message: `Version code ${versionCode} submitted to Google Play Store`,
+      trackingUrl: credentials.packageName
+        ? `https://play.google.com/console/developers/app/${credentials.packageName}/tracks`
+        : null,
+      estimatedReviewTime: '1-3 days',
+      submissionData: { versionCode, track: track || 'production' }
     };
   } catch (error) {
     throw new Error(`Google Play submission failed: ${error.message}`);
@@ -348,23 +397,27 @@ const submitToGooglePlay = async (submissionData, credentials) => {
 
 /**
  * Submit to Apple App Store
+ * Updates the App Store version's metadata and screenshots through App Store
+ * Connect and submits it for review. submissionData.version is the version
+ * string (default 1.0) and submissionData.buildNumber the uploaded build to
+ * select; submissionData.localizations holds metadata for other languages.
  */
 const submitToAppleAppStore = async (submissionData, credentials) => {
   try {
-    // Simulate Apple App Store submission
-    // In production, use App Store Connect API
-    
-    const submissionId = `as_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    // Simulate API call delay
-    await new Promise(resolve => setTimeout(resolve, 1500));
+    const client = new AppStoreConnectService(credentials);
+    const result = await submitVersionForReview(client, {
+      ...submissionData,
+      bundleId: credentials.bundleId,
+      privacyPolicyUrl: submissionData.privacyPolicyUrl || submissionData.privacyPolicy
+    });
     
     return {
-      submissionId,
+      submissionId: result.reviewSubmissionId,
       status: 'submitted',
       message: 'App submitted to Apple App Store successfully',
-      trackingUrl: `https://appstoreconnect.apple.com/apps/${submissionId}`,
-      estimatedReviewTime: '24-48 hours'
+      trackingUrl: `https://appstoreconnect.apple.com/apps/${result.appId}/appstore/ios/version/inflight`,
+      estimatedReviewTime: '24-48 hours',
+      appStoreConnect: result
     };
   } catch (error) {
     throw new Error(`Apple App Store submission failed: ${error.message}`);
@@ -373,6 +426,8 @@ const submitToAppleAppStore = async (submissionData, credentials) => {
 
 /**
  * Check submission status
+ * Reads the current state from the store (see submissionStatus.js); owners are
+ * notified when it changed.
  */
 const checkSubmissionStatus = async (submissionId) => {
   try {
@@ -384,65 +439,13 @@ const checkSubmissionStatus = async (submissionId) => {
 
     if (error) throw error;
 
-    // In production, query actual platform APIs for status
-    // For now, simulate status updates
-    const statusUpdate = await simulateStatusUpdate(data);
-    
-    if (statusUpdate.status !== data.status) {
-      // Update status in database
-      const { data: updated, error: updateError } = await supabase
-        .from('app_submissions')
-        .update({ 
-          status: statusUpdate.status,
-          status_message: statusUpdate.message,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', data.id)
-        .select()
-        .single();
-
-      if (updateError) throw updateError;
-      return updated;
-    }
-
-    return data;
+    return await syncSubmissionStatus(data);
   } catch (error) {
     console.error('Check Submission Status Error:', error);
     throw error;
   }
 };
 
-/**
- * Simulate status update for demo purposes
- */
-const simulateStatusUpdate = async (submission) => {
-  const submittedAt = new Date(submission.submitted_at);
-  const now = new Date();
-  const hoursSinceSubmission = (now - submittedAt) / (1000 * 60 * 60);
-
-  // Simulate review process
-  if (submission.status === 'submitted' && hoursSinceSubmission > 1) {
-    return {
-      status: 'under_review',
-      message: 'App is currently under review'
-    };
-  }
-  
-  if (submission.status === 'under_review' && hoursSinceSubmission > 24) {
-    // 90% chance of approval for demo
-    const approved = Math.random() > 0.1;
-    return {
-      status: approved ? 'approved' : 'rejected',
-      message: approved ? 'App approved and published' : 'App rejected - please review feedback'
-    };
-  }
-
-  return {
-    status: submission.status,
-    message: submission.status_message || 'No status update'
-  };
-};
-
 /**
  * Calculate estimated review completion time
  */
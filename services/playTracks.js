@@ -0,0 +1,386 @@
+import {
+  createReleaseAuditEntry,
+  getReleaseAuditEntries,
+  getAppReleases,
+  updateAppRelease
+} from './database.js';
+
+/**
+ * Google Play Tracks
+ * Release management after upload: promoting a release to another track,
+ * staged rollouts, halting and resuming them, and reading the state of every
+ * track. Each operation runs in its own edit, which is committed when the
+ * track is updated and deleted otherwise. Operations are written to the app's
+ * release audit trail, failed ones included.
+ *
+ * Tracks are named as in the Play Developer API (internal, alpha, beta,
+ * production or a custom closed track); closed and open are accepted for alpha
+ * and beta. Release statuses on a track:
+ *   completed   - available to every user of the track
+ *   inProgress  - staged rollout to userFraction of the users
+ *   halted      - staged rollout stopped; users who got it keep it
+ *   draft       - not rolled out
+ */
+
+const GOOGLE_PLAY = 'google-play';
+const TRACK_ACTIONS = ['publish', 'promote', 'rollout', 'halt', 'resume'];
+const STANDARD_TRACKS = ['internal', 'alpha', 'beta', 'production'];
+const TRACK_ALIASES = { closed: 'alpha', open: 'beta' };
+const TRACK_PATTERN = /^[a-z0-9][\w:-]{0,99}$/i;
+
+// Internal testing releases go to every tester at once
+const UNSTAGED_TRACKS = ['internal'];
+
+/**
+ * Resolve a track name, mapping closed and open to alpha and beta
+ * @returns {string|null} API track name, or null when invalid
+ */
+const normalizeTrack = (track) => {
+  if (typeof track !== 'string') return null;
+  const name = track.trim();
+  const lower = name.toLowerCase();
+
+  if (TRACK_ALIASES[lower]) return TRACK_ALIASES[lower];
+  if (STANDARD_TRACKS.includes(lower)) return lower;
+  return TRACK_PATTERN.test(name) ? name : null;
+};
+
+/**
+ * Validate a track operation
+ * @param {string} action - publish, promote, rollout, halt or resume
+ * @param {Object} input - { track, fromTrack, userFraction, versionCode }; track is the
+ *   track the operation changes (the destination of a promotion)
+ * @returns {Object} { isValid, errors, operation }
+ */
+const validateTrackOperation = (action, input = {}) => {
+  const errors = [];
+  const operation = { action };
+
+  if (!TRACK_ACTIONS.includes(action)) {
+    errors.push(`action must be one of ${TRACK_ACTIONS.join(', ')}`);
+  }
+
+  operation.track = normalizeTrack(input.track);
+  if (!operation.track) {
+    errors.push('track must be internal, closed (alpha), open (beta), production or a custom track name');
+  }
+
+  if (action === 'promote') {
+    operation.fromTrack = normalizeTrack(input.fromTrack);
+    if (!operation.fromTrack) {
+      errors.push('fromTrack must be internal, closed (alpha), open (beta), production or a custom track name');
+    } else if (operation.fromTrack === operation.track) {
+      errors.push('fromTrack and track must be different');
+    }
+  }
+
+  if (input.userFraction !== undefined && input.userFraction !== null) {
+    const userFraction = Number(input.userFraction);
+    if (!(userFraction > 0 && userFraction <= 1)) {
+      errors.push('userFraction must be greater than 0 and at most 1');
+    } else if (userFraction < 1 && UNSTAGED_TRACKS.includes(operation.track)) {
+      errors.push(`Staged rollouts are not available on the ${operation.track} track`);
+    } else {
+      operation.userFraction = userFraction;
+    }
+  } else if (action === 'rollout') {
+    errors.push('userFraction is required');
+  }
+
+  if (input.versionCode !== undefined && input.versionCode !== null) {
+    const versionCode = Number(input.versionCode);
+    if (!Number.isInteger(versionCode) || versionCode < 1) {
+      errors.push('versionCode must be a positive integer');
+    } else {
+      operation.versionCode = versionCode;
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    operation
+  };
+};
+
+const releaseVersionCodes = (release) => (release.versionCodes || []).map(Number);
+
+/**
+ * Newest release on a track in one of the statuses, optionally the one holding versionCode
+ */
+const findRelease = (releases, statuses, versionCode) => releases
+  .filter(release => statuses.includes(release.status) &&
+    (!versionCode || releaseVersionCodes(release).includes(versionCode)))
+  .sort((a, b) => Math.max(...releaseVersionCodes(b)) - Math.max(...releaseVersionCodes(a)))[0] || null;
+
+/**
+ * Roll a staged release out to userFraction of the users, completing it at 1
+ */
+const rolloutRelease = (release, userFraction) => {
+  if (userFraction === 1) {
+    const completed = { ...release, status: 'completed' };
+    delete completed.userFraction;
+    return completed;
+  }
+  return { ...release, status: 'inProgress', userFraction };
+};
+
+/**
+ * Work out the releases of the changed track
+ * @param {Object} operation - From validateTrackOperation
+ * @param {Object} tracks - { source, target } releases of fromTrack and track
+ * @returns {Object} { releases, release } or { errors } when the tracks do not allow it
+ */
+const planTrackUpdate = (operation, { source = [], target = [] }) => {
+  const { action, track, fromTrack, versionCode } = operation;
+
+  if (action === 'promote') {
+    const release = findRelease(source, ['completed', 'inProgress'], versionCode);
+    if (!release) {
+      return { errors: [versionCode ? `Version code ${versionCode} is not on the ${fromTrack} track` : `No release to promote on the ${fromTrack} track`] };
+    }
+
+    const userFraction = operation.userFraction ?? 1;
+    const promoted = {
+      name: release.name,
+      versionCodes: release.versionCodes,
+      ...(release.releaseNotes && { releaseNotes: release.releaseNotes }),
+      status: userFraction < 1 ? 'inProgress' : 'completed',
+      ...(userFraction < 1 && { userFraction })
+    };
+
+    // During a staged rollout everyone else keeps the current release
+    return {
+      release: promoted,
+      releases: userFraction < 1
+        ? [...target.filter(item => item.status === 'completed'), promoted]
+        : [promoted]
+    };
+  }
+
+  if (action === 'halt') {
+    const release = findRelease(target, ['inProgress'], versionCode);
+    if (!release) {
+      return { errors: [`No staged rollout in progress on the ${track} track`] };
+    }
+
+    const halted = { ...release, status: 'halted' };
+    return { release: halted, releases: target.map(item => (item === release ? halted : item)) };
+  }
+
+  // rollout and resume
+  const release = findRelease(target, action === 'resume' ? ['halted'] : ['inProgress', 'halted'], versionCode);
+  if (!release) {
+    return { errors: [action === 'resume' ? `No halted rollout on the ${track} track` : `No staged rollout on the ${track} track`] };
+  }
+
+  const userFraction = operation.userFraction ?? release.userFraction;
+  if (userFraction < release.userFraction) {
+    return { errors: [`userFraction cannot be lowered below the current ${release.userFraction}`] };
+  }
+
+  const updated = rolloutRelease(release, userFraction);
+  return {
+    release: updated,
+    // A completed rollout replaces the release users had before
+    releases: updated.status === 'completed'
+      ? [...target.filter(item => item.status === 'draft'), updated]
+      : target.map(item => (item === release ? updated : item))
+  };
+};
+
+/**
+ * Describe a release for responses and the audit trail
+ */
+const toReleaseState = (release) => ({
+  name: release.name || null,
+  versionCodes: releaseVersionCodes(release),
+  status: release.status,
+  userFraction: release.status === 'completed' ? 1 : release.userFraction ?? null,
+  releaseNotes: release.releaseNotes || []
+});
+
+/**
+ * Record a release operation in the app's audit trail; failures are logged, not thrown
+ * @param {Object} entry - { appId, userId, action, track, fromTrack, release, status, error, details }
+ */
+const recordReleaseAudit = async (entry) => {
+  const { appId, userId, action, track, fromTrack, release, status, error, details = {} } = entry;
+  const versionCodes = release ? releaseVersionCodes(release) : [];
+
+  try {
+    const [appRelease] = versionCodes.length > 0
+      ? await getAppReleases(appId, { versionCodes, limit: 1 })
+      : [];
+
+    return await createReleaseAuditEntry({
+      app_id: appId,
+      user_id: userId || null,
+      release_id: appRelease?.id || null,
+      store: GOOGLE_PLAY,
+      action,
+      track: track || null,
+      from_track: fromTrack || null,
+      version_codes: versionCodes,
+      user_fraction: release ? toReleaseState(release).userFraction : null,
+      status,
+      error: error || null,
+      details
+    });
+  } catch (auditError) {
+    console.error('Release audit entry not recorded:', auditError);
+    return null;
+  }
+};
+
+/**
+ * Keep the Google Play track and rollout of a release on the app release
+ */
+const syncAppRelease = async (appId, track, release) => {
+  const [appRelease] = await getAppReleases(appId, { versionCodes: releaseVersionCodes(release), limit: 1 });
+  if (!appRelease) return null;
+
+  const { status, userFraction } = toReleaseState(release);
+  return updateAppRelease(appRelease.id, {
+    publish_info: {
+      ...appRelease.publish_info,
+      [GOOGLE_PLAY]: {
+        ...appRelease.publish_info?.[GOOGLE_PLAY],
+        track,
+        rolloutStatus: status,
+        userFraction,
+        updatedAt: new Date().toISOString()
+      }
+    }
+  });
+};
+
+/**
+ * Read the releases on every track of a package
+ * @param {Object} service - Initialized GooglePlayConsoleService
+ * @returns {Promise<Object[]>} [{ track, releases }]
+ */
+const getTrackStates = async (service, packageName) => {
+  const edit = await service.createEdit(packageName);
+  if (!edit.success) {
+    throw new Error(edit.error);
+  }
+
+  try {
+    const result = await service.listTracks(packageName, edit.editId);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return result.tracks.map(track => ({
+      track: track.track,
+      releases: (track.releases || []).map(toReleaseState)
+    }));
+  } finally {
+    // Nothing was changed, so the edit is only discarded
+    await service.deleteEdit(packageName, edit.editId);
+  }
+};
+
+/**
+ * Run a track operation in its own edit and record it in the audit trail
+ * @param {Object} options - { service, appId, userId, packageName, operation }
+ *   operation comes from validateTrackOperation
+ * @returns {Promise<Object>} { track, release, audit } or { errors } when the
+ *   current tracks do not allow the operation
+ */
+const runTrackOperation = async (options) => {
+  const { service, appId, userId, packageName, operation } = options;
+  const { action, track, fromTrack } = operation;
+  let editId = null;
+
+  try {
+    const edit = await service.createEdit(packageName);
+    if (!edit.success) {
+      throw new Error(edit.error);
+    }
+    editId = edit.editId;
+
+    const listed = await service.listTracks(packageName, editId);
+    if (!listed.success) {
+      throw new Error(listed.error);
+    }
+    const releasesOf = (name) => listed.tracks.find(item => item.track === name)?.releases || [];
+
+    const plan = planTrackUpdate(operation, { source: releasesOf(fromTrack), target: releasesOf(track) });
+    if (plan.errors) {
+      await service.deleteEdit(packageName, editId);
+      const audit = await recordReleaseAudit({
+        appId, userId, action, track, fromTrack,
+        status: 'failed',
+        error: plan.errors.join('; '),
+        details: { packageName }
+      });
+      return { errors: plan.errors, audit };
+    }
+
+    const updated = await service.updateTrack(packageName, editId, track, plan.releases);
+    if (!updated.success) {
+      throw new Error(updated.error);
+    }
+
+    const committed = await service.commitEdit(packageName, editId);
+    if (!committed.success) {
+      throw new Error(committed.error);
+    }
+    editId = null;
+
+    await syncAppRelease(appId, track, plan.release);
+    const audit = await recordReleaseAudit({
+      appId, userId, action, track, fromTrack,
+      release: plan.release,
+      status: 'succeeded',
+      details: { packageName, editId: edit.editId }
+    });
+
+    return {
+      track: {
+        track,
+        releases: (updated.track.releases || plan.releases).map(toReleaseState)
+      },
+      release: toReleaseState(plan.release),
+      audit
+    };
+  } catch (error) {
+    console.error('Track Operation Error:', error);
+    if (editId) {
+      await service.deleteEdit(packageName, editId);
+    }
+    await recordReleaseAudit({
+      appId, userId, action, track, fromTrack,
+      status: 'failed',
+      error: error.message,
+      details: { packageName }
+    });
+    throw new Error(`Failed to ${action} release: ${error.message}`);
+  }
+};
+
+/**
+ * Get the release audit trail of an app, newest first
+ * @param {Object} options - { track, limit }
+ */
+const getReleaseAuditTrail = (appId, options = {}) => getReleaseAuditEntries(appId, {
+  ...options,
+  track: options.track ? normalizeTrack(options.track) : undefined
+});
+
+export {
+  TRACK_ACTIONS,
+  STANDARD_TRACKS,
+  UNSTAGED_TRACKS,
+  normalizeTrack,
+  validateTrackOperation,
+  planTrackUpdate,
+  toReleaseState,
+  recordReleaseAudit,
+  syncAppRelease,
+  getTrackStates,
+  runTrackOperation,
+  getReleaseAuditTrail
+};
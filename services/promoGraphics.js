@@ -0,0 +1,414 @@
+import sharp from 'sharp';
+import { renderIcon, CATEGORY_COLORS } from './iconGenerator.js';
+import { loadSourceIcon } from './apkBuilder.js';
+import { generateDescription } from './aiAnalyzer.js';
+import { shade, luminance, contrastText } from './brandKit.js';
+import { uploadFile } from './database.js';
+
+/**
+ * Promo graphics
+ * Composes the store promo assets from the app icon, name, a tagline and the
+ * brand colours, using one of the layout templates below. Assets are keyed by
+ * the PARTNER_PLATFORMS store they are uploaded to.
+ *
+ * Options:
+ *   template  string   - centered, split, spotlight or minimal (default centered)
+ *   assets    string[] - asset IDs below (default all)
+ *   tagline   string   - defaults to the short description from generateDescription
+ *   colors    Object   - { background, accent, text } hex colours; they default to the
+ *                        brand kit extracted from the site, then background to the app's
+ *                        theme colour, accent to a shade of it and text to black or white,
+ *                        whichever reads better on the background
+ */
+
+const PROMO_ASSETS = {
+  feature_graphic: { name: 'Feature graphic', store: 'GOOGLE_PLAY', width: 1024, height: 500, format: 'png' },
+  tv_banner: { name: 'TV banner', store: 'GOOGLE_PLAY', width: 1280, height: 720, format: 'png' },
+  promo_graphic: { name: 'Promo graphic', store: 'GOOGLE_PLAY', width: 180, height: 120, format: 'png' },
+  app_store_promo: { name: 'Promotional image', store: 'APPLE_APP_STORE', width: 1200, height: 630, format: 'jpeg' }
+};
+
+const PROMO_TEMPLATES = {
+  centered: 'Icon above the name and tagline on a diagonal brand gradient',
+  split: 'Icon on the left, name and tagline beside it, accent shape on the right',
+  spotlight: 'Name and tagline on a dark background with a large glowing icon',
+  minimal: 'Light background with the icon and name in a row and an accent bar'
+};
+
+const MAX_TAGLINE_LENGTH = 80;
+const HEX_COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+
+// Average glyph width of the bold sans-serif faces, as a share of the font size
+const GLYPH_WIDTH = 0.6;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Validate promo options
+ * @param {Object} input - { template, assets, tagline, colors }
+ * @returns {Object} { isValid, errors, options }
+ */
+const validatePromoOptions = (input = {}) => {
+  const errors = [];
+  const {
+    template = 'centered',
+    assets = Object.keys(PROMO_ASSETS),
+    tagline,
+    colors = {}
+  } = input;
+
+  if (!PROMO_TEMPLATES[template]) {
+    errors.push(`template must be one of ${Object.keys(PROMO_TEMPLATES).join(', ')}`);
+  }
+  if (!Array.isArray(assets) || assets.length === 0 || assets.some(asset => !PROMO_ASSETS[asset])) {
+    errors.push(`assets must list one or more of ${Object.keys(PROMO_ASSETS).join(', ')}`);
+  }
+  if (tagline !== undefined && tagline !== null &&
+      (typeof tagline !== 'string' || tagline.length > MAX_TAGLINE_LENGTH)) {
+    errors.push(`tagline must be a string of at most ${MAX_TAGLINE_LENGTH} characters`);
+  }
+
+  const validColors = {};
+  if (colors === null || typeof colors !== 'object' || Array.isArray(colors)) {
+    errors.push('colors must be an object');
+  } else {
+    for (const [key, value] of Object.entries(colors)) {
+      if (!['background', 'accent', 'text'].includes(key)) {
+        errors.push(`Unknown color: ${key}`);
+      } else if (typeof value !== 'string' || !HEX_COLOR_PATTERN.test(value)) {
+        errors.push(`colors.${key} must be a hex color`);
+      } else {
+        validColors[key] = value;
+      }
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    options: {
+      template,
+      assets: Array.isArray(assets) ? [...new Set(assets)] : [],
+      tagline: typeof tagline === 'string' ? tagline.trim() || null : null,
+      colors: validColors
+    }
+  };
+};
+
+/**
+ * Fill in the colours the owner did not pick
+ */
+const resolvePromoColors = (colors = {}, { brand, themeColor, category } = {}) => {
+  const background = colors.background || brand?.primary || themeColor || CATEGORY_COLORS[category] || CATEGORY_COLORS.default;
+  const brandAccent = !colors.background || colors.background === brand?.primary ? brand?.accent : null;
+  return {
+    background,
+    accent: colors.accent || brandAccent || shade(background, luminance(background) > 0.4 ? -0.3 : 0.35),
+    text: colors.text || contrastText(background)
+  };
+};
+
+/**
+ * Largest font size up to max at which text fits the width on one line
+ */
+const fitFontSize = (text, width, max) => Math.max(Math.min(max, Math.floor(width / (Math.max(text.length, 1) * GLYPH_WIDTH))), 6);
+
+/**
+ * Split text into at most maxLines lines of the width; the last line is
+ * cut with an ellipsis when the text does not fit
+ */
+const wrapText = (text, width, fontSize, maxLines) => {
+  const maxChars = Math.max(Math.floor(width / (fontSize * GLYPH_WIDTH * 0.9)), 1);
+  const lines = [];
+  let line = '';
+
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    if (line && `${line} ${word}`.length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+
+  if (lines.length > maxLines) {
+    const last = lines.slice(maxLines - 1).join(' ');
+    lines.length = maxLines - 1;
+    lines.push(`${last.slice(0, Math.max(maxChars - 1, 1)).trimEnd()}…`);
+  }
+  return lines.map(value => value.length > maxChars ? `${value.slice(0, maxChars - 1)}…` : value);
+};
+
+/**
+ * SVG text block, one <text> per line
+ */
+const textBlock = (lines, { x, y, fontSize, color, anchor = 'start', weight = 'bold', opacity = 1, lineHeight = 1.2 }) =>
+  lines.map((line, index) => `
+    <text x="${x}" y="${Math.round(y + index * fontSize * lineHeight)}" text-anchor="${anchor}"
+          font-family="${FONT_FAMILY}" font-size="${fontSize}" font-weight="${weight}"
+          fill="${color}" fill-opacity="${opacity}">${escapeXml(line)}</text>`).join('');
+
+/**
+ * Layout of each template for a canvas: the SVG behind the icon and where the icon goes.
+ * Text is laid out from the canvas height so the same template works from the
+ * 180x120 promo graphic up to the TV banner.
+ */
+const TEMPLATE_LAYOUTS = {
+  centered: ({ width, height, name, tagline, colors }) => {
+    const iconSize = Math.round(height * 0.34);
+    const nameSize = fitFontSize(name, width * 0.86, Math.round(height * 0.12));
+    const taglineSize = Math.round(height * 0.055);
+    const taglineLines = tagline ? wrapText(tagline, width * 0.8, taglineSize, 2) : [];
+    const blockHeight = iconSize + height * 0.06 + nameSize + taglineLines.length * taglineSize * 1.3;
+    const top = Math.round((height - blockHeight) / 2);
+    const nameY = Math.round(top + iconSize + height * 0.06 + nameSize * 0.8);
+
+    return {
+      icon: { size: iconSize, left: Math.round((width - iconSize) / 2), top, tile: true },
+      svg: `
+        <defs>
+          <linearGradient id="bg" x1="0%" y1="0%" x2="100%" y2="100%">
+            <stop offset="0%" stop-color="${colors.background}"/>
+            <stop offset="100%" stop-color="${colors.accent}"/>
+          </linearGradient>
+        </defs>
+        <rect width="100%" height="100%" fill="url(#bg)"/>
+        ${textBlock([name], { x: width / 2, y: nameY, fontSize: nameSize, color: colors.text, anchor: 'middle' })}
+        ${textBlock(taglineLines, { x: width / 2, y: nameY + taglineSize * 1.6, fontSize: taglineSize, color: colors.text, anchor: 'middle', weight: 'normal', opacity: 0.9, lineHeight: 1.3 })}`
+    };
+  },
+
+  split: ({ width, height, name, tagline, colors }) => {
+    const iconSize = Math.round(height * 0.46);
+    const iconLeft = Math.round(width * 0.07);
+    const textLeft = iconLeft + iconSize + Math.round(width * 0.05);
+    const textWidth = width * 0.92 - textLeft;
+    const nameSize = fitFontSize(name, textWidth, Math.round(height * 0.13));
+    const taglineSize = Math.round(height * 0.06);
+    const taglineLines = tagline ? wrapText(tagline, textWidth, taglineSize, 2) : [];
+    const blockHeight = nameSize + (taglineLines.length ? taglineSize * 0.6 + taglineLines.length * taglineSize * 1.3 : 0);
+    const nameY = Math.round((height - blockHeight) / 2 + nameSize * 0.8);
+
+    return {
+      icon: { size: iconSize, left: iconLeft, top: Math.round((height - iconSize) / 2), tile: true },
+      svg: `
+        <rect width="100%" height="100%" fill="${colors.background}"/>
+        <circle cx="${width * 1.02}" cy="${height * 0.5}" r="${height * 0.75}" fill="${colors.accent}" fill-opacity="0.55"/>
+        <circle cx="${width * 0.95}" cy="${height * 1.05}" r="${height * 0.4}" fill="${colors.accent}" fill-opacity="0.8"/>
+        ${textBlock([name], { x: textLeft, y: nameY, fontSize: nameSize, color: colors.text })}
+        ${textBlock(taglineLines, { x: textLeft, y: nameY + taglineSize * 1.7, fontSize: taglineSize, color: colors.text, weight: 'normal', opacity: 0.9, lineHeight: 1.3 })}`
+    };
+  },
+
+  spotlight: ({ width, height, name, tagline, colors }) => {
+    const background = shade(colors.background, -0.65);
+    const iconSize = Math.round(height * 0.62);
+    const iconCenterX = Math.round(width * 0.76);
+    const textLeft = Math.round(width * 0.07);
+    const textWidth = width * 0.5;
+    const nameSize = fitFontSize(name, textWidth, Math.round(height * 0.13));
+    const taglineSize = Math.round(height * 0.06);
+    const taglineLines = tagline ? wrapText(tagline, textWidth, taglineSize, 3) : [];
+    const blockHeight = nameSize + (taglineLines.length ? taglineSize * 0.6 + taglineLines.length * taglineSize * 1.3 : 0);
+    const nameY = Math.round((height - blockHeight) / 2 + nameSize * 0.8);
+
+    return {
+      icon: { size: iconSize, left: iconCenterX - Math.round(iconSize / 2), top: Math.round((height - iconSize) / 2), tile: true },
+      svg: `
+        <defs>
+          <radialGradient id="glow" cx="50%" cy="50%" r="50%">
+            <stop offset="0%" stop-color="${colors.accent}" stop-opacity="0.9"/>
+            <stop offset="100%" stop-color="${colors.accent}" stop-opacity="0"/>
+          </radialGradient>
+        </defs>
+        <rect width="100%" height="100%" fill="${background}"/>
+        <circle cx="${iconCenterX}" cy="${height / 2}" r="${iconSize * 0.95}" fill="url(#glow)"/>
+        ${textBlock([name], { x: textLeft, y: nameY, fontSize: nameSize, color: contrastText(background) })}
+        ${textBlock(taglineLines, { x: textLeft, y: nameY + taglineSize * 1.7, fontSize: taglineSize, color: colors.accent, weight: 'normal', lineHeight: 1.3 })}`
+    };
+  },
+
+  minimal: ({ width, height, name, tagline, colors }) => {
+    const background = '#F9FAFB';
+    const text = contrastText(background);
+    const iconSize = Math.round(height * 0.26);
+    const gap = Math.round(height * 0.05);
+    const nameSize = fitFontSize(name, width * 0.84 - iconSize - gap, Math.round(height * 0.12));
+    const rowWidth = iconSize + gap + name.length * nameSize * GLYPH_WIDTH;
+    const rowLeft = Math.round((width - rowWidth) / 2);
+    const taglineSize = Math.round(height * 0.055);
+    const taglineLines = tagline ? wrapText(tagline, width * 0.8, taglineSize, 2) : [];
+    const blockHeight = iconSize + (taglineLines.length ? height * 0.06 + taglineLines.length * taglineSize * 1.3 : 0);
+    const top = Math.round((height - blockHeight) / 2 - height * 0.03);
+
+    return {
+      icon: { size: iconSize, left: rowLeft, top, tile: false },
+      svg: `
+        <rect width="100%" height="100%" fill="${background}"/>
+        <rect y="${height - Math.round(height * 0.06)}" width="100%" height="${Math.round(height * 0.06)}" fill="${colors.background}"/>
+        ${textBlock([name], { x: rowLeft + iconSize + gap, y: Math.round(top + iconSize / 2 + nameSize * 0.35), fontSize: nameSize, color: text })}
+        ${textBlock(taglineLines, { x: width / 2, y: Math.round(top + iconSize + height * 0.06 + taglineSize), fontSize: taglineSize, color: text, anchor: 'middle', weight: 'normal', opacity: 0.75, lineHeight: 1.3 })}`
+    };
+  }
+};
+
+/**
+ * Icon artwork for a promo: on a rounded white tile unless the template draws it bare
+ */
+const renderIconTile = async (sourceIcon, size, tile) => {
+  if (!tile) {
+    return sharp(sourceIcon)
+      .resize(size, size, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .png()
+      .toBuffer();
+  }
+
+  const radius = Math.round(size * 0.22);
+  const inset = Math.round(size * 0.12);
+  const logo = await sharp(sourceIcon)
+    .resize(size - inset * 2, size - inset * 2, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+    .png()
+    .toBuffer();
+  const card = Buffer.from(`
+    <svg width="${size}" height="${size}" xmlns="http://www.w3.org/2000/svg">
+      <rect width="${size}" height="${size}" rx="${radius}" ry="${radius}" fill="#FFFFFF"/>
+    </svg>
+  `);
+
+  return sharp(card)
+    .composite([{ input: logo, left: inset, top: inset }])
+    .png()
+    .toBuffer();
+};
+
+/**
+ * Render one promo asset
+ * @param {Object} options - { asset, template, appName, tagline, colors, sourceIcon }
+ *   colors must be complete (see resolvePromoColors); sourceIcon is a PNG/JPEG buffer
+ * @returns {Promise<Buffer>} Image in the asset's format, without transparency
+ */
+const renderPromoAsset = async (options) => {
+  const { asset, template = 'centered', appName, tagline, colors, sourceIcon } = options;
+  const { width, height, format } = PROMO_ASSETS[asset];
+
+  const layout = TEMPLATE_LAYOUTS[template]({
+    width,
+    height,
+    name: appName,
+    // The smallest asset has no room for a tagline
+    tagline: height >= 200 ? tagline : null,
+    colors
+  });
+
+  const background = Buffer.from(`
+    <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+      ${layout.svg}
+    </svg>
+  `);
+  const icon = await renderIconTile(sourceIcon, layout.icon.size, layout.icon.tile);
+
+  const composed = await sharp(background)
+    .composite([{ input: icon, left: layout.icon.left, top: layout.icon.top }])
+    .png()
+    .toBuffer();
+
+  // Play rejects feature graphics with an alpha channel
+  const image = sharp(composed).flatten({ background: colors.background });
+
+  return format === 'jpeg'
+    ? image.jpeg({ quality: 90 }).toBuffer()
+    : image.png().toBuffer();
+};
+
+/**
+ * The app icon to compose, or its initial on the accent colour when it has none
+ */
+const resolvePromoIcon = async ({ assets, appName, category, accent }) => {
+  if (Object.keys(assets?.icons || {}).length > 0) {
+    return loadSourceIcon(assets);
+  }
+  return renderIcon({ appName, category, size: 512, backgroundColor: accent });
+};
+
+/**
+ * Generate an app's promo assets
+ * @param {Object} appPackage - App package with metadata, configuration and assets
+ * @param {Object} options - Validated promo options
+ * @param {Object} settings - { appId, upload, features }; without upload, assets are
+ *   returned as data URLs for previews. features feed the generated tagline
+ * @returns {Promise<Object>} { template, tagline, colors, assets }
+ */
+const generatePromoAssets = async (appPackage, options, settings = {}) => {
+  const { appId, upload = true, features } = settings;
+
+  try {
+    const { metadata = {}, configuration = {} } = appPackage;
+    const appName = metadata.name;
+    const colors = resolvePromoColors(options.colors, {
+      brand: appPackage.brand?.colors,
+      themeColor: configuration.pwa?.themeColor,
+      category: metadata.category
+    });
+
+    let tagline = options.tagline;
+    if (!tagline) {
+      const descriptions = await generateDescription({
+        appName,
+        url: configuration.webview?.url,
+        features
+      });
+      tagline = (descriptions.short || '').slice(0, MAX_TAGLINE_LENGTH).trim() || null;
+    }
+
+    const sourceIcon = await resolvePromoIcon({
+      assets: appPackage.assets,
+      appName,
+      category: metadata.category,
+      accent: colors.accent
+    });
+
+    const assets = [];
+    for (const asset of options.assets) {
+      const { name, store, width, height, format } = PROMO_ASSETS[asset];
+      const image = await renderPromoAsset({ asset, template: options.template, appName, tagline, colors, sourceIcon });
+      const contentType = `image/${format}`;
+      const result = { asset, name, store, width, height, format };
+
+      if (upload) {
+        const extension = format === 'jpeg' ? 'jpg' : format;
+        const uploaded = await uploadFile('app-assets', `promo/${appId || 'preview'}/${Date.now()}-${asset}.${extension}`, image, {
+          contentType
+        });
+        assets.push({ ...result, url: uploaded.publicUrl, path: uploaded.path });
+      } else {
+        assets.push({ ...result, url: `data:${contentType};base64,${image.toString('base64')}` });
+      }
+    }
+
+    return {
+      template: options.template,
+      tagline,
+      colors,
+      assets,
+      generatedAt: new Date().toISOString()
+    };
+  } catch (error) {
+    console.error('Promo Graphics Error:', error);
+    throw new Error(`Failed to generate promo assets: ${error.message}`);
+  }
+};
+
+export {
+  PROMO_ASSETS,
+  PROMO_TEMPLATES,
+  validatePromoOptions,
+  resolvePromoColors,
+  renderPromoAsset,
+  generatePromoAssets
+};
@@ -0,0 +1,91 @@
+/**
+ * Protocol Buffers wire-format helpers
+ * Encodes messages described as field lists, which is all the app bundle
+ * format (aapt2 proto resources, BundleConfig) needs from protobuf.
+ *
+ * A message is an array of [fieldNumber, type, value] tuples where type is one
+ * of 'varint', 'bool', 'string', 'bytes', 'message' or 'float'. Undefined
+ * values are skipped. Arrays of scalars encode repeated fields; repeated
+ * messages are passed through repeated(), and an empty message as Buffer.alloc(0).
+ */
+
+const WIRE_TYPES = {
+  VARINT: 0,
+  FIXED32: 5,
+  LENGTH_DELIMITED: 2
+};
+
+const encodeVarint = (value) => {
+  let remaining = BigInt.asUintN(64, BigInt(value));
+  const bytes = [];
+  do {
+    let byte = Number(remaining & 0x7fn);
+    remaining >>= 7n;
+    if (remaining > 0n) byte |= 0x80;
+    bytes.push(byte);
+  } while (remaining > 0n);
+  return Buffer.from(bytes);
+};
+
+const encodeKey = (fieldNumber, wireType) => encodeVarint((fieldNumber << 3) | wireType);
+
+const encodeField = (fieldNumber, type, value) => {
+  switch (type) {
+    case 'varint':
+      return Buffer.concat([encodeKey(fieldNumber, WIRE_TYPES.VARINT), encodeVarint(value)]);
+    case 'bool':
+      return Buffer.concat([encodeKey(fieldNumber, WIRE_TYPES.VARINT), encodeVarint(value ? 1 : 0)]);
+    case 'float': {
+      const buffer = Buffer.alloc(4);
+      buffer.writeFloatLE(value, 0);
+      return Buffer.concat([encodeKey(fieldNumber, WIRE_TYPES.FIXED32), buffer]);
+    }
+    case 'string':
+    case 'bytes':
+    case 'message': {
+      let payload;
+      if (type === 'string') payload = Buffer.from(value, 'utf8');
+      else if (type === 'message' && !Buffer.isBuffer(value)) payload = encodeMessage(value);
+      else payload = value;
+      return Buffer.concat([
+        encodeKey(fieldNumber, WIRE_TYPES.LENGTH_DELIMITED),
+        encodeVarint(payload.length),
+        payload
+      ]);
+    }
+    default:
+      throw new Error(`Unsupported protobuf field type: ${type}`);
+  }
+};
+
+/**
+ * Encode a message from its field list
+ * @param {Array} fields - [[fieldNumber, type, value], ...]
+ * @returns {Buffer} Encoded message
+ */
+const encodeMessage = (fields) => {
+  const parts = [];
+  for (const [fieldNumber, type, value] of fields) {
+    if (value === undefined || value === null) continue;
+
+    let values = [value];
+    if (Array.isArray(value) && (type !== 'message' || value.every(Buffer.isBuffer))) {
+      // Repeated scalars, or repeated messages produced by repeated()
+      values = value;
+    }
+
+    values.forEach(item => parts.push(encodeField(fieldNumber, type, item)));
+  }
+  return Buffer.concat(parts);
+};
+
+/**
+ * Mark a list of messages as a repeated field
+ */
+const repeated = (messages) => messages.map(message => (Buffer.isBuffer(message) ? message : encodeMessage(message)));
+
+export {
+  encodeVarint,
+  encodeMessage,
+  repeated
+};
@@ -0,0 +1,130 @@
+import axios from 'axios';
+import dns from 'dns/promises';
+import net from 'net';
+
+/**
+ * Public Fetch
+ * Fetching pages, stylesheets and images of a customer's site without letting
+ * the site point the server at internal addresses (loopback, private networks,
+ * cloud metadata). Hosts are checked before every request, again after every
+ * redirect, and once more when the connection is made, so a host cannot
+ * resolve differently after it was checked.
+ */
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (compatible; RapidSaaSBot/1.0)';
+const DEFAULT_TIMEOUT_MS = 10000;
+const MAX_REDIRECTS = 5;
+
+// Browser requests that never leave the page
+const LOCAL_BROWSER_PROTOCOLS = ['data:', 'blob:', 'about:'];
+const BROWSER_NETWORK_PROTOCOLS = ['http:', 'https:', 'ws:', 'wss:'];
+
+// Loopback, private, link-local (cloud metadata), shared and reserved ranges;
+// IPv4 rules also cover IPv4-mapped IPv6 addresses
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * DNS lookup that refuses hosts resolving to non-public addresses; given to
+ * axios so it is also what the connection uses
+ */
+const publicLookup = async (hostname) => {
+  const addresses = await dns.lookup(hostname, { all: true });
+  if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+    throw new Error(`${hostname} is not a public host`);
+  }
+  return addresses;
+};
+
+const assertPublicHost = async (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) === 0) {
+    await publicLookup(host);
+  } else if (!isPublicAddress(host)) {
+    throw new Error(`${host} is not a public host`);
+  }
+};
+
+/**
+ * Throw unless a URL is http(s) on a host that resolves to public addresses only
+ */
+const assertPublicUrl = async (url) => {
+  const { protocol, hostname } = new URL(url);
+  if (!['http:', 'https:'].includes(protocol)) {
+    throw new Error(`Unsupported protocol: ${protocol}`);
+  }
+  await assertPublicHost(hostname);
+};
+
+/**
+ * GET a public URL, following redirects one at a time so every hop is checked
+ * @param {Object} options - axios options, e.g. { responseType, maxContentLength, timeout }
+ * @returns {Promise<Object>} { response, url } with the URL that answered
+ */
+const fetchPublic = async (url, options = {}) => {
+  let current = url;
+  for (let redirects = 0; ; redirects++) {
+    await assertPublicUrl(current);
+    const response = await axios.get(current, {
+      timeout: DEFAULT_TIMEOUT_MS,
+      ...options,
+      headers: { 'User-Agent': DEFAULT_USER_AGENT, ...options.headers },
+      maxRedirects: 0,
+      lookup: publicLookup,
+      validateStatus: status => status >= 200 && status < 400
+    });
+
+    const location = response.status >= 300 ? response.headers.location : null;
+    if (!location) {
+      return { response, url: current };
+    }
+    if (redirects >= MAX_REDIRECTS) {
+      throw new Error(`Too many redirects from ${url}`);
+    }
+    current = new URL(location, current).href;
+  }
+};
+
+/**
+ * Abort every request of a Puppeteer page that is not for a public host,
+ * including redirects, subresources and WebSockets opened by the page
+ */
+const guardPageRequests = async (page) => {
+  await page.setRequestInterception(true);
+  page.on('request', async (request) => {
+    // Another handler may already have answered the request
+    if (request.isInterceptResolutionHandled?.()) return;
+
+    try {
+      const { protocol, hostname } = new URL(request.url());
+      if (!LOCAL_BROWSER_PROTOCOLS.includes(protocol)) {
+        if (!BROWSER_NETWORK_PROTOCOLS.includes(protocol)) {
+          throw new Error(`Unsupported protocol: ${protocol}`);
+        }
+        await assertPublicHost(hostname);
+      }
+      await request.continue();
+    } catch (error) {
+      await request.abort('blockedbyclient').catch(() => {});
+    }
+  });
+};
+
+export {
+  assertPublicUrl,
+  fetchPublic,
+  guardPageRequests,
+  isPublicAddress,
+  DEFAULT_USER_AGENT
+};
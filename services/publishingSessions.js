@@ -0,0 +1,252 @@
+import crypto from 'crypto';
+import {
+  createPublishingSession,
+  getPublishingSessionById,
+  getPublishingSessionByState,
+  getPublishingSessions,
+  updatePublishingSession
+} from './database.js';
+import { GooglePlayConsoleService } from './googlePlayConsole.js';
+
+/**
+ * Publishing Sessions
+ * Store authorizations a platform user granted us, kept in publishing_sessions
+ * so they survive restarts and are shared by every server process.
+ *
+ * GET /api/publishing/authorize creates a pending session and passes its
+ * random oauth_state through Google's consent screen; the OAuth callback finds
+ * the session by that state, so the tokens end up with the user who started
+ * the flow. Tokens are encrypted at rest with AES-256-GCM. Each use gets its
+ * own GooglePlayConsoleService, whose initializeWithTokens refreshes expiring
+ * access tokens; refreshed tokens are written back to the session.
+ *
+ * Session statuses:
+ *   pending  - authorization URL issued, waiting for the OAuth callback
+ *   active   - authorized
+ *   expired  - Google rejected the tokens, or the callback never came
+ *   revoked  - revoked by the user
+ */
+
+const PUBLISHING_PROVIDERS = ['google-play'];
+const AUTHORIZATION_TTL_MS = 10 * 60 * 1000;
+const TOKEN_CIPHER = 'aes-256-gcm';
+const TOKEN_FORMAT = 'v1';
+
+let keyWarningShown = false;
+
+/**
+ * Key for token encryption: SHA-256 of PUBLISHING_TOKEN_KEY, or of JWT_SECRET
+ * when that is not set (changing either makes stored sessions unreadable)
+ */
+const getTokenKey = () => {
+  const secret = process.env.PUBLISHING_TOKEN_KEY || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('PUBLISHING_TOKEN_KEY is not configured');
+  }
+
+  if (!process.env.PUBLISHING_TOKEN_KEY && !keyWarningShown) {
+    console.warn('PUBLISHING_TOKEN_KEY not set, encrypting publishing tokens with a key derived from JWT_SECRET');
+    keyWarningShown = true;
+  }
+
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Encrypt a token as v1:<iv>:<auth tag>:<ciphertext>, all base64
+ */
+const encryptToken = (token) => {
+  if (!token) return null;
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(TOKEN_CIPHER, getTokenKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(token, 'utf8'), cipher.final()]);
+
+  return [TOKEN_FORMAT, iv.toString('base64'), cipher.getAuthTag().toString('base64'), encrypted.toString('base64')].join(':');
+};
+
+const decryptToken = (value) => {
+  if (!value) return null;
+
+  const [format, iv, tag, encrypted] = value.split(':');
+  if (format !== TOKEN_FORMAT) {
+    throw new Error(`Unsupported token format: ${format}`);
+  }
+
+  const decipher = crypto.createDecipheriv(TOKEN_CIPHER, getTokenKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Session as returned by the API, without tokens or OAuth state
+ */
+const toPublicSession = (session) => {
+  if (!session) return null;
+  const { access_token, refresh_token, oauth_state, ...publicSession } = session;
+  return publicSession;
+};
+
+const encryptTokenFields = (tokens) => ({
+  access_token: encryptToken(tokens.access_token),
+  token_expires_at: tokens.expiry_date ? new Date(tokens.expiry_date).toISOString() : null,
+  // Google only returns a refresh token on consent or when rotating it
+  ...(tokens.refresh_token ? { refresh_token: encryptToken(tokens.refresh_token) } : {})
+});
+
+const expireSession = (session) => updatePublishingSession(session.id, {
+  status: 'expired',
+  oauth_state: null,
+  access_token: null,
+  refresh_token: null
+}, [session.status]);
+
+/**
+ * Start authorizing a store account for a user
+ * @param {string} userId - Platform user
+ * @param {string} provider - Store (only google-play for now)
+ * @returns {Promise<Object>} { session, authorizationUrl }
+ */
+const startAuthorization = async (userId, provider = 'google-play') => {
+  if (!PUBLISHING_PROVIDERS.includes(provider)) {
+    throw new Error(`Unsupported publishing provider: ${provider}`);
+  }
+
+  const state = crypto.randomBytes(24).toString('hex');
+  const session = await createPublishingSession({
+    user_id: userId,
+    provider,
+    status: 'pending',
+    oauth_state: state
+  });
+
+  return {
+    session: toPublicSession(session),
+    authorizationUrl: new GooglePlayConsoleService().getAuthorizationUrl(state)
+  };
+};
+
+/**
+ * Finish the OAuth flow for the pending session the state was issued to
+ * @param {string} state - state query parameter of the callback
+ * @param {string} code - Authorization code from the callback
+ * @returns {Promise<Object|null>} Active session, or null for unknown or stale states
+ */
+const completeAuthorization = async (state, code) => {
+  const session = await getPublishingSessionByState(state);
+  if (!session) return null;
+
+  if (Date.now() - new Date(session.created_at).getTime() > AUTHORIZATION_TTL_MS) {
+    await expireSession(session);
+    return null;
+  }
+
+  const { tokens } = await new GooglePlayConsoleService().exchangeCodeForTokens(code);
+
+  const authorized = await updatePublishingSession(session.id, {
+    status: 'active',
+    oauth_state: null,
+    scope: tokens.scope || null,
+    authorized_at: new Date().toISOString(),
+    ...encryptTokenFields(tokens)
+  }, ['pending']);
+
+  return toPublicSession(authorized);
+};
+
+/**
+ * Open an active session of a user for publishing
+ * Expiring access tokens are refreshed (and stored) first. Sessions whose
+ * tokens Google no longer accepts are marked expired.
+ * @param {string} sessionId - Publishing session ID
+ * @param {string} userId - Platform user the session must belong to
+ * @returns {Promise<Object|null>} { session, service } with an initialized
+ *   GooglePlayConsoleService, or null when the user has to authorize again
+ */
+const openPublishingSession = async (sessionId, userId) => {
+  const session = await getPublishingSessionById(sessionId, userId);
+  if (!session || session.status !== 'active') return null;
+
+  let tokens;
+  try {
+    tokens = {
+      access_token: decryptToken(session.access_token),
+      refresh_token: decryptToken(session.refresh_token),
+      expiry_date: session.token_expires_at ? new Date(session.token_expires_at).getTime() : null
+    };
+  } catch (error) {
+    console.error('Publishing session tokens unreadable:', error.message);
+    await expireSession(session);
+    return null;
+  }
+
+  if (!tokens.refresh_token && tokens.expiry_date && tokens.expiry_date <= Date.now()) {
+    await expireSession(session);
+    return null;
+  }
+
+  const service = new GooglePlayConsoleService();
+  try {
+    await service.initializeWithTokens(tokens, {
+      onTokens: (refreshed) => updatePublishingSession(session.id, encryptTokenFields(refreshed), ['active'])
+    });
+  } catch (error) {
+    if (error.code === 'invalid_grant') {
+      await expireSession(session);
+      return null;
+    }
+    throw error;
+  }
+
+  const opened = await updatePublishingSession(session.id, { last_used_at: new Date().toISOString() }, ['active']);
+  return { session: toPublicSession(opened || session), service };
+};
+
+/**
+ * List the publishing sessions of a user, newest first
+ */
+const listPublishingSessions = async (userId) => {
+  const sessions = await getPublishingSessions(userId);
+  return sessions.map(toPublicSession);
+};
+
+/**
+ * Revoke a session: the tokens are revoked at Google (best effort) and deleted
+ * @returns {Promise<Object|null>} Revoked session, or null when the user has no such session
+ */
+const revokePublishingSession = async (sessionId, userId) => {
+  const session = await getPublishingSessionById(sessionId, userId);
+  if (!session) return null;
+  if (session.status === 'revoked') return toPublicSession(session);
+
+  try {
+    // Revoking the refresh token revokes its access tokens too
+    const token = decryptToken(session.refresh_token) || decryptToken(session.access_token);
+    if (token) {
+      await new GooglePlayConsoleService().revokeToken(token);
+    }
+  } catch (error) {
+    console.warn('Could not revoke publishing tokens at Google:', error.message);
+  }
+
+  const revoked = await updatePublishingSession(session.id, {
+    status: 'revoked',
+    revoked_at: new Date().toISOString(),
+    oauth_state: null,
+    access_token: null,
+    refresh_token: null
+  });
+
+  return toPublicSession(revoked);
+};
+
+export {
+  PUBLISHING_PROVIDERS,
+  encryptToken,
+  decryptToken,
+  startAuthorization,
+  completeAuthorization,
+  openPublishingSession,
+  listPublishingSessions,
+  revokePublishingSession
+};
@@ -0,0 +1,639 @@
+import {
+  upsertPushDevice,
+  getPushDevices,
+  disablePushDevices,
+  getPushDeviceByToken,
+  deletePushDevice,
+  getPushSegmentById,
+  createPushCampaign,
+  getPushCampaignById,
+  getPushCampaigns,
+  updatePushCampaign,
+  recordPushOpen,
+  claimNextPushCampaign,
+  getAppById,
+  recordEvent
+} from './database.js';
+import { getPushProvider } from './pushProviders.js';
+
+/**
+ * Push Notifications
+ * Device registration, audiences and scheduled campaigns for generated apps.
+ *
+ * Apps register their device tokens with POST /api/apps/:id/push/devices and
+ * report opened notifications with POST /api/apps/:id/push/opens, sending the
+ * registered token so every device counts once per campaign. The shells do
+ * both themselves once the page has asked for a token: iOS registers its APNs
+ * token, Android its FCM token (requested with the FCM_* client settings, see
+ * resolveFcmClientConfig) and Flutter whichever its platform uses.
+ *
+ * A campaign goes to every active device of the app, to a saved segment or to
+ * inline filters, and a background worker sends it once send_at is due.
+ * Delivery and open counts are kept on the campaign and written to
+ * analytics_events as push_delivery and push_open events.
+ *
+ * Campaign statuses:
+ *   scheduled  - waiting for send_at
+ *   sending    - claimed by the worker
+ *   sent       - delivered to at least one device, or the audience was empty
+ *   failed     - no device could be reached
+ *   cancelled  - cancelled before it was sent
+ */
+
+const PUSH_PLATFORMS = ['android', 'ios'];
+const MAX_SCHEDULE_DAYS = 30;
+const MAX_TITLE_LENGTH = 100;
+const MAX_BODY_LENGTH = 500;
+const MAX_DATA_BYTES = 2048; // Leaves room in the 4 KB APNs payload
+const MAX_TAGS = 20;
+const MAX_EXTERNAL_USER_IDS = 1000;
+const SEND_BATCH_SIZE = 500;
+const STALE_CAMPAIGN_MS = 10 * 60 * 1000;
+
+// Keys the shells read from the payload themselves
+const RESERVED_DATA_KEYS = ['aps', 'url', 'campaign_id', 'image_url'];
+
+const TOKEN_PATTERNS = {
+  ios: /^[0-9a-f]{64,200}$/i,
+  android: /^[A-Za-z0-9_:.-]{20,4096}$/
+};
+const LOCALE_PATTERN = /^[a-z]{2,3}([-_][a-z0-9]{2,8})*$/i;
+const TAG_PATTERN = /^[\w.:-]{1,50}$/;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const isHttpUrl = (value, protocols = ['http:', 'https:']) => {
+  try {
+    return protocols.includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Whether an app was built with push notifications
+ */
+const isPushEnabled = (app) => Boolean(app?.package_info?.configuration?.features?.pushNotifications);
+
+/**
+ * URL the shells call to register devices and report opens
+ * @returns {string|null} e.g. https://example.com/api/apps/<id>/push, or null without API_BASE_URL
+ */
+const resolvePushEndpoint = (appId) => {
+  const base = process.env.API_BASE_URL;
+  return base && appId ? `${base.replace(/\/+$/, '')}/apps/${appId}/push` : null;
+};
+
+/**
+ * Firebase settings the Android and Flutter shells request FCM tokens with
+ * FCM_SENDER_ID, FCM_PROJECT_ID, FCM_API_KEY and FCM_ANDROID_APP_ID come from the
+ * Firebase console; FCM_IOS_APP_ID is only needed by Flutter apps on iOS.
+ * @returns {Object|null} { senderId, projectId, apiKey, androidAppId, iosAppId }, or null when not configured
+ */
+const resolveFcmClientConfig = () => {
+  const {
+    FCM_SENDER_ID: senderId,
+    FCM_PROJECT_ID: projectId,
+    FCM_API_KEY: apiKey,
+    FCM_ANDROID_APP_ID: androidAppId,
+    FCM_IOS_APP_ID: iosAppId
+  } = process.env;
+
+  return senderId && projectId && apiKey && androidAppId
+    ? { senderId, projectId, apiKey, androidAppId, iosAppId: iosAppId || null }
+    : null;
+};
+
+/**
+ * Validate a device registration from an app
+ * @param {Object} input - { token, platform, locale, appVersion, externalUserId, tags }
+ * @returns {Object} { isValid, errors, device }
+ */
+const validateDevice = (input = {}) => {
+  const errors = [];
+  const { token, platform, locale, appVersion, externalUserId, tags = [] } = input;
+
+  if (!PUSH_PLATFORMS.includes(platform)) {
+    errors.push(`platform must be one of ${PUSH_PLATFORMS.join(', ')}`);
+  } else if (typeof token !== 'string' || !TOKEN_PATTERNS[platform].test(token)) {
+    errors.push(`token is not a valid ${platform === 'ios' ? 'APNs device' : 'FCM registration'} token`);
+  }
+  if (locale !== undefined && (typeof locale !== 'string' || locale.length > 20 || !LOCALE_PATTERN.test(locale))) {
+    errors.push('locale must be a language tag such as en or pt-BR');
+  }
+  if (appVersion !== undefined && (typeof appVersion !== 'string' || appVersion.length > 50)) {
+    errors.push('appVersion must be a string of at most 50 characters');
+  }
+  if (externalUserId !== undefined && externalUserId !== null &&
+      (typeof externalUserId !== 'string' || !externalUserId || externalUserId.length > 255)) {
+    errors.push('externalUserId must be a string of at most 255 characters');
+  }
+  if (!Array.isArray(tags) || tags.length > MAX_TAGS || tags.some(tag => typeof tag !== 'string' || !TAG_PATTERN.test(tag))) {
+    errors.push(`tags must be up to ${MAX_TAGS} names of letters, digits, ".", ":", "_" or "-"`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    device: errors.length > 0 ? null : {
+      token: platform === 'ios' ? token.toLowerCase() : token,
+      platform,
+      locale: locale || null,
+      app_version: appVersion || null,
+      external_user_id: externalUserId || null,
+      tags: [...new Set(tags)]
+    }
+  };
+};
+
+/**
+ * Validate audience filters, as saved on a segment or given inline to a campaign
+ * @param {Object} filters - { platforms, locales, tags, externalUserIds, activeWithinDays }
+ *   A device matches when it passes every filter that is set; tags must all be present
+ *   and locales match by prefix, so "en" covers "en-GB".
+ * @returns {Object} { isValid, errors, filters }
+ */
+const validateAudienceFilters = (filters = {}) => {
+  const errors = [];
+  const allowed = ['platforms', 'locales', 'tags', 'externalUserIds', 'activeWithinDays'];
+  const stringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item);
+
+  if (!isPlainObject(filters)) {
+    return { isValid: false, errors: ['filters must be an object'], filters: null };
+  }
+
+  for (const key of Object.keys(filters)) {
+    if (!allowed.includes(key)) {
+      errors.push(`Unknown filter "${key}" (use ${allowed.join(', ')})`);
+    }
+  }
+
+  const { platforms, locales, tags, externalUserIds, activeWithinDays } = filters;
+  if (platforms !== undefined && (!stringList(platforms) || platforms.some(platform => !PUSH_PLATFORMS.includes(platform)))) {
+    errors.push(`platforms must list ${PUSH_PLATFORMS.join(' and/or ')}`);
+  }
+  if (locales !== undefined && (!stringList(locales) || locales.some(locale => !LOCALE_PATTERN.test(locale)))) {
+    errors.push('locales must list language tags such as en or pt-BR');
+  }
+  if (tags !== undefined && (!stringList(tags) || tags.length > MAX_TAGS || tags.some(tag => !TAG_PATTERN.test(tag)))) {
+    errors.push(`tags must list up to ${MAX_TAGS} tag names`);
+  }
+  if (externalUserIds !== undefined && (!stringList(externalUserIds) || externalUserIds.length > MAX_EXTERNAL_USER_IDS)) {
+    errors.push(`externalUserIds must list up to ${MAX_EXTERNAL_USER_IDS} user IDs`);
+  }
+  if (activeWithinDays !== undefined && !(Number.isInteger(activeWithinDays) && activeWithinDays >= 1 && activeWithinDays <= 365)) {
+    errors.push('activeWithinDays must be a whole number of days between 1 and 365');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    filters: errors.length > 0 ? null : Object.fromEntries(Object.entries(filters)
+      .filter(([, value]) => value !== undefined))
+  };
+};
+
+/**
+ * Validate a segment
+ * @param {Object} input - { name, filters }
+ * @returns {Object} { isValid, errors, segment }
+ */
+const validateSegment = (input = {}) => {
+  const errors = [];
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+
+  if (!name || name.length > 100) {
+    errors.push('name is required and must be at most 100 characters');
+  }
+  const filters = validateAudienceFilters(input.filters ?? {});
+  errors.push(...filters.errors);
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    segment: errors.length > 0 ? null : { name, filters: filters.filters }
+  };
+};
+
+/**
+ * Whether a device matches audience filters
+ */
+const matchesAudience = (device, filters = {}, now = Date.now()) => {
+  const { platforms, locales, tags, externalUserIds, activeWithinDays } = filters;
+  const locale = (device.locale || '').toLowerCase().replace('_', '-');
+
+  if (platforms && !platforms.includes(device.platform)) return false;
+  if (locales && !locales.some(prefix => {
+    const wanted = prefix.toLowerCase().replace('_', '-');
+    return locale === wanted || locale.startsWith(`${wanted}-`);
+  })) return false;
+  if (tags && !tags.every(tag => (device.tags || []).includes(tag))) return false;
+  if (externalUserIds && !externalUserIds.includes(device.external_user_id)) return false;
+  if (activeWithinDays) {
+    const lastSeen = Date.parse(device.last_seen_at || device.created_at);
+    if (!(lastSeen >= now - activeWithinDays * 24 * 60 * 60 * 1000)) return false;
+  }
+  return true;
+};
+
+/**
+ * Validate a campaign from the composer
+ * @param {Object} input - { title, body, url, imageUrl, badge, data, audience, sendAt }
+ *   audience is { segmentId }, { filters } or omitted for every device
+ * @returns {Object} { isValid, errors, campaign } with campaign ready to store
+ */
+const validateCampaign = (input = {}) => {
+  const errors = [];
+  const { title, body, url, imageUrl, badge, data = {}, audience = {}, sendAt } = input;
+
+  if (typeof title !== 'string' || !title.trim() || title.length > MAX_TITLE_LENGTH) {
+    errors.push(`title is required and must be at most ${MAX_TITLE_LENGTH} characters`);
+  }
+  if (typeof body !== 'string' || !body.trim() || body.length > MAX_BODY_LENGTH) {
+    errors.push(`body is required and must be at most ${MAX_BODY_LENGTH} characters`);
+  }
+  if (url !== undefined && url !== null && !isHttpUrl(url)) {
+    errors.push('url must be an http or https URL');
+  }
+  if (imageUrl !== undefined && imageUrl !== null && !isHttpUrl(imageUrl, ['https:'])) {
+    errors.push('imageUrl must be an https URL');
+  }
+  if (badge !== undefined && badge !== null && !(Number.isInteger(badge) && badge >= 0 && badge <= 99999)) {
+    errors.push('badge must be a whole number between 0 and 99999');
+  }
+
+  if (!isPlainObject(data) || Object.values(data).some(value => value !== null && typeof value === 'object')) {
+    errors.push('data must be an object of strings, numbers or booleans');
+  } else if (Object.keys(data).some(key => RESERVED_DATA_KEYS.includes(key))) {
+    errors.push(`data cannot use the keys ${RESERVED_DATA_KEYS.join(', ')}`);
+  } else if (Buffer.byteLength(JSON.stringify(data)) > MAX_DATA_BYTES) {
+    errors.push(`data must be at most ${MAX_DATA_BYTES} bytes as JSON`);
+  }
+
+  let campaignAudience = {};
+  if (!isPlainObject(audience)) {
+    errors.push('audience must be an object');
+  } else if (audience.segmentId !== undefined && audience.filters !== undefined) {
+    errors.push('audience takes either segmentId or filters, not both');
+  } else if (audience.segmentId !== undefined) {
+    if (typeof audience.segmentId !== 'string' || !audience.segmentId) {
+      errors.push('audience.segmentId must be a segment ID');
+    }
+    campaignAudience = { segmentId: audience.segmentId };
+  } else if (audience.filters !== undefined) {
+    const filters = validateAudienceFilters(audience.filters);
+    errors.push(...filters.errors.map(error => `audience: ${error}`));
+    campaignAudience = { filters: filters.filters };
+  }
+
+  let sendTime = new Date();
+  if (sendAt !== undefined && sendAt !== null) {
+    const requested = new Date(sendAt);
+    if (typeof sendAt !== 'string' || Number.isNaN(requested.getTime())) {
+      errors.push('sendAt must be an ISO 8601 date');
+    } else if (requested.getTime() > Date.now() + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+      errors.push(`sendAt must be within ${MAX_SCHEDULE_DAYS} days`);
+    } else if (requested > sendTime) {
+      sendTime = requested;
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    campaign: errors.length > 0 ? null : {
+      message: {
+        title: title.trim(),
+        body: body.trim(),
+        url: url || null,
+        imageUrl: imageUrl || null,
+        badge: badge ?? null,
+        data
+      },
+      audience: campaignAudience,
+      send_at: sendTime.toISOString()
+    }
+  };
+};
+
+/**
+ * Register a device of an app, or refresh a known one
+ * @returns {Promise<Object>} { device } or { errors } when the registration is rejected
+ */
+const registerDevice = async (appId, input) => {
+  const validation = validateDevice(input);
+  if (!validation.isValid) {
+    return { errors: validation.errors };
+  }
+
+  const device = await upsertPushDevice({
+    app_id: appId,
+    ...validation.device,
+    disabled_at: null,
+    last_seen_at: new Date().toISOString()
+  });
+  return { device };
+};
+
+/**
+ * Remove a device token, e.g. when the user signs out
+ * @returns {Promise<boolean>} Whether the token was registered
+ */
+const unregisterDevice = (appId, token) => deletePushDevice(appId, token);
+
+/**
+ * Find the active devices an audience covers
+ * @param {Object} audience - Stored campaign audience
+ * @returns {Promise<Object[]>} Devices
+ */
+const resolveAudience = async (appId, audience = {}) => {
+  let filters = audience.filters || {};
+
+  if (audience.segmentId) {
+    const segment = await getPushSegmentById(audience.segmentId, appId);
+    if (!segment) {
+      throw new Error('Segment not found');
+    }
+    filters = segment.filters || {};
+  }
+
+  const devices = await getPushDevices(appId, { platforms: filters.platforms });
+  const now = Date.now();
+  return devices.filter(device => matchesAudience(device, filters, now));
+};
+
+/**
+ * Count the devices an audience covers, per platform
+ * @returns {Promise<Object>} { total, platforms: { android, ios } }
+ */
+const summarizeAudience = async (appId, audience = {}) => {
+  const devices = await resolveAudience(appId, audience);
+  const platforms = Object.fromEntries(PUSH_PLATFORMS.map(platform => [platform, 0]));
+  for (const device of devices) {
+    platforms[device.platform] += 1;
+  }
+  return { total: devices.length, platforms };
+};
+
+// Metrics must never stop delivery, so failures are only logged
+const recordPushEvent = async (appId, eventType, eventData) => {
+  try {
+    await recordEvent({ app_id: appId, event_type: eventType, event_data: eventData });
+  } catch (error) {
+    console.error('Push Metrics Error:', error.message);
+  }
+};
+
+/**
+ * Schedule a campaign from the composer
+ * @param {Object} options - { app, userId, input }
+ * @returns {Promise<Object>} { campaign } or { errors } when the campaign is rejected
+ */
+const scheduleCampaign = async ({ app, userId, input }) => {
+  try {
+    const validation = validateCampaign(input);
+    if (!validation.isValid) {
+      return { errors: validation.errors };
+    }
+
+    const { audience } = validation.campaign;
+    if (audience.segmentId && !await getPushSegmentById(audience.segmentId, app.id)) {
+      return { errors: ['audience.segmentId does not match a segment of this app'] };
+    }
+
+    const campaign = await createPushCampaign({
+      app_id: app.id,
+      user_id: userId,
+      ...validation.campaign,
+      status: 'scheduled',
+      stats: {}
+    });
+
+    if (campaign.send_at <= new Date().toISOString()) {
+      wakePushWorker();
+    }
+    return { campaign };
+  } catch (error) {
+    console.error('Schedule Campaign Error:', error);
+    throw new Error(`Failed to schedule push campaign: ${error.message}`);
+  }
+};
+
+/**
+ * Cancel a campaign that has not been sent yet
+ * @returns {Promise<Object|null>} Cancelled campaign, or null when it is no longer scheduled
+ */
+const cancelCampaign = (campaignId) => updatePushCampaign(campaignId, { status: 'cancelled' }, ['scheduled']);
+
+/**
+ * Send a claimed campaign to its audience
+ * @param {Object} campaign - Campaign in the sending state
+ * @returns {Promise<Object>} Updated campaign
+ */
+const deliverCampaign = async (campaign) => {
+  const stats = { targeted: 0, delivered: 0, failed: 0, invalid: 0, platforms: {} };
+  let firstError = null;
+
+  try {
+    const app = await getAppById(campaign.app_id);
+    if (!app) {
+      throw new Error('App not found');
+    }
+
+    const devices = await resolveAudience(campaign.app_id, campaign.audience);
+    const notification = {
+      ...campaign.message,
+      campaignId: campaign.id,
+      topic: app.package_info?.build?.ios?.bundleId
+    };
+
+    for (const platform of PUSH_PLATFORMS) {
+      const platformDevices = devices.filter(device => device.platform === platform);
+      if (platformDevices.length === 0) continue;
+
+      const counts = { targeted: platformDevices.length, delivered: 0, failed: 0, invalid: 0 };
+      const provider = getPushProvider(platform);
+
+      for (let start = 0; start < platformDevices.length; start += SEND_BATCH_SIZE) {
+        const batch = platformDevices.slice(start, start + SEND_BATCH_SIZE);
+        const results = provider
+          ? await provider.send(notification, batch)
+          : batch.map(({ token }) => ({ token, status: 'failed', error: `No push provider is configured for ${platform}` }));
+
+        for (const result of results) {
+          counts[result.status] += 1;
+          if (result.status !== 'delivered' && !firstError) {
+            firstError = result.error;
+          }
+        }
+        await disablePushDevices(campaign.app_id, results
+          .filter(result => result.status === 'invalid')
+          .map(result => result.token));
+      }
+
+      stats.platforms[platform] = counts;
+      for (const key of ['targeted', 'delivered', 'failed', 'invalid']) {
+        stats[key] += counts[key];
+      }
+      await recordPushEvent(campaign.app_id, 'push_delivery', {
+        campaign_id: campaign.id,
+        platform,
+        provider: provider?.name || null,
+        ...counts
+      });
+    }
+  } catch (error) {
+    console.error('Push Delivery Error:', error);
+    firstError = error.message;
+  }
+
+  // Opens can arrive while the campaign is sending
+  const current = await getPushCampaignById(campaign.id);
+  const delivered = stats.delivered > 0 || (stats.targeted === 0 && !firstError);
+
+  return updatePushCampaign(campaign.id, {
+    status: delivered ? 'sent' : 'failed',
+    stats: { ...stats, opened: current?.stats?.opened || 0 },
+    error: delivered ? null : firstError,
+    sent_at: new Date().toISOString()
+  }, ['sending']);
+};
+
+/**
+ * Record that a user opened a campaign's notification
+ * Opens are reported by registered devices and each device counts once per campaign.
+ * @param {Object} input - { campaignId, token, platform } where token is the device's registered token
+ * @returns {Promise<Object|null>} Campaign, or null when the campaign or device is not the app's
+ */
+const recordOpen = async (appId, { campaignId, token, platform } = {}) => {
+  try {
+    if (typeof campaignId !== 'string' || !campaignId) return null;
+    if (typeof token !== 'string' || !token) return null;
+
+    const campaign = await getPushCampaignById(campaignId, appId);
+    if (!campaign) return null;
+
+    const device = await getPushDeviceByToken(appId, token);
+    if (!device) return null;
+
+    if (!await recordPushOpen(campaign.id, device.id)) {
+      return campaign;
+    }
+
+    // analytics_events holds every first open; the campaign keeps a running total
+    const updated = await updatePushCampaign(campaign.id, {
+      stats: { ...campaign.stats, opened: (campaign.stats?.opened || 0) + 1 }
+    });
+    await recordPushEvent(appId, 'push_open', {
+      campaign_id: campaign.id,
+      platform: PUSH_PLATFORMS.includes(platform) ? platform : device.platform
+    });
+    return updated;
+  } catch (error) {
+    console.error('Record Push Open Error:', error);
+    throw new Error(`Failed to record push open: ${error.message}`);
+  }
+};
+
+/**
+ * Push worker
+ */
+
+let workerTimer = null;
+let workerBusy = false;
+
+/**
+ * Claim and send the next due campaign
+ * @returns {Promise<boolean>} Whether a campaign was sent
+ */
+const processNextPushCampaign = async () => {
+  if (workerBusy) return false;
+  workerBusy = true;
+
+  try {
+    const campaign = await claimNextPushCampaign();
+    if (!campaign) return false;
+
+    await deliverCampaign(campaign);
+    return true;
+  } catch (error) {
+    console.error('Push Worker Error:', error);
+    return false;
+  } finally {
+    workerBusy = false;
+  }
+};
+
+const drainPushQueue = async () => {
+  while (await processNextPushCampaign()) {
+    // Keep going until no campaign is due
+  }
+};
+
+const wakePushWorker = () => {
+  if (workerTimer) {
+    setImmediate(drainPushQueue);
+  }
+};
+
+/**
+ * Fail campaigns left sending by a worker that stopped. They are not resent,
+ * because some devices may already have received them.
+ */
+const recoverStalePushCampaigns = async () => {
+  const cutoff = new Date(Date.now() - STALE_CAMPAIGN_MS).toISOString();
+  const sending = await getPushCampaigns(null, { status: 'sending', limit: 100 });
+
+  for (const campaign of sending) {
+    if (campaign.started_at && campaign.started_at > cutoff) continue;
+    await updatePushCampaign(campaign.id, {
+      status: 'failed',
+      error: 'Push worker stopped while sending',
+      sent_at: new Date().toISOString()
+    }, ['sending']);
+  }
+};
+
+/**
+ * Start polling for due campaigns
+ * @param {Object} options - { pollInterval } in milliseconds
+ */
+const startPushWorker = (options = {}) => {
+  if (workerTimer) return;
+
+  const pollInterval = options.pollInterval || parseInt(process.env.PUSH_WORKER_POLL_MS) || 15000;
+
+  recoverStalePushCampaigns().catch(error => console.error('Push Recovery Error:', error));
+
+  workerTimer = setInterval(drainPushQueue, pollInterval);
+  workerTimer.unref();
+  console.log(`🔔 Push worker polling every ${pollInterval}ms`);
+};
+
+const stopPushWorker = () => {
+  clearInterval(workerTimer);
+  workerTimer = null;
+};
+
+export {
+  PUSH_PLATFORMS,
+  isPushEnabled,
+  resolvePushEndpoint,
+  resolveFcmClientConfig,
+  validateDevice,
+  validateAudienceFilters,
+  validateSegment,
+  validateCampaign,
+  matchesAudience,
+  registerDevice,
+  unregisterDevice,
+  resolveAudience,
+  summarizeAudience,
+  scheduleCampaign,
+  cancelCampaign,
+  deliverCampaign,
+  recordOpen,
+  processNextPushCampaign,
+  startPushWorker,
+  stopPushWorker
+};
@@ -0,0 +1,276 @@
+import axios from 'axios';
+import fs from 'fs';
+import http2 from 'http2';
+import jwt from 'jsonwebtoken';
+import { google } from 'googleapis';
+
+/**
+ * Push Providers
+ * Delivery backends for push campaigns, one per device platform. A provider is
+ *
+ *   { name, send(notification, devices) }
+ *
+ * where notification is { title, body, url, imageUrl, badge, data, topic } (topic
+ * is the iOS bundle ID) and send resolves to one result per device:
+ * { token, status: 'delivered' | 'failed' | 'invalid', error }. Invalid tokens
+ * are disabled so they are not sent to again.
+ *
+ * Providers come from the environment unless registered with registerPushProvider:
+ *   PUSH_PROVIDER=mock          the in-process mock for every platform (tests, local development)
+ *   FCM_SERVICE_ACCOUNT         Firebase service account JSON, or a path to it (android)
+ *   APNS_KEY, APNS_KEY_ID,      .p8 auth key (PEM or path), its key ID and the
+ *   APNS_TEAM_ID                Apple Developer Team ID (ios)
+ *   APNS_ENVIRONMENT            production (default) or sandbox
+ */
+
+const SEND_CONCURRENCY = 10;
+const APNS_TOKEN_TTL_MS = 50 * 60 * 1000; // Apple rejects tokens older than an hour
+const APNS_HOSTS = {
+  production: 'https://api.push.apple.com',
+  sandbox: 'https://api.sandbox.push.apple.com'
+};
+
+// Read a secret given inline or as a file path
+const readSecret = (value) => (value && fs.existsSync(value) ? fs.readFileSync(value, 'utf8') : value);
+
+/**
+ * Run send for every device with limited concurrency
+ */
+const sendEach = async (devices, send) => {
+  const results = new Array(devices.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < devices.length) {
+      const index = next++;
+      results[index] = await send(devices[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(SEND_CONCURRENCY, devices.length) }, worker));
+  return results;
+};
+
+// Custom keys travel as strings on both platforms
+const payloadData = (notification) => Object.fromEntries(Object.entries({
+  ...notification.data,
+  url: notification.url,
+  campaign_id: notification.campaignId
+}).filter(([, value]) => value !== undefined && value !== null).map(([key, value]) => [key, String(value)]));
+
+/**
+ * Firebase Cloud Messaging HTTP v1 provider
+ * @param {Object} serviceAccount - Firebase service account key
+ */
+const createFcmProvider = (serviceAccount) => {
+  const auth = new google.auth.GoogleAuth({
+    credentials: serviceAccount,
+    scopes: ['https://www.googleapis.com/auth/firebase.messaging']
+  });
+  const endpoint = `https://fcm.googleapis.com/v1/projects/${serviceAccount.project_id}/messages:send`;
+
+  return {
+    name: 'fcm',
+    send: async (notification, devices) => {
+      const accessToken = await auth.getAccessToken();
+
+      return sendEach(devices, async ({ token }) => {
+        try {
+          await axios.post(endpoint, {
+            message: {
+              token,
+              notification: {
+                title: notification.title,
+                body: notification.body,
+                image: notification.imageUrl || undefined
+              },
+              data: payloadData(notification),
+              android: { priority: 'high' }
+            }
+          }, {
+            headers: { Authorization: `Bearer ${accessToken}` },
+            timeout: 10000
+          });
+          return { token, status: 'delivered' };
+        } catch (error) {
+          const status = error.response?.data?.error?.status;
+          const invalid = status === 'NOT_FOUND' || status === 'UNREGISTERED' ||
+            (status === 'INVALID_ARGUMENT' && /registration token/i.test(error.response.data.error.message || ''));
+          return {
+            token,
+            status: invalid ? 'invalid' : 'failed',
+            error: error.response?.data?.error?.message || error.message
+          };
+        }
+      });
+    }
+  };
+};
+
+/**
+ * Apple Push Notification service provider (token-based authentication over HTTP/2)
+ * @param {Object} options - { key, keyId, teamId, environment }
+ */
+const createApnsProvider = ({ key, keyId, teamId, environment = 'production' }) => {
+  let authToken = null;
+  let authTokenIssuedAt = 0;
+
+  const bearer = () => {
+    if (!authToken || Date.now() - authTokenIssuedAt > APNS_TOKEN_TTL_MS) {
+      authToken = jwt.sign({ iss: teamId }, key, { algorithm: 'ES256', keyid: keyId });
+      authTokenIssuedAt = Date.now();
+    }
+    return authToken;
+  };
+
+  const post = (session, token, headers, payload) => new Promise((resolve, reject) => {
+    const request = session.request({
+      ':method': 'POST',
+      ':path': `/3/device/${token}`,
+      authorization: `bearer ${bearer()}`,
+      ...headers
+    });
+    let status = 0;
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('response', (responseHeaders) => { status = responseHeaders[':status']; });
+    request.on('data', (chunk) => { body += chunk; });
+    request.on('end', () => {
+      let reason = null;
+      try {
+        reason = body ? JSON.parse(body).reason : null;
+      } catch {
+        reason = body;
+      }
+      resolve({ status, reason });
+    });
+    request.on('close', () => resolve({ status, reason: status ? null : 'Request cancelled' }));
+    request.on('error', reject);
+    request.setTimeout(10000, () => request.close(http2.constants.NGHTTP2_CANCEL));
+    request.end(JSON.stringify(payload));
+  });
+
+  return {
+    name: 'apns',
+    send: async (notification, devices) => {
+      if (!notification.topic) {
+        return devices.map(({ token }) => ({ token, status: 'failed', error: 'The app has no iOS bundle ID' }));
+      }
+
+      const payload = {
+        aps: {
+          alert: { title: notification.title, body: notification.body },
+          sound: 'default',
+          ...(Number.isInteger(notification.badge) ? { badge: notification.badge } : {}),
+          ...(notification.imageUrl ? { 'mutable-content': 1 } : {})
+        },
+        ...payloadData(notification),
+        ...(notification.imageUrl ? { image_url: notification.imageUrl } : {})
+      };
+      const headers = {
+        'apns-topic': notification.topic,
+        'apns-push-type': 'alert',
+        'apns-priority': '10'
+      };
+
+      const session = http2.connect(APNS_HOSTS[environment] || APNS_HOSTS.production);
+      session.on('error', (error) => console.error('APNs Session Error:', error));
+
+      try {
+        return await sendEach(devices, async ({ token }) => {
+          try {
+            const { status, reason } = await post(session, token, headers, payload);
+            if (status === 200) return { token, status: 'delivered' };
+            const invalid = status === 410 || ['BadDeviceToken', 'Unregistered', 'DeviceTokenNotForTopic'].includes(reason);
+            return { token, status: invalid ? 'invalid' : 'failed', error: reason || `HTTP ${status}` };
+          } catch (error) {
+            return { token, status: 'failed', error: error.message };
+          }
+        });
+      } finally {
+        session.close();
+      }
+    }
+  };
+};
+
+/**
+ * In-process provider that records notifications instead of sending them.
+ * Tokens starting with "invalid" are reported as invalid and tokens starting
+ * with "fail" as failed, so error handling can be exercised.
+ */
+const createMockProvider = (name = 'mock') => {
+  const sent = [];
+
+  return {
+    name,
+    sent,
+    send: async (notification, devices) => devices.map(({ token, platform }) => {
+      if (token.startsWith('invalid')) return { token, status: 'invalid', error: 'Unregistered' };
+      if (token.startsWith('fail')) return { token, status: 'failed', error: 'Mock failure' };
+      sent.push({ token, platform, notification });
+      return { token, status: 'delivered' };
+    }),
+    reset: () => { sent.length = 0; }
+  };
+};
+
+const registeredProviders = {};
+let environmentProviders = null;
+
+const providersFromEnvironment = () => {
+  if (process.env.PUSH_PROVIDER === 'mock') {
+    const mock = createMockProvider();
+    return { android: mock, ios: mock };
+  }
+
+  const providers = {};
+  try {
+    if (process.env.FCM_SERVICE_ACCOUNT) {
+      providers.android = createFcmProvider(JSON.parse(readSecret(process.env.FCM_SERVICE_ACCOUNT)));
+    }
+  } catch (error) {
+    console.error('FCM Configuration Error:', error.message);
+  }
+  if (process.env.APNS_KEY && process.env.APNS_KEY_ID && process.env.APNS_TEAM_ID) {
+    providers.ios = createApnsProvider({
+      key: readSecret(process.env.APNS_KEY),
+      keyId: process.env.APNS_KEY_ID,
+      teamId: process.env.APNS_TEAM_ID,
+      environment: process.env.APNS_ENVIRONMENT
+    });
+  }
+  return providers;
+};
+
+/**
+ * Use a provider for a platform instead of the configured one
+ * @param {string} platform - android or ios
+ * @param {Object|null} provider - { name, send }, or null to go back to the environment
+ */
+const registerPushProvider = (platform, provider) => {
+  if (provider) {
+    registeredProviders[platform] = provider;
+  } else {
+    delete registeredProviders[platform];
+  }
+};
+
+/**
+ * Get the provider that delivers to a platform
+ * @returns {Object|null} Provider, or null when none is configured
+ */
+const getPushProvider = (platform) => {
+  if (registeredProviders[platform]) return registeredProviders[platform];
+
+  environmentProviders = environmentProviders || providersFromEnvironment();
+  return environmentProviders[platform] || null;
+};
+
+export {
+  createFcmProvider,
+  createApnsProvider,
+  createMockProvider,
+  registerPushProvider,
+  getPushProvider
+};
@@ -0,0 +1,609 @@
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import crypto from 'crypto';
+import { ZipArchive } from './zipArchive.js';
+import { escapeXml } from './androidBinaryXml.js';
+import { loadSourceIcon } from './apkBuilder.js';
+import { generateIconSet } from './iconGenerator.js';
+import { renderOfflinePage } from './offlineBundle.js';
+
+/**
+ * Progressive Web App target
+ * Turns an app package into the files that make the wrapped site installable
+ * as a PWA. The archive is meant to be unpacked at the root of the site's
+ * origin, because a service worker only controls pages under its own path:
+ *
+ *   manifest.webmanifest   - web app manifest
+ *   sw.js                  - service worker with the configured caching strategies
+ *   pwa-offline.html       - page shown when a navigation fails offline
+ *   pwa-icons/*.png        - any-purpose, maskable and Apple touch icons
+ *   install-snippet.html   - tags and script to paste into the site's pages
+ *
+ * PWA options (every key is optional):
+ *   display            'standalone' | 'fullscreen' | 'minimal-ui' | 'browser'
+ *   themeColor         '#rrggbb' - defaults to the site's theme-color
+ *   backgroundColor    '#rrggbb' - splash background while the app starts
+ *   caching            { pages, assets, images } strategy per request kind, one of
+ *                      network-first, cache-first, stale-while-revalidate, network-only
+ *   networkOnlyPaths   path patterns that are never cached, "*" matches anything
+ *   maxEntries         runtime cache size before the oldest responses are evicted
+ */
+
+const PWA_DISPLAY_MODES = ['standalone', 'fullscreen', 'minimal-ui', 'browser'];
+const CACHING_STRATEGIES = ['network-first', 'cache-first', 'stale-while-revalidate', 'network-only'];
+const CACHED_REQUEST_KINDS = ['pages', 'assets', 'images'];
+const MAX_NETWORK_ONLY_PATHS = 20;
+const MAX_CACHE_ENTRIES = 1000;
+
+const DEFAULT_PWA_OPTIONS = {
+  display: 'standalone',
+  themeColor: '#4F46E5',
+  backgroundColor: '#FFFFFF',
+  caching: {
+    pages: 'network-first',
+    assets: 'stale-while-revalidate',
+    images: 'cache-first'
+  },
+  networkOnlyPaths: ['/api/*'],
+  maxEntries: 100
+};
+
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const PATH_PATTERN = /^\/[A-Za-z0-9\-._~%!$&'()*+,;=:@/]*$/;
+
+const PWA_FILES = {
+  manifest: '/manifest.webmanifest',
+  serviceWorker: '/sw.js',
+  offlinePage: '/pwa-offline.html',
+  iconDir: '/pwa-icons'
+};
+
+const ICON_SIZES = [192, 512];
+const APPLE_TOUCH_ICON_SIZE = 180;
+const SHORT_NAME_LENGTH = 12;
+
+/**
+ * Validate PWA options and merge them over the defaults
+ * @param {Object} options - PWA options requested for the app
+ * @returns {Object} { isValid, errors, pwa }
+ */
+const validatePwaOptions = (options = {}) => {
+  const validation = {
+    isValid: false,
+    errors: [],
+    pwa: null
+  };
+
+  if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+    validation.errors.push('PWA options must be an object');
+    return validation;
+  }
+
+  const pwa = {
+    ...DEFAULT_PWA_OPTIONS,
+    caching: { ...DEFAULT_PWA_OPTIONS.caching }
+  };
+
+  for (const [key, value] of Object.entries(options)) {
+    if (value === undefined) continue;
+
+    if (key === 'display') {
+      if (!PWA_DISPLAY_MODES.includes(value)) {
+        validation.errors.push(`display must be one of ${PWA_DISPLAY_MODES.join(', ')}`);
+      } else {
+        pwa.display = value;
+      }
+    } else if (key === 'themeColor' || key === 'backgroundColor') {
+      if (typeof value !== 'string' || !HEX_COLOR.test(value)) {
+        validation.errors.push(`${key} must be a hex color such as #4F46E5`);
+      } else {
+        pwa[key] = value;
+      }
+    } else if (key === 'caching') {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        validation.errors.push(`caching must be an object of ${CACHED_REQUEST_KINDS.join(', ')} strategies`);
+        continue;
+      }
+
+      for (const [kind, strategy] of Object.entries(value)) {
+        if (!CACHED_REQUEST_KINDS.includes(kind)) {
+          validation.errors.push(`Unknown caching kind: ${kind}`);
+        } else if (!CACHING_STRATEGIES.includes(strategy)) {
+          validation.errors.push(`caching.${kind} must be one of ${CACHING_STRATEGIES.join(', ')}`);
+        } else {
+          pwa.caching[kind] = strategy;
+        }
+      }
+    } else if (key === 'networkOnlyPaths') {
+      if (!Array.isArray(value) || value.length > MAX_NETWORK_ONLY_PATHS) {
+        validation.errors.push(`networkOnlyPaths must be an array of at most ${MAX_NETWORK_ONLY_PATHS} path patterns`);
+        continue;
+      }
+
+      const invalid = value.filter(pattern => typeof pattern !== 'string' || !PATH_PATTERN.test(pattern));
+      if (invalid.length > 0) {
+        validation.errors.push(`Invalid networkOnlyPaths (must start with "/"): ${invalid.join(', ')}`);
+      } else {
+        pwa.networkOnlyPaths = [...new Set(value)];
+      }
+    } else if (key === 'maxEntries') {
+      if (!Number.isInteger(value) || value < 1 || value > MAX_CACHE_ENTRIES) {
+        validation.errors.push(`maxEntries must be a whole number from 1 to ${MAX_CACHE_ENTRIES}`);
+      } else {
+        pwa.maxEntries = value;
+      }
+    } else {
+      validation.errors.push(`Unknown PWA option: ${key}`);
+    }
+  }
+
+  validation.isValid = validation.errors.length === 0;
+  validation.pwa = validation.isValid ? pwa : null;
+  return validation;
+};
+
+/**
+ * Work out where the PWA lives and which build it belongs to
+ * The cache version changes with every release and PWA setting, so a new
+ * service worker drops the caches of the previous one.
+ */
+const describePwa = (appPackage) => {
+  const { metadata, configuration, build } = appPackage;
+  const pwa = configuration.pwa || DEFAULT_PWA_OPTIONS;
+  const appUrl = new URL(configuration.webview.url);
+
+  const cacheVersion = crypto.createHash('sha256')
+    .update(JSON.stringify([metadata.name, appUrl.href, metadata.version, build.android.versionCode, pwa]))
+    .digest('hex')
+    .slice(0, 12);
+
+  return {
+    pwa,
+    origin: appUrl.origin,
+    startUrl: `${appUrl.pathname}${appUrl.search}`,
+    cacheVersion
+  };
+};
+
+const toShortName = (name) => {
+  if (name.length <= SHORT_NAME_LENGTH) return name;
+  const [firstWord] = name.split(/\s+/);
+  return firstWord.slice(0, SHORT_NAME_LENGTH);
+};
+
+const iconPath = (purpose, size) => `${PWA_FILES.iconDir}/${purpose === 'maskable' ? 'maskable' : 'icon'}-${size}.png`;
+
+/**
+ * Render the web app manifest
+ */
+const renderWebManifest = (appPackage, description) => {
+  const { metadata, assets = {} } = appPackage;
+  const { pwa, startUrl } = description;
+
+  // Only screenshots hosted at absolute URLs can be referenced from the site
+  const screenshots = (assets.screenshots || [])
+    .filter(screenshot => /^https?:\/\//i.test(screenshot.url || '') && screenshot.device !== 'tablet')
+    .map(screenshot => ({
+      src: screenshot.url,
+      sizes: `${screenshot.width}x${screenshot.height}`,
+      type: 'image/png',
+      form_factor: screenshot.device === 'desktop' ? 'wide' : 'narrow',
+      label: `${metadata.name} on ${screenshot.device}`
+    }));
+
+  return {
+    id: startUrl,
+    name: metadata.name,
+    short_name: toShortName(metadata.name),
+    description: metadata.description || undefined,
+    start_url: startUrl,
+    scope: '/',
+    display: pwa.display,
+    theme_color: pwa.themeColor,
+    background_color: pwa.backgroundColor,
+    categories: metadata.category ? [String(metadata.category).toLowerCase()] : undefined,
+    icons: [
+      ...ICON_SIZES.map(size => ({ src: iconPath('any', size), sizes: `${size}x${size}`, type: 'image/png', purpose: 'any' })),
+      ...ICON_SIZES.map(size => ({ src: iconPath('maskable', size), sizes: `${size}x${size}`, type: 'image/png', purpose: 'maskable' }))
+    ],
+    screenshots: screenshots.length > 0 ? screenshots : undefined
+  };
+};
+
+// Path pattern to a regular expression source matching the whole path
+const toPathRegExp = (pattern) => `^${pattern
+  .split('*')
+  .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+  .join('.*')}$`;
+
+/**
+ * Render the service worker
+ * Same-origin GET requests are handled by the strategy configured for their kind;
+ * failed navigations fall back to the offline page.
+ */
+const renderServiceWorker = (appPackage, description, precacheUrls) => {
+  const { metadata, build } = appPackage;
+  const { pwa, cacheVersion } = description;
+
+  return `/* Service worker for ${metadata.name.replace(/\*\//g, '* /')} ${metadata.version} (${build.android.versionCode}), generated by Rapid SaaS AI Store */
+const CACHE_VERSION = ${JSON.stringify(cacheVersion)};
+const CACHE_PREFIX = 'rapidsaas';
+const PRECACHE = \`\${CACHE_PREFIX}-precache-\${CACHE_VERSION}\`;
+const RUNTIME = \`\${CACHE_PREFIX}-runtime-\${CACHE_VERSION}\`;
+const OFFLINE_PAGE = ${JSON.stringify(PWA_FILES.offlinePage)};
+const PRECACHE_URLS = ${JSON.stringify(precacheUrls)};
+const STRATEGIES = ${JSON.stringify(pwa.caching)};
+const NETWORK_ONLY = [${pwa.networkOnlyPaths.map(pattern => `new RegExp(${JSON.stringify(toPathRegExp(pattern))})`).join(', ')}];
+const MAX_RUNTIME_ENTRIES = ${pwa.maxEntries};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(PRECACHE)
+      .then((cache) => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys
+        .filter((key) => key.startsWith(\`\${CACHE_PREFIX}-\`) && key !== PRECACHE && key !== RUNTIME)
+        .map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const requestKind = (request) => {
+  if (request.mode === 'navigate') return 'pages';
+  if (request.destination === 'image') return 'images';
+  if (['script', 'style', 'font', 'worker'].includes(request.destination)) return 'assets';
+  return null;
+};
+
+const trimRuntimeCache = async (cache) => {
+  const keys = await cache.keys();
+  const excess = keys.length - MAX_RUNTIME_ENTRIES;
+  if (excess > 0) {
+    await Promise.all(keys.slice(0, excess).map((key) => cache.delete(key)));
+  }
+};
+
+const storeResponse = async (request, response) => {
+  if (response.ok && response.type === 'basic') {
+    const cache = await caches.open(RUNTIME);
+    await cache.put(request, response.clone());
+    trimRuntimeCache(cache);
+  }
+  return response;
+};
+
+const HANDLERS = {
+  'network-first': async (request) => {
+    try {
+      return await storeResponse(request, await fetch(request));
+    } catch (error) {
+      const cached = await caches.match(request);
+      if (cached) return cached;
+      throw error;
+    }
+  },
+  'cache-first': async (request) => {
+    const cached = await caches.match(request);
+    return cached || storeResponse(request, await fetch(request));
+  },
+  'stale-while-revalidate': async (request) => {
+    const cached = await caches.match(request);
+    const network = fetch(request).then((response) => storeResponse(request, response));
+    if (!cached) return network;
+    network.catch(() => {});
+    return cached;
+  },
+  'network-only': (request) => fetch(request)
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  if (NETWORK_ONLY.some((pattern) => pattern.test(url.pathname))) return;
+
+  const kind = requestKind(request);
+  const strategy = (kind && STRATEGIES[kind]) || 'network-only';
+  // Pages always go through the worker so they can fall back to the offline page
+  if (strategy === 'network-only' && kind !== 'pages') return;
+
+  event.respondWith(HANDLERS[strategy](request).catch(async (error) => {
+    if (kind === 'pages') {
+      const offline = await caches.match(OFFLINE_PAGE);
+      if (offline) return offline;
+    }
+    throw error;
+  }));
+});
+`;
+};
+
+/**
+ * Render the tags and script the site adds to its pages
+ */
+const renderInstallSnippet = (appPackage, description) => {
+  const { metadata } = appPackage;
+  const { pwa } = description;
+  const name = escapeXml(metadata.name);
+
+  return `<!-- ${name}: add inside <head> on every page -->
+<link rel="manifest" href="${PWA_FILES.manifest}">
+<meta name="theme-color" content="${pwa.themeColor}">
+<link rel="apple-touch-icon" href="${PWA_FILES.iconDir}/apple-touch-icon.png">
+<meta name="mobile-web-app-capable" content="yes">
+<meta name="apple-mobile-web-app-title" content="${name}">
+
+<!-- ${name}: add before </body>; the button appears when the browser offers installation -->
+<button id="rapidsaas-install" type="button" hidden>Install ${name}</button>
+<script>
+  if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+      navigator.serviceWorker.register('${PWA_FILES.serviceWorker}', { scope: '/' });
+    });
+  }
+
+  (() => {
+    const button = document.getElementById('rapidsaas-install');
+    let installPrompt = null;
+
+    window.addEventListener('beforeinstallprompt', (event) => {
+      event.preventDefault();
+      installPrompt = event;
+      button.hidden = false;
+    });
+
+    button.addEventListener('click', async () => {
+      if (!installPrompt) return;
+      installPrompt.prompt();
+      await installPrompt.userChoice;
+      installPrompt = null;
+      button.hidden = true;
+    });
+
+    window.addEventListener('appinstalled', () => {
+      button.hidden = true;
+    });
+  })();
+</script>
+`;
+};
+
+const renderReadme = (appPackage, description) => `# ${appPackage.metadata.name} PWA
+
+Progressive Web App files for ${description.origin}${description.startUrl}, generated by Rapid SaaS AI Store.
+
+## Deploying
+
+1. Copy every file in this archive to the root of ${description.origin} so that
+   \`${PWA_FILES.serviceWorker}\` and \`${PWA_FILES.manifest}\` are served from \`/\`.
+   The service worker only controls pages below the path it is served from.
+2. Serve \`sw.js\` as \`text/javascript\` and \`manifest.webmanifest\` as
+   \`application/manifest+json\`, over HTTPS.
+3. Paste \`install-snippet.html\` into your page template: the first block in
+   \`<head>\`, the second before \`</body>\`.
+
+## Caching
+
+| Requests | Strategy |
+| --- | --- |
+| Pages | ${description.pwa.caching.pages} |
+| Scripts, styles and fonts | ${description.pwa.caching.assets} |
+| Images | ${description.pwa.caching.images} |
+| ${description.pwa.networkOnlyPaths.map(pattern => `\`${pattern}\``).join(', ') || 'None'} | never cached |
+
+Cross-origin requests are not handled by the service worker. Pages that fail to
+load while offline show \`${PWA_FILES.offlinePage}\`.
+`;
+
+/**
+ * Build the PWA archive for an app package
+ * @param {Object} appPackage - Package produced by buildAppPackage
+ * @returns {Promise<Object>} { buffer, entries, manifest, cacheVersion }
+ */
+const buildPwa = async (appPackage) => {
+  try {
+    const { metadata, configuration } = appPackage;
+    const description = describePwa(appPackage);
+    const { pwa } = description;
+    const zip = new ZipArchive();
+    const add = (filePath, data) => zip.addFile(filePath.replace(/^\/+/, ''), data);
+
+    // Icons from the app artwork; maskable ones keep it inside the safe zone
+    const iconOptions = {
+      appName: metadata.name,
+      category: metadata.category,
+      sourceIcon: await loadSourceIcon(appPackage.assets),
+      backgroundColor: pwa.backgroundColor,
+      upload: false
+    };
+    const [anyIcons, maskableIcons] = await Promise.all([
+      generateIconSet({ ...iconOptions, sizes: ICON_SIZES }),
+      generateIconSet({ ...iconOptions, sizes: [...ICON_SIZES, APPLE_TOUCH_ICON_SIZE], maskable: true })
+    ]);
+    for (const result of [anyIcons, maskableIcons]) {
+      if (!result.success) {
+        throw new Error(`Icon rendering failed: ${result.error}`);
+      }
+    }
+
+    for (const size of ICON_SIZES) {
+      add(iconPath('any', size), anyIcons.iconSet[`icon_${size}`]);
+      add(iconPath('maskable', size), maskableIcons.iconSet[`maskable_${size}`]);
+    }
+    add(`${PWA_FILES.iconDir}/apple-touch-icon.png`, maskableIcons.iconSet[`maskable_${APPLE_TOUCH_ICON_SIZE}`]);
+
+    const manifest = renderWebManifest(appPackage, description);
+    add(PWA_FILES.manifest, JSON.stringify(manifest, null, 2));
+
+    add(PWA_FILES.offlinePage, renderOfflinePage({
+      appName: metadata.name,
+      url: configuration.webview.url,
+      themeColor: pwa.themeColor,
+      hasAppShell: false
+    }));
+
+    const precacheUrls = [
+      PWA_FILES.offlinePage,
+      PWA_FILES.manifest,
+      ...manifest.icons.map(icon => icon.src)
+    ];
+    add(PWA_FILES.serviceWorker, renderServiceWorker(appPackage, description, precacheUrls));
+    add('install-snippet.html', renderInstallSnippet(appPackage, description));
+    add('README.md', renderReadme(appPackage, description));
+
+    return {
+      buffer: zip.toBuffer(),
+      entries: zip.files().map(file => file.name),
+      manifest,
+      cacheVersion: description.cacheVersion
+    };
+  } catch (error) {
+    console.error('PWA Build Error:', error);
+    throw new Error(`Failed to build PWA: ${error.message}`);
+  }
+};
+
+const fetchFromOrigin = (url) => axios.get(url, {
+  timeout: 10000,
+  responseType: 'arraybuffer',
+  maxRedirects: 5,
+  validateStatus: () => true,
+  headers: {
+    'User-Agent': 'Mozilla/5.0 (compatible; RapidSaaSBot/1.0)'
+  }
+});
+
+/**
+ * Check that the app's origin serves the PWA files correctly
+ * Errors stop the browser from installing the app or running the service
+ * worker; warnings are worth fixing but do not block installation.
+ * @param {Object} appPackage - Package the PWA was built from
+ * @returns {Promise<Object>} { ok, origin, cacheVersion, checkedAt, checks: [{ id, ok, severity, message }] }
+ */
+const checkPwaDeployment = async (appPackage) => {
+  const description = describePwa(appPackage);
+  const { origin, startUrl, cacheVersion } = description;
+  const checks = [];
+  const check = (id, ok, message, severity = 'error') => checks.push({ id, ok, severity, message });
+  const contentType = (response) => String(response.headers['content-type'] || '').toLowerCase();
+
+  // Browsers treat localhost as secure, which keeps local testing possible
+  const { hostname, protocol } = new URL(origin);
+  const isLocal = ['localhost', '127.0.0.1', '[::1]'].includes(hostname);
+  check('https', protocol === 'https:' || isLocal, protocol === 'https:'
+    ? 'Origin is served over HTTPS'
+    : `Service workers require HTTPS${isLocal ? ' outside localhost' : ''}`);
+
+  try {
+    const response = await fetchFromOrigin(`${origin}${PWA_FILES.manifest}`);
+    let manifest = null;
+    if (response.status === 200) {
+      try {
+        manifest = JSON.parse(Buffer.from(response.data).toString('utf8'));
+      } catch (error) {
+        manifest = null;
+      }
+    }
+
+    check('manifest', Boolean(manifest), manifest
+      ? `${PWA_FILES.manifest} is valid JSON`
+      : `${PWA_FILES.manifest} returned ${response.status} or is not valid JSON`);
+
+    if (manifest) {
+      check('manifestContentType', contentType(response).includes('json'),
+        `${PWA_FILES.manifest} is served as ${contentType(response) || 'no content type'}, expected application/manifest+json`,
+        'warning');
+
+      const icons = Array.isArray(manifest.icons) ? manifest.icons : [];
+      const hasIcon = (size, purpose) => icons.some(icon => String(icon.sizes).split(/\s+/).includes(`${size}x${size}`)
+        && String(icon.purpose || 'any').split(/\s+/).includes(purpose));
+      const hasInstallIcons = hasIcon(192, 'any') && hasIcon(512, 'any');
+      check('manifestIcons', hasInstallIcons, hasInstallIcons
+        ? 'Manifest lists 192x192 and 512x512 icons'
+        : 'Manifest needs 192x192 and 512x512 icons');
+      const hasMaskableIcon = hasIcon(512, 'maskable') || hasIcon(192, 'maskable');
+      check('maskableIcon', hasMaskableIcon, hasMaskableIcon
+        ? 'Manifest lists a maskable icon'
+        : 'Manifest has no maskable icon, so Android shows the icon on a white circle', 'warning');
+
+      const missingIcons = [];
+      for (const icon of icons) {
+        const iconResponse = await fetchFromOrigin(new URL(icon.src, `${origin}${PWA_FILES.manifest}`).href);
+        if (iconResponse.status !== 200 || !contentType(iconResponse).startsWith('image/')) {
+          missingIcons.push(icon.src);
+        }
+      }
+      check('iconsServed', missingIcons.length === 0, missingIcons.length === 0
+        ? `All ${icons.length} manifest icons are served`
+        : `Icons not served as images: ${missingIcons.join(', ')}`);
+    }
+  } catch (error) {
+    check('manifest', false, `${PWA_FILES.manifest} could not be fetched: ${error.message}`);
+  }
+
+  try {
+    const response = await fetchFromOrigin(`${origin}${PWA_FILES.serviceWorker}`);
+    const isScript = /javascript|ecmascript/.test(contentType(response));
+    check('serviceWorker', response.status === 200 && isScript, response.status !== 200
+      ? `${PWA_FILES.serviceWorker} returned ${response.status}`
+      : `${PWA_FILES.serviceWorker} is served as ${contentType(response) || 'no content type'}${isScript ? '' : ', browsers only register JavaScript'}`);
+
+    if (response.status === 200) {
+      const current = Buffer.from(response.data).toString('utf8').includes(`const CACHE_VERSION = ${JSON.stringify(cacheVersion)};`);
+      check('serviceWorkerVersion', current, current
+        ? 'Deployed service worker matches this build'
+        : 'Deployed service worker is from a different build; redeploy sw.js', 'warning');
+    }
+  } catch (error) {
+    check('serviceWorker', false, `${PWA_FILES.serviceWorker} could not be fetched: ${error.message}`);
+  }
+
+  try {
+    const response = await fetchFromOrigin(`${origin}${PWA_FILES.offlinePage}`);
+    check('offlinePage', response.status === 200,
+      `${PWA_FILES.offlinePage} returned ${response.status}`, 'warning');
+  } catch (error) {
+    check('offlinePage', false, `${PWA_FILES.offlinePage} could not be fetched: ${error.message}`, 'warning');
+  }
+
+  try {
+    const response = await fetchFromOrigin(`${origin}${startUrl}`);
+    const html = Buffer.from(response.data).toString('utf8');
+    const $ = cheerio.load(html);
+    const manifestLink = $('link[rel="manifest"]').attr('href');
+
+    const linksManifest = Boolean(manifestLink) && new URL(manifestLink, `${origin}${startUrl}`).pathname === PWA_FILES.manifest;
+    check('manifestLink', linksManifest, manifestLink
+      ? `Start page links the manifest at ${manifestLink}${linksManifest ? '' : `, expected ${PWA_FILES.manifest}`}`
+      : 'Start page has no <link rel="manifest">; add install-snippet.html');
+    // Registration may live in a bundled script, so this can only be a hint
+    const registers = html.includes('serviceWorker.register');
+    check('serviceWorkerRegistration', registers, registers
+      ? 'Start page registers the service worker'
+      : 'No service worker registration found in the start page', 'warning');
+  } catch (error) {
+    check('manifestLink', false, `Start page could not be fetched: ${error.message}`);
+  }
+
+  return {
+    ok: checks.every(item => item.ok || item.severity !== 'error'),
+    origin,
+    cacheVersion,
+    checkedAt: new Date().toISOString(),
+    checks
+  };
+};
+
+export {
+  validatePwaOptions,
+  buildPwa,
+  checkPwaDeployment,
+  DEFAULT_PWA_OPTIONS,
+  CACHING_STRATEGIES
+};
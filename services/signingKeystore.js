@@ -0,0 +1,201 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  OIDS,
+  sequence,
+  integer,
+  bitString,
+  time,
+  explicit,
+  algorithmIdentifier,
+  distinguishedName
+} from './derEncoding.js';
+
+/**
+ * Signing keystore
+ * Loads the RSA key and X.509 certificate used to sign generated packages.
+ *
+ * Configure a release keystore with PEM files:
+ *   ANDROID_KEYSTORE_KEY      - path to the PEM private key
+ *   ANDROID_KEYSTORE_CERT     - path to the PEM certificate
+ *   ANDROID_KEYSTORE_PASSWORD - passphrase for an encrypted private key
+ *
+ * A Java keystore can be converted with:
+ *   keytool -importkeystore -srckeystore upload.jks -destkeystore upload.p12 -deststoretype PKCS12
+ *   openssl pkcs12 -in upload.p12 -nocerts -out key.pem
+ *   openssl pkcs12 -in upload.p12 -clcerts -nokeys -out cert.pem
+ *
+ * Without configuration a debug keystore is generated once under keystore/
+ * so that rebuilds of the same app stay update-compatible on test devices.
+ * Google Play keeps the first upload key of an app for good, so Play uploads
+ * are refused while only the debug keystore is available.
+ */
+
+const DEBUG_KEYSTORE_DIR = path.join(process.cwd(), 'keystore');
+const DEBUG_KEY_PATH = path.join(DEBUG_KEYSTORE_DIR, 'debug-key.pem');
+const DEBUG_CERT_PATH = path.join(DEBUG_KEYSTORE_DIR, 'debug-cert.pem');
+
+const DEBUG_KEYSTORE_PLAY_ERROR = 'Google Play uploads need a release signing key: set ANDROID_KEYSTORE_KEY and ANDROID_KEYSTORE_CERT. '
+  + 'Packages signed with the generated debug keystore would make it the app\'s permanent upload key.';
+
+let cachedKeystore = null;
+
+/**
+ * Build a self-signed X.509 v3 certificate for an RSA key pair
+ */
+const createSelfSignedCertificate = (privateKey, publicKey, options = {}) => {
+  const {
+    commonName = 'Rapid SaaS Debug',
+    organizationName = 'Rapid SaaS AI Store',
+    validityYears = 30
+  } = options;
+
+  const notBefore = new Date();
+  notBefore.setUTCMilliseconds(0);
+  const notAfter = new Date(notBefore);
+  notAfter.setUTCFullYear(notAfter.getUTCFullYear() + validityYears);
+
+  const name = distinguishedName({ commonName, organizationName });
+  const signatureAlgorithm = algorithmIdentifier(OIDS.sha256WithRSAEncryption);
+
+  const tbsCertificate = sequence(
+    explicit(0, integer(2)),
+    integer(crypto.randomBytes(8)),
+    signatureAlgorithm,
+    name,
+    sequence(time(notBefore), time(notAfter)),
+    name,
+    publicKey.export({ type: 'spki', format: 'der' })
+  );
+
+  const signature = crypto.sign('sha256', tbsCertificate, privateKey);
+
+  return sequence(tbsCertificate, signatureAlgorithm, bitString(signature));
+};
+
+const pemToDer = (pem) => {
+  const match = pem.match(/-----BEGIN CERTIFICATE-----([\s\S]+?)-----END CERTIFICATE-----/);
+  if (!match) {
+    throw new Error('No PEM certificate found');
+  }
+  return Buffer.from(match[1].replace(/\s+/g, ''), 'base64');
+};
+
+const derToPem = (der) => {
+  const body = der.toString('base64').match(/.{1,64}/g).join('\n');
+  return `-----BEGIN CERTIFICATE-----\n${body}\n-----END CERTIFICATE-----\n`;
+};
+
+/**
+ * Create (or reuse) the on-disk debug keystore
+ */
+const ensureDebugKeystore = async () => {
+  try {
+    const [keyPem, certPem] = await Promise.all([
+      fs.readFile(DEBUG_KEY_PATH, 'utf8'),
+      fs.readFile(DEBUG_CERT_PATH, 'utf8')
+    ]);
+    return { keyPem, certPem };
+  } catch {
+    console.log('No signing keystore configured, generating debug keystore');
+  }
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const certificate = createSelfSignedCertificate(privateKey, publicKey);
+
+  const keyPem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+  const certPem = derToPem(certificate);
+
+  await fs.mkdir(DEBUG_KEYSTORE_DIR, { recursive: true });
+  await fs.writeFile(DEBUG_KEY_PATH, keyPem, { mode: 0o600 });
+  await fs.writeFile(DEBUG_CERT_PATH, certPem);
+
+  return { keyPem, certPem };
+};
+
+/**
+ * Load the signing keystore
+ * @param {Object} options - Optional { keyPath, certPath, password } overrides
+ * @returns {Promise<Object>} { privateKey, certificate, publicKey, debug }
+ */
+const loadSigningKeystore = async (options = {}) => {
+  const keyPath = options.keyPath || process.env.ANDROID_KEYSTORE_KEY;
+  const certPath = options.certPath || process.env.ANDROID_KEYSTORE_CERT;
+  const password = options.password || process.env.ANDROID_KEYSTORE_PASSWORD;
+  const useCache = !options.keyPath && !options.certPath;
+
+  if (useCache && cachedKeystore) {
+    return cachedKeystore;
+  }
+
+  try {
+    let keyPem;
+    let certPem;
+    let debug = false;
+
+    if (keyPath && certPath) {
+      [keyPem, certPem] = await Promise.all([
+        fs.readFile(keyPath, 'utf8'),
+        fs.readFile(certPath, 'utf8')
+      ]);
+    } else if (keyPath || certPath) {
+      throw new Error('Both ANDROID_KEYSTORE_KEY and ANDROID_KEYSTORE_CERT must be set');
+    } else {
+      ({ keyPem, certPem } = await ensureDebugKeystore());
+      debug = true;
+    }
+
+    const privateKey = crypto.createPrivateKey({ key: keyPem, passphrase: password });
+    if (privateKey.asymmetricKeyType !== 'rsa') {
+      throw new Error(`Unsupported signing key type: ${privateKey.asymmetricKeyType} (RSA required)`);
+    }
+
+    const certificate = pemToDer(certPem);
+    const publicKey = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' });
+
+    const x509 = new crypto.X509Certificate(certificate);
+    if (!x509.checkPrivateKey(privateKey)) {
+      throw new Error('Signing certificate does not match the private key');
+    }
+
+    const keystore = {
+      privateKey,
+      certificate,
+      publicKey,
+      fingerprint: x509.fingerprint256,
+      debug
+    };
+
+    if (useCache) {
+      cachedKeystore = keystore;
+    }
+
+    return keystore;
+  } catch (error) {
+    console.error('Load Signing Keystore Error:', error);
+    throw new Error(`Failed to load signing keystore: ${error.message}`);
+  }
+};
+
+/**
+ * Check that the configured keystore may sign packages for Google Play
+ * @param {Object} signer - Optional { debug } recorded for an already built package
+ * @returns {Promise<string|null>} Configuration error, or null when the upload may go ahead
+ */
+const checkPlayUploadKeystore = async (signer = null) => {
+  if (signer?.debug) {
+    return DEBUG_KEYSTORE_PLAY_ERROR;
+  }
+
+  const keystore = await loadSigningKeystore();
+  return keystore.debug ? DEBUG_KEYSTORE_PLAY_ERROR : null;
+};
+
+export {
+  loadSigningKeystore,
+  checkPlayUploadKeystore,
+  createSelfSignedCertificate,
+  pemToDer,
+  derToPem
+};
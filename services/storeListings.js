@@ -0,0 +1,402 @@
+import {
+  upsertStoreListing,
+  getStoreListings,
+  getStoreListing,
+  updateStoreListing,
+  deleteStoreListing
+} from './database.js';
+import { generateDescription, translateListing } from './aiAnalyzer.js';
+import { SUPPORTED_LANGUAGES } from './globalScaling.js';
+import { STORE_SCREENSHOT_DEVICES } from './storeScreenshots.js';
+import { fetchAssetImage } from './apkBuilder.js';
+
+/**
+ * Store Listings
+ * Per-locale Google Play listings of an app: title, short and full
+ * description and screenshots for each language in SUPPORTED_LANGUAGES.
+ * Locales can be written by hand or machine-drafted from the source language
+ * through the AI service. Every locale is reviewed and approved by the owner,
+ * and all approved locales are pushed to Play Console together in one edit.
+ *
+ * Listing statuses:
+ *   draft      - new or edited, waiting for review
+ *   approved   - reviewed, included in the next push
+ *   published  - live on Google Play; editing it makes it a draft again
+ */
+
+const GOOGLE_PLAY = 'google-play';
+const LISTING_STATUSES = ['draft', 'approved', 'published'];
+
+// Google Play character limits
+const LISTING_LIMITS = {
+  title: 30,
+  shortDescription: 80,
+  fullDescription: 4000
+};
+
+// Play Console image types for the screenshot devices, at most 8 images each
+const PLAY_SCREENSHOT_TYPES = {
+  phone: 'phoneScreenshots',
+  tablet_7: 'sevenInchScreenshots',
+  tablet_10: 'tenInchScreenshots'
+};
+const MAX_SCREENSHOTS_PER_DEVICE = 8;
+
+const isSupportedLanguage = (language) => Object.prototype.hasOwnProperty.call(SUPPORTED_LANGUAGES, language);
+
+const truncate = (value, limit) => (value.length > limit ? value.slice(0, limit).trimEnd() : value);
+
+const getImageMimeType = (data) => (data[0] === 0xff && data[1] === 0xd8 ? 'image/jpeg' : 'image/png');
+
+/**
+ * Validate listing text and screenshots for a language
+ * @param {string} language - Locale from SUPPORTED_LANGUAGES
+ * @param {Object} input - { title, shortDescription, fullDescription, screenshots: [{ device, url }] }
+ * @returns {Object} { isValid, errors, listing } with listing in store_listings columns
+ */
+const validateListing = (language, input = {}) => {
+  const errors = [];
+  const listing = {};
+
+  if (!isSupportedLanguage(language)) {
+    errors.push(`language must be one of ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}`);
+  }
+
+  const columns = { title: 'title', shortDescription: 'short_description', fullDescription: 'full_description' };
+  for (const [field, column] of Object.entries(columns)) {
+    const value = input[field];
+    if (value === undefined || value === null || value === '') {
+      listing[column] = null;
+    } else if (typeof value !== 'string') {
+      errors.push(`${field} must be a string`);
+    } else if (value.trim().length > LISTING_LIMITS[field]) {
+      errors.push(`${field} must be at most ${LISTING_LIMITS[field]} characters`);
+    } else {
+      listing[column] = value.trim() || null;
+    }
+  }
+
+  const screenshots = input.screenshots ?? [];
+  if (!Array.isArray(screenshots)) {
+    errors.push('screenshots must be an array');
+  } else {
+    listing.screenshots = [];
+    for (const [index, screenshot] of screenshots.entries()) {
+      if (!PLAY_SCREENSHOT_TYPES[screenshot?.device]) {
+        errors.push(`screenshots[${index}].device must be one of ${Object.keys(PLAY_SCREENSHOT_TYPES).join(', ')}`);
+      } else if (typeof screenshot.url !== 'string' || !/^(https?:\/\/|\/)/i.test(screenshot.url)) {
+        errors.push(`screenshots[${index}].url must be an http(s) URL or an asset path`);
+      } else {
+        listing.screenshots.push({ device: screenshot.device, url: screenshot.url });
+      }
+    }
+
+    for (const device of Object.keys(PLAY_SCREENSHOT_TYPES)) {
+      if (listing.screenshots.filter(screenshot => screenshot.device === device).length > MAX_SCREENSHOTS_PER_DEVICE) {
+        errors.push(`At most ${MAX_SCREENSHOTS_PER_DEVICE} ${STORE_SCREENSHOT_DEVICES.GOOGLE_PLAY[device].name} screenshots are allowed`);
+      }
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    listing
+  };
+};
+
+/**
+ * Fields a listing needs before it can be approved
+ */
+const getMissingListingFields = (listing) => [
+  ['title', listing.title],
+  ['shortDescription', listing.short_description],
+  ['fullDescription', listing.full_description]
+].filter(([, value]) => !value).map(([field]) => field);
+
+/**
+ * Listing as returned by the API
+ */
+const toListingResponse = (listing) => ({
+  id: listing.id,
+  language: listing.language,
+  languageName: SUPPORTED_LANGUAGES[listing.language]?.name || listing.language,
+  title: listing.title,
+  shortDescription: listing.short_description,
+  fullDescription: listing.full_description,
+  screenshots: listing.screenshots || [],
+  status: listing.status,
+  source: listing.source,
+  missing: getMissingListingFields(listing),
+  approvedAt: listing.approved_at || null,
+  publishedAt: listing.published_at || null,
+  updatedAt: listing.updated_at
+});
+
+/**
+ * Get every locale of an app's Play listing
+ */
+const listStoreListings = async (appId) => {
+  const listings = await getStoreListings(appId, GOOGLE_PLAY);
+  return listings.map(toListingResponse);
+};
+
+/**
+ * Write a locale by hand; it becomes a draft again until it is approved
+ * @param {Object} listing - Validated listing from validateListing
+ */
+const saveStoreListing = async (appId, language, listing) => {
+  const saved = await upsertStoreListing({
+    app_id: appId,
+    store: GOOGLE_PLAY,
+    language,
+    ...listing,
+    status: 'draft',
+    source: 'manual',
+    approved_by: null,
+    approved_at: null
+  });
+  return toListingResponse(saved);
+};
+
+/**
+ * Delete a locale
+ * @returns {Promise<boolean>} false when the app has no listing in that language
+ */
+const removeStoreListing = async (appId, language) => {
+  const listing = await getStoreListing(appId, GOOGLE_PLAY, language);
+  return listing ? deleteStoreListing(listing.id) : false;
+};
+
+/**
+ * Draft the source-language listing from the app's website analysis
+ */
+const draftSourceListing = async (app, language) => {
+  const descriptions = await generateDescription({
+    appName: app.name,
+    url: app.url,
+    features: app.ai_analysis?.features
+  });
+
+  return upsertStoreListing({
+    app_id: app.id,
+    store: GOOGLE_PLAY,
+    language,
+    title: truncate(app.name, LISTING_LIMITS.title),
+    short_description: truncate(descriptions.short || app.name, LISTING_LIMITS.shortDescription),
+    full_description: truncate(descriptions.playStore || descriptions.long || app.name, LISTING_LIMITS.fullDescription),
+    screenshots: [],
+    status: 'draft',
+    source: 'machine',
+    approved_by: null,
+    approved_at: null
+  });
+};
+
+/**
+ * Machine-draft translations of the source-language listing
+ * The source listing is drafted from the website analysis first when the app
+ * has none. Hand-written drafts and approved or published locales are kept
+ * unless overwrite is set.
+ * Locales whose translation fails are left as they are and reported in failed.
+ * @param {Object} app - App record
+ * @param {Object} options - { sourceLanguage, languages, overwrite }
+ * @returns {Promise<Object>} { source, listings, skipped, failed }, or { errors }
+ */
+const draftStoreListings = async (app, options = {}) => {
+  const { sourceLanguage = 'en-US', overwrite = false } = options;
+  const languages = options.languages || Object.keys(SUPPORTED_LANGUAGES);
+
+  const errors = [sourceLanguage, ...languages]
+    .filter(language => !isSupportedLanguage(language))
+    .map(language => `Unsupported language: ${language}`);
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  let source = await getStoreListing(app.id, GOOGLE_PLAY, sourceLanguage);
+  if (!source) {
+    source = await draftSourceListing(app, sourceLanguage);
+  }
+
+  const missing = getMissingListingFields(source);
+  if (missing.length > 0) {
+    return { errors: [`The ${sourceLanguage} listing has no ${missing.join(', ')}`] };
+  }
+
+  const listings = [];
+  const skipped = [];
+  const failed = [];
+  for (const language of languages.filter(item => item !== sourceLanguage)) {
+    // Only earlier machine drafts are replaced unless the caller asks to overwrite
+    const existing = await getStoreListing(app.id, GOOGLE_PLAY, language);
+    const replaceable = !existing || (existing.status === 'draft' && existing.source === 'machine');
+    if (!replaceable && !overwrite) {
+      skipped.push(language);
+      continue;
+    }
+
+    const translation = await translateListing({
+      listing: {
+        title: source.title,
+        shortDescription: source.short_description,
+        fullDescription: source.full_description
+      },
+      sourceLanguage,
+      targetLanguage: language,
+      appName: app.name
+    });
+
+    // A failed translation falls back to the source text; saving it would
+    // put the source language up for approval as this locale
+    if (translation.fallback) {
+      failed.push({ language, error: translation.error || 'Translation failed' });
+      continue;
+    }
+
+    const listing = await upsertStoreListing({
+      app_id: app.id,
+      store: GOOGLE_PLAY,
+      language,
+      title: truncate(translation.title, LISTING_LIMITS.title),
+      short_description: truncate(translation.shortDescription, LISTING_LIMITS.shortDescription),
+      full_description: truncate(translation.fullDescription, LISTING_LIMITS.fullDescription),
+      // Start from the source screenshots; owners can swap in localized ones
+      screenshots: existing?.screenshots?.length ? existing.screenshots : source.screenshots || [],
+      status: 'draft',
+      source: 'machine',
+      approved_by: null,
+      approved_at: null
+    });
+
+    listings.push(toListingResponse(listing));
+  }
+
+  return { source: toListingResponse(source), listings, skipped, failed };
+};
+
+/**
+ * Approve a draft locale for the next push
+ * @returns {Promise<Object|null>} { listing } or { errors }; null when the app
+ *   has no listing in that language
+ */
+const approveStoreListing = async (appId, language, userId) => {
+  const listing = await getStoreListing(appId, GOOGLE_PLAY, language);
+  if (!listing) return null;
+
+  if (listing.status !== 'draft') {
+    return { errors: [`The ${language} listing is already ${listing.status}`] };
+  }
+
+  const missing = getMissingListingFields(listing);
+  if (missing.length > 0) {
+    return { errors: [`The ${language} listing has no ${missing.join(', ')}`] };
+  }
+
+  const approved = await updateStoreListing(listing.id, {
+    status: 'approved',
+    approved_by: userId,
+    approved_at: new Date().toISOString()
+  }, ['draft']);
+  if (!approved) {
+    return { errors: [`The ${language} listing changed while it was being approved`] };
+  }
+
+  return { listing: toListingResponse(approved) };
+};
+
+/**
+ * Upload the screenshots of a locale, replacing those of each device it has
+ * screenshots for; devices without screenshots keep what Play Console has
+ */
+const pushListingScreenshots = async (service, packageName, editId, listing) => {
+  for (const [device, imageType] of Object.entries(PLAY_SCREENSHOT_TYPES)) {
+    const screenshots = (listing.screenshots || []).filter(screenshot => screenshot.device === device);
+    if (screenshots.length === 0) continue;
+
+    const images = [];
+    for (const screenshot of screenshots) {
+      const data = await fetchAssetImage(screenshot.url);
+      images.push({ data, mimeType: getImageMimeType(data) });
+    }
+
+    const uploaded = await service.replaceImages(packageName, editId, listing.language, imageType, images);
+    if (!uploaded.success) {
+      throw new Error(`${listing.language}: ${uploaded.error}`);
+    }
+  }
+};
+
+/**
+ * Push every approved locale to Google Play in a single edit
+ * The edit is deleted when any locale fails, so Play Console gets all of them or none.
+ * @param {Object} options - { service, appId, packageName } with an initialized GooglePlayConsoleService
+ * @returns {Promise<Object>} { editId, listings } or { errors } when nothing is approved
+ */
+const pushStoreListings = async (options) => {
+  const { service, appId, packageName } = options;
+
+  const approved = await getStoreListings(appId, GOOGLE_PLAY, { statuses: ['approved'] });
+  if (approved.length === 0) {
+    return { errors: ['No approved listings to push'] };
+  }
+
+  let editId = null;
+  try {
+    const edit = await service.createEdit(packageName);
+    if (!edit.success) {
+      throw new Error(edit.error);
+    }
+    editId = edit.editId;
+
+    for (const listing of approved) {
+      const updated = await service.updateListing(packageName, editId, {
+        language: listing.language,
+        title: listing.title,
+        shortDescription: listing.short_description,
+        fullDescription: listing.full_description
+      });
+      if (!updated.success) {
+        throw new Error(`${listing.language}: ${updated.error}`);
+      }
+
+      await pushListingScreenshots(service, packageName, editId, listing);
+    }
+
+    const committed = await service.commitEdit(packageName, editId);
+    if (!committed.success) {
+      throw new Error(committed.error);
+    }
+    const committedEditId = editId;
+    editId = null;
+
+    // Locales edited during the push stay drafts
+    const publishedAt = new Date().toISOString();
+    const listings = [];
+    for (const listing of approved) {
+      const published = await updateStoreListing(listing.id, { status: 'published', published_at: publishedAt }, ['approved']);
+      listings.push(toListingResponse(published || listing));
+    }
+
+    return { editId: committedEditId, listings };
+  } catch (error) {
+    console.error('Store Listing Push Error:', error);
+    if (editId) {
+      await service.deleteEdit(packageName, editId);
+    }
+    throw new Error(`Failed to push store listings: ${error.message}`);
+  }
+};
+
+export {
+  LISTING_STATUSES,
+  LISTING_LIMITS,
+  PLAY_SCREENSHOT_TYPES,
+  validateListing,
+  listStoreListings,
+  saveStoreListing,
+  removeStoreListing,
+  draftStoreListings,
+  approveStoreListing,
+  pushStoreListings
+};
@@ -0,0 +1,523 @@
+import sharp from 'sharp';
+import { launchBrowser } from './appGenerator.js';
+import { getAppHosts } from './deepLinks.js';
+import { buildInjectionScripts } from './webviewInjections.js';
+import { uploadFile } from './database.js';
+
+/**
+ * Store screenshots
+ * Renders the pages of an app at the exact resolutions each store asks for,
+ * keyed like PARTNER_PLATFORMS, and keeps them on the app as store_screenshots.
+ *
+ * Plan shape:
+ *   stores        string[] - GOOGLE_PLAY and/or APPLE_APP_STORE (default both)
+ *   devices       string[] - device IDs below to limit the render to (default all of the stores')
+ *   orientations  string[] - portrait and/or landscape (default ["portrait"])
+ *   shots         Object[] - { name, path | url, steps, caption }, in listing order;
+ *                            steps is a journey run before the capture:
+ *                              { action: 'click', selector }
+ *                              { action: 'type', selector, text }
+ *                              { action: 'wait', ms } or { action: 'wait', selector }
+ *                              { action: 'scroll', y }
+ *                              { action: 'goto', path | url }
+ *   frame         boolean or { background, captionColor } - draw the page inside a
+ *                            device bezel on a background, with the shot's caption above
+ *
+ * Pages render with the app's injection rules applied, as they look in the app.
+ */
+
+const MAX_SHOTS = 8; // Google Play shows at most 8 screenshots per device type
+const MAX_STEPS = 20;
+const MAX_CAPTION_LENGTH = 120;
+const MAX_WAIT_MS = 10000;
+const MAX_RENDERS = 60;
+const SELECTOR_TIMEOUT_MS = 10000;
+
+// Portrait sizes in pixels; landscape swaps them. scale is the device pixel
+// ratio, so width / scale by height / scale is the CSS viewport the page sees.
+const STORE_SCREENSHOT_DEVICES = {
+  GOOGLE_PLAY: {
+    phone: { name: 'Phone', width: 1080, height: 1920, scale: 3, required: true },
+    tablet_7: { name: '7-inch tablet', width: 1200, height: 1920, scale: 2, required: false },
+    tablet_10: { name: '10-inch tablet', width: 1600, height: 2560, scale: 2, required: false }
+  },
+  APPLE_APP_STORE: {
+    iphone_6_7: { name: 'iPhone 6.7"', width: 1290, height: 2796, scale: 3, required: true },
+    iphone_6_5: { name: 'iPhone 6.5"', width: 1242, height: 2688, scale: 3, required: true },
+    iphone_5_5: { name: 'iPhone 5.5"', width: 1242, height: 2208, scale: 3, required: false },
+    ipad_12_9: { name: 'iPad Pro 12.9"', width: 2048, height: 2732, scale: 2, required: true }
+  }
+};
+
+const SCREENSHOT_ORIENTATIONS = ['portrait', 'landscape'];
+const STEP_ACTIONS = ['click', 'type', 'wait', 'scroll', 'goto'];
+
+const DEFAULT_FRAME = {
+  background: '#111827',
+  captionColor: '#FFFFFF'
+};
+
+const HEX_COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Find a device by ID
+ * @returns {Object|null} { store, id, ...size }
+ */
+const getScreenshotDevice = (deviceId) => {
+  for (const [store, devices] of Object.entries(STORE_SCREENSHOT_DEVICES)) {
+    if (devices[deviceId]) {
+      return { store, id: deviceId, ...devices[deviceId] };
+    }
+  }
+  return null;
+};
+
+/**
+ * Pixel size of a device's screenshots in an orientation
+ */
+const getScreenshotSize = (device, orientation) => (orientation === 'landscape'
+  ? { width: device.height, height: device.width }
+  : { width: device.width, height: device.height });
+
+/**
+ * Resolve a shot or goto target against the app's start URL
+ * @returns {string|null} Absolute URL, or null when it is not a page of the app
+ */
+const resolveAppUrl = (appPackage, { path, url }) => {
+  const startUrl = appPackage.configuration.webview.url;
+  try {
+    const resolved = new URL(url || path || '/', startUrl);
+    if (!['http:', 'https:'].includes(resolved.protocol)) return null;
+    return getAppHosts(appPackage).includes(resolved.hostname.toLowerCase()) ? resolved.href : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const validateStep = (step, label, appPackage) => {
+  const errors = [];
+  if (!isPlainObject(step) || !STEP_ACTIONS.includes(step.action)) {
+    return { errors: [`${label}.action must be one of ${STEP_ACTIONS.join(', ')}`] };
+  }
+
+  const hasSelector = typeof step.selector === 'string' && step.selector.trim().length > 0;
+  switch (step.action) {
+    case 'click':
+      if (!hasSelector) errors.push(`${label}.selector is required`);
+      return { errors, step: { action: 'click', selector: step.selector } };
+    case 'type':
+      if (!hasSelector) errors.push(`${label}.selector is required`);
+      if (typeof step.text !== 'string' || step.text.length > 500) {
+        errors.push(`${label}.text must be a string of at most 500 characters`);
+      }
+      return { errors, step: { action: 'type', selector: step.selector, text: step.text } };
+    case 'wait':
+      if (hasSelector) return { errors, step: { action: 'wait', selector: step.selector } };
+      if (!Number.isInteger(step.ms) || step.ms < 0 || step.ms > MAX_WAIT_MS) {
+        errors.push(`${label} needs a selector or ms between 0 and ${MAX_WAIT_MS}`);
+      }
+      return { errors, step: { action: 'wait', ms: step.ms } };
+    case 'scroll':
+      if (!Number.isInteger(step.y) || step.y < 0) {
+        errors.push(`${label}.y must be a non-negative integer`);
+      }
+      return { errors, step: { action: 'scroll', y: step.y } };
+    default: {
+      const url = resolveAppUrl(appPackage, step);
+      if (!url) errors.push(`${label} must go to a page of the app`);
+      return { errors, step: { action: 'goto', url } };
+    }
+  }
+};
+
+/**
+ * Validate a screenshot plan against an app
+ * @param {Object} input - Plan, see the shape above
+ * @param {Object} appPackage - App package, or any object with configuration.webview
+ * @returns {Object} { isValid, errors, plan }
+ */
+const validateScreenshotPlan = (input = {}, appPackage) => {
+  const errors = [];
+  const {
+    stores = Object.keys(STORE_SCREENSHOT_DEVICES),
+    devices,
+    orientations = ['portrait'],
+    shots,
+    frame = false
+  } = input;
+
+  if (!Array.isArray(stores) || stores.length === 0 || stores.some(store => !STORE_SCREENSHOT_DEVICES[store])) {
+    errors.push(`stores must list one or more of ${Object.keys(STORE_SCREENSHOT_DEVICES).join(', ')}`);
+  }
+  const storeList = Array.isArray(stores) ? stores.filter(store => STORE_SCREENSHOT_DEVICES[store]) : [];
+  const storeDevices = storeList.flatMap(store => Object.keys(STORE_SCREENSHOT_DEVICES[store]));
+
+  let deviceList = storeDevices;
+  if (devices !== undefined) {
+    if (!Array.isArray(devices) || devices.length === 0) {
+      errors.push('devices must be a non-empty array');
+    } else {
+      const unknown = devices.filter(device => !storeDevices.includes(device));
+      if (unknown.length > 0) {
+        errors.push(`Unknown devices for the selected stores: ${unknown.join(', ')}`);
+      }
+      deviceList = [...new Set(devices.filter(device => storeDevices.includes(device)))];
+    }
+  }
+
+  if (!Array.isArray(orientations) || orientations.length === 0 ||
+      orientations.some(orientation => !SCREENSHOT_ORIENTATIONS.includes(orientation))) {
+    errors.push(`orientations must list one or more of ${SCREENSHOT_ORIENTATIONS.join(', ')}`);
+  }
+  const orientationList = Array.isArray(orientations)
+    ? [...new Set(orientations.filter(orientation => SCREENSHOT_ORIENTATIONS.includes(orientation)))]
+    : [];
+
+  const shotList = [];
+  if (!Array.isArray(shots) || shots.length === 0 || shots.length > MAX_SHOTS) {
+    errors.push(`shots must list between 1 and ${MAX_SHOTS} pages`);
+  } else {
+    shots.forEach((shot, index) => {
+      const label = `shots[${index}]`;
+      const value = typeof shot === 'string' ? { path: shot } : shot;
+      if (!isPlainObject(value)) {
+        errors.push(`${label} must be a path or an object`);
+        return;
+      }
+
+      const url = resolveAppUrl(appPackage, value);
+      if (!url) {
+        errors.push(`${label} must be a page of the app`);
+      }
+      if (value.caption !== undefined && (typeof value.caption !== 'string' || value.caption.length > MAX_CAPTION_LENGTH)) {
+        errors.push(`${label}.caption must be a string of at most ${MAX_CAPTION_LENGTH} characters`);
+      }
+
+      const steps = [];
+      if (value.steps !== undefined) {
+        if (!Array.isArray(value.steps) || value.steps.length > MAX_STEPS) {
+          errors.push(`${label}.steps must be an array of at most ${MAX_STEPS} steps`);
+        } else {
+          value.steps.forEach((step, stepIndex) => {
+            const result = validateStep(step, `${label}.steps[${stepIndex}]`, appPackage);
+            errors.push(...result.errors);
+            if (result.step) steps.push(result.step);
+          });
+        }
+      }
+
+      shotList.push({
+        name: typeof value.name === 'string' && value.name.trim() ? value.name.trim().slice(0, 60) : `shot-${index + 1}`,
+        url,
+        steps,
+        caption: value.caption?.trim() || null
+      });
+    });
+  }
+
+  let frameOptions = null;
+  if (frame === true) {
+    frameOptions = { ...DEFAULT_FRAME };
+  } else if (isPlainObject(frame)) {
+    frameOptions = { ...DEFAULT_FRAME };
+    for (const key of Object.keys(DEFAULT_FRAME)) {
+      if (frame[key] === undefined) continue;
+      if (typeof frame[key] !== 'string' || !HEX_COLOR_PATTERN.test(frame[key])) {
+        errors.push(`frame.${key} must be a hex color`);
+      } else {
+        frameOptions[key] = frame[key];
+      }
+    }
+  } else if (frame !== false && frame !== null) {
+    errors.push('frame must be a boolean or an object');
+  }
+
+  const renders = deviceList.length * orientationList.length * shotList.length;
+  if (renders > MAX_RENDERS) {
+    errors.push(`The plan renders ${renders} screenshots; the limit is ${MAX_RENDERS}`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    plan: {
+      devices: deviceList,
+      orientations: orientationList,
+      shots: shotList,
+      frame: frameOptions
+    }
+  };
+};
+
+/**
+ * Run a shot's journey on a loaded page
+ */
+const runSteps = async (page, steps, documentEnd) => {
+  for (const step of steps) {
+    switch (step.action) {
+      case 'click': {
+        await page.waitForSelector(step.selector, { visible: true, timeout: SELECTOR_TIMEOUT_MS });
+        const navigation = page.waitForNavigation({ waitUntil: 'load', timeout: 5000 }).catch(() => null);
+        await page.click(step.selector);
+        if (await navigation && documentEnd) {
+          await page.evaluate(documentEnd);
+        }
+        break;
+      }
+      case 'type':
+        await page.waitForSelector(step.selector, { visible: true, timeout: SELECTOR_TIMEOUT_MS });
+        await page.type(step.selector, step.text);
+        break;
+      case 'wait':
+        if (step.selector) {
+          await page.waitForSelector(step.selector, { visible: true, timeout: SELECTOR_TIMEOUT_MS });
+        } else {
+          await new Promise(resolve => setTimeout(resolve, step.ms));
+        }
+        break;
+      case 'scroll':
+        await page.evaluate(y => window.scrollTo(0, y), step.y);
+        break;
+      case 'goto':
+        await page.goto(step.url, { waitUntil: 'load', timeout: 30000 });
+        if (documentEnd) {
+          await page.evaluate(documentEnd);
+        }
+        break;
+    }
+  }
+  await page.waitForNetworkIdle({ idleTime: 500, timeout: 5000 }).catch(() => {});
+};
+
+/**
+ * Split a caption into lines that fit the frame
+ */
+const wrapCaption = (caption, maxChars) => {
+  const lines = [];
+  let line = '';
+  for (const word of caption.split(/\s+/)) {
+    if (line && `${line} ${word}`.length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines.slice(0, 3);
+};
+
+/**
+ * Draw a capture inside a device bezel on the frame background, with the
+ * caption above it. The result has exactly the store's pixel size.
+ */
+const frameScreenshot = async (capture, { width, height }, caption, frame) => {
+  const padding = Math.round(Math.min(width, height) * 0.06);
+  const fontSize = Math.round(Math.min(width, height) * 0.05);
+  const lines = caption ? wrapCaption(caption, Math.floor((width - padding * 2) / (fontSize * 0.55))) : [];
+  const captionHeight = lines.length ? Math.round(lines.length * fontSize * 1.25 + padding) : 0;
+
+  // The bezel keeps the capture's aspect ratio inside the space left below the caption
+  const availableWidth = width - padding * 2;
+  const availableHeight = height - padding * 2 - captionHeight;
+  const bezelScale = Math.min(availableWidth / width, availableHeight / height);
+  const bezel = Math.round(Math.min(width, height) * bezelScale * 0.025);
+  const screenWidth = Math.round(width * bezelScale) - bezel * 2;
+  const screenHeight = Math.round(height * bezelScale) - bezel * 2;
+  const deviceWidth = screenWidth + bezel * 2;
+  const deviceHeight = screenHeight + bezel * 2;
+  const deviceLeft = Math.round((width - deviceWidth) / 2);
+  const deviceTop = padding + captionHeight + Math.round((availableHeight - deviceHeight) / 2);
+  const radius = Math.round(Math.min(deviceWidth, deviceHeight) * 0.06);
+  const screenRadius = Math.max(radius - bezel, 0);
+
+  const background = Buffer.from(`
+    <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+      <rect width="100%" height="100%" fill="${frame.background}"/>
+      ${lines.map((text, index) => `
+      <text x="50%" y="${Math.round(padding + fontSize * (index + 1) * 1.25 - fontSize * 0.25)}" text-anchor="middle"
+            font-family="Helvetica, Arial, sans-serif" font-size="${fontSize}" font-weight="bold"
+            fill="${frame.captionColor}">${escapeXml(text)}</text>`).join('')}
+      <rect x="${deviceLeft}" y="${deviceTop}" width="${deviceWidth}" height="${deviceHeight}"
+            rx="${radius}" ry="${radius}" fill="#0B0B0F" stroke="#3F3F46" stroke-width="${Math.max(Math.round(bezel / 6), 1)}"/>
+    </svg>
+  `);
+
+  const screenMask = Buffer.from(`
+    <svg width="${screenWidth}" height="${screenHeight}" xmlns="http://www.w3.org/2000/svg">
+      <rect width="100%" height="100%" rx="${screenRadius}" ry="${screenRadius}" fill="#fff"/>
+    </svg>
+  `);
+  const screen = await sharp(capture)
+    .resize(screenWidth, screenHeight, { fit: 'cover', position: 'top' })
+    .composite([{ input: screenMask, blend: 'dest-in' }])
+    .png()
+    .toBuffer();
+
+  return sharp(background)
+    .composite([{ input: screen, left: deviceLeft + bezel, top: deviceTop + bezel }])
+    .png()
+    .toBuffer();
+};
+
+/**
+ * Render a plan and upload the screenshots
+ * Each device and orientation gets its own page, and every shot's journey runs
+ * again there so responsive layouts render as they would on that device.
+ * @param {Object} appPackage - App package, or any object with configuration.webview
+ * @param {Object} plan - Plan from validateScreenshotPlan
+ * @param {Object} options - { appId } used in the storage paths
+ * @returns {Promise<Object>} { screenshots, errors } - a shot that fails is reported
+ *                            in errors and the rest are still rendered
+ */
+const renderStoreScreenshots = async (appPackage, plan, options = {}) => {
+  const { webview } = appPackage.configuration;
+  const screenshots = [];
+  const errors = [];
+  const prefix = `screenshots/${options.appId || 'preview'}/${Date.now()}`;
+
+  let browser;
+  try {
+    const scripts = buildInjectionScripts(appPackage);
+    browser = await launchBrowser();
+    const userAgent = `${await browser.userAgent()} ${webview.userAgent || ''}`.trim();
+
+    for (const deviceId of plan.devices) {
+      const device = getScreenshotDevice(deviceId);
+
+      for (const orientation of plan.orientations) {
+        const size = getScreenshotSize(device, orientation);
+        const page = await browser.newPage();
+
+        try {
+          await page.setViewport({
+            width: size.width / device.scale,
+            height: size.height / device.scale,
+            deviceScaleFactor: device.scale,
+            isMobile: true,
+            hasTouch: true,
+            isLandscape: orientation === 'landscape'
+          });
+          await page.setUserAgent(userAgent);
+          if (scripts) {
+            await page.evaluateOnNewDocument(scripts.documentStart);
+          }
+
+          for (const [index, shot] of plan.shots.entries()) {
+            const label = `${shot.name} on ${device.name} (${orientation})`;
+            try {
+              await page.goto(shot.url, { waitUntil: 'load', timeout: 30000 });
+              if (scripts) {
+                await page.evaluate(scripts.documentEnd);
+              }
+              await runSteps(page, shot.steps, scripts?.documentEnd);
+
+              const capture = Buffer.from(await page.screenshot({ type: 'png', fullPage: false }));
+              const image = plan.frame
+                ? await frameScreenshot(capture, size, shot.caption, plan.frame)
+                : await sharp(capture).resize(size.width, size.height, { fit: 'cover', position: 'top' }).png().toBuffer();
+
+              const upload = await uploadFile('app-assets', `${prefix}-${deviceId}-${orientation}-${index + 1}.png`, image, {
+                contentType: 'image/png'
+              });
+
+              screenshots.push({
+                store: device.store,
+                device: deviceId,
+                orientation,
+                order: index + 1,
+                shot: shot.name,
+                caption: shot.caption,
+                framed: Boolean(plan.frame),
+                width: size.width,
+                height: size.height,
+                url: upload.publicUrl,
+                path: upload.path
+              });
+            } catch (error) {
+              errors.push(`${label}: ${error.message}`);
+            }
+          }
+        } finally {
+          await page.close();
+        }
+      }
+    }
+
+    return { screenshots, errors };
+  } catch (error) {
+    console.error('Store Screenshots Error:', error);
+    throw new Error(`Failed to render store screenshots: ${error.message}`);
+  } finally {
+    if (browser) {
+      await browser.close();
+    }
+  }
+};
+
+/**
+ * Merge newly rendered screenshots into the app's set. A device and orientation
+ * that was rendered again replaces its old screenshots as a whole.
+ * @returns {Array} Screenshots in store, device, orientation and listing order
+ */
+const mergeStoreScreenshots = (existing = [], rendered = []) => {
+  const replaced = new Set(rendered.map(screenshot => `${screenshot.device}:${screenshot.orientation}`));
+  const deviceOrder = Object.values(STORE_SCREENSHOT_DEVICES).flatMap(devices => Object.keys(devices));
+
+  return [
+    ...(existing || []).filter(screenshot => !replaced.has(`${screenshot.device}:${screenshot.orientation}`)),
+    ...rendered
+  ].sort((a, b) => deviceOrder.indexOf(a.device) - deviceOrder.indexOf(b.device) ||
+    a.orientation.localeCompare(b.orientation) ||
+    a.order - b.order);
+};
+
+/**
+ * Required devices a store listing has no screenshots for
+ * @param {Array} storeScreenshots - The app's store_screenshots
+ * @param {string} store - PARTNER_PLATFORMS key
+ * @returns {string[]} Missing device IDs
+ */
+const getMissingScreenshotDevices = (storeScreenshots = [], store) => {
+  const devices = STORE_SCREENSHOT_DEVICES[store] || {};
+  return Object.entries(devices)
+    .filter(([deviceId, device]) => device.required &&
+      !(storeScreenshots || []).some(screenshot => screenshot.device === deviceId))
+    .map(([deviceId]) => deviceId);
+};
+
+/**
+ * Screenshot URLs shown on the app's listing here: those of the first device,
+ * in store order, that has screenshots, in portrait when it can
+ */
+const pickListingScreenshots = (storeScreenshots = []) => {
+  for (const devices of Object.values(STORE_SCREENSHOT_DEVICES)) {
+    for (const deviceId of Object.keys(devices)) {
+      const set = storeScreenshots.filter(screenshot => screenshot.device === deviceId);
+      if (set.length === 0) continue;
+      const portrait = set.filter(screenshot => screenshot.orientation === 'portrait');
+      return (portrait.length ? portrait : set).map(screenshot => screenshot.url);
+    }
+  }
+  return [];
+};
+
+export {
+  STORE_SCREENSHOT_DEVICES,
+  SCREENSHOT_ORIENTATIONS,
+  getScreenshotDevice,
+  getScreenshotSize,
+  validateScreenshotPlan,
+  renderStoreScreenshots,
+  mergeStoreScreenshots,
+  getMissingScreenshotDevices,
+  pickListingScreenshots
+};
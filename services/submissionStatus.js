@@ -0,0 +1,346 @@
+import { supabase, getAppById, createNotification } from './database.js';
+import { GooglePlayConsoleService } from './googlePlayConsole.js';
+import { getTrackStates, normalizeTrack } from './playTracks.js';
+import { AppStoreConnectService, getReviewStatus } from './appStoreConnect.js';
+
+/**
+ * Submission Status Sync
+ * Keeps app_submissions in step with the stores. Each platform has a status
+ * adapter that reads the submission's state from the store with the
+ * partnership's credentials:
+ *
+ *   adapter(submission, credentials) -> { status, message, details }
+ *
+ * where status is the app_submissions status (null keeps the current one) and
+ * details is stored in partner_response under the platform's key. Platforms
+ * without an adapter keep their status. A background worker polls submissions
+ * still waiting for a decision, and the app owner gets a notification on
+ * every status change.
+ *
+ * SUBMISSION_STATUS_DEMO=true replaces the adapters with a random simulation
+ * for demos; it never runs otherwise.
+ */
+
+// Submissions the worker keeps polling
+const PENDING_STATUSES = ['submitted', 'under_review'];
+const SYNC_BATCH_SIZE = 50;
+
+const NOTIFICATIONS = {
+  under_review: {
+    type: 'app_in_review',
+    title: (store) => `In review on ${store}`,
+    message: (appName, store) => `${appName} is being reviewed by ${store}.`
+  },
+  approved: {
+    type: 'app_approved',
+    title: (store) => `Approved on ${store}`,
+    message: (appName, store) => `${appName} was approved by ${store}.`
+  },
+  rejected: {
+    type: 'app_rejected',
+    title: (store) => `Rejected on ${store}`,
+    message: (appName, store) => `${appName} was rejected by ${store}. Check the store's review feedback.`
+  },
+  cancelled: {
+    type: 'app_submission_cancelled',
+    title: (store) => `Submission withdrawn from ${store}`,
+    message: (appName, store) => `The ${store} submission of ${appName} was withdrawn.`
+  }
+};
+
+const STORE_NAMES = {
+  GOOGLE_PLAY: 'Google Play',
+  APPLE_APP_STORE: 'the App Store',
+  MICROSOFT_STORE: 'the Microsoft Store',
+  AMAZON_APPSTORE: 'the Amazon Appstore'
+};
+
+let workerTimer = null;
+let syncing = false;
+
+const isDemoMode = () => process.env.SUBMISSION_STATUS_DEMO === 'true';
+
+/**
+ * Google Play status from the submission's track
+ * The Play Developer API shows what is on each track but not review
+ * decisions: a completed release is fully rolled out and counts as approved,
+ * a staged rollout stays in review until it completes. submission_data.versionCode
+ * picks the release and submission_data.track the track (production by default).
+ */
+const googlePlayStatusAdapter = async (submission, credentials) => {
+  const versionCode = Number(submission.submission_data?.versionCode);
+  if (!Number.isInteger(versionCode) || versionCode < 1) {
+    return { status: null, message: 'The submission has no version code to follow on Google Play' };
+  }
+
+  const track = normalizeTrack(submission.submission_data?.track || 'production');
+  const service = new GooglePlayConsoleService();
+  const initialized = await service.initialize(credentials.serviceAccountKey);
+  if (!initialized.success) {
+    throw new Error(initialized.error);
+  }
+
+  const tracks = await getTrackStates(service, credentials.packageName);
+  const release = tracks.find(item => item.track === track)?.releases
+    .find(item => item.versionCodes.includes(versionCode));
+
+  if (!release) {
+    return {
+      status: null,
+      message: `Version code ${versionCode} is not on the ${track} track yet`,
+      details: { track, versionCode, releaseStatus: null }
+    };
+  }
+
+  const statuses = { draft: 'submitted', inProgress: 'under_review', completed: 'approved' };
+  const messages = {
+    draft: `Version code ${versionCode} is a draft on the ${track} track`,
+    inProgress: `Version code ${versionCode} is rolling out on the ${track} track`,
+    completed: `Version code ${versionCode} is live on the ${track} track`
+  };
+  return {
+    status: statuses[release.status] || null,
+    message: messages[release.status] || `Version code ${versionCode} is ${release.status} on the ${track} track`,
+    details: { track, versionCode, releaseStatus: release.status, userFraction: release.userFraction }
+  };
+};
+
+/**
+ * App Store status from the version's appStoreState and the review submission
+ */
+const appStoreStatusAdapter = async (submission, credentials) => {
+  const appStoreConnect = submission.partner_response?.appStoreConnect || {};
+  const review = await getReviewStatus(new AppStoreConnectService(credentials), {
+    versionId: appStoreConnect.versionId,
+    reviewSubmissionId: submission.submission_id
+  });
+
+  return {
+    status: review.status,
+    message: review.message,
+    details: { appStoreState: review.appStoreState, reviewState: review.reviewState }
+  };
+};
+
+const STATUS_ADAPTERS = {
+  GOOGLE_PLAY: { key: 'googlePlay', fetchStatus: googlePlayStatusAdapter },
+  APPLE_APP_STORE: { key: 'appStoreConnect', fetchStatus: appStoreStatusAdapter }
+};
+
+/**
+ * Simulate status update for demo purposes (SUBMISSION_STATUS_DEMO only)
+ */
+const simulateStatusUpdate = async (submission) => {
+  const submittedAt = new Date(submission.submitted_at);
+  const now = new Date();
+  const hoursSinceSubmission = (now - submittedAt) / (1000 * 60 * 60);
+
+  // Simulate review process
+  if (submission.status === 'submitted' && hoursSinceSubmission > 1) {
+    return {
+      status: 'under_review',
+      message: 'App is currently under review (demo)'
+    };
+  }
+
+  if (submission.status === 'under_review' && hoursSinceSubmission > 24) {
+    // 90% chance of approval for demo
+    const approved = Math.random() > 0.1;
+    return {
+      status: approved ? 'approved' : 'rejected',
+      message: approved ? 'App approved and published (demo)' : 'App rejected - please review feedback (demo)'
+    };
+  }
+
+  return {
+    status: submission.status,
+    message: submission.status_message || 'No status update'
+  };
+};
+
+const getPartnershipCredentials = async (platform) => {
+  const { data: partnership, error } = await supabase
+    .from('partnerships')
+    .select('credentials')
+    .eq('platform', platform)
+    .single();
+
+  if (error || !partnership) {
+    throw new Error(`No partnership found for ${platform}`);
+  }
+  return partnership.credentials;
+};
+
+/**
+ * Read the current state of a submission from its store
+ * @returns {Promise<Object|null>} { status, message, partnerResponse }, or null
+ *   when the platform has no status adapter
+ */
+const fetchSubmissionStatus = async (submission) => {
+  if (isDemoMode()) {
+    return simulateStatusUpdate(submission);
+  }
+
+  const adapter = STATUS_ADAPTERS[submission.platform];
+  if (!adapter) return null;
+
+  const credentials = await getPartnershipCredentials(submission.platform);
+  const result = await adapter.fetchStatus(submission, credentials);
+
+  return {
+    status: result.status || submission.status,
+    message: result.message,
+    partnerResponse: {
+      ...submission.partner_response,
+      [adapter.key]: {
+        ...submission.partner_response?.[adapter.key],
+        ...result.details,
+        checkedAt: new Date().toISOString()
+      }
+    }
+  };
+};
+
+/**
+ * Tell the app owner about a status change; failures are only logged
+ */
+const notifyStatusChange = async (submission) => {
+  const notification = NOTIFICATIONS[submission.status];
+  if (!notification) return null;
+
+  try {
+    const app = await getAppById(submission.app_id);
+    if (!app?.user_id) return null;
+
+    const store = STORE_NAMES[submission.platform] || submission.platform;
+    return await createNotification({
+      user_id: app.user_id,
+      type: notification.type,
+      title: notification.title(store),
+      message: notification.message(app.name, store),
+      data: {
+        appId: submission.app_id,
+        submissionId: submission.id,
+        platform: submission.platform,
+        status: submission.status,
+        statusMessage: submission.status_message
+      }
+    });
+  } catch (error) {
+    console.error('Submission Notification Error:', error);
+    return null;
+  }
+};
+
+/**
+ * Sync one submission with its store and notify the owner when its status changed
+ * @param {Object} submission - app_submissions row
+ * @returns {Promise<Object>} The updated row, or the row as it was when nothing changed
+ */
+const syncSubmissionStatus = async (submission) => {
+  const update = await fetchSubmissionStatus(submission);
+  if (!update) return submission;
+
+  const statusChanged = update.status !== submission.status;
+  if (!statusChanged && update.message === submission.status_message && !update.partnerResponse) {
+    return submission;
+  }
+
+  // Only the process that moves the submission out of its status notifies
+  const { data: updated, error } = await supabase
+    .from('app_submissions')
+    .update({
+      status: update.status,
+      status_message: update.message,
+      ...(update.partnerResponse ? { partner_response: update.partnerResponse } : {}),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', submission.id)
+    .eq('status', submission.status)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!updated) return submission;
+
+  if (statusChanged) {
+    await notifyStatusChange(updated);
+  }
+  return updated;
+};
+
+/**
+ * Sync the submissions waiting for a store decision, least recently checked first
+ * @returns {Promise<number>} Submissions whose status changed
+ */
+const syncPendingSubmissions = async () => {
+  if (syncing) return 0;
+  syncing = true;
+
+  try {
+    let query = supabase
+      .from('app_submissions')
+      .select('*')
+      .in('status', PENDING_STATUSES);
+
+    if (!isDemoMode()) {
+      query = query.in('platform', Object.keys(STATUS_ADAPTERS));
+    }
+
+    const { data, error } = await query
+      .order('updated_at', { ascending: true })
+      .limit(SYNC_BATCH_SIZE);
+
+    if (error) throw error;
+
+    let changed = 0;
+    for (const submission of data || []) {
+      try {
+        const updated = await syncSubmissionStatus(submission);
+        if (updated.status !== submission.status) changed++;
+      } catch (syncError) {
+        console.error(`Submission Status Sync Error (${submission.platform} ${submission.submission_id}):`, syncError.message);
+      }
+    }
+    return changed;
+  } catch (error) {
+    console.error('Submission Status Sync Error:', error);
+    return 0;
+  } finally {
+    syncing = false;
+  }
+};
+
+/**
+ * Start polling the stores for submission status changes
+ * @param {Object} options - { pollInterval } in milliseconds
+ */
+const startSubmissionStatusWorker = (options = {}) => {
+  if (workerTimer) return;
+
+  if (!supabase) {
+    console.log('Submission status worker not started: Supabase is not configured');
+    return;
+  }
+
+  const pollInterval = options.pollInterval || parseInt(process.env.SUBMISSION_STATUS_POLL_MS) || 15 * 60 * 1000;
+
+  workerTimer = setInterval(syncPendingSubmissions, pollInterval);
+  workerTimer.unref();
+  console.log(`🛰️  Submission status worker polling every ${pollInterval}ms${isDemoMode() ? ' (demo mode)' : ''}`);
+};
+
+const stopSubmissionStatusWorker = () => {
+  clearInterval(workerTimer);
+  workerTimer = null;
+};
+
+export {
+  PENDING_STATUSES,
+  STATUS_ADAPTERS,
+  fetchSubmissionStatus,
+  syncSubmissionStatus,
+  syncPendingSubmissions,
+  startSubmissionStatusWorker,
+  stopSubmissionStatusWorker
+};
@@ -0,0 +1,329 @@
+import vm from 'vm';
+import { launchBrowser } from './appGenerator.js';
+import { getAppHosts } from './deepLinks.js';
+
+/**
+ * WebView injection rules
+ * Lets app owners restyle or script the wrapped site inside the app, e.g. to
+ * hide its cookie banner, footer or "download our app" prompt.
+ *
+ * Rule shape (configuration.webview.injections is an array of these):
+ *   name              string   - label used in logs and previews (default "rule-<n>")
+ *   enabled           boolean  - default true
+ *   matches           string[] - URL patterns the rule applies to (default ["/*"]);
+ *                                "/path/*" matches paths on the app's own hosts,
+ *                                "https://host/path*" matches full URLs on any host;
+ *                                "*" matches any run of characters
+ *   css               string   - stylesheet added to matching pages
+ *   jsDocumentStart   string   - script run before the page's own scripts
+ *   jsDocumentEnd     string   - script run once the page has loaded
+ *
+ * Every shell runs the same two generated scripts on each page load; the scripts
+ * check the page URL against the rules themselves, so matching behaves the same
+ * on Android, iOS, Flutter and desktop. Client-side route changes in
+ * single-page apps keep the injections of the page that was loaded.
+ */
+
+const MAX_INJECTION_RULES = 20;
+const MAX_RULE_MATCHES = 20;
+const MAX_RULE_NAME_LENGTH = 60;
+const MAX_INJECTION_LENGTH = 50000;
+
+const INJECTION_SOURCES = ['css', 'jsDocumentStart', 'jsDocumentEnd'];
+const RULE_KEYS = ['name', 'enabled', 'matches', ...INJECTION_SOURCES];
+
+const DEFAULT_RULE_MATCHES = ['/*'];
+
+const PATH_MATCH_PATTERN = /^\/\S*$/;
+const URL_MATCH_PATTERN = /^https?:\/\/[^/\s]+\/\S*$/i;
+
+const PREVIEW_DEVICES = {
+  mobile: { width: 375, height: 667, isMobile: true, hasTouch: true, deviceScaleFactor: 2 },
+  tablet: { width: 768, height: 1024, isMobile: true, hasTouch: true, deviceScaleFactor: 2 },
+  desktop: { width: 1280, height: 800, isMobile: false, hasTouch: false, deviceScaleFactor: 1 }
+};
+
+/**
+ * Validate injection rules
+ * @param {Array} rules - Rules requested for the app
+ * @returns {Object} { isValid, errors, injections }
+ */
+const validateInjections = (rules = []) => {
+  const validation = {
+    isValid: false,
+    errors: [],
+    injections: null
+  };
+
+  if (!Array.isArray(rules)) {
+    validation.errors.push('Injections must be an array of rules');
+    return validation;
+  }
+  if (rules.length > MAX_INJECTION_RULES) {
+    validation.errors.push(`At most ${MAX_INJECTION_RULES} injection rules are allowed`);
+    return validation;
+  }
+
+  const injections = rules.map((rule, index) => {
+    const label = `Injection ${index + 1}`;
+
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      validation.errors.push(`${label} must be an object`);
+      return null;
+    }
+
+    for (const key of Object.keys(rule)) {
+      if (!RULE_KEYS.includes(key)) {
+        validation.errors.push(`${label}: unknown option ${key}`);
+      }
+    }
+
+    const name = rule.name ?? `rule-${index + 1}`;
+    if (typeof name !== 'string' || name.trim().length === 0 || name.length > MAX_RULE_NAME_LENGTH) {
+      validation.errors.push(`${label}: name must be 1-${MAX_RULE_NAME_LENGTH} characters`);
+    }
+
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+      validation.errors.push(`${label}: enabled must be true or false`);
+    }
+
+    const matches = rule.matches ?? DEFAULT_RULE_MATCHES;
+    if (!Array.isArray(matches) || matches.length === 0 || matches.length > MAX_RULE_MATCHES) {
+      validation.errors.push(`${label}: matches must be an array of 1-${MAX_RULE_MATCHES} URL patterns`);
+    } else {
+      const invalid = matches.filter(pattern => typeof pattern !== 'string'
+        || !(PATH_MATCH_PATTERN.test(pattern) || URL_MATCH_PATTERN.test(pattern)));
+      if (invalid.length > 0) {
+        validation.errors.push(`${label}: invalid URL patterns (use "/path/*" or "https://host/path*"): ${invalid.join(', ')}`);
+      }
+    }
+
+    for (const source of INJECTION_SOURCES) {
+      const value = rule[source];
+      if (value === undefined) continue;
+
+      if (typeof value !== 'string') {
+        validation.errors.push(`${label}: ${source} must be a string`);
+      } else if (value.length > MAX_INJECTION_LENGTH) {
+        validation.errors.push(`${label}: ${source} must be at most ${MAX_INJECTION_LENGTH} characters`);
+      } else if (source !== 'css') {
+        // Compile without running to catch syntax errors before they reach a device
+        try {
+          new vm.Script(wrapScript(value), { filename: `${source}.js` });
+        } catch (error) {
+          validation.errors.push(`${label}: ${source} has a syntax error: ${error.message}`);
+        }
+      }
+    }
+
+    if (!INJECTION_SOURCES.some(source => typeof rule[source] === 'string' && rule[source].trim())) {
+      validation.errors.push(`${label}: add css, jsDocumentStart or jsDocumentEnd`);
+    }
+
+    return {
+      name: typeof name === 'string' ? name.trim() : name,
+      enabled: rule.enabled !== false,
+      matches: Array.isArray(matches) ? [...new Set(matches)] : matches,
+      css: rule.css || '',
+      jsDocumentStart: rule.jsDocumentStart || '',
+      jsDocumentEnd: rule.jsDocumentEnd || ''
+    };
+  });
+
+  const names = injections.filter(Boolean).map(rule => rule.name);
+  const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
+  if (duplicates.length > 0) {
+    validation.errors.push(`Injection names must be unique: ${[...new Set(duplicates)].join(', ')}`);
+  }
+
+  validation.isValid = validation.errors.length === 0;
+  validation.injections = validation.isValid ? injections : null;
+  return validation;
+};
+
+/**
+ * Run an injected script in its own scope so a failing rule cannot stop the others
+ */
+const wrapScript = (code) => `(function () {\n${code}\n})`;
+
+const escapeRegExp = (value) => value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Compile a URL pattern to the matcher the generated scripts use
+ * @returns {Object} { target: 'path' | 'url', source } where source is a RegExp source
+ */
+const compileMatchPattern = (pattern) => ({
+  target: pattern.startsWith('/') ? 'path' : 'url',
+  source: `^${pattern.split('*').map(escapeRegExp).join('.*')}$`
+});
+
+const isAppHost = (hostname, hosts) => hosts.some(host => (host.startsWith('*.')
+  ? hostname.endsWith(host.slice(1))
+  : hostname === host));
+
+/**
+ * List the enabled rules that apply to a URL
+ */
+const getMatchingInjections = (appPackage, url) => {
+  const injections = (appPackage.configuration?.webview?.injections || []).filter(rule => rule.enabled);
+  const hosts = getAppHosts(appPackage);
+  const page = new URL(url);
+  const href = page.href.split('#')[0];
+
+  return injections.filter(rule => rule.matches.map(compileMatchPattern).some(({ target, source }) => (target === 'path'
+    ? isAppHost(page.hostname.toLowerCase(), hosts) && new RegExp(source).test(page.pathname)
+    : new RegExp(source, 'i').test(href))));
+};
+
+/**
+ * Render the script a shell runs at one stage of the page load
+ * CSS is added at both stages: the document-start copy hides elements before
+ * they paint, the document-end copy covers shells that start scripts late.
+ */
+const renderStageScript = (rules, hosts, stage) => {
+  const scriptKey = stage === 'start' ? 'jsDocumentStart' : 'jsDocumentEnd';
+  const entries = rules.map((rule, index) => `    {
+      name: ${JSON.stringify(rule.name)},
+      id: 'rapidsaas-injection-${index + 1}',
+      matches: ${JSON.stringify(rule.matches.map(compileMatchPattern))},
+      css: ${JSON.stringify(rule.css)},
+      run: ${rule[scriptKey] ? wrapScript(rule[scriptKey]) : 'null'}
+    }`);
+
+  return `// Generated by Rapid SaaS AI Store from the app's injection rules (document ${stage}).
+(function () {
+  if (window.__rapidsaasInjected_${stage}) return;
+  window.__rapidsaasInjected_${stage} = true;
+
+  var hosts = ${JSON.stringify(hosts)};
+  var rules = [
+${entries.join(',\n')}
+  ];
+
+  var hostname = location.hostname.toLowerCase();
+  var href = location.href.split('#')[0];
+  var onAppHost = hosts.some(function (host) {
+    return host.indexOf('*.') === 0 ? hostname.endsWith(host.slice(1)) : hostname === host;
+  });
+
+  var matches = function (rule) {
+    return rule.matches.some(function (pattern) {
+      return pattern.target === 'path'
+        ? onAppHost && new RegExp(pattern.source).test(location.pathname)
+        : new RegExp(pattern.source, 'i').test(href);
+    });
+  };
+
+  var addStyle = function (rule) {
+    if (!rule.css || document.getElementById(rule.id)) return;
+    var style = document.createElement('style');
+    style.id = rule.id;
+    style.setAttribute('data-rapidsaas-injection', rule.name);
+    style.textContent = rule.css;
+    (document.head || document.documentElement).appendChild(style);
+  };
+
+  rules.forEach(function (rule) {
+    if (!matches(rule)) return;
+    try {
+      addStyle(rule);
+      if (rule.run) rule.run();
+    } catch (error) {
+      console.error('[RapidSaaS] Injection "' + rule.name + '" failed:', error);
+    }
+  });
+})();
+`;
+};
+
+/**
+ * Build the document-start and document-end scripts for an app's injection rules
+ * @param {Object} appPackage - Package produced by buildAppPackage
+ * @returns {Object|null} { documentStart, documentEnd }, or null without enabled rules
+ */
+const buildInjectionScripts = (appPackage) => {
+  const rules = (appPackage.configuration?.webview?.injections || []).filter(rule => rule.enabled);
+  if (rules.length === 0) {
+    return null;
+  }
+
+  const hosts = getAppHosts(appPackage);
+  return {
+    documentStart: renderStageScript(rules, hosts, 'start'),
+    documentEnd: renderStageScript(rules, hosts, 'end')
+  };
+};
+
+/**
+ * Render a page of the app with its injection rules applied
+ * Mirrors the shells: the document-start script runs before the page's own
+ * scripts and the document-end script once the page has loaded.
+ * @param {Object} appPackage - App package, or any object with configuration.webview
+ * @param {Object} options - { url } to preview (default: the start URL), { device }
+ * @returns {Promise<Object>} { url, device, appliedRules, errors, screenshot }
+ */
+const previewInjections = async (appPackage, options = {}) => {
+  const { webview } = appPackage.configuration;
+  const url = options.url || webview.url;
+  const device = options.device || 'mobile';
+  const viewport = PREVIEW_DEVICES[device];
+
+  if (!viewport) {
+    throw new Error(`Unknown preview device: ${device}`);
+  }
+
+  let browser;
+  try {
+    const scripts = buildInjectionScripts(appPackage);
+    const errors = [];
+
+    browser = await launchBrowser();
+    const page = await browser.newPage();
+    await page.setViewport(viewport);
+    await page.setUserAgent(`${await browser.userAgent()} ${webview.userAgent || ''}`.trim());
+
+    // Injected scripts report their failures with a [RapidSaaS] prefix
+    page.on('console', (message) => {
+      if (message.type() === 'error' && message.text().startsWith('[RapidSaaS]')) {
+        errors.push(message.text());
+      }
+    });
+
+    if (scripts) {
+      await page.evaluateOnNewDocument(scripts.documentStart);
+    }
+
+    await page.goto(url, { waitUntil: 'load', timeout: 30000 });
+    if (scripts) {
+      await page.evaluate(scripts.documentEnd);
+    }
+    // Give the scripts a moment to hide or load what they change
+    await page.waitForNetworkIdle({ idleTime: 500, timeout: 5000 }).catch(() => {});
+
+    const screenshot = await page.screenshot({ type: 'png', fullPage: false });
+    const finalUrl = page.url();
+
+    return {
+      url: finalUrl,
+      device,
+      appliedRules: getMatchingInjections(appPackage, finalUrl).map(rule => rule.name),
+      errors,
+      screenshot: `data:image/png;base64,${Buffer.from(screenshot).toString('base64')}`
+    };
+  } catch (error) {
+    console.error('Injection Preview Error:', error);
+    throw new Error(`Failed to preview injections: ${error.message}`);
+  } finally {
+    if (browser) {
+      await browser.close();
+    }
+  }
+};
+
+export {
+  validateInjections,
+  buildInjectionScripts,
+  getMatchingInjections,
+  previewInjections,
+  PREVIEW_DEVICES
+};
@@ -0,0 +1,610 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { ZipArchive } from './zipArchive.js';
+import { escapeXml } from './androidBinaryXml.js';
+import { loadSourceIcon } from './apkBuilder.js';
+import { loadSplashSource, renderIosLaunchImages, renderEntitlements } from './flutterProject.js';
+import { renderIosAppIcons, XCASSETS_INFO } from './iconGenerator.js';
+import { resolveTeamId } from './deepLinks.js';
+import { buildInjectionScripts } from './webviewInjections.js';
+import { getBridgeConfig, buildBridgeScript } from './nativeBridge.js';
+
+/**
+ * Xcode Project Export
+ * iOS apps can only be compiled and signed on macOS, so instead of an IPA the
+ * iOS artifact is a complete Xcode project for a native WKWebView shell that
+ * can be archived and submitted with Xcode or fastlane:
+ *
+ *   <Name>/<Name>.xcodeproj   - project, target and shared scheme
+ *   <Name>/<Name>/            - Swift sources, Info.plist, asset catalog,
+ *                               launch screen, entitlements and offline pages
+ *   <Name>/fastlane/          - Appfile and Fastfile with build, beta and release lanes
+ *
+ * The Swift shell and launch screen live in templates/ios; everything that
+ * depends on the app is rendered from appPackage.build.ios here.
+ */
+
+const TEMPLATE_DIR = path.join(process.cwd(), 'templates', 'ios');
+const OFFLINE_FOLDER = 'Offline';
+
+// Template files copied into the app source folder, in build order
+const TEMPLATE_SOURCES = ['AppDelegate.swift', 'WebViewController.swift', 'NativeBridge.swift'];
+const TEMPLATE_RESOURCES = ['LaunchScreen.storyboard'];
+
+/**
+ * Derive an Xcode project and target name from the app name
+ */
+const toXcodeProjectName = (name = '') => {
+  const projectName = name
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+
+  if (!projectName) return 'RapidSaaSApp';
+  return /^[0-9]/.test(projectName) ? `App${projectName}` : projectName;
+};
+
+const swiftString = (value = '') => `"${String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\n/g, '\\n')
+  .replace(/\r/g, '\\r')
+  .replace(/\t/g, '\\t')
+  .replace(/[\u0000-\u001f]/g, char => `\\u{${char.charCodeAt(0).toString(16)}}`)}"`;
+
+const rubyString = (value = '') => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/#/g, '\\#')}"`;
+
+/**
+ * Stable 24 character object ID so repeated exports diff cleanly
+ */
+const objectId = (key) => crypto.createHash('sha1').update(key).digest('hex').slice(0, 24).toUpperCase();
+
+/**
+ * Serialize a value in the old-style property list format used by project.pbxproj
+ */
+const pbxValue = (value, indent = '') => {
+  if (Array.isArray(value)) {
+    return `(\n${value.map(item => `${indent}\t${pbxValue(item, `${indent}\t`)},\n`).join('')}${indent})`;
+  }
+  if (value && typeof value === 'object') {
+    return `{\n${Object.entries(value)
+      .filter(([, item]) => item !== undefined)
+      .map(([key, item]) => `${indent}\t${pbxValue(key)} = ${pbxValue(item, `${indent}\t`)};\n`)
+      .join('')}${indent}}`;
+  }
+
+  const text = String(value);
+  return /^[A-Za-z0-9_./]+$/.test(text)
+    ? text
+    : `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+};
+
+const renderPbxproj = (objects, rootObject) => {
+  const sections = {};
+  for (const [id, object] of Object.entries(objects)) {
+    (sections[object.isa] = sections[object.isa] || []).push([id, object]);
+  }
+
+  const body = Object.keys(sections).sort().map(isa => [
+    `/* Begin ${isa} section */`,
+    ...sections[isa].map(([id, object]) => `\t\t${id} = ${pbxValue(object, '\t\t')};`),
+    `/* End ${isa} section */`
+  ].join('\n')).join('\n\n');
+
+  return `// !$*UTF8*$!
+{
+\tarchiveVersion = 1;
+\tclasses = {
+\t};
+\tobjectVersion = 56;
+\tobjects = {
+
+${body}
+\t};
+\trootObject = ${rootObject};
+}
+`;
+};
+
+/**
+ * Build the project.pbxproj object graph for the single app target
+ * @param {Object} options - { projectName, ios, sources, resources, entitlements, teamId }
+ * @returns {Object} { pbxproj, targetId }
+ */
+const buildProjectFile = ({ projectName, ios, sources, resources, entitlements, teamId }) => {
+  const objects = {};
+  const id = (key) => objectId(`${projectName}:${key}`);
+
+  const fileTypes = {
+    '.swift': 'sourcecode.swift',
+    '.storyboard': 'file.storyboard',
+    '.xcassets': 'folder.assetcatalog',
+    '.plist': 'text.plist.xml',
+    '.entitlements': 'text.plist.entitlements'
+  };
+
+  const fileReference = (name) => {
+    const refId = id(`file:${name}`);
+    objects[refId] = name === OFFLINE_FOLDER
+      ? { isa: 'PBXFileReference', lastKnownFileType: 'folder', path: name, sourceTree: '<group>' }
+      : { isa: 'PBXFileReference', lastKnownFileType: fileTypes[path.extname(name)] || 'file', path: name, sourceTree: '<group>' };
+    return refId;
+  };
+
+  const buildFile = (name, refId) => {
+    const buildId = id(`build:${name}`);
+    objects[buildId] = { isa: 'PBXBuildFile', fileRef: refId };
+    return buildId;
+  };
+
+  const sourceRefs = sources.map(name => [name, fileReference(name)]);
+  const resourceRefs = resources.map(name => [name, fileReference(name)]);
+  const plistRef = fileReference('Info.plist');
+  const entitlementsRef = entitlements ? fileReference(entitlements) : null;
+
+  const productRef = id('product');
+  objects[productRef] = {
+    isa: 'PBXFileReference',
+    explicitFileType: 'wrapper.application',
+    includeInIndex: 0,
+    path: `${projectName}.app`,
+    sourceTree: 'BUILT_PRODUCTS_DIR'
+  };
+
+  const appGroup = id('group:app');
+  objects[appGroup] = {
+    isa: 'PBXGroup',
+    children: [...sourceRefs, ...resourceRefs].map(([, refId]) => refId)
+      .concat(plistRef, entitlementsRef ? [entitlementsRef] : []),
+    path: projectName,
+    sourceTree: '<group>'
+  };
+
+  const productsGroup = id('group:products');
+  objects[productsGroup] = { isa: 'PBXGroup', children: [productRef], name: 'Products', sourceTree: '<group>' };
+
+  const mainGroup = id('group:main');
+  objects[mainGroup] = { isa: 'PBXGroup', children: [appGroup, productsGroup], sourceTree: '<group>' };
+
+  const sourcesPhase = id('phase:sources');
+  objects[sourcesPhase] = {
+    isa: 'PBXSourcesBuildPhase',
+    buildActionMask: 2147483647,
+    files: sourceRefs.map(([name, refId]) => buildFile(name, refId)),
+    runOnlyForDeploymentPostprocessing: 0
+  };
+
+  const frameworksPhase = id('phase:frameworks');
+  objects[frameworksPhase] = {
+    isa: 'PBXFrameworksBuildPhase',
+    buildActionMask: 2147483647,
+    files: [],
+    runOnlyForDeploymentPostprocessing: 0
+  };
+
+  const resourcesPhase = id('phase:resources');
+  objects[resourcesPhase] = {
+    isa: 'PBXResourcesBuildPhase',
+    buildActionMask: 2147483647,
+    files: resourceRefs.map(([name, refId]) => buildFile(name, refId)),
+    runOnlyForDeploymentPostprocessing: 0
+  };
+
+  const configurationList = (key, settings) => {
+    const listId = id(`configurations:${key}`);
+    const configurations = Object.entries(settings).map(([name, buildSettings]) => {
+      const configId = id(`configuration:${key}:${name}`);
+      objects[configId] = { isa: 'XCBuildConfiguration', buildSettings, name };
+      return configId;
+    });
+    objects[listId] = {
+      isa: 'XCConfigurationList',
+      buildConfigurations: configurations,
+      defaultConfigurationIsVisible: 0,
+      defaultConfigurationName: 'Release'
+    };
+    return listId;
+  };
+
+  const deploymentTarget = ios.minimumOSVersion || '12.0';
+  const sharedProjectSettings = {
+    ALWAYS_SEARCH_USER_PATHS: 'NO',
+    CLANG_ENABLE_MODULES: 'YES',
+    CLANG_ENABLE_OBJC_ARC: 'YES',
+    COPY_PHASE_STRIP: 'NO',
+    ENABLE_STRICT_OBJC_MSGSEND: 'YES',
+    GCC_NO_COMMON_BLOCKS: 'YES',
+    IPHONEOS_DEPLOYMENT_TARGET: deploymentTarget,
+    SDKROOT: 'iphoneos'
+  };
+
+  const projectConfigurations = configurationList('project', {
+    Debug: {
+      ...sharedProjectSettings,
+      DEBUG_INFORMATION_FORMAT: 'dwarf',
+      ENABLE_TESTABILITY: 'YES',
+      GCC_OPTIMIZATION_LEVEL: 0,
+      ONLY_ACTIVE_ARCH: 'YES',
+      SWIFT_ACTIVE_COMPILATION_CONDITIONS: 'DEBUG',
+      SWIFT_OPTIMIZATION_LEVEL: '-Onone'
+    },
+    Release: {
+      ...sharedProjectSettings,
+      DEBUG_INFORMATION_FORMAT: 'dwarf-with-dsym',
+      ENABLE_NS_ASSERTIONS: 'NO',
+      SWIFT_COMPILATION_MODE: 'wholemodule',
+      SWIFT_OPTIMIZATION_LEVEL: '-O',
+      VALIDATE_PRODUCT: 'YES'
+    }
+  });
+
+  const targetSettings = {
+    ASSETCATALOG_COMPILER_APPICON_NAME: 'AppIcon',
+    CODE_SIGN_ENTITLEMENTS: entitlements ? `${projectName}/${entitlements}` : undefined,
+    CODE_SIGN_STYLE: 'Automatic',
+    CURRENT_PROJECT_VERSION: ios.buildNumber || '1',
+    DEVELOPMENT_TEAM: teamId || undefined,
+    GENERATE_INFOPLIST_FILE: 'NO',
+    INFOPLIST_FILE: `${projectName}/Info.plist`,
+    IPHONEOS_DEPLOYMENT_TARGET: deploymentTarget,
+    LD_RUNPATH_SEARCH_PATHS: ['$(inherited)', '@executable_path/Frameworks'],
+    MARKETING_VERSION: ios.version || '1.0.0',
+    PRODUCT_BUNDLE_IDENTIFIER: ios.bundleId,
+    PRODUCT_NAME: '$(TARGET_NAME)',
+    SWIFT_VERSION: '5.0',
+    TARGETED_DEVICE_FAMILY: '1,2'
+  };
+
+  const targetId = id('target');
+  objects[targetId] = {
+    isa: 'PBXNativeTarget',
+    buildConfigurationList: configurationList('target', { Debug: targetSettings, Release: targetSettings }),
+    buildPhases: [sourcesPhase, frameworksPhase, resourcesPhase],
+    buildRules: [],
+    dependencies: [],
+    name: projectName,
+    productName: projectName,
+    productReference: productRef,
+    productType: 'com.apple.product-type.application'
+  };
+
+  const projectId = id('project');
+  objects[projectId] = {
+    isa: 'PBXProject',
+    attributes: {
+      BuildIndependentTargetsInParallel: 1,
+      LastSwiftUpdateCheck: 1500,
+      LastUpgradeCheck: 1500,
+      TargetAttributes: {
+        [targetId]: { CreatedOnToolsVersion: '15.0' }
+      }
+    },
+    buildConfigurationList: projectConfigurations,
+    compatibilityVersion: 'Xcode 14.0',
+    developmentRegion: 'en',
+    hasScannedForEncodings: 0,
+    knownRegions: ['en', 'Base'],
+    mainGroup,
+    productRefGroup: productsGroup,
+    projectDirPath: '',
+    projectRoot: '',
+    targets: [targetId]
+  };
+
+  return { pbxproj: renderPbxproj(objects, projectId), targetId };
+};
+
+const renderScheme = (projectName, targetId) => {
+  const buildableReference = `<BuildableReference
+               BuildableIdentifier = "primary"
+               BlueprintIdentifier = "${targetId}"
+               BuildableName = "${projectName}.app"
+               BlueprintName = "${projectName}"
+               ReferencedContainer = "container:${projectName}.xcodeproj">
+            </BuildableReference>`;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Scheme
+   LastUpgradeVersion = "1500"
+   version = "1.7">
+   <BuildAction
+      parallelizeBuildables = "YES"
+      buildImplicitDependencies = "YES">
+      <BuildActionEntries>
+         <BuildActionEntry
+            buildForTesting = "YES"
+            buildForRunning = "YES"
+            buildForProfiling = "YES"
+            buildForArchiving = "YES"
+            buildForAnalyzing = "YES">
+            ${buildableReference}
+         </BuildActionEntry>
+      </BuildActionEntries>
+   </BuildAction>
+   <LaunchAction
+      buildConfiguration = "Debug"
+      selectedDebuggerIdentifier = "Xcode.DebuggerFoundation.Debugger.LLDB"
+      selectedLauncherIdentifier = "Xcode.DebuggerFoundation.Launcher.LLDB"
+      launchStyle = "0"
+      useCustomWorkingDirectory = "NO"
+      ignoresPersistentStateOnLaunch = "NO"
+      debugDocumentVersioning = "YES"
+      debugServiceExtension = "internal"
+      allowLocationSimulation = "YES">
+      <BuildableProductRunnable
+         runnableDebuggingMode = "0">
+         ${buildableReference}
+      </BuildableProductRunnable>
+   </LaunchAction>
+   <ArchiveAction
+      buildConfiguration = "Release"
+      revealArchiveInOrganizer = "YES">
+   </ArchiveAction>
+</Scheme>
+`;
+};
+
+/**
+ * Render Info.plist from appPackage.build.ios
+ * Version and build number come from the MARKETING_VERSION and
+ * CURRENT_PROJECT_VERSION build settings so fastlane can bump them.
+ */
+const renderInfoPlist = (appPackage) => {
+  const { metadata, configuration, build } = appPackage;
+  const plistString = (value) => `<string>${escapeXml(value)}</string>`;
+  const orientations = '<array>\n\t\t<string>UIInterfaceOrientationPortrait</string>\n\t\t<string>UIInterfaceOrientationLandscapeLeft</string>\n\t\t<string>UIInterfaceOrientationLandscapeRight</string>\n\t</array>';
+
+  const entries = [
+    ['CFBundleDevelopmentRegion', plistString('$(DEVELOPMENT_LANGUAGE)')],
+    ['CFBundleDisplayName', plistString(metadata.name)],
+    ['CFBundleExecutable', plistString('$(EXECUTABLE_NAME)')],
+    ['CFBundleIdentifier', plistString('$(PRODUCT_BUNDLE_IDENTIFIER)')],
+    ['CFBundleInfoDictionaryVersion', plistString('6.0')],
+    ['CFBundleName', plistString('$(PRODUCT_NAME)')],
+    ['CFBundlePackageType', plistString('$(PRODUCT_BUNDLE_PACKAGE_TYPE)')],
+    ['CFBundleShortVersionString', plistString('$(MARKETING_VERSION)')],
+    ['CFBundleVersion', plistString('$(CURRENT_PROJECT_VERSION)')],
+    ['ITSAppUsesNonExemptEncryption', '<false/>'],
+    ['LSRequiresIPhoneOS', '<true/>'],
+    ['UILaunchStoryboardName', plistString('LaunchScreen')],
+    ['UIRequiredDeviceCapabilities', '<array>\n\t\t<string>arm64</string>\n\t</array>'],
+    ['UISupportedInterfaceOrientations', orientations],
+    ['UISupportedInterfaceOrientations~ipad', orientations.replace('</array>', '\t<string>UIInterfaceOrientationPortraitUpsideDown</string>\n\t</array>')]
+  ];
+
+  for (const [key, description] of Object.entries(build.ios.usageDescriptions || {})) {
+    entries.push([key, plistString(description)]);
+  }
+
+  if (String(configuration.webview.url || '').startsWith('http:')) {
+    entries.push(['NSAppTransportSecurity', '<dict>\n\t\t<key>NSAllowsArbitraryLoadsInWebContent</key>\n\t\t<true/>\n\t</dict>']);
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+${entries.map(([key, value]) => `\t<key>${key}</key>\n\t${value}`).join('\n')}
+</dict>
+</plist>
+`;
+};
+
+const renderAppConfig = (appPackage, offlineReport) => {
+  const { metadata, configuration } = appPackage;
+  const { webview } = configuration;
+  const features = configuration.features || {};
+  const deepLinkHosts = features.deepLinks?.enabled ? features.deepLinks.hosts || [] : [];
+  const optional = (value) => (value ? swiftString(value) : 'nil');
+  const injections = buildInjectionScripts(appPackage);
+  const bridge = getBridgeConfig(appPackage, 'ios');
+
+  return `// Generated by Rapid SaaS AI Store from the app configuration.
+import Foundation
+
+enum AppConfig {
+    static let appName = ${swiftString(metadata.name)}
+    static let initialURL = URL(string: ${swiftString(webview.url)})!
+    static let userAgent = ${swiftString(webview.userAgent)}
+    static let enableJavaScript = ${Boolean(webview.enableJavaScript)}
+
+    // Shell features
+    static let pullToRefresh = ${Boolean(features.pullToRefresh)}
+    static let swipeNavigation = ${Boolean(features.swipeNavigation)}
+    static let camera = ${Boolean(features.camera)}
+
+    /// How links to other sites open: "browser", "inApp" or "block".
+    static let externalLinks = ${swiftString(features.externalLinks || 'browser')}
+
+    /// Hosts whose links open inside the app.
+    static let deepLinkHosts: [String] = [${deepLinkHosts.map(swiftString).join(', ')}]
+
+    /// Bundled page in the ${OFFLINE_FOLDER} folder shown while offline, nil when offline mode is off.
+    static let offlinePage: String? = ${optional(offlineReport && offlineReport.offlinePage)}
+
+    /// Scripts generated from the CSS/JS injection rules, nil without rules.
+    static let injectionDocumentStart: String? = ${optional(injections?.documentStart)}
+    static let injectionDocumentEnd: String? = ${optional(injections?.documentEnd)}
+
+    /// window.RapidSaaS native bridge script and the features it exposes, nil without bridge features.
+    static let bridgeScript: String? = ${optional(buildBridgeScript(appPackage, 'ios'))}
+    static let bridgeFeatures: [String] = [${(bridge?.features || []).map(swiftString).join(', ')}]
+
+    /// Where the app registers its push token and reports opened notifications, nil when push is off.
+    static let pushEndpoint: URL? = ${configuration.push?.endpoint ? `URL(string: ${swiftString(configuration.push.endpoint)})` : 'nil'}
+}
+`;
+};
+
+const renderAppfile = (bundleId, teamId) => `app_identifier(${rubyString(bundleId)})
+${teamId ? `team_id(${rubyString(teamId)})` : '# team_id("ABCDE12345") # your Apple Developer Team ID'}
+`;
+
+const renderFastfile = (projectName) => `# Build and submit from a Mac with Xcode and fastlane:
+#   bundle install
+#   bundle exec fastlane beta      # upload to TestFlight
+#   bundle exec fastlane release   # submit for App Store review
+#
+# Signing uses automatic provisioning for the team in the Appfile. Set
+# APP_STORE_CONNECT_API_KEY_PATH to an App Store Connect API key JSON file
+# to upload without an Apple ID login.
+
+default_platform(:ios)
+
+platform :ios do
+  desc "Archive a signed App Store build into build/"
+  lane :build do
+    build_app(
+      project: ${rubyString(`${projectName}.xcodeproj`)},
+      scheme: ${rubyString(projectName)},
+      export_method: "app-store",
+      xcargs: "-allowProvisioningUpdates",
+      output_directory: "build",
+      output_name: ${rubyString(`${projectName}.ipa`)}
+    )
+  end
+
+  desc "Upload a build to TestFlight"
+  lane :beta do
+    build
+    upload_to_testflight(
+      api_key_path: ENV["APP_STORE_CONNECT_API_KEY_PATH"],
+      skip_waiting_for_build_processing: true
+    )
+  end
+
+  desc "Upload a build and submit it for App Store review"
+  lane :release do
+    build
+    upload_to_app_store(
+      api_key_path: ENV["APP_STORE_CONNECT_API_KEY_PATH"],
+      submit_for_review: true,
+      automatic_release: false,
+      skip_metadata: true,
+      skip_screenshots: true,
+      force: true
+    )
+  end
+end
+`;
+
+const renderReadme = (appPackage, projectName, teamId) => {
+  const { metadata, configuration, build } = appPackage;
+
+  return `# ${metadata.name} for iOS
+
+Native WKWebView app for ${configuration.webview.url}, exported from Rapid SaaS AI Store.
+
+- Bundle ID \`${build.ios.bundleId}\`, version ${build.ios.version} (${build.ios.buildNumber}), iOS ${build.ios.minimumOSVersion}+
+- \`${projectName}/AppConfig.swift\` holds the URL, user agent, shell features and CSS/JS injection scripts
+- \`${projectName}/WebViewController.swift\` is the web view shell
+- \`${projectName}/NativeBridge.swift\` answers the \`window.RapidSaaS\` native bridge
+- Icons and the launch image are in \`${projectName}/Assets.xcassets\`
+
+## Building
+
+Open \`${projectName}.xcodeproj\` in Xcode 15 or later${teamId ? '' : ', select your team under Signing & Capabilities'}
+and run the \`${projectName}\` scheme, or use fastlane:
+
+\`\`\`bash
+bundle install
+bundle exec fastlane build     # signed archive in build/
+bundle exec fastlane beta      # TestFlight
+bundle exec fastlane release   # App Store review
+\`\`\`
+${build.ios.associatedDomains?.length ? `
+## Universal links
+
+\`${projectName}/${projectName}.entitlements\` lists ${build.ios.associatedDomains.map(domain => `\`${domain}\``).join(', ')}.
+Host \`apple-app-site-association\` from \`GET /api/apps/:id/deep-links/apple-app-site-association\`
+under \`/.well-known/\` on each domain.
+` : ''}`;
+};
+
+/**
+ * Render a complete Xcode project for an app package
+ * @param {Object} appPackage - Package produced by buildAppPackage
+ * @param {Object} options - { offlineBundle } from captureOfflineBundle
+ * @returns {Promise<Object>} { buffer, projectName, entries }
+ */
+const buildXcodeProject = async (appPackage, options = {}) => {
+  const { offlineBundle } = options;
+
+  try {
+    const projectName = toXcodeProjectName(appPackage.metadata.name);
+    const { ios } = appPackage.build;
+    const teamId = resolveTeamId();
+    const associatedDomains = ios.associatedDomains || [];
+    const pushNotifications = Boolean(getBridgeConfig(appPackage, 'ios')?.features.includes('push'));
+    const entitlements = associatedDomains.length > 0 || pushNotifications ? `${projectName}.entitlements` : null;
+    const offlineFiles = Object.entries(offlineBundle?.files || {});
+
+    const zip = new ZipArchive();
+    const add = (name, data) => zip.addFile(`${projectName}/${name}`, data);
+    const addSource = (name, data) => add(`${projectName}/${name}`, data);
+
+    for (const name of [...TEMPLATE_SOURCES, ...TEMPLATE_RESOURCES]) {
+      addSource(name, await fs.readFile(path.join(TEMPLATE_DIR, 'App', name)));
+    }
+    addSource('AppConfig.swift', renderAppConfig(appPackage, offlineBundle?.report));
+    addSource('Info.plist', renderInfoPlist(appPackage));
+    if (entitlements) {
+      addSource(entitlements, renderEntitlements(associatedDomains, { pushNotifications }));
+    }
+    for (const [name, data] of offlineFiles) {
+      addSource(`${OFFLINE_FOLDER}/${name}`, data);
+    }
+
+    // Asset catalog
+    const sourceIcon = await loadSourceIcon(appPackage.assets);
+    const splashSource = await loadSplashSource(appPackage.assets, sourceIcon);
+    addSource('Assets.xcassets/Contents.json', JSON.stringify({ info: XCASSETS_INFO }, null, 2));
+
+    const appIcons = await renderIosAppIcons(sourceIcon);
+    for (const file of appIcons.files) {
+      addSource(`Assets.xcassets/AppIcon.appiconset/${file.name}`, file.data);
+    }
+    addSource('Assets.xcassets/AppIcon.appiconset/Contents.json', JSON.stringify(appIcons.contents, null, 2));
+
+    const launchImages = await renderIosLaunchImages(splashSource);
+    for (const file of launchImages.files) {
+      addSource(`Assets.xcassets/LaunchImage.imageset/${file.name}`, file.data);
+    }
+    addSource('Assets.xcassets/LaunchImage.imageset/Contents.json', JSON.stringify(launchImages.contents, null, 2));
+
+    // Project and shared scheme, so xcodebuild and fastlane find the scheme without opening Xcode
+    const { pbxproj, targetId } = buildProjectFile({
+      projectName,
+      ios,
+      sources: [...TEMPLATE_SOURCES, 'AppConfig.swift'],
+      resources: ['Assets.xcassets', ...TEMPLATE_RESOURCES, ...(offlineFiles.length > 0 ? [OFFLINE_FOLDER] : [])],
+      entitlements,
+      teamId
+    });
+    add(`${projectName}.xcodeproj/project.pbxproj`, pbxproj);
+    add(`${projectName}.xcodeproj/xcshareddata/xcschemes/${projectName}.xcscheme`, renderScheme(projectName, targetId));
+
+    // fastlane
+    add('Gemfile', await fs.readFile(path.join(TEMPLATE_DIR, 'Gemfile')));
+    add('.gitignore', await fs.readFile(path.join(TEMPLATE_DIR, 'gitignore')));
+    add('fastlane/Appfile', renderAppfile(ios.bundleId, teamId));
+    add('fastlane/Fastfile', renderFastfile(projectName));
+    add('README.md', renderReadme(appPackage, projectName, teamId));
+
+    return {
+      buffer: zip.toBuffer(),
+      projectName,
+      entries: zip.files().map(file => file.name)
+    };
+  } catch (error) {
+    console.error('Xcode Project Export Error:', error);
+    throw new Error(`Failed to export Xcode project: ${error.message}`);
+  }
+};
+
+export {
+  buildXcodeProject,
+  toXcodeProjectName
+};
@@ -0,0 +1,181 @@
+import zlib from 'zlib';
+
+/**
+ * Minimal ZIP writer
+ * Produces deterministic archives (fixed timestamps, insertion order) with
+ * optional 4-byte alignment of stored entries, which APK packaging requires.
+ */
+
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+
+// 1981-01-01 00:00:00 in MS-DOS format, as used by zipalign/apksigner
+const DOS_TIME = 0;
+const DOS_DATE = (1 << 5) | 1 | ((1981 - 1980) << 9);
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Compute CRC-32 of a buffer
+ */
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+class ZipArchive {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Add a file to the archive
+   * @param {string} name - Path inside the archive (forward slashes)
+   * @param {Buffer|string} data - File contents
+   * @param {Object} options - { compress: boolean, alignment: number }
+   */
+  addFile(name, data, options = {}) {
+    const { compress = true, alignment = 0 } = options;
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(data);
+
+    if (this.entries.some(entry => entry.name === name)) {
+      throw new Error(`Duplicate zip entry: ${name}`);
+    }
+
+    const compressed = compress ? zlib.deflateRawSync(content, { level: 9 }) : content;
+
+    this.entries.push({
+      name,
+      nameBuffer: Buffer.from(name, 'utf8'),
+      data: content,
+      compressedData: compressed,
+      method: compress ? 8 : 0,
+      crc: crc32(content),
+      alignment: compress ? 0 : alignment
+    });
+
+    return this;
+  }
+
+  /**
+   * Check whether an entry exists
+   */
+  has(name) {
+    return this.entries.some(entry => entry.name === name);
+  }
+
+  /**
+   * List entries with their uncompressed contents
+   */
+  files() {
+    return this.entries.map(entry => ({ name: entry.name, data: entry.data }));
+  }
+
+  /**
+   * Lay out the archive as its three ZIP sections:
+   * local entries, central directory and end of central directory record
+   */
+  build() {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of this.entries) {
+      const headerSize = 30 + entry.nameBuffer.length;
+      let extra = Buffer.alloc(0);
+
+      if (entry.alignment > 1) {
+        const padding = (entry.alignment - ((offset + headerSize) % entry.alignment)) % entry.alignment;
+        extra = Buffer.alloc(padding);
+      }
+
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(LOCAL_FILE_HEADER_SIGNATURE, 0);
+      local.writeUInt16LE(entry.method === 8 ? 20 : 10, 4);
+      local.writeUInt16LE(0x0800, 6); // UTF-8 names
+      local.writeUInt16LE(entry.method, 8);
+      local.writeUInt16LE(DOS_TIME, 10);
+      local.writeUInt16LE(DOS_DATE, 12);
+      local.writeUInt32LE(entry.crc, 14);
+      local.writeUInt32LE(entry.compressedData.length, 18);
+      local.writeUInt32LE(entry.data.length, 22);
+      local.writeUInt16LE(entry.nameBuffer.length, 26);
+      local.writeUInt16LE(extra.length, 28);
+
+      localParts.push(local, entry.nameBuffer, extra, entry.compressedData);
+
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(CENTRAL_DIRECTORY_SIGNATURE, 0);
+      central.writeUInt16LE(20, 4);
+      central.writeUInt16LE(entry.method === 8 ? 20 : 10, 6);
+      central.writeUInt16LE(0x0800, 8);
+      central.writeUInt16LE(entry.method, 10);
+      central.writeUInt16LE(DOS_TIME, 12);
+      central.writeUInt16LE(DOS_DATE, 14);
+      central.writeUInt32LE(entry.crc, 16);
+      central.writeUInt32LE(entry.compressedData.length, 20);
+      central.writeUInt32LE(entry.data.length, 24);
+      central.writeUInt16LE(entry.nameBuffer.length, 28);
+      central.writeUInt16LE(0, 30);
+      central.writeUInt16LE(0, 32);
+      central.writeUInt16LE(0, 34);
+      central.writeUInt16LE(0, 36);
+      central.writeUInt32LE(0, 38);
+      central.writeUInt32LE(offset, 42);
+
+      centralParts.push(central, entry.nameBuffer);
+
+      offset += headerSize + extra.length + entry.compressedData.length;
+    }
+
+    const entries = Buffer.concat(localParts);
+    const centralDirectory = Buffer.concat(centralParts);
+    const eocd = buildEndOfCentralDirectory(this.entries.length, centralDirectory.length, entries.length);
+
+    return { entries, centralDirectory, eocd };
+  }
+
+  /**
+   * Serialize the archive to a single buffer
+   */
+  toBuffer() {
+    const { entries, centralDirectory, eocd } = this.build();
+    return Buffer.concat([entries, centralDirectory, eocd]);
+  }
+}
+
+/**
+ * Build the end of central directory record
+ */
+const buildEndOfCentralDirectory = (entryCount, centralDirectorySize, centralDirectoryOffset) => {
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(END_OF_CENTRAL_DIRECTORY_SIGNATURE, 0);
+  eocd.writeUInt16LE(0, 4);
+  eocd.writeUInt16LE(0, 6);
+  eocd.writeUInt16LE(entryCount, 8);
+  eocd.writeUInt16LE(entryCount, 10);
+  eocd.writeUInt32LE(centralDirectorySize, 12);
+  eocd.writeUInt32LE(centralDirectoryOffset, 16);
+  eocd.writeUInt16LE(0, 20);
+  return eocd;
+};
+
+export {
+  ZipArchive,
+  crc32,
+  buildEndOfCentralDirectory
+};
@@ -0,0 +1,363 @@
+package com.rapidsaas.shell;
+
+import android.app.Activity;
+import android.content.Context;
+import android.content.Intent;
+import android.graphics.Bitmap;
+import android.net.ConnectivityManager;
+import android.net.Network;
+import android.net.NetworkCapabilities;
+import android.net.NetworkRequest;
+import android.net.Uri;
+import android.os.Bundle;
+import android.webkit.DownloadListener;
+import android.webkit.WebResourceError;
+import android.webkit.WebResourceRequest;
+import android.webkit.WebSettings;
+import android.webkit.WebView;
+import android.webkit.WebViewClient;
+
+import org.json.JSONArray;
+import org.json.JSONObject;
+
+import java.io.ByteArrayOutputStream;
+import java.io.InputStream;
+import java.util.ArrayList;
+import java.util.List;
+
+/**
+ * WebView shell shared by every generated Android app.
+ * Per-app behaviour is read from assets/rapidsaas.json, which the
+ * packaging pipeline writes next to this precompiled classes.dex.
+ */
+public class MainActivity extends Activity {
+    private static final String CONFIG_ASSET = "rapidsaas.json";
+    private static final String ASSET_URL_PREFIX = "file:///android_asset/";
+
+    private WebView webView;
+    private JSONObject config;
+    private String startUrl;
+    private String startHost;
+    private final List<String> deepLinkHosts = new ArrayList<>();
+    private JSONObject offlineConfig;
+    private JSONObject pushConfig;
+    private String documentStartScript;
+    private String documentEndScript;
+    private String bridgeScript;
+    private NativeBridge nativeBridge;
+    private boolean showingOffline;
+    private ConnectivityManager.NetworkCallback networkCallback;
+
+    @Override
+    protected void onCreate(Bundle savedInstanceState) {
+        super.onCreate(savedInstanceState);
+        config = loadConfig();
+
+        JSONObject webviewConfig = config.optJSONObject("webview");
+        if (webviewConfig == null) {
+            webviewConfig = new JSONObject();
+        }
+        startUrl = webviewConfig.optString("url", "about:blank");
+        startHost = Uri.parse(startUrl).getHost();
+        offlineConfig = config.optJSONObject("offline");
+        pushConfig = config.optJSONObject("push");
+        loadDeepLinkHosts();
+
+        JSONObject injections = config.optJSONObject("injections");
+        if (injections != null) {
+            documentStartScript = injections.optString("documentStart", null);
+            documentEndScript = injections.optString("documentEnd", null);
+        }
+
+        webView = new WebView(this);
+        WebSettings settings = webView.getSettings();
+        settings.setJavaScriptEnabled(webviewConfig.optBoolean("enableJavaScript", true));
+        settings.setDomStorageEnabled(webviewConfig.optBoolean("enableDomStorage", true));
+        settings.setAllowFileAccess(webviewConfig.optBoolean("enableFileAccess", false));
+        settings.setAllowUniversalAccessFromFileURLs(false);
+
+        String userAgent = webviewConfig.optString("userAgent", "");
+        if (userAgent.length() > 0) {
+            settings.setUserAgentString(settings.getUserAgentString() + " " + userAgent);
+        }
+
+        JSONObject bridgeConfig = config.optJSONObject("bridge");
+        if (bridgeConfig != null) {
+            setUpNativeBridge(bridgeConfig);
+        }
+
+        webView.setWebViewClient(new ShellWebViewClient());
+        setContentView(webView);
+
+        String pushLink = openPushNotification(getIntent());
+        String deepLink = pushLink != null ? pushLink : getDeepLink(getIntent());
+        if (savedInstanceState != null) {
+            webView.restoreState(savedInstanceState);
+        } else if (deepLink != null) {
+            webView.loadUrl(deepLink);
+        } else {
+            webView.loadUrl(startUrl);
+        }
+
+        if (offlineConfig != null) {
+            watchConnectivity();
+        }
+    }
+
+    @Override
+    protected void onDestroy() {
+        if (networkCallback != null) {
+            ConnectivityManager connectivity = (ConnectivityManager) getSystemService(Context.CONNECTIVITY_SERVICE);
+            connectivity.unregisterNetworkCallback(networkCallback);
+        }
+        super.onDestroy();
+    }
+
+    @Override
+    protected void onNewIntent(Intent intent) {
+        super.onNewIntent(intent);
+        String pushLink = openPushNotification(intent);
+        String deepLink = pushLink != null ? pushLink : getDeepLink(intent);
+        if (deepLink != null) {
+            webView.loadUrl(deepLink);
+        }
+    }
+
+    @Override
+    public void onRequestPermissionsResult(int requestCode, String[] permissions, int[] grantResults) {
+        super.onRequestPermissionsResult(requestCode, permissions, grantResults);
+        if (nativeBridge != null) {
+            nativeBridge.onRequestPermissionsResult(requestCode, grantResults);
+        }
+    }
+
+    @Override
+    protected void onSaveInstanceState(Bundle outState) {
+        super.onSaveInstanceState(outState);
+        webView.saveState(outState);
+    }
+
+    @Override
+    public void onBackPressed() {
+        if (webView.canGoBack()) {
+            webView.goBack();
+        } else {
+            super.onBackPressed();
+        }
+    }
+
+    private JSONObject loadConfig() {
+        try {
+            InputStream input = getAssets().open(CONFIG_ASSET);
+            ByteArrayOutputStream output = new ByteArrayOutputStream();
+            byte[] buffer = new byte[4096];
+            int read;
+            while ((read = input.read(buffer)) != -1) {
+                output.write(buffer, 0, read);
+            }
+            input.close();
+            return new JSONObject(output.toString("UTF-8"));
+        } catch (Exception e) {
+            return new JSONObject();
+        }
+    }
+
+    /**
+     * Reload the app when the connection comes back while the offline page is showing
+     */
+    private void watchConnectivity() {
+        ConnectivityManager connectivity = (ConnectivityManager) getSystemService(Context.CONNECTIVITY_SERVICE);
+        NetworkRequest request = new NetworkRequest.Builder()
+            .addCapability(NetworkCapabilities.NET_CAPABILITY_INTERNET)
+            .build();
+
+        networkCallback = new ConnectivityManager.NetworkCallback() {
+            @Override
+            public void onAvailable(Network network) {
+                runOnUiThread(new Runnable() {
+                    @Override
+                    public void run() {
+                        if (showingOffline) {
+                            webView.loadUrl(startUrl);
+                        }
+                    }
+                });
+            }
+        };
+        connectivity.registerNetworkCallback(request, networkCallback);
+    }
+
+    private void showOfflinePage() {
+        if (offlineConfig == null || showingOffline) {
+            return;
+        }
+        webView.loadUrl(ASSET_URL_PREFIX + offlineConfig.optString("page"));
+    }
+
+    /**
+     * Expose window.RapidSaaS; the bridge script defines it on the app's own pages only
+     */
+    private void setUpNativeBridge(JSONObject bridgeConfig) {
+        bridgeScript = bridgeConfig.optString("script", null);
+        nativeBridge = new NativeBridge(this, webView, bridgeConfig, config.optJSONObject("push"), new NativeBridge.HostCheck() {
+            @Override
+            public boolean isAppHost(String host) {
+                return MainActivity.this.isAppHost(host);
+            }
+        });
+        webView.addJavascriptInterface(nativeBridge, NativeBridge.INTERFACE_NAME);
+
+        if (nativeBridge.hasFeature("push") && pushConfig != null) {
+            nativeBridge.refreshPushRegistration();
+        }
+
+        if (nativeBridge.hasFeature("downloads")) {
+            webView.setDownloadListener(new DownloadListener() {
+                @Override
+                public void onDownloadStart(String url, String userAgent, String contentDisposition,
+                                            String mimeType, long contentLength) {
+                    nativeBridge.download(-1, url, null, contentDisposition, mimeType);
+                }
+            });
+        }
+    }
+
+    /**
+     * Run a generated script; it checks the page URL itself
+     */
+    private void injectScript(WebView view, String script) {
+        if (script != null && !showingOffline) {
+            view.evaluateJavascript(script, null);
+        }
+    }
+
+    private void loadDeepLinkHosts() {
+        JSONObject features = config.optJSONObject("features");
+        JSONObject deepLinks = features != null ? features.optJSONObject("deepLinks") : null;
+        if (deepLinks == null || !deepLinks.optBoolean("enabled", false)) {
+            return;
+        }
+
+        JSONArray hosts = deepLinks.optJSONArray("hosts");
+        for (int i = 0; hosts != null && i < hosts.length(); i++) {
+            deepLinkHosts.add(hosts.optString(i));
+        }
+    }
+
+    private boolean isAppHost(String host) {
+        if (host == null) {
+            return false;
+        }
+        if (host.equals(startHost)) {
+            return true;
+        }
+        for (String deepLinkHost : deepLinkHosts) {
+            if (deepLinkHost.startsWith("*.") ? host.endsWith(deepLinkHost.substring(1)) : host.equals(deepLinkHost)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * The verified link that launched the activity, if any
+     */
+    private String getDeepLink(Intent intent) {
+        if (intent == null || !Intent.ACTION_VIEW.equals(intent.getAction())) {
+            return null;
+        }
+        Uri uri = intent.getData();
+        if (uri == null || !"https".equals(uri.getScheme()) || !isAppHost(uri.getHost())) {
+            return null;
+        }
+        return uri.toString();
+    }
+
+    /**
+     * A tapped push notification: report the open, and return its link when
+     * it belongs to the app (other links open outside it)
+     */
+    private String openPushNotification(Intent intent) {
+        if (intent == null || !intent.hasExtra(PushReceiver.EXTRA_CAMPAIGN_ID)) {
+            return null;
+        }
+        String campaignId = intent.getStringExtra(PushReceiver.EXTRA_CAMPAIGN_ID);
+        String link = intent.getStringExtra(PushReceiver.EXTRA_URL);
+        // A recreated activity gets the same intent again
+        intent.removeExtra(PushReceiver.EXTRA_CAMPAIGN_ID);
+        intent.removeExtra(PushReceiver.EXTRA_URL);
+
+        if (campaignId != null && pushConfig != null) {
+            PushRegistration.reportOpen(this, pushConfig, campaignId);
+        }
+        if (link == null) {
+            return null;
+        }
+        Uri uri = Uri.parse(link);
+        boolean isWeb = "http".equals(uri.getScheme()) || "https".equals(uri.getScheme());
+        return isWeb && !handleNavigation(uri) ? link : null;
+    }
+
+    private boolean handleNavigation(Uri uri) {
+        // Offline pages link to each other and to the saved app shell
+        if (uri.toString().startsWith(ASSET_URL_PREFIX)) {
+            return false;
+        }
+
+        String scheme = uri.getScheme();
+        boolean isWeb = "http".equals(scheme) || "https".equals(scheme);
+        if (isWeb && isAppHost(uri.getHost())) {
+            return false;
+        }
+
+        try {
+            startActivity(new Intent(Intent.ACTION_VIEW, uri));
+        } catch (Exception e) {
+            // No activity can handle the link, keep the user where they are
+        }
+        return true;
+    }
+
+    private class ShellWebViewClient extends WebViewClient {
+        @Override
+        public boolean shouldOverrideUrlLoading(WebView view, WebResourceRequest request) {
+            return handleNavigation(request.getUrl());
+        }
+
+        @Override
+        @SuppressWarnings("deprecation")
+        public boolean shouldOverrideUrlLoading(WebView view, String url) {
+            return handleNavigation(Uri.parse(url));
+        }
+
+        @Override
+        public void onPageStarted(WebView view, String url, Bitmap favicon) {
+            showingOffline = url != null && url.startsWith(ASSET_URL_PREFIX);
+            // Earliest point the shell can script a page without AndroidX; the
+            // document-end script adds the CSS again if this ran too early
+            injectScript(view, bridgeScript);
+            injectScript(view, documentStartScript);
+        }
+
+        @Override
+        public void onPageFinished(WebView view, String url) {
+            // The bridge script skips pages that already have window.RapidSaaS
+            injectScript(view, bridgeScript);
+            injectScript(view, documentEndScript);
+        }
+
+        @Override
+        public void onReceivedError(WebView view, WebResourceRequest request, WebResourceError error) {
+            if (request.isForMainFrame()) {
+                showOfflinePage();
+            }
+        }
+
+        @Override
+        @SuppressWarnings("deprecation")
+        public void onReceivedError(WebView view, int errorCode, String description, String failingUrl) {
+            // Only reported for the main frame before Android 6
+            showOfflinePage();
+        }
+    }
+}
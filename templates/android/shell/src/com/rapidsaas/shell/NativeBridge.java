@@ -0,0 +1,503 @@
+package com.rapidsaas.shell;
+
+import android.app.Activity;
+import android.app.DownloadManager;
+import android.app.Notification;
+import android.app.NotificationChannel;
+import android.app.NotificationManager;
+import android.app.PendingIntent;
+import android.content.Context;
+import android.content.Intent;
+import android.content.SharedPreferences;
+import android.content.pm.PackageManager;
+import android.hardware.biometrics.BiometricManager;
+import android.hardware.biometrics.BiometricPrompt;
+import android.net.Uri;
+import android.os.Build;
+import android.os.CancellationSignal;
+import android.os.Environment;
+import android.security.keystore.KeyGenParameterSpec;
+import android.security.keystore.KeyProperties;
+import android.util.Base64;
+import android.view.HapticFeedbackConstants;
+import android.webkit.CookieManager;
+import android.webkit.JavascriptInterface;
+import android.webkit.URLUtil;
+import android.webkit.WebView;
+
+import org.json.JSONArray;
+import org.json.JSONException;
+import org.json.JSONObject;
+
+import java.nio.charset.StandardCharsets;
+import java.security.KeyStore;
+import java.util.ArrayList;
+import java.util.List;
+
+import javax.crypto.Cipher;
+import javax.crypto.KeyGenerator;
+import javax.crypto.SecretKey;
+import javax.crypto.spec.GCMParameterSpec;
+
+/**
+ * Native side of window.RapidSaaS.
+ * The page posts { id, method, params } as JSON to RapidSaaSNative.postMessage;
+ * results go back through window.RapidSaaS._resolve(id, error, result).
+ * Only pages on the app's own hosts are answered.
+ */
+class NativeBridge {
+    static final String INTERFACE_NAME = "RapidSaaSNative";
+
+    private static final String KEYSTORE = "AndroidKeyStore";
+    private static final String STORAGE_KEY_ALIAS = "rapidsaas.secureStorage";
+    private static final String STORAGE_PREFERENCES = "rapidsaas.secureStorage";
+    private static final int GCM_IV_LENGTH = 12;
+    private static final String POST_NOTIFICATIONS = "android.permission.POST_NOTIFICATIONS";
+    private static final int NOTIFICATION_PERMISSION_REQUEST = 1;
+    private static final String BADGE_CHANNEL = "rapidsaas.badge";
+    private static final int BADGE_NOTIFICATION_ID = 1;
+
+    interface HostCheck {
+        boolean isAppHost(String host);
+    }
+
+    private interface PermissionResult {
+        void onResult(boolean granted);
+    }
+
+    private final Activity activity;
+    private final WebView webView;
+    private final HostCheck hostCheck;
+    private final JSONObject pushConfig;
+    private final List<String> features = new ArrayList<>();
+    private final List<PermissionResult> notificationPermissionRequests = new ArrayList<>();
+
+    /**
+     * @param pushConfig The shell config's push settings, null when push notifications are off
+     */
+    NativeBridge(Activity activity, WebView webView, JSONObject config, JSONObject pushConfig, HostCheck hostCheck) {
+        this.activity = activity;
+        this.webView = webView;
+        this.hostCheck = hostCheck;
+        this.pushConfig = pushConfig != null ? pushConfig : new JSONObject();
+
+        JSONArray enabled = config.optJSONArray("features");
+        for (int i = 0; enabled != null && i < enabled.length(); i++) {
+            features.add(enabled.optString(i));
+        }
+    }
+
+    boolean hasFeature(String feature) {
+        return features.contains(feature);
+    }
+
+    @JavascriptInterface
+    public void postMessage(final String message) {
+        // JavaScript interface calls arrive on a background thread
+        activity.runOnUiThread(new Runnable() {
+            @Override
+            public void run() {
+                handleMessage(message);
+            }
+        });
+    }
+
+    private void handleMessage(String message) {
+        String url = webView.getUrl();
+        if (url == null || !hostCheck.isAppHost(Uri.parse(url).getHost())) {
+            return;
+        }
+
+        int id;
+        String method;
+        JSONObject params;
+        try {
+            JSONObject request = new JSONObject(message);
+            id = request.getInt("id");
+            method = request.getString("method");
+            params = request.optJSONObject("params");
+            if (params == null) {
+                params = new JSONObject();
+            }
+        } catch (Exception e) {
+            return;
+        }
+
+        String feature = method.contains(".") ? method.substring(0, method.indexOf('.')) : method;
+        if (!hasFeature(feature)) {
+            reject(id, "unavailable", feature + " is not available in this app");
+            return;
+        }
+
+        try {
+            switch (method) {
+                case "share":
+                    share(id, params);
+                    break;
+                case "haptics.impact":
+                case "haptics.notification":
+                case "haptics.selection":
+                    haptics(id, method, params);
+                    break;
+                case "secureStorage.get":
+                case "secureStorage.set":
+                case "secureStorage.remove":
+                    secureStorage(id, method, params);
+                    break;
+                case "biometrics.isAvailable":
+                    boolean available = canAuthenticate();
+                    resolve(id, new JSONObject()
+                        .put("available", available)
+                        .put("type", available ? "biometric" : JSONObject.NULL));
+                    break;
+                case "biometrics.authenticate":
+                    authenticate(id, params);
+                    break;
+                case "push.getToken":
+                    requestPushToken(id);
+                    break;
+                case "downloads.download":
+                    download(id, params.optString("url"), params.optString("filename"), null, null);
+                    break;
+                case "badge.set":
+                    setBadge(id, Math.max(0, params.optInt("count", 0)));
+                    break;
+                default:
+                    reject(id, "unavailable", method + " is not supported by this app");
+            }
+        } catch (Exception e) {
+            reject(id, "failed", e.getMessage() != null ? e.getMessage() : e.toString());
+        }
+    }
+
+    private void share(int id, JSONObject params) throws Exception {
+        String text = params.optString("text");
+        String url = params.optString("url");
+        String body = url.length() == 0 ? text : text.length() == 0 ? url : text + "\n" + url;
+        if (body.length() == 0) {
+            reject(id, "invalid", "share needs text or url");
+            return;
+        }
+
+        Intent intent = new Intent(Intent.ACTION_SEND);
+        intent.setType("text/plain");
+        intent.putExtra(Intent.EXTRA_TEXT, body);
+        if (params.optString("title").length() > 0) {
+            intent.putExtra(Intent.EXTRA_SUBJECT, params.optString("title"));
+        }
+        activity.startActivity(Intent.createChooser(intent, params.optString("title", null)));
+        // Android does not report whether the user picked a target
+        resolve(id, new JSONObject().put("completed", true));
+    }
+
+    private void haptics(int id, String method, JSONObject params) throws Exception {
+        int feedback;
+        if (method.equals("haptics.selection")) {
+            feedback = HapticFeedbackConstants.CLOCK_TICK;
+        } else if (method.equals("haptics.notification")) {
+            String type = params.optString("type", "success");
+            if (Build.VERSION.SDK_INT >= 30) {
+                feedback = type.equals("success") ? HapticFeedbackConstants.CONFIRM : HapticFeedbackConstants.REJECT;
+            } else {
+                feedback = type.equals("success") ? HapticFeedbackConstants.VIRTUAL_KEY : HapticFeedbackConstants.LONG_PRESS;
+            }
+        } else {
+            String style = params.optString("style", "medium");
+            feedback = style.equals("light") ? HapticFeedbackConstants.KEYBOARD_TAP
+                : style.equals("heavy") ? HapticFeedbackConstants.LONG_PRESS
+                : HapticFeedbackConstants.VIRTUAL_KEY;
+        }
+        webView.performHapticFeedback(feedback);
+        resolve(id, new JSONObject());
+    }
+
+    /**
+     * Values are encrypted with an AES key kept in the Android Keystore
+     */
+    private void secureStorage(int id, String method, JSONObject params) throws Exception {
+        if (Build.VERSION.SDK_INT < 23) {
+            reject(id, "unavailable", "Secure storage needs Android 6 or later");
+            return;
+        }
+
+        String key = params.optString("key");
+        if (key.length() == 0) {
+            reject(id, "invalid", "key is required");
+            return;
+        }
+
+        SharedPreferences preferences = activity.getSharedPreferences(STORAGE_PREFERENCES, Context.MODE_PRIVATE);
+        if (method.equals("secureStorage.remove")) {
+            preferences.edit().remove(key).apply();
+            resolve(id, new JSONObject());
+        } else if (method.equals("secureStorage.set")) {
+            Cipher cipher = Cipher.getInstance("AES/GCM/NoPadding");
+            cipher.init(Cipher.ENCRYPT_MODE, getStorageKey());
+            byte[] encrypted = cipher.doFinal(params.optString("value").getBytes(StandardCharsets.UTF_8));
+            byte[] stored = new byte[GCM_IV_LENGTH + encrypted.length];
+            System.arraycopy(cipher.getIV(), 0, stored, 0, GCM_IV_LENGTH);
+            System.arraycopy(encrypted, 0, stored, GCM_IV_LENGTH, encrypted.length);
+            preferences.edit().putString(key, Base64.encodeToString(stored, Base64.NO_WRAP)).apply();
+            resolve(id, new JSONObject());
+        } else {
+            String stored = preferences.getString(key, null);
+            if (stored == null) {
+                resolve(id, new JSONObject().put("value", JSONObject.NULL));
+                return;
+            }
+            byte[] data = Base64.decode(stored, Base64.NO_WRAP);
+            Cipher cipher = Cipher.getInstance("AES/GCM/NoPadding");
+            cipher.init(Cipher.DECRYPT_MODE, getStorageKey(), new GCMParameterSpec(128, data, 0, GCM_IV_LENGTH));
+            byte[] value = cipher.doFinal(data, GCM_IV_LENGTH, data.length - GCM_IV_LENGTH);
+            resolve(id, new JSONObject().put("value", new String(value, StandardCharsets.UTF_8)));
+        }
+    }
+
+    private SecretKey getStorageKey() throws Exception {
+        KeyStore keyStore = KeyStore.getInstance(KEYSTORE);
+        keyStore.load(null);
+        if (keyStore.containsAlias(STORAGE_KEY_ALIAS)) {
+            return (SecretKey) keyStore.getKey(STORAGE_KEY_ALIAS, null);
+        }
+
+        KeyGenerator generator = KeyGenerator.getInstance(KeyProperties.KEY_ALGORITHM_AES, KEYSTORE);
+        generator.init(new KeyGenParameterSpec.Builder(STORAGE_KEY_ALIAS,
+            KeyProperties.PURPOSE_ENCRYPT | KeyProperties.PURPOSE_DECRYPT)
+            .setBlockModes(KeyProperties.BLOCK_MODE_GCM)
+            .setEncryptionPaddings(KeyProperties.ENCRYPTION_PADDING_NONE)
+            .build());
+        return generator.generateKey();
+    }
+
+    private boolean canAuthenticate() {
+        if (Build.VERSION.SDK_INT >= 29) {
+            BiometricManager manager = activity.getSystemService(BiometricManager.class);
+            return manager != null && manager.canAuthenticate() == BiometricManager.BIOMETRIC_SUCCESS;
+        }
+        return Build.VERSION.SDK_INT == 28
+            && activity.getPackageManager().hasSystemFeature(PackageManager.FEATURE_FINGERPRINT);
+    }
+
+    private void authenticate(final int id, JSONObject params) throws Exception {
+        if (!canAuthenticate()) {
+            reject(id, "unavailable", "No biometrics are enrolled on this device");
+            return;
+        }
+
+        new BiometricPrompt.Builder(activity)
+            .setTitle(params.optString("reason", "Unlock"))
+            .setNegativeButton(activity.getString(android.R.string.cancel), activity.getMainExecutor(),
+                new android.content.DialogInterface.OnClickListener() {
+                    @Override
+                    public void onClick(android.content.DialogInterface dialog, int which) {
+                        reject(id, "cancelled", "Authentication was cancelled");
+                    }
+                })
+            .build()
+            .authenticate(new CancellationSignal(), activity.getMainExecutor(),
+                new BiometricPrompt.AuthenticationCallback() {
+                    @Override
+                    public void onAuthenticationSucceeded(BiometricPrompt.AuthenticationResult result) {
+                        resolve(id, new JSONObject());
+                    }
+
+                    @Override
+                    public void onAuthenticationError(int errorCode, CharSequence errString) {
+                        boolean cancelled = errorCode == BiometricPrompt.BIOMETRIC_ERROR_CANCELED
+                            || errorCode == BiometricPrompt.BIOMETRIC_ERROR_USER_CANCELED;
+                        reject(id, cancelled ? "cancelled" : "failed", String.valueOf(errString));
+                    }
+                });
+    }
+
+    private void requestPushToken(final int id) {
+        requestNotificationPermission(new PermissionResult() {
+            @Override
+            public void onResult(boolean granted) {
+                if (!granted) {
+                    reject(id, "denied", "Notifications are not allowed");
+                    return;
+                }
+                PushRegistration.requestToken(activity, pushConfig.optJSONObject("fcm"), new PushRegistration.Callback() {
+                    @Override
+                    public void onToken(String token) {
+                        PushRegistration.registerDevice(activity, pushConfig, token);
+                        try {
+                            resolve(id, new JSONObject().put("token", token).put("platform", "fcm"));
+                        } catch (JSONException e) {
+                            reject(id, "failed", e.getMessage());
+                        }
+                    }
+
+                    @Override
+                    public void onError(String code, String message) {
+                        reject(id, code, message);
+                    }
+                });
+            }
+        });
+    }
+
+    /**
+     * Launchers badge the icon from the app's notifications, so the count is
+     * carried by a silent notification on its own channel and removed at zero
+     */
+    private void setBadge(final int id, final int count) throws Exception {
+        final NotificationManager manager = (NotificationManager) activity.getSystemService(Context.NOTIFICATION_SERVICE);
+        if (count == 0) {
+            manager.cancel(BADGE_NOTIFICATION_ID);
+            resolve(id, new JSONObject().put("count", 0));
+            return;
+        }
+
+        requestNotificationPermission(new PermissionResult() {
+            @Override
+            public void onResult(boolean granted) {
+                if (!granted) {
+                    reject(id, "denied", "Badges are not allowed");
+                    return;
+                }
+                try {
+                    manager.notify(BADGE_NOTIFICATION_ID, buildBadgeNotification(manager, count));
+                    resolve(id, new JSONObject().put("count", count));
+                } catch (Exception e) {
+                    reject(id, "failed", String.valueOf(e.getMessage()));
+                }
+            }
+        });
+    }
+
+    @SuppressWarnings("deprecation")
+    private Notification buildBadgeNotification(NotificationManager manager, int count) {
+        Notification.Builder builder;
+        if (Build.VERSION.SDK_INT >= 26) {
+            NotificationChannel channel = new NotificationChannel(BADGE_CHANNEL, "Unread count", NotificationManager.IMPORTANCE_MIN);
+            channel.setShowBadge(true);
+            manager.createNotificationChannel(channel);
+            builder = new Notification.Builder(activity, BADGE_CHANNEL);
+        } else {
+            builder = new Notification.Builder(activity).setPriority(Notification.PRIORITY_MIN);
+        }
+
+        Intent open = new Intent(activity, activity.getClass()).addFlags(Intent.FLAG_ACTIVITY_SINGLE_TOP);
+        int flags = PendingIntent.FLAG_UPDATE_CURRENT | (Build.VERSION.SDK_INT >= 23 ? PendingIntent.FLAG_IMMUTABLE : 0);
+        return builder
+            .setSmallIcon(activity.getApplicationInfo().icon)
+            .setContentTitle(activity.getApplicationInfo().loadLabel(activity.getPackageManager()))
+            .setContentText(count + " unread")
+            .setNumber(count)
+            .setOnlyAlertOnce(true)
+            .setContentIntent(PendingIntent.getActivity(activity, 0, open, flags))
+            .build();
+    }
+
+    /**
+     * Keep the push endpoint's registration current once the page has asked for a token
+     */
+    void refreshPushRegistration() {
+        PushRegistration.refreshOnLaunch(activity, pushConfig, notificationsAllowed());
+    }
+
+    private boolean notificationsAllowed() {
+        if (Build.VERSION.SDK_INT >= 33 && activity.checkSelfPermission(POST_NOTIFICATIONS) != PackageManager.PERMISSION_GRANTED) {
+            return false;
+        }
+        NotificationManager manager = (NotificationManager) activity.getSystemService(Context.NOTIFICATION_SERVICE);
+        return Build.VERSION.SDK_INT < 24 || manager.areNotificationsEnabled();
+    }
+
+    /**
+     * Ask for the notification permission Android 13 added; earlier versions
+     * only let the user turn notifications off in settings
+     */
+    private void requestNotificationPermission(PermissionResult result) {
+        if (Build.VERSION.SDK_INT < 33 || activity.checkSelfPermission(POST_NOTIFICATIONS) == PackageManager.PERMISSION_GRANTED) {
+            result.onResult(notificationsAllowed());
+            return;
+        }
+
+        notificationPermissionRequests.add(result);
+        if (notificationPermissionRequests.size() == 1) {
+            activity.requestPermissions(new String[] { POST_NOTIFICATIONS }, NOTIFICATION_PERMISSION_REQUEST);
+        }
+    }
+
+    /**
+     * Forwarded from the activity, which receives the permission results
+     */
+    void onRequestPermissionsResult(int requestCode, int[] grantResults) {
+        if (requestCode != NOTIFICATION_PERMISSION_REQUEST) {
+            return;
+        }
+        boolean granted = grantResults.length > 0 && grantResults[0] == PackageManager.PERMISSION_GRANTED;
+        List<PermissionResult> requests = new ArrayList<>(notificationPermissionRequests);
+        notificationPermissionRequests.clear();
+        for (PermissionResult request : requests) {
+            request.onResult(granted);
+        }
+    }
+
+    /**
+     * Save a file with the system download manager, signed in with the web view's cookies
+     * @param id Bridge request to answer, or -1 for downloads started by the page itself
+     */
+    void download(int id, String url, String filename, String contentDisposition, String mimeType) {
+        Uri uri = Uri.parse(url);
+        String scheme = uri.getScheme();
+        if (!"http".equals(scheme) && !"https".equals(scheme)) {
+            if (id >= 0) {
+                reject(id, "invalid", "Only http and https downloads are supported");
+            }
+            return;
+        }
+
+        String name = filename != null && filename.length() > 0
+            ? filename
+            : URLUtil.guessFileName(url, contentDisposition, mimeType);
+
+        DownloadManager.Request request = new DownloadManager.Request(uri)
+            .setTitle(name)
+            .setMimeType(mimeType)
+            .setNotificationVisibility(DownloadManager.Request.VISIBILITY_VISIBLE_NOTIFY_COMPLETED)
+            .addRequestHeader("User-Agent", webView.getSettings().getUserAgentString());
+        String cookies = CookieManager.getInstance().getCookie(url);
+        if (cookies != null) {
+            request.addRequestHeader("Cookie", cookies);
+        }
+        if (Build.VERSION.SDK_INT >= 29) {
+            request.setDestinationInExternalPublicDir(Environment.DIRECTORY_DOWNLOADS, name);
+        } else {
+            // The shared Downloads folder needs a storage permission before Android 10
+            request.setDestinationInExternalFilesDir(activity, Environment.DIRECTORY_DOWNLOADS, name);
+        }
+
+        try {
+            DownloadManager manager = (DownloadManager) activity.getSystemService(Context.DOWNLOAD_SERVICE);
+            manager.enqueue(request);
+            if (id >= 0) {
+                resolve(id, new JSONObject().put("started", true).put("filename", name));
+            }
+        } catch (Exception e) {
+            if (id >= 0) {
+                reject(id, "failed", String.valueOf(e.getMessage()));
+            }
+        }
+    }
+
+    private void resolve(int id, JSONObject result) {
+        reply(id, "null", result.toString());
+    }
+
+    private void reject(int id, String code, String message) {
+        try {
+            reply(id, new JSONObject().put("code", code).put("message", message).toString(), "null");
+        } catch (Exception e) {
+            reply(id, "{\"code\":\"failed\"}", "null");
+        }
+    }
+
+    private void reply(int id, String error, String result) {
+        webView.evaluateJavascript("window.RapidSaaS && window.RapidSaaS._resolve("
+            + id + "," + error + "," + result + ")", null);
+    }
+}
@@ -0,0 +1,73 @@
+package com.rapidsaas.shell;
+
+import android.app.Notification;
+import android.app.NotificationChannel;
+import android.app.NotificationManager;
+import android.app.PendingIntent;
+import android.content.BroadcastReceiver;
+import android.content.Context;
+import android.content.Intent;
+import android.os.Build;
+import android.os.Bundle;
+
+/**
+ * Shows the notifications Google Play services delivers for the app.
+ * A tap opens MainActivity with the campaign ID and URL from the message
+ * data, which reports the open and loads the page.
+ */
+public class PushReceiver extends BroadcastReceiver {
+    static final String EXTRA_CAMPAIGN_ID = "com.rapidsaas.shell.CAMPAIGN_ID";
+    static final String EXTRA_URL = "com.rapidsaas.shell.URL";
+
+    private static final String CHANNEL = "rapidsaas.push";
+
+    @Override
+    @SuppressWarnings("deprecation")
+    public void onReceive(Context context, Intent intent) {
+        Bundle extras = intent.getExtras();
+        if (extras == null) {
+            return;
+        }
+
+        // Data-only messages and deleted_messages notices have nothing to show
+        String title = notificationField(extras, "title");
+        String body = notificationField(extras, "body");
+        if (title == null && body == null) {
+            return;
+        }
+
+        NotificationManager manager = (NotificationManager) context.getSystemService(Context.NOTIFICATION_SERVICE);
+        if (Build.VERSION.SDK_INT >= 24 && !manager.areNotificationsEnabled()) {
+            return;
+        }
+
+        Notification.Builder builder;
+        if (Build.VERSION.SDK_INT >= 26) {
+            manager.createNotificationChannel(new NotificationChannel(CHANNEL, "Notifications", NotificationManager.IMPORTANCE_DEFAULT));
+            builder = new Notification.Builder(context, CHANNEL);
+        } else {
+            builder = new Notification.Builder(context).setDefaults(Notification.DEFAULT_ALL);
+        }
+
+        int notificationId = (int) System.currentTimeMillis();
+        Intent open = new Intent(context, MainActivity.class)
+            .addFlags(Intent.FLAG_ACTIVITY_NEW_TASK | Intent.FLAG_ACTIVITY_SINGLE_TOP)
+            .putExtra(EXTRA_CAMPAIGN_ID, extras.getString("campaign_id"))
+            .putExtra(EXTRA_URL, extras.getString("url"));
+        int flags = PendingIntent.FLAG_UPDATE_CURRENT | (Build.VERSION.SDK_INT >= 23 ? PendingIntent.FLAG_IMMUTABLE : 0);
+
+        manager.notify(notificationId, builder
+            .setSmallIcon(context.getApplicationInfo().icon)
+            .setContentTitle(title)
+            .setContentText(body)
+            .setAutoCancel(true)
+            .setContentIntent(PendingIntent.getActivity(context, notificationId, open, flags))
+            .build());
+    }
+
+    // Play services delivers the FCM notification block as gcm.notification.* extras, or gcm.n.* in newer versions
+    private static String notificationField(Bundle extras, String name) {
+        String value = extras.getString("gcm.notification." + name);
+        return value != null ? value : extras.getString("gcm.n." + name);
+    }
+}
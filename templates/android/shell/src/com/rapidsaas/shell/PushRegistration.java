@@ -0,0 +1,209 @@
+package com.rapidsaas.shell;
+
+import android.app.PendingIntent;
+import android.content.Context;
+import android.content.Intent;
+import android.content.SharedPreferences;
+import android.content.pm.PackageManager;
+import android.os.Build;
+import android.os.Handler;
+import android.os.Looper;
+import android.os.Message;
+import android.os.Messenger;
+
+import org.json.JSONObject;
+
+import java.io.OutputStream;
+import java.net.HttpURLConnection;
+import java.net.URL;
+import java.nio.charset.StandardCharsets;
+import java.util.Locale;
+
+/**
+ * Firebase Cloud Messaging tokens without the Firebase SDK, which the
+ * precompiled shell cannot link. Google Play services registers the app for
+ * the Firebase project's sender ID, the same request the SDK makes, and
+ * answers through a Messenger with registration_id or error.
+ * Tokens are registered with the app's push endpoint (POST devices), and
+ * opened notifications are reported to it (POST opens).
+ */
+final class PushRegistration {
+    private static final String GMS_PACKAGE = "com.google.android.gms";
+    private static final String ACTION_REGISTER = "com.google.android.c2dm.intent.REGISTER";
+    private static final long TIMEOUT_MS = 30000;
+    private static final String PREFERENCES = "rapidsaas.push";
+    private static final String TOKEN_KEY = "token";
+
+    interface Callback {
+        void onToken(String token);
+
+        void onError(String code, String message);
+    }
+
+    private PushRegistration() {
+    }
+
+    /**
+     * Request the app's registration token; the callback runs once, on the main thread
+     * @param fcm The fcm settings of the shell's push config: { senderId, androidAppId }
+     */
+    static void requestToken(Context context, JSONObject fcm, final Callback callback) {
+        String senderId = fcm != null ? fcm.optString("senderId") : "";
+        if (senderId.length() == 0) {
+            callback.onError("unavailable", "Push notifications are not configured for this app");
+            return;
+        }
+        try {
+            context.getPackageManager().getPackageInfo(GMS_PACKAGE, 0);
+        } catch (PackageManager.NameNotFoundException e) {
+            callback.onError("unavailable", "Push notifications need Google Play services");
+            return;
+        }
+
+        final Handler handler = new Handler(Looper.getMainLooper());
+        final boolean[] answered = { false };
+        final Runnable timeout = new Runnable() {
+            @Override
+            public void run() {
+                if (!answered[0]) {
+                    answered[0] = true;
+                    callback.onError("failed", "Google Play services did not answer the push registration");
+                }
+            }
+        };
+
+        Messenger messenger = new Messenger(new Handler(Looper.getMainLooper()) {
+            @Override
+            public void handleMessage(Message message) {
+                if (answered[0] || !(message.obj instanceof Intent)) {
+                    return;
+                }
+                answered[0] = true;
+                handler.removeCallbacks(timeout);
+
+                Intent reply = (Intent) message.obj;
+                String token = reply.getStringExtra("registration_id");
+                if (token != null && token.length() > 0) {
+                    callback.onToken(token);
+                } else {
+                    callback.onError("failed", "Push registration failed: " + reply.getStringExtra("error"));
+                }
+            }
+        });
+
+        // The pending intent only identifies the calling app to Play services
+        int flags = Build.VERSION.SDK_INT >= 23 ? PendingIntent.FLAG_IMMUTABLE : 0;
+        Intent intent = new Intent(ACTION_REGISTER)
+            .setPackage(GMS_PACKAGE)
+            .putExtra("app", PendingIntent.getBroadcast(context, 0, new Intent(), flags))
+            .putExtra("google.messenger", messenger)
+            .putExtra("sender", senderId)
+            .putExtra("subtype", senderId)
+            .putExtra("scope", "*")
+            .putExtra("gmp_app_id", fcm.optString("androidAppId"));
+
+        handler.postDelayed(timeout, TIMEOUT_MS);
+        try {
+            if (context.startService(intent) == null) {
+                throw new IllegalStateException("Google Play services cannot register for push notifications");
+            }
+        } catch (Exception e) {
+            answered[0] = true;
+            handler.removeCallbacks(timeout);
+            callback.onError("failed", String.valueOf(e.getMessage()));
+        }
+    }
+
+    /**
+     * Register the token with the push endpoint; it is registered again on
+     * every launch once the page has asked for it
+     */
+    static void registerDevice(Context context, JSONObject pushConfig, String token) {
+        context.getSharedPreferences(PREFERENCES, Context.MODE_PRIVATE).edit().putString(TOKEN_KEY, token).apply();
+        try {
+            String appVersion = context.getPackageManager().getPackageInfo(context.getPackageName(), 0).versionName;
+            post(pushConfig, "devices", new JSONObject()
+                .put("token", token)
+                .put("platform", "android")
+                .put("locale", Locale.getDefault().toLanguageTag())
+                .put("appVersion", appVersion != null ? appVersion : ""));
+        } catch (Exception e) {
+            // Registration is retried on the next launch
+        }
+    }
+
+    /**
+     * Refresh the registration at launch when the device registered before
+     * and notifications are still allowed
+     */
+    static void refreshOnLaunch(final Context context, final JSONObject pushConfig, boolean notificationsAllowed) {
+        SharedPreferences preferences = context.getSharedPreferences(PREFERENCES, Context.MODE_PRIVATE);
+        if (!notificationsAllowed || preferences.getString(TOKEN_KEY, null) == null) {
+            return;
+        }
+
+        requestToken(context, pushConfig.optJSONObject("fcm"), new Callback() {
+            @Override
+            public void onToken(String token) {
+                registerDevice(context, pushConfig, token);
+            }
+
+            @Override
+            public void onError(String code, String message) {
+                // Keep the stored token; the next launch tries again
+            }
+        });
+    }
+
+    /**
+     * Report an opened notification with the registered token, which the
+     * server counts once per campaign; devices that never registered are skipped
+     */
+    static void reportOpen(Context context, JSONObject pushConfig, String campaignId) {
+        String token = context.getSharedPreferences(PREFERENCES, Context.MODE_PRIVATE).getString(TOKEN_KEY, null);
+        if (token == null) {
+            return;
+        }
+        try {
+            post(pushConfig, "opens", new JSONObject()
+                .put("campaignId", campaignId)
+                .put("token", token)
+                .put("platform", "android"));
+        } catch (Exception e) {
+            // Opens are best effort
+        }
+    }
+
+    private static void post(JSONObject pushConfig, final String path, final JSONObject body) {
+        // A JSON null endpoint reads back as "null"
+        final String endpoint = pushConfig.optString("endpoint", "");
+        if (endpoint.length() == 0 || endpoint.equals("null")) {
+            return;
+        }
+
+        new Thread(new Runnable() {
+            @Override
+            public void run() {
+                HttpURLConnection connection = null;
+                try {
+                    connection = (HttpURLConnection) new URL(endpoint + "/" + path).openConnection();
+                    connection.setRequestMethod("POST");
+                    connection.setRequestProperty("Content-Type", "application/json");
+                    connection.setConnectTimeout(10000);
+                    connection.setReadTimeout(10000);
+                    connection.setDoOutput(true);
+                    OutputStream output = connection.getOutputStream();
+                    output.write(body.toString().getBytes(StandardCharsets.UTF_8));
+                    output.close();
+                    connection.getResponseCode();
+                } catch (Exception e) {
+                    // Nothing to retry; devices register again on the next launch
+                } finally {
+                    if (connection != null) {
+                        connection.disconnect();
+                    }
+                }
+            }
+        }).start();
+    }
+}
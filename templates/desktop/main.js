@@ -0,0 +1,132 @@
+// Electron shell for a Rapid SaaS AI Store app. Settings live in app-config.json.
+const { app, BrowserWindow, Menu, session, shell } = require('electron');
+const path = require('path');
+const config = require('./app-config.json');
+
+let mainWindow = null;
+let showingOfflinePage = false;
+
+const matchesHost = (hostname, host) => (host.startsWith('*.')
+  ? hostname.endsWith(host.slice(1))
+  : hostname === host);
+
+const isAppUrl = (url) => {
+  try {
+    const { hostname } = new URL(url);
+    return matchesHost(hostname, new URL(config.url).hostname)
+      || config.deepLinkHosts.some((host) => matchesHost(hostname, host));
+  } catch (error) {
+    return false;
+  }
+};
+
+// Links to other sites follow the externalLinks setting: browser, inApp or block
+const openExternal = (url) => {
+  if (config.externalLinks === 'browser' && /^(https?|mailto|tel):/i.test(url)) {
+    shell.openExternal(url);
+  }
+};
+
+const allowsPermission = (permission) => {
+  if (permission === 'media') return config.camera;
+  if (permission === 'geolocation') return config.geolocation;
+  if (permission === 'notifications') return config.pushNotifications;
+  return ['clipboard-sanitized-write', 'fullscreen'].includes(permission);
+};
+
+// CSS/JS injection rules; the generated scripts check the page URL themselves
+const injectScript = (stage) => {
+  const script = config.injections && config.injections[stage];
+  if (!script || showingOfflinePage) return;
+  mainWindow.webContents.executeJavaScript(script).catch(() => {});
+};
+
+const createWindow = () => {
+  mainWindow = new BrowserWindow({
+    width: 1280,
+    height: 800,
+    minWidth: 400,
+    minHeight: 500,
+    title: config.appName,
+    backgroundColor: config.backgroundColor,
+    icon: path.join(__dirname, 'build', 'icon.png'),
+    autoHideMenuBar: true,
+    webPreferences: {
+      contextIsolation: true,
+      nodeIntegration: false,
+      sandbox: true,
+      javascript: config.enableJavaScript
+    }
+  });
+
+  const { webContents } = mainWindow;
+  webContents.setUserAgent(`${webContents.getUserAgent()} ${config.userAgent}`);
+
+  webContents.setWindowOpenHandler(({ url }) => {
+    if (isAppUrl(url) || config.externalLinks === 'inApp') {
+      mainWindow.loadURL(url);
+    } else {
+      openExternal(url);
+    }
+    return { action: 'deny' };
+  });
+
+  webContents.on('will-navigate', (event, url) => {
+    if (url.startsWith('file:') || isAppUrl(url) || config.externalLinks === 'inApp') return;
+    event.preventDefault();
+    openExternal(url);
+  });
+
+  webContents.on('did-fail-load', (event, errorCode, errorDescription, validatedURL, isMainFrame) => {
+    // -3 is an aborted load, e.g. a redirect or a navigation replacing this one
+    if (!isMainFrame || errorCode === -3 || showingOfflinePage) return;
+    showingOfflinePage = true;
+    mainWindow.loadFile(path.join(__dirname, 'offline.html'));
+  });
+
+  webContents.on('did-navigate', (event, url) => {
+    showingOfflinePage = url.startsWith('file:');
+    injectScript('documentStart');
+  });
+
+  webContents.on('dom-ready', () => injectScript('documentEnd'));
+
+  mainWindow.loadURL(config.url);
+};
+
+if (!app.requestSingleInstanceLock()) {
+  app.quit();
+} else {
+  app.on('second-instance', () => {
+    if (!mainWindow) return;
+    if (mainWindow.isMinimized()) mainWindow.restore();
+    mainWindow.focus();
+  });
+
+  app.whenReady().then(() => {
+    if (config.appUserModelId) {
+      app.setAppUserModelId(config.appUserModelId);
+    }
+
+    session.defaultSession.setPermissionRequestHandler((webContents, permission, callback, details) => {
+      callback(isAppUrl(details.requestingUrl || webContents.getURL()) && allowsPermission(permission));
+    });
+
+    Menu.setApplicationMenu(process.platform === 'darwin' ? Menu.buildFromTemplate([
+      { role: 'appMenu' },
+      { role: 'editMenu' },
+      { role: 'viewMenu' },
+      { role: 'windowMenu' }
+    ]) : null);
+
+    createWindow();
+  });
+
+  app.on('window-all-closed', () => {
+    if (process.platform !== 'darwin') app.quit();
+  });
+
+  app.on('activate', () => {
+    if (BrowserWindow.getAllWindows().length === 0) createWindow();
+  });
+}
@@ -0,0 +1,16 @@
+// Copies the unpacked Windows build into the MSIX layout next to this project.
+// Run after "npm run dist:win-dir", then pack ../msix with makemsix or MakeAppx.
+const fs = require('fs');
+const path = require('path');
+
+const source = path.join(__dirname, 'dist', 'win-unpacked');
+const target = path.join(__dirname, '..', 'msix', 'app');
+
+if (!fs.existsSync(source)) {
+  console.error(`No Windows build at ${source}. Run "npm run dist:win-dir" first.`);
+  process.exit(1);
+}
+
+fs.rmSync(target, { recursive: true, force: true });
+fs.cpSync(source, target, { recursive: true });
+console.log(`Staged ${source} into ${target}`);
@@ -0,0 +1,293 @@
+import 'dart:async';
+import 'dart:io';
+
+import 'package:app_links/app_links.dart';
+import 'package:connectivity_plus/connectivity_plus.dart';
+import 'package:file_picker/file_picker.dart';
+import 'package:flutter/material.dart';
+import 'package:permission_handler/permission_handler.dart';
+import 'package:url_launcher/url_launcher.dart';
+import 'package:webview_flutter/webview_flutter.dart';
+import 'package:webview_flutter_android/webview_flutter_android.dart';
+import 'package:webview_flutter_wkwebview/webview_flutter_wkwebview.dart';
+
+import 'app_config.dart';
+import 'native_bridge.dart';
+import 'push_messaging.dart';
+
+void main() {
+  WidgetsFlutterBinding.ensureInitialized();
+  runApp(const RapidSaasApp());
+}
+
+class RapidSaasApp extends StatelessWidget {
+  const RapidSaasApp({super.key});
+
+  @override
+  Widget build(BuildContext context) {
+    return MaterialApp(
+      title: AppConfig.appName,
+      debugShowCheckedModeBanner: false,
+      theme: ThemeData(useMaterial3: true),
+      home: const WebViewScreen(),
+    );
+  }
+}
+
+/// Hosts the web app and keeps navigation on its own domain inside the app.
+class WebViewScreen extends StatefulWidget {
+  const WebViewScreen({super.key});
+
+  @override
+  State<WebViewScreen> createState() => _WebViewScreenState();
+}
+
+class _WebViewScreenState extends State<WebViewScreen> {
+  late final WebViewController _controller;
+  late final Uri _home;
+  late final NativeBridge _bridge;
+  StreamSubscription<ConnectivityResult>? _connectivitySubscription;
+  StreamSubscription<Uri>? _linkSubscription;
+  int _progress = 0;
+  bool _offline = false;
+  bool _showingOfflinePage = false;
+
+  @override
+  void initState() {
+    super.initState();
+    _home = Uri.parse(AppConfig.initialUrl);
+
+    _controller = WebViewController(onPermissionRequest: _handlePermissionRequest)
+      ..setJavaScriptMode(AppConfig.enableJavaScript
+          ? JavaScriptMode.unrestricted
+          : JavaScriptMode.disabled)
+      ..setUserAgent(AppConfig.userAgent)
+      ..setNavigationDelegate(NavigationDelegate(
+        onProgress: (progress) => setState(() => _progress = progress),
+        onPageStarted: (url) {
+          _showingOfflinePage = url.startsWith('file:');
+          _inject(AppConfig.bridgeScript);
+          _inject(AppConfig.injectionDocumentStart);
+        },
+        onPageFinished: (url) {
+          _inject(AppConfig.bridgeScript);
+          _inject(AppConfig.injectionDocumentEnd);
+        },
+        onNavigationRequest: _handleNavigation,
+        onWebResourceError: (error) {
+          if (!(error.isForMainFrame ?? true)) return;
+          if (AppConfig.offlinePage != null) {
+            // The bundled offline page links back to the site and to the saved app shell
+            if (!_showingOfflinePage) {
+              _controller.loadFlutterAsset(AppConfig.offlinePage!);
+            }
+          } else {
+            setState(() => _offline = true);
+          }
+        },
+      ))
+      ..loadRequest(_home);
+
+    // window.RapidSaaS; the script defines itself once per page and only on app hosts
+    _bridge = NativeBridge(_controller, isAppPage: () async {
+      final url = await _controller.currentUrl();
+      return url != null && !_showingOfflinePage && _isInternal(Uri.parse(url));
+    });
+    if (AppConfig.bridgeScript != null) {
+      _controller.addJavaScriptChannel(NativeBridge.channelName, onMessageReceived: _bridge.handleMessage);
+    }
+
+    final platform = _controller.platform;
+    if (platform is AndroidWebViewController) {
+      if (AppConfig.fileUpload) {
+        platform.setOnShowFileSelector(_selectFiles);
+      }
+      if (AppConfig.geolocation) {
+        platform.setGeolocationPermissionsPromptCallbacks(
+          GeolocationPermissionsPromptCallbacks(onShowPrompt: _handleGeolocationPrompt),
+        );
+      }
+    } else if (platform is WebKitWebViewController) {
+      platform.setAllowsBackForwardNavigationGestures(AppConfig.swipeNavigation);
+    }
+
+    _connectivitySubscription =
+        Connectivity().onConnectivityChanged.listen((result) {
+      final offline = result == ConnectivityResult.none;
+      if (!offline && _showingOfflinePage) {
+        _controller.loadRequest(_home);
+      } else if (!offline && _offline) {
+        _controller.reload();
+      }
+      setState(() => _offline = offline && AppConfig.offlinePage == null);
+    });
+
+    if (AppConfig.deepLinkHosts.isNotEmpty) {
+      _listenForDeepLinks();
+    }
+    PushMessaging.start(onOpenUrl: _openPushLink).catchError((_) {});
+  }
+
+  @override
+  void dispose() {
+    _connectivitySubscription?.cancel();
+    _linkSubscription?.cancel();
+    super.dispose();
+  }
+
+  /// Open verified app links (and universal links on iOS) inside the WebView
+  Future<void> _listenForDeepLinks() async {
+    final appLinks = AppLinks();
+    _linkSubscription = appLinks.uriLinkStream.listen(_openDeepLink);
+
+    final initialLink = await appLinks.getInitialAppLink();
+    if (initialLink != null) {
+      _openDeepLink(initialLink);
+    }
+  }
+
+  void _openDeepLink(Uri uri) {
+    if (_isInternal(uri)) {
+      _controller.loadRequest(uri);
+    }
+  }
+
+  /// Links from tapped notifications open in the app when they belong to it
+  void _openPushLink(Uri uri) {
+    if (_isInternal(uri)) {
+      _controller.loadRequest(uri);
+    } else if (_isWeb(uri)) {
+      launchUrl(uri, mode: LaunchMode.externalApplication);
+    }
+  }
+
+  /// Run a generated bridge or injection script; they check the page URL themselves.
+  /// The document-end script adds the CSS again when the start script ran too early.
+  void _inject(String? script) {
+    if (script == null || _showingOfflinePage) return;
+    _controller.runJavaScript(script).catchError((_) {});
+  }
+
+  bool _isWeb(Uri uri) => uri.scheme == 'http' || uri.scheme == 'https';
+
+  bool _isInternal(Uri uri) {
+    if (!_isWeb(uri)) return false;
+    return uri.host == _home.host ||
+        uri.host.endsWith('.${_home.host}') ||
+        AppConfig.deepLinkHosts.contains(uri.host);
+  }
+
+  Future<NavigationDecision> _handleNavigation(NavigationRequest request) async {
+    final uri = Uri.parse(request.url);
+    if (_isInternal(uri) || uri.scheme == 'file') {
+      return NavigationDecision.navigate;
+    }
+
+    if (_isWeb(uri)) {
+      if (AppConfig.externalLinks == 'inApp') return NavigationDecision.navigate;
+      if (AppConfig.externalLinks == 'block') return NavigationDecision.prevent;
+    }
+
+    // Links to other sites, mail, phone and store URLs open outside the app
+    await launchUrl(uri, mode: LaunchMode.externalApplication);
+    return NavigationDecision.prevent;
+  }
+
+  /// Android needs the runtime permission before the WebView can use it;
+  /// WKWebView prompts on its own using the Info.plist usage descriptions.
+  Future<bool> _ensurePermission(Permission permission) async {
+    if (!Platform.isAndroid) return true;
+    return (await permission.request()).isGranted;
+  }
+
+  Future<void> _handlePermissionRequest(WebViewPermissionRequest request) async {
+    final cameraOnly = request.types
+        .every((type) => type == WebViewPermissionResourceType.camera);
+    if (AppConfig.camera && cameraOnly && await _ensurePermission(Permission.camera)) {
+      await request.grant();
+    } else {
+      await request.deny();
+    }
+  }
+
+  Future<GeolocationPermissionsResponse> _handleGeolocationPrompt(
+      GeolocationPermissionsRequestParams params) async {
+    final allowed = await _ensurePermission(Permission.locationWhenInUse);
+    return GeolocationPermissionsResponse(allow: allowed, retain: false);
+  }
+
+  Future<List<String>> _selectFiles(FileSelectorParams params) async {
+    final result = await FilePicker.platform.pickFiles(
+      allowMultiple: params.mode == FileSelectorMode.openMultiple,
+    );
+    if (result == null) return [];
+    return result.files
+        .where((file) => file.path != null)
+        .map((file) => Uri.file(file.path!).toString())
+        .toList();
+  }
+
+  Future<bool> _handleBack() async {
+    if (await _controller.canGoBack()) {
+      await _controller.goBack();
+      return false;
+    }
+    return true;
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    return WillPopScope(
+      onWillPop: _handleBack,
+      child: Scaffold(
+        body: SafeArea(
+          child: Stack(
+            children: [
+              WebViewWidget(controller: _controller),
+              if (_progress < 100)
+                LinearProgressIndicator(value: _progress / 100),
+              if (_offline)
+                _OfflineView(onRetry: () {
+                  setState(() => _offline = false);
+                  _controller.reload();
+                }),
+            ],
+          ),
+        ),
+      ),
+    );
+  }
+}
+
+class _OfflineView extends StatelessWidget {
+  const _OfflineView({required this.onRetry});
+
+  final VoidCallback onRetry;
+
+  @override
+  Widget build(BuildContext context) {
+    return Container(
+      color: Theme.of(context).colorScheme.surface,
+      alignment: Alignment.center,
+      padding: const EdgeInsets.all(32),
+      child: Column(
+        mainAxisSize: MainAxisSize.min,
+        children: [
+          const Icon(Icons.wifi_off, size: 48),
+          const SizedBox(height: 16),
+          Text(
+            "You're offline",
+            style: Theme.of(context).textTheme.titleLarge,
+          ),
+          const SizedBox(height: 8),
+          const Text(
+            'Check your connection and try again.',
+            textAlign: TextAlign.center,
+          ),
+          const SizedBox(height: 24),
+          FilledButton(onPressed: onRetry, child: const Text('Retry')),
+        ],
+      ),
+    );
+  }
+}
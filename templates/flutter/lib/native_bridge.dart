@@ -0,0 +1,182 @@
+import 'dart:convert';
+import 'dart:math';
+
+import 'package:flutter/services.dart';
+import 'package:flutter_app_badger/flutter_app_badger.dart';
+import 'package:flutter_secure_storage/flutter_secure_storage.dart';
+import 'package:local_auth/local_auth.dart';
+import 'package:permission_handler/permission_handler.dart';
+import 'package:share_plus/share_plus.dart';
+import 'package:url_launcher/url_launcher.dart';
+import 'package:webview_flutter/webview_flutter.dart';
+
+import 'app_config.dart';
+import 'push_messaging.dart';
+
+/// Native side of window.RapidSaaS.
+/// The page posts { id, method, params } as JSON to the RapidSaaSNative channel;
+/// results go back through window.RapidSaaS._resolve(id, error, result).
+class NativeBridge {
+  NativeBridge(this._controller, {required this.isAppPage});
+
+  static const String channelName = 'RapidSaaSNative';
+
+  final WebViewController _controller;
+
+  /// Whether the page currently loaded belongs to the app and may use the bridge.
+  final Future<bool> Function() isAppPage;
+
+  final FlutterSecureStorage _storage = const FlutterSecureStorage(
+    aOptions: AndroidOptions(encryptedSharedPreferences: true),
+  );
+  final LocalAuthentication _auth = LocalAuthentication();
+
+  Future<void> handleMessage(JavaScriptMessage message) async {
+    if (!await isAppPage()) return;
+
+    final Object? request;
+    try {
+      request = jsonDecode(message.message);
+    } on FormatException {
+      return;
+    }
+    if (request is! Map || request['id'] is! int || request['method'] is! String) return;
+
+    final int id = request['id'] as int;
+    final String method = request['method'] as String;
+    final params = request['params'] is Map
+        ? Map<String, dynamic>.from(request['params'] as Map)
+        : <String, dynamic>{};
+
+    final feature = method.split('.').first;
+    if (!AppConfig.bridgeFeatures.contains(feature)) {
+      return _reply(id, _BridgeError('unavailable', '$feature is not available in this app'), null);
+    }
+
+    try {
+      _reply(id, null, await _call(method, params));
+    } on _BridgeError catch (error) {
+      _reply(id, error, null);
+    } catch (error) {
+      _reply(id, _BridgeError('failed', error.toString()), null);
+    }
+  }
+
+  Future<Map<String, Object?>> _call(String method, Map<String, dynamic> params) async {
+    switch (method) {
+      case 'share':
+        final text = [params['text'], params['url']]
+            .whereType<String>()
+            .where((value) => value.isNotEmpty)
+            .join('\n');
+        if (text.isEmpty) throw _BridgeError('invalid', 'share needs text or url');
+        final title = params['title'] as String?;
+        final result = await Share.share(text, subject: title == null || title.isEmpty ? null : title);
+        return {'completed': result.status == ShareResultStatus.success};
+
+      case 'haptics.impact':
+        switch (params['style']) {
+          case 'light':
+            await HapticFeedback.lightImpact();
+          case 'heavy':
+            await HapticFeedback.heavyImpact();
+          default:
+            await HapticFeedback.mediumImpact();
+        }
+        return {};
+      case 'haptics.notification':
+        // Flutter has no notification feedback, so errors vibrate and the rest tap firmly
+        await (params['type'] == 'error' ? HapticFeedback.vibrate() : HapticFeedback.heavyImpact());
+        return {};
+      case 'haptics.selection':
+        await HapticFeedback.selectionClick();
+        return {};
+
+      case 'secureStorage.get':
+        return {'value': await _storage.read(key: _key(params))};
+      case 'secureStorage.set':
+        await _storage.write(key: _key(params), value: (params['value'] ?? '').toString());
+        return {};
+      case 'secureStorage.remove':
+        await _storage.delete(key: _key(params));
+        return {};
+
+      case 'biometrics.isAvailable':
+        final types = await _auth.getAvailableBiometrics();
+        if (!await _auth.canCheckBiometrics || types.isEmpty) {
+          return {'available': false, 'type': null};
+        }
+        return {'available': true, 'type': types.contains(BiometricType.face) ? 'face' : 'fingerprint'};
+      case 'biometrics.authenticate':
+        final authenticated = await _auth.authenticate(
+          localizedReason: (params['reason'] ?? 'Unlock').toString(),
+          options: const AuthenticationOptions(biometricOnly: true),
+        );
+        if (!authenticated) throw _BridgeError('cancelled', 'Authentication was cancelled');
+        return {};
+
+      case 'push.getToken':
+        if (!PushMessaging.isConfigured) {
+          throw _BridgeError('unavailable', 'Push notifications are not configured for this app');
+        }
+        if (!await PushMessaging.requestPermission()) {
+          throw _BridgeError('denied', 'Notifications are not allowed');
+        }
+        final token = await PushMessaging.getToken();
+        if (token == null) throw _BridgeError('failed', 'The device did not register for push notifications');
+        PushMessaging.registerDevice(token);
+        return {'token': token, 'platform': PushMessaging.platform};
+
+      case 'badge.set':
+        final count = max(0, params['count'] is int ? params['count'] as int : 0);
+        if (!await FlutterAppBadger.isAppBadgeSupported()) {
+          throw _BridgeError('unavailable', 'The launcher does not show badges');
+        }
+        if (count == 0) {
+          FlutterAppBadger.removeBadge();
+          return {'count': 0};
+        }
+        if (!(await Permission.notification.request()).isGranted) {
+          throw _BridgeError('denied', 'Badges are not allowed');
+        }
+        FlutterAppBadger.updateBadgeCount(count);
+        return {'count': count};
+
+      case 'downloads.download':
+        // The system browser downloads the file; it does not share the web view's cookies
+        final uri = Uri.tryParse((params['url'] ?? '').toString());
+        if (uri == null || (uri.scheme != 'http' && uri.scheme != 'https')) {
+          throw _BridgeError('invalid', 'Only http and https downloads are supported');
+        }
+        if (!await launchUrl(uri, mode: LaunchMode.externalApplication)) {
+          throw _BridgeError('failed', 'No app can open the download');
+        }
+        final filename = (params['filename'] ?? '').toString();
+        return {'started': true, 'filename': filename.isNotEmpty ? filename : uri.pathSegments.lastOrNull};
+
+      default:
+        throw _BridgeError('unavailable', '$method is not supported by this app');
+    }
+  }
+
+  String _key(Map<String, dynamic> params) {
+    final key = (params['key'] ?? '').toString();
+    if (key.isEmpty) throw _BridgeError('invalid', 'key is required');
+    return key;
+  }
+
+  Future<void> _reply(int id, _BridgeError? error, Map<String, Object?>? result) {
+    final errorJson = error == null ? 'null' : jsonEncode({'code': error.code, 'message': error.message});
+    final resultJson = result == null ? 'null' : jsonEncode(result);
+    return _controller
+        .runJavaScript('window.RapidSaaS && window.RapidSaaS._resolve($id, $errorJson, $resultJson)')
+        .catchError((_) {});
+  }
+}
+
+class _BridgeError implements Exception {
+  _BridgeError(this.code, this.message);
+
+  final String code;
+  final String message;
+}
@@ -0,0 +1,134 @@
+import 'dart:convert';
+import 'dart:io';
+
+import 'package:firebase_core/firebase_core.dart';
+import 'package:firebase_messaging/firebase_messaging.dart';
+import 'package:shared_preferences/shared_preferences.dart';
+
+import 'app_config.dart';
+
+/// Firebase Cloud Messaging, set up from the settings the app was built with.
+/// Android devices are reached through FCM; iOS devices register their APNs
+/// token, which the server sends to through APNs directly.
+/// Tokens are registered with the app's push endpoint (POST devices), and
+/// opened FCM notifications are reported to it (POST opens).
+class PushMessaging {
+  static const String _registeredKey = 'rapidsaas.push.registered';
+  static const String _tokenKey = 'rapidsaas.push.token';
+
+  static Future<FirebaseApp>? _app;
+
+  static String? get _appId => Platform.isIOS ? AppConfig.fcmIosAppId : AppConfig.fcmAndroidAppId;
+
+  /// Whether the app was built with Firebase settings for this platform.
+  static bool get isConfigured =>
+      AppConfig.fcmSenderId != null &&
+      AppConfig.fcmProjectId != null &&
+      AppConfig.fcmApiKey != null &&
+      _appId != null;
+
+  static String get platform => Platform.isIOS ? 'apns' : 'fcm';
+
+  static Future<FirebaseMessaging> messaging() async {
+    _app ??= Firebase.initializeApp(
+      options: FirebaseOptions(
+        apiKey: AppConfig.fcmApiKey!,
+        appId: _appId!,
+        messagingSenderId: AppConfig.fcmSenderId!,
+        projectId: AppConfig.fcmProjectId!,
+      ),
+    );
+    await _app;
+    return FirebaseMessaging.instance;
+  }
+
+  /// Ask for notification permission; false when the user declined.
+  static Future<bool> requestPermission() async {
+    final settings = await (await messaging()).requestPermission();
+    return settings.authorizationStatus != AuthorizationStatus.denied;
+  }
+
+  /// The device token, or null when the device could not register.
+  static Future<String?> getToken() async {
+    final instance = await messaging();
+    if (!Platform.isIOS) return instance.getToken();
+
+    // iOS hands out the APNs token shortly after registering for remote notifications
+    for (var attempt = 0; attempt < 10; attempt++) {
+      final token = await instance.getAPNSToken();
+      if (token != null) return token;
+      await Future<void>.delayed(const Duration(milliseconds: 500));
+    }
+    return null;
+  }
+
+  /// Register a token with the push endpoint; once registered, the device
+  /// registers again on every launch.
+  static Future<void> registerDevice(String token) async {
+    final preferences = await SharedPreferences.getInstance();
+    await preferences.setBool(_registeredKey, true);
+    await preferences.setString(_tokenKey, token);
+    await _post('devices', {
+      'token': token,
+      'platform': Platform.isIOS ? 'ios' : 'android',
+      'locale': Platform.localeName.split('.').first,
+    });
+  }
+
+  /// Refresh the registration and listen for opened notifications.
+  /// [onOpenUrl] receives the link of a tapped notification.
+  static Future<void> start({required void Function(Uri url) onOpenUrl}) async {
+    if (!isConfigured || AppConfig.pushEndpoint == null) return;
+
+    final instance = await messaging();
+    await instance.setForegroundNotificationPresentationOptions(alert: true, badge: true, sound: true);
+
+    FirebaseMessaging.onMessageOpenedApp.listen((message) => _opened(message, onOpenUrl));
+    final initialMessage = await instance.getInitialMessage();
+    if (initialMessage != null) _opened(initialMessage, onOpenUrl);
+
+    // Devices register once the page has asked for a token
+    if ((await SharedPreferences.getInstance()).getBool(_registeredKey) != true) return;
+    if (!Platform.isIOS) instance.onTokenRefresh.listen(registerDevice);
+
+    final settings = await instance.getNotificationSettings();
+    if (settings.authorizationStatus != AuthorizationStatus.authorized) return;
+    final token = await getToken();
+    if (token != null) await registerDevice(token);
+  }
+
+  static void _opened(RemoteMessage message, void Function(Uri url) onOpenUrl) {
+    final campaignId = message.data['campaign_id'];
+    if (campaignId is String && campaignId.isNotEmpty) _reportOpen(campaignId);
+    final url = Uri.tryParse((message.data['url'] ?? '').toString());
+    if (url != null && url.hasScheme) onOpenUrl(url);
+  }
+
+  /// Opens are reported with the registered token, which the server counts
+  /// once per campaign; devices that never registered are skipped.
+  static Future<void> _reportOpen(String campaignId) async {
+    final token = (await SharedPreferences.getInstance()).getString(_tokenKey);
+    if (token == null) return;
+    await _post('opens', {
+      'campaignId': campaignId,
+      'token': token,
+      'platform': Platform.isIOS ? 'ios' : 'android',
+    });
+  }
+
+  /// Registration is retried on the next launch and opens are best effort, so failures are ignored.
+  static Future<void> _post(String path, Map<String, Object?> body) async {
+    if (AppConfig.pushEndpoint == null) return;
+    final client = HttpClient();
+    try {
+      final request = await client.postUrl(Uri.parse('${AppConfig.pushEndpoint}/$path'));
+      request.headers.contentType = ContentType.json;
+      request.write(jsonEncode(body));
+      await (await request.close()).drain<void>();
+    } catch (_) {
+      // Ignored, see above
+    } finally {
+      client.close();
+    }
+  }
+}
@@ -0,0 +1,104 @@
+import UIKit
+import UserNotifications
+
+@main
+final class AppDelegate: UIResponder, UIApplicationDelegate, UNUserNotificationCenterDelegate {
+    private static let pushTokenKey = "rapidsaas.push.token"
+
+    var window: UIWindow?
+    private let webViewController = WebViewController()
+
+    func application(_ application: UIApplication,
+                     didFinishLaunchingWithOptions launchOptions: [UIApplication.LaunchOptionsKey: Any]?) -> Bool {
+        window = UIWindow(frame: UIScreen.main.bounds)
+        window?.rootViewController = webViewController
+        window?.makeKeyAndVisible()
+
+        if AppConfig.pushEndpoint != nil {
+            UNUserNotificationCenter.current().delegate = self
+            // The page asks for permission through window.RapidSaaS.push.getToken();
+            // once allowed, the token is registered again on every launch
+            UNUserNotificationCenter.current().getNotificationSettings { settings in
+                guard settings.authorizationStatus == .authorized else { return }
+                DispatchQueue.main.async { application.registerForRemoteNotifications() }
+            }
+        }
+        return true
+    }
+
+    // Universal links for the associated domains open in the web view
+    func application(_ application: UIApplication,
+                     continue userActivity: NSUserActivity,
+                     restorationHandler: @escaping ([UIUserActivityRestoring]?) -> Void) -> Bool {
+        guard userActivity.activityType == NSUserActivityTypeBrowsingWeb,
+              let url = userActivity.webpageURL,
+              AppConfig.isAppHost(url.host) else {
+            return false
+        }
+        webViewController.open(url)
+        return true
+    }
+
+    // APNs registration results go to window.RapidSaaS.push.getToken() and the push endpoint
+    func application(_ application: UIApplication,
+                     didRegisterForRemoteNotificationsWithDeviceToken deviceToken: Data) {
+        let token = deviceToken.map { String(format: "%02x", $0) }.joined()
+        UserDefaults.standard.set(token, forKey: AppDelegate.pushTokenKey)
+        NotificationCenter.default.post(name: .pushTokenReceived, object: nil, userInfo: ["token": token])
+        postToPushEndpoint("devices", [
+            "token": token,
+            "platform": "ios",
+            "locale": Locale.preferredLanguages.first ?? Locale.current.identifier,
+            "appVersion": Bundle.main.object(forInfoDictionaryKey: "CFBundleShortVersionString") as? String ?? ""
+        ])
+    }
+
+    func application(_ application: UIApplication,
+                     didFailToRegisterForRemoteNotificationsWithError error: Error) {
+        NotificationCenter.default.post(name: .pushTokenReceived, object: nil, userInfo: ["error": error])
+    }
+
+    // MARK: - UNUserNotificationCenterDelegate
+
+    func userNotificationCenter(_ center: UNUserNotificationCenter,
+                                willPresent notification: UNNotification,
+                                withCompletionHandler completionHandler: @escaping (UNNotificationPresentationOptions) -> Void) {
+        if #available(iOS 14.0, *) {
+            completionHandler([.banner, .sound, .badge])
+        } else {
+            completionHandler([.alert, .sound, .badge])
+        }
+    }
+
+    // Tapped notifications count as opens and open their URL
+    func userNotificationCenter(_ center: UNUserNotificationCenter,
+                                didReceive response: UNNotificationResponse,
+                                withCompletionHandler completionHandler: @escaping () -> Void) {
+        let userInfo = response.notification.request.content.userInfo
+        // Opens carry the registered token, which the server counts once per campaign
+        if let campaignId = userInfo["campaign_id"] as? String,
+           let token = UserDefaults.standard.string(forKey: AppDelegate.pushTokenKey) {
+            postToPushEndpoint("opens", ["campaignId": campaignId, "token": token, "platform": "ios"])
+        }
+        if let link = userInfo["url"] as? String, let url = URL(string: link) {
+            if AppConfig.isAppHost(url.host) {
+                webViewController.open(url)
+            } else {
+                UIApplication.shared.open(url, options: [:], completionHandler: nil)
+            }
+        }
+        completionHandler()
+    }
+
+    private func postToPushEndpoint(_ path: String, _ body: [String: Any]) {
+        guard let endpoint = AppConfig.pushEndpoint,
+              let data = try? JSONSerialization.data(withJSONObject: body) else {
+            return
+        }
+        var request = URLRequest(url: endpoint.appendingPathComponent(path))
+        request.httpMethod = "POST"
+        request.setValue("application/json", forHTTPHeaderField: "Content-Type")
+        request.httpBody = data
+        URLSession.shared.dataTask(with: request).resume()
+    }
+}
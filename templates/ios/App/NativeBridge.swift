@@ -0,0 +1,268 @@
+import LocalAuthentication
+import Security
+import UIKit
+import UserNotifications
+import WebKit
+
+extension Notification.Name {
+    /// Posted by AppDelegate with the APNs token ("token") or the registration error ("error").
+    static let pushTokenReceived = Notification.Name("RapidSaaSPushTokenReceived")
+}
+
+/// Native side of window.RapidSaaS.
+/// The page posts { id, method, params } as JSON to webkit.messageHandlers.rapidsaas;
+/// results go back through window.RapidSaaS._resolve(id, error, result).
+/// Only main-frame messages from the app's own hosts are answered.
+final class NativeBridge: NSObject, WKScriptMessageHandler {
+    static let handlerName = "rapidsaas"
+
+    weak var webView: WKWebView?
+    private weak var viewController: UIViewController?
+    private var pushTokenRequests: [Int] = []
+
+    init(viewController: UIViewController) {
+        self.viewController = viewController
+        super.init()
+        NotificationCenter.default.addObserver(self, selector: #selector(pushTokenReceived(_:)),
+                                               name: .pushTokenReceived, object: nil)
+    }
+
+    func hasFeature(_ feature: String) -> Bool {
+        AppConfig.bridgeFeatures.contains(feature)
+    }
+
+    func userContentController(_ userContentController: WKUserContentController,
+                               didReceive message: WKScriptMessage) {
+        guard message.frameInfo.isMainFrame,
+              AppConfig.isAppHost(message.frameInfo.securityOrigin.host),
+              let body = (message.body as? String)?.data(using: .utf8),
+              let request = (try? JSONSerialization.jsonObject(with: body)) as? [String: Any],
+              let id = request["id"] as? Int,
+              let method = request["method"] as? String else {
+            return
+        }
+        let params = request["params"] as? [String: Any] ?? [:]
+
+        let feature = String(method.split(separator: ".").first ?? "")
+        guard hasFeature(feature) else {
+            reject(id, "unavailable", "\(feature) is not available in this app")
+            return
+        }
+
+        switch method {
+        case "share":
+            share(id, params)
+        case "haptics.impact":
+            let styles: [String: UIImpactFeedbackGenerator.FeedbackStyle] = ["light": .light, "medium": .medium, "heavy": .heavy]
+            UIImpactFeedbackGenerator(style: styles[params["style"] as? String ?? ""] ?? .medium).impactOccurred()
+            resolve(id)
+        case "haptics.notification":
+            let types: [String: UINotificationFeedbackGenerator.FeedbackType] = ["success": .success, "warning": .warning, "error": .error]
+            UINotificationFeedbackGenerator().notificationOccurred(types[params["type"] as? String ?? ""] ?? .success)
+            resolve(id)
+        case "haptics.selection":
+            UISelectionFeedbackGenerator().selectionChanged()
+            resolve(id)
+        case "secureStorage.get", "secureStorage.set", "secureStorage.remove":
+            secureStorage(id, method, params)
+        case "biometrics.isAvailable":
+            let context = LAContext()
+            let available = context.canEvaluatePolicy(.deviceOwnerAuthenticationWithBiometrics, error: nil)
+            let type: Any = !available ? NSNull() : context.biometryType == .faceID ? "face" : "fingerprint"
+            resolve(id, ["available": available, "type": type])
+        case "biometrics.authenticate":
+            authenticate(id, reason: params["reason"] as? String ?? "Unlock")
+        case "push.getToken":
+            requestPushToken(id)
+        case "downloads.download":
+            guard let url = URL(string: params["url"] as? String ?? ""), ["http", "https"].contains(url.scheme ?? "") else {
+                reject(id, "invalid", "Only http and https downloads are supported")
+                return
+            }
+            download(url, filename: params["filename"] as? String, id: id)
+        case "badge.set":
+            setBadge(id, count: max(0, params["count"] as? Int ?? 0))
+        default:
+            reject(id, "unavailable", "\(method) is not supported by this app")
+        }
+    }
+
+    // MARK: - Features
+
+    private func share(_ id: Int, _ params: [String: Any]) {
+        var items: [Any] = []
+        if let text = params["text"] as? String, !text.isEmpty { items.append(text) }
+        if let link = params["url"] as? String, let url = URL(string: link) { items.append(url) }
+        guard !items.isEmpty else {
+            reject(id, "invalid", "share needs text or url")
+            return
+        }
+
+        let activity = UIActivityViewController(activityItems: items, applicationActivities: nil)
+        activity.completionWithItemsHandler = { [weak self] _, completed, _, _ in
+            self?.resolve(id, ["completed": completed])
+        }
+        present(activity)
+    }
+
+    private func secureStorage(_ id: Int, _ method: String, _ params: [String: Any]) {
+        guard let key = params["key"] as? String, !key.isEmpty else {
+            reject(id, "invalid", "key is required")
+            return
+        }
+        let query: [String: Any] = [
+            kSecClass as String: kSecClassGenericPassword,
+            kSecAttrService as String: Bundle.main.bundleIdentifier ?? "RapidSaaS",
+            kSecAttrAccount as String: key
+        ]
+
+        switch method {
+        case "secureStorage.set":
+            SecItemDelete(query as CFDictionary)
+            var item = query
+            item[kSecValueData as String] = Data((params["value"] as? String ?? "").utf8)
+            item[kSecAttrAccessible as String] = kSecAttrAccessibleAfterFirstUnlockThisDeviceOnly
+            let status = SecItemAdd(item as CFDictionary, nil)
+            status == errSecSuccess ? resolve(id) : reject(id, "failed", "Keychain error \(status)")
+        case "secureStorage.remove":
+            SecItemDelete(query as CFDictionary)
+            resolve(id)
+        default:
+            var lookup = query
+            lookup[kSecReturnData as String] = true
+            lookup[kSecMatchLimit as String] = kSecMatchLimitOne
+            var result: AnyObject?
+            let status = SecItemCopyMatching(lookup as CFDictionary, &result)
+            if status == errSecSuccess, let data = result as? Data {
+                resolve(id, ["value": String(decoding: data, as: UTF8.self)])
+            } else {
+                resolve(id, ["value": NSNull()])
+            }
+        }
+    }
+
+    private func authenticate(_ id: Int, reason: String) {
+        let context = LAContext()
+        context.evaluatePolicy(.deviceOwnerAuthenticationWithBiometrics, localizedReason: reason) { [weak self] success, error in
+            DispatchQueue.main.async {
+                if success {
+                    self?.resolve(id)
+                    return
+                }
+                let code = (error as? LAError)?.code
+                let cancelled = [LAError.userCancel, .appCancel, .systemCancel, .userFallback].contains { $0 == code }
+                self?.reject(id, cancelled ? "cancelled" : "failed", error?.localizedDescription ?? "Authentication failed")
+            }
+        }
+    }
+
+    private func requestPushToken(_ id: Int) {
+        UNUserNotificationCenter.current().requestAuthorization(options: [.alert, .badge, .sound]) { [weak self] granted, _ in
+            DispatchQueue.main.async {
+                guard granted else {
+                    self?.reject(id, "denied", "Notifications are not allowed")
+                    return
+                }
+                self?.pushTokenRequests.append(id)
+                UIApplication.shared.registerForRemoteNotifications()
+            }
+        }
+    }
+
+    @objc private func pushTokenReceived(_ notification: Notification) {
+        let requests = pushTokenRequests
+        pushTokenRequests.removeAll()
+        for id in requests {
+            if let token = notification.userInfo?["token"] as? String {
+                resolve(id, ["token": token, "platform": "apns"])
+            } else {
+                let error = notification.userInfo?["error"] as? Error
+                reject(id, "failed", error?.localizedDescription ?? "Push registration failed")
+            }
+        }
+    }
+
+    private func setBadge(_ id: Int, count: Int) {
+        UNUserNotificationCenter.current().requestAuthorization(options: [.badge]) { [weak self] granted, _ in
+            DispatchQueue.main.async {
+                guard granted else {
+                    self?.reject(id, "denied", "Badges are not allowed")
+                    return
+                }
+                if #available(iOS 16.0, *) {
+                    UNUserNotificationCenter.current().setBadgeCount(count)
+                } else {
+                    UIApplication.shared.applicationIconBadgeNumber = count
+                }
+                self?.resolve(id, ["count": count])
+            }
+        }
+    }
+
+    /// Download with the web view's cookies, then offer the file in the share sheet (Save to Files).
+    /// - Parameter id: Bridge request to answer, nil for downloads started by the page itself
+    func download(_ url: URL, filename: String? = nil, id: Int? = nil) {
+        let cookieStore = webView?.configuration.websiteDataStore.httpCookieStore
+        let userAgent = webView?.customUserAgent
+        cookieStore?.getAllCookies { [weak self] cookies in
+            var request = URLRequest(url: url)
+            let matching = cookies.filter { cookie in
+                let host = url.host ?? ""
+                let domain = cookie.domain.hasPrefix(".") ? String(cookie.domain.dropFirst()) : cookie.domain
+                return host == domain || host.hasSuffix("." + domain)
+            }
+            HTTPCookie.requestHeaderFields(with: matching).forEach { request.setValue($1, forHTTPHeaderField: $0) }
+            if let userAgent = userAgent { request.setValue(userAgent, forHTTPHeaderField: "User-Agent") }
+
+            URLSession.shared.downloadTask(with: request) { location, response, error in
+                let name = (filename?.isEmpty == false ? filename : nil)
+                    ?? response?.suggestedFilename
+                    ?? url.lastPathComponent
+                let destination = FileManager.default.temporaryDirectory.appendingPathComponent(name)
+                var saved = false
+                if let location = location {
+                    try? FileManager.default.removeItem(at: destination)
+                    saved = (try? FileManager.default.moveItem(at: location, to: destination)) != nil
+                }
+
+                DispatchQueue.main.async {
+                    guard let self = self else { return }
+                    guard saved else {
+                        if let id = id { self.reject(id, "failed", error?.localizedDescription ?? "Download failed") }
+                        return
+                    }
+                    self.present(UIActivityViewController(activityItems: [destination], applicationActivities: nil))
+                    if let id = id { self.resolve(id, ["started": true, "filename": name]) }
+                }
+            }.resume()
+        }
+    }
+
+    // MARK: - Replies
+
+    private func present(_ controller: UIViewController) {
+        guard let viewController = viewController else { return }
+        // iPad shows the share sheet as a popover
+        controller.popoverPresentationController?.sourceView = viewController.view
+        controller.popoverPresentationController?.sourceRect = CGRect(
+            x: viewController.view.bounds.midX, y: viewController.view.bounds.midY, width: 0, height: 0)
+        viewController.present(controller, animated: true)
+    }
+
+    private func resolve(_ id: Int, _ result: [String: Any] = [:]) {
+        reply(id, error: "null", result: json(result))
+    }
+
+    private func reject(_ id: Int, _ code: String, _ message: String) {
+        reply(id, error: json(["code": code, "message": message]), result: "null")
+    }
+
+    private func reply(_ id: Int, error: String, result: String) {
+        webView?.evaluateJavaScript("window.RapidSaaS && window.RapidSaaS._resolve(\(id), \(error), \(result))")
+    }
+
+    private func json(_ object: [String: Any]) -> String {
+        guard let data = try? JSONSerialization.data(withJSONObject: object) else { return "{}" }
+        return String(decoding: data, as: UTF8.self)
+    }
+}
@@ -0,0 +1,232 @@
+import Network
+import UIKit
+import WebKit
+
+/// Full-screen web view for AppConfig.initialURL that applies the shell features.
+final class WebViewController: UIViewController, WKNavigationDelegate, WKUIDelegate {
+    private var webView: WKWebView!
+    private var nativeBridge: NativeBridge?
+    private var pendingURL: URL?
+    private var showingOfflinePage = false
+    private let pathMonitor = NWPathMonitor()
+
+    override func loadView() {
+        let configuration = WKWebViewConfiguration()
+        configuration.allowsInlineMediaPlayback = true
+        configuration.applicationNameForUserAgent = AppConfig.userAgent
+        configuration.preferences.javaScriptEnabled = AppConfig.enableJavaScript
+
+        // window.RapidSaaS, defined before the injection rules so they can use it
+        if let source = AppConfig.bridgeScript {
+            let bridge = NativeBridge(viewController: self)
+            configuration.userContentController.add(bridge, name: NativeBridge.handlerName)
+            configuration.userContentController.addUserScript(
+                WKUserScript(source: source, injectionTime: .atDocumentStart, forMainFrameOnly: true))
+            nativeBridge = bridge
+        }
+
+        // CSS/JS injection rules; the scripts check the page URL themselves
+        if let source = AppConfig.injectionDocumentStart {
+            configuration.userContentController.addUserScript(
+                WKUserScript(source: source, injectionTime: .atDocumentStart, forMainFrameOnly: true))
+        }
+        if let source = AppConfig.injectionDocumentEnd {
+            configuration.userContentController.addUserScript(
+                WKUserScript(source: source, injectionTime: .atDocumentEnd, forMainFrameOnly: true))
+        }
+
+        webView = WKWebView(frame: .zero, configuration: configuration)
+        webView.navigationDelegate = self
+        webView.uiDelegate = self
+        webView.allowsBackForwardNavigationGestures = AppConfig.swipeNavigation
+        nativeBridge?.webView = webView
+
+        if AppConfig.pullToRefresh {
+            let refreshControl = UIRefreshControl()
+            refreshControl.addTarget(self, action: #selector(refresh(_:)), for: .valueChanged)
+            webView.scrollView.refreshControl = refreshControl
+        }
+
+        view = webView
+    }
+
+    override func viewDidLoad() {
+        super.viewDidLoad()
+        load(pendingURL ?? AppConfig.initialURL)
+        pendingURL = nil
+
+        // Leave the offline page as soon as the network is back
+        pathMonitor.pathUpdateHandler = { [weak self] path in
+            guard path.status == .satisfied else { return }
+            DispatchQueue.main.async {
+                guard let self = self, self.showingOfflinePage else { return }
+                self.load(AppConfig.initialURL)
+            }
+        }
+        pathMonitor.start(queue: DispatchQueue(label: "connectivity"))
+    }
+
+    deinit {
+        pathMonitor.cancel()
+    }
+
+    /// Open a deep link, or keep it until the view has loaded.
+    func open(_ url: URL) {
+        guard isViewLoaded else {
+            pendingURL = url
+            return
+        }
+        load(url)
+    }
+
+    private func load(_ url: URL) {
+        showingOfflinePage = false
+        webView.load(URLRequest(url: url))
+    }
+
+    @objc private func refresh(_ sender: UIRefreshControl) {
+        if showingOfflinePage || webView.url == nil {
+            load(AppConfig.initialURL)
+        } else {
+            webView.reload()
+        }
+    }
+
+    private func openExternally(_ url: URL) {
+        UIApplication.shared.open(url, options: [:], completionHandler: nil)
+    }
+
+    private func showOfflinePage(for error: Error) {
+        let nsError = error as NSError
+        guard nsError.domain == NSURLErrorDomain,
+              nsError.code != NSURLErrorCancelled,
+              let page = AppConfig.offlinePage,
+              let url = Bundle.main.url(forResource: page, withExtension: nil, subdirectory: "Offline") else {
+            return
+        }
+        showingOfflinePage = true
+        webView.loadFileURL(url, allowingReadAccessTo: url.deletingLastPathComponent())
+    }
+
+    // MARK: - WKNavigationDelegate
+
+    func webView(_ webView: WKWebView,
+                 decidePolicyFor navigationAction: WKNavigationAction,
+                 decisionHandler: @escaping (WKNavigationActionPolicy) -> Void) {
+        guard let url = navigationAction.request.url, let scheme = url.scheme?.lowercased() else {
+            decisionHandler(.allow)
+            return
+        }
+
+        // tel:, mailto: and other app links go to the system
+        if !["http", "https", "file", "about", "blob", "data"].contains(scheme) {
+            openExternally(url)
+            decisionHandler(.cancel)
+            return
+        }
+
+        guard navigationAction.targetFrame?.isMainFrame == true,
+              ["http", "https"].contains(scheme),
+              !AppConfig.isAppHost(url.host) else {
+            decisionHandler(.allow)
+            return
+        }
+
+        switch AppConfig.externalLinks {
+        case "inApp":
+            decisionHandler(.allow)
+        case "block":
+            decisionHandler(.cancel)
+        default:
+            openExternally(url)
+            decisionHandler(.cancel)
+        }
+    }
+
+    // Files the web view cannot display are downloaded when the app enables downloads
+    func webView(_ webView: WKWebView,
+                 decidePolicyFor navigationResponse: WKNavigationResponse,
+                 decisionHandler: @escaping (WKNavigationResponsePolicy) -> Void) {
+        let disposition = (navigationResponse.response as? HTTPURLResponse)?
+            .value(forHTTPHeaderField: "Content-Disposition")?.lowercased() ?? ""
+        guard let bridge = nativeBridge, bridge.hasFeature("downloads"),
+              let url = navigationResponse.response.url,
+              !navigationResponse.canShowMIMEType || disposition.hasPrefix("attachment") else {
+            decisionHandler(.allow)
+            return
+        }
+        decisionHandler(.cancel)
+        bridge.download(url, filename: navigationResponse.response.suggestedFilename)
+    }
+
+    func webView(_ webView: WKWebView, didFinish navigation: WKNavigation!) {
+        webView.scrollView.refreshControl?.endRefreshing()
+    }
+
+    func webView(_ webView: WKWebView, didFail navigation: WKNavigation!, withError error: Error) {
+        webView.scrollView.refreshControl?.endRefreshing()
+    }
+
+    func webView(_ webView: WKWebView,
+                 didFailProvisionalNavigation navigation: WKNavigation!,
+                 withError error: Error) {
+        webView.scrollView.refreshControl?.endRefreshing()
+        showOfflinePage(for: error)
+    }
+
+    // MARK: - WKUIDelegate
+
+    // target="_blank" links and window.open() follow the external link rule
+    func webView(_ webView: WKWebView,
+                 createWebViewWith configuration: WKWebViewConfiguration,
+                 for navigationAction: WKNavigationAction,
+                 windowFeatures: WKWindowFeatures) -> WKWebView? {
+        guard let url = navigationAction.request.url else { return nil }
+
+        if AppConfig.isAppHost(url.host) || AppConfig.externalLinks == "inApp" {
+            webView.load(navigationAction.request)
+        } else if AppConfig.externalLinks == "browser" {
+            openExternally(url)
+        }
+        return nil
+    }
+
+    @available(iOS 15.0, *)
+    func webView(_ webView: WKWebView,
+                 requestMediaCapturePermissionFor origin: WKSecurityOrigin,
+                 initiatedByFrame frame: WKFrameInfo,
+                 type: WKMediaCaptureType,
+                 decisionHandler: @escaping (WKPermissionDecision) -> Void) {
+        decisionHandler(AppConfig.camera && AppConfig.isAppHost(origin.host) ? .prompt : .deny)
+    }
+
+    func webView(_ webView: WKWebView,
+                 runJavaScriptAlertPanelWithMessage message: String,
+                 initiatedByFrame frame: WKFrameInfo,
+                 completionHandler: @escaping () -> Void) {
+        let alert = UIAlertController(title: nil, message: message, preferredStyle: .alert)
+        alert.addAction(UIAlertAction(title: "OK", style: .default) { _ in completionHandler() })
+        present(alert, animated: true)
+    }
+
+    func webView(_ webView: WKWebView,
+                 runJavaScriptConfirmPanelWithMessage message: String,
+                 initiatedByFrame frame: WKFrameInfo,
+                 completionHandler: @escaping (Bool) -> Void) {
+        let alert = UIAlertController(title: nil, message: message, preferredStyle: .alert)
+        alert.addAction(UIAlertAction(title: "Cancel", style: .cancel) { _ in completionHandler(false) })
+        alert.addAction(UIAlertAction(title: "OK", style: .default) { _ in completionHandler(true) })
+        present(alert, animated: true)
+    }
+}
+
+extension AppConfig {
+    /// Whether links to a host belong to the app: the start URL's host or a deep link host.
+    static func isAppHost(_ host: String?) -> Bool {
+        guard let host = host?.lowercased() else { return false }
+        let appHosts = [initialURL.host?.lowercased()].compactMap { $0 } + deepLinkHosts
+        return appHosts.contains { pattern in
+            pattern.hasPrefix("*.") ? host.hasSuffix(String(pattern.dropFirst())) : host == pattern
+        }
+    }
+}
@@ -0,0 +1,183 @@
+import {
+  ANDROID_NAMESPACE,
+  ANDROID_ATTRIBUTE_IDS,
+  encodeBinaryXml,
+  encodeStringPool,
+  encodeResValue,
+  normalizeAttributes,
+  renderXml
+} from '../services/androidBinaryXml.js';
+
+const NO_INDEX = 0xffffffff;
+
+const readStringPool = (buffer, offset) => {
+  const count = buffer.readUInt32LE(offset + 8);
+  const stringsStart = offset + buffer.readUInt32LE(offset + 20);
+  const strings = [];
+
+  for (let i = 0; i < count; i++) {
+    const position = stringsStart + buffer.readUInt32LE(offset + 28 + i * 4);
+    const length = buffer.readUInt16LE(position);
+    strings.push(buffer.toString('utf16le', position + 2, position + 2 + length * 2));
+  }
+  return strings;
+};
+
+// Walk the chunks the way the package manager's ResXMLParser does
+const decodeBinaryXml = (buffer) => {
+  expect(buffer.readUInt16LE(0)).toBe(0x0003);
+  expect(buffer.readUInt32LE(4)).toBe(buffer.length);
+
+  let strings = [];
+  let resourceIds = [];
+  const events = [];
+  let offset = 8;
+
+  while (offset < buffer.length) {
+    const type = buffer.readUInt16LE(offset);
+    const size = buffer.readUInt32LE(offset + 4);
+
+    if (type === 0x0001) {
+      strings = readStringPool(buffer, offset);
+    } else if (type === 0x0180) {
+      resourceIds = [];
+      for (let position = offset + 8; position < offset + size; position += 4) {
+        resourceIds.push(buffer.readUInt32LE(position));
+      }
+    } else if (type === 0x0102) {
+      const ext = offset + 16;
+      const attributeCount = buffer.readUInt16LE(ext + 12);
+      const attributes = [];
+      for (let i = 0; i < attributeCount; i++) {
+        const attribute = ext + 20 + i * 20;
+        const namespace = buffer.readUInt32LE(attribute);
+        const nameIndex = buffer.readUInt32LE(attribute + 4);
+        attributes.push({
+          namespace: namespace === NO_INDEX ? null : strings[namespace],
+          name: strings[nameIndex],
+          resourceId: resourceIds[nameIndex] ?? null,
+          rawValue: buffer.readUInt32LE(attribute + 8),
+          dataType: buffer.readUInt8(attribute + 15),
+          data: buffer.readUInt32LE(attribute + 16)
+        });
+      }
+      events.push({ type: 'start', tag: strings[buffer.readUInt32LE(ext + 4)], attributes });
+    } else if (type === 0x0103) {
+      events.push({ type: 'end', tag: strings[buffer.readUInt32LE(offset + 20)] });
+    } else if (type === 0x0100 || type === 0x0101) {
+      events.push({
+        type: type === 0x0100 ? 'startNamespace' : 'endNamespace',
+        prefix: strings[buffer.readUInt32LE(offset + 16)],
+        uri: strings[buffer.readUInt32LE(offset + 20)]
+      });
+    } else {
+      throw new Error(`Unexpected chunk type 0x${type.toString(16)}`);
+    }
+
+    expect(size % 4).toBe(0);
+    offset += size;
+  }
+
+  expect(offset).toBe(buffer.length);
+  return { strings, resourceIds, events };
+};
+
+const manifest = {
+  tag: 'manifest',
+  attributes: {
+    package: 'com.example.shop',
+    'android:versionCode': 7,
+    'android:versionName': '1.2.0'
+  },
+  children: [
+    { tag: 'uses-sdk', attributes: { 'android:minSdkVersion': 24, 'android:targetSdkVersion': 34 } },
+    {
+      tag: 'application',
+      attributes: {
+        'android:label': 'Shop',
+        'android:icon': { ref: 0x7f010000 },
+        'android:allowBackup': false,
+        'android:usesCleartextTraffic': true
+      }
+    }
+  ]
+};
+
+describe('Android binary XML encoder', () => {
+  test('emits namespace, element and end chunks in document order', () => {
+    const { events } = decodeBinaryXml(encodeBinaryXml(manifest));
+
+    expect(events.map(event => `${event.type}:${event.tag || event.prefix}`)).toEqual([
+      'startNamespace:android',
+      'start:manifest',
+      'start:uses-sdk',
+      'end:uses-sdk',
+      'start:application',
+      'end:application',
+      'end:manifest',
+      'endNamespace:android'
+    ]);
+    expect(events[0].uri).toBe(ANDROID_NAMESPACE);
+  });
+
+  test('maps android attributes to their resource ids at the start of the string pool', () => {
+    const { strings, resourceIds } = decodeBinaryXml(encodeBinaryXml(manifest));
+
+    const mapped = strings.slice(0, resourceIds.length);
+    expect(mapped).toEqual(['label', 'icon', 'minSdkVersion', 'versionCode', 'versionName', 'targetSdkVersion', 'allowBackup', 'usesCleartextTraffic']);
+    mapped.forEach((name, index) => expect(resourceIds[index]).toBe(ANDROID_ATTRIBUTE_IDS[name]));
+  });
+
+  test('encodes typed attribute values', () => {
+    const { events } = decodeBinaryXml(encodeBinaryXml(manifest));
+    const attributesOf = (tag) => Object.fromEntries(
+      events.find(event => event.type === 'start' && event.tag === tag).attributes.map(attribute => [attribute.name, attribute])
+    );
+
+    const root = attributesOf('manifest');
+    expect(root.versionCode).toMatchObject({ namespace: ANDROID_NAMESPACE, dataType: 0x10, data: 7, rawValue: NO_INDEX });
+    expect(root.versionName.dataType).toBe(0x03);
+    expect(root.package).toMatchObject({ namespace: null, resourceId: null, dataType: 0x03 });
+
+    const application = attributesOf('application');
+    expect(application.icon).toMatchObject({ dataType: 0x01, data: 0x7f010000 });
+    expect(application.allowBackup).toMatchObject({ dataType: 0x12, data: 0 });
+    expect(application.usesCleartextTraffic).toMatchObject({ dataType: 0x12, data: 0xffffffff });
+  });
+
+  test('orders android attributes by resource id before plain attributes', () => {
+    const attributes = normalizeAttributes({
+      package: 'com.example.shop',
+      'android:versionName': '1.0',
+      'android:versionCode': 1,
+      'android:roundIcon': undefined
+    });
+
+    expect(attributes.map(attribute => attribute.name)).toEqual(['versionCode', 'versionName', 'package']);
+  });
+
+  test('rejects attributes it cannot encode', () => {
+    expect(() => normalizeAttributes({ 'android:notAnAttribute': 1 })).toThrow('Unknown android attribute: notAnAttribute');
+    expect(() => normalizeAttributes({ 'tools:ignore': 'x' })).toThrow('Unsupported attribute namespace: tools');
+    expect(() => encodeBinaryXml({ tag: 'manifest', attributes: { package: [] } })).toThrow('Unsupported value for attribute package');
+  });
+
+  test('encodes UTF-16 and UTF-8 string pools', () => {
+    const utf16 = encodeStringPool(['a', 'Café']);
+    expect(readStringPool(utf16, 0)).toEqual(['a', 'Café']);
+    expect(utf16.length % 4).toBe(0);
+
+    const utf8 = encodeStringPool(['Café'], { utf8: true });
+    expect(utf8.readUInt32LE(16)).toBe(0x100);
+    expect(utf8.subarray(utf8.readUInt32LE(20), utf8.readUInt32LE(20) + 7)).toEqual(Buffer.from([4, 5, 0x43, 0x61, 0x66, 0xc3, 0xa9]));
+  });
+
+  test('encodes Res_value structures', () => {
+    expect(encodeResValue(0x10, -1)).toEqual(Buffer.from([8, 0, 0, 0x10, 0xff, 0xff, 0xff, 0xff]));
+  });
+
+  test('renders the same tree as readable XML', () => {
+    expect(renderXml({ tag: 'uses-permission', attributes: { 'android:name': 'android.permission.INTERNET' } }))
+      .toBe(`<uses-permission xmlns:android="${ANDROID_NAMESPACE}" android:name="android.permission.INTERNET" />`);
+  });
+});
@@ -0,0 +1,127 @@
+import crypto from 'crypto';
+import { ZipArchive } from '../services/zipArchive.js';
+import { signApk, computeContentDigest } from '../services/apkSigner.js';
+import { createSelfSignedCertificate } from '../services/signingKeystore.js';
+
+const APK_SIG_BLOCK_MAGIC = 'APK Sig Block 42';
+const APK_SIGNATURE_SCHEME_V2_BLOCK_ID = 0x7109871a;
+
+// Built in memory so the test never writes the on-disk debug keystore
+const createKeystore = () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return {
+    privateKey,
+    certificate: createSelfSignedCertificate(privateKey, publicKey),
+    publicKey: publicKey.export({ type: 'spki', format: 'der' }),
+    debug: true
+  };
+};
+
+const createApk = () => {
+  const zip = new ZipArchive();
+  zip.addFile('AndroidManifest.xml', Buffer.from('manifest'));
+  zip.addFile('classes.dex', Buffer.from('dex\n035\0'));
+  zip.addFile('resources.arsc', Buffer.alloc(32, 1), { compress: false, alignment: 4 });
+  return zip;
+};
+
+const readEntryNames = (apk) => {
+  const eocdOffset = apk.length - 22;
+  const count = apk.readUInt16LE(eocdOffset + 10);
+  let cursor = apk.readUInt32LE(eocdOffset + 16);
+  const names = [];
+  for (let i = 0; i < count; i++) {
+    const nameLength = apk.readUInt16LE(cursor + 28);
+    names.push(apk.toString('utf8', cursor + 46, cursor + 46 + nameLength));
+    cursor += 46 + nameLength + apk.readUInt16LE(cursor + 30) + apk.readUInt16LE(cursor + 32);
+  }
+  return names;
+};
+
+const lengthPrefixedItems = (buffer) => {
+  const items = [];
+  for (let offset = 0; offset < buffer.length;) {
+    const length = buffer.readUInt32LE(offset);
+    items.push(buffer.subarray(offset + 4, offset + 4 + length));
+    offset += 4 + length;
+  }
+  return items;
+};
+
+// Locate the APK Signing Block just before the central directory
+const readSigningBlock = (apk) => {
+  const eocdOffset = apk.length - 22;
+  const centralDirectoryOffset = apk.readUInt32LE(eocdOffset + 16);
+  const footer = apk.subarray(centralDirectoryOffset - 24, centralDirectoryOffset);
+  expect(footer.toString('ascii', 8)).toBe(APK_SIG_BLOCK_MAGIC);
+
+  const blockSize = Number(footer.readBigUInt64LE(0));
+  const blockStart = centralDirectoryOffset - blockSize - 8;
+  expect(Number(apk.readBigUInt64LE(blockStart))).toBe(blockSize);
+
+  const pairLength = Number(apk.readBigUInt64LE(blockStart + 8));
+  expect(apk.readUInt32LE(blockStart + 16)).toBe(APK_SIGNATURE_SCHEME_V2_BLOCK_ID);
+
+  return {
+    blockStart,
+    centralDirectoryOffset,
+    v2Block: apk.subarray(blockStart + 20, blockStart + 16 + pairLength)
+  };
+};
+
+describe('APK signer', () => {
+  let keystore;
+
+  beforeAll(() => {
+    keystore = createKeystore();
+  });
+
+  test('adds the JAR signature files', () => {
+    const apk = signApk(createApk(), keystore);
+
+    expect(readEntryNames(apk)).toEqual(expect.arrayContaining([
+      'META-INF/MANIFEST.MF',
+      'META-INF/CERT.SF',
+      'META-INF/CERT.RSA'
+    ]));
+  });
+
+  test('writes a v2 signing block whose signature verifies with the certificate key', () => {
+    const apk = signApk(createApk(), keystore);
+    const { v2Block } = readSigningBlock(apk);
+
+    const [signer] = lengthPrefixedItems(lengthPrefixedItems(v2Block)[0]);
+    const [signedData, signatures, publicKey] = lengthPrefixedItems(signer);
+    const [signature] = lengthPrefixedItems(signatures);
+
+    expect(signature.readUInt32LE(0)).toBe(0x0103);
+    const signatureBytes = lengthPrefixedItems(signature.subarray(4))[0];
+
+    expect(publicKey.equals(keystore.publicKey)).toBe(true);
+    expect(crypto.verify('sha256', signedData, crypto.createPublicKey({ key: publicKey, format: 'der', type: 'spki' }), signatureBytes)).toBe(true);
+
+    const [digests, certificates] = lengthPrefixedItems(signedData);
+    expect(lengthPrefixedItems(certificates)[0].equals(keystore.certificate)).toBe(true);
+    expect(lengthPrefixedItems(digests)[0].readUInt32LE(0)).toBe(0x0103);
+  });
+
+  test('signs the digest of the entries, central directory and end record', () => {
+    const apk = signApk(createApk(), keystore);
+    const { blockStart, centralDirectoryOffset, v2Block } = readSigningBlock(apk);
+
+    // The signed EOCD points at the signing block, not past it
+    const eocd = Buffer.from(apk.subarray(apk.length - 22));
+    eocd.writeUInt32LE(blockStart, 16);
+    const expected = computeContentDigest([
+      apk.subarray(0, blockStart),
+      apk.subarray(centralDirectoryOffset, apk.length - 22),
+      eocd
+    ]);
+
+    const [signer] = lengthPrefixedItems(lengthPrefixedItems(v2Block)[0]);
+    const [digests] = lengthPrefixedItems(lengthPrefixedItems(signer)[0]);
+    const digest = lengthPrefixedItems(lengthPrefixedItems(digests)[0].subarray(4))[0];
+
+    expect(digest.equals(expected)).toBe(true);
+  });
+});
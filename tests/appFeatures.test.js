@@ -0,0 +1,79 @@
+import { validateFeatures, resolveFeatureCapabilities, DEFAULT_FEATURES } from '../services/appFeatures.js';
+
+describe('App feature manifest', () => {
+  test('merges requested features over the defaults', () => {
+    const { isValid, features } = validateFeatures({ camera: true, pullToRefresh: false, externalLinks: 'inApp' });
+
+    expect(isValid).toBe(true);
+    expect(features).toEqual({
+      ...DEFAULT_FEATURES,
+      camera: true,
+      pullToRefresh: false,
+      externalLinks: 'inApp'
+    });
+    expect(validateFeatures().features).toEqual(DEFAULT_FEATURES);
+  });
+
+  test('reports every invalid feature', () => {
+    const validation = validateFeatures({
+      camera: 'yes',
+      externalLinks: 'popup',
+      teleport: true,
+      deepLinks: { hosts: ['example.com', 'not a host'], paths: ['docs/*'] }
+    });
+
+    expect(validation.isValid).toBe(false);
+    expect(validation.features).toBeNull();
+    expect(validation.errors).toEqual([
+      'camera must be true or false',
+      'externalLinks must be one of browser, inApp, block',
+      'Unknown feature: teleport',
+      'Invalid deep link hosts: not a host',
+      'Invalid deep link paths (must start with "/"): docs/*'
+    ]);
+    expect(validateFeatures([]).errors).toEqual(['Features must be an object']);
+    expect(validateFeatures({ deepLinks: 'on' }).errors).toEqual(['deepLinks must be true, false or { enabled, hosts, paths }']);
+  });
+
+  test('defaults deep links to the app\'s own host', () => {
+    expect(validateFeatures({ deepLinks: true }, { url: 'https://App.Example.com/start' }).features.deepLinks).toEqual({
+      enabled: true,
+      hosts: ['app.example.com'],
+      paths: ['/*']
+    });
+    expect(validateFeatures({ deepLinks: { hosts: ['Shop.example.com', 'shop.example.com'], paths: ['/p/*', '/p/*'] } }).features.deepLinks)
+      .toEqual({ enabled: true, hosts: ['shop.example.com'], paths: ['/p/*'] });
+  });
+});
+
+describe('Feature capabilities', () => {
+  test('only asks for network access by default', () => {
+    expect(resolveFeatureCapabilities(DEFAULT_FEATURES)).toEqual({
+      androidPermissions: ['INTERNET', 'ACCESS_NETWORK_STATE'],
+      androidFeatures: [],
+      iosUsageDescriptions: {}
+    });
+  });
+
+  test('derives permissions, optional hardware and usage descriptions from the features', () => {
+    const { features } = validateFeatures({ camera: true, geolocation: true, pushNotifications: true, appBadge: true, fileUpload: true });
+    const capabilities = resolveFeatureCapabilities(features, { appName: 'Shop' });
+
+    expect(capabilities.androidPermissions).toEqual([
+      'INTERNET',
+      'ACCESS_NETWORK_STATE',
+      'CAMERA',
+      'ACCESS_COARSE_LOCATION',
+      'ACCESS_FINE_LOCATION',
+      'POST_NOTIFICATIONS',
+      'com.google.android.c2dm.permission.RECEIVE'
+    ]);
+    expect(capabilities.androidFeatures).toEqual(['android.hardware.camera', 'android.hardware.location']);
+    expect(Object.keys(capabilities.iosUsageDescriptions)).toEqual([
+      'NSCameraUsageDescription',
+      'NSLocationWhenInUseUsageDescription',
+      'NSPhotoLibraryUsageDescription'
+    ]);
+    expect(capabilities.iosUsageDescriptions.NSCameraUsageDescription).toMatch(/^Shop uses the camera/);
+  });
+});
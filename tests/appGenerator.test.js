@@ -0,0 +1,26 @@
+import { buildAppPackage, isValidPackageName } from '../services/appGenerator.js';
+
+const options = { url: 'https://example.com', appName: 'Example Shop', targetPlatforms: ['android'], assets: {} };
+
+describe('App package names', () => {
+  test('accepts Android application IDs only', () => {
+    ['com.example.app', 'io.shop_1.App', 'a.b'].forEach(name => {
+      expect(isValidPackageName(name)).toBe(true);
+    });
+    ['example', 'com..example', '1com.example', 'com.1example', 'com.example.', '../../etc/passwd', 'com/example.app', 'com.example\napp', undefined].forEach(name => {
+      expect(isValidPackageName(name)).toBe(false);
+    });
+  });
+
+  test('refuses to build with an invalid package name', () => {
+    expect(() => buildAppPackage({ ...options, packageName: '../../downloads/x' })).toThrow('Invalid package name');
+    expect(buildAppPackage({ ...options, packageName: 'com.example.shop' }).build.android.packageName).toBe('com.example.shop');
+  });
+
+  test('derives a valid default identifier from the app name', () => {
+    expect(buildAppPackage(options).build.android.packageName).toBe('com.rapidsaas.exampleshop');
+    const fromDigits = buildAppPackage({ ...options, appName: '24/7 Store' }).build.android.packageName;
+    expect(fromDigits).toBe('com.rapidsaas.app247store');
+    expect(isValidPackageName(fromDigits)).toBe(true);
+  });
+});
@@ -0,0 +1,99 @@
+import { createAppRelease, getAppReleases, updateAppRelease } from '../services/database.js';
+import { enqueueBuild } from '../services/buildQueue.js';
+import { bumpVersion, compareVersions, planNextRelease, createRelease } from '../services/appReleases.js';
+
+jest.mock('../services/database.js', () => ({
+  createAppRelease: jest.fn(),
+  getAppReleaseById: jest.fn(),
+  getAppReleases: jest.fn(),
+  updateAppRelease: jest.fn(),
+  getBuildJobs: jest.fn(async () => [])
+}));
+
+jest.mock('../services/buildQueue.js', () => ({
+  enqueueBuild: jest.fn()
+}));
+
+const app = { id: 'app-1', name: 'Example', original_url: 'https://example.com', package_info: {} };
+
+describe('Release versions', () => {
+  test('bumps and compares numeric versions', () => {
+    expect(bumpVersion('1.4.2')).toBe('1.4.3');
+    expect(bumpVersion('1.4.2', 'minor')).toBe('1.5.0');
+    expect(bumpVersion('1.4.2', 'major')).toBe('2.0.0');
+    expect(() => bumpVersion('1.4.2-beta')).toThrow('Invalid version: 1.4.2-beta');
+    expect(() => bumpVersion('1.4.2', 'build')).toThrow('Invalid bump: build');
+
+    expect(compareVersions('1.10.0', '1.9.9')).toBeGreaterThan(0);
+    expect(compareVersions('2.0.0', '10.0.0')).toBeLessThan(0);
+    expect(compareVersions('1.2.3', '1.2.3')).toBe(0);
+  });
+
+  test('starts at 1.0.0 with version code 1', async () => {
+    getAppReleases.mockResolvedValue([]);
+
+    expect(await planNextRelease('app-1')).toEqual(expect.objectContaining({
+      isValid: true, version: '1.0.0', versionCode: 1, previous: null
+    }));
+  });
+
+  test('takes the next version code after every release, failed ones included', async () => {
+    // Newest release of any status, then the newest that did not fail
+    getAppReleases.mockImplementation(async (appId, { status }) => (status
+      ? [{ version: '1.2.0', version_code: 4, status: 'published' }]
+      : [{ version: '1.3.0', version_code: 5, status: 'failed' }]));
+
+    const plan = await planNextRelease('app-1', { bump: 'minor' });
+    expect(plan).toEqual(expect.objectContaining({ isValid: true, version: '1.3.0', versionCode: 6 }));
+    expect(plan.previous.version).toBe('1.2.0');
+  });
+
+  test('rejects explicit versions that do not move forward', async () => {
+    getAppReleases.mockResolvedValue([{ version: '2.1.0', version_code: 7, status: 'ready' }]);
+
+    expect((await planNextRelease('app-1', { version: '2.1.0' })).errors).toEqual(['version must be greater than 2.1.0']);
+    expect((await planNextRelease('app-1', { version: '2.1' })).errors).toEqual(['version must be MAJOR.MINOR.PATCH, e.g. 1.2.0']);
+    expect((await planNextRelease('app-1', { bump: 'huge' })).errors).toEqual(['bump must be one of major, minor, patch']);
+    expect(await planNextRelease('app-1', { version: '3.0.0', bump: 'patch' })).toEqual(expect.objectContaining({
+      isValid: true, version: '3.0.0', versionCode: 8
+    }));
+  });
+});
+
+describe('Releases', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getAppReleases.mockResolvedValue([{ id: 'release-1', version: '1.0.0', version_code: 1, status: 'ready' }]);
+    createAppRelease.mockImplementation(async (data) => ({ id: 'release-2', ...data }));
+    updateAppRelease.mockImplementation(async (id, data) => ({ id, ...data }));
+  });
+
+  test('queues a build for the next version', async () => {
+    enqueueBuild.mockResolvedValue({ id: 'job-1' });
+
+    const { release, buildJob } = await createRelease({ app, userId: 'user-1', bump: 'minor' });
+
+    expect(createAppRelease).toHaveBeenCalledWith(expect.objectContaining({ version: '1.1.0', version_code: 2, status: 'building' }));
+    expect(enqueueBuild.mock.calls[0][0].input).toEqual(expect.objectContaining({ releaseId: 'release-2', version: '1.1.0', versionCode: 2 }));
+    expect(buildJob.id).toBe('job-1');
+    expect(release).toEqual({ id: 'release-2', build_job_id: 'job-1' });
+  });
+
+  test('refuses overlong changelogs', async () => {
+    expect(await createRelease({ app, userId: 'user-1', changelog: 'x'.repeat(501) }))
+      .toEqual({ errors: ['changelog must be at most 500 characters'] });
+    expect(createAppRelease).not.toHaveBeenCalled();
+  });
+
+  test('fails the release when its build cannot be queued', async () => {
+    enqueueBuild.mockRejectedValue(new Error('queue unavailable'));
+
+    await expect(createRelease({ app, userId: 'user-1' })).rejects.toThrow('Failed to create release: queue unavailable');
+
+    expect(updateAppRelease).toHaveBeenCalledTimes(1);
+    expect(updateAppRelease).toHaveBeenCalledWith('release-2', {
+      status: 'failed',
+      error: 'Build could not be queued: queue unavailable'
+    });
+  });
+});
@@ -0,0 +1,357 @@
+import http from 'http';
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import {
+  AppStoreConnectService,
+  submitVersionForReview,
+  getReviewStatus,
+  toSubmissionStatus,
+  toAppleLocale
+} from '../services/appStoreConnect.js';
+
+const KEY_ID = 'ABCDE12345';
+const ISSUER_ID = '69a6de7e-1234-47e3-e053-5b8c7c11a4d1';
+const BUNDLE_ID = 'com.acme.tasks';
+const SCREENSHOT = crypto.randomBytes(4099); // Odd-sized, so the upload is split unevenly
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+// As stored in .env files, with escaped newlines
+const PRIVATE_KEY = privateKey.export({ type: 'pkcs8', format: 'pem' }).replace(/\n/g, '\\n');
+
+/**
+ * Local stand-in for the App Store Connect API: checks the API tokens like
+ * Apple does and keeps the resources the client creates
+ */
+const createStandIn = () => {
+  const state = {};
+  const reset = () => Object.assign(state, {
+    versions: [{ type: 'appStoreVersions', id: 'version-0', attributes: { versionString: '1.0', appStoreState: 'READY_FOR_SALE' } }],
+    versionLocalizations: [],
+    appInfoLocalizations: [{ id: 'info-loc-0', attributes: { locale: 'en-US' } }],
+    screenshotSets: [{ id: 'set-old', localizationId: 'loc-existing', attributes: { screenshotDisplayType: 'APP_IPHONE_67' } }],
+    screenshots: [],
+    uploads: [],
+    checksums: [],
+    deleted: [],
+    writes: [],
+    selectedBuild: null,
+    reviewState: 'WAITING_FOR_REVIEW',
+    tokens: []
+  });
+  reset();
+
+  const app = express();
+  app.set('query parser', 'simple'); // Keep filter[bundleId] as one key
+  app.use('/upload', express.raw({ type: '*/*' }));
+  app.use(express.json());
+
+  app.get('/shots/screen.png', (req, res) => res.type('png').send(SCREENSHOT));
+
+  // Upload operations are pre-signed; Apple rejects them with an API token
+  app.put('/upload/:screenshotId/:part', (req, res) => {
+    if (req.headers.authorization) return res.status(400).end();
+    state.uploads.push({ screenshotId: req.params.screenshotId, part: req.params.part, contentType: req.headers['content-type'], data: req.body });
+    res.end();
+  });
+
+  app.use('/v1', (req, res, next) => {
+    try {
+      const token = String(req.headers.authorization || '').replace(/^Bearer /, '');
+      const claims = jwt.verify(token, publicKey, { algorithms: ['ES256'], audience: 'appstoreconnect-v1', issuer: ISSUER_ID });
+      const { header } = jwt.decode(token, { complete: true });
+      if (header.kid !== KEY_ID || claims.exp - claims.iat > 20 * 60) {
+        throw new Error('Token claims are not accepted');
+      }
+      state.tokens.push(token);
+    } catch (error) {
+      return res.status(401).json({ errors: [{ status: '401', code: 'NOT_AUTHORIZED', title: 'Authentication credentials are missing or invalid.', detail: error.message }] });
+    }
+    if (req.method !== 'GET') {
+      state.writes.push(`${req.method} ${req.path}`);
+    }
+    next();
+  });
+
+  app.get('/v1/apps', (req, res) => res.json({
+    data: req.query['filter[bundleId]'] === BUNDLE_ID
+      ? [{ type: 'apps', id: 'app-1', attributes: { bundleId: BUNDLE_ID, primaryLocale: 'en-US' } }]
+      : []
+  }));
+  app.get('/v1/apps/app-1/appStoreVersions', (req, res) => res.json({ data: state.versions, links: {} }));
+  app.post('/v1/appStoreVersions', (req, res) => {
+    const version = { type: 'appStoreVersions', id: `version-${state.versions.length}`, attributes: { ...req.body.data.attributes, appStoreState: 'PREPARE_FOR_SUBMISSION' } };
+    state.versions.push(version);
+    res.status(201).json({ data: version });
+  });
+  app.get('/v1/appStoreVersions/:id', (req, res) => res.json({ data: state.versions.find(version => version.id === req.params.id) }));
+  app.patch('/v1/appStoreVersions/:id/relationships/build', (req, res) => {
+    state.selectedBuild = req.body.data.id;
+    res.status(204).end();
+  });
+
+  app.get('/v1/appStoreVersions/:id/appStoreVersionLocalizations', (req, res) => res.json({
+    data: state.versionLocalizations.filter(localization => localization.versionId === req.params.id)
+  }));
+  app.post('/v1/appStoreVersionLocalizations', (req, res) => {
+    const localization = {
+      id: `loc-${state.versionLocalizations.length}`,
+      versionId: req.body.data.relationships.appStoreVersion.data.id,
+      attributes: req.body.data.attributes
+    };
+    state.versionLocalizations.push(localization);
+    res.status(201).json({ data: localization });
+  });
+
+  app.get('/v1/apps/app-1/appInfos', (req, res) => res.json({
+    data: [
+      { id: 'info-live', attributes: { appStoreState: 'READY_FOR_SALE' } },
+      { id: 'info-next', attributes: { appStoreState: 'PREPARE_FOR_SUBMISSION' } }
+    ]
+  }));
+  app.get('/v1/appInfos/info-next/appInfoLocalizations', (req, res) => res.json({ data: state.appInfoLocalizations }));
+  app.patch('/v1/appInfoLocalizations/:id', (req, res) => {
+    const localization = state.appInfoLocalizations.find(item => item.id === req.params.id);
+    Object.assign(localization.attributes, req.body.data.attributes);
+    res.json({ data: localization });
+  });
+  app.post('/v1/appInfoLocalizations', (req, res) => {
+    const localization = { id: `info-loc-${state.appInfoLocalizations.length}`, attributes: req.body.data.attributes };
+    state.appInfoLocalizations.push(localization);
+    res.status(201).json({ data: localization });
+  });
+
+  app.get('/v1/appStoreVersionLocalizations/:id/appScreenshotSets', (req, res) => res.json({
+    data: state.screenshotSets.filter(set => set.localizationId === req.params.id)
+  }));
+  app.post('/v1/appScreenshotSets', (req, res) => {
+    const set = {
+      id: `set-${state.screenshotSets.length}`,
+      localizationId: req.body.data.relationships.appStoreVersionLocalization.data.id,
+      attributes: req.body.data.attributes
+    };
+    state.screenshotSets.push(set);
+    res.status(201).json({ data: set });
+  });
+  app.get('/v1/appScreenshotSets/:id/appScreenshots', (req, res) => res.json({
+    data: state.screenshots.filter(screenshot => screenshot.setId === req.params.id)
+  }));
+  app.post('/v1/appScreenshots', (req, res) => {
+    const { fileName, fileSize } = req.body.data.attributes;
+    const id = `shot-${state.screenshots.length}`;
+    const half = Math.ceil(fileSize / 2);
+    const operation = (part, offset, length) => ({
+      method: 'PUT',
+      url: `${state.baseUrl}/upload/${id}/${part}`,
+      offset,
+      length,
+      requestHeaders: [{ name: 'Content-Type', value: 'image/png' }]
+    });
+    const screenshot = {
+      id,
+      setId: req.body.data.relationships.appScreenshotSet.data.id,
+      attributes: { fileName, fileSize, uploadOperations: [operation(0, 0, half), operation(1, half, fileSize - half)] }
+    };
+    state.screenshots.push(screenshot);
+    res.status(201).json({ data: screenshot });
+  });
+  app.patch('/v1/appScreenshots/:id', (req, res) => {
+    state.checksums.push({ id: req.params.id, ...req.body.data.attributes });
+    res.json({ data: { id: req.params.id, attributes: req.body.data.attributes } });
+  });
+  app.delete('/v1/appScreenshots/:id', (req, res) => {
+    state.deleted.push(req.params.id);
+    res.status(204).end();
+  });
+
+  app.get('/v1/builds', (req, res) => res.json({
+    data: req.query['filter[version]'] === '7' && req.query['filter[processingState]'] === 'VALID' ? [{ type: 'builds', id: 'build-7' }] : []
+  }));
+
+  app.post('/v1/reviewSubmissions', (req, res) => res.status(201).json({ data: { type: 'reviewSubmissions', id: 'review-1', attributes: { state: 'READY_FOR_REVIEW' } } }));
+  app.post('/v1/reviewSubmissionItems', (req, res) => res.status(201).json({ data: { type: 'reviewSubmissionItems', id: 'review-item-1' } }));
+  app.patch('/v1/reviewSubmissions/review-1', (req, res) => {
+    state.versions[state.versions.length - 1].attributes.appStoreState = 'WAITING_FOR_REVIEW';
+    res.json({ data: { type: 'reviewSubmissions', id: 'review-1', attributes: { state: 'WAITING_FOR_REVIEW' } } });
+  });
+  app.get('/v1/reviewSubmissions/review-1', (req, res) => res.json({ data: { type: 'reviewSubmissions', id: 'review-1', attributes: { state: state.reviewState } } }));
+
+  return { app, state, reset };
+};
+
+describe('App Store Connect against a local API stand-in', () => {
+  const standIn = createStandIn();
+  const { state } = standIn;
+  let server;
+  let client;
+
+  beforeAll(async () => {
+    server = http.createServer(standIn.app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    state.baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    const { baseUrl } = state;
+    standIn.reset();
+    state.baseUrl = baseUrl;
+    client = new AppStoreConnectService({ keyId: KEY_ID, issuerId: ISSUER_ID, privateKey: PRIVATE_KEY, apiUrl: `${baseUrl}/v1` });
+  });
+
+  const submission = () => ({
+    bundleId: BUNDLE_ID,
+    version: '1.1',
+    buildNumber: 7,
+    name: 'Acme Tasks',
+    subtitle: 'Lists that get done',
+    description: 'Plan the day.',
+    keywords: 'tasks,todo',
+    whatsNew: 'Faster sync',
+    privacyPolicyUrl: 'https://acme.test/privacy',
+    screenshots: [`${state.baseUrl}/shots/screen.png`, { device: 'ipad_12_9', url: `${state.baseUrl}/shots/screen.png` }],
+    localizations: {
+      'ja-JP': { description: 'タスク', name: 'アクメ', screenshots: [`${state.baseUrl}/shots/screen.png`] }
+    }
+  });
+
+  test('signs short-lived ES256 tokens with the key ID and reuses them', async () => {
+    await client.findApp(BUNDLE_ID);
+    await client.findApp(BUNDLE_ID);
+
+    expect(new Set(state.tokens).size).toBe(1);
+    const { header, payload } = jwt.decode(state.tokens[0], { complete: true });
+    expect(header).toMatchObject({ alg: 'ES256', kid: KEY_ID });
+    expect(payload).toMatchObject({ iss: ISSUER_ID, aud: 'appstoreconnect-v1' });
+    expect(payload.exp - payload.iat).toBe(20 * 60);
+  });
+
+  test('reports rejected credentials with the HTTP status', async () => {
+    const wrongKey = new AppStoreConnectService({ keyId: 'WRONG12345', issuerId: ISSUER_ID, privateKey: PRIVATE_KEY, apiUrl: `${state.baseUrl}/v1` });
+
+    await expect(wrongKey.findApp(BUNDLE_ID)).rejects.toMatchObject({ status: 401, message: 'Token claims are not accepted' });
+    expect(state.tokens).toHaveLength(0);
+  });
+
+  test('creates the version, writes its metadata and submits it for review', async () => {
+    const result = await submitVersionForReview(client, submission());
+
+    expect(result).toMatchObject({
+      appId: 'app-1',
+      versionId: 'version-1',
+      versionString: '1.1',
+      reviewSubmissionId: 'review-1',
+      reviewState: 'WAITING_FOR_REVIEW',
+      appStoreState: 'WAITING_FOR_REVIEW'
+    });
+    expect(result.locales.map(locale => locale.locale)).toEqual(['en-US', 'ja']);
+
+    expect(state.versionLocalizations.map(({ versionId, attributes }) => ({ versionId, ...attributes }))).toEqual([
+      { versionId: 'version-1', locale: 'en-US', description: 'Plan the day.', keywords: 'tasks,todo', whatsNew: 'Faster sync' },
+      { versionId: 'version-1', locale: 'ja', description: 'タスク' }
+    ]);
+    // The existing en-US app info localization is updated, ja is created
+    expect(state.appInfoLocalizations.map(item => item.attributes)).toEqual([
+      { locale: 'en-US', name: 'Acme Tasks', subtitle: 'Lists that get done', privacyPolicyUrl: 'https://acme.test/privacy' },
+      { locale: 'ja', name: 'アクメ' }
+    ]);
+
+    expect(state.selectedBuild).toBe('build-7');
+    expect(state.writes.slice(-3)).toEqual(['POST /reviewSubmissions', 'POST /reviewSubmissionItems', 'PATCH /reviewSubmissions/review-1']);
+  });
+
+  test('uploads screenshots with the upload operations and commits their checksums', async () => {
+    const result = await submitVersionForReview(client, submission());
+
+    expect(result.locales[0].screenshotSets).toEqual([
+      { id: 'set-1', displayType: 'APP_IPHONE_67', count: 1 },
+      { id: 'set-2', displayType: 'APP_IPAD_PRO_3GEN_129', count: 1 }
+    ]);
+    expect(state.screenshots.map(screenshot => screenshot.attributes.fileName))
+      .toEqual(['app_iphone_67-1.png', 'app_ipad_pro_3gen_129-1.png', 'app_iphone_67-1.png']);
+
+    for (const screenshot of state.screenshots) {
+      const parts = state.uploads.filter(upload => upload.screenshotId === screenshot.id);
+      expect(parts.map(part => part.contentType)).toEqual(['image/png', 'image/png']);
+      expect(Buffer.concat(parts.map(part => part.data)).equals(SCREENSHOT)).toBe(true);
+    }
+
+    const checksum = crypto.createHash('md5').update(SCREENSHOT).digest('hex');
+    expect(state.checksums).toEqual(state.screenshots.map(screenshot => ({ id: screenshot.id, uploaded: true, sourceFileChecksum: checksum })));
+  });
+
+  test('replaces the screenshots already in a set', async () => {
+    state.screenshots.push({ id: 'shot-old', setId: 'set-old', attributes: {} });
+
+    const { set, screenshots } = await client.replaceScreenshotSet('loc-existing', 'APP_IPHONE_67', [{ fileName: 'a.png', data: SCREENSHOT }]);
+
+    expect(set.id).toBe('set-old');
+    expect(state.deleted).toEqual(['shot-old']);
+    expect(screenshots).toHaveLength(1);
+  });
+
+  test('leaves out What\'s New until a version has been released', async () => {
+    state.versions = [];
+
+    await submitVersionForReview(client, { ...submission(), screenshots: [], localizations: {} });
+
+    expect(state.versionLocalizations[0].attributes).not.toHaveProperty('whatsNew');
+  });
+
+  test('refuses versions that are no longer editable', async () => {
+    await expect(submitVersionForReview(client, { ...submission(), version: '1.0' }))
+      .rejects.toThrow('Version 1.0 is already READY_FOR_SALE');
+    expect(state.writes).toEqual([]);
+  });
+
+  test('fails when the build is not processed yet', async () => {
+    await expect(submitVersionForReview(client, { ...submission(), buildNumber: 8, screenshots: [], localizations: {} }))
+      .rejects.toThrow('Build 8 is not processed in App Store Connect yet');
+    expect(state.writes).not.toContain('POST /reviewSubmissions');
+  });
+
+  test('follows the review through the version state', async () => {
+    const { versionId, reviewSubmissionId } = await submitVersionForReview(client, { ...submission(), screenshots: [], localizations: {} });
+
+    expect(await getReviewStatus(client, { versionId, reviewSubmissionId })).toEqual({
+      status: 'submitted',
+      appStoreState: 'WAITING_FOR_REVIEW',
+      reviewState: 'WAITING_FOR_REVIEW',
+      message: 'App Store state: WAITING_FOR_REVIEW'
+    });
+
+    state.versions[1].attributes.appStoreState = 'REJECTED';
+    state.reviewState = 'UNRESOLVED_ISSUES';
+    expect(await getReviewStatus(client, { versionId, reviewSubmissionId })).toEqual({
+      status: 'rejected',
+      appStoreState: 'REJECTED',
+      reviewState: 'UNRESOLVED_ISSUES',
+      message: 'App Review found issues; see Resolution Center in App Store Connect'
+    });
+
+    state.versions[1].attributes.appStoreState = 'READY_FOR_SALE';
+    expect((await getReviewStatus(client, { versionId })).status).toBe('approved');
+  });
+});
+
+describe('App Store Connect mappings', () => {
+  test('maps version states to submission statuses', () => {
+    expect(toSubmissionStatus('WAITING_FOR_REVIEW')).toBe('submitted');
+    expect(toSubmissionStatus('IN_REVIEW')).toBe('under_review');
+    expect(toSubmissionStatus('PENDING_DEVELOPER_RELEASE')).toBe('approved');
+    expect(toSubmissionStatus('READY_FOR_SALE')).toBe('approved');
+    expect(toSubmissionStatus('METADATA_REJECTED')).toBe('rejected');
+    expect(toSubmissionStatus('DEVELOPER_REJECTED')).toBe('cancelled');
+    expect(toSubmissionStatus('PREPARE_FOR_SUBMISSION')).toBeNull();
+    expect(toSubmissionStatus('SOMETHING_NEW')).toBeNull();
+  });
+
+  test('maps language codes to App Store locales', () => {
+    expect(toAppleLocale('zh-CN')).toBe('zh-Hans');
+    expect(toAppleLocale('ja-JP')).toBe('ja');
+    expect(toAppleLocale('fr-FR')).toBe('fr-FR');
+  });
+});
@@ -0,0 +1,107 @@
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { getBuildJobById } from '../services/database.js';
+import { buildEvents } from '../services/buildQueue.js';
+import { createBuildStreamToken } from '../middleware/auth.js';
+import appsRoutes from '../routes/apps.js';
+
+jest.mock('../services/database.js', () => ({
+  getUserById: jest.fn(async (id) => (id === 'user-1' ? { id } : null)),
+  getBuildJobById: jest.fn(),
+  getBuildJobs: jest.fn(async () => [])
+}));
+
+const app = express();
+app.use(express.json());
+app.use('/api/apps', appsRoutes);
+
+const jobs = {
+  'job-1': { id: 'job-1', app_id: 'app-1', user_id: 'user-1', status: 'running', steps: [], progress: 40 },
+  'job-2': { id: 'job-2', app_id: 'app-1', user_id: 'user-1', status: 'completed', steps: [], progress: 100 },
+  'job-3': { id: 'job-3', app_id: 'app-1', user_id: null, status: 'completed', steps: [], progress: 100 }
+};
+
+// Server-Sent Events as [{ event, data }]
+const parseEvents = (text) => text.split('\n\n')
+  .filter(block => block.startsWith('event:'))
+  .map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) };
+  });
+
+describe('Build event stream', () => {
+  let userToken;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret-for-build-streams';
+    userToken = jwt.sign({ id: 'user-1', email: 'owner@example.com' }, process.env.JWT_SECRET);
+  });
+
+  beforeEach(() => {
+    getBuildJobById.mockImplementation(async (id) => (jobs[id] ? { ...jobs[id] } : null));
+  });
+
+  test('streams a signed-in owner\'s build with its stream token', async () => {
+    const { body } = await request(app)
+      .post('/api/apps/app-1/builds/job-1/stream-token')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    // EventSource sends no Authorization header, only the token in the URL
+    const stream = request(app)
+      .get(`/api/apps/app-1/build/events?jobId=job-1&token=${body.streamToken}`)
+      .buffer(true)
+      .parse((res, done) => {
+        let text = '';
+        res.on('data', chunk => { text += chunk; });
+        res.on('end', () => done(null, text));
+      });
+
+    setTimeout(() => {
+      buildEvents.emit('event', { jobId: 'job-2', type: 'step', data: { step: { id: 'other' } } });
+      buildEvents.emit('event', { jobId: 'job-1', type: 'step', data: { step: { id: 'package', status: 'running' }, progress: 60 } });
+      buildEvents.emit('event', { jobId: 'job-1', type: 'completed', data: { result: { downloadLinks: {} } } });
+    }, 100);
+
+    const response = await stream;
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/text\/event-stream/);
+    expect(parseEvents(response.body).map(({ event, data }) => [event, data.jobId || data.build?.id])).toEqual([
+      ['snapshot', 'job-1'],
+      ['step', 'job-1'],
+      ['completed', 'job-1']
+    ]);
+  });
+
+  test('hides owned builds from callers without the owner\'s token', async () => {
+    await request(app).get('/api/apps/app-1/build/events?jobId=job-2').expect(404);
+    await request(app).post('/api/apps/app-1/builds/job-2/stream-token').expect(404);
+  });
+
+  test('rejects stream tokens of other builds and forged tokens', async () => {
+    const otherBuild = createBuildStreamToken('job-1');
+    const forged = jwt.sign({ jobId: 'job-2', purpose: 'build-events' }, 'not-the-secret');
+    await request(app).get(`/api/apps/app-1/build/events?jobId=job-2&token=${otherBuild}`).expect(404);
+    await request(app).get(`/api/apps/app-1/build/events?jobId=job-2&token=${forged}`).expect(404);
+    // A sign-in token is not a stream token
+    await request(app).get(`/api/apps/app-1/build/events?jobId=job-2&token=${userToken}`).expect(404);
+    await request(app).get(`/api/apps/app-2/build/events?jobId=job-2&token=${createBuildStreamToken('job-2')}`).expect(404);
+  });
+
+  test('ends the stream after the snapshot of a finished build', async () => {
+    const response = await request(app)
+      .get(`/api/apps/app-1/build/events?jobId=job-2&token=${createBuildStreamToken('job-2')}`)
+      .expect(200);
+
+    expect(parseEvents(response.text)).toEqual([{ event: 'snapshot', data: { build: jobs['job-2'] } }]);
+  });
+
+  test('streams builds started while signed out without a token', async () => {
+    await request(app).get('/api/apps/app-1/build/events?jobId=job-3').expect(200);
+    await request(app)
+      .get('/api/apps/app-1/build/events?jobId=job-3')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(404);
+  });
+});
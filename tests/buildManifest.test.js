@@ -0,0 +1,129 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { loadSigningKeystore, createSelfSignedCertificate } from '../services/signingKeystore.js';
+import {
+  createBuildManifest,
+  writeBuildManifest,
+  verifyManifestSignature,
+  verifyArtifact,
+  manifestFilenameFor,
+  canonicalJson
+} from '../services/buildManifest.js';
+
+jest.mock('../services/signingKeystore.js', () => ({
+  ...jest.requireActual('../services/signingKeystore.js'),
+  loadSigningKeystore: jest.fn()
+}));
+
+// Built in memory so the test never writes the on-disk debug keystore
+const createKeystore = () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const certificate = createSelfSignedCertificate(privateKey, publicKey);
+  return {
+    privateKey,
+    certificate,
+    fingerprint: new crypto.X509Certificate(certificate).fingerprint256,
+    debug: false
+  };
+};
+
+const appPackage = {
+  metadata: { name: 'Shop', version: '1.2.0' },
+  configuration: { webview: { url: 'https://example.com' } },
+  build: { android: { packageName: 'com.example.shop', versionCode: 3 } },
+  assets: {}
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+describe('Build manifests', () => {
+  const serverKeystore = createKeystore();
+  const baseName = `build-${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+  const written = [];
+  let workDir;
+  let apk;
+
+  beforeAll(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'manifest-test-'));
+    apk = crypto.randomBytes(70000);
+    await fs.writeFile(path.join(workDir, `${baseName}.apk`), apk);
+    await fs.writeFile(path.join(workDir, `${baseName}.xcode.zip`), 'xcode');
+  });
+
+  beforeEach(() => {
+    loadSigningKeystore.mockResolvedValue(serverKeystore);
+  });
+
+  afterAll(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+    await Promise.all(written.map(file => fs.rm(file, { force: true })));
+  });
+
+  const buildManifest = () => createBuildManifest(appPackage, [
+    { platform: 'android', path: path.join(workDir, `${baseName}.apk`) },
+    { platform: 'ios', path: path.join(workDir, `${baseName}.xcode.zip`) }
+  ], { buildJobId: 'job-1', releaseId: 'release-1', offlineBundle: { files: { 'index.html': Buffer.from('<html>') } } });
+
+  test('serializes canonical JSON and names manifests after the build', () => {
+    expect(canonicalJson({ b: [1, undefined, { d: null, c: 'x' }], a: true, skipped: undefined }))
+      .toBe('{"a":true,"b":[1,null,{"c":"x","d":null}]}');
+    expect(manifestFilenameFor(`${baseName}.xcode.zip`)).toBe(`${baseName}.manifest.json`);
+    expect(manifestFilenameFor(`${baseName}.apk`)).toBe(`${baseName}.manifest.json`);
+    expect(manifestFilenameFor(`${baseName}.manifest.json`)).toBe(`${baseName}.manifest.json`);
+  });
+
+  test('records inputs and artifact checksums and signs them', async () => {
+    const manifest = await buildManifest();
+
+    expect(manifest.build).toEqual(expect.objectContaining({ buildJobId: 'job-1', releaseId: 'release-1' }));
+    expect(manifest.inputs).toEqual(expect.objectContaining({ packageName: 'com.example.shop', version: '1.2.0', versionCode: 3 }));
+    expect(manifest.inputs.offlineFiles).toEqual([{ path: 'index.html', size: 6, sha256: sha256('<html>') }]);
+    expect(manifest.artifacts).toEqual([
+      { platform: 'android', filename: `${baseName}.apk`, url: `/downloads/${baseName}.apk`, size: apk.length, sha256: sha256(apk) },
+      { platform: 'ios', filename: `${baseName}.xcode.zip`, url: `/downloads/${baseName}.xcode.zip`, size: 5, sha256: sha256('xcode') }
+    ]);
+    expect(manifest.signature).toEqual(expect.objectContaining({ algorithm: 'RSA-SHA256', keyFingerprint: serverKeystore.fingerprint, debug: false }));
+
+    expect(await verifyManifestSignature(manifest)).toEqual({
+      valid: true, trusted: true, keyFingerprint: serverKeystore.fingerprint, debug: false
+    });
+  });
+
+  test('detects tampered manifests and other signing keys', async () => {
+    const manifest = await buildManifest();
+
+    const tampered = { ...manifest, artifacts: [{ ...manifest.artifacts[0], sha256: sha256('other') }, manifest.artifacts[1]] };
+    expect((await verifyManifestSignature(tampered)).valid).toBe(false);
+
+    // Validly signed, but not by this server
+    loadSigningKeystore.mockResolvedValue(createKeystore());
+    expect(await verifyManifestSignature(manifest)).toEqual(expect.objectContaining({ valid: true, trusted: false }));
+
+    const { signature, ...unsigned } = manifest;
+    expect(signature).toBeTruthy();
+    expect((await verifyManifestSignature(unsigned)).valid).toBe(false);
+  });
+
+  test('verifies downloaded artifacts against the written manifest', async () => {
+    const url = await writeBuildManifest(await buildManifest());
+    written.push(path.join(process.cwd(), url));
+    expect(url).toBe(`/downloads/${baseName}.manifest.json`);
+
+    const upload = path.join(workDir, 'upload.apk');
+    await fs.writeFile(upload, apk);
+    expect(await verifyArtifact({ filename: `${baseName}.apk`, filePath: upload })).toEqual(expect.objectContaining({
+      verified: true,
+      matches: true,
+      source: 'upload',
+      expectedSha256: sha256(apk)
+    }));
+
+    const mismatch = await verifyArtifact({ filename: `${baseName}.apk`, sha256: sha256('something else') });
+    expect(mismatch).toEqual(expect.objectContaining({ verified: false, matches: false, source: 'checksum' }));
+
+    expect(await verifyArtifact({ filename: 'unknown-build.apk', sha256: sha256(apk) })).toBeNull();
+    expect(await verifyArtifact({ filename: '../package.json', sha256: sha256(apk) })).toBeNull();
+  });
+});
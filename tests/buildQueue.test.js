@@ -0,0 +1,165 @@
+import { createBuildJob, getBuildJobById, updateBuildJob, claimNextBuildJob } from '../services/database.js';
+import { validateUrl, packageApp } from '../services/appGenerator.js';
+import {
+  enqueueBuild,
+  processNextBuildJob,
+  recoverStaleBuildJobs,
+  cancelBuild,
+  retryBuild
+} from '../services/buildQueue.js';
+
+// The in-memory store the app falls back to without Supabase
+jest.mock('../services/database.js', () => {
+  delete process.env.SUPABASE_URL;
+  return jest.requireActual('../services/database.js');
+});
+
+jest.mock('../services/appGenerator.js', () => ({
+  validateUrl: jest.fn(),
+  buildAppPackage: jest.fn(({ appName }) => ({
+    metadata: { name: appName, version: '1.0.0' },
+    configuration: { features: {}, webview: {} },
+    build: { android: { packageName: 'com.example.shop', versionCode: 1 } }
+  })),
+  generateAppAssets: jest.fn(async () => ({ icons: { main: '/icon.png' }, screenshots: [] })),
+  packageApp: jest.fn()
+}));
+
+jest.mock('../services/aiAnalyzer.js', () => ({
+  analyzeWebsite: jest.fn(async () => ({ category: 'shopping' }))
+}));
+
+jest.mock('../services/brandKit.js', () => ({
+  extractBrandKit: jest.fn(async () => { throw new Error('offline'); })
+}));
+
+jest.mock('../services/offlineBundle.js', () => ({
+  captureOfflineBundle: jest.fn()
+}));
+
+jest.mock('../services/pushNotifications.js', () => ({
+  resolvePushEndpoint: jest.fn(() => null),
+  resolveFcmClientConfig: jest.fn(() => null)
+}));
+
+const input = { url: 'https://example.com', appName: 'Shop' };
+
+const queueBuild = (options = {}) => enqueueBuild({ appId: 'app-1', userId: 'user-1', input, ...options });
+
+// Other tests may have left due jobs behind; run them out of the way
+const drain = async () => {
+  while (await claimNextBuildJob()) {
+    // Claimed jobs are simply left running
+  }
+};
+
+describe('Build queue', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  beforeEach(async () => {
+    await drain();
+    validateUrl.mockResolvedValue({ isValid: true, errors: [], warnings: [] });
+    packageApp.mockImplementation(async (appPackage) => {
+      appPackage.downloadLinks = { android: '/downloads/build.apk' };
+      appPackage.buildTime = new Date().toISOString();
+    });
+  });
+
+  test('claims queued jobs oldest first and only once', async () => {
+    const first = await queueBuild();
+    const second = await queueBuild();
+
+    const claimed = await claimNextBuildJob();
+    expect(claimed.id).toBe(first.id);
+    expect(claimed.status).toBe('running');
+    expect(claimed.heartbeat_at).toBeTruthy();
+
+    // A second worker only finds the other job
+    expect((await claimNextBuildJob()).id).toBe(second.id);
+    expect(await claimNextBuildJob()).toBeNull();
+    expect(await updateBuildJob(first.id, { status: 'running' }, ['queued'])).toBeNull();
+  });
+
+  test('runs every step of a claimed job', async () => {
+    const job = await queueBuild();
+
+    expect(await processNextBuildJob()).toBe(true);
+
+    const finished = await getBuildJobById(job.id);
+    expect(finished.status).toBe('completed');
+    expect(finished.progress).toBe(100);
+    expect(finished.steps.every(step => step.status === 'completed')).toBe(true);
+    expect(finished.result.downloadLinks).toEqual({ android: '/downloads/build.apk' });
+  });
+
+  test('retries failed steps with exponential backoff', async () => {
+    packageApp.mockRejectedValue(new Error('disk full'));
+    const job = await queueBuild({ maxAttempts: 3 });
+
+    const before = Date.now();
+    await processNextBuildJob();
+    let retried = await getBuildJobById(job.id);
+    expect(retried).toEqual(expect.objectContaining({ status: 'queued', attempts: 1, error: 'disk full' }));
+    expect(Date.parse(retried.run_after) - before).toBeGreaterThanOrEqual(30 * 1000);
+    expect(retried.steps.find(step => step.id === 'package')).toEqual(expect.objectContaining({ status: 'failed', error: 'disk full' }));
+
+    // Not due yet
+    expect(await processNextBuildJob()).toBe(false);
+
+    await updateBuildJob(job.id, { run_after: new Date(Date.now() - 1000).toISOString() });
+    await processNextBuildJob();
+    retried = await getBuildJobById(job.id);
+    expect(retried.attempts).toBe(2);
+    expect(Date.parse(retried.run_after) - Date.now()).toBeGreaterThan(59 * 1000);
+
+    await updateBuildJob(job.id, { run_after: null });
+    await processNextBuildJob();
+    const failed = await getBuildJobById(job.id);
+    expect(failed).toEqual(expect.objectContaining({ status: 'failed', attempts: 3 }));
+    expect(failed.finished_at).toBeTruthy();
+  });
+
+  test('does not retry invalid input', async () => {
+    validateUrl.mockResolvedValue({ isValid: false, errors: ['Site unreachable'], warnings: [] });
+    const job = await queueBuild();
+
+    await processNextBuildJob();
+
+    expect(await getBuildJobById(job.id)).toEqual(expect.objectContaining({
+      status: 'failed',
+      attempts: 1,
+      error: 'Invalid URL: Site unreachable'
+    }));
+  });
+
+  test('requeues jobs whose worker stopped and fails them once attempts run out', async () => {
+    const stale = new Date(Date.now() - 11 * 60 * 1000).toISOString();
+    const interrupted = await createBuildJob({ app_id: 'app-1', status: 'running', attempts: 1, max_attempts: 3, heartbeat_at: stale, logs: [] });
+    const exhausted = await createBuildJob({ app_id: 'app-1', status: 'running', attempts: 3, max_attempts: 3, heartbeat_at: stale, logs: [] });
+    const alive = await createBuildJob({ app_id: 'app-1', status: 'running', attempts: 1, max_attempts: 3, heartbeat_at: new Date().toISOString(), logs: [] });
+
+    await recoverStaleBuildJobs();
+
+    expect((await getBuildJobById(interrupted.id)).status).toBe('queued');
+    expect(await getBuildJobById(exhausted.id)).toEqual(expect.objectContaining({
+      status: 'failed',
+      error: 'Build worker stopped during the build'
+    }));
+    expect((await getBuildJobById(alive.id)).status).toBe('running');
+  });
+
+  test('cancels queued jobs and retries them as new jobs', async () => {
+    const job = await queueBuild();
+
+    const cancelled = await cancelBuild(job.id);
+    expect(cancelled.status).toBe('cancelled');
+    expect(await claimNextBuildJob()).toBeNull();
+
+    const retry = await retryBuild(job.id);
+    expect(retry.id).not.toBe(job.id);
+    expect(retry).toEqual(expect.objectContaining({ status: 'queued', attempts: 0, input }));
+    expect(await retryBuild(retry.id)).toBeNull();
+  });
+});
@@ -0,0 +1,123 @@
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { getAppById } from '../services/database.js';
+import {
+  validatePathPatterns,
+  getAppHosts,
+  toAndroidPathAttributes,
+  toAssociatedDomains,
+  resolveTeamId,
+  generateDeepLinkFiles
+} from '../services/deepLinks.js';
+import appsRoutes from '../routes/apps.js';
+
+jest.mock('../services/database.js', () => ({
+  getUserById: jest.fn(async (id) => ({ id })),
+  getAppById: jest.fn()
+}));
+
+jest.mock('../services/signingKeystore.js', () => ({
+  loadSigningKeystore: jest.fn(async () => ({ fingerprint: 'AB:CD:EF', debug: false })),
+  checkPlayUploadKeystore: jest.fn()
+}));
+
+const appPackage = {
+  configuration: {
+    webview: { url: 'https://www.example.com/app' },
+    features: { deepLinks: { enabled: true, hosts: ['example.com', 'www.example.com'], paths: ['/orders/*', '/help'] } }
+  },
+  build: {
+    android: { packageName: 'com.example.shop' },
+    ios: { bundleId: 'com.example.shop' }
+  }
+};
+
+describe('Deep link files', () => {
+  afterEach(() => {
+    delete process.env.APPLE_TEAM_ID;
+    delete process.env.ANDROID_APP_LINK_FINGERPRINTS;
+  });
+
+  test('validates path patterns', () => {
+    expect(validatePathPatterns(['/*', '/files/*.pdf'])).toEqual([]);
+    expect(validatePathPatterns(['orders', '/a b'])).toEqual(['Invalid deep link paths (must start with "/"): orders, /a b']);
+    expect(validatePathPatterns('/*')).toEqual(['deepLinks.paths must be an array of path patterns']);
+    expect(validatePathPatterns(Array(51).fill('/x'))).toEqual(['deepLinks.paths allows at most 50 patterns']);
+  });
+
+  test('maps patterns and hosts to the platform formats', () => {
+    expect(toAndroidPathAttributes('/help')).toEqual({ 'android:path': '/help' });
+    expect(toAndroidPathAttributes('/orders/*')).toEqual({ 'android:pathPrefix': '/orders/' });
+    expect(toAndroidPathAttributes('/files/*.pdf')).toEqual({ 'android:pathPattern': '/files/.*.pdf' });
+    expect(toAssociatedDomains(['example.com'])).toEqual(['applinks:example.com']);
+    expect(getAppHosts(appPackage)).toEqual(['www.example.com', 'example.com']);
+    expect(resolveTeamId(' abcde12345 ')).toBe('ABCDE12345');
+    expect(resolveTeamId('short')).toBeNull();
+  });
+
+  test('generates assetlinks.json and apple-app-site-association', async () => {
+    process.env.ANDROID_APP_LINK_FINGERPRINTS = '12:34, ab:cd:ef';
+
+    const { hosts, files, warnings } = await generateDeepLinkFiles(appPackage, { teamId: 'ABCDE12345' });
+
+    expect(hosts).toEqual(['example.com', 'www.example.com']);
+    expect(warnings).toEqual([]);
+    expect(files['assetlinks.json'].path).toBe('/.well-known/assetlinks.json');
+    expect(files['assetlinks.json'].content[0].target).toEqual({
+      namespace: 'android_app',
+      package_name: 'com.example.shop',
+      sha256_cert_fingerprints: ['AB:CD:EF', '12:34']
+    });
+    expect(files['apple-app-site-association'].content.applinks.details).toEqual([{
+      appIDs: ['ABCDE12345.com.example.shop'],
+      components: [{ '/': '/orders/*' }, { '/': '/help' }],
+      appID: 'ABCDE12345.com.example.shop',
+      paths: ['/orders/*', '/help']
+    }]);
+  });
+
+  test('warns about the team ID placeholder', async () => {
+    const { files, warnings } = await generateDeepLinkFiles(appPackage);
+
+    expect(files['apple-app-site-association'].content.applinks.details[0].appID).toBe('TEAM_ID.com.example.shop');
+    expect(warnings).toEqual([expect.stringContaining('Set APPLE_TEAM_ID')]);
+  });
+});
+
+describe('Deep link file downloads', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/apps', appsRoutes);
+
+  let userToken;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret-for-deep-links';
+    userToken = jwt.sign({ id: 'user-1', email: 'owner@example.com' }, process.env.JWT_SECRET);
+  });
+
+  beforeEach(() => {
+    getAppById.mockResolvedValue({ id: 'app-1', package_info: appPackage });
+  });
+
+  test('serves the generated files', async () => {
+    const response = await request(app)
+      .get('/api/apps/app-1/deep-links/assetlinks.json')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(response.headers['content-disposition']).toBe('attachment; filename="assetlinks.json"');
+    expect(JSON.parse(response.text)[0].target.package_name).toBe('com.example.shop');
+  });
+
+  test('refuses names that are not generated files', async () => {
+    for (const file of ['__proto__', 'constructor', 'toString', 'secrets.json']) {
+      const response = await request(app)
+        .get(`/api/apps/app-1/deep-links/${file}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(404);
+      expect(response.body.files).toEqual(['assetlinks.json', 'apple-app-site-association']);
+    }
+  });
+});
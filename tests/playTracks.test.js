@@ -0,0 +1,196 @@
+import { createReleaseAuditEntry, getAppReleases, updateAppRelease } from '../services/database.js';
+import {
+  normalizeTrack,
+  validateTrackOperation,
+  planTrackUpdate,
+  runTrackOperation
+} from '../services/playTracks.js';
+
+jest.mock('../services/database.js', () => ({
+  createReleaseAuditEntry: jest.fn(async (entry) => ({ id: 'audit-1', ...entry })),
+  getReleaseAuditEntries: jest.fn(),
+  getAppReleases: jest.fn(async () => [{ id: 'release-1', publish_info: {} }]),
+  updateAppRelease: jest.fn(async (id, data) => ({ id, ...data }))
+}));
+
+const operation = (action, input) => validateTrackOperation(action, input).operation;
+
+describe('Track operation validation', () => {
+  test('normalizes track names and aliases', () => {
+    expect(normalizeTrack(' Production ')).toBe('production');
+    expect(normalizeTrack('closed')).toBe('alpha');
+    expect(normalizeTrack('open')).toBe('beta');
+    expect(normalizeTrack('qa-team:1')).toBe('qa-team:1');
+    expect(normalizeTrack('../tracks')).toBeNull();
+    expect(normalizeTrack(42)).toBeNull();
+  });
+
+  test('accepts promotions and staged rollouts', () => {
+    expect(validateTrackOperation('promote', { fromTrack: 'open', track: 'production', userFraction: '0.2', versionCode: 7 })).toEqual({
+      isValid: true,
+      errors: [],
+      operation: { action: 'promote', fromTrack: 'beta', track: 'production', userFraction: 0.2, versionCode: 7 }
+    });
+    expect(validateTrackOperation('halt', { track: 'production' }).isValid).toBe(true);
+  });
+
+  test('reports every invalid field', () => {
+    expect(validateTrackOperation('delete', { track: '' }).errors).toEqual([
+      'action must be one of publish, promote, rollout, halt, resume',
+      'track must be internal, closed (alpha), open (beta), production or a custom track name'
+    ]);
+    expect(validateTrackOperation('promote', { fromTrack: 'beta', track: 'open', versionCode: 1.5 }).errors).toEqual([
+      'fromTrack and track must be different',
+      'versionCode must be a positive integer'
+    ]);
+    expect(validateTrackOperation('rollout', { track: 'production' }).errors).toEqual(['userFraction is required']);
+    for (const userFraction of [0, 1.5, 'half', -0.1]) {
+      expect(validateTrackOperation('rollout', { track: 'production', userFraction }).errors)
+        .toEqual(['userFraction must be greater than 0 and at most 1']);
+    }
+  });
+
+  test('refuses staged rollouts on the internal track', () => {
+    expect(validateTrackOperation('promote', { fromTrack: 'alpha', track: 'internal', userFraction: 0.5 }).errors)
+      .toEqual(['Staged rollouts are not available on the internal track']);
+    expect(validateTrackOperation('promote', { fromTrack: 'alpha', track: 'internal', userFraction: 1 }).isValid).toBe(true);
+  });
+});
+
+describe('Track update plans', () => {
+  const live = { name: '1.0.0', versionCodes: ['5'], status: 'completed' };
+  const staged = { name: '1.1.0', versionCodes: ['6'], status: 'inProgress', userFraction: 0.1 };
+
+  test('promotes the newest release of the source track', () => {
+    const beta = [live, { name: '1.1.0', versionCodes: ['6'], status: 'completed', releaseNotes: [{ language: 'en-US', text: 'Fixes' }] }];
+
+    expect(planTrackUpdate(operation('promote', { fromTrack: 'beta', track: 'production' }), { source: beta, target: [live] })).toEqual({
+      release: { name: '1.1.0', versionCodes: ['6'], releaseNotes: [{ language: 'en-US', text: 'Fixes' }], status: 'completed' },
+      releases: [{ name: '1.1.0', versionCodes: ['6'], releaseNotes: [{ language: 'en-US', text: 'Fixes' }], status: 'completed' }]
+    });
+  });
+
+  test('keeps the current release for everyone outside a staged promotion', () => {
+    const plan = planTrackUpdate(
+      operation('promote', { fromTrack: 'beta', track: 'production', userFraction: 0.1 }),
+      { source: [{ ...staged, status: 'completed' }], target: [live] }
+    );
+
+    expect(plan.release).toEqual({ name: '1.1.0', versionCodes: ['6'], status: 'inProgress', userFraction: 0.1 });
+    expect(plan.releases).toEqual([live, plan.release]);
+  });
+
+  test('reports promotions without a release on the source track', () => {
+    expect(planTrackUpdate(operation('promote', { fromTrack: 'beta', track: 'production' }), { source: [{ ...staged, status: 'draft' }] }))
+      .toEqual({ errors: ['No release to promote on the beta track'] });
+    expect(planTrackUpdate(operation('promote', { fromTrack: 'beta', track: 'production', versionCode: 9 }), { source: [live] }))
+      .toEqual({ errors: ['Version code 9 is not on the beta track'] });
+  });
+
+  test('widens, completes, halts and resumes staged rollouts', () => {
+    const target = [live, staged];
+
+    const widened = planTrackUpdate(operation('rollout', { track: 'production', userFraction: 0.5 }), { target });
+    expect(widened.releases).toEqual([live, { ...staged, userFraction: 0.5 }]);
+
+    const completed = planTrackUpdate(operation('rollout', { track: 'production', userFraction: 1 }), { target });
+    expect(completed.release).toEqual({ name: '1.1.0', versionCodes: ['6'], status: 'completed' });
+    expect(completed.releases).toEqual([completed.release]);
+
+    const halted = planTrackUpdate(operation('halt', { track: 'production' }), { target });
+    expect(halted.releases).toEqual([live, { ...staged, status: 'halted' }]);
+
+    const resumed = planTrackUpdate(operation('resume', { track: 'production' }), { target: halted.releases });
+    expect(resumed.release).toEqual(staged);
+  });
+
+  test('refuses to lower a rollout or act without one', () => {
+    const target = [live, { ...staged, userFraction: 0.5 }];
+
+    expect(planTrackUpdate(operation('rollout', { track: 'production', userFraction: 0.2 }), { target }))
+      .toEqual({ errors: ['userFraction cannot be lowered below the current 0.5'] });
+    expect(planTrackUpdate(operation('halt', { track: 'production' }), { target: [live] }))
+      .toEqual({ errors: ['No staged rollout in progress on the production track'] });
+    expect(planTrackUpdate(operation('resume', { track: 'production' }), { target }))
+      .toEqual({ errors: ['No halted rollout on the production track'] });
+  });
+});
+
+describe('Track operations', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = {
+      createEdit: jest.fn(async () => ({ success: true, editId: 'edit-1' })),
+      listTracks: jest.fn(async () => ({
+        success: true,
+        tracks: [
+          { track: 'beta', releases: [{ name: '1.1.0', versionCodes: ['6'], status: 'completed' }] },
+          { track: 'production', releases: [{ name: '1.0.0', versionCodes: ['5'], status: 'completed' }] }
+        ]
+      })),
+      updateTrack: jest.fn(async (packageName, editId, track, releases) => ({ success: true, track: { track, releases } })),
+      commitEdit: jest.fn(async () => ({ success: true })),
+      deleteEdit: jest.fn(async () => ({ success: true }))
+    };
+  });
+
+  const run = (action, input) => runTrackOperation({
+    service,
+    appId: 'app-1',
+    userId: 'user-1',
+    packageName: 'com.example.shop',
+    operation: operation(action, input)
+  });
+
+  test('commits a promotion and records it on the release and in the audit trail', async () => {
+    const result = await run('promote', { fromTrack: 'beta', track: 'production', userFraction: 0.2 });
+
+    expect(service.updateTrack).toHaveBeenCalledWith('com.example.shop', 'edit-1', 'production', [
+      { name: '1.0.0', versionCodes: ['5'], status: 'completed' },
+      { name: '1.1.0', versionCodes: ['6'], status: 'inProgress', userFraction: 0.2 }
+    ]);
+    expect(service.commitEdit).toHaveBeenCalledWith('com.example.shop', 'edit-1');
+    expect(service.deleteEdit).not.toHaveBeenCalled();
+    expect(result.release).toEqual({ name: '1.1.0', versionCodes: [6], status: 'inProgress', userFraction: 0.2, releaseNotes: [] });
+
+    expect(getAppReleases).toHaveBeenCalledWith('app-1', { versionCodes: [6], limit: 1 });
+    expect(updateAppRelease.mock.calls[0][1].publish_info['google-play']).toEqual(expect.objectContaining({
+      track: 'production', rolloutStatus: 'inProgress', userFraction: 0.2
+    }));
+    expect(createReleaseAuditEntry).toHaveBeenCalledWith(expect.objectContaining({
+      app_id: 'app-1',
+      release_id: 'release-1',
+      action: 'promote',
+      track: 'production',
+      from_track: 'beta',
+      version_codes: [6],
+      user_fraction: 0.2,
+      status: 'succeeded'
+    }));
+  });
+
+  test('discards the edit and records plans the tracks do not allow', async () => {
+    const result = await run('halt', { track: 'production' });
+
+    expect(result.errors).toEqual(['No staged rollout in progress on the production track']);
+    expect(service.deleteEdit).toHaveBeenCalledWith('com.example.shop', 'edit-1');
+    expect(service.updateTrack).not.toHaveBeenCalled();
+    expect(createReleaseAuditEntry).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'halt', status: 'failed', error: 'No staged rollout in progress on the production track'
+    }));
+  });
+
+  test('discards the edit and records failed commits', async () => {
+    service.commitEdit.mockResolvedValue({ success: false, error: 'Release notes missing' });
+
+    await expect(run('promote', { fromTrack: 'beta', track: 'production' })).rejects.toThrow('Failed to promote release: Release notes missing');
+
+    expect(service.deleteEdit).toHaveBeenCalledWith('com.example.shop', 'edit-1');
+    expect(updateAppRelease).not.toHaveBeenCalled();
+    expect(createReleaseAuditEntry).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'promote', status: 'failed', error: 'Release notes missing'
+    }));
+  });
+});
@@ -0,0 +1,47 @@
+import { assertPublicUrl, guardPageRequests, isPublicAddress } from '../services/publicFetch.js';
+
+describe('Public host guard', () => {
+  test('tells public addresses from internal ones', () => {
+    ['8.8.8.8', '93.184.216.34', '2606:4700::1111'].forEach(address => {
+      expect(isPublicAddress(address)).toBe(true);
+    });
+    [
+      '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+      '224.0.0.1', '::1', '::', '::ffff:127.0.0.1', 'fe80::1', 'fd00::1', 'not-an-address'
+    ].forEach(address => {
+      expect(isPublicAddress(address)).toBe(false);
+    });
+  });
+
+  test('rejects internal and non-http URLs before fetching', async () => {
+    await expect(assertPublicUrl('http://169.254.169.254/latest/meta-data')).rejects.toThrow('169.254.169.254 is not a public host');
+    await expect(assertPublicUrl('http://0x7f000001/')).rejects.toThrow('127.0.0.1 is not a public host');
+    await expect(assertPublicUrl('http://[::ffff:10.0.0.1]/')).rejects.toThrow('is not a public host');
+    await expect(assertPublicUrl('file:///etc/passwd')).rejects.toThrow('Unsupported protocol: file:');
+    await expect(assertPublicUrl('https://8.8.8.8/')).resolves.toBeUndefined();
+  });
+
+  test('aborts browser requests for internal hosts', async () => {
+    const handlers = [];
+    const page = { setRequestInterception: jest.fn(async () => {}), on: (event, handler) => handlers.push(handler) };
+    await guardPageRequests(page);
+
+    const outcomes = {};
+    for (const url of ['https://8.8.8.8/app.css', 'data:image/png;base64,AA==', 'http://10.0.0.1/', 'ws://127.0.0.1:9222/', 'file:///etc/passwd']) {
+      await handlers[0]({
+        url: () => url,
+        continue: async () => { outcomes[url] = 'continued'; },
+        abort: async (reason) => { outcomes[url] = reason; }
+      });
+    }
+
+    expect(page.setRequestInterception).toHaveBeenCalledWith(true);
+    expect(outcomes).toEqual({
+      'https://8.8.8.8/app.css': 'continued',
+      'data:image/png;base64,AA==': 'continued',
+      'http://10.0.0.1/': 'blockedbyclient',
+      'ws://127.0.0.1:9222/': 'blockedbyclient',
+      'file:///etc/passwd': 'blockedbyclient'
+    });
+  });
+});
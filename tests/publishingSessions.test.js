@@ -0,0 +1,181 @@
+import { getPublishingSessionById, updatePublishingSession } from '../services/database.js';
+import { GooglePlayConsoleService } from '../services/googlePlayConsole.js';
+import {
+  encryptToken,
+  decryptToken,
+  startAuthorization,
+  completeAuthorization,
+  openPublishingSession,
+  revokePublishingSession
+} from '../services/publishingSessions.js';
+
+// The in-memory store the app falls back to without Supabase
+jest.mock('../services/database.js', () => {
+  delete process.env.SUPABASE_URL;
+  return jest.requireActual('../services/database.js');
+});
+
+jest.mock('../services/googlePlayConsole.js', () => ({
+  GooglePlayConsoleService: jest.fn()
+}));
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Publishing session tokens', () => {
+  beforeAll(() => {
+    process.env.PUBLISHING_TOKEN_KEY = 'test-publishing-token-key';
+  });
+
+  afterAll(() => {
+    delete process.env.PUBLISHING_TOKEN_KEY;
+  });
+
+  test('encrypts tokens with a fresh IV and round-trips them', () => {
+    const first = encryptToken('ya29.access');
+    const second = encryptToken('ya29.access');
+
+    expect(first).toMatch(/^v1:[^:]+:[^:]+:[^:]+$/);
+    expect(first).not.toContain('ya29');
+    expect(first).not.toBe(second);
+    expect(decryptToken(first)).toBe('ya29.access');
+    expect(encryptToken(null)).toBeNull();
+    expect(decryptToken(null)).toBeNull();
+  });
+
+  test('rejects tampered tokens, other keys and unknown formats', () => {
+    const token = encryptToken('1//refresh');
+    const [format, iv, tag, encrypted] = token.split(':');
+    const flipped = Buffer.from(encrypted, 'base64');
+    flipped[0] ^= 1;
+
+    expect(() => decryptToken([format, iv, tag, flipped.toString('base64')].join(':'))).toThrow();
+    expect(() => decryptToken(`v0:${iv}:${tag}:${encrypted}`)).toThrow('Unsupported token format: v0');
+
+    process.env.PUBLISHING_TOKEN_KEY = 'another-key';
+    try {
+      expect(() => decryptToken(token)).toThrow();
+    } finally {
+      process.env.PUBLISHING_TOKEN_KEY = 'test-publishing-token-key';
+    }
+  });
+});
+
+describe('Publishing session lifecycle', () => {
+  let playService;
+  let userCount = 0;
+  let userId;
+
+  const authorize = async (tokens) => {
+    const { session } = await startAuthorization(userId);
+    const { oauth_state: state } = await getPublishingSessionById(session.id);
+    playService.exchangeCodeForTokens.mockResolvedValueOnce({ tokens });
+    return completeAuthorization(state, 'auth-code');
+  };
+
+  beforeAll(() => {
+    process.env.PUBLISHING_TOKEN_KEY = 'test-publishing-token-key';
+  });
+
+  afterAll(() => {
+    delete process.env.PUBLISHING_TOKEN_KEY;
+  });
+
+  beforeEach(() => {
+    userId = `user-${++userCount}`;
+    playService = {
+      getAuthorizationUrl: jest.fn(state => `https://accounts.google.com/o/oauth2/v2/auth?state=${state}`),
+      exchangeCodeForTokens: jest.fn(),
+      initializeWithTokens: jest.fn(async () => ({ success: true })),
+      revokeToken: jest.fn(async () => {})
+    };
+    GooglePlayConsoleService.mockImplementation(() => playService);
+  });
+
+  test('stores authorized tokens encrypted and never returns them', async () => {
+    const expiry = Date.now() + HOUR;
+    const session = await authorize({ access_token: 'ya29.access', refresh_token: '1//refresh', expiry_date: expiry, scope: 'androidpublisher' });
+
+    expect(session).toEqual(expect.objectContaining({ user_id: userId, status: 'active', scope: 'androidpublisher' }));
+    expect(session).not.toHaveProperty('access_token');
+    expect(session).not.toHaveProperty('refresh_token');
+    expect(session).not.toHaveProperty('oauth_state');
+
+    const stored = await getPublishingSessionById(session.id);
+    expect(stored.access_token).not.toContain('ya29');
+    expect(decryptToken(stored.access_token)).toBe('ya29.access');
+    expect(decryptToken(stored.refresh_token)).toBe('1//refresh');
+    expect(stored.token_expires_at).toBe(new Date(expiry).toISOString());
+  });
+
+  test('ignores unknown and stale OAuth states', async () => {
+    expect(await completeAuthorization('unknown-state', 'auth-code')).toBeNull();
+
+    const { session } = await startAuthorization(userId);
+    const { oauth_state: state } = await getPublishingSessionById(session.id);
+    await updatePublishingSession(session.id, { created_at: new Date(Date.now() - HOUR).toISOString() });
+
+    expect(await completeAuthorization(state, 'auth-code')).toBeNull();
+    expect(playService.exchangeCodeForTokens).not.toHaveBeenCalled();
+    expect((await getPublishingSessionById(session.id)).status).toBe('expired');
+  });
+
+  test('stores refreshed tokens and keeps the refresh token Google did not rotate', async () => {
+    const session = await authorize({ access_token: 'ya29.old', refresh_token: '1//refresh', expiry_date: Date.now() - 1000 });
+    const refreshedExpiry = Date.now() + HOUR;
+    playService.initializeWithTokens.mockImplementationOnce(async (tokens, { onTokens }) => {
+      await onTokens({ access_token: 'ya29.new', expiry_date: refreshedExpiry });
+      return { success: true };
+    });
+
+    const opened = await openPublishingSession(session.id, userId);
+
+    expect(opened.service).toBe(playService);
+    expect(opened.session.last_used_at).toBeTruthy();
+    expect(playService.initializeWithTokens).toHaveBeenCalledWith(
+      expect.objectContaining({ access_token: 'ya29.old', refresh_token: '1//refresh' }),
+      expect.any(Object)
+    );
+
+    const stored = await getPublishingSessionById(session.id);
+    expect(decryptToken(stored.access_token)).toBe('ya29.new');
+    expect(decryptToken(stored.refresh_token)).toBe('1//refresh');
+    expect(stored.token_expires_at).toBe(new Date(refreshedExpiry).toISOString());
+  });
+
+  test('only opens active sessions of the same user', async () => {
+    const session = await authorize({ access_token: 'ya29.access', refresh_token: '1//refresh', expiry_date: Date.now() + HOUR });
+
+    expect(await openPublishingSession(session.id, 'someone-else')).toBeNull();
+    expect(await openPublishingSession('missing-session', userId)).toBeNull();
+    expect(playService.initializeWithTokens).not.toHaveBeenCalled();
+  });
+
+  test('expires sessions whose tokens can no longer be used', async () => {
+    const rejected = await authorize({ access_token: 'ya29.access', refresh_token: '1//revoked', expiry_date: Date.now() - 1000 });
+    playService.initializeWithTokens.mockRejectedValueOnce(Object.assign(new Error('invalid_grant'), { code: 'invalid_grant' }));
+    expect(await openPublishingSession(rejected.id, userId)).toBeNull();
+
+    const unrefreshable = await authorize({ access_token: 'ya29.access', expiry_date: Date.now() - 1000 });
+    expect(await openPublishingSession(unrefreshable.id, userId)).toBeNull();
+
+    const unreadable = await authorize({ access_token: 'ya29.access', refresh_token: '1//refresh', expiry_date: Date.now() + HOUR });
+    await updatePublishingSession(unreadable.id, { access_token: 'v0:garbage' });
+    expect(await openPublishingSession(unreadable.id, userId)).toBeNull();
+
+    for (const { id } of [rejected, unrefreshable, unreadable]) {
+      const stored = await getPublishingSessionById(id);
+      expect(stored).toEqual(expect.objectContaining({ status: 'expired', access_token: null, refresh_token: null }));
+    }
+  });
+
+  test('revokes the refresh token at Google and deletes the tokens', async () => {
+    const session = await authorize({ access_token: 'ya29.access', refresh_token: '1//refresh', expiry_date: Date.now() + HOUR });
+
+    const revoked = await revokePublishingSession(session.id, userId);
+
+    expect(revoked.status).toBe('revoked');
+    expect(playService.revokeToken).toHaveBeenCalledWith('1//refresh');
+    expect(await getPublishingSessionById(session.id)).toEqual(expect.objectContaining({ access_token: null, refresh_token: null }));
+    expect(await openPublishingSession(session.id, userId)).toBeNull();
+  });
+});
@@ -0,0 +1,213 @@
+import {
+  getAppById,
+  getPushDevices,
+  getPushCampaignById,
+  updatePushCampaign,
+  disablePushDevices,
+  upsertPushDevice,
+  getPushDeviceByToken,
+  recordEvent
+} from '../services/database.js';
+import {
+  registerDevice,
+  deliverCampaign,
+  recordOpen,
+  resolveFcmClientConfig
+} from '../services/pushNotifications.js';
+import { getPushProvider } from '../services/pushProviders.js';
+
+jest.mock('../services/database.js', () => ({
+  upsertPushDevice: jest.fn(async (device) => ({ id: 'device-1', ...device })),
+  getPushDevices: jest.fn(),
+  disablePushDevices: jest.fn(async () => {}),
+  getPushDeviceByToken: jest.fn(),
+  deletePushDevice: jest.fn(),
+  getPushSegmentById: jest.fn(),
+  createPushCampaign: jest.fn(),
+  getPushCampaignById: jest.fn(),
+  getPushCampaigns: jest.fn(),
+  updatePushCampaign: jest.fn(async (id, changes) => ({ id, ...changes })),
+  // Like the unique (campaign_id, device_id) constraint of push_opens
+  recordPushOpen: jest.fn(async (campaignId, deviceId) => {
+    const key = `${campaignId}:${deviceId}`;
+    if (mockOpens.has(key)) return false;
+    mockOpens.add(key);
+    return true;
+  }),
+  claimNextPushCampaign: jest.fn(),
+  getAppById: jest.fn(),
+  recordEvent: jest.fn(async () => {})
+}));
+
+const mockOpens = new Set();
+
+// What the Android shell gets from Google Play services
+const FCM_TOKEN = 'dGVzdC1pbnN0YW5jZQ:APA91bH3x_example-registration-token';
+const APNS_TOKEN = 'a'.repeat(64);
+
+const app = {
+  id: 'app-1',
+  package_info: { build: { ios: { bundleId: 'com.example.shop' } } }
+};
+
+const campaign = {
+  id: 'campaign-1',
+  app_id: app.id,
+  audience: {},
+  message: { title: 'Sale', body: '20% off today', url: 'https://example.com/sale' }
+};
+
+const device = (token, platform) => ({ token, platform, last_seen_at: new Date().toISOString() });
+
+describe('Push notifications with the mock provider', () => {
+  let mock;
+
+  beforeAll(() => {
+    process.env.PUSH_PROVIDER = 'mock';
+    mock = getPushProvider('android');
+  });
+
+  afterAll(() => {
+    delete process.env.PUSH_PROVIDER;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mock.reset();
+    getAppById.mockResolvedValue(app);
+    getPushCampaignById.mockResolvedValue({ ...campaign, status: 'sending', stats: {} });
+    getPushDeviceByToken.mockImplementation(async (appId, token) =>
+      (appId === app.id && token === FCM_TOKEN ? { id: 'device-1', ...device(FCM_TOKEN, 'android') } : null));
+    mockOpens.clear();
+  });
+
+  test('registers the tokens the Android and iOS shells post', async () => {
+    const android = await registerDevice(app.id, { token: FCM_TOKEN, platform: 'android', locale: 'en_US', appVersion: '1.2.0' });
+    const ios = await registerDevice(app.id, { token: APNS_TOKEN.toUpperCase(), platform: 'ios', locale: 'en-GB' });
+
+    expect(android.device).toMatchObject({ app_id: app.id, token: FCM_TOKEN, platform: 'android', locale: 'en_US', disabled_at: null });
+    expect(ios.device).toMatchObject({ token: APNS_TOKEN, platform: 'ios' });
+    expect(upsertPushDevice).toHaveBeenCalledTimes(2);
+  });
+
+  test('rejects tokens that do not match the platform', async () => {
+    const result = await registerDevice(app.id, { token: FCM_TOKEN, platform: 'ios' });
+
+    expect(result.errors).toEqual(['token is not a valid APNs device token']);
+    expect(upsertPushDevice).not.toHaveBeenCalled();
+  });
+
+  test('uses the mock provider for every platform', () => {
+    expect(mock.name).toBe('mock');
+    expect(getPushProvider('ios')).toBe(mock);
+  });
+
+  test('delivers a campaign to android and ios devices', async () => {
+    getPushDevices.mockResolvedValue([device(FCM_TOKEN, 'android'), device(APNS_TOKEN, 'ios')]);
+
+    const updated = await deliverCampaign(campaign);
+
+    expect(mock.sent.map(({ token, platform }) => [platform, token])).toEqual([
+      ['android', FCM_TOKEN],
+      ['ios', APNS_TOKEN]
+    ]);
+    expect(mock.sent[0].notification).toMatchObject({
+      title: 'Sale',
+      url: 'https://example.com/sale',
+      campaignId: campaign.id,
+      topic: 'com.example.shop'
+    });
+    expect(updated).toMatchObject({
+      status: 'sent',
+      error: null,
+      stats: { targeted: 2, delivered: 2, failed: 0, invalid: 0, opened: 0 }
+    });
+    expect(recordEvent).toHaveBeenCalledWith(expect.objectContaining({
+      event_type: 'push_delivery',
+      event_data: expect.objectContaining({ platform: 'android', provider: 'mock', delivered: 1 })
+    }));
+  });
+
+  test('disables invalid tokens and counts failures', async () => {
+    getPushDevices.mockResolvedValue([
+      device(FCM_TOKEN, 'android'),
+      device('invalid-token-from-an-uninstalled-app', 'android'),
+      device('fail-token-with-a-transient-error', 'android')
+    ]);
+
+    const updated = await deliverCampaign(campaign);
+
+    expect(disablePushDevices).toHaveBeenCalledWith(app.id, ['invalid-token-from-an-uninstalled-app']);
+    expect(updated.status).toBe('sent');
+    expect(updated.stats).toMatchObject({ targeted: 3, delivered: 1, failed: 1, invalid: 1 });
+    expect(updated.stats.platforms.android).toEqual({ targeted: 3, delivered: 1, failed: 1, invalid: 1 });
+  });
+
+  test('fails the campaign when no device is reached', async () => {
+    getPushDevices.mockResolvedValue([device('fail-token-with-a-transient-error', 'android')]);
+
+    const updated = await deliverCampaign(campaign);
+
+    expect(updated).toMatchObject({ status: 'failed', error: 'Mock failure' });
+    expect(mock.sent).toHaveLength(0);
+  });
+
+  test('counts opens reported by the shells', async () => {
+    getPushCampaignById.mockResolvedValue({ ...campaign, status: 'sent', stats: { delivered: 2, opened: 1 } });
+
+    const updated = await recordOpen(app.id, { campaignId: campaign.id, token: FCM_TOKEN, platform: 'android' });
+
+    expect(updated.stats).toEqual({ delivered: 2, opened: 2 });
+    expect(recordEvent).toHaveBeenCalledWith({
+      app_id: app.id,
+      event_type: 'push_open',
+      event_data: { campaign_id: campaign.id, platform: 'android' }
+    });
+  });
+
+  test('counts one open per device and campaign', async () => {
+    getPushCampaignById.mockResolvedValue({ ...campaign, status: 'sent', stats: { delivered: 2, opened: 0 } });
+
+    await recordOpen(app.id, { campaignId: campaign.id, token: FCM_TOKEN, platform: 'android' });
+    const repeated = await recordOpen(app.id, { campaignId: campaign.id, token: FCM_TOKEN, platform: 'android' });
+
+    expect(repeated.id).toBe(campaign.id);
+    expect(updatePushCampaign).toHaveBeenCalledTimes(1);
+    expect(recordEvent).toHaveBeenCalledTimes(1);
+  });
+
+  test('ignores opens for unknown campaigns and devices', async () => {
+    expect(await recordOpen(app.id, { campaignId: campaign.id, platform: 'android' })).toBeNull();
+    expect(await recordOpen(app.id, { campaignId: campaign.id, token: APNS_TOKEN, platform: 'ios' })).toBeNull();
+    expect(await recordOpen('app-2', { campaignId: campaign.id, token: FCM_TOKEN, platform: 'android' })).toBeNull();
+
+    getPushCampaignById.mockResolvedValue(null);
+    expect(await recordOpen(app.id, { campaignId: 'campaign-2', token: FCM_TOKEN, platform: 'android' })).toBeNull();
+    expect(await recordOpen(app.id, {})).toBeNull();
+    expect(updatePushCampaign).not.toHaveBeenCalled();
+  });
+});
+
+describe('FCM client settings', () => {
+  const names = ['FCM_SENDER_ID', 'FCM_PROJECT_ID', 'FCM_API_KEY', 'FCM_ANDROID_APP_ID', 'FCM_IOS_APP_ID'];
+
+  afterEach(() => {
+    names.forEach(name => delete process.env[name]);
+  });
+
+  test('are only set when the Android app is configured', () => {
+    process.env.FCM_SENDER_ID = '1234567890';
+    process.env.FCM_PROJECT_ID = 'example-shop';
+    expect(resolveFcmClientConfig()).toBeNull();
+
+    process.env.FCM_API_KEY = 'AIzaSyExample';
+    process.env.FCM_ANDROID_APP_ID = '1:1234567890:android:abc123';
+    expect(resolveFcmClientConfig()).toEqual({
+      senderId: '1234567890',
+      projectId: 'example-shop',
+      apiKey: 'AIzaSyExample',
+      androidAppId: '1:1234567890:android:abc123',
+      iosAppId: null
+    });
+  });
+});
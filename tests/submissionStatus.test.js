@@ -0,0 +1,189 @@
+import { supabase, getAppById, createNotification } from '../services/database.js';
+import { GooglePlayConsoleService } from '../services/googlePlayConsole.js';
+import { getTrackStates } from '../services/playTracks.js';
+import { AppStoreConnectService, getReviewStatus } from '../services/appStoreConnect.js';
+import { fetchSubmissionStatus, syncSubmissionStatus } from '../services/submissionStatus.js';
+
+jest.mock('../services/database.js', () => ({
+  supabase: { from: jest.fn() },
+  getAppById: jest.fn(async (id) => ({ id, user_id: 'user-1', name: 'Shop' })),
+  createNotification: jest.fn(async (notification) => ({ id: 'notification-1', ...notification }))
+}));
+
+jest.mock('../services/googlePlayConsole.js', () => ({
+  GooglePlayConsoleService: jest.fn()
+}));
+
+jest.mock('../services/playTracks.js', () => ({
+  ...jest.requireActual('../services/playTracks.js'),
+  getTrackStates: jest.fn()
+}));
+
+jest.mock('../services/appStoreConnect.js', () => ({
+  AppStoreConnectService: jest.fn(),
+  getReviewStatus: jest.fn()
+}));
+
+const credentials = {
+  GOOGLE_PLAY: { serviceAccountKey: { client_email: 'publisher@example.iam.gserviceaccount.com' }, packageName: 'com.example.shop' },
+  APPLE_APP_STORE: { issuerId: 'issuer', keyId: 'KEY123', privateKey: 'key' }
+};
+
+/**
+ * Chainable stand-in for a Supabase query; single and maybeSingle resolve with result
+ */
+const mockQuery = (result) => {
+  const query = {};
+  ['select', 'update', 'eq', 'in'].forEach(method => {
+    query[method] = jest.fn(() => query);
+  });
+  query.single = jest.fn(async () => result);
+  query.maybeSingle = jest.fn(async () => result);
+  return query;
+};
+
+let updates;
+
+const playSubmission = (submissionData = {}, status = 'submitted') => ({
+  id: 'submission-1',
+  app_id: 'app-1',
+  platform: 'GOOGLE_PLAY',
+  status,
+  status_message: 'Submitted',
+  submission_id: 'play-1',
+  submission_data: submissionData,
+  partner_response: { uploadedAt: '2026-01-01T00:00:00.000Z' }
+});
+
+describe('Submission status adapters', () => {
+  let playService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    updates = [];
+    supabase.from.mockImplementation((table) => {
+      const query = mockQuery(null);
+      if (table === 'partnerships') {
+        query.eq.mockImplementation((column, platform) => {
+          query.single.mockResolvedValue({ data: { credentials: credentials[platform] }, error: null });
+          return query;
+        });
+      } else {
+        query.update.mockImplementation((data) => {
+          updates.push(data);
+          query.maybeSingle.mockResolvedValue({ data: { ...playSubmission(), ...data }, error: null });
+          return query;
+        });
+      }
+      return query;
+    });
+
+    playService = { initialize: jest.fn(async () => ({ success: true })) };
+    GooglePlayConsoleService.mockImplementation(() => playService);
+    getTrackStates.mockResolvedValue([
+      { track: 'beta', releases: [{ versionCodes: [7], status: 'completed', userFraction: 1 }] },
+      { track: 'production', releases: [{ versionCodes: [7], status: 'inProgress', userFraction: 0.2 }] }
+    ]);
+  });
+
+  test('reads Google Play status from the release on the submission track', async () => {
+    const inReview = await fetchSubmissionStatus(playSubmission({ versionCode: '7' }));
+    expect(playService.initialize).toHaveBeenCalledWith(credentials.GOOGLE_PLAY.serviceAccountKey);
+    expect(getTrackStates).toHaveBeenCalledWith(playService, 'com.example.shop');
+    expect(inReview).toEqual({
+      status: 'under_review',
+      message: 'Version code 7 is rolling out on the production track',
+      partnerResponse: {
+        uploadedAt: '2026-01-01T00:00:00.000Z',
+        googlePlay: { track: 'production', versionCode: 7, releaseStatus: 'inProgress', userFraction: 0.2, checkedAt: expect.any(String) }
+      }
+    });
+
+    const live = await fetchSubmissionStatus(playSubmission({ versionCode: 7, track: 'open' }));
+    expect(live.status).toBe('approved');
+    expect(live.message).toBe('Version code 7 is live on the beta track');
+  });
+
+  test('keeps the Google Play status until the release reaches the track', async () => {
+    const missing = await fetchSubmissionStatus(playSubmission({ versionCode: 8 }, 'under_review'));
+    expect(missing.status).toBe('under_review');
+    expect(missing.message).toBe('Version code 8 is not on the production track yet');
+
+    const unversioned = await fetchSubmissionStatus(playSubmission({}));
+    expect(unversioned.status).toBe('submitted');
+    expect(unversioned.message).toBe('The submission has no version code to follow on Google Play');
+    expect(getTrackStates).toHaveBeenCalledTimes(1);
+  });
+
+  test('fails when the Play credentials are rejected', async () => {
+    playService.initialize.mockResolvedValue({ success: false, error: 'invalid_grant' });
+
+    await expect(fetchSubmissionStatus(playSubmission({ versionCode: 7 }))).rejects.toThrow('invalid_grant');
+  });
+
+  test('reads App Store status from the version and review submission', async () => {
+    getReviewStatus.mockResolvedValue({
+      status: 'rejected',
+      message: 'Rejected by App Review',
+      appStoreState: 'REJECTED',
+      reviewState: 'UNRESOLVED_ISSUES'
+    });
+
+    const result = await fetchSubmissionStatus({
+      platform: 'APPLE_APP_STORE',
+      status: 'under_review',
+      submission_id: 'review-1',
+      partner_response: { appStoreConnect: { versionId: 'version-1' } }
+    });
+
+    expect(AppStoreConnectService).toHaveBeenCalledWith(credentials.APPLE_APP_STORE);
+    expect(getReviewStatus).toHaveBeenCalledWith(expect.any(Object), { versionId: 'version-1', reviewSubmissionId: 'review-1' });
+    expect(result).toEqual({
+      status: 'rejected',
+      message: 'Rejected by App Review',
+      partnerResponse: {
+        appStoreConnect: { versionId: 'version-1', appStoreState: 'REJECTED', reviewState: 'UNRESOLVED_ISSUES', checkedAt: expect.any(String) }
+      }
+    });
+  });
+
+  test('leaves platforms without an adapter alone', async () => {
+    const submission = { platform: 'MICROSOFT_STORE', status: 'submitted' };
+
+    expect(await fetchSubmissionStatus(submission)).toBeNull();
+    expect(await syncSubmissionStatus(submission)).toBe(submission);
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+
+  test('fails without a partnership for the platform', async () => {
+    supabase.from.mockImplementation(() => mockQuery({ data: null, error: { message: 'No rows' } }));
+
+    await expect(fetchSubmissionStatus(playSubmission({ versionCode: 7 }))).rejects.toThrow('No partnership found for GOOGLE_PLAY');
+  });
+
+  test('stores status changes and notifies the app owner', async () => {
+    const updated = await syncSubmissionStatus(playSubmission({ versionCode: 7 }));
+
+    expect(updated.status).toBe('under_review');
+    expect(updates).toEqual([expect.objectContaining({
+      status: 'under_review',
+      status_message: 'Version code 7 is rolling out on the production track',
+      partner_response: expect.objectContaining({ googlePlay: expect.objectContaining({ releaseStatus: 'inProgress' }) })
+    })]);
+    expect(createNotification).toHaveBeenCalledWith(expect.objectContaining({
+      user_id: 'user-1',
+      type: 'app_in_review',
+      title: 'In review on Google Play',
+      message: 'Shop is being reviewed by Google Play.'
+    }));
+    expect(getAppById).toHaveBeenCalledWith('app-1');
+  });
+
+  test('records checks without notifying when the status is unchanged', async () => {
+    const updated = await syncSubmissionStatus(playSubmission({ versionCode: 7 }, 'under_review'));
+
+    expect(updated.status).toBe('under_review');
+    expect(updates).toHaveLength(1);
+    expect(createNotification).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,104 @@
+import zlib from 'zlib';
+import { ZipArchive, crc32, buildEndOfCentralDirectory } from '../services/zipArchive.js';
+
+// Read the entries back through the central directory, the way unzip does
+const readArchive = (buffer) => {
+  const eocdOffset = buffer.length - 22;
+  expect(buffer.readUInt32LE(eocdOffset)).toBe(0x06054b50);
+
+  const count = buffer.readUInt16LE(eocdOffset + 10);
+  let cursor = buffer.readUInt32LE(eocdOffset + 16);
+  const files = [];
+
+  for (let i = 0; i < count; i++) {
+    expect(buffer.readUInt32LE(cursor)).toBe(0x02014b50);
+    const method = buffer.readUInt16LE(cursor + 10);
+    const crc = buffer.readUInt32LE(cursor + 16);
+    const compressedSize = buffer.readUInt32LE(cursor + 20);
+    const nameLength = buffer.readUInt16LE(cursor + 28);
+    const localOffset = buffer.readUInt32LE(cursor + 42);
+    const name = buffer.toString('utf8', cursor + 46, cursor + 46 + nameLength);
+
+    expect(buffer.readUInt32LE(localOffset)).toBe(0x04034b50);
+    const dataOffset = localOffset + 30
+      + buffer.readUInt16LE(localOffset + 26)
+      + buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(dataOffset, dataOffset + compressedSize);
+
+    files.push({
+      name,
+      method,
+      crc,
+      dataOffset,
+      data: method === 8 ? zlib.inflateRawSync(raw) : raw
+    });
+    cursor += 46 + nameLength;
+  }
+
+  return files;
+};
+
+describe('ZipArchive', () => {
+  test('crc32 matches the reference check value', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+    expect(crc32(Buffer.alloc(0))).toBe(0);
+  });
+
+  test('round-trips compressed and stored entries', () => {
+    const zip = new ZipArchive();
+    zip.addFile('AndroidManifest.xml', '<manifest/>');
+    zip.addFile('assets/www/index.html', Buffer.from('<h1>Hello</h1>'), { compress: false });
+
+    const files = readArchive(zip.toBuffer());
+
+    expect(files.map(file => file.name)).toEqual(['AndroidManifest.xml', 'assets/www/index.html']);
+    expect(files[0].method).toBe(8);
+    expect(files[0].data.toString()).toBe('<manifest/>');
+    expect(files[1].method).toBe(0);
+    expect(files[1].data.toString()).toBe('<h1>Hello</h1>');
+    files.forEach(file => expect(file.crc).toBe(crc32(file.data)));
+  });
+
+  test('aligns stored entries to the requested boundary', () => {
+    const zip = new ZipArchive();
+    zip.addFile('a.txt', 'odd sized entry');
+    zip.addFile('resources.arsc', Buffer.alloc(64, 1), { compress: false, alignment: 4 });
+    zip.addFile('lib/libshell.so', Buffer.alloc(64, 2), { compress: false, alignment: 4096 });
+
+    const files = readArchive(zip.toBuffer());
+
+    expect(files[1].dataOffset % 4).toBe(0);
+    expect(files[2].dataOffset % 4096).toBe(0);
+    expect(files[2].data.equals(Buffer.alloc(64, 2))).toBe(true);
+  });
+
+  test('is deterministic', () => {
+    const build = () => {
+      const zip = new ZipArchive();
+      zip.addFile('classes.dex', Buffer.from('dex\n035\0'));
+      zip.addFile('res/icon.png', Buffer.alloc(16), { compress: false, alignment: 4 });
+      return zip.toBuffer();
+    };
+
+    expect(build().equals(build())).toBe(true);
+  });
+
+  test('rejects duplicate entries', () => {
+    const zip = new ZipArchive();
+    zip.addFile('classes.dex', 'one');
+
+    expect(() => zip.addFile('classes.dex', 'two')).toThrow('Duplicate zip entry: classes.dex');
+    expect(zip.has('classes.dex')).toBe(true);
+  });
+
+  test('build() lays out entries, central directory and end record contiguously', () => {
+    const zip = new ZipArchive();
+    zip.addFile('one.txt', 'one');
+    zip.addFile('two.txt', 'two');
+
+    const { entries, centralDirectory, eocd } = zip.build();
+
+    expect(eocd.equals(buildEndOfCentralDirectory(2, centralDirectory.length, entries.length))).toBe(true);
+    expect(Buffer.concat([entries, centralDirectory, eocd]).equals(zip.toBuffer())).toBe(true);
+  });
+});